@@ -111,6 +111,14 @@ try {
             allowZeroLength = [bool]$field.AllowZeroLength
         }
 
+        # Validation rule and the message Access shows when it fails
+        try {
+            if ($field.ValidationRule) {
+                $fieldInfo.validationRule = $field.ValidationRule
+                $fieldInfo.validationText = $field.ValidationText
+            }
+        } catch {}
+
         # Check if AutoNumber (attributes flag 0x10 = dbAutoIncrField)
         $fieldInfo.isAutoNumber = (($field.Attributes -band 0x10) -ne 0)
 
@@ -181,6 +189,7 @@ try {
             name = $idx.Name
             primary = [bool]$idx.Primary
             unique = [bool]$idx.Unique
+            ignoreNulls = [bool]$idx.IgnoreNulls
             fields = $idxFields
         }
     }
@@ -235,6 +244,8 @@ try {
 
     $result = @{
         tableName = $TableName
+        validationRule = $tableDef.ValidationRule
+        validationText = $tableDef.ValidationText
         fields = $fields
         indexes = $indexes
         rows = $rows
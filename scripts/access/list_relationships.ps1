@@ -1,6 +1,8 @@
 # List all relationships in an Access database
 # Usage: .\list_relationships.ps1 -DatabasePath "path\to\db.accdb"
-# Output: JSON array of relationship objects
+# Output: JSON array of relationship objects. attributes is DAO's
+# RelationAttributeEnum mask: 2 = not enforced, 256 = cascade updates,
+# 4096 = cascade deletes
 # Uses DAO.DBEngine.120 directly to avoid VBA compilation issues
 
 param(
@@ -39,6 +41,7 @@ try {
             primaryTable = $rel.Table
             foreignTable = $rel.ForeignTable
             fields       = $fields
+            attributes   = $rel.Attributes
         }
     }
 
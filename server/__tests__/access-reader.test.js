@@ -0,0 +1,567 @@
+/**
+ * Tests for lib/access-reader — pure-JS Jet/ACE file reader.
+ * Covers header detection, value decoding, TDEF parsing, row splitting and
+ * LvProp parsing against hand-built buffers in the Jet 4 layout, then
+ * lists and exports a small generated multi-page .mdb end to end.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { JET4_FORMAT, rc4, detectFormat } = require('../lib/access-reader/format');
+const {
+  COLUMN_TYPES, decodeUcs2Text, decodeValue, formatAccessDate, formatExtendedDate,
+  decodeNumeric, formatGuid, scaledToString,
+} = require('../lib/access-reader/values');
+const { parseTableDefinition } = require('../lib/access-reader/tdef');
+const { parseProperties } = require('../lib/access-reader/properties');
+const {
+  splitRow, relationshipsFromRows, openAccessDatabase, listTables, exportTable,
+} = require('../lib/access-reader');
+
+const ctx = { format: JET4_FORMAT, jet: 4, textDecoder: null };
+
+function ucs2(str) {
+  return Buffer.from(str, 'utf16le');
+}
+
+function u16(n) {
+  const b = Buffer.alloc(2);
+  b.writeUInt16LE(n);
+  return b;
+}
+
+function u32(n) {
+  const b = Buffer.alloc(4);
+  b.writeUInt32LE(n >>> 0);
+  return b;
+}
+
+function buildPage0({ engine = 'Standard Jet DB', version = 0x01, codePage = 1252 } = {}) {
+  const page = Buffer.alloc(4096);
+  page[0] = 0x00;
+  page.write(engine, 4, 'latin1');
+  page[0x14] = version;
+  const header = Buffer.alloc(128);
+  header.writeUInt16LE(codePage, 0x3c - 0x18);
+  rc4(Buffer.from([0xc7, 0xda, 0x39, 0x6b]), header).copy(page, 0x18);
+  return page;
+}
+
+// ─── detectFormat ───────────────────────────────────────────────────────────
+
+describe('detectFormat', () => {
+  test('identifies a Jet 4 .mdb and decodes the masked header', () => {
+    const info = detectFormat(buildPage0());
+    expect(info.version).toBe('Jet 4');
+    expect(info.format.jet).toBe(4);
+    expect(info.codePage).toBe(1252);
+    expect(info.encodingKey).toBe(0);
+  });
+
+  test('identifies an ACE file', () => {
+    const info = detectFormat(buildPage0({ engine: 'Standard ACE DB', version: 0x03 }));
+    expect(info.version).toBe('ACE 14');
+    expect(info.format.pageSize).toBe(4096);
+  });
+
+  test('Jet 3 uses 2K pages', () => {
+    const info = detectFormat(buildPage0({ version: 0x00 }));
+    expect(info.format.jet).toBe(3);
+    expect(info.format.pageSize).toBe(2048);
+  });
+
+  test('rejects files without the engine signature', () => {
+    expect(() => detectFormat(Buffer.alloc(4096))).toThrow(/Not an Access database/);
+  });
+
+  test('rejects unknown versions', () => {
+    expect(() => detectFormat(buildPage0({ version: 0x42 }))).toThrow(/Unsupported/);
+  });
+});
+
+// ─── Value decoding ─────────────────────────────────────────────────────────
+
+describe('value decoding', () => {
+  test('formatAccessDate matches export_table.ps1 output', () => {
+    expect(formatAccessDate(0)).toBe('1899-12-30T00:00:00.0000000');
+    expect(formatAccessDate(32533)).toBe('1989-01-25T00:00:00.0000000');
+    expect(formatAccessDate(45000.5)).toBe('2023-03-15T12:00:00.0000000');
+  });
+
+  test('formatAccessDate keeps a positive time for pre-1899 dates', () => {
+    expect(formatAccessDate(-1.25)).toBe('1899-12-29T06:00:00.0000000');
+  });
+
+  test('formatExtendedDate decodes the ASCII layout', () => {
+    const text = '0000000000000738884:0000000432001234567';
+    expect(formatExtendedDate(Buffer.from(text.padEnd(42, '\0'), 'latin1')))
+      .toBe('2023-12-31T12:00:00.1234567');
+  });
+
+  test('decodeUcs2Text handles plain and compressed strings', () => {
+    expect(decodeUcs2Text(ucs2('Héllo'))).toBe('Héllo');
+    expect(decodeUcs2Text(Buffer.from([0xff, 0xfe, 0x41, 0x42, 0x43]))).toBe('ABC');
+    // compressed "A", toggle to UCS-2 for "张", toggle back for "B"
+    const mixed = Buffer.concat([
+      Buffer.from([0xff, 0xfe, 0x41, 0x00]), ucs2('张'), Buffer.from([0x00, 0x42]),
+    ]);
+    expect(decodeUcs2Text(mixed)).toBe('A张B');
+  });
+
+  test('scaledToString places the decimal point', () => {
+    expect(scaledToString(123456n, 4)).toBe('12.3456');
+    expect(scaledToString(-5n, 2)).toBe('-0.05');
+    expect(scaledToString(42n, 0)).toBe('42');
+  });
+
+  test('currency and bigint decode to strings', () => {
+    const buf = Buffer.alloc(8);
+    buf.writeBigInt64LE(1234500n);
+    expect(decodeValue(buf, { type: COLUMN_TYPES.CURRENCY }, ctx)).toBe('123.4500');
+    buf.writeBigInt64LE(9007199254740993n);
+    expect(decodeValue(buf, { type: COLUMN_TYPES.BIGINT }, ctx)).toBe('9007199254740993');
+  });
+
+  test('decodeNumeric reads sign byte and 128-bit magnitude', () => {
+    const buf = Buffer.alloc(17);
+    buf[0] = 0x80;
+    buf.writeUInt32LE(31415, 13);
+    expect(decodeNumeric(buf, 4)).toBe('-3.1415');
+  });
+
+  test('formatGuid uses the DAO braces-and-uppercase form', () => {
+    const buf = Buffer.from('33221100554477668899aabbccddeeff', 'hex');
+    expect(formatGuid(buf)).toBe('{00112233-4455-6677-8899-AABBCCDDEEFF}');
+  });
+
+  test('text values have control characters stripped', () => {
+    expect(decodeValue(ucs2('a\u0001b\tc'), { type: COLUMN_TYPES.TEXT }, ctx)).toBe('ab\tc');
+  });
+});
+
+// ─── TDEF parsing ───────────────────────────────────────────────────────────
+
+/**
+ * Build a Jet 4 table definition with the given columns and indexes.
+ * columns: [{ name, type, number, varIndex, fixedOffset, length, flags }]
+ * indexes: [{ name, columns: [colNum], type, unique }]
+ */
+function buildJet4Tdef({ rowCount, columns, indexes, usageMap = 0x0301 }) {
+  const header = Buffer.alloc(63);
+  header[0] = 0x02;
+  header.writeUInt32LE(rowCount, 16);
+  header.writeUInt16LE(columns.filter(c => !(c.flags & 0x01)).length, 43);
+  header.writeUInt16LE(columns.length, 45);
+  header.writeUInt32LE(indexes.length, 47);
+  header.writeUInt32LE(indexes.length, 51);
+  header.writeUInt32LE(usageMap, 55);
+
+  const parts = [header, Buffer.alloc(indexes.length * 12)];
+  for (const col of columns) {
+    const entry = Buffer.alloc(25);
+    entry[0] = col.type;
+    entry.writeUInt16LE(col.number, 5);
+    entry.writeUInt16LE(col.varIndex || 0, 7);
+    entry[15] = col.flags;
+    entry.writeUInt16LE(col.fixedOffset || 0, 21);
+    entry.writeUInt16LE(col.length, 23);
+    parts.push(entry);
+  }
+  for (const col of columns) parts.push(u16(col.name.length * 2), ucs2(col.name));
+  for (const idx of indexes) {
+    const block = Buffer.alloc(52, 0);
+    for (let k = 0; k < 10; k++) {
+      block.writeUInt16LE(k < idx.columns.length ? idx.columns[k] : 0xffff, 4 + k * 3);
+    }
+    block[4 + 38] = (idx.unique ? 0x01 : 0x00) | (idx.ignoreNulls ? 0x02 : 0x00);
+    parts.push(block);
+  }
+  indexes.forEach((idx, i) => {
+    const entry = Buffer.alloc(28);
+    entry.writeUInt32LE(i, 4);
+    entry.writeUInt32LE(i, 8);
+    entry[4 + 19] = idx.type || 0;
+    parts.push(entry);
+  });
+  for (const idx of indexes) parts.push(u16(idx.name.length * 2), ucs2(idx.name));
+  return Buffer.concat(parts);
+}
+
+const SAMPLE_COLUMNS = [
+  { name: 'Name', type: COLUMN_TYPES.TEXT, number: 1, varIndex: 0, length: 100, flags: 0x02 },
+  { name: 'ID', type: COLUMN_TYPES.LONG, number: 0, fixedOffset: 0, length: 4, flags: 0x01 | 0x04 },
+  { name: 'Active', type: COLUMN_TYPES.BOOLEAN, number: 2, fixedOffset: 4, length: 0, flags: 0x01 | 0x02 },
+];
+
+describe('parseTableDefinition', () => {
+  const def = parseTableDefinition(buildJet4Tdef({
+    rowCount: 7,
+    columns: SAMPLE_COLUMNS,
+    indexes: [
+      { name: 'PrimaryKey', columns: [0], type: 1, unique: true },
+      { name: 'NameIdx', columns: [1], unique: false, ignoreNulls: true },
+    ],
+  }), ctx);
+
+  test('reads counts and the usage map pointer', () => {
+    expect(def.rowCount).toBe(7);
+    expect(def.varColumnCount).toBe(1);
+    expect(def.usageMapPointer).toBe(0x0301);
+  });
+
+  test('returns columns sorted by column number with decoded flags', () => {
+    expect(def.columns.map(c => c.name)).toEqual(['ID', 'Name', 'Active']);
+    expect(def.columns[0]).toMatchObject({ fixedLength: true, autoLong: true, nullable: false, length: 4 });
+    expect(def.columns[1]).toMatchObject({ fixedLength: false, nullable: true, length: 100 });
+  });
+
+  test('resolves logical indexes to column names', () => {
+    expect(def.indexes).toEqual([
+      { name: 'PrimaryKey', primary: true, foreign: false, unique: true, ignoreNulls: false, fields: ['ID'] },
+      { name: 'NameIdx', primary: false, foreign: false, unique: false, ignoreNulls: true, fields: ['Name'] },
+    ]);
+  });
+});
+
+// ─── Row splitting ──────────────────────────────────────────────────────────
+
+describe('splitRow', () => {
+  const def = parseTableDefinition(buildJet4Tdef({
+    rowCount: 1, columns: SAMPLE_COLUMNS, indexes: [],
+  }), ctx);
+
+  // [col count][ID][var data][var offsets, reversed][var count][null mask]
+  function buildRow(nullMask, name = 'Hi') {
+    const data = ucs2(name);
+    const varStart = 2 + 4;
+    return Buffer.concat([
+      u16(3), u32(42), data,
+      u16(varStart + data.length), u16(varStart), u16(1), Buffer.from([nullMask]),
+    ]);
+  }
+
+  test('extracts fixed, variable and boolean values', () => {
+    const cells = splitRow(buildRow(0x07), def, ctx);
+    const byName = Object.fromEntries(cells.map(c => [c.column.name, c]));
+    expect(decodeValue(byName.ID.bytes, byName.ID.column, ctx)).toBe(42);
+    expect(decodeValue(byName.Name.bytes, byName.Name.column, ctx)).toBe('Hi');
+    expect(byName.Active.flag).toBe(true);
+  });
+
+  test('null mask bits mark NULLs and false booleans', () => {
+    const cells = splitRow(buildRow(0x01), def, ctx);
+    const byName = Object.fromEntries(cells.map(c => [c.column.name, c]));
+    expect(byName.ID.isNull).toBe(false);
+    expect(byName.Name.isNull).toBe(true);
+    expect(byName.Active.flag).toBe(false);
+  });
+});
+
+// ─── Relationships ──────────────────────────────────────────────────────────
+
+describe('relationshipsFromRows', () => {
+  const row = (szRelationship, icolumn, szColumn, szReferencedColumn, grbit = 0) => ({
+    szRelationship, icolumn, grbit, ccolumn: 2,
+    szObject: 'Order Details', szColumn,
+    szReferencedObject: 'Orders', szReferencedColumn,
+  });
+
+  test('groups column pairs by relationship in column order', () => {
+    const rows = [
+      row('OrdersOrder Details', 1, 'LineNo', 'LineNo', 0x1100),
+      row('OrdersOrder Details', 0, 'OrderID', 'OrderID', 0x1100),
+    ];
+    expect(relationshipsFromRows(rows)).toEqual([{
+      name: 'OrdersOrder Details',
+      primaryTable: 'Orders',
+      foreignTable: 'Order Details',
+      fields: [
+        { primary: 'OrderID', foreign: 'OrderID' },
+        { primary: 'LineNo', foreign: 'LineNo' },
+      ],
+      attributes: 0x1100,
+    }]);
+  });
+
+  test('skips system relationships and reads grbit as unsigned', () => {
+    const rows = [row('MSysNavPaneGroupsMSysNavPaneGroupToObjects', 0, 'GroupID', 'Id'), row('R', 0, 'A', 'B', -2)];
+    const [rel] = relationshipsFromRows(rows);
+    expect(relationshipsFromRows(rows)).toHaveLength(1);
+    expect(rel.attributes).toBe(0xfffffffe);
+  });
+});
+
+// ─── LvProp ─────────────────────────────────────────────────────────────────
+
+function chunk(type, body) {
+  return Buffer.concat([u32(body.length + 6), u16(type), body]);
+}
+function name(str) {
+  return Buffer.concat([u16(str.length * 2), ucs2(str)]);
+}
+function value(type, nameIndex, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt16LE(8 + data.length, 0);
+  head[3] = type;
+  head.writeUInt16LE(nameIndex, 4);
+  head.writeUInt16LE(data.length, 6);
+  return Buffer.concat([head, data]);
+}
+function columnBlock(columnName, values) {
+  const nameBlock = name(columnName);
+  return chunk(0x01, Buffer.concat([u32(nameBlock.length + 4), nameBlock, ...values]));
+}
+
+describe('parseProperties', () => {
+  test('reads per-column property values', () => {
+    const blob = Buffer.concat([
+      Buffer.from('MR2\0', 'latin1'),
+      chunk(0x80, Buffer.concat([name('Required'), name('DefaultValue'), name('ValidationRule')])),
+      columnBlock('Qty', [
+        value(COLUMN_TYPES.BOOLEAN, 0, Buffer.from([0xff])),
+        value(COLUMN_TYPES.MEMO, 1, ucs2('1')),
+        value(COLUMN_TYPES.MEMO, 2, ucs2('>0')),
+      ]),
+    ]);
+    expect(parseProperties(blob, ctx).columns).toEqual({
+      Qty: { Required: true, DefaultValue: '1', ValidationRule: '>0' },
+    });
+  });
+
+  test('ignores blobs without a known signature', () => {
+    expect(parseProperties(Buffer.from('nope'), ctx)).toEqual({ table: {}, columns: {} });
+  });
+});
+
+// ─── Whole file ─────────────────────────────────────────────────────────────
+
+const PAGE_SIZE = 4096;
+
+/**
+ * Encode one Jet 4 row: [column count][fixed area][var data]
+ * [var offsets, last first][var count][null mask].
+ * values: { columnName: Buffer | boolean | null }
+ */
+function buildJet4Row(columns, values) {
+  const fixedSize = Math.max(0, ...columns.filter(c => c.flags & 0x01).map(c => c.fixedOffset + c.length));
+  const fixed = Buffer.alloc(fixedSize);
+  const varColumns = columns.filter(c => !(c.flags & 0x01)).sort((a, b) => a.varIndex - b.varIndex);
+  const mask = Buffer.alloc(Math.ceil(columns.length / 8));
+  const setBit = col => { mask[col.number >> 3] |= 1 << (col.number & 7); };
+
+  for (const col of columns.filter(c => c.flags & 0x01)) {
+    const v = values[col.name];
+    if (col.type === COLUMN_TYPES.BOOLEAN) {
+      if (v) setBit(col);
+    } else if (v != null) {
+      v.copy(fixed, col.fixedOffset);
+      setBit(col);
+    }
+  }
+  const varData = [];
+  const offsets = [];
+  let pos = 2 + fixedSize;
+  for (const col of varColumns) {
+    offsets.push(pos);
+    const v = values[col.name];
+    if (v != null) {
+      varData.push(v);
+      pos += v.length;
+      setBit(col);
+    }
+  }
+  offsets.push(pos);
+  return Buffer.concat([
+    u16(columns.length), fixed, ...varData,
+    ...offsets.reverse().map(u16), u16(varColumns.length), mask,
+  ]);
+}
+
+/**
+ * A data page owned by `tdefPage`, rows packed down from the end of the page.
+ * rows: [Buffer | { bytes, deleted }]
+ */
+function buildDataPage(tdefPage, rows) {
+  const page = Buffer.alloc(PAGE_SIZE);
+  page[0] = 0x01;
+  page.writeUInt32LE(tdefPage, 4);
+  page.writeUInt16LE(rows.length, 12);
+  let end = PAGE_SIZE;
+  rows.forEach((row, i) => {
+    const bytes = Buffer.isBuffer(row) ? row : row.bytes;
+    const start = end - bytes.length;
+    bytes.copy(page, start);
+    page.writeUInt16LE(start | (row.deleted ? 0x8000 : 0), 14 + i * 2);
+    end = start;
+  });
+  return page;
+}
+
+function pad(buf) {
+  const page = Buffer.alloc(PAGE_SIZE);
+  buf.copy(page);
+  return page;
+}
+
+// Inline type-0 usage map: pages firstPage + n for every set bit n
+function usageMap(pages) {
+  const bitmap = Buffer.alloc(4);
+  for (const p of pages) bitmap[p >> 3] |= 1 << (p & 7);
+  return Buffer.concat([Buffer.from([0x00]), u32(0), bitmap]);
+}
+
+// Inline long value: 12-byte header (length | inline flag), then the data
+function inlineLongValue(data) {
+  return Buffer.concat([u32((data.length | 0x80000000) >>> 0), Buffer.alloc(8), data]);
+}
+
+const int16 = n => { const b = Buffer.alloc(2); b.writeInt16LE(n); return b; };
+const int32 = n => { const b = Buffer.alloc(4); b.writeInt32LE(n | 0); return b; };
+const currency = n => { const b = Buffer.alloc(8); b.writeBigInt64LE(BigInt(Math.round(n * 10000))); return b; };
+const double = n => { const b = Buffer.alloc(8); b.writeDoubleLE(n); return b; };
+
+const MSYS_OBJECTS_COLUMNS = [
+  { name: 'Id', type: COLUMN_TYPES.LONG, number: 0, fixedOffset: 0, length: 4, flags: 0x01 },
+  { name: 'Name', type: COLUMN_TYPES.TEXT, number: 1, varIndex: 0, length: 256, flags: 0x02 },
+  { name: 'Type', type: COLUMN_TYPES.INTEGER, number: 2, fixedOffset: 4, length: 2, flags: 0x03 },
+  { name: 'Flags', type: COLUMN_TYPES.LONG, number: 3, fixedOffset: 6, length: 4, flags: 0x03 },
+  { name: 'LvProp', type: COLUMN_TYPES.OLE, number: 4, varIndex: 1, length: 0, flags: 0x02 },
+];
+
+const ORDER_DETAILS_COLUMNS = [
+  { name: 'OrderID', type: COLUMN_TYPES.LONG, number: 0, fixedOffset: 0, length: 4, flags: 0x01 | 0x04 },
+  { name: 'ProductName', type: COLUMN_TYPES.TEXT, number: 1, varIndex: 0, length: 80, flags: 0x02 },
+  { name: 'Quantity', type: COLUMN_TYPES.INTEGER, number: 2, fixedOffset: 4, length: 2, flags: 0x03 },
+  { name: 'Price', type: COLUMN_TYPES.CURRENCY, number: 3, fixedOffset: 6, length: 8, flags: 0x03 },
+  { name: 'OrderDate', type: COLUMN_TYPES.DATETIME, number: 4, fixedOffset: 14, length: 8, flags: 0x03 },
+  { name: 'Shipped', type: COLUMN_TYPES.BOOLEAN, number: 5, fixedOffset: 22, length: 0, flags: 0x03 },
+  { name: 'Notes', type: COLUMN_TYPES.MEMO, number: 6, varIndex: 1, length: 0, flags: 0x02 },
+  { name: 'Photo', type: COLUMN_TYPES.OLE, number: 7, varIndex: 2, length: 0, flags: 0x02 },
+];
+
+/**
+ * Build a Jet 4 .mdb with one user table, "Order Details", whose rows span
+ * two data pages:
+ *   0 header · 1 usage maps · 2 MSysObjects TDEF · 3 MSysObjects rows
+ *   4 Order Details TDEF · 5-6 Order Details rows
+ */
+function buildJet4File() {
+  const lvProp = Buffer.concat([
+    Buffer.from('MR2\0', 'latin1'),
+    chunk(0x80, Buffer.concat([name('Required'), name('DefaultValue'), name('ValidationRule')])),
+    columnBlock('Quantity', [
+      value(COLUMN_TYPES.BOOLEAN, 0, Buffer.from([0xff])),
+      value(COLUMN_TYPES.MEMO, 1, ucs2('1')),
+      value(COLUMN_TYPES.MEMO, 2, ucs2('>0')),
+    ]),
+  ]);
+  const catalogRow = (id, objName, type, flags, prop = null) => buildJet4Row(MSYS_OBJECTS_COLUMNS, {
+    Id: int32(id), Name: ucs2(objName), Type: int16(type), Flags: int32(flags),
+    LvProp: prop && inlineLongValue(prop),
+  });
+  const orderRow = values => buildJet4Row(ORDER_DETAILS_COLUMNS, values);
+
+  return Buffer.concat([
+    buildPage0(),
+    buildDataPage(0, [usageMap([3]), usageMap([5, 6])]),
+    pad(buildJet4Tdef({ rowCount: 4, columns: MSYS_OBJECTS_COLUMNS, indexes: [], usageMap: 0x0100 })),
+    buildDataPage(2, [
+      catalogRow(2, 'MSysObjects', 1, 0x80000000),
+      catalogRow(4, 'Order Details', 1, 0, lvProp),
+      catalogRow(9, 'qryOrderTotals', 5, 0),
+      catalogRow(8, 'MSysACEs', 1, 0),
+    ]),
+    pad(buildJet4Tdef({
+      rowCount: 3,
+      columns: ORDER_DETAILS_COLUMNS,
+      indexes: [
+        { name: 'PrimaryKey', columns: [0], type: 1, unique: true },
+        { name: 'ProductName', columns: [1], unique: false },
+        { name: 'OrdersOrder Details', columns: [0], type: 2 },
+      ],
+      usageMap: 0x0101,
+    })),
+    buildDataPage(4, [
+      orderRow({
+        OrderID: int32(10248), ProductName: ucs2('Queso Cabrales'), Quantity: int16(12),
+        Price: currency(14), OrderDate: double(45000.5), Shipped: true,
+        Notes: inlineLongValue(ucs2('Fragile')), Photo: inlineLongValue(Buffer.from([1, 2, 3])),
+      }),
+      { bytes: orderRow({ OrderID: int32(10000), Quantity: int16(1), Price: currency(1), OrderDate: double(0) }), deleted: true },
+    ]),
+    buildDataPage(4, [
+      orderRow({ OrderID: int32(10249), Quantity: int16(9), Price: currency(18.5), Shipped: false }),
+    ]),
+  ]);
+}
+
+describe('reading a whole file', () => {
+  let dir;
+  let file;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'access-reader-'));
+    file = path.join(dir, 'northwind.mdb');
+    fs.writeFileSync(file, buildJet4File());
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('openAccessDatabase reports the engine version', async () => {
+    const db = await openAccessDatabase(file);
+    try {
+      expect(db.version).toBe('Jet 4');
+    } finally {
+      await db.close();
+    }
+  });
+
+  test('listTables lists user tables only, with TDEF counts', async () => {
+    expect(await listTables(file)).toEqual([{ name: 'Order Details', fieldCount: 8, rowCount: 3 }]);
+  });
+
+  test('exportTable returns fields with their properties, skipping OLE columns', async () => {
+    const data = await exportTable(file, 'order details');
+    expect(data.tableName).toBe('Order Details');
+    expect(data.fields).toEqual([
+      { name: 'OrderID', type: 4, size: 4, required: true, allowZeroLength: false, isAutoNumber: true },
+      { name: 'ProductName', type: 10, size: 40, required: false, allowZeroLength: false, isAutoNumber: false },
+      {
+        name: 'Quantity', type: 3, size: 2, required: true, allowZeroLength: false, isAutoNumber: false,
+        defaultValue: '1', validationRule: '>0', validationText: '',
+      },
+      { name: 'Price', type: 5, size: 8, required: false, allowZeroLength: false, isAutoNumber: false },
+      { name: 'OrderDate', type: 8, size: 8, required: false, allowZeroLength: false, isAutoNumber: false },
+      { name: 'Shipped', type: 1, size: 1, required: false, allowZeroLength: false, isAutoNumber: false },
+      { name: 'Notes', type: 12, size: 0, required: false, allowZeroLength: false, isAutoNumber: false },
+    ]);
+    expect(data.skippedColumns).toEqual([{ name: 'Photo', typeCode: 11 }]);
+    expect(data.indexes).toEqual([
+      { name: 'PrimaryKey', primary: true, unique: true, ignoreNulls: false, fields: ['OrderID'] },
+      { name: 'ProductName', primary: false, unique: false, ignoreNulls: false, fields: ['ProductName'] },
+    ]);
+  });
+
+  test('exportTable reads live rows across data pages', async () => {
+    const data = await exportTable(file, 'Order Details');
+    expect(data.rowCount).toBe(2);
+    expect(data.rows).toEqual([
+      {
+        OrderID: 10248, ProductName: 'Queso Cabrales', Quantity: 12, Price: '14.0000',
+        OrderDate: '2023-03-15T12:00:00.0000000', Shipped: true, Notes: 'Fragile',
+      },
+      {
+        OrderID: 10249, ProductName: null, Quantity: 9, Price: '18.5000',
+        OrderDate: null, Shipped: false, Notes: null,
+      },
+    ]);
+  });
+
+  test('exportTable rejects unknown tables', async () => {
+    await expect(exportTable(file, 'Customers')).rejects.toThrow('Table "Customers" not found');
+  });
+});
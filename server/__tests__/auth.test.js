@@ -0,0 +1,537 @@
+/**
+ * Tests for authentication and per-database roles (server/lib/auth.js,
+ * server/routes/auth.js) through createApp with an in-memory mock pool.
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+const { createApp } = require('../app');
+const {
+  hashPassword, verifyPassword, signToken, verifyToken, parseCookies,
+  hasRole, requiredRole, verifyIdToken, safeReturnPath
+} = require('../lib/auth');
+
+const SECRET = 'test-session-secret';
+
+// ============================================================
+// Helpers
+// ============================================================
+
+/** A pool that answers the auth queries from in-memory users and roles. */
+function createAuthPool(users, roles) {
+  const query = jest.fn(async (sql, params = []) => {
+    if (/^\s*UPDATE shared\.users SET oidc_issuer = \$2, oidc_subject = \$3/.test(sql)) {
+      const user = users[params[0]];
+      if (!user || user.oidc_subject) return { rows: [], rowCount: 0 };
+      Object.assign(user, { oidc_issuer: params[1], oidc_subject: params[2] });
+      return { rows: [{ user_id: params[0], ...user }], rowCount: 1 };
+    }
+    if (/^\s*UPDATE shared\.users SET [\s\S]*RETURNING/.test(sql)) {
+      const user = users[params[0]];
+      if (!user) return { rows: [], rowCount: 0 };
+      const disabled = sql.match(/disabled = \$(\d+)/);
+      if (disabled) user.disabled = params[disabled[1] - 1];
+      if (/session_version = session_version \+ 1/.test(sql)) user.session_version = (user.session_version || 0) + 1;
+      return { rows: [{ user_id: params[0], ...user }], rowCount: 1 };
+    }
+    if (/FROM shared\.users WHERE user_id = \$1/.test(sql)) {
+      const user = users[params[0]];
+      return { rows: user ? [{ user_id: params[0], ...user }] : [] };
+    }
+    if (/FROM shared\.users\s+WHERE oidc_issuer = \$1 AND oidc_subject = \$2/.test(sql)) {
+      const found = Object.entries(users).find(([, u]) => u.oidc_issuer === params[0] && u.oidc_subject === params[1]);
+      return { rows: found ? [{ user_id: found[0], ...found[1] }] : [] };
+    }
+    if (/WHERE lower\(email\) = lower\(\$1\) AND password_hash IS NULL AND oidc_subject IS NULL/.test(sql)) {
+      const found = Object.entries(users).filter(([, u]) =>
+        (u.email || '').toLowerCase() === params[0].toLowerCase() && !u.password_hash && !u.oidc_subject);
+      return { rows: found.map(([userId]) => ({ user_id: userId })) };
+    }
+    if (/^\s*INSERT INTO shared\.users \(user_id, display_name, email, oidc_issuer, oidc_subject\)/.test(sql)) {
+      const [userId, displayName, email, issuer, subject] = params;
+      if (users[userId]) return { rows: [], rowCount: 0 };
+      users[userId] = { display_name: displayName, email, oidc_issuer: issuer, oidc_subject: subject, is_admin: false, disabled: false };
+      return { rows: [{ user_id: userId, ...users[userId] }] };
+    }
+    if (/^\s*INSERT INTO shared\.users \(user_id, display_name, email, password_hash, is_admin, oidc_issuer, oidc_subject\)/.test(sql)) {
+      const [userId, displayName, email, passwordHash, isAdmin, issuer, subject] = params;
+      if (users[userId]) return { rows: [], rowCount: 0 };
+      if (subject && Object.values(users).some(u => u.oidc_issuer === issuer && u.oidc_subject === subject)) {
+        throw Object.assign(new Error('duplicate key value violates unique constraint "idx_users_oidc"'), { code: '23505' });
+      }
+      users[userId] = {
+        display_name: displayName, email, password_hash: passwordHash, is_admin: isAdmin, disabled: false,
+        oidc_issuer: issuer, oidc_subject: subject
+      };
+      return { rows: [{ user_id: userId, ...users[userId] }] };
+    }
+    if (/FROM shared\.database_roles WHERE database_id = \$1 AND user_id = \$2/.test(sql)) {
+      const role = roles[`${params[0]}/${params[1]}`];
+      return { rows: role ? [{ role }] : [] };
+    }
+    if (/SELECT schema_name, archived_at FROM shared\.databases/.test(sql)) {
+      return { rows: [{ schema_name: `db_${params[0]}` }] };
+    }
+    return { rows: [], rowCount: 0 };
+  });
+  // Inside a request, queries go through a checked-out client bound to the schema
+  const client = {
+    query: jest.fn(async (sql, params) => (/^SET /.test(sql) ? { rows: [] } : query(sql, params))),
+    release: jest.fn()
+  };
+  return { query, connect: jest.fn().mockResolvedValue(client) };
+}
+
+function sessionCookie(res) {
+  const setCookie = [].concat(res.headers['set-cookie'] || []);
+  return setCookie.find(c => c.startsWith('accessclone_session='))?.split(';')[0];
+}
+
+// ============================================================
+// Building blocks
+// ============================================================
+
+describe('passwords and tokens', () => {
+  test('hashes passwords with scrypt and verifies them', async () => {
+    const hash = await hashPassword('correct horse');
+    expect(hash).toMatch(/^scrypt\$16384\$8\$1\$/);
+    expect(await verifyPassword('correct horse', hash)).toBe(true);
+    expect(await verifyPassword('wrong', hash)).toBe(false);
+    expect(await verifyPassword('anything', null)).toBe(false);
+  });
+
+  test('signed tokens reject tampering and expiry', () => {
+    const token = signToken({ sub: 'ann', exp: Math.floor(Date.now() / 1000) + 60 }, SECRET);
+    expect(verifyToken(token, SECRET).sub).toBe('ann');
+    expect(verifyToken(token, 'other-secret')).toBeNull();
+    const [body, sig] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'admin', exp: 9999999999 })).toString('base64url');
+    expect(verifyToken(`${forged}.${sig}`, SECRET)).toBeNull();
+    expect(verifyToken(`${body}.${sig}`, SECRET, Date.now() + 120000)).toBeNull();
+    expect(verifyToken('garbage', SECRET)).toBeNull();
+  });
+
+  test('parses cookies and only allows same-site return paths', () => {
+    expect(parseCookies('a=1; accessclone_session=x%3Dy; b=2')).toEqual({ a: '1', accessclone_session: 'x=y', b: '2' });
+    expect(safeReturnPath('/forms?x=1')).toBe('/forms?x=1');
+    expect(safeReturnPath('//evil.example')).toBe('/');
+    expect(safeReturnPath('https://evil.example')).toBe('/');
+  });
+});
+
+describe('roles', () => {
+  test('roles are ordered read-only < data-entry < designer < admin', () => {
+    expect(hasRole('designer', 'data-entry')).toBe(true);
+    expect(hasRole('data-entry', 'designer')).toBe(false);
+    expect(hasRole('admin', 'read-only')).toBe(true);
+    expect(hasRole(null, 'read-only')).toBe(false);
+  });
+
+  test('maps requests to the role they need', () => {
+    expect(requiredRole('GET', '/data/orders')).toBe('read-only');
+    expect(requiredRole('GET', '/data/orders/export')).toBe('read-only');
+    expect(requiredRole('POST', '/data/orders')).toBe('data-entry');
+    expect(requiredRole('POST', '/data/orders/batch')).toBe('data-entry');
+    expect(requiredRole('PUT', '/forms/frmOrders')).toBe('designer');
+    expect(requiredRole('DELETE', '/forms/frmOrders/personalization')).toBe('read-only');
+    expect(requiredRole('POST', '/reports/rptSales/promote')).toBe('designer');
+    expect(requiredRole('PUT', '/tables/orders')).toBe('designer');
+    expect(requiredRole('POST', '/tables/orders/import')).toBe('data-entry');
+    expect(requiredRole('POST', '/queries/run')).toBe('read-only');
+    expect(requiredRole('POST', '/queries/execute')).toBe('data-entry');
+    expect(requiredRole('POST', '/database-import/import-table')).toBe('designer');
+    expect(requiredRole('POST', '/databases')).toBe('system');
+    expect(requiredRole('GET', '/forms')).toBe('read-only');
+  });
+
+  test('writes no rule lists need data-entry; read-only writes are listed', () => {
+    for (const [method, path] of [
+      ['POST', '/attachments'], ['POST', '/session/function/calc_total'], ['POST', '/session'],
+      ['PUT', '/transcripts/form/frmOrders'], ['POST', '/events'], ['POST', '/chat']
+    ]) {
+      expect(requiredRole(method, path)).toBe('data-entry');
+    }
+    expect(requiredRole('PUT', '/form-state')).toBe('read-only');
+    expect(requiredRole('DELETE', '/form-state')).toBe('read-only');
+    expect(requiredRole('PUT', '/session/ui-state')).toBeNull();
+    expect(requiredRole('GET', '/transcripts/form/frmOrders')).toBe('read-only');
+    expect(requiredRole('POST', '/chat/extract-intents')).toBe('designer');
+    expect(requiredRole('PUT', '/app/gap-questions')).toBe('designer');
+    expect(requiredRole('POST', '/lint/form')).toBe('designer');
+    expect(requiredRole('PATCH', '/import-issues/4')).toBe('designer');
+    expect(requiredRole('PUT', '/session/import-state')).toBe('designer');
+  });
+});
+
+describe('verifyIdToken', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'k1', alg: 'RS256', use: 'sig' }] };
+  const now = Math.floor(Date.now() / 1000);
+  const sign = (claims, header = { alg: 'RS256', kid: 'k1' }, key = privateKey) => {
+    const h = Buffer.from(JSON.stringify(header)).toString('base64url');
+    const p = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return `${h}.${p}.${crypto.sign('sha256', Buffer.from(`${h}.${p}`), key).toString('base64url')}`;
+  };
+  const claims = { iss: 'https://idp.test', aud: 'accessclone', sub: 'u1', exp: now + 300, nonce: 'n1' };
+  const expected = { issuer: 'https://idp.test', audience: 'accessclone', nonce: 'n1' };
+
+  test('accepts a valid token', () => {
+    expect(verifyIdToken(sign(claims), jwks, expected).sub).toBe('u1');
+  });
+
+  test('rejects bad signatures, issuers, audiences, expiry and nonces', () => {
+    const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    expect(() => verifyIdToken(sign(claims, undefined, other), jwks, expected)).toThrow(/signature/);
+    expect(() => verifyIdToken(sign({ ...claims, iss: 'https://evil' }), jwks, expected)).toThrow(/issuer/);
+    expect(() => verifyIdToken(sign({ ...claims, aud: 'other' }), jwks, expected)).toThrow(/audience/);
+    expect(() => verifyIdToken(sign({ ...claims, exp: now - 600 }), jwks, expected)).toThrow(/expired/);
+    expect(() => verifyIdToken(sign({ ...claims, nonce: 'n2' }), jwks, expected)).toThrow(/nonce/);
+    expect(() => verifyIdToken(sign(claims, { alg: 'none' }), jwks, expected)).toThrow(/algorithm/);
+  });
+});
+
+// ============================================================
+// Through the app
+// ============================================================
+
+describe('with authentication off', () => {
+  test('requests need no session and whoami reports the OS user', async () => {
+    const pool = createAuthPool({}, {});
+    const { app } = createApp({ pool });
+    const res = await request(app).get('/api/whoami');
+    expect(res.status).toBe(200);
+    expect(res.body.authEnabled).toBe(false);
+    const providers = await request(app).get('/api/auth/providers');
+    expect(providers.body.enabled).toBe(false);
+    expect((await request(app).post('/api/auth/login').send({ username: 'a', password: 'b' })).status).toBe(404);
+  });
+});
+
+describe('with authentication on', () => {
+  let users;
+  let roles;
+  let pool;
+  let app;
+  const auth = { enabled: true, sessionSecret: SECRET, sessionHours: 1 };
+
+  beforeAll(async () => {
+    const hash = await hashPassword('password123');
+    users = {
+      ann: { display_name: 'Ann', password_hash: hash, is_admin: false, disabled: false },
+      dee: { display_name: 'Dee', password_hash: hash, is_admin: false, disabled: false },
+      root: { display_name: 'Root', password_hash: hash, is_admin: true, disabled: false },
+      gone: { display_name: 'Gone', password_hash: hash, is_admin: false, disabled: true },
+      eve: { display_name: 'Eve', password_hash: hash, is_admin: false, disabled: false, session_version: 0 }
+    };
+    roles = { 'northwind/ann': 'read-only', 'northwind/dee': 'designer' };
+    pool = createAuthPool(users, roles);
+    ({ app } = createApp({ pool, auth }));
+  });
+
+  async function login(username) {
+    const res = await request(app).post('/api/auth/login').send({ username, password: 'password123' });
+    expect(res.status).toBe(200);
+    return sessionCookie(res);
+  }
+
+  test('refuses to start without a session secret', () => {
+    expect(() => createApp({ pool, auth: { enabled: true } })).toThrow(/session secret/);
+  });
+
+  test('API requests without a session get 401; sign-in routes stay open', async () => {
+    expect((await request(app).get('/api/forms').set('X-Database-ID', 'northwind')).status).toBe(401);
+    expect((await request(app).get('/api/whoami')).status).toBe(401);
+    expect((await request(app).get('/api/auth/providers')).status).toBe(200);
+  });
+
+  test('login sets an HttpOnly session cookie; bad passwords and disabled users get the same 401', async () => {
+    const res = await request(app).post('/api/auth/login').send({ username: 'ann', password: 'password123' });
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ id: 'ann', displayName: 'Ann', isAdmin: false });
+    expect(res.headers['set-cookie'][0]).toMatch(/^accessclone_session=.+; Path=\/; HttpOnly; SameSite=Lax; Max-Age=(3599|3600)$/);
+
+    const wrong = await request(app).post('/api/auth/login').send({ username: 'ann', password: 'nope' });
+    const disabled = await request(app).post('/api/auth/login').send({ username: 'gone', password: 'password123' });
+    const unknown = await request(app).post('/api/auth/login').send({ username: 'zed', password: 'password123' });
+    for (const r of [wrong, disabled, unknown]) {
+      expect(r.status).toBe(401);
+      expect(r.body.error).toBe('Invalid username or password');
+    }
+  });
+
+  test('the session identifies the user; X-User-ID is ignored', async () => {
+    const cookie = await login('ann');
+    const res = await request(app).get('/api/whoami').set('Cookie', cookie).set('X-User-ID', 'root');
+    expect(res.body).toMatchObject({ username: 'ann', authEnabled: true, isAdmin: false });
+  });
+
+  test('Bearer tokens work like the cookie', async () => {
+    const res = await request(app).post('/api/auth/login').send({ username: 'ann', password: 'password123' });
+    const me = await request(app).get('/api/whoami').set('Authorization', `Bearer ${res.body.token}`);
+    expect(me.body.username).toBe('ann');
+  });
+
+  test('read-only users can read but not write data or save forms', async () => {
+    const cookie = await login('ann');
+    const read = await request(app).get('/api/forms').set('Cookie', cookie).set('X-Database-ID', 'northwind');
+    expect(read.status).toBe(200);
+
+    const write = await request(app).post('/api/data/orders').set('Cookie', cookie)
+      .set('X-Database-ID', 'northwind').send({ city: 'Boston' });
+    expect(write.status).toBe(403);
+    expect(write.body).toMatchObject({ requiredRole: 'data-entry', role: 'read-only' });
+    const call = await request(app).post('/api/session/function/calc_total').set('Cookie', cookie)
+      .set('X-Database-ID', 'northwind').send({ sessionId: 's1' });
+    expect(call.status).toBe(403);
+
+    const save = await request(app).put('/api/forms/frmOrders').set('Cookie', cookie)
+      .set('X-Database-ID', 'northwind').send({ name: 'frmOrders' });
+    expect(save.status).toBe(403);
+    expect(save.body.error).toBe('Requires the designer role on database "northwind"');
+  });
+
+  test('users have no access to databases they hold no role on', async () => {
+    const cookie = await login('ann');
+    const res = await request(app).get('/api/forms').set('Cookie', cookie).set('X-Database-ID', 'payroll');
+    expect(res.status).toBe(403);
+    const sw = await request(app).post('/api/databases/switch').set('Cookie', cookie).send({ database_id: 'payroll' });
+    expect(sw.status).toBe(403);
+  });
+
+  test('designers pass the role check for DDL, saves and imports into their database', async () => {
+    const cookie = await login('dee');
+    const ddl = await request(app).delete('/api/tables/orders').set('Cookie', cookie).set('X-Database-ID', 'northwind');
+    expect([401, 403]).not.toContain(ddl.status);
+    const importOwn = await request(app).post('/api/database-import/import-table').set('Cookie', cookie)
+      .send({ targetDatabaseId: 'northwind' });
+    expect([401, 403]).not.toContain(importOwn.status);
+    const importOther = await request(app).post('/api/database-import/import-table').set('Cookie', cookie)
+      .send({ targetDatabaseId: 'payroll' });
+    expect(importOther.status).toBe(403);
+  });
+
+  test('only administrators create databases, users and grant roles', async () => {
+    const dee = await login('dee');
+    expect((await request(app).post('/api/databases').set('Cookie', dee).send({ name: 'x' })).status).toBe(403);
+    expect((await request(app).post('/api/auth/users').set('Cookie', dee).send({ username: 'x' })).status).toBe(403);
+    expect((await request(app).put('/api/auth/databases/northwind/roles/ann').set('Cookie', dee)
+      .send({ role: 'designer' })).status).toBe(403);
+
+    const root = await login('root');
+    const bad = await request(app).put('/api/auth/databases/northwind/roles/ann').set('Cookie', root).send({ role: 'owner' });
+    expect(bad.status).toBe(400);
+    const created = await request(app).post('/api/auth/users').set('Cookie', root).send({ username: 'bob', password: 'short' });
+    expect(created.status).toBe(400);
+  });
+
+  test('logout clears the cookie', async () => {
+    const res = await request(app).post('/api/auth/logout');
+    expect(res.headers['set-cookie'][0]).toMatch(/^accessclone_session=; .*Max-Age=0/);
+  });
+
+  const whoami = cookie => request(app).get('/api/whoami').set('Cookie', cookie);
+
+  test('logout ends the session, so a kept copy of the token stops working', async () => {
+    const cookie = await login('eve');
+    const other = await login('eve');
+    expect((await whoami(cookie)).status).toBe(200);
+    await request(app).post('/api/auth/logout').set('Cookie', cookie).expect(200);
+    expect((await whoami(cookie)).status).toBe(401);
+    expect((await whoami(other)).status).toBe(401);
+  });
+
+  test('changing your password ends your other sessions and renews this one', async () => {
+    const cookie = await login('eve');
+    const other = await login('eve');
+    const res = await request(app).put('/api/auth/password').set('Cookie', cookie)
+      .send({ currentPassword: 'password123', newPassword: 'password456' });
+    expect(res.status).toBe(200);
+    expect((await whoami(other)).status).toBe(401);
+    expect((await whoami(cookie)).status).toBe(401);
+    expect((await whoami(sessionCookie(res))).body.username).toBe('eve');
+  });
+
+  test('an administrator resetting a password or disabling the account ends its sessions', async () => {
+    const root = await login('root');
+    let cookie = await login('eve');
+    await request(app).put('/api/auth/users/eve').set('Cookie', root).send({ password: 'password789' }).expect(200);
+    expect((await whoami(cookie)).status).toBe(401);
+
+    cookie = await login('eve');
+    await request(app).put('/api/auth/users/eve').set('Cookie', root).send({ disabled: true }).expect(200);
+    await request(app).put('/api/auth/users/eve').set('Cookie', root).send({ disabled: false }).expect(200);
+    expect((await whoami(cookie)).status).toBe(401);
+
+    // Renaming leaves sessions alone
+    cookie = await login('eve');
+    await request(app).put('/api/auth/users/eve').set('Cookie', root).send({ displayName: 'Eve E.' }).expect(200);
+    expect((await whoami(cookie)).status).toBe(200);
+  });
+});
+
+describe('OpenID Connect sign-in', () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const issuer = 'https://idp.test';
+  let lastAuthorize;
+  let tokenRequests;
+  let extraClaims;
+
+  // A stub provider: discovery, keys and a token endpoint that signs an ID token
+  const stubFetch = jest.fn(async (url, options = {}) => {
+    const json = (body, status = 200) => ({ ok: status < 400, status, json: async () => body });
+    if (url === `${issuer}/.well-known/openid-configuration`) {
+      return json({
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`
+      });
+    }
+    if (url === `${issuer}/jwks`) {
+      return json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'k1' }] });
+    }
+    if (url === `${issuer}/token`) {
+      const body = new URLSearchParams(options.body);
+      tokenRequests.push(body);
+      const challenge = crypto.createHash('sha256').update(body.get('code_verifier')).digest('base64url');
+      if (body.get('code') !== 'good-code' || challenge !== lastAuthorize.get('code_challenge')) {
+        return json({ error: 'invalid_grant' }, 400);
+      }
+      const h = Buffer.from(JSON.stringify({ alg: 'RS256', kid: 'k1' })).toString('base64url');
+      const p = Buffer.from(JSON.stringify({
+        iss: issuer, aud: 'accessclone', sub: 'sub-42', exp: Math.floor(Date.now() / 1000) + 300,
+        nonce: lastAuthorize.get('nonce'), preferred_username: 'carol', name: 'Carol', email: 'carol@example.com',
+        ...extraClaims
+      })).toString('base64url');
+      const s = crypto.sign('sha256', Buffer.from(`${h}.${p}`), privateKey).toString('base64url');
+      return json({ id_token: `${h}.${p}.${s}`, token_type: 'Bearer' });
+    }
+    return json({}, 404);
+  });
+
+  let users;
+  let app;
+  let rootHash;
+
+  beforeAll(async () => {
+    rootHash = await hashPassword('password123');
+  });
+
+  beforeEach(() => {
+    tokenRequests = [];
+    extraClaims = {};
+    users = {};
+    const pool = createAuthPool(users, {});
+    ({ app } = createApp({
+      pool,
+      auth: {
+        enabled: true,
+        sessionSecret: SECRET,
+        fetch: stubFetch,
+        oidc: { issuer, clientId: 'accessclone', clientSecret: 's3cret', redirectUri: 'http://localhost:3001/api/auth/oidc/callback' }
+      }
+    }));
+  });
+
+  async function startLogin(returnTo = '/reports') {
+    const res = await request(app).get('/api/auth/oidc/login').query({ returnTo });
+    expect(res.status).toBe(302);
+    const location = new URL(res.headers.location);
+    lastAuthorize = location.searchParams;
+    const pending = [].concat(res.headers['set-cookie']).find(c => c.startsWith('accessclone_oidc='));
+    return { location, cookie: pending.split(';')[0] };
+  }
+
+  test('redirects to the provider with state, nonce and a PKCE challenge', async () => {
+    const { location } = await startLogin();
+    expect(location.origin + location.pathname).toBe(`${issuer}/authorize`);
+    expect(Object.fromEntries(location.searchParams)).toMatchObject({
+      response_type: 'code', client_id: 'accessclone', scope: 'openid profile email', code_challenge_method: 'S256'
+    });
+    expect(location.searchParams.get('state')).toBeTruthy();
+    expect(location.searchParams.get('nonce')).toBeTruthy();
+  });
+
+  test('the callback verifies the ID token, creates the user and starts a session', async () => {
+    const { cookie } = await startLogin();
+    const res = await request(app).get('/api/auth/oidc/callback')
+      .query({ code: 'good-code', state: lastAuthorize.get('state') }).set('Cookie', cookie);
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('/reports');
+    expect(tokenRequests[0].get('client_secret')).toBe('s3cret');
+    expect(users.carol).toMatchObject({ oidc_issuer: issuer, oidc_subject: 'sub-42', email: 'carol@example.com' });
+
+    const me = await request(app).get('/api/whoami').set('Cookie', sessionCookie(res));
+    expect(me.body).toMatchObject({ username: 'carol', displayName: 'Carol' });
+  });
+
+  test('rejects a mismatched state, a missing state cookie and failed code exchanges', async () => {
+    const { cookie } = await startLogin();
+    const wrongState = await request(app).get('/api/auth/oidc/callback')
+      .query({ code: 'good-code', state: 'forged' }).set('Cookie', cookie);
+    expect(wrongState.status).toBe(400);
+    const noCookie = await request(app).get('/api/auth/oidc/callback')
+      .query({ code: 'good-code', state: lastAuthorize.get('state') });
+    expect(noCookie.status).toBe(400);
+    const badCode = await request(app).get('/api/auth/oidc/callback')
+      .query({ code: 'bad-code', state: lastAuthorize.get('state') }).set('Cookie', cookie);
+    expect(badCode.status).toBe(401);
+  });
+
+  async function finishLogin() {
+    const { cookie } = await startLogin();
+    return request(app).get('/api/auth/oidc/callback')
+      .query({ code: 'good-code', state: lastAuthorize.get('state') }).set('Cookie', cookie);
+  }
+
+  const signedInAs = async res => (await request(app).get('/api/whoami').set('Cookie', sessionCookie(res))).body.username;
+
+  test('a user name the provider sends never claims an account set up for someone', async () => {
+    users.carol = { display_name: 'Carol', email: 'carol@corp.example', is_admin: true, disabled: false };
+    const res = await finishLogin();
+    expect(res.status).toBe(409);
+    expect(users.carol.oidc_subject).toBeUndefined();
+  });
+
+  test('a verified email links the account an administrator set up with it', async () => {
+    users.csmith = { display_name: 'C. Smith', email: 'Carol@Example.com', is_admin: false, disabled: false };
+    extraClaims = { email_verified: true };
+    const res = await finishLogin();
+    expect(res.status).toBe(302);
+    expect(users.csmith).toMatchObject({ oidc_issuer: issuer, oidc_subject: 'sub-42' });
+    expect(await signedInAs(res)).toBe('csmith');
+  });
+
+  test('an unverified email links nothing', async () => {
+    users.csmith = { display_name: 'C. Smith', email: 'carol@example.com', is_admin: true, disabled: false };
+    extraClaims = { email_verified: false };
+    const res = await finishLogin();
+    expect(res.status).toBe(302);
+    expect(users.csmith.oidc_subject).toBeUndefined();
+    expect(await signedInAs(res)).toBe('carol');
+    expect(users.carol.is_admin).toBe(false);
+  });
+
+  test('an administrator can link an identity to an account ahead of sign-in', async () => {
+    users.root = { display_name: 'Root', password_hash: rootHash, is_admin: true, disabled: false };
+    const login = await request(app).post('/api/auth/login').send({ username: 'root', password: 'password123' });
+    const created = await request(app).post('/api/auth/users').set('Cookie', sessionCookie(login))
+      .send({ username: 'csmith', oidcSubject: 'sub-42' });
+    expect(created.status).toBe(201);
+    expect(users.csmith).toMatchObject({ oidc_issuer: issuer, oidc_subject: 'sub-42', password_hash: null });
+    const taken = await request(app).post('/api/auth/users').set('Cookie', sessionCookie(login))
+      .send({ username: 'other', oidcSubject: 'sub-42' });
+    expect(taken.status).toBe(409);
+
+    expect(await signedInAs(await finishLogin())).toBe('csmith');
+  });
+
+  test('does not take over an existing local account', async () => {
+    users.carol = { display_name: 'Carol', password_hash: 'scrypt$x', is_admin: true, disabled: false };
+    const { cookie } = await startLogin();
+    const res = await request(app).get('/api/auth/oidc/callback')
+      .query({ code: 'good-code', state: lastAuthorize.get('state') }).set('Cookie', cookie);
+    expect(res.status).toBe(409);
+    expect(users.carol.oidc_subject).toBeUndefined();
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for Access-style constraint violation messages
+ * (server/lib/constraint-errors.js).
+ */
+
+const { parseKeyDetail, describeConstraintError } = require('../lib/constraint-errors');
+
+const noQueries = { query: jest.fn() };
+
+describe('parseKeyDetail', () => {
+  test('unique and foreign key details', () => {
+    expect(parseKeyDetail('Key (email)=(a@b.com) already exists.')).toEqual({
+      columns: ['email'], values: ['a@b.com'], table: null, referenced: false
+    });
+    expect(parseKeyDetail('Key (customer_id)=(ZZZ) is not present in table "customers".')).toEqual({
+      columns: ['customer_id'], values: ['ZZZ'], table: 'customers', referenced: false
+    });
+    expect(parseKeyDetail('Key (id)=(5) is still referenced from table "orders".')).toMatchObject({
+      table: 'orders', referenced: true
+    });
+  });
+
+  test('composite keys split values only when the count matches', () => {
+    expect(parseKeyDetail('Key (order_id, "Line No")=(5, 2) already exists.')).toMatchObject({
+      columns: ['order_id', 'Line No'], values: ['5', '2']
+    });
+    expect(parseKeyDetail('Key (a, b)=(x, y, z) already exists.').values).toEqual([]);
+    expect(parseKeyDetail('something else')).toBeNull();
+  });
+});
+
+describe('describeConstraintError', () => {
+  test('NOT NULL names the required field', async () => {
+    const result = await describeConstraintError(noQueries, { code: '23502', table: 'orders', column: 'customer_id' });
+    expect(result).toEqual({
+      status: 400, code: '23502', table: 'orders', constraint: null, field: 'customer_id', value: null,
+      error: "The field 'orders.customer_id' cannot contain a Null value because the Required property " +
+        'for this field is set to True. Enter a value in this field.'
+    });
+  });
+
+  test('a missing related record takes the value the request sent', async () => {
+    const result = await describeConstraintError(noQueries, {
+      code: '23503', table: 'orders', constraint: 'fk_orders_customer_id',
+      detail: 'Key (customer_id)=(ZZZ) is not present in table "customers".'
+    }, { customer_id: 'ZZZ', status: 'open' });
+    expect(result).toMatchObject({
+      status: 409, field: 'customer_id', value: 'ZZZ', constraint: 'fk_orders_customer_id',
+      error: "You cannot add or change a record because a related record is required in table 'customers'."
+    });
+  });
+
+  test('duplicates report the key value', async () => {
+    const result = await describeConstraintError(noQueries, {
+      code: '23505', table: 'customers', constraint: 'customers_pkey', detail: 'Key (id)=(7) already exists.'
+    });
+    expect(result).toMatchObject({ status: 409, field: 'id', value: '7', error: expect.stringMatching(/duplicate values/) });
+  });
+
+  test('check violations use the validation rule message', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ message: 'Must be positive', field: 'qty' }] }) };
+    const result = await describeConstraintError(pool, {
+      code: '23514', table: 'items', constraint: 'items_qty_rule', schema: 'db_nw'
+    }, { qty: -3 });
+    expect(result).toMatchObject({ status: 400, field: 'qty', value: -3, error: 'Must be positive' });
+  });
+
+  test('other errors are not constraint violations', async () => {
+    expect(await describeConstraintError(noQueries, { code: '42P01' })).toBeNull();
+    expect(noQueries.query).not.toHaveBeenCalled();
+  });
+});
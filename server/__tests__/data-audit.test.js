@@ -0,0 +1,276 @@
+/**
+ * Tests for the data audit trail: trigger SQL and helpers (server/lib/data-audit.js),
+ * turning auditing on and off (PUT /api/tables/:table/audit), and browsing and
+ * restoring a record's history (/api/data/:source/:id/history, /restore), which
+ * row policies hide like the record itself — mock pools.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const {
+  auditTriggerSql, enableAudit, recordKey, changedColumns, restorableVersion
+} = require('../lib/data-audit');
+const { requiredRole } = require('../lib/auth');
+
+// ============================================================
+// lib/data-audit.js
+// ============================================================
+
+describe('data audit helpers', () => {
+  test('the trigger passes the database id and key columns to the shared function', () => {
+    expect(auditTriggerSql('db_nw', 'order_lines', "o'brien", ['order_id', 'line_no'])).toBe(
+      'CREATE TRIGGER ac_audit AFTER INSERT OR UPDATE OR DELETE ON "db_nw"."order_lines"' +
+      " FOR EACH ROW EXECUTE PROCEDURE shared.audit_row_change('o''brien', 'order_id', 'line_no')");
+  });
+
+  test('enabling replaces any existing trigger', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    await enableAudit(client, 'db_nw', 'nw', 'orders', ['id']);
+    expect(client.query.mock.calls.map(([sql]) => sql)).toEqual([
+      'DROP TRIGGER IF EXISTS ac_audit ON "db_nw"."orders"',
+      expect.stringMatching(/^CREATE TRIGGER ac_audit .* ON "db_nw"\."orders" .*\('nw', 'id'\)$/)
+    ]);
+  });
+
+  test('record keys hold text values, as the trigger stores them', () => {
+    expect(recordKey(['order_id', 'line_no'], [5, '2'])).toEqual({ order_id: '5', line_no: '2' });
+    expect(recordKey(['id'], [null])).toEqual({ id: null });
+  });
+
+  test('changed columns compare the row before and after', () => {
+    expect(changedColumns({ id: 1, qty: 2, note: null }, { id: 1, qty: 3, note: 'x' })).toEqual(['qty', 'note']);
+    expect(changedColumns(null, { id: 1 })).toEqual([]);
+  });
+
+  test('a DELETE restores the row as it was before it', () => {
+    expect(restorableVersion({ operation: 'UPDATE', old_row: { v: 1 }, new_row: { v: 2 } })).toEqual({ v: 2 });
+    expect(restorableVersion({ operation: 'DELETE', old_row: { v: 1 }, new_row: null })).toEqual({ v: 1 });
+  });
+
+  test('designers switch auditing; readers browse history; data entry restores', () => {
+    expect(requiredRole('PUT', '/tables/orders/audit')).toBe('designer');
+    expect(requiredRole('GET', '/data/orders/7/history')).toBe('read-only');
+    expect(requiredRole('POST', '/data/orders/7/restore')).toBe('data-entry');
+  });
+});
+
+// ============================================================
+// PUT /api/tables/:table/audit
+// ============================================================
+
+describe('/api/tables/:table/audit', () => {
+  const client = { query: jest.fn(), release: jest.fn() };
+  const mockPool = { query: jest.fn(), connect: jest.fn().mockResolvedValue(client) };
+  const app = express();
+  app.use(express.json());
+  app.use('/api', (req, res, next) => { req.databaseId = 'nw'; req.schemaName = 'db_nw'; req.userId = 'root'; next(); });
+  app.use('/api', require('../routes/metadata')(mockPool));
+
+  const KEYS = { orders: ['id'], notes: [] };
+  let audited;
+
+  beforeEach(() => {
+    audited = false;
+    mockPool.query.mockReset();
+    mockPool.query.mockImplementation(async (sql, params) => {
+      if (/information_schema\.tables/.test(sql)) return { rows: params[1] in KEYS ? [{}] : [] };
+      if (/pg_trigger/.test(sql)) return { rows: audited ? [{}] : [] };
+      return { rows: [] };
+    });
+    client.query.mockReset();
+    client.query.mockImplementation(async (sql, params) =>
+      (/PRIMARY KEY/.test(sql) ? { rows: KEYS[params[0]].map(column_name => ({ column_name })) } : { rows: [] }));
+  });
+
+  const statements = () => client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 2).join(' '));
+
+  test('turning auditing on creates the trigger with the key columns', async () => {
+    const res = await request(app).put('/api/tables/orders/audit').send({ enabled: true });
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ table: 'orders', audited: true });
+    expect(statements()).toEqual(['BEGIN', 'SELECT kcu.column_name', 'DROP TRIGGER', 'CREATE TRIGGER', 'COMMIT']);
+    const create = client.query.mock.calls.find(([sql]) => /^CREATE TRIGGER/.test(sql));
+    expect(create[0]).toMatch(/audit_row_change\('nw', 'id'\)$/);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('turning it off drops the trigger', async () => {
+    const res = await request(app).put('/api/tables/orders/audit').send({ enabled: false });
+    expect(res.body).toEqual({ table: 'orders', audited: false });
+    expect(statements()).toEqual(['BEGIN', 'DROP TRIGGER', 'COMMIT']);
+  });
+
+  test('needs a table with a primary key and a boolean', async () => {
+    const noKey = await request(app).put('/api/tables/notes/audit').send({ enabled: true });
+    expect(noKey.status).toBe(400);
+    expect(noKey.body.error).toBe('Table "notes" needs a primary key to be audited');
+    expect(statements()).not.toContain('CREATE TRIGGER');
+    expect((await request(app).put('/api/tables/missing/audit').send({ enabled: true })).status).toBe(404);
+    expect((await request(app).put('/api/tables/orders/audit').send({ enabled: 'yes' })).status).toBe(400);
+  });
+
+  test('GET reports whether the table is audited', async () => {
+    audited = true;
+    const res = await request(app).get('/api/tables/orders/audit');
+    expect(res.body).toEqual({ table: 'orders', audited: true });
+    expect(mockPool.query.mock.calls[0][1]).toEqual(['db_nw', 'orders', 'ac_audit']);
+  });
+});
+
+// ============================================================
+// History and restore
+// ============================================================
+
+describe('record history /api/data/:source/:id/history and /restore', () => {
+  const PRIMARY_KEYS = { orders: ['id'], order_lines: ['order_id', 'line_no'] };
+  const COLUMNS = {
+    orders: [{ column_name: 'id', identity_generation: 'ALWAYS' }, { column_name: 'status' }, { column_name: 'total' }],
+    order_lines: [{ column_name: 'order_id' }, { column_name: 'line_no' }, { column_name: 'qty' }]
+  };
+  const ENTRIES = [
+    { id: 12, operation: 'UPDATE', old_row: { id: 7, status: 'open', total: 5 }, new_row: { id: 7, status: 'shipped', total: 5 },
+      user_id: 'ann', session_id: 'tab-1', changed_at: '2026-10-01T10:00:00.000Z' },
+    { id: 9, operation: 'INSERT', old_row: null, new_row: { id: 7, status: 'open', total: 5 },
+      user_id: 'bob', session_id: null, changed_at: '2026-09-30T09:00:00.000Z' },
+    { id: 15, operation: 'DELETE', old_row: { id: 7, status: 'shipped', total: 5, dropped_column: 1 }, new_row: null,
+      user_id: 'ann', session_id: 'tab-1', changed_at: '2026-10-02T10:00:00.000Z' }
+  ];
+
+  const client = { query: jest.fn(), release: jest.fn() };
+  const mockPool = { query: jest.fn(), connect: jest.fn().mockResolvedValue(client) };
+  const app = express();
+  app.use(express.json());
+  app.use('/api/data', (req, res, next) => { req.databaseId = 'nw'; req.schemaName = 'db_nw'; req.userId = 'ann'; next(); });
+  app.use('/api/data', require('../routes/data')(mockPool));
+
+  let storedRow;
+  let hidden;
+  let policyPasses;
+
+  beforeEach(() => {
+    storedRow = { id: 7, status: 'shipped', total: 5 };
+    hidden = false;
+    policyPasses = true;
+    mockPool.query.mockReset();
+    mockPool.query.mockImplementation(async (sql, params) => {
+      if (/PRIMARY KEY/.test(sql)) return { rows: (PRIMARY_KEYS[params[0]] || []).map(column_name => ({ column_name })) };
+      // The record as row policies let the request's user see it
+      if (/^SELECT 1 FROM "(orders|order_lines)"/.test(sql)) return { rows: storedRow && !hidden ? [{}] : [] };
+      if (/SELECT operation, old_row/.test(sql)) return { rows: [storedRow ? ENTRIES[0] : ENTRIES[2]] };
+      if (/relrowsecurity/.test(sql)) return { rows: [{ relrowsecurity: true }] };
+      if (/FROM pg_policies/.test(sql)) return { rows: [{ permissive: 'PERMISSIVE', qual: '(owner = shared.current_app_user())' }] };
+      if (/jsonb_populate_record/.test(sql)) return { rows: policyPasses ? [{}] : [] };
+      if (/information_schema\.columns/.test(sql)) return { rows: COLUMNS[params[1]] || [] };
+      if (/information_schema|shared\.view_metadata|shared\.events/.test(sql)) return { rows: [] };
+      if (/pg_trigger/.test(sql)) return { rows: [{}] };
+      if (/FROM shared\.data_audit/.test(sql)) {
+        if (/WHERE id = \$1/.test(sql)) {
+          return { rows: ENTRIES.filter(e => e.id === params[0] && params[3] === '{"id":"7"}') };
+        }
+        return { rows: params[2] === '{"id":"7"}' ? ENTRIES.slice(0, 2) : [] };
+      }
+      return { rows: [] };
+    });
+    client.query.mockReset();
+    client.query.mockImplementation(async (sql, params) => {
+      if (/FOR UPDATE/.test(sql)) return { rows: storedRow ? [storedRow] : [] };
+      if (/^\s*UPDATE/.test(sql)) return { rows: [{ ...storedRow, status: params[0], total: params[1] }] };
+      if (/^\s*INSERT/.test(sql)) {
+        if (/order_lines/.test(sql)) {
+          throw Object.assign(new Error('insert violates foreign key constraint "order_lines_order_id_fkey"'), { code: '23503' });
+        }
+        return { rows: [{ id: params[0], status: params[1], total: params[2] }] };
+      }
+      return { rows: [] };
+    });
+  });
+
+  const auditQuery = () => mockPool.query.mock.calls.find(([sql]) => /FROM shared\.data_audit/.test(sql));
+
+  test('history lists changes newest first with the columns each update changed', async () => {
+    const res = await request(app).get('/api/data/orders/7/history');
+    expect(res.status).toBe(200);
+    expect(res.body.table).toBe('orders');
+    expect(res.body.audited).toBe(true);
+    expect(res.body.history.map(e => [e.id, e.operation, e.user_id, e.changed_columns])).toEqual([
+      [12, 'UPDATE', 'ann', ['status']],
+      [9, 'INSERT', 'bob', []]
+    ]);
+    expect(auditQuery()[1]).toEqual(['nw', 'orders', '{"id":"7"}', 100]);
+  });
+
+  test('history of a composite-key record matches the key as text', async () => {
+    const key = encodeURIComponent(JSON.stringify({ line_no: 2, order_id: 5 }));
+    const res = await request(app).get(`/api/data/order_lines/${key}/history`).query({ limit: 5000 });
+    expect(res.status).toBe(200);
+    expect(auditQuery()[1]).toEqual(['nw', 'order_lines', '{"order_id":"5","line_no":"2"}', 1000]);
+    expect((await request(app).get('/api/data/order_lines/5/history')).status).toBe(400);
+  });
+
+  test('restoring an update writes that version over the current row', async () => {
+    const res = await request(app).post('/api/data/orders/7/restore').send({ auditId: 9 });
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ data: { id: 7, status: 'open', total: 5 }, restored: 'updated', auditId: 9 });
+    // The identity key column is matched on, never set
+    const update = client.query.mock.calls.find(([sql]) => /^\s*UPDATE/.test(sql));
+    expect(update[0]).toMatch(/SET "status" = \$1, "total" = \$2\s+WHERE "id" = \$3/);
+    expect(update[1]).toEqual(['open', 5, '7']);
+    expect(client.query.mock.calls.map(([sql]) => sql.trim().split(/\s/)[0])).toEqual(['BEGIN', 'SELECT', 'UPDATE', 'COMMIT']);
+  });
+
+  test('restoring a delete brings the row back with its key, skipping dropped columns', async () => {
+    storedRow = null;
+    const res = await request(app).post('/api/data/orders/7/restore').send({ auditId: 15 });
+    expect(res.status).toBe(200);
+    expect(res.body.restored).toBe('inserted');
+    const insert = client.query.mock.calls.find(([sql]) => /^\s*INSERT/.test(sql));
+    expect(insert[0]).toMatch(/INSERT INTO "orders" \("id", "status", "total"\)\s+OVERRIDING SYSTEM VALUE/);
+    expect(insert[1]).toEqual([7, 'shipped', 5]);
+  });
+
+  test("another record's entry, or an unknown one, is a 404", async () => {
+    expect((await request(app).post('/api/data/orders/8/restore').send({ auditId: 12 })).status).toBe(404);
+    expect((await request(app).post('/api/data/orders/7/restore').send({ auditId: 99 })).status).toBe(404);
+    expect((await request(app).post('/api/data/orders/7/restore').send({})).status).toBe(400);
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  test("a record row policies hide has no history and can't be restored", async () => {
+    hidden = true;
+    const history = await request(app).get('/api/data/orders/7/history');
+    expect(history.status).toBe(404);
+    expect(history.body.error).toBe('Record not found');
+    expect(auditQuery()[0]).not.toMatch(/LIMIT \$4/);
+    expect((await request(app).post('/api/data/orders/7/restore').send({ auditId: 9 })).status).toBe(404);
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  test("a deleted record's history follows the table's SELECT policies on its last version", async () => {
+    storedRow = null;
+    const res = await request(app).get('/api/data/orders/7/history');
+    expect(res.status).toBe(200);
+    const check = mockPool.query.mock.calls.find(([sql]) => /jsonb_populate_record/.test(sql));
+    expect(check[0]).toBe('SELECT 1 FROM jsonb_populate_record(NULL::"db_nw"."orders", $1::jsonb) AS "orders"' +
+      ' WHERE (((owner = shared.current_app_user())))');
+    expect(JSON.parse(check[1][0])).toEqual(ENTRIES[2].old_row);
+
+    policyPasses = false;
+    expect((await request(app).get('/api/data/orders/7/history')).status).toBe(404);
+    expect((await request(app).post('/api/data/orders/7/restore').send({ auditId: 15 })).status).toBe(404);
+  });
+
+  test('a version that breaks a constraint is a 409 and nothing is written', async () => {
+    storedRow = null;
+    ENTRIES.push({ id: 20, operation: 'DELETE', old_row: { order_id: 5, line_no: 2, qty: 1 }, new_row: null });
+    mockPool.query.mockImplementation(async (sql, params) => {
+      if (/PRIMARY KEY/.test(sql)) return { rows: (PRIMARY_KEYS[params[0]] || []).map(column_name => ({ column_name })) };
+      if (/information_schema\.columns/.test(sql)) return { rows: COLUMNS[params[1]] || [] };
+      if (/FROM shared\.data_audit/.test(sql)) return { rows: ENTRIES.filter(e => e.id === params[0]) };
+      return { rows: [] };
+    });
+    const res = await request(app).post(`/api/data/order_lines/${encodeURIComponent('[5,2]')}/restore`).send({ auditId: 20 });
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatch(/^This version can't be restored: insert violates foreign key/);
+    expect(client.query.mock.calls.map(([sql]) => sql.trim().split(/\s/)[0])).toEqual(['BEGIN', 'SELECT', 'INSERT', 'ROLLBACK']);
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * Tests for export row writers (server/lib/data-export.js)
+ * and GET /api/data/:source/export (mock pool — no real database needed).
+ */
+
+const express = require('express');
+const request = require('supertest');
+const zlib = require('zlib');
+const {
+  createRowWriter, exportFilename, csvField, formatDateTime,
+  columnLetters, excelSerial, zipEntries, crc32
+} = require('../lib/data-export');
+
+async function writerChunks(format, fields, batches, name) {
+  const writer = createRowWriter(format, name);
+  const chunks = [await writer.begin(fields)];
+  for (const batch of batches) chunks.push(await writer.rows(batch));
+  chunks.push(await writer.end());
+  return chunks.map(c => Buffer.isBuffer(c) ? c : Buffer.from(c, 'utf8'));
+}
+
+async function runWriter(format, fields, batches, name) {
+  return Buffer.concat(await writerChunks(format, fields, batches, name));
+}
+
+/** Read one entry back out of a zip via its central directory, checking the CRC. */
+function unzipEntry(zip, entryName) {
+  const end = zip.length - 22;
+  expect(zip.readUInt32LE(end)).toBe(0x06054b50);
+  let offset = zip.readUInt32LE(end + 16);
+  for (let n = 0; n < zip.readUInt16LE(end + 10); n++) {
+    const flags = zip.readUInt16LE(offset + 8);
+    const crc = zip.readUInt32LE(offset + 16);
+    const compressedSize = zip.readUInt32LE(offset + 20);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const localOffset = zip.readUInt32LE(offset + 42);
+    const name = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+    if (name === entryName) {
+      const start = localOffset + 30 + zip.readUInt16LE(localOffset + 26);
+      const data = zlib.inflateRawSync(zip.subarray(start, start + compressedSize));
+      expect(crc32(data)).toBe(crc);
+      if (flags & 0x0008) {
+        // Streamed entry: the data descriptor repeats the CRC and sizes
+        expect(zip.readUInt32LE(start + compressedSize)).toBe(0x08074b50);
+        expect(zip.readUInt32LE(start + compressedSize + 4)).toBe(crc);
+        expect(zip.readUInt32LE(start + compressedSize + 12)).toBe(data.length);
+      }
+      return data.toString('utf8');
+    }
+    offset += 46 + nameLength + zip.readUInt16LE(offset + 30) + zip.readUInt16LE(offset + 32);
+  }
+  return null;
+}
+
+// ============================================================
+// Writers
+// ============================================================
+
+describe('CSV writer', () => {
+  test('quotes fields per RFC 4180', () => {
+    expect(csvField('plain')).toBe('plain');
+    expect(csvField('a,b')).toBe('"a,b"');
+    expect(csvField('say "hi"')).toBe('"say ""hi"""');
+    expect(csvField('two\nlines')).toBe('"two\nlines"');
+    expect(csvField(' padded')).toBe('" padded"');
+    expect(csvField(null)).toBe('');
+    expect(csvField(12.5)).toBe('12.5');
+  });
+
+  test('text a spreadsheet would evaluate gets a leading apostrophe', () => {
+    expect(csvField('=HYPERLINK("http://x","y")')).toBe('"\'=HYPERLINK(""http://x"",""y"")"');
+    expect(csvField('+1')).toBe("'+1");
+    expect(csvField('-2+3')).toBe("'-2+3");
+    expect(csvField('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(csvField('\t=1')).toBe("'\t=1");
+    expect(csvField('a=b')).toBe('a=b');
+    expect(csvField(-5)).toBe('-5');
+    expect(csvField('-19.95', true)).toBe('-19.95');
+  });
+
+  test('writes a BOM, header row and CRLF line endings', async () => {
+    const out = (await runWriter('csv', [{ name: 'id' }, { name: 'name' }],
+      [[{ id: 1, name: 'Smith, J' }], [{ id: 2, name: null }]])).toString('utf8');
+    expect(out).toBe('\uFEFFid,name\r\n1,"Smith, J"\r\n2,\r\n');
+  });
+
+  test('numeric columns keep their sign; text columns are defused', async () => {
+    const out = (await runWriter('csv', [{ name: 'total', dataTypeID: 1700 }, { name: 'note', dataTypeID: 25 }],
+      [[{ total: '-19.95', note: '=1+1' }]])).toString('utf8');
+    expect(out).toBe("\uFEFFtotal,note\r\n-19.95,'=1+1\r\n");
+  });
+
+  test('formats dates without a time part as dates', () => {
+    expect(formatDateTime(new Date(2024, 0, 5))).toBe('2024-01-05');
+    expect(formatDateTime(new Date(2024, 0, 5, 13, 4, 9))).toBe('2024-01-05 13:04:09');
+  });
+});
+
+describe('JSON writer', () => {
+  test('streams a single array across batches', async () => {
+    const out = (await runWriter('json', [{ name: 'id' }], [[{ id: 1 }, { id: 2 }], [{ id: 3 }]])).toString('utf8');
+    expect(JSON.parse(out)).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+  });
+
+  test('writes an empty array when there are no rows', async () => {
+    expect(JSON.parse((await runWriter('json', [], [[]])).toString('utf8'))).toEqual([]);
+  });
+});
+
+describe('XLSX writer', () => {
+  test('column letters and Excel serial dates', () => {
+    expect(columnLetters(0)).toBe('A');
+    expect(columnLetters(25)).toBe('Z');
+    expect(columnLetters(26)).toBe('AA');
+    expect(columnLetters(701)).toBe('ZZ');
+    expect(columnLetters(702)).toBe('AAA');
+    expect(excelSerial(new Date(1900, 2, 1))).toBe(61);
+    expect(excelSerial(new Date(2024, 0, 1, 12))).toBe(45292.5);
+  });
+
+  test('crc32 matches the standard check value', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xCBF43926);
+  });
+
+  test('zipEntries round-trips entries', () => {
+    const zip = zipEntries([{ name: 'a.txt', data: 'hello' }, { name: 'b/c.txt', data: 'world' }]);
+    expect(zip.readUInt32LE(0)).toBe(0x04034b50);
+    expect(zip.readUInt32LE(zip.length - 22)).toBe(0x06054b50);
+    expect(zip.readUInt16LE(zip.length - 12)).toBe(2);
+    expect(unzipEntry(zip, 'b/c.txt')).toBe('world');
+  });
+
+  test('builds a workbook with a bold header and typed cells', async () => {
+    const fields = [
+      { name: 'id', dataTypeID: 23 },
+      { name: 'total', dataTypeID: 1700 },
+      { name: 'name', dataTypeID: 25 },
+      { name: 'ordered', dataTypeID: 1082 },
+      { name: 'paid', dataTypeID: 16 }
+    ];
+    const zip = await runWriter('xlsx', fields, [[
+      { id: 1, total: '19.95', name: 'Fish & <Chips>', ordered: new Date(2024, 0, 1), paid: true },
+      { id: 2, total: null, name: '007', ordered: null, paid: false }
+    ]], 'orders');
+
+    expect(unzipEntry(zip, '[Content_Types].xml')).toContain('/xl/worksheets/sheet1.xml');
+    expect(unzipEntry(zip, 'xl/workbook.xml')).toContain('<sheet name="orders"');
+    const sheet = unzipEntry(zip, 'xl/worksheets/sheet1.xml');
+    expect(sheet).toContain('<c r="A1" t="inlineStr" s="3"><is><t>id</t></is></c>');
+    expect(sheet).toContain('state="frozen"');
+    expect(sheet).toContain('<c r="A2"><v>1</v></c>');
+    expect(sheet).toContain('<c r="B2"><v>19.95</v></c>');
+    expect(sheet).toContain('<t xml:space="preserve">Fish &amp; &lt;Chips&gt;</t>');
+    expect(sheet).toContain('<c r="D2" s="2"><v>45292</v></c>');
+    expect(sheet).toContain('<c r="E2" t="b"><v>1</v></c>');
+    // Text columns stay text even when they look numeric
+    expect(sheet).toContain('<c r="C3" t="inlineStr"><is><t xml:space="preserve">007</t></is></c>');
+    expect(sheet).not.toContain('r="B3"');
+  });
+
+  test('rows go out deflated batch by batch, not all at the end', async () => {
+    const row = n => ({ id: n, note: `row ${n} `.repeat(20) + Math.random().toString(36) });
+    const batches = [0, 1, 2].map(b => Array.from({ length: 2000 }, (_, i) => row(b * 2000 + i)));
+    const chunks = await writerChunks('xlsx', [{ name: 'id', dataTypeID: 23 }, { name: 'note', dataTypeID: 25 }], batches, 'big');
+    const zip = Buffer.concat(chunks);
+    expect(chunks.slice(1, -1).every(c => c.length > 0)).toBe(true);
+    expect(chunks[chunks.length - 1].length).toBeLessThan(zip.length / 2);
+
+    const sheet = unzipEntry(zip, 'xl/worksheets/sheet1.xml');
+    expect(sheet).toMatch(/^<\?xml[\s\S]*<row r="6001">[\s\S]*<\/sheetData><\/worksheet>$/);
+    expect(sheet.match(/<row /g)).toHaveLength(6001);
+  });
+
+  test('an export with no result columns is still a workbook', async () => {
+    const writer = createRowWriter('xlsx', 'empty');
+    const zip = await writer.end();
+    expect(unzipEntry(zip, 'xl/worksheets/sheet1.xml')).toContain('<sheetData><row r="1"></row></sheetData>');
+  });
+
+  test('sheet names drop characters Excel rejects', async () => {
+    const zip = await runWriter('xlsx', [], [], 'Q1/Q2 [draft]: a very long name indeed');
+    expect(unzipEntry(zip, 'xl/workbook.xml')).toContain('<sheet name="Q1_Q2 _draft__ a very long name"');
+  });
+});
+
+describe('exportFilename', () => {
+  test('keeps a safe base name and applies the format extension', () => {
+    expect(exportFilename('C:\\Exports\\Orders 2024.xls', 'orders', 'xlsx')).toBe('Orders 2024.xlsx');
+    expect(exportFilename('../../etc/passwd', 'orders', 'csv')).toBe('passwd.csv');
+    expect(exportFilename('na"me;x', 'orders', 'json')).toBe('na_me_x.json');
+    expect(exportFilename(undefined, 'orders', 'csv')).toBe('orders.csv');
+  });
+});
+
+// ============================================================
+// GET /api/data/:source/export
+// ============================================================
+
+describe('GET /api/data/:source/export', () => {
+  // routes/data.js keeps a module-level router, so build the app once
+  const client = { query: jest.fn(), release: jest.fn() };
+  const mockPool = { query: jest.fn(), connect: jest.fn().mockResolvedValue(client) };
+  const app = express();
+  app.use(express.json());
+  app.use('/api/data', require('../routes/data')(mockPool));
+
+  const fields = [{ name: 'id', dataTypeID: 23 }, { name: 'city', dataTypeID: 25 }];
+
+  beforeEach(() => {
+    mockPool.query.mockImplementation(async (sql, params) => {
+      if (/PRIMARY KEY/.test(sql) && params[0] === 'orders') return { rows: [{ column_name: 'id' }] };
+      return { rows: [] };
+    });
+    client.query.mockReset();
+    client.query.mockImplementation(async (sql) => {
+      if (/^SELECT COUNT/.test(sql)) return { rows: [{ count: '2' }] };
+      if (/^FETCH/.test(sql)) return { rows: [{ id: 1, city: 'Boston' }, { id: 2, city: 'Salem, MA' }], fields };
+      return { rows: [] };
+    });
+  });
+
+  test('streams CSV with the list route filter and sort, without a count or limit', async () => {
+    const res = await request(app).get('/api/data/orders/export').query({
+      format: 'csv', accessFilter: '[City] Like "S*"', orderBy: '[City] DESC', filename: 'Orders Q1'
+    });
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="Orders Q1.csv"');
+    expect(res.text).toBe('\uFEFFid,city\r\n1,Boston\r\n2,"Salem, MA"\r\n');
+    const declare = client.query.mock.calls.find(([sql]) => /^DECLARE/.test(sql));
+    expect(declare[0]).toBe('DECLARE data_stream NO SCROLL CURSOR FOR SELECT * FROM "orders" ' +
+      'WHERE "city" ILIKE $1 ORDER BY "city" DESC');
+    expect(declare[1]).toEqual(['S%']);
+    expect(client.query.mock.calls.some(([sql]) => /COUNT/.test(sql))).toBe(false);
+  });
+
+  test('defaults to CSV named after the source', async () => {
+    const res = await request(app).get('/api/data/orders/export');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="orders.csv"');
+  });
+
+  test('JSON export is a single array', async () => {
+    const res = await request(app).get('/api/data/orders/export').query({ format: 'json' });
+    expect(res.status).toBe(200);
+    expect(JSON.parse(res.text)).toEqual([{ id: 1, city: 'Boston' }, { id: 2, city: 'Salem, MA' }]);
+  });
+
+  test('XLSX export is a zip capped at the sheet row limit', async () => {
+    const res = await request(app).get('/api/data/orders/export').query({ format: 'xlsx' })
+      .buffer(true).parse((r, cb) => {
+        const chunks = [];
+        r.on('data', c => chunks.push(c));
+        r.on('end', () => cb(null, Buffer.concat(chunks)));
+      });
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="orders.xlsx"');
+    expect(res.body.readUInt32LE(0)).toBe(0x04034b50);
+    expect(unzipEntry(res.body, 'xl/worksheets/sheet1.xml')).toContain('Salem, MA');
+    const declare = client.query.mock.calls.find(([sql]) => /^DECLARE/.test(sql));
+    expect(declare[0]).toMatch(/FROM "orders" LIMIT \$1$/);
+    expect(declare[1]).toEqual([1048575]);
+  });
+
+  test('XLSX export of more rows than a sheet holds is a 413, not a cut-off file', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (/^SELECT COUNT/.test(sql)) return { rows: [{ count: '1048576' }] };
+      return { rows: [] };
+    });
+    const res = await request(app).get('/api/data/orders/export').query({ format: 'xlsx' });
+    expect(res.status).toBe(413);
+    expect(res.body.error).toMatch(/1048576 rows don't fit on one Excel sheet/);
+    expect(res.headers['content-disposition']).toBeUndefined();
+    expect(client.query.mock.calls.some(([sql]) => /^DECLARE/.test(sql))).toBe(false);
+  });
+
+  test('XLSX export with a limit that fits a sheet is not counted', async () => {
+    const res = await request(app).get('/api/data/orders/export').query({ format: 'xlsx', limit: 1000 });
+    expect(res.status).toBe(200);
+    expect(client.query.mock.calls.some(([sql]) => /COUNT/.test(sql))).toBe(false);
+  });
+
+  test('rejects unknown formats', async () => {
+    const res = await request(app).get('/api/data/orders/export').query({ format: 'pdf' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Unsupported export format "pdf"/);
+  });
+
+  test('reports a bad filter before any file is sent', async () => {
+    const res = await request(app).get('/api/data/orders/export').query({ accessFilter: 'Shell("x") = 1' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Unsupported function/);
+    expect(res.headers['content-disposition']).toBeUndefined();
+  });
+});
@@ -0,0 +1,397 @@
+/**
+ * Tests for filter/search/sort compilation (server/lib/data-filter.js)
+ * and its use in GET /api/data/:source (mock pool — no real database needed).
+ */
+
+const express = require('express');
+const request = require('supertest');
+const {
+  compileFilter, translateAccessFilter, compileSearch, compileOrderBy, parseAccessDate,
+  encodeCursor, decodeCursor, compileKeyset
+} = require('../lib/data-filter');
+
+function expectFilterError(fn, pattern) {
+  let caught;
+  try { fn(); } catch (e) { caught = e; }
+  expect(caught).toBeDefined();
+  expect(caught.code).toBe('EFILTER');
+  if (pattern) expect(caught.message).toMatch(pattern);
+}
+
+// ============================================================
+// Structured filter
+// ============================================================
+
+describe('compileFilter', () => {
+  test('column map keeps equality semantics', () => {
+    const params = [];
+    expect(compileFilter('{"City":"Boston","Region":null}', params))
+      .toBe('"city" = $1 AND "region" IS NULL');
+    expect(params).toEqual(['Boston']);
+  });
+
+  test('comparison, IN, BETWEEN and LIKE operators', () => {
+    const params = [];
+    const sql = compileFilter([
+      { column: 'total', op: '>=', value: 100 },
+      { column: 'status', op: 'in', value: ['open', 'held'] },
+      { column: 'shipped', op: 'between', value: ['2024-01-01', '2024-12-31'] },
+      { column: 'name', op: 'ilike', value: 'sm%' },
+      { column: 'notes', op: 'is not null' }
+    ], params);
+    expect(sql).toBe('("total" >= $1) AND ("status" = ANY($2)) AND ' +
+      '("shipped" BETWEEN $3 AND $4) AND ("name" ILIKE $5) AND ("notes" IS NOT NULL)');
+    expect(params).toEqual([100, ['open', 'held'], '2024-01-01', '2024-12-31', 'sm%']);
+  });
+
+  test('nests and/or/not', () => {
+    const params = [];
+    const sql = compileFilter({
+      or: [
+        { and: [{ column: 'a', value: 1 }, { column: 'b', op: '<>', value: 2 }] },
+        { not: { column: 'c', op: 'not in', value: [3] } }
+      ]
+    }, params);
+    expect(sql).toBe('(("a" = $1) AND ("b" <> $2)) OR (NOT ("c" <> ALL($3)))');
+  });
+
+  test('continues parameter numbering from existing params', () => {
+    const params = ['x'];
+    expect(compileFilter({ id: 5 }, params)).toBe('"id" = $2');
+  });
+
+  test('empty IN list matches nothing', () => {
+    expect(compileFilter({ column: 'id', op: 'in', value: [] }, [])).toBe('false');
+  });
+
+  test('rejects bad column names, operators and shapes', () => {
+    expectFilterError(() => compileFilter({ 'a; drop': 1 }, []), /Invalid column/);
+    expectFilterError(() => compileFilter({ column: 'a', op: 'regex', value: 'x' }, []), /operator/);
+    expectFilterError(() => compileFilter({ column: 'a', op: 'between', value: [1] }, []), /low, high/);
+    expectFilterError(() => compileFilter('{not json', []), /JSON/);
+  });
+});
+
+// ============================================================
+// Access Filter strings
+// ============================================================
+
+describe('translateAccessFilter', () => {
+  test('parameterizes literals and quotes columns', () => {
+    const params = [];
+    const sql = translateAccessFilter('[Company Name] = "O""Brien" And [Total] > 10.5', params);
+    expect(sql).toBe('"company_name" = $1 AND "total" > 10.5');
+    expect(params).toEqual(['O"Brien']);
+  });
+
+  test('converts Like wildcards and uses ILIKE', () => {
+    const params = [];
+    expect(translateAccessFilter("[Name] Not Like 'Sm?th*'", params)).toBe('"name" NOT ILIKE $1');
+    expect(params).toEqual(['Sm_th%']);
+  });
+
+  test('date literals, Between, In and Is Null', () => {
+    const params = [];
+    const sql = translateAccessFilter(
+      '[OrderDate] Between #1/2/2024# And #2024-03-04 1:05 PM# And [Region] In ("East", "West") Or [Region] Is Null',
+      params);
+    expect(sql).toBe('"orderdate" BETWEEN $1::date AND $2::timestamp AND "region" IN ($3, $4) OR "region" IS NULL');
+    expect(params).toEqual(['2024-01-02', '2024-03-04 13:05:00', 'East', 'West']);
+  });
+
+  test('drops table qualifiers', () => {
+    expect(translateAccessFilter('[Orders].[City] = "X" And Orders.Total > 1', []))
+      .toBe('"city" = $1 AND "total" > 1');
+  });
+
+  test('translates Access functions through the function table', () => {
+    const params = [];
+    const sql = translateAccessFilter('Year([OrderDate]) = 2024 And Nz([Discount], 0) > 0 And [Due] < Date()', params);
+    expect(sql).toBe('EXTRACT(YEAR FROM "orderdate")::integer = 2024 AND COALESCE("discount", 0) > 0 AND "due" < CURRENT_DATE');
+    expect(params).toEqual([]);
+  });
+
+  test('inlines simple string arguments of functions', () => {
+    const params = [];
+    expect(translateAccessFilter('Format([d], "yyyy") = "2024"', params))
+      .toBe("to_char(\"d\", 'yyyy') = $1");
+    expect(params).toEqual(['2024']);
+  });
+
+  test('rejects anything outside the grammar', () => {
+    expectFilterError(() => translateAccessFilter('[a] = 1; DROP TABLE x', []), /Unexpected character/);
+    expectFilterError(() => translateAccessFilter('[a] = Forms!frmMain!txtId', []), /Form and control/);
+    expectFilterError(() => translateAccessFilter('Shell("calc") = 1', []), /Unsupported function/);
+    expectFilterError(() => translateAccessFilter('([a] = 1', []), /Unbalanced/);
+    expectFilterError(() => translateAccessFilter('[a] = "open', []), /Unterminated/);
+  });
+
+  test('empty string yields no condition', () => {
+    expect(translateAccessFilter('  ', [])).toBeNull();
+  });
+});
+
+describe('parseAccessDate', () => {
+  test('US and ISO forms', () => {
+    expect(parseAccessDate('12/31/2023')).toEqual({ value: '2023-12-31', hasTime: false });
+    expect(parseAccessDate('2023-1-5 12:30 AM')).toEqual({ value: '2023-01-05 00:30:00', hasTime: true });
+    expect(parseAccessDate('tomorrow')).toBeNull();
+  });
+});
+
+// ============================================================
+// Search and ORDER BY
+// ============================================================
+
+describe('compileSearch', () => {
+  test('searches listed columns or the whole row, escaping wildcards', () => {
+    const params = [];
+    expect(compileSearch('50%', ['Name', 'notes'], '"t"', params))
+      .toBe('"name"::text ILIKE $1 OR "notes"::text ILIKE $1');
+    expect(params).toEqual(['%50\\%%']);
+    expect(compileSearch('x', null, '"orders"', [])).toBe('"orders"::text ILIKE $1');
+    expect(compileSearch('', null, '"orders"', [])).toBeNull();
+  });
+});
+
+describe('compileOrderBy', () => {
+  test('Access OrderBy strings with several columns', () => {
+    expect(compileOrderBy('[Company Name] DESC, Orders.City')).toBe('"company_name" DESC, "city" ASC');
+  });
+
+  test('legacy single column with orderDir', () => {
+    expect(compileOrderBy('name', 'desc')).toBe('"name" DESC');
+  });
+
+  test('JSON arrays of strings or objects', () => {
+    expect(compileOrderBy('["a desc", {"column": "b"}]')).toBe('"a" DESC, "b" ASC');
+    expect(compileOrderBy([{ column: 'b', dir: 'desc' }])).toBe('"b" DESC');
+  });
+
+  test('rejects invalid columns and directions', () => {
+    expectFilterError(() => compileOrderBy('[2nd Field]'), /Invalid column/);
+    expectFilterError(() => compileOrderBy([{ column: 'a', dir: 'sideways' }]), /direction/);
+  });
+});
+
+// ============================================================
+// Keyset pagination
+// ============================================================
+
+describe('keyset cursors', () => {
+  test('round-trip through an opaque token', () => {
+    const token = encodeCursor(['Smith', 42]);
+    expect(token).not.toMatch(/Smith/);
+    expect(decodeCursor(token, 2)).toEqual(['Smith', 42]);
+  });
+
+  test('reject tampered or mismatched cursors', () => {
+    expectFilterError(() => decodeCursor('not-a-cursor', 1), /Invalid cursor/);
+    expectFilterError(() => decodeCursor(encodeCursor([1]), 2), /sort order/);
+  });
+
+  test('expands mixed directions and NULL positions', () => {
+    const params = [];
+    const sql = compileKeyset(
+      [{ column: 'region', dir: 'DESC' }, { column: 'total', dir: 'ASC' }, { column: 'id', dir: 'ASC' }],
+      [null, 10, 7], params);
+    expect(sql).toBe('("region" IS NOT NULL) OR ' +
+      '("region" IS NULL AND ("total" > $1 OR "total" IS NULL)) OR ' +
+      '("region" IS NULL AND "total" = $2 AND ("id" > $3 OR "id" IS NULL))');
+    expect(params).toEqual([10, 10, 7]);
+  });
+});
+
+// ============================================================
+// GET /api/data/:source
+// ============================================================
+
+describe('GET /api/data/:source', () => {
+  // routes/data.js keeps a module-level router, so build the app once
+  const client = { query: jest.fn(), release: jest.fn() };
+  const mockPool = { query: jest.fn(), connect: jest.fn().mockResolvedValue(client) };
+  const app = express();
+  app.use(express.json());
+  app.use('/api/data', require('../routes/data')(mockPool));
+
+  beforeEach(() => {
+    // "orders" has primary key id; "logs" has none
+    mockPool.query.mockImplementation(async (sql, params) => {
+      if (/PRIMARY KEY/.test(sql) && params[0] === 'orders') return { rows: [{ column_name: 'id' }] };
+      return { rows: [] };
+    });
+    client.query.mockReset();
+    client.query.mockImplementation(async (sql) => {
+      if (/^SELECT COUNT/.test(sql)) return { rows: [{ count: '1' }] };
+      if (/^SELECT (t\.)?\*/.test(sql)) return { rows: [{ id: 1 }] };
+      return { rows: [] };
+    });
+  });
+
+  function dataCalls() {
+    return client.query.mock.calls.filter(([sql]) => /^SELECT ((t\.)?\*|COUNT)/.test(sql));
+  }
+
+  test('combines filter, accessFilter and orderBy into one WHERE for both queries', async () => {
+    const res = await request(app).get('/api/data/orders').query({
+      filter: JSON.stringify({ column: 'status', op: 'in', value: ['open'] }),
+      accessFilter: '[Total] > 100',
+      orderBy: '[Region], [Total] DESC',
+      limit: 10
+    });
+    expect(res.status).toBe(200);
+    const [[countSql, countParams], [dataSql, dataParams]] = dataCalls();
+    expect(dataSql).toBe('SELECT * FROM "orders" WHERE ("status" = ANY($1)) AND ("total" > 100) ' +
+      'ORDER BY "region" ASC, "total" DESC LIMIT $2 OFFSET $3');
+    // One row past the limit signals hasMore
+    expect(dataParams).toEqual([['open'], 11, 0]);
+    expect(countSql).toBe('SELECT COUNT(*) FROM "orders" WHERE ("status" = ANY($1)) AND ("total" > 100)');
+    expect(countParams).toEqual([['open']]);
+  });
+
+  test('whole-row search uses the alias when computed columns are present', async () => {
+    await request(app).get('/api/data/orders').query({
+      search: 'bos',
+      computed: JSON.stringify([{ fn: 'calc_total', alias: 'grand', params: ['id'] }])
+    });
+    const [[countSql], [dataSql]] = dataCalls();
+    expect(dataSql).toContain('FROM "orders" t WHERE t::text ILIKE $1');
+    expect(countSql).toBe('SELECT COUNT(*) FROM "orders" t WHERE t::text ILIKE $1');
+  });
+
+  test('returns 400 for a filter outside the grammar', async () => {
+    const res = await request(app).get('/api/data/orders').query({ accessFilter: 'Shell("x") = 1' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Unsupported function/);
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  test('returns 400 when a filter names an unknown column', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (/^SELECT \*/.test(sql)) {
+        const err = new Error('column "nope" does not exist');
+        err.code = '42703';
+        throw err;
+      }
+      if (/^SELECT COUNT/.test(sql)) return { rows: [{ count: '0' }] };
+      return { rows: [] };
+    });
+    const res = await request(app).get('/api/data/orders').query({ filter: '{"nope":1}' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/nope/);
+  });
+
+  test('cursor mode orders by the sort plus primary key and returns nextCursor', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (/^SELECT COUNT/.test(sql)) return { rows: [{ count: '3' }] };
+      if (/^SELECT \*/.test(sql)) {
+        return { rows: [
+          { id: 1, name: 'a', __cursor: ['a', 1] },
+          { id: 2, name: 'b', __cursor: ['b', 2] },
+          { id: 3, name: 'c', __cursor: ['c', 3] }
+        ] };
+      }
+      return { rows: [] };
+    });
+    const res = await request(app).get('/api/data/orders').query({ cursor: '', orderBy: 'name', limit: 2 });
+    expect(res.status).toBe(200);
+    const [, [dataSql, dataParams]] = dataCalls();
+    expect(dataSql).toBe('SELECT *, json_build_array("name", "id") AS "__cursor" FROM "orders" ' +
+      'ORDER BY "name" ASC, "id" ASC LIMIT $1');
+    expect(dataParams).toEqual([3]);
+    expect(res.body.data).toEqual([{ id: 1, name: 'a' }, { id: 2, name: 'b' }]);
+    expect(res.body.pagination.hasMore).toBe(true);
+    expect(decodeCursor(res.body.pagination.nextCursor, 2)).toEqual(['b', 2]);
+  });
+
+  test('following a cursor adds the keyset condition to the data query only', async () => {
+    const res = await request(app).get('/api/data/orders').query({
+      cursor: encodeCursor(['b', 2]), orderBy: 'name', filter: '{"region":"East"}', limit: 2
+    });
+    expect(res.status).toBe(200);
+    const [[countSql, countParams], [dataSql, dataParams]] = dataCalls();
+    expect(countSql).toBe('SELECT COUNT(*) FROM "orders" WHERE "region" = $1');
+    expect(countParams).toEqual(['East']);
+    expect(dataSql).toContain('WHERE ("region" = $1) AND ((("name" > $2 OR "name" IS NULL)) OR ' +
+      '("name" = $3 AND ("id" > $4 OR "id" IS NULL)))');
+    expect(dataParams).toEqual(['East', 'b', 'b', 2, 3]);
+    expect(res.body.pagination.nextCursor).toBeNull();
+  });
+
+  test('cursor mode needs a primary key or an orderBy', async () => {
+    const res = await request(app).get('/api/data/logs').query({ cursor: '' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/primary key/);
+  });
+
+  test('count=false skips the COUNT query', async () => {
+    const res = await request(app).get('/api/data/orders').query({ count: 'false' });
+    expect(res.status).toBe(200);
+    expect(client.query.mock.calls.some(([sql]) => /COUNT/.test(sql))).toBe(false);
+    expect(res.body.pagination.totalCount).toBeNull();
+    expect(res.body.pagination.hasMore).toBe(false);
+  });
+
+  test('stream=ndjson streams rows through a server-side cursor', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (/^SELECT COUNT/.test(sql)) return { rows: [{ count: '2' }] };
+      if (/^FETCH/.test(sql)) return { rows: [{ id: 1 }, { id: 2 }] };
+      return { rows: [] };
+    });
+    const res = await request(app).get('/api/data/orders').query({ stream: 'ndjson', orderBy: 'id' });
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/application\/x-ndjson/);
+    expect(res.headers['x-total-count']).toBe('2');
+    expect(res.text).toBe('{"id":1}\n{"id":2}\n');
+    const sqls = client.query.mock.calls.map(([sql]) => sql);
+    expect(sqls).toContain('DECLARE data_stream NO SCROLL CURSOR FOR SELECT * FROM "orders" ORDER BY "id" ASC');
+    expect(sqls).toContain('CLOSE data_stream');
+    expect(sqls[sqls.length - 1]).toBe('COMMIT');
+  });
+
+  test('a streamed keyset read ends with the next cursor', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (/^FETCH/.test(sql)) {
+        return { rows: [
+          { id: 1, name: 'a', __cursor: ['a', 1] },
+          { id: 2, name: 'b', __cursor: ['b', 2] },
+          { id: 3, name: 'c', __cursor: ['c', 3] }
+        ] };
+      }
+      return { rows: [] };
+    });
+    const res = await request(app).get('/api/data/orders')
+      .query({ stream: 'ndjson', cursor: '', orderBy: 'name', limit: 2, count: 'false' });
+    expect(res.status).toBe(200);
+    const lines = res.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.slice(0, 2)).toEqual([{ id: 1, name: 'a' }, { id: 2, name: 'b' }]);
+    expect(decodeCursor(lines[2].__meta.nextCursor, 2)).toEqual(['b', 2]);
+    const declare = client.query.mock.calls.find(([sql]) => /^DECLARE/.test(sql));
+    expect(declare[1]).toEqual([3]);
+  });
+
+  test('a streamed keyset read of the last page sends a null cursor', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (/^FETCH/.test(sql)) return { rows: [{ id: 3, name: 'c', __cursor: ['c', 3] }] };
+      return { rows: [] };
+    });
+    const res = await request(app).get('/api/data/orders')
+      .query({ stream: 'ndjson', cursor: encodeCursor(['b', 2]), orderBy: 'name', limit: 2, count: 'false' });
+    expect(res.text).toBe('{"id":3,"name":"c"}\n{"__meta":{"nextCursor":null}}\n');
+  });
+
+  test('a failure after streaming started is an in-band __meta error line', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (/^FETCH/.test(sql)) {
+        if (client.query.mock.calls.filter(([s]) => /^FETCH/.test(s)).length > 1) throw new Error('connection lost');
+        return { rows: Array.from({ length: 500 }, (_, i) => ({ error: `row ${i}` })) };
+      }
+      return { rows: [] };
+    });
+    const res = await request(app).get('/api/data/orders').query({ stream: 'ndjson', count: 'false' });
+    const lines = res.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toHaveLength(501);
+    expect(lines[0]).toEqual({ error: 'row 0' });
+    expect(lines[500]).toEqual({ __meta: { error: 'Failed to fetch data' } });
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * Tests for spreadsheet import (server/lib/data-import.js) and
+ * POST /api/tables/:table/import[/preview] (mock pool — no real database needed).
+ */
+
+const express = require('express');
+const request = require('supertest');
+const {
+  parseCsv, parseXlsx, parseUpload, suggestMapping, inferFieldType, coerceValue
+} = require('../lib/data-import');
+const { createRowWriter, zipEntries } = require('../lib/data-export');
+
+async function xlsxBase64(fields, rows) {
+  const writer = createRowWriter('xlsx', 'Sheet1');
+  const chunks = [await writer.begin(fields), await writer.rows(rows), await writer.end()];
+  return Buffer.concat(chunks.map(c => Buffer.isBuffer(c) ? c : Buffer.from(c))).toString('base64');
+}
+
+// ============================================================
+// Parsing
+// ============================================================
+
+describe('parseCsv', () => {
+  test('handles quotes, embedded delimiters and line breaks', () => {
+    expect(parseCsv('\uFEFFname,notes\r\n"Smith, J","said ""hi""\nthen left"\r\n\r\nLee,\n'))
+      .toEqual([['name', 'notes'], ['Smith, J', 'said "hi"\nthen left'], ['Lee', '']]);
+  });
+
+  test('detects semicolon and tab delimiters', () => {
+    expect(parseCsv('a;b\n1;2')).toEqual([['a', 'b'], ['1', '2']]);
+    expect(parseCsv('a\tb\n1\t2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+});
+
+describe('parseXlsx', () => {
+  test('reads a workbook written by the export writer, dates included', async () => {
+    const buf = Buffer.from(await xlsxBase64(
+      [{ name: 'id', dataTypeID: 23 }, { name: 'name', dataTypeID: 25 }, { name: 'ordered', dataTypeID: 1082 }],
+      [{ id: 1, name: 'Fish & Chips', ordered: new Date(2024, 0, 2) }, { id: 2, name: null, ordered: null }]
+    ), 'base64');
+    expect(parseXlsx(buf)).toEqual([
+      ['id', 'name', 'ordered'],
+      [1, 'Fish & Chips', '2024-01-02'],
+      [2]
+    ]);
+  });
+
+  test('resolves shared strings and sparse cells', () => {
+    const buf = zipEntries([
+      { name: 'xl/workbook.xml', data: '<workbook><sheets><sheet name="Data" sheetId="1" r:id="rId1"/></sheets></workbook>' },
+      { name: 'xl/_rels/workbook.xml.rels', data: '<Relationships><Relationship Id="rId1" Target="worksheets/data.xml"/></Relationships>' },
+      { name: 'xl/sharedStrings.xml', data: '<sst><si><t>City</t></si><si><r><t>Bos</t></r><r><t>ton</t></r></si></sst>' },
+      { name: 'xl/worksheets/data.xml', data: '<worksheet><sheetData>' +
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="inlineStr"><is><t>Open</t></is></c></row>' +
+        '<row r="2"><c r="A2" t="s"><v>1</v></c><c r="C2" t="b"><v>1</v></c></row>' +
+        '</sheetData></worksheet>' }
+    ]);
+    expect(parseXlsx(buf)).toEqual([['City', null, 'Open'], ['Boston', null, true]]);
+  });
+
+  test('rejects files that are not zips', () => {
+    expect(() => parseXlsx(Buffer.from('not a workbook'))).toThrow(/not a valid XLSX/);
+  });
+});
+
+describe('parseUpload', () => {
+  test('uses the header row and numbers data rows from 2', () => {
+    const parsed = parseUpload({ content: 'Name,Name,\n1,2,3' });
+    expect(parsed.headers).toEqual(['Name', 'Name2', 'F3']);
+    expect(parsed.rows).toEqual([['1', '2', '3']]);
+    expect(parsed.firstRowNumber).toBe(2);
+  });
+
+  test('names columns F1.. without field names and picks the format from the file name', async () => {
+    const parsed = parseUpload({ content: await xlsxBase64([{ name: 'a' }], [{ a: 'x' }]), fileName: 'C:\\in\\Book.xlsx', hasFieldNames: false });
+    expect(parsed.headers).toEqual(['F1']);
+    expect(parsed.rows).toEqual([['a'], ['x']]);
+    expect(parsed.firstRowNumber).toBe(1);
+  });
+
+  test('rejects missing content and unknown formats', () => {
+    expect(() => parseUpload({})).toThrow(/content is required/);
+    expect(() => parseUpload({ content: 'x', format: 'dbf' })).toThrow(/Unsupported import format "dbf"/);
+  });
+});
+
+// ============================================================
+// Inference and coercion
+// ============================================================
+
+describe('inferFieldType', () => {
+  test('infers Access field descriptors, ignoring blanks', () => {
+    expect(inferFieldType(['1', '', '42'])).toEqual({ type: 'Number', fieldSize: 'Long Integer' });
+    expect(inferFieldType(['1', '9999999999'])).toEqual({ type: 'Number', fieldSize: 'Big Integer' });
+    expect(inferFieldType([1.5, '2'])).toEqual({ type: 'Number', fieldSize: 'Double' });
+    expect(inferFieldType(['Yes', 'no', true])).toEqual({ type: 'Yes/No' });
+    expect(inferFieldType(['1/2/2024', '2024-03-04T10:00:00Z'])).toEqual({ type: 'Date/Time' });
+    expect(inferFieldType(['abc', '1'])).toEqual({ type: 'Short Text', maxLength: 255 });
+    expect(inferFieldType(['x'.repeat(300)])).toEqual({ type: 'Long Text' });
+    expect(inferFieldType([null, ''])).toEqual({ type: 'Short Text', maxLength: 255 });
+  });
+});
+
+describe('coerceValue', () => {
+  test('converts to the column type or explains why not', () => {
+    expect(coerceValue('1,234', { data_type: 'integer' })).toEqual({ value: 1234 });
+    expect(coerceValue('40000', { data_type: 'smallint' }).error).toMatch(/out of range/);
+    expect(coerceValue('9223372036854775807', { data_type: 'bigint' })).toEqual({ value: '9223372036854775807' });
+    expect(coerceValue('$12.50', { data_type: 'numeric' })).toEqual({ value: '12.50' });
+    expect(coerceValue('abc', { data_type: 'double precision' }).error).toMatch(/not a number/);
+    expect(coerceValue('-1', { data_type: 'boolean' })).toEqual({ value: true });
+    expect(coerceValue('maybe', { data_type: 'boolean' }).error).toMatch(/Yes\/No/);
+    expect(coerceValue('3/15/2024 2:30 PM', { data_type: 'timestamp without time zone' }))
+      .toEqual({ value: '2024-03-15 14:30:00' });
+    expect(coerceValue('2024-03-15 10:00', { data_type: 'date' })).toEqual({ value: '2024-03-15' });
+    expect(coerceValue('abcd', { data_type: 'character varying', character_maximum_length: 3 }).error)
+      .toMatch(/longer than 3/);
+    expect(coerceValue(7, { data_type: 'text' })).toEqual({ value: '7' });
+    expect(coerceValue('  ', { data_type: 'integer' })).toEqual({ value: null });
+  });
+});
+
+describe('suggestMapping', () => {
+  test('matches headers to converted column names', () => {
+    expect(suggestMapping(['Customer ID', 'Company Name', 'Fax'], ['customer_id', 'company_name']))
+      .toEqual({ 'Customer ID': 'customer_id', 'Company Name': 'company_name', Fax: null });
+  });
+
+  test('maps by position when the file has no field names', () => {
+    expect(suggestMapping(['F1', 'F2', 'F3'], ['customer_id', 'company_name'], true))
+      .toEqual({ F1: 'customer_id', F2: 'company_name', F3: null });
+  });
+});
+
+// ============================================================
+// Routes
+// ============================================================
+
+describe('POST /api/tables/:table/import', () => {
+  // routes/metadata.js keeps a module-level router, so build the app once
+  const client = { query: jest.fn(), release: jest.fn() };
+  const mockPool = { query: jest.fn(), connect: jest.fn().mockResolvedValue(client) };
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => { req.schemaName = 'db_test'; next(); });
+  app.use('/api', require('../routes/metadata')(mockPool));
+
+  const customerColumns = [
+    { column_name: 'id', data_type: 'integer', is_nullable: 'NO', column_default: null, is_identity: 'YES', identity_generation: 'ALWAYS', is_generated: 'NEVER' },
+    { column_name: 'company_name', data_type: 'character varying', character_maximum_length: 10, is_nullable: 'NO', column_default: null, is_identity: 'NO', is_generated: 'NEVER' },
+    { column_name: 'credit_limit', data_type: 'numeric', is_nullable: 'YES', column_default: null, is_identity: 'NO', is_generated: 'NEVER' },
+    { column_name: 'active', data_type: 'boolean', is_nullable: 'YES', column_default: 'true', is_identity: 'NO', is_generated: 'NEVER' }
+  ];
+
+  beforeEach(() => {
+    mockPool.query.mockReset();
+    mockPool.query.mockImplementation(async (sql, params) => {
+      if (/information_schema\.columns/.test(sql)) return { rows: params[1] === 'customers' ? customerColumns : [] };
+      return { rows: [] };
+    });
+    client.query.mockReset();
+    client.query.mockImplementation(async () => ({ rows: [] }));
+    client.release.mockClear();
+    mockPool.connect.mockClear();
+  });
+
+  function inserts() {
+    return client.query.mock.calls.filter(([sql]) => /^INSERT/.test(sql));
+  }
+
+  test('preview infers types and suggests a mapping without writing', async () => {
+    const res = await request(app).post('/api/tables/customers/import/preview').send({
+      content: 'Company Name,Credit Limit,Notes\nAcme,100.5,x\nBeta,,y'
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.rowCount).toBe(2);
+    expect(res.body.columns[1]).toEqual({
+      name: 'Credit Limit', inferred: { type: 'Number', fieldSize: 'Double' }, pgType: 'double precision'
+    });
+    expect(res.body.sampleRows[1]).toEqual({ 'Company Name': 'Beta', 'Credit Limit': '', Notes: 'y' });
+    expect(res.body.mapping).toEqual({ 'Company Name': 'company_name', 'Credit Limit': 'credit_limit', Notes: null });
+    expect(res.body.targetColumns[0]).toMatchObject({ name: 'id', autoNumber: true, required: false });
+    expect(res.body.targetColumns[1]).toMatchObject({ name: 'company_name', required: true, maxLength: 10 });
+    expect(mockPool.connect).not.toHaveBeenCalled();
+  });
+
+  test('inserts converted rows in one batch and reports rows that fail conversion', async () => {
+    const res = await request(app).post('/api/tables/customers/import').send({
+      content: 'Name,Limit,Active\nAcme,"1,000",Yes\nWay Too Long Name,5,No\nBeta,abc,\nGamma,,0',
+      mapping: { Name: 'company_name', Limit: 'credit_limit', Active: 'active' }
+    });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ table: 'customers', totalRows: 4, inserted: 2, failed: 2, dryRun: false });
+    expect(res.body.errors).toEqual([
+      { row: 3, column: 'company_name', value: 'Way Too Long Name', message: 'Text is longer than 10 characters' },
+      { row: 4, column: 'credit_limit', value: 'abc', message: '"abc" is not a number' }
+    ]);
+    const [[sql, params]] = inserts();
+    expect(sql).toBe('INSERT INTO "db_test"."customers" ("company_name", "credit_limit", "active") VALUES ($1, $2, $3), ($4, $5, $6)');
+    expect(params).toEqual(['Acme', '1000', true, 'Gamma', null, false]);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('retries a rejected batch row by row and reports database errors', async () => {
+    client.query.mockImplementation(async (sql, params) => {
+      if (/^INSERT/.test(sql) && params.includes('Dup')) {
+        const err = new Error('duplicate key value violates unique constraint "customers_company_name_key"');
+        err.code = '23505';
+        err.detail = 'Key (company_name)=(Dup) already exists.';
+        throw err;
+      }
+      return { rows: [] };
+    });
+    const res = await request(app).post('/api/tables/customers/import').send({
+      content: 'Company Name\nAcme\nDup\nBeta'
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.inserted).toBe(2);
+    expect(res.body.failed).toBe(1);
+    expect(res.body.errors).toEqual([{
+      row: 3,
+      column: null,
+      value: null,
+      message: 'duplicate key value violates unique constraint "customers_company_name_key": Key (company_name)=(Dup) already exists.',
+      code: '23505'
+    }]);
+    const sqls = client.query.mock.calls.map(([sql]) => sql);
+    expect(sqls).toContain('ROLLBACK TO SAVEPOINT import_batch');
+    expect(sqls.filter(s => s === 'ROLLBACK TO SAVEPOINT import_row')).toHaveLength(1);
+    expect(inserts()).toHaveLength(4); // the batch, then each row
+  });
+
+  test('reports database errors against the cell as it was in the file', async () => {
+    client.query.mockImplementation(async (sql, params) => {
+      if (/^INSERT/.test(sql) && params.includes('1000')) {
+        const err = new Error('new row for relation "customers" violates check constraint "credit_limit_max"');
+        err.code = '23514';
+        err.column = 'credit_limit';
+        throw err;
+      }
+      return { rows: [] };
+    });
+    const res = await request(app).post('/api/tables/customers/import').send({
+      content: 'Company Name,Credit Limit\nAcme,"1,000"\nBeta,5'
+    });
+    expect(res.body.inserted).toBe(1);
+    expect(res.body.errors).toEqual([{
+      row: 2,
+      column: 'credit_limit',
+      value: '1,000',
+      message: 'new row for relation "customers" violates check constraint "credit_limit_max"',
+      code: '23514'
+    }]);
+  });
+
+  test('dryRun validates inside a rolled-back transaction', async () => {
+    const res = await request(app).post('/api/tables/customers/import').send({
+      content: 'Company Name\nAcme', dryRun: true
+    });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ inserted: 1, dryRun: true });
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+  });
+
+  test('rejects unusable mappings', async () => {
+    const send = (body) => request(app).post('/api/tables/customers/import').send({ content: 'Name,Id\nAcme,1', ...body });
+    expect((await send({ mapping: { Name: 'company_name', Id: 'id' } })).body.error).toMatch(/"id" is generated/);
+    expect((await send({ mapping: { Name: 'nope' } })).body.error).toMatch(/"nope" does not exist/);
+    expect((await send({ mapping: { Other: 'company_name' } })).body.error).toMatch(/"Other" is not in the file/);
+    expect((await send({ mapping: { Id: 'credit_limit' } })).body.error).toMatch(/Required column "company_name"/);
+    expect((await send({ mapping: { Name: 'company_name', Id: 'company_name' } })).body.error).toMatch(/mapped more than once/);
+    expect((await send({ mapping: {} })).status).toBe(400);
+    expect(mockPool.connect).not.toHaveBeenCalled();
+  });
+
+  test('404s for an unknown table and 400s for a bad upload', async () => {
+    expect((await request(app).post('/api/tables/ghosts/import').send({ content: 'a\n1' })).status).toBe(404);
+    const bad = await request(app).post('/api/tables/customers/import').send({ content: 'x', format: 'dbf' });
+    expect(bad.status).toBe(400);
+    expect(bad.body.error).toMatch(/Unsupported import format/);
+  });
+});
@@ -0,0 +1,338 @@
+/**
+ * Tests for record-level CRUD in routes/data.js — primary key resolution,
+ * composite keys, view write-redirection, write-conflict detection and batch
+ * operations (mock pool — no real database needed).
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+// "orders" has a single key; "order_lines" a composite one; "order_lines_view"
+// joins order_lines to products and writes through to order_lines.
+const PRIMARY_KEYS = { orders: ['id'], order_lines: ['order_id', 'line_no'] };
+const COLUMNS = {
+  orders: ['id', 'status'],
+  order_lines: ['order_id', 'line_no', 'qty'],
+  order_lines_view: ['order_id', 'line_no', 'qty', 'product_name']
+};
+
+describe('record routes /api/data/:table/:id', () => {
+  // routes/data.js keeps a module-level router, so build the app once
+  const client = { query: jest.fn(), release: jest.fn() };
+  const mockPool = { query: jest.fn(), connect: jest.fn().mockResolvedValue(client) };
+  const app = express();
+  app.use(express.json());
+  app.use('/api/data', (req, res, next) => { req.databaseId = 'db1'; req.schemaName = 'db_db1'; next(); });
+  app.use('/api/data', require('../routes/data')(mockPool));
+
+  let rowResult;
+
+  beforeEach(() => {
+    rowResult = [{ order_id: 5, line_no: 2, qty: 3 }];
+    mockPool.query.mockReset();
+    mockPool.query.mockImplementation(async (sql, params) => {
+      if (/PRIMARY KEY/.test(sql)) {
+        return { rows: (PRIMARY_KEYS[params[0]] || []).map(column_name => ({ column_name })) };
+      }
+      if (/shared\.view_metadata/.test(sql)) {
+        return params[1] === 'order_lines_view'
+          ? { rows: [{ base_table: 'order_lines', pk_columns: ['order_id', 'line_no'] }] }
+          : { rows: [] };
+      }
+      if (/information_schema\.columns/.test(sql)) {
+        return { rows: (COLUMNS[params[0]] || []).map(column_name => ({ column_name })) };
+      }
+      if (/information_schema/.test(sql)) return { rows: [] };
+      if (/FROM "order_lines_view"/.test(sql)) return { rows: [{ ...rowResult[0], product_name: 'Widget' }] };
+      return { rows: rowResult };
+    });
+    // The transaction client sees the same data as the pool
+    client.query.mockReset();
+    client.query.mockImplementation(async (sql, params) =>
+      /^(BEGIN|COMMIT|ROLLBACK|SET|SAVEPOINT|RELEASE)/.test(sql) ? { rows: [] } : mockPool.query(sql, params));
+  });
+
+  function recordCalls() {
+    return mockPool.query.mock.calls.filter(([sql]) => !/information_schema|shared\.view_metadata/.test(sql));
+  }
+
+  test('single-column key uses the raw :id segment', async () => {
+    rowResult = [{ id: 7, status: 'open' }];
+    const res = await request(app).get('/api/data/orders/7');
+    expect(res.status).toBe(200);
+    expect(recordCalls()).toEqual([['SELECT * FROM "orders" WHERE "id" = $1', ['7']]]);
+  });
+
+  test('GET accepts a composite key as a JSON object', async () => {
+    const key = encodeURIComponent(JSON.stringify({ line_no: 2, order_id: 5 }));
+    const res = await request(app).get(`/api/data/order_lines/${key}`);
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ order_id: 5, line_no: 2, qty: 3 });
+    expect(recordCalls()).toEqual([
+      ['SELECT * FROM "order_lines" WHERE "order_id" = $1 AND "line_no" = $2', [5, 2]]
+    ]);
+  });
+
+  test('GET accepts a composite key as a JSON array in key order', async () => {
+    const res = await request(app).get(`/api/data/order_lines/${encodeURIComponent('[5,2]')}`);
+    expect(res.status).toBe(200);
+    expect(recordCalls()[0][1]).toEqual([5, 2]);
+  });
+
+  test('rejects a key that does not fit the composite key', async () => {
+    for (const id of ['5', '[5]', encodeURIComponent('{"order_id":5}')]) {
+      const res = await request(app).get(`/api/data/order_lines/${id}`);
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/order_id, line_no/);
+    }
+    expect(recordCalls()).toEqual([]);
+  });
+
+  test('PUT matches every key column after the SET values', async () => {
+    const key = encodeURIComponent('[5,2]');
+    const res = await request(app).put(`/api/data/order_lines/${key}`).send({ qty: 4, bogus: 1 });
+    expect(res.status).toBe(200);
+    const [[sql, params]] = recordCalls();
+    expect(sql).toMatch(/UPDATE "order_lines"\s+SET "qty" = \$1\s+WHERE "order_id" = \$2 AND "line_no" = \$3/);
+    expect(params).toEqual([4, 5, 2]);
+  });
+
+  test('PUT through a view writes the base table and re-reads the view by the full key', async () => {
+    const key = encodeURIComponent(JSON.stringify({ order_id: 5, line_no: 2 }));
+    const res = await request(app).put(`/api/data/order_lines_view/${key}`).send({ qty: 4, product_name: 'x' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.product_name).toBe('Widget');
+    const [[updateSql, updateParams], [readSql, readParams]] = recordCalls();
+    expect(updateSql).toMatch(/UPDATE "order_lines"\s+SET "qty" = \$1\s+WHERE "order_id" = \$2 AND "line_no" = \$3/);
+    expect(updateParams).toEqual([4, 5, 2]);
+    expect(readSql).toBe('SELECT * FROM "order_lines_view" WHERE "order_id" = $1 AND "line_no" = $2');
+    expect(readParams).toEqual([5, 2]);
+  });
+
+  test('DELETE through a view removes the base table row', async () => {
+    const res = await request(app).delete(`/api/data/order_lines_view/${encodeURIComponent('[5,2]')}`);
+    expect(res.status).toBe(200);
+    expect(recordCalls()).toEqual([
+      ['DELETE FROM "order_lines" WHERE "order_id" = $1 AND "line_no" = $2 RETURNING *', [5, 2]]
+    ]);
+  });
+
+  test('DELETE returns 404 when no row matches', async () => {
+    rowResult = [];
+    const res = await request(app).delete(`/api/data/order_lines/${encodeURIComponent('[9,9]')}`);
+    expect(res.status).toBe(404);
+  });
+
+  test('POST through a view re-reads the inserted row by its composite key', async () => {
+    const res = await request(app).post('/api/data/order_lines_view').send({ order_id: 5, line_no: 2, qty: 3 });
+    expect(res.status).toBe(201);
+    expect(res.body.data.product_name).toBe('Widget');
+    const [, [readSql, readParams]] = recordCalls();
+    expect(readSql).toBe('SELECT * FROM "order_lines_view" WHERE "order_id" = $1 AND "line_no" = $2');
+    expect(readParams).toEqual([5, 2]);
+  });
+
+  describe('write conflicts', () => {
+    const key = encodeURIComponent('[5,2]');
+
+    function clientStatements() {
+      return client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 2).join(' '));
+    }
+
+    test('updates inside a locked transaction when the row is unchanged', async () => {
+      const res = await request(app).put(`/api/data/order_lines/${key}`)
+        .send({ qty: 4, __original: { order_id: 5, line_no: 2, qty: 3 } });
+      expect(res.status).toBe(200);
+      expect(clientStatements()).toEqual(['BEGIN', 'SELECT *', 'UPDATE "order_lines"', 'COMMIT']);
+      expect(client.query.mock.calls[1][0]).toMatch(/FOR UPDATE$/);
+      // __original is never written as a column
+      expect(client.query.mock.calls[2][1]).toEqual([4, 5, 2]);
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('returns 409 with the current row when another user changed it', async () => {
+      rowResult = [{ order_id: 5, line_no: 2, qty: 9 }];
+      const res = await request(app).put(`/api/data/order_lines_view/${key}`)
+        .send({ qty: 4, __original: { order_id: 5, line_no: 2, qty: 3, product_name: 'Old name' } });
+      expect(res.status).toBe(409);
+      expect(res.body.conflict).toMatchObject({
+        current: { order_id: 5, line_no: 2, qty: 9, product_name: 'Widget' },
+        attempted: { qty: 4 },
+        // product_name comes from a lookup table, so it can't conflict
+        changedColumns: ['qty'],
+        actions: ['save', 'drop', 'copy']
+      });
+      expect(res.body.conflict.message).toMatch(/changed by another user/);
+      expect(clientStatements()).not.toContain('UPDATE "order_lines"');
+      expect(clientStatements()).toContain('ROLLBACK');
+    });
+
+    test('compares values in their JSON form', async () => {
+      rowResult = [{ order_id: 5, line_no: 2, qty: 3, shipped: new Date('2024-03-01T00:00:00Z') }];
+      const res = await request(app).put(`/api/data/order_lines/${key}`)
+        .send({ qty: 4, __original: { order_id: 5, line_no: 2, qty: 3, shipped: '2024-03-01T00:00:00.000Z' } });
+      expect(res.status).toBe(200);
+    });
+
+    test('returns 404 when the row was deleted meanwhile', async () => {
+      rowResult = [];
+      const res = await request(app).put(`/api/data/order_lines/${key}`)
+        .send({ qty: 4, __original: { order_id: 5, line_no: 2, qty: 3 } });
+      expect(res.status).toBe(404);
+    });
+
+    test('rejects an __original that is not an object', async () => {
+      const res = await request(app).put(`/api/data/order_lines/${key}`).send({ qty: 4, __original: [1] });
+      expect(res.status).toBe(400);
+      expect(client.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/data/:table/batch', () => {
+    function statements() {
+      return client.query.mock.calls.map(([sql]) => sql.split(/\s+/).slice(0, 2).join(' '));
+    }
+
+    test('runs every operation in one transaction and commits', async () => {
+      const res = await request(app).post('/api/data/order_lines_view/batch').send({
+        operations: [
+          { op: 'insert', data: { order_id: 5, line_no: 3, qty: 1, product_name: 'ignored' } },
+          { op: 'update', key: { order_id: 5, line_no: 2 }, data: { qty: 4 } },
+          { op: 'delete', key: [5, 1] }
+        ]
+      });
+      expect(res.status).toBe(200);
+      expect(res.body.committed).toBe(true);
+      expect(res.body.results.map(r => [r.op, r.ok])).toEqual([['insert', true], ['update', true], ['delete', true]]);
+      // Inserted and updated rows are re-read through the view
+      expect(res.body.results[0].data.product_name).toBe('Widget');
+
+      const sql = statements();
+      expect(sql[0]).toBe('BEGIN');
+      expect(sql).toContain('INSERT INTO');
+      expect(sql).toContain('UPDATE "order_lines"');
+      expect(sql).toContain('DELETE FROM');
+      expect(sql.filter(s => s === 'SAVEPOINT batch_op')).toHaveLength(3);
+      expect(sql[sql.length - 1]).toBe('COMMIT');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('reports every failing operation and rolls the whole batch back', async () => {
+      const base = mockPool.query.getMockImplementation();
+      mockPool.query.mockImplementation(async (sql, params) => {
+        if (/^INSERT/.test(sql) && params.includes(99)) {
+          throw Object.assign(new Error('duplicate key value violates unique constraint "order_lines_pkey"'), { code: '23505' });
+        }
+        return base(sql, params);
+      });
+
+      const res = await request(app).post('/api/data/order_lines/batch').send({
+        operations: [
+          { op: 'insert', data: { order_id: 5, line_no: 3, qty: 1 } },
+          { op: 'insert', data: { order_id: 5, line_no: 99, qty: 1 } },
+          { op: 'update', key: [5], data: { qty: 4 } },
+          { op: 'upsert', data: { qty: 1 } }
+        ]
+      });
+      expect(res.status).toBe(400);
+      expect(res.body.committed).toBe(false);
+      expect(res.body.error).toBe('3 of 4 operations failed; nothing was saved');
+      const [ok, dup, badKey, unknown] = res.body.results;
+      expect(ok).toEqual({ index: 0, op: 'insert', ok: true });
+      expect(dup).toMatchObject({ ok: false, status: 409, code: '23505', error: expect.stringMatching(/duplicate values/) });
+      expect(badKey).toMatchObject({ ok: false, status: 400, error: expect.stringMatching(/order_id, line_no/) });
+      expect(unknown).toMatchObject({ ok: false, status: 400, error: expect.stringMatching(/Unknown operation/) });
+
+      const sql = statements();
+      expect(sql.filter(s => s === 'ROLLBACK TO')).toHaveLength(3);
+      expect(sql[sql.length - 1]).toBe('ROLLBACK');
+      expect(sql).not.toContain('COMMIT');
+    });
+
+    test('update with original reports a write conflict', async () => {
+      rowResult = [{ order_id: 5, line_no: 2, qty: 9 }];
+      const res = await request(app).post('/api/data/order_lines/batch').send({
+        operations: [{ op: 'update', key: [5, 2], data: { qty: 4 }, original: { order_id: 5, line_no: 2, qty: 3 } }]
+      });
+      expect(res.status).toBe(400);
+      expect(res.body.results[0]).toMatchObject({
+        ok: false, status: 409, conflict: { changedColumns: ['qty'], current: { qty: 9 } }
+      });
+    });
+
+    test('validates the operations list', async () => {
+      for (const body of [{}, { operations: [] }, { operations: 'insert' }]) {
+        const res = await request(app).post('/api/data/order_lines/batch').send(body);
+        expect(res.status).toBe(400);
+      }
+      expect(client.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validation rules', () => {
+    function failWith(constraint, message) {
+      const base = mockPool.query.getMockImplementation();
+      mockPool.query.mockImplementation(async (sql, params) => {
+        if (/^\s*(INSERT|UPDATE)/.test(sql)) {
+          throw Object.assign(new Error(`new row violates check constraint "${constraint}"`), {
+            code: '23514', constraint, table: 'order_lines', schema: 'db_db1'
+          });
+        }
+        if (/pg_constraint/.test(sql)) {
+          return { rows: params[0] === constraint && message ? [{ message, field: 'qty' }] : [] };
+        }
+        return base(sql, params);
+      });
+    }
+
+    test('a broken rule answers 400 with its ValidationText and field', async () => {
+      failWith('order_lines_qty_rule', 'Quantity must be positive');
+      const res = await request(app).post('/api/data/order_lines').send({ order_id: 5, line_no: 3, qty: -1 });
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({
+        error: 'Quantity must be positive', code: '23514', table: 'order_lines',
+        field: 'qty', value: -1, constraint: 'order_lines_qty_rule'
+      });
+    });
+
+    test('a check constraint without a message gets Access\'s default one', async () => {
+      failWith('order_lines_custom', null);
+      const res = await request(app).put(`/api/data/order_lines/${encodeURIComponent('[5,2]')}`).send({ qty: -1 });
+      expect(res.status).toBe(400);
+      expect(res.body.error).toMatch(/^One or more values are prohibited by the validation rule 'order_lines_custom'/);
+    });
+  });
+
+  describe('constraint violations', () => {
+    function failWith(pattern, error) {
+      const base = mockPool.query.getMockImplementation();
+      mockPool.query.mockImplementation(async (sql, params) => {
+        if (pattern.test(sql)) throw Object.assign(new Error('violation'), error);
+        return base(sql, params);
+      });
+    }
+
+    test('a missing required value names the field', async () => {
+      failWith(/^\s*INSERT/, { code: '23502', table: 'orders', column: 'status' });
+      const res = await request(app).post('/api/data/orders').send({ status: null });
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({
+        code: '23502', field: 'status', value: null,
+        error: expect.stringMatching(/^The field 'orders\.status' cannot contain a Null value/)
+      });
+    });
+
+    test('deleting a record other rows still point at is a 409', async () => {
+      failWith(/^DELETE/, {
+        code: '23503', table: 'order_lines', constraint: 'fk_order_lines_order_id',
+        detail: 'Key (id)=(5) is still referenced from table "order_lines".'
+      });
+      const res = await request(app).delete('/api/data/orders/5');
+      expect(res.status).toBe(409);
+      expect(res.body).toMatchObject({
+        field: 'id', value: '5',
+        error: "The record cannot be deleted or changed because table 'order_lines' includes related records."
+      });
+    });
+  });
+});
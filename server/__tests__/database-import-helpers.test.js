@@ -0,0 +1,92 @@
+/**
+ * Tests for the Access backend choice in routes/database-import/helpers.js:
+ * ACCESSCLONE_ACCESS_BACKEND, and the fallback to the JavaScript reader
+ * when powershell.exe cannot be started.
+ */
+
+const { EventEmitter } = require('events');
+
+jest.mock('child_process', () => ({ spawn: jest.fn() }));
+
+// Fresh module per test: isPowerShellAvailable caches its answer
+function loadHelpers() {
+  let helpers;
+  jest.isolateModules(() => {
+    helpers = require('../routes/database-import/helpers');
+  });
+  return helpers;
+}
+
+function fakePowerShell(outcome) {
+  const { spawn } = require('child_process');
+  spawn.mockImplementation(() => {
+    const ps = new EventEmitter();
+    ps.kill = jest.fn();
+    setImmediate(() => {
+      if (outcome === 'missing') ps.emit('error', Object.assign(new Error('spawn powershell.exe ENOENT'), { code: 'ENOENT' }));
+      else ps.emit('close', outcome);
+    });
+    return ps;
+  });
+  return spawn;
+}
+
+const savedBackend = process.env.ACCESSCLONE_ACCESS_BACKEND;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  delete process.env.ACCESSCLONE_ACCESS_BACKEND;
+});
+
+afterAll(() => {
+  if (savedBackend === undefined) delete process.env.ACCESSCLONE_ACCESS_BACKEND;
+  else process.env.ACCESSCLONE_ACCESS_BACKEND = savedBackend;
+});
+
+describe('isPowerShellAvailable', () => {
+  test('false when powershell.exe cannot be spawned', async () => {
+    fakePowerShell('missing');
+    expect(await loadHelpers().isPowerShellAvailable()).toBe(false);
+  });
+
+  test('false when powershell.exe exits with an error', async () => {
+    fakePowerShell(1);
+    expect(await loadHelpers().isPowerShellAvailable()).toBe(false);
+  });
+
+  test('checks once per process', async () => {
+    const spawn = fakePowerShell(0);
+    const { isPowerShellAvailable } = loadHelpers();
+    expect(await isPowerShellAvailable()).toBe(true);
+    expect(await isPowerShellAvailable()).toBe(true);
+    expect(spawn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('getAccessBackend', () => {
+  test('uses PowerShell when it is available', async () => {
+    fakePowerShell(0);
+    expect(await loadHelpers().getAccessBackend()).toBe('powershell');
+  });
+
+  test('falls back to the JavaScript reader without PowerShell', async () => {
+    fakePowerShell('missing');
+    expect(await loadHelpers().getAccessBackend()).toBe('js');
+  });
+
+  test('ACCESSCLONE_ACCESS_BACKEND forces either backend without probing', async () => {
+    const spawn = fakePowerShell(0);
+    process.env.ACCESSCLONE_ACCESS_BACKEND = 'JS';
+    expect(await loadHelpers().getAccessBackend()).toBe('js');
+    fakePowerShell('missing');
+    process.env.ACCESSCLONE_ACCESS_BACKEND = 'powershell';
+    expect(await loadHelpers().getAccessBackend()).toBe('powershell');
+    expect(spawn).not.toHaveBeenCalled();
+  });
+
+  test('ignores unknown ACCESSCLONE_ACCESS_BACKEND values', async () => {
+    fakePowerShell('missing');
+    process.env.ACCESSCLONE_ACCESS_BACKEND = 'dao';
+    expect(await loadHelpers().getAccessBackend()).toBe('js');
+  });
+});
@@ -0,0 +1,604 @@
+/**
+ * Tests for the database lifecycle: schema replay order, shared-row copying
+ * and removal (server/lib/database-lifecycle.js), and the /api/databases
+ * lifecycle routes (mock pool).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { PassThrough, Writable } = require('stream');
+const express = require('express');
+const request = require('supertest');
+const {
+  buildSchema, insertSharedRows, unqualifyFunction, dropDatabase, validateArchive, ARCHIVE_FORMAT,
+  maskSql, checkArchiveDefinitions, restoreDatabase, cloneDatabase, backupDatabase
+} = require('../lib/database-lifecycle');
+const { requiredRole } = require('../lib/auth');
+const { createApp } = require('../app');
+const databasesRoutes = require('../routes/databases');
+
+/** A client that records statements; `respond(sql, params)` may return a result or throw. */
+function recordingClient(respond = () => undefined) {
+  const statements = [];
+  const client = {
+    statements,
+    query: jest.fn(async (sql, params) => {
+      statements.push(sql.trim());
+      return (await respond(sql, params)) || { rows: [], rowCount: 0 };
+    }),
+    release: jest.fn()
+  };
+  return client;
+}
+
+// ============================================================
+// Schema replay
+// ============================================================
+
+describe('unqualifyFunction', () => {
+  test('drops the source schema from the function name only', () => {
+    const def = 'CREATE OR REPLACE FUNCTION db_nw.total(o integer)\n RETURNS numeric\nAS $$ SELECT db_nw.x() $$';
+    expect(unqualifyFunction(def, 'db_nw')).toBe(
+      'CREATE OR REPLACE FUNCTION total(o integer)\n RETURNS numeric\nAS $$ SELECT db_nw.x() $$');
+    expect(unqualifyFunction('CREATE OR REPLACE PROCEDURE "Db"."p"()', '"Db"')).toBe('CREATE OR REPLACE PROCEDURE "p"()');
+  });
+});
+
+describe('buildSchema', () => {
+  const description = {
+    sequences: [
+      { name: 'orders_id_seq', type: 'integer', start: '1', increment: '1', min: '1', max: '2147483647',
+        cycle: false, last_value: '41', identity: false, owned_table: 'orders', owned_column: 'id' },
+      { name: 'lines_id_seq', type: 'integer', last_value: '7', identity: true, owned_table: 'lines', owned_column: 'id' }
+    ],
+    tables: [
+      {
+        name: 'orders', comment: "Customer's orders",
+        columns: [
+          { name: 'id', type: 'integer', not_null: true, identity: '', generated: '', default_expr: "nextval('orders_id_seq'::regclass)" },
+          { name: 'total', type: 'numeric(10,2)', not_null: false, identity: '', generated: '', default_expr: null, comment: 'Sum' },
+          { name: 'taxed', type: 'numeric', not_null: false, identity: '', generated: 's', default_expr: 'total * 1.2' }
+        ],
+        constraints: [{ name: 'orders_pkey', type: 'p', def: 'PRIMARY KEY (id)' }]
+      },
+      {
+        name: 'lines',
+        columns: [
+          { name: 'id', type: 'integer', not_null: true, identity: 'a', generated: '', default_expr: null },
+          { name: 'order_id', type: 'integer', not_null: false, identity: '', generated: '', default_expr: null }
+        ],
+        constraints: [
+          { name: 'lines_order_fk', type: 'f', def: 'FOREIGN KEY (order_id) REFERENCES orders(id)' },
+          { name: 'lines_pkey', type: 'p', def: 'PRIMARY KEY (id)' }
+        ]
+      }
+    ],
+    indexes: ['CREATE INDEX lines_order ON lines USING btree (order_id)'],
+    views: [{ name: 'big_orders', materialized: false, def: ' SELECT id FROM big(orders);', comment: null }],
+    functions: [{ name: 'big', def: 'CREATE OR REPLACE FUNCTION big(o orders) RETURNS boolean AS $$ SELECT o.total > 100 $$ LANGUAGE sql' }],
+    triggers: [{ table_name: 'orders', name: 'touch', def: 'CREATE TRIGGER touch BEFORE UPDATE ON orders FOR EACH ROW EXECUTE FUNCTION shared.touch()' }]
+  };
+
+  test('creates objects, loads rows, then adds indexes, keys, routines and triggers', async () => {
+    const client = recordingClient();
+    const loaded = [];
+    await buildSchema(client, 'db_copy', description, async (table) => {
+      loaded.push(table.name);
+      client.statements.push(`-- load ${table.name}`);
+    });
+
+    expect(loaded).toEqual(['orders', 'lines']);
+    expect(client.statements).toEqual([
+      'CREATE SCHEMA "db_copy"',
+      "SELECT set_config('search_path', $1, true), set_config('check_function_bodies', 'off', true)",
+      'CREATE SEQUENCE "orders_id_seq" AS integer INCREMENT BY 1 MINVALUE 1 MAXVALUE 2147483647 START WITH 1 NO CYCLE',
+      'CREATE TABLE "orders" ("id" integer DEFAULT nextval(\'orders_id_seq\'::regclass) NOT NULL, ' +
+        '"total" numeric(10,2), "taxed" numeric GENERATED ALWAYS AS (total * 1.2) STORED)',
+      'ALTER TABLE "orders" ADD CONSTRAINT "orders_pkey" PRIMARY KEY (id)',
+      'CREATE TABLE "lines" ("id" integer GENERATED ALWAYS AS IDENTITY NOT NULL, "order_id" integer)',
+      'ALTER TABLE "lines" ADD CONSTRAINT "lines_pkey" PRIMARY KEY (id)',
+      'ALTER SEQUENCE "orders_id_seq" OWNED BY "orders"."id"',
+      '-- load orders',
+      '-- load lines',
+      'SELECT setval($1::regclass, $2)',
+      'SELECT setval(pg_get_serial_sequence($1, $2), $3)',
+      'CREATE INDEX lines_order ON lines USING btree (order_id)',
+      'ALTER TABLE "lines" ADD CONSTRAINT "lines_order_fk" FOREIGN KEY (order_id) REFERENCES orders(id)',
+      'SAVEPOINT ac_create',
+      expect.stringMatching(/^CREATE OR REPLACE FUNCTION big/),
+      'RELEASE SAVEPOINT ac_create',
+      'SAVEPOINT ac_create',
+      'CREATE VIEW "big_orders" AS SELECT id FROM big(orders)',
+      'RELEASE SAVEPOINT ac_create',
+      'CREATE TRIGGER touch BEFORE UPDATE ON orders FOR EACH ROW EXECUTE FUNCTION shared.touch()',
+      'COMMENT ON TABLE "orders" IS \'Customer\'\'s orders\'',
+      'COMMENT ON COLUMN "orders"."total" IS \'Sum\''
+    ]);
+    const setvals = client.query.mock.calls.filter(([sql]) => /setval/.test(sql)).map(([, params]) => params);
+    expect(setvals).toEqual([['"orders_id_seq"', '41'], ['"lines"', 'id', '7']]);
+  });
+
+  test('retries views until the views they select from exist', async () => {
+    const created = new Set();
+    const client = recordingClient((sql) => {
+      const view = (sql.match(/^CREATE (?:MATERIALIZED )?VIEW "(\w+)"/) || [])[1];
+      if (view === 'a_top' && !created.has('b_base')) throw new Error('relation "b_base" does not exist');
+      if (view) created.add(view);
+    });
+    const empty = { sequences: [], tables: [], indexes: [], functions: [], triggers: [] };
+    await buildSchema(client, 'db_copy', {
+      ...empty,
+      views: [
+        { name: 'a_top', materialized: true, def: ' SELECT * FROM b_base;' },
+        { name: 'b_base', materialized: false, def: ' SELECT 1 AS one;' }
+      ]
+    }, async () => {});
+    expect(client.statements.filter(s => /VIEW|SAVEPOINT/.test(s))).toEqual([
+      'SAVEPOINT ac_create', 'CREATE MATERIALIZED VIEW "a_top" AS SELECT * FROM b_base', 'ROLLBACK TO SAVEPOINT ac_create',
+      'SAVEPOINT ac_create', 'CREATE VIEW "b_base" AS SELECT 1 AS one', 'RELEASE SAVEPOINT ac_create',
+      'SAVEPOINT ac_create', 'CREATE MATERIALIZED VIEW "a_top" AS SELECT * FROM b_base', 'RELEASE SAVEPOINT ac_create'
+    ]);
+  });
+
+  test('a routine that can never be created fails the build', async () => {
+    const client = recordingClient((sql) => {
+      if (/^CREATE VIEW/.test(sql)) throw new Error('relation "gone" does not exist');
+    });
+    await expect(buildSchema(client, 'db_copy', description, async () => {}))
+      .rejects.toThrow('relation "gone" does not exist');
+    expect(client.statements).toContain('ROLLBACK TO SAVEPOINT ac_create');
+  });
+});
+
+// ============================================================
+// Shared rows
+// ============================================================
+
+describe('insertSharedRows', () => {
+  const liveColumns = {
+    objects: ['id', 'database_id', 'type', 'name'],
+    intents: ['id', 'object_id', 'intent_type'],
+    _nodes: ['id', 'database_id', 'name'],
+    _edges: ['id', 'from_id', 'to_id'],
+    issues: ['id', 'database_id', 'message'],
+    attachments: ['id', 'database_id', 'file_path'],
+    database_roles: ['database_id', 'user_id', 'role']
+  };
+
+  function sharedClient() {
+    let next = 100;
+    return recordingClient((sql, params) => {
+      if (/information_schema\.columns/.test(sql)) {
+        return { rows: Object.entries(liveColumns).flatMap(([table_name, cols]) => cols.map(column_name => ({ table_name, column_name }))) };
+      }
+      if (/nextval/.test(sql)) {
+        return { rows: Array.from({ length: params[1] }, () => ({ id: next++ })) };
+      }
+      return undefined;
+    });
+  }
+
+  const inserted = (client, table) => {
+    const call = client.query.mock.calls.find(([sql]) => sql.startsWith(`INSERT INTO shared."${table}"`));
+    return call && { sql: call[0], rows: JSON.parse(call[1][0]) };
+  };
+
+  test('copies rows as the new database with fresh ids and remapped references', async () => {
+    const client = sharedClient();
+    await insertSharedRows(client, 'sandbox', {
+      objects: [{ id: 7, database_id: 'nw', type: 'form', name: 'frmOrders' }, { id: 9, database_id: 'nw', type: 'report', name: 'rpt' }],
+      intents: [{ id: 1, object_id: 9, intent_type: 'business' }],
+      _nodes: [{ id: 'n-1', database_id: 'nw', name: 'orders' }, { id: 'n-2', database_id: 'nw', name: 'orders.id' }],
+      _edges: [{ id: 'e-1', from_id: 'n-2', to_id: 'n-1' }],
+      issues: [{ id: 3, database_id: 'nw', message: 'Check', retired_column: 'x' }]
+    });
+
+    expect(inserted(client, 'objects').rows).toEqual([
+      { id: 100, database_id: 'sandbox', type: 'form', name: 'frmOrders' },
+      { id: 101, database_id: 'sandbox', type: 'report', name: 'rpt' }
+    ]);
+    expect(inserted(client, 'intents').rows).toEqual([{ object_id: 101, intent_type: 'business' }]);
+
+    const nodes = inserted(client, '_nodes').rows;
+    const [edge] = inserted(client, '_edges').rows;
+    expect(nodes.map(n => n.id)).not.toContain('n-1');
+    expect(edge).toEqual({ from_id: nodes[1].id, to_id: nodes[0].id });
+
+    // Columns this server doesn't have are left out
+    const issues = inserted(client, 'issues');
+    expect(issues.rows).toEqual([{ database_id: 'sandbox', message: 'Check', retired_column: 'x' }]);
+    expect(issues.sql).toMatch(/^INSERT INTO shared\."issues" \("database_id", "message"\)/);
+  });
+
+  test('moves attachment paths and keeps roles only for known users', async () => {
+    const client = sharedClient();
+    await insertSharedRows(client, 'sandbox', {
+      attachments: [{ id: 4, database_id: 'nw', file_path: '/files/nw/orders/1/a.pdf' }],
+      database_roles: [{ database_id: 'nw', user_id: 'ann', role: 'admin' }]
+    }, (table, row) => (table === 'attachments' ? { ...row, file_path: row.file_path.replace('/nw/', '/sandbox/') } : row));
+
+    expect(inserted(client, 'attachments').rows).toEqual([{ database_id: 'sandbox', file_path: '/files/sandbox/orders/1/a.pdf' }]);
+    expect(inserted(client, 'database_roles').sql).toMatch(/WHERE user_id IN \(SELECT user_id FROM shared\.users\)$/);
+  });
+});
+
+describe('dropDatabase', () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ac-lifecycle-'));
+    fs.mkdirSync(path.join(dir, 'nw', 'orders', '1'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'nw', 'orders', '1', 'a.pdf'), 'pdf');
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('removes shared rows children first, then the schema, its ad-hoc SQL role and the files', async () => {
+    const client = recordingClient((sql) => {
+      if (/DELETE FROM shared\."objects"/.test(sql)) return { rows: [], rowCount: 3 };
+      if (/FROM pg_roles/.test(sql)) return { rows: [{ '?column?': 1 }] };
+      return undefined;
+    });
+    const pool = { connect: jest.fn(async () => client) };
+    const removed = await dropDatabase(pool, { database_id: 'nw', schema_name: 'db_nw' }, { attachmentsDir: dir });
+
+    expect(removed).toEqual({ objects: 3 });
+    const deletes = client.statements.filter(s => s.startsWith('DELETE FROM shared.')).map(s => s.match(/^DELETE FROM shared\."?(\w+)/)[1]);
+    expect(deletes.indexOf('intents')).toBeLessThan(deletes.indexOf('objects'));
+    expect(deletes.indexOf('_edges')).toBeLessThan(deletes.indexOf('_nodes'));
+    expect(deletes.indexOf('pipeline_task_evaluations')).toBeLessThan(deletes.indexOf('import_runs'));
+    expect(deletes).toContain('data_audit');
+    expect(client.statements.slice(-7)).toEqual([
+      'UPDATE shared.applications SET database_id = NULL WHERE database_id = $1',
+      'DELETE FROM shared.databases WHERE database_id = $1',
+      'DROP SCHEMA IF EXISTS "db_nw" CASCADE',
+      'SELECT 1 FROM pg_roles WHERE rolname = $1',
+      'DROP OWNED BY "ac_sql_db_nw"',
+      'DROP ROLE "ac_sql_db_nw"',
+      'COMMIT'
+    ]);
+    expect(fs.existsSync(path.join(dir, 'nw'))).toBe(false);
+  });
+
+  test('nothing is removed when the transaction fails', async () => {
+    const client = recordingClient((sql) => {
+      if (/^DROP SCHEMA/.test(sql)) throw new Error('permission denied');
+    });
+    const pool = { connect: jest.fn(async () => client) };
+    await expect(dropDatabase(pool, { database_id: 'nw', schema_name: 'db_nw' }, { attachmentsDir: dir }))
+      .rejects.toThrow('permission denied');
+    expect(client.statements).toContain('ROLLBACK');
+    expect(fs.existsSync(path.join(dir, 'nw', 'orders', '1', 'a.pdf'))).toBe(true);
+    expect(client.release).toHaveBeenCalled();
+  });
+});
+
+describe('validateArchive', () => {
+  test('accepts only complete archives of this format and version', () => {
+    const archive = { format: ARCHIVE_FORMAT, version: 1, schema: { tables: [] }, shared: {} };
+    expect(() => validateArchive(archive)).not.toThrow();
+    expect(() => validateArchive({ ...archive, format: 'zip' })).toThrow('Not an AccessClone database archive');
+    expect(() => validateArchive({ ...archive, version: 2 })).toThrow('Unsupported archive version 2');
+    expect(() => validateArchive({ ...archive, shared: null })).toThrow(expect.objectContaining({ code: 'ELIFECYCLE', status: 400 }));
+  });
+});
+
+describe('checkArchiveDefinitions', () => {
+  const schema = () => ({
+    sequences: [
+      { name: 'orders_id_seq', type: 'integer', start: '1', increment: '1', min: '1', max: '2147483647', cycle: false, identity: false },
+      { name: 'lines_id_seq', type: 'integer', identity: true }
+    ],
+    tables: [{
+      name: 'orders',
+      columns: [
+        { name: 'id', type: 'integer', default_expr: "nextval('orders_id_seq'::regclass)" },
+        { name: 'total', type: 'numeric(10,2)' },
+        { name: 'placed', type: 'timestamp(3) with time zone' },
+        { name: 'tags', type: 'character varying(50)[]' },
+        { name: 'state', type: '"OrderState"' }
+      ],
+      constraints: [
+        { name: 'orders_pkey', type: 'p', def: 'PRIMARY KEY (id)' },
+        { name: 'orders_total', type: 'c', def: "CHECK (total > 0::numeric AND note <> ';')" },
+        { name: 'orders_customer_fk', type: 'f', def: 'FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE' }
+      ]
+    }],
+    indexes: ['CREATE INDEX orders_placed ON orders USING btree (placed, lower(note)) WHERE (total > 0)'],
+    views: [{ name: 'big_orders', def: " SELECT id, total FROM orders WHERE note <> ';';" }],
+    functions: [{ name: 'big', def: 'CREATE OR REPLACE FUNCTION big(o orders)\n RETURNS boolean\n LANGUAGE plpgsql\nAS $function$ BEGIN RETURN o.total > 100; END $function$\n' }],
+    triggers: [{ table_name: 'orders', name: 'touch', def: 'CREATE TRIGGER touch BEFORE UPDATE OF total, note ON orders FOR EACH ROW EXECUTE FUNCTION touch()' }]
+  });
+
+  test('strings, quoted names, dollar bodies and comments are blanked when checking structure', () => {
+    const sql = "SELECT 'a;b', E'it\\'s;', \"x;\" -- c;\n/* a /* ; */ */ $f$ ; $f$ x";
+    const masked = maskSql(sql);
+    expect(masked).toHaveLength(sql.length);
+    expect(masked).not.toMatch(/;/);
+    expect(masked.startsWith("SELECT '   ', E'      ', \"  \"")).toBe(true);
+    expect(masked.endsWith('$f$   $f$ x')).toBe(true);
+    expect(maskSql("SELECT 'open")).toBeNull();
+  });
+
+  test("the definitions describeSchema produces pass", () => {
+    expect(() => checkArchiveDefinitions(schema(), [{ expression: "status <> 'archived'" }])).not.toThrow();
+  });
+
+  test.each([
+    ['an index with a second statement', s => s.indexes.push('CREATE INDEX i ON orders USING btree (id); DROP SCHEMA shared CASCADE')],
+    ['an index on another schema', s => s.indexes.push('CREATE INDEX i ON db_other.orders USING btree (id)')],
+    ['a statement that is no index', s => s.indexes.push('DROP SCHEMA shared CASCADE')],
+    ['a column type with a statement', s => s.tables[0].columns.push({ name: 'x', type: 'integer; DROP SCHEMA shared CASCADE; --' })],
+    ['a column type with a clause', s => s.tables[0].columns.push({ name: 'x', type: 'integer REFERENCES shared.users' })],
+    ['a default that closes the statement', s => s.tables[0].columns.push({ name: 'x', type: 'integer', default_expr: '0); DROP SCHEMA shared CASCADE; --' })],
+    ['a default that adds a column', s => s.tables[0].columns.push({ name: 'x', type: 'integer', default_expr: '0, y integer' })],
+    ['a constraint with another subcommand', s => s.tables[0].constraints.push({ name: 'x', type: 'c', def: 'CHECK (true), OWNER TO postgres' })],
+    ['a foreign key to shared', s => s.tables[0].constraints.push({ name: 'x', type: 'f', def: 'FOREIGN KEY (a) REFERENCES shared.users(user_id)' })],
+    ['a view with a second statement', s => s.views.push({ name: 'w', def: 'SELECT 1; DROP SCHEMA shared CASCADE' })],
+    ['an unterminated string', s => s.views.push({ name: 'w', def: "SELECT 'x" })],
+    ['a function in shared', s => s.functions.push({ name: 'f', def: 'CREATE OR REPLACE FUNCTION shared.current_app_user() RETURNS text AS $$ SELECT 1 $$ LANGUAGE sql' })],
+    ['a SECURITY DEFINER function', s => s.functions.push({ name: 'f', def: 'CREATE OR REPLACE FUNCTION f() RETURNS text LANGUAGE sql SECURITY DEFINER AS $$ SELECT 1 $$' })],
+    ['a trigger on shared', s => s.triggers.push({ def: 'CREATE TRIGGER t BEFORE UPDATE ON shared.users FOR EACH ROW EXECUTE FUNCTION f()' })],
+    ['a sequence bound that is not a number', s => s.sequences.push({ name: 's', type: 'integer', start: '1; DROP', increment: '1', min: '1', max: '2' })]
+  ])('refuses %s', (_, mutate) => {
+    const s = schema();
+    mutate(s);
+    expect(() => checkArchiveDefinitions(s)).toThrow(expect.objectContaining({ code: 'ELIFECYCLE', status: 400 }));
+  });
+
+  test('row policy expressions are checked too', () => {
+    expect(() => checkArchiveDefinitions(schema(), [{ expression: 'true) WITH CHECK (true); DROP SCHEMA shared' }]))
+      .toThrow(/^Invalid row policy expression in archive/);
+  });
+
+  test('a restore with a bad definition never touches the database', async () => {
+    const pool = { connect: jest.fn() };
+    const s = schema();
+    s.indexes.push('CREATE INDEX i ON orders USING btree (id); DROP SCHEMA shared CASCADE');
+    const archive = { format: ARCHIVE_FORMAT, version: 1, schema: s, shared: {} };
+    await expect(restoreDatabase(pool, archive, { database_id: 'x', name: 'X', schema_name: 'db_x' }, { attachmentsDir: os.tmpdir() }))
+      .rejects.toThrow(/^Invalid index in archive/);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+});
+
+// ============================================================
+// Copies and row policies
+// ============================================================
+
+describe('copying tables with row policies', () => {
+  const SOURCE = { database_id: 'nw', name: 'NW', schema_name: 'db_nw' };
+  const ROWS = Array.from({ length: 1001 }, (_, i) => ({ row: JSON.stringify({ id: i + 1 }) }));
+
+  // db_nw has one table, orders, with forced row security
+  function respond(sql) {
+    if (/c\.relforcerowsecurity/.test(sql)) return { rows: [{ relname: 'orders' }] };
+    if (/AS name, obj_description\(c\.oid, 'pg_class'\) AS comment\s+FROM pg_class c JOIN pg_namespace n ON n\.oid = c\.relnamespace\s+WHERE n\.nspname = \$1 AND c\.relkind = 'r'/.test(sql)) {
+      return { rows: [{ name: 'orders', comment: null }] };
+    }
+    if (/a\.attname AS name, format_type/.test(sql)) {
+      return { rows: [{ table_name: 'orders', name: 'id', type: 'integer', not_null: true, identity: '', generated: '', default_expr: null }] };
+    }
+    return undefined;
+  }
+
+  const forcing = statements => statements.filter(s => /ROW LEVEL SECURITY|row_security/.test(s));
+
+  test('clone reads past the source\'s policies and puts them back', async () => {
+    const client = recordingClient(respond);
+    await cloneDatabase({ connect: async () => client }, SOURCE, { database_id: 'nw2', name: 'NW2', schema_name: 'db_nw2' },
+      { attachmentsDir: os.tmpdir() });
+    const copy = client.statements.findIndex(s => s.startsWith('INSERT INTO "db_nw2"."orders"'));
+    const lifted = client.statements.indexOf('ALTER TABLE "db_nw"."orders" NO FORCE ROW LEVEL SECURITY');
+    const forced = client.statements.indexOf('ALTER TABLE "db_nw"."orders" FORCE ROW LEVEL SECURITY');
+    expect(lifted).toBeGreaterThan(-1);
+    expect(lifted).toBeLessThan(copy);
+    expect(forced).toBeGreaterThan(copy);
+    expect(forcing(client.statements).slice(0, 2)).toEqual([
+      'ALTER TABLE "db_nw"."orders" NO FORCE ROW LEVEL SECURITY',
+      'SET LOCAL row_security = off'
+    ]);
+  });
+
+  test('a policy still in the way fails the clone instead of shortening it', async () => {
+    const client = recordingClient(sql => {
+      if (sql.trim().startsWith('INSERT INTO "db_nw2"')) {
+        throw Object.assign(new Error('query would be affected by row-level security policy for table "orders"'), { code: '42501' });
+      }
+      return respond(sql);
+    });
+    await expect(cloneDatabase({ connect: async () => client }, SOURCE, { database_id: 'nw2', name: 'NW2', schema_name: 'db_nw2' },
+      { attachmentsDir: os.tmpdir() })).rejects.toThrow(/row-level security/);
+    expect(client.statements[client.statements.length - 1]).toBe('ROLLBACK');
+  });
+
+  test('backup streams rows a batch at a time, past the policies', async () => {
+    let fetched = 0;
+    const client = recordingClient(sql => {
+      if (/^FETCH/.test(sql)) {
+        const batch = ROWS.slice(fetched, fetched + 1000);
+        fetched += batch.length;
+        return { rows: batch };
+      }
+      return respond(sql);
+    });
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk.toString()));
+
+    const summary = await backupDatabase({ connect: async () => client }, SOURCE, output, { attachmentsDir: os.tmpdir() });
+    expect(summary).toEqual({ tables: 1, rows: 1001, shared: {}, attachments: 0 });
+    expect(chunks.length).toBeGreaterThan(3);
+    const archive = JSON.parse(chunks.join(''));
+    expect(archive).toMatchObject({ format: ARCHIVE_FORMAT, version: 1, database: { database_id: 'nw' }, attachments: [] });
+    expect(archive.schema.tables[0].rows).toHaveLength(1001);
+    expect(archive.schema.tables[0].rows[1000]).toEqual({ id: 1001 });
+    expect(archive.schema).toHaveProperty('sequences', []);
+
+    expect(client.statements.filter(s => /^FETCH/.test(s))).toEqual(['FETCH 1000 FROM backup_rows', 'FETCH 1000 FROM backup_rows']);
+    expect(forcing(client.statements)).toEqual([
+      'ALTER TABLE "db_nw"."orders" NO FORCE ROW LEVEL SECURITY',
+      'SET LOCAL row_security = off',
+      'ALTER TABLE "db_nw"."orders" FORCE ROW LEVEL SECURITY'
+    ]);
+  });
+
+  test('a backup whose output goes away stops and rolls back', async () => {
+    const client = recordingClient(respond);
+    // Never drains, as a download nobody reads
+    const output = new Writable({ highWaterMark: 1, write() {} });
+    const backup = backupDatabase({ connect: async () => client }, SOURCE, output, { attachmentsDir: os.tmpdir() });
+    setImmediate(() => output.destroy());
+    await expect(backup).rejects.toThrow('The backup was cancelled');
+    expect(client.statements[client.statements.length - 1]).toBe('ROLLBACK');
+  });
+});
+
+// ============================================================
+// Routes
+// ============================================================
+
+describe('/api/databases lifecycle', () => {
+  const DATABASES = {
+    northwind: { database_id: 'northwind', name: 'Northwind', schema_name: 'db_northwind', description: 'Demo', archived_at: null },
+    old: { database_id: 'old', name: 'Old', schema_name: 'db_old', description: null, archived_at: '2026-01-01T00:00:00Z' }
+  };
+  let client;
+  let pool;
+  let app;
+
+  // Catalog queries describe an empty schema; shared.databases is DATABASES
+  function respond(sql, params = []) {
+    if (/FROM shared\.databases WHERE database_id = \$1 OR/.test(sql)) {
+      return { rows: DATABASES[params[0]] ? [{}] : [] };
+    }
+    if (/FROM shared\.databases WHERE database_id/.test(sql)) {
+      return { rows: DATABASES[params[0]] ? [DATABASES[params[0]]] : [] };
+    }
+    if (/^\s*UPDATE shared\.databases SET archived_at/.test(sql)) {
+      return { rows: DATABASES[params[0]] ? [{ ...DATABASES[params[0]], archived_at: /NOW/.test(sql) ? 'now' : null }] : [] };
+    }
+    return { rows: [], rowCount: 0 };
+  }
+
+  function binary(res, callback) {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  }
+
+  beforeAll(() => {
+    client = recordingClient(respond);
+    pool = { query: jest.fn(async (sql, params) => respond(sql, params)), connect: jest.fn(async () => client) };
+    ({ app } = createApp({ pool }));
+  });
+  beforeEach(() => {
+    client.statements.length = 0;
+    client.query.mockClear();
+  });
+
+  test('copying, restoring and deleting need a global admin; the rest the database admin', () => {
+    expect(requiredRole('POST', '/databases/northwind/clone')).toBe('system');
+    expect(requiredRole('POST', '/databases/restore')).toBe('system');
+    expect(requiredRole('DELETE', '/databases/northwind')).toBe('system');
+    expect(requiredRole('PATCH', '/databases/northwind')).toBe('admin');
+    expect(requiredRole('POST', '/databases/northwind/archive')).toBe('admin');
+    expect(requiredRole('GET', '/databases/northwind/backup')).toBe('admin');
+    expect(requiredRole('POST', '/databases/switch')).toBeNull();
+  });
+
+  test('clone copies into a new schema and refuses a name that is taken', async () => {
+    const res = await request(app).post('/api/databases/northwind/clone').send({ name: 'Northwind Sandbox' });
+    expect(res.status).toBe(200);
+    expect(res.body.database).toEqual({
+      database_id: 'northwind_sandbox', name: 'Northwind Sandbox', schema_name: 'db_northwind_sandbox', description: 'Demo'
+    });
+    expect(client.statements).toContain('CREATE SCHEMA "db_northwind_sandbox"');
+    expect(client.statements[client.statements.length - 1]).toBe('COMMIT');
+
+    const taken = await request(app).post('/api/databases/northwind/clone').send({ name: 'Old' });
+    expect(taken.status).toBe(409);
+    expect(taken.body.error).toBe('Database "old" already exists');
+    expect((await request(app).post('/api/databases/nope/clone').send({ name: 'X' })).status).toBe(404);
+    expect((await request(app).post('/api/databases/northwind/clone').send({})).status).toBe(400);
+  });
+
+  test('an archived database is hidden and cannot be opened', async () => {
+    const list = await request(app).get('/api/databases');
+    expect(pool.query.mock.calls.pop()[0]).toMatch(/WHERE archived_at IS NULL/);
+    expect(list.status).toBe(200);
+    await request(app).get('/api/databases').query({ archived: 'true' });
+    expect(pool.query.mock.calls.pop()[0]).not.toMatch(/archived_at IS NULL/);
+
+    const scoped = await request(app).get('/api/forms').set('X-Database-ID', 'old');
+    expect(scoped.status).toBe(409);
+    expect(scoped.body.error).toBe('Database "old" is archived');
+    expect((await request(app).post('/api/databases/switch').send({ database_id: 'old' })).status).toBe(409);
+
+    const archived = await request(app).post('/api/databases/northwind/archive');
+    expect(archived.body.database.archived_at).toBe('now');
+    expect((await request(app).post('/api/databases/old/unarchive')).body.database.archived_at).toBeNull();
+  });
+
+  test('rename validates the new id and moves the schema', async () => {
+    expect((await request(app).patch('/api/databases/northwind').send({ database_id: 'Bad Id' })).status).toBe(400);
+    expect((await request(app).patch('/api/databases/northwind').send({ database_id: 'old' })).status).toBe(409);
+
+    await request(app).patch('/api/databases/northwind').send({ database_id: 'nw' });
+    expect(client.statements).toContain('ALTER SCHEMA "db_northwind" RENAME TO "db_nw"');
+    expect(client.statements).toContain('UPDATE shared."objects" SET database_id = $2 WHERE database_id = $1');
+  });
+
+  test('delete needs the id repeated', async () => {
+    const res = await request(app).delete('/api/databases/northwind');
+    expect(res.status).toBe(400);
+    expect(client.statements).toEqual([]);
+    expect((await request(app).delete('/api/databases/northwind').query({ confirm: 'northwind' })).status).toBe(200);
+    expect(client.statements).toContain('DROP SCHEMA IF EXISTS "db_northwind" CASCADE');
+  });
+
+  test('backup downloads a gzipped archive that restore reads back', async () => {
+    const backup = await request(app).get('/api/databases/northwind/backup').buffer(true).parse(binary);
+    expect(backup.status).toBe(200);
+    expect(backup.headers['content-disposition']).toBe('attachment; filename="northwind.accessclone.json.gz"');
+    const archive = JSON.parse(zlib.gunzipSync(backup.body).toString());
+    expect(archive).toMatchObject({ format: ARCHIVE_FORMAT, version: 1, database: { database_id: 'northwind', name: 'Northwind' } });
+    expect(client.statements[0]).toBe('BEGIN ISOLATION LEVEL REPEATABLE READ');
+
+    const restored = await request(app).post('/api/databases/restore').query({ name: 'Northwind Copy' })
+      .set('Content-Type', 'application/gzip').send(backup.body);
+    expect(restored.status).toBe(200);
+    expect(restored.body.database).toMatchObject({ database_id: 'northwind_copy', schema_name: 'db_northwind_copy' });
+
+    const garbage = await request(app).post('/api/databases/restore').set('Content-Type', 'application/gzip').send(Buffer.from('nope'));
+    expect(garbage.status).toBe(400);
+  });
+
+  test('a backup that fails before sending anything reports the error, not a download', async () => {
+    const broken = { query: pool.query, connect: jest.fn().mockRejectedValue(new Error('too many clients')) };
+    const res = await request(express().use('/api/databases', databasesRoutes(broken))).get('/api/databases/northwind/backup');
+    expect(res.status).toBe(500);
+    expect(res.body.error).toBe('too many clients');
+    expect(res.headers['content-disposition']).toBeUndefined();
+  });
+
+  test('restore reads an unzipped archive sent as JSON', async () => {
+    const backup = await request(app).get('/api/databases/northwind/backup').buffer(true).parse(binary);
+    const json = zlib.gunzipSync(backup.body).toString();
+    const restored = await request(app).post('/api/databases/restore').query({ name: 'Northwind Json' })
+      .set('Content-Type', 'application/json').send(json);
+    expect(restored.status).toBe(200);
+    expect(restored.body.database.database_id).toBe('northwind_json');
+  });
+
+  test('restore refuses an archive that unzips past the limit', async () => {
+    const small = express().use('/api/databases', databasesRoutes(pool, { maxArchiveBytes: 1024 }));
+    const bomb = zlib.gzipSync(Buffer.alloc(64 * 1024, 0x20));
+    const res = await request(small).post('/api/databases/restore').set('Content-Type', 'application/gzip').send(bomb);
+    expect(res.status).toBe(413);
+    expect(res.body.error).toBe('The archive is larger than 1024 bytes unzipped');
+    const plain = await request(small).post('/api/databases/restore').set('Content-Type', 'application/json').send(' '.repeat(2048));
+    expect(plain.status).toBe(413);
+    expect(client.statements).toEqual([]);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for per-client database selection through createApp: no server-wide
+ * "current database", schema-scoped requests need X-Database-ID, and each
+ * user's saved UI state (which remembers their database) is their own.
+ */
+
+const request = require('supertest');
+const { createApp } = require('../app');
+const { requiredRole } = require('../lib/auth');
+
+const DATABASES = { northwind: 'db_northwind', payroll: 'db_payroll' };
+
+/** shared.databases and shared.ui_state in memory; schema-scoped reads return nothing */
+function createMockPool() {
+  const uiState = new Map();
+  const query = jest.fn(async (sql, params = []) => {
+    if (/FROM shared\.databases WHERE database_id/.test(sql)) {
+      return { rows: DATABASES[params[0]] ? [{ database_id: params[0], name: params[0], schema_name: DATABASES[params[0]] }] : [] };
+    }
+    if (/FROM shared\.databases/.test(sql)) {
+      return { rows: Object.keys(DATABASES).map(id => ({ database_id: id, name: id, schema_name: DATABASES[id] })) };
+    }
+    if (/DELETE FROM shared\.ui_state/.test(sql)) {
+      return { rows: [] };
+    }
+    if (/INSERT INTO shared\.ui_state/.test(sql)) {
+      uiState.set(params[0], JSON.parse(params[1]));
+      return { rows: [] };
+    }
+    if (/FROM shared\.ui_state/.test(sql)) {
+      return { rows: uiState.has(params[0]) ? [{ state: uiState.get(params[0]) }] : [] };
+    }
+    return { rows: [], fields: [] };
+  });
+  const client = { query, release: jest.fn() };
+  return { query, connect: jest.fn(async () => client), uiState };
+}
+
+describe('database selection', () => {
+  let pool;
+  let app;
+
+  beforeEach(() => {
+    pool = createMockPool();
+    ({ app } = createApp({ pool }));
+  });
+
+  test('a schema-scoped request without X-Database-ID is refused', async () => {
+    const res = await request(app).get('/api/forms');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/No database selected/);
+    expect(pool.connect).not.toHaveBeenCalled();
+  });
+
+  test('an unknown database is a 404, not the public schema', async () => {
+    const res = await request(app).get('/api/forms').set('X-Database-ID', 'nope');
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Database "nope" not found');
+  });
+
+  test("one user's switch doesn't change anyone else's database", async () => {
+    const sw = await request(app).post('/api/databases/switch').set('X-User-ID', 'ann').send({ database_id: 'payroll' });
+    expect(sw.status).toBe(200);
+    expect(sw.body).toEqual({ success: true, database: { database_id: 'payroll', name: 'payroll', schema_name: 'db_payroll' } });
+
+    const list = await request(app).get('/api/databases').set('X-User-ID', 'bob');
+    expect(list.body.current).toBeUndefined();
+    expect((await request(app).get('/api/forms').set('X-User-ID', 'bob')).status).toBe(400);
+  });
+
+  test("each user's saved UI state, database included, is their own", async () => {
+    const saved = { database_id: 'payroll', open_objects: [{ type: 'forms', name: 'frmPay' }], app_mode: 'run' };
+    const put = await request(app).put('/api/session/ui-state').set('X-User-ID', 'ann').send(saved);
+    expect(put.status).toBe(200);
+
+    // Asked before a database is chosen, so no X-Database-ID
+    expect((await request(app).get('/api/session/ui-state').set('X-User-ID', 'ann')).body).toEqual(saved);
+    expect((await request(app).get('/api/session/ui-state').set('X-User-ID', 'bob')).body).toEqual({});
+    expect((await request(app).put('/api/session/ui-state').set('X-User-ID', 'ann').send([1])).status).toBe(400);
+  });
+
+  test('clients with no user keep their UI state apart by X-Session-ID', async () => {
+    // Route modules keep one router per process; load fresh ones bound to this pool
+    jest.isolateModules(() => {
+      ({ app } = require('../app').createApp({ pool }));
+    });
+    const saved = { database_id: 'payroll' };
+    expect((await request(app).put('/api/session/ui-state').set('X-Session-ID', 's-1').send(saved)).status).toBe(200);
+    expect([...pool.uiState.keys()]).toEqual(['session:s-1']);
+    expect((await request(app).get('/api/session/ui-state').set('X-Session-ID', 's-1')).body).toEqual(saved);
+    expect((await request(app).get('/api/session/ui-state').set('X-Session-ID', 's-2')).body).toEqual({});
+    expect((await request(app).get('/api/session/ui-state')).body).toEqual({});
+
+    const put = await request(app).put('/api/session/ui-state').send(saved);
+    expect(put.status).toBe(400);
+    expect(put.body.error).toMatch(/X-Session-ID/);
+    // Old session rows are cleared; rows of named users never are
+    expect(pool.query.mock.calls.filter(([sql]) => /DELETE FROM shared\.ui_state/.test(sql))).toHaveLength(1);
+    await request(app).put('/api/session/ui-state').set('X-User-ID', 'ann').send(saved);
+    expect(pool.query.mock.calls.filter(([sql]) => /DELETE FROM shared\.ui_state/.test(sql))).toHaveLength(1);
+  });
+
+  test('app settings and UI state need no database role', () => {
+    expect(requiredRole('GET', '/config')).toBeNull();
+    expect(requiredRole('PUT', '/config')).toBe('system');
+    expect(requiredRole('GET', '/session/ui-state')).toBeNull();
+    expect(requiredRole('PUT', '/session/ui-state')).toBeNull();
+  });
+});
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { Pool } = require('pg');
+const config = require('../config');
+const { initializeSchema } = require('../graph/schema');
+const {
+  cloneDatabase, renameDatabase, dropDatabase, backupDatabase, restoreDatabase
+} = require('../lib/database-lifecycle');
+
+const shouldRun = process.env.ACCESSCLONE_DB_TESTS === '1';
+const describeDb = shouldRun ? describe : describe.skip;
+
+const SOURCE = { database_id: 'lifecycle_src', name: 'Lifecycle Source', schema_name: 'db_lifecycle_src' };
+const IDS = ['lifecycle_src', 'lifecycle_copy', 'lifecycle_moved', 'lifecycle_restored'];
+
+describeDb('Database lifecycle (db)', () => {
+  let pool;
+  let attachmentsDir;
+
+  async function cleanUp() {
+    for (const id of IDS) {
+      const row = await pool.query('SELECT * FROM shared.databases WHERE database_id = $1', [id]);
+      if (row.rows[0]) await dropDatabase(pool, row.rows[0], { attachmentsDir });
+      await pool.query(`DROP SCHEMA IF EXISTS "db_${id}" CASCADE`);
+    }
+  }
+
+  beforeAll(async () => {
+    pool = new Pool({ connectionString: config.database.connectionString });
+    attachmentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ac-lifecycle-'));
+    await initializeSchema(pool);
+    await cleanUp();
+
+    const s = `"${SOURCE.schema_name}"`;
+    await pool.query(`CREATE SCHEMA ${s}`);
+    await pool.query(`
+      CREATE TABLE ${s}.customers (id SERIAL PRIMARY KEY, name TEXT NOT NULL);
+      CREATE TABLE ${s}.orders (
+        id INT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        customer_id INT REFERENCES ${s}.customers(id),
+        amount NUMERIC(10,2) CHECK (amount >= 0),
+        taxed NUMERIC GENERATED ALWAYS AS (amount * 1.2) STORED
+      );
+      CREATE INDEX orders_customer ON ${s}.orders (customer_id);
+      COMMENT ON TABLE ${s}.orders IS 'Orders';
+      CREATE FUNCTION ${s}.big(o ${s}.orders) RETURNS boolean LANGUAGE sql AS 'SELECT o.amount > 100';
+      CREATE VIEW ${s}.big_orders AS SELECT id FROM ${s}.orders o WHERE ${s}.big(o);
+      INSERT INTO ${s}.customers (name) VALUES ('Ann'), ('Bob');
+      INSERT INTO ${s}.orders (customer_id, amount) VALUES (1, 50), (2, 500);
+      CREATE TABLE ${s}.notes (id INT PRIMARY KEY, body TEXT);
+      INSERT INTO ${s}.notes VALUES (1, 'a'), (2, 'b');
+      ALTER TABLE ${s}.notes ENABLE ROW LEVEL SECURITY;
+      ALTER TABLE ${s}.notes FORCE ROW LEVEL SECURITY;
+      CREATE POLICY hide_all ON ${s}.notes USING (false);
+    `);
+    await pool.query(
+      'INSERT INTO shared.databases (database_id, name, schema_name) VALUES ($1, $2, $3)',
+      [SOURCE.database_id, SOURCE.name, SOURCE.schema_name]
+    );
+    const object = await pool.query(
+      `INSERT INTO shared.objects (database_id, type, name, definition) VALUES ($1, 'form', 'frmOrders', '{}') RETURNING id`,
+      [SOURCE.database_id]
+    );
+    await pool.query(
+      `INSERT INTO shared.intents (object_id, intent_type, content) VALUES ($1, 'business', '{"purpose": "orders"}')`,
+      [object.rows[0].id]
+    );
+    await pool.query(
+      `INSERT INTO shared.events (event_type, source, message, database_id) VALUES ('action', 'test', 'history', $1)`,
+      [SOURCE.database_id]
+    );
+  }, 60000);
+
+  afterAll(async () => {
+    if (!pool) return;
+    await cleanUp();
+    fs.rmSync(attachmentsDir, { recursive: true, force: true });
+    await pool.end();
+  });
+
+  async function summary(schemaName, databaseId) {
+    const s = `"${schemaName}"`;
+    const orders = await pool.query(`SELECT id, amount::float, taxed::float FROM ${s}.orders ORDER BY id`);
+    const big = await pool.query(`SELECT id FROM ${s}.big_orders`);
+    const intents = await pool.query(
+      `SELECT i.content FROM shared.intents i JOIN shared.objects o ON o.id = i.object_id WHERE o.database_id = $1`,
+      [databaseId]
+    );
+    return { orders: orders.rows, big: big.rows.map(r => r.id), intents: intents.rows.map(r => r.content) };
+  }
+
+  async function backupOf(database) {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    await backupDatabase(pool, database, output, { attachmentsDir });
+    output.end();
+    return JSON.parse(Buffer.concat(chunks).toString());
+  }
+
+  test('clone copies schema, rows and design state but not history', async () => {
+    const copy = { database_id: 'lifecycle_copy', name: 'Copy', schema_name: 'db_lifecycle_copy' };
+    await cloneDatabase(pool, SOURCE, copy, { attachmentsDir });
+
+    expect(await summary(copy.schema_name, copy.database_id)).toEqual(await summary(SOURCE.schema_name, SOURCE.database_id));
+    const events = await pool.query('SELECT 1 FROM shared.events WHERE database_id = $1', [copy.database_id]);
+    expect(events.rows).toHaveLength(0);
+
+    // Rows a policy hides from the source's reader still come across, and the source stays forced
+    const notes = await pool.query('SELECT count(*)::int AS n FROM "db_lifecycle_copy".notes');
+    expect(notes.rows[0].n).toBe(2);
+    const forced = await pool.query(
+      `SELECT relforcerowsecurity FROM pg_class WHERE oid = '"db_lifecycle_src".notes'::regclass`
+    );
+    expect(forced.rows[0].relforcerowsecurity).toBe(true);
+
+    // Sequences continue where the source's left off
+    const next = await pool.query(`INSERT INTO "db_lifecycle_copy".customers (name) VALUES ('Cy') RETURNING id`);
+    expect(next.rows[0].id).toBe(3);
+    // Foreign keys came across
+    await expect(pool.query(`INSERT INTO "db_lifecycle_copy".orders (customer_id, amount) VALUES (99, 1)`))
+      .rejects.toMatchObject({ code: '23503' });
+  });
+
+  test('rename moves the schema and its shared rows', async () => {
+    const copy = (await pool.query(`SELECT * FROM shared.databases WHERE database_id = 'lifecycle_copy'`)).rows[0];
+    const before = await summary(copy.schema_name, copy.database_id);
+    const moved = await renameDatabase(pool, copy, 'lifecycle_moved', { attachmentsDir });
+    expect(moved.schema_name).toBe('db_lifecycle_moved');
+    expect(await summary('db_lifecycle_moved', 'lifecycle_moved')).toEqual(before);
+  });
+
+  test('backup and restore round-trip through JSON', async () => {
+    const source = (await pool.query(`SELECT * FROM shared.databases WHERE database_id = $1`, [SOURCE.database_id])).rows[0];
+    const archive = await backupOf(source);
+    expect(archive.schema.tables.find(t => t.name === 'notes').rows).toHaveLength(2);
+    const target = { database_id: 'lifecycle_restored', name: 'Restored', schema_name: 'db_lifecycle_restored' };
+    await restoreDatabase(pool, archive, target, { attachmentsDir });
+    expect(await summary(target.schema_name, target.database_id)).toEqual(await summary(SOURCE.schema_name, SOURCE.database_id));
+  });
+
+  test('drop removes the schema and every shared row', async () => {
+    const moved = (await pool.query(`SELECT * FROM shared.databases WHERE database_id = 'lifecycle_moved'`)).rows[0];
+    await dropDatabase(pool, moved, { attachmentsDir });
+    const schema = await pool.query(`SELECT 1 FROM pg_namespace WHERE nspname = 'db_lifecycle_moved'`);
+    const objects = await pool.query(`SELECT 1 FROM shared.objects WHERE database_id = 'lifecycle_moved'`);
+    expect(schema.rows).toHaveLength(0);
+    expect(objects.rows).toHaveLength(0);
+  });
+});
@@ -0,0 +1,91 @@
+const path = require('path');
+const { Pool } = require('pg');
+const request = require('supertest');
+const config = require('../config');
+const { createApp } = require('../app');
+const { initializeSchema } = require('../graph/schema');
+const { dropDatabase } = require('../lib/database-lifecycle');
+
+const shouldRun = process.env.ACCESSCLONE_DB_TESTS === '1';
+const describeDb = shouldRun ? describe : describe.skip;
+
+const SOURCE = 'migrations_src';
+const STAGING = 'migrations_stage';
+
+describeDb('Schema migrations (db)', () => {
+  let pool;
+  let app;
+
+  async function cleanUp() {
+    for (const id of [SOURCE, STAGING]) {
+      const row = await pool.query('SELECT * FROM shared.databases WHERE database_id = $1', [id]);
+      if (row.rows[0]) await dropDatabase(pool, row.rows[0]);
+      await pool.query(`DROP SCHEMA IF EXISTS "db_${id}" CASCADE`);
+    }
+  }
+
+  async function columns(id) {
+    const result = await pool.query(
+      `SELECT column_name FROM information_schema.columns
+       WHERE table_schema = $1 AND table_name = 'items' ORDER BY ordinal_position`,
+      [`db_${id}`]
+    );
+    return result.rows.map(r => r.column_name);
+  }
+
+  const api = (method, url, id) => request(app)[method](url).set('X-Database-ID', id);
+
+  beforeAll(async () => {
+    pool = new Pool({ connectionString: config.database.connectionString });
+    await initializeSchema(pool);
+    await cleanUp();
+    for (const id of [SOURCE, STAGING]) {
+      await pool.query(`CREATE SCHEMA "db_${id}"`);
+      await pool.query('INSERT INTO shared.databases (database_id, name, schema_name) VALUES ($1, $1, $2)', [id, `db_${id}`]);
+    }
+    ({ app } = createApp({
+      pool,
+      secrets: {},
+      settingsDir: path.join(__dirname, '..', '..', 'tmp', 'test-settings'),
+      uiPublicDir: path.join(__dirname, '..', '..', 'ui', 'resources', 'public')
+    }));
+  }, 30000);
+
+  afterAll(async () => {
+    if (!pool) return;
+    await cleanUp();
+    await pool.end();
+  });
+
+  const ID = { name: 'id', type: 'AutoNumber', isPrimaryKey: true, nullable: false };
+  const LABEL = { name: 'label', type: 'Short Text', maxLength: 50, nullable: true, indexed: 'yes' };
+
+  test('design changes are recorded and the last one rolls back', async () => {
+    expect((await api('post', '/api/tables', SOURCE).send({ name: 'items', fields: [ID] })).body.migration).toBe(1);
+    const put = await api('put', '/api/tables/items', SOURCE).send({ fields: [ID, LABEL] });
+    expect(put.body).toEqual({ success: true, migration: 2 });
+    expect(await columns(SOURCE)).toEqual(['id', 'label']);
+
+    const refused = await api('post', '/api/migrations/rollback', SOURCE).send({});
+    expect(refused.status).toBe(409);
+    const rollback = await api('post', '/api/migrations/rollback', SOURCE).send({ force: true });
+    expect(rollback.body).toMatchObject({ rolledBack: 2, migration: { version: 3, operation: 'rollback' } });
+    expect(await columns(SOURCE)).toEqual(['id']);
+
+    const diff = await api('get', '/api/migrations/diff?from=1&to=2', SOURCE);
+    expect(diff.body.changes.map(c => c.change)).toEqual(['add_column', 'add_index']);
+  });
+
+  test('the exported chain replays once on a staging copy', async () => {
+    await api('put', '/api/tables/items', SOURCE).send({ fields: [ID, LABEL] });
+    const exported = await api('get', '/api/migrations/export', SOURCE);
+
+    const first = await api('post', '/api/migrations/replay?force=true', STAGING).send(exported.body);
+    expect(first.status).toBe(200);
+    expect(first.body.applied.map(m => m.source.version)).toEqual([1, 2, 3, 4]);
+    expect(await columns(STAGING)).toEqual(await columns(SOURCE));
+
+    const again = await api('post', '/api/migrations/replay', STAGING).send(exported.body);
+    expect(again.body).toMatchObject({ applied: [], skipped: [1, 2, 3, 4] });
+  });
+});
@@ -3,6 +3,8 @@ const { Pool } = require('pg');
 const request = require('supertest');
 const config = require('../config');
 const { createApp } = require('../app');
+const { initializeSchema } = require('../graph/schema');
+const { dropSandboxRole } = require('../lib/sql-sandbox');
 
 const shouldRun = process.env.ACCESSCLONE_DB_TESTS === '1';
 const describeDb = shouldRun ? describe : describe.skip;
@@ -20,17 +22,8 @@ describeDb('Schema routing isolation (db)', () => {
       connectionString: config.database.connectionString
     });
 
-    // Shared schema + databases table (minimal)
-    await pool.query('CREATE SCHEMA IF NOT EXISTS shared');
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS shared.databases (
-        database_id VARCHAR(100) PRIMARY KEY,
-        name VARCHAR(255),
-        schema_name VARCHAR(255) NOT NULL,
-        description TEXT,
-        last_accessed TIMESTAMPTZ
-      )
-    `);
+    // Shared schema: databases, users, the signed request identity
+    await initializeSchema(pool);
 
     // Create test schemas + tables
     await pool.query(`CREATE SCHEMA IF NOT EXISTS "${DB_A}"`);
@@ -83,6 +76,13 @@ describeDb('Schema routing isolation (db)', () => {
     await pool.query('DELETE FROM shared.databases WHERE database_id IN ($1, $2)', [DB_A, DB_B]);
     await pool.query(`DROP SCHEMA IF EXISTS "${DB_A}" CASCADE`);
     await pool.query(`DROP SCHEMA IF EXISTS "${DB_B}" CASCADE`);
+    const client = await pool.connect();
+    try {
+      await dropSandboxRole(client, DB_A);
+      await dropSandboxRole(client, DB_B);
+    } finally {
+      client.release();
+    }
     await pool.end();
   });
 
@@ -117,4 +117,65 @@ describeDb('Schema routing isolation (db)', () => {
     expect(parseInt(countA.rows[0].count)).toBe(1);
     expect(parseInt(countB.rows[0].count)).toBe(0);
   });
+
+  test('concurrent requests for both databases stay isolated', async () => {
+    const requests = Array.from({ length: 60 }, (_, i) => {
+      const dbId = i % 2 === 0 ? DB_A : DB_B;
+      return request(app).get(`/api/data/${TABLE}`).set('X-Database-ID', dbId)
+        .then(res => ({ dbId, res }));
+    });
+
+    for (const { dbId, res } of await Promise.all(requests)) {
+      expect(res.status).toBe(200);
+      const labels = res.body.data.map(r => r.label);
+      expect(labels).toContain(dbId === DB_A ? 'A1' : 'B1');
+      expect(labels).not.toContain(dbId === DB_A ? 'B1' : 'A1');
+    }
+  });
+
+  test('ad-hoc queries read their own database', async () => {
+    const res = await request(app).post('/api/queries/run').set('X-Database-ID', DB_A)
+      .send({ sql: `SELECT label FROM ${TABLE}` })
+      .expect(200);
+    expect(res.body.data.map(r => r.label)).toContain('A1');
+  });
+
+  test("ad-hoc queries can't read another database's schema", async () => {
+    const res = await request(app).post('/api/queries/run').set('X-Database-ID', DB_A)
+      .send({ sql: `SELECT label FROM "${DB_B}"."${TABLE}"` })
+      .expect(400);
+    expect(res.body.error).toMatch(/permission denied/);
+  });
+
+  test("ad-hoc queries can't read shared.users", async () => {
+    const res = await request(app).post('/api/queries/run').set('X-Database-ID', DB_A)
+      .send({ sql: 'SELECT user_id, password_hash FROM shared.users' })
+      .expect(400);
+    expect(res.body.error).toMatch(/permission denied/);
+  });
+
+  test("ad-hoc statements can't change another database", async () => {
+    const res = await request(app).post('/api/queries/execute').set('X-Database-ID', DB_A)
+      .send({ sql: `UPDATE "${DB_B}"."${TABLE}" SET label = 'hacked'` })
+      .expect(400);
+    expect(res.body.error).toMatch(/permission denied/);
+    const hacked = await pool.query(`SELECT COUNT(*) FROM "${DB_B}"."${TABLE}" WHERE label = 'hacked'`);
+    expect(parseInt(hacked.rows[0].count)).toBe(0);
+  });
+
+  test('current_app_user() ignores an app.user_id the server did not sign', async () => {
+    const client = await pool.connect();
+    try {
+      await client.query("SELECT set_config('app.user_id', 'bob', false)");
+      const spoofed = await client.query('SELECT shared.current_app_user() AS user_id');
+      expect(spoofed.rows[0].user_id).toBeNull();
+
+      await client.query("SELECT set_config('app.user_sig', shared.sign_app_user('bob'), false)");
+      const signed = await client.query('SELECT shared.current_app_user() AS user_id');
+      expect(signed.rows[0].user_id).toBe('bob');
+    } finally {
+      await client.query('RESET app.user_id; RESET app.user_sig');
+      client.release();
+    }
+  });
 });
@@ -128,6 +128,79 @@ describe('actionToIntent', () => {
     expect(intent.type).toBe('new-record');
   });
 
+  test('maps OutputTo to export-data', () => {
+    const intent = actionToIntent({
+      action: 'OutputTo',
+      arguments: ['1', 'qryProductList', 'Excel Workbook (*.xlsx)', 'C:\\Exports\\Products.xlsx'],
+      condition: null
+    });
+    expect(intent.type).toBe('export-data');
+    expect(intent.classification).toBe('mechanical');
+    expect(intent.params).toEqual({
+      object_type: 'query', object_name: 'qryProductList', format: 'xlsx', file_name: 'C:\\Exports\\Products.xlsx'
+    });
+  });
+
+  test('takes the OutputTo format from the file when none is given', () => {
+    const intent = actionToIntent({ action: 'OutputTo', arguments: ['0', 'Orders', '', 'orders.csv'], condition: null });
+    expect(intent.params.format).toBe('csv');
+  });
+
+  test('maps TransferSpreadsheet export and TransferText delimited export', () => {
+    const xlsx = actionToIntent({ action: 'TransferSpreadsheet', arguments: ['1', '10', 'Orders', 'Orders.xlsx', '-1'], condition: null });
+    expect(xlsx.type).toBe('export-data');
+    expect(xlsx.params).toMatchObject({ object_type: 'table', object_name: 'Orders', format: 'xlsx' });
+    const csv = actionToIntent({ action: 'TransferText', arguments: ['2', '', 'Customers', 'cust.csv', '-1'], condition: null });
+    expect(csv.params).toMatchObject({ object_name: 'Customers', format: 'csv', file_name: 'cust.csv' });
+  });
+
+  test('reads export arguments by name from XML macros', () => {
+    const [parsed] = parseMacroActions(`
+<UserInterfaceMacro>
+  <Statements>
+    <Action Name="TransferSpreadsheet">
+      <Argument Name="TransferType">Export</Argument>
+      <Argument Name="TableName">Orders</Argument>
+      <Argument Name="FileName">Orders.xlsx</Argument>
+    </Action>
+  </Statements>
+</UserInterfaceMacro>`);
+    const intent = actionToIntent(parsed);
+    expect(intent.type).toBe('export-data');
+    expect(intent.params).toMatchObject({ object_name: 'Orders', file_name: 'Orders.xlsx' });
+  });
+
+  test('maps TransferSpreadsheet import and TransferText delimited import', () => {
+    const xlsx = actionToIntent({ action: 'TransferSpreadsheet', arguments: ['0', '10', 'Orders', 'Orders.xlsx', '-1'], condition: null });
+    expect(xlsx.type).toBe('import-data');
+    expect(xlsx.classification).toBe('mechanical');
+    expect(xlsx.params).toEqual({ table_name: 'Orders', format: 'xlsx', file_name: 'Orders.xlsx', has_field_names: true });
+    const csv = actionToIntent({ action: 'TransferText', arguments: ['0', '', 'Customers', 'cust.csv'], condition: null });
+    expect(csv.type).toBe('import-data');
+    expect(csv.params).toMatchObject({ table_name: 'Customers', format: 'csv', has_field_names: false });
+  });
+
+  test('leaves links, fixed-width text and unsupported output formats as gaps', () => {
+    const linked = actionToIntent({ action: 'TransferSpreadsheet', arguments: ['2', '10', 'Orders', 'Orders.xlsx'], condition: null });
+    expect(linked.type).toBe('gap');
+    expect(linked.params.original_action).toBe('TransferSpreadsheet');
+    const fixed = actionToIntent({ action: 'TransferText', arguments: ['1', 'spec', 'Orders', 'orders.txt'], condition: null });
+    expect(fixed.type).toBe('gap');
+    const rtf = actionToIntent({ action: 'OutputTo', arguments: ['3', 'rptSales', 'Rich Text Format (*.rtf)'], condition: null });
+    expect(rtf.type).toBe('gap');
+    expect(rtf.params.reason).toMatch(/rtf/);
+    const formPdf = actionToIntent({ action: 'OutputTo', arguments: ['2', 'frmOrders', 'PDF Format (*.pdf)'], condition: null });
+    expect(formPdf.type).toBe('gap');
+  });
+
+  test('maps OutputTo of a report as PDF or HTML to export-data', () => {
+    const pdf = actionToIntent({ action: 'OutputTo', arguments: ['3', 'rptSales', 'PDF Format (*.pdf)', 'C:\\Out\\Sales.pdf'], condition: null });
+    expect(pdf.type).toBe('export-data');
+    expect(pdf.params).toEqual({ object_type: 'report', object_name: 'rptSales', format: 'pdf', file_name: 'C:\\Out\\Sales.pdf' });
+    const html = actionToIntent({ action: 'OutputTo', arguments: ['3', 'rptSales', '', 'Sales.html'], condition: null });
+    expect(html.params.format).toBe('html');
+  });
+
   test('maps unknown action to gap', () => {
     const intent = actionToIntent({ action: 'SomeWeirdAction', arguments: [], condition: null });
     expect(intent.type).toBe('gap');
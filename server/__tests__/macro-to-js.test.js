@@ -0,0 +1,158 @@
+const { translateMacro, compileExpression, macroXml, parseXml } = require('../lib/macro-to-js');
+
+// A SaveAsText export as Access writes it: legacy lines, then the XML in _AXL comments
+const SAVE_AS_TEXT = [
+  'Version =196611',
+  'PublishOption =1',
+  'ColumnsShown =0',
+  'Begin',
+  '    Action ="OnError"',
+  '    Argument ="1"',
+  '    Argument ="ErrorHandler"',
+  'End',
+  'Begin',
+  '    Comment ="_AXL:<?xml version=\\"1.0\\" encoding=\\"UTF-16\\" standalone=\\"no\\"?>\\015\\012<UserI"',
+  '        "nterfaceMacro xmlns=\\"http://schemas.microsoft.com/office/accessservices/2009/11/application\\"><Statements>"',
+  '        "<Action Name=\\"OnError\\"><Argument Name=\\"Goto\\">Macro Name</Argument><Argument Name=\\"MacroName\\">"',
+  '        "ErrorHandler</Argument></Action><ConditionalBlock><If><Condition>[TempVars]![UserRole]=\\"Admin\\"</Condi"',
+  '        "tion><Statements><Action Name=\\"OpenForm\\"><Argument Name=\\"FormName\\">Order List</Argument></Action>"',
+  '        "</Statements></If><ElseIf><Condition>[txtQty] &gt; 3 And [Ship Date] Is Not Null</Condition><Statements>"',
+  '        "<Action Name=\\"RunSQL\\"><Argument Name=\\"SQLStatement\\">UPDATE Orders SET Status=&apos;Big&apos;</Ar"',
+  '        "gument></Action></Statements></ElseIf><Else><Statements><Action Name=\\"RunMacro\\"><Argument Name=\\"Mac"',
+  '        "roName\\">mcrNav.Next</Argument><Argument Name=\\"RepeatCount\\">3</Argument></Action></Statements></Else>"',
+  '        "</ConditionalBlock><SubMacro Name=\\"ErrorHandler\\"><Statements><Action Name=\\"MessageBox\\"><Argument "',
+  '        "Name=\\"Message\\">=\\"Failed: \\" &amp; [MacroError].[Description]</Argument></Action></Statements></Su"',
+  '        "bMacro></Statements></UserInterfaceMacro>"',
+  'End',
+].join('\r\n');
+
+// ============================================================
+// XML
+// ============================================================
+
+describe('macroXml', () => {
+  test('joins the _AXL comment lines and unescapes them', () => {
+    const xml = macroXml(SAVE_AS_TEXT);
+    expect(xml.startsWith('<?xml version="1.0" encoding="UTF-16" standalone="no"?>\r\n<UserInterfaceMacro xmlns=')).toBe(true);
+    expect(xml.endsWith('</UserInterfaceMacro>')).toBe(true);
+  });
+
+  test('XML macros are their own XML; legacy exports have none', () => {
+    expect(macroXml('<UserInterfaceMacro><Statements/></UserInterfaceMacro>')).toBe('<UserInterfaceMacro><Statements/></UserInterfaceMacro>');
+    expect(macroXml('Version =196611\nBegin\n    Action ="Beep"\nEnd')).toBeNull();
+  });
+});
+
+describe('parseXml', () => {
+  test('elements, attributes, entities and CDATA', () => {
+    const doc = parseXml('<?xml version="1.0"?><!-- c --><a:Root x="1 &amp; 2"><Item/><Text><![CDATA[<b>]]> &lt;i&gt;</Text></a:Root>');
+    const root = doc.children[0];
+    expect(root).toMatchObject({ name: 'Root', attributes: { x: '1 & 2' } });
+    expect(root.children.map(c => c.name)).toEqual(['Item', 'Text']);
+    expect(root.children[1].text).toBe('<b> <i>');
+  });
+});
+
+// ============================================================
+// Expressions
+// ============================================================
+
+describe('compileExpression', () => {
+  test('macro references', () => {
+    expect(compileExpression('[TempVars]![UserRole]="Admin"')).toBe('AC.getTempVar("UserRole") === "Admin"');
+    expect(compileExpression('[Forms]![Order List]![ID] Is Not Null')).toBe('!(AC.getFormValue("Order List", "ID") == null)');
+    expect(compileExpression('"Error " & [MacroError].[Number]')).toBe('"Error " + M.macroError.number');
+    expect(compileExpression('[LocalVars]![Count] + 1')).toBe('M.localVars["count"] + 1');
+    expect(compileExpression('Not [CurrentProject].[IsTrusted]')).toBe('!(true)');
+  });
+
+  test('functions around references, with strings left alone', () => {
+    expect(compileExpression('DCount("*","Orders","[CustomerID]=" & [txtID]) > 0'))
+      .toBe('await AC.dCount("*", "Orders", "[CustomerID]=" + AC.getValue("txtID")) > 0');
+    expect(compileExpression('CalcDiscount([Total], 0.1)', { fnRegistry: new Set(['calcdiscount']) }))
+      .toBe('await AC.callFn("CalcDiscount", AC.getValue("Total"), 0.1)');
+  });
+
+  test('null for what has no JS form', () => {
+    expect(compileExpression('[Forms]![frmMain]![txtName].[Visible]')).toBeNull();
+    expect(compileExpression('Screen.ActiveForm')).toBeNull();
+    expect(compileExpression('[x] Like "A*"')).toBeNull();
+  });
+});
+
+// ============================================================
+// translateMacro
+// ============================================================
+
+describe('translateMacro', () => {
+  test('If / Else If / Else, submacros and expression arguments from the XML', () => {
+    const result = translateMacro(SAVE_AS_TEXT, 'mcrOrders');
+    expect(result.untranslated).toEqual([]);
+    expect(result.statements[0]).toEqual({
+      type: 'action', action: 'OnError', arguments: { Goto: 'Macro Name', MacroName: 'ErrorHandler' },
+    });
+    const block = result.statements[1];
+    expect(block.branches.map(b => b.js)).toEqual([
+      'AC.getTempVar("UserRole") === "Admin"',
+      'AC.getValue("txtQty") > 3 && !(AC.getValue("Ship Date") == null)',
+    ]);
+    expect(block.branches[1].statements[0].arguments.SQLStatement).toBe("UPDATE Orders SET Status='Big'");
+    expect(block.else).toEqual([{ type: 'action', action: 'RunMacro', arguments: { MacroName: 'mcrNav.Next', RepeatCount: '3' } }]);
+    expect(result.submacros.ErrorHandler[0]).toMatchObject({
+      action: 'MessageBox',
+      expressions: { Message: '"Failed: " + M.macroError.description' },
+    });
+  });
+
+  test('legacy exports: positional arguments, ... conditions, MacroName sections', () => {
+    const result = translateMacro([
+      'Version =196611',
+      'Begin',
+      '    Condition ="[Counter] > 3"',
+      '    Action ="MsgBox"',
+      '    Argument ="Done"',
+      'End',
+      'Begin',
+      '    Condition ="..."',
+      '    Action ="GoToRecord"',
+      '    Argument ="-1"',
+      '    Argument =""',
+      '    Argument ="5"',
+      'End',
+      'Begin',
+      '    MacroName ="Reset"',
+      '    Action ="SetTempVar"',
+      '    Argument ="Counter"',
+      '    Argument ="=""0"""',
+      'End',
+    ].join('\r\n'), 'mcrLegacy');
+    expect(result.statements).toHaveLength(1);
+    expect(result.statements[0].branches[0].statements.map(s => [s.action, s.arguments])).toEqual([
+      ['MessageBox', { Message: 'Done' }],
+      ['GoToRecord', { ObjectType: '-1', Record: 'New' }],
+    ]);
+    expect(result.submacros.Reset[0].expressions).toEqual({ Expression: '"0"' });
+  });
+
+  test('RunCode calls through AC.callFn; SetValue gets its target', () => {
+    const result = translateMacro(`<UserInterfaceMacro><Statements>
+      <Action Name="RunCode"><Argument Name="FunctionName">Startup()</Argument></Action>
+      <Action Name="SetValue"><Argument Name="Item">[Forms]![frmOrders]![btnSave].[Enabled]</Argument><Argument Name="Expression">True</Argument></Action>
+    </Statements></UserInterfaceMacro>`, 'mcrStart');
+    expect(result.statements[0].expressions).toEqual({ FunctionName: 'await AC.callFn("Startup")' });
+    expect(result.statements[1]).toMatchObject({
+      target: { form: 'frmOrders', control: 'btnSave', property: 'Enabled' },
+      expressions: { Expression: 'true' },
+    });
+  });
+
+  test('records expressions it could not translate', () => {
+    const result = translateMacro(`<UserInterfaceMacro><Statements>
+      <ConditionalBlock><If><Condition>[Name] Like "A*"</Condition><Statements/></If></ConditionalBlock>
+      <Action Name="SetTempVar"><Argument Name="Name">x</Argument><Argument Name="Expression">Screen.ActiveForm.Name</Argument></Action>
+    </Statements></UserInterfaceMacro>`, 'mcrHard');
+    expect(result.statements[0].branches[0].js).toBeNull();
+    expect(result.statements[1].expressions).toEqual({ Expression: null });
+    expect(result.untranslated.map(u => [u.action, u.argument])).toEqual([['If', 'Condition'], ['SetTempVar', 'Expression']]);
+  });
+});
@@ -0,0 +1,370 @@
+/**
+ * Tests for schema migration history: snapshots, diffs and the recorder
+ * (server/lib/migrations.js), the DDL routes recording migrations
+ * (routes/metadata.js), and rollback, diff, export and replay
+ * (/api/migrations) — mock pools.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const {
+  createTableStatements, restoreStatements, diffSnapshots, describeChanges, diffVersions,
+  startMigration, rollbackLast, validateChain, replayChain, migrationsExport, migrationsScript, primaryKey
+} = require('../lib/migrations');
+const { requiredRole } = require('../lib/auth');
+
+const ORDERS = {
+  name: 'orders',
+  comment: null,
+  columns: [
+    { name: 'id', type: 'integer', not_null: true, identity: 'a', generated: '', default_expr: null, comment: null },
+    { name: 'note', type: 'character varying(255)', not_null: false, identity: '', generated: '', default_expr: null, comment: 'Memo' }
+  ],
+  constraints: [{ name: 'orders_pkey', type: 'p', def: 'PRIMARY KEY (id)' }],
+  indexes: [{ name: 'idx_orders_note', def: 'CREATE INDEX idx_orders_note ON orders USING btree (note)' }]
+};
+
+const withColumn = (snapshot, column) => ({ ...snapshot, columns: [...snapshot.columns, column] });
+const TOTAL = { name: 'total', type: 'numeric(19,4)', not_null: false, identity: '', generated: '', default_expr: null, comment: null };
+
+/**
+ * A pg client whose catalog queries describe `tables` (name → snapshot) and
+ * whose shared.schema_migrations is `history`. Other statements are recorded.
+ */
+function createMockClient(tables, history = []) {
+  const query = jest.fn(async (sql, params = []) => {
+    const only = name => (params[1] == null || params[1] === name);
+    const live = Object.values(tables).filter(t => t && only(t.name));
+    if (/obj_description\(c\.oid, 'pg_class'\) AS comment\s+FROM pg_class/.test(sql)) {
+      return { rows: live.map(t => ({ name: t.name, comment: t.comment })) };
+    }
+    if (/FROM pg_attribute a/.test(sql)) {
+      return { rows: live.flatMap(t => t.columns.map(c => ({ table_name: t.name, ...c }))) };
+    }
+    if (/pg_get_indexdef/.test(sql)) {
+      return { rows: live.flatMap(t => t.indexes.map(i => ({ table_name: t.name, ...i }))) };
+    }
+    if (/FROM pg_constraint con/.test(sql)) {
+      return { rows: live.flatMap(t => t.constraints.map(c => ({ table_name: t.name, ...c }))) };
+    }
+    if (/pg_trigger/.test(sql)) return { rows: [] };
+    if (/FROM shared\.schema_migrations\s+WHERE database_id = \$1 AND rolled_back_at IS NULL/.test(sql)) {
+      const open = history.filter(m => !m.rolled_back_at && m.operation !== 'rollback');
+      return { rows: open.slice(-1) };
+    }
+    if (/SELECT version, table_name, up_sql, source FROM shared\.schema_migrations/.test(sql)) {
+      return { rows: history };
+    }
+    if (/^UPDATE shared\.schema_migrations/.test(sql)) {
+      const m = history.find(h => h.version === params[1]);
+      m.rolled_back_at = 'now';
+      return { rows: [m] };
+    }
+    if (/^INSERT INTO shared\.schema_migrations/.test(sql)) {
+      const [database_id, table_name, operation, description, up_sql, down_sql, lossy_up, lossy_down,
+        table_before, table_after, reverts, source, created_by] = params;
+      const row = {
+        database_id, version: history.length + 1, table_name, operation, description, up_sql, down_sql,
+        lossy_up, lossy_down, table_before: JSON.parse(table_before), table_after: JSON.parse(table_after),
+        reverts, source: JSON.parse(source), created_by
+      };
+      history.push(row);
+      return { rows: [row] };
+    }
+    return { rows: [] };
+  });
+  return { query, release: jest.fn(), history };
+}
+
+/** Statements a mock client ran other than catalog reads and history bookkeeping. */
+function ddl(client) {
+  return client.query.mock.calls.map(([sql]) => sql)
+    .filter(sql => /^(ALTER|CREATE|DROP|COMMENT|BEGIN|COMMIT|ROLLBACK)/.test(sql));
+}
+
+// ============================================================
+// lib/migrations.js
+// ============================================================
+
+describe('migration helpers', () => {
+  test('a table is re-created from its snapshot, constraints, indexes and comments included', () => {
+    const withFk = { ...ORDERS, constraints: [{ name: 'orders_parent_fkey', type: 'f', def: 'FOREIGN KEY (id) REFERENCES orders(id)' }, ...ORDERS.constraints] };
+    expect(createTableStatements(withFk)).toEqual([
+      'CREATE TABLE "orders" ("id" integer GENERATED ALWAYS AS IDENTITY NOT NULL, "note" character varying(255))',
+      'ALTER TABLE "orders" ADD CONSTRAINT "orders_pkey" PRIMARY KEY (id)',
+      'ALTER TABLE "orders" ADD CONSTRAINT "orders_parent_fkey" FOREIGN KEY (id) REFERENCES orders(id)',
+      'CREATE INDEX idx_orders_note ON orders USING btree (note)',
+      'COMMENT ON COLUMN "orders"."note" IS \'Memo\''
+    ]);
+  });
+
+  test("a serial column's sequence is re-created with the table", () => {
+    const serial = { ...ORDERS, constraints: [], indexes: [],
+      columns: [{ ...ORDERS.columns[0], identity: '', default_expr: "nextval('orders_id_seq'::regclass)" }] };
+    expect(createTableStatements(serial).slice(0, 3)).toEqual([
+      'CREATE SEQUENCE IF NOT EXISTS orders_id_seq',
+      'CREATE TABLE "orders" ("id" integer DEFAULT nextval(\'orders_id_seq\'::regclass) NOT NULL)',
+      'ALTER SEQUENCE orders_id_seq OWNED BY "orders"."id"'
+    ]);
+  });
+
+  test('keys and indexes a dropped column took with it are put back', () => {
+    const after = { ...ORDERS, columns: ORDERS.columns.slice(0, 1), indexes: [] };
+    expect(restoreStatements(ORDERS, after)).toEqual(['CREATE INDEX idx_orders_note ON orders USING btree (note)']);
+    expect(restoreStatements(ORDERS, ORDERS)).toEqual([]);
+  });
+
+  test('snapshots diff by column, constraint and index', () => {
+    const after = {
+      ...withColumn(ORDERS, TOTAL),
+      comment: 'Orders',
+      columns: [{ ...ORDERS.columns[0] }, { ...TOTAL }],
+      indexes: []
+    };
+    const changes = diffSnapshots(ORDERS, after);
+    expect(changes.map(c => c.change)).toEqual(['comment', 'add_column', 'drop_column', 'drop_index']);
+    expect(describeChanges(changes)).toBe(
+      'Change description of orders; Add column orders.total; Drop column orders.note; Drop index idx_orders_note on orders');
+    expect(diffSnapshots(null, ORDERS)).toEqual([{ change: 'create_table', table: 'orders' }]);
+    expect(diffSnapshots(ORDERS, JSON.parse(JSON.stringify(ORDERS)))).toEqual([]);
+  });
+
+  test('primary key columns come from the constraint definition', () => {
+    const pk = { ...ORDERS, constraints: [{ name: 'k', type: 'p', def: 'PRIMARY KEY (order_id, "Line No")' }] };
+    expect(primaryKey(pk).columns).toEqual(['order_id', 'Line No']);
+    expect(primaryKey({ ...ORDERS, constraints: [] })).toBeNull();
+  });
+
+  test('the recorder files undo statements newest first', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    const migration = startMigration(client);
+    await migration.run('A1', 'A0');
+    await migration.run('B1', ['B0a', 'B0b'], { losesData: true });
+    await migration.run('C1', async () => ['C0'], { undoLosesData: true });
+    expect(migration.steps()).toEqual({ up: ['A1', 'B1', 'C1'], down: ['C0', 'B0a', 'B0b', 'A0'], lossyUp: true, lossyDown: true });
+    expect(client.query.mock.calls.map(([sql]) => sql)).toEqual(['A1', 'B1', 'C1']);
+  });
+
+  test("a version's schema is each table after its last migration up to it", () => {
+    const v2 = withColumn(ORDERS, TOTAL);
+    const migrations = [
+      { version: 1, table_name: 'orders', table_before: null, table_after: ORDERS },
+      { version: 2, table_name: 'orders', table_before: ORDERS, table_after: v2 },
+      { version: 3, table_name: 'notes', table_before: { ...ORDERS, name: 'notes' }, table_after: null }
+    ];
+    expect(diffVersions(migrations, 0, 3)).toEqual([
+      { change: 'drop_table', table: 'notes' },
+      { change: 'create_table', table: 'orders' }
+    ]);
+    expect(diffVersions(migrations, 1, 2)).toEqual([
+      { change: 'add_column', table: 'orders', column: 'total', definition: '"total" numeric(19,4)' }
+    ]);
+    expect(diffVersions(migrations, 2, 1).map(c => c.change)).toEqual(['drop_column']);
+  });
+
+  test('exports are checked before they are replayed', () => {
+    expect(() => validateChain({ format: 'other' })).toThrow(/Not a migration export/);
+    expect(() => validateChain({ format: 'accessclone-migrations', version: 1, database_id: 'nw', migrations: [{ version: 1 }] }))
+      .toThrow(expect.objectContaining({ code: 'EMIGRATION', status: 400 }));
+    const doc = migrationsExport('nw', [
+      { version: 2, table_name: 'orders', operation: 'alter', description: 'Add column orders.total', up_sql: ['B'], down_sql: [] },
+      { version: 1, table_name: 'orders', operation: 'create', description: 'Create table orders', up_sql: ['A'], down_sql: [] }
+    ]);
+    expect(validateChain(doc).map(m => m.version)).toEqual([1, 2]);
+  });
+
+  test('the SQL export is one transaction of every up statement', () => {
+    const script = migrationsScript('nw', [
+      { version: 1, operation: 'create', description: 'Create table orders', up_sql: ['CREATE TABLE "orders" ("id" integer)'] }
+    ]);
+    expect(script).toContain('BEGIN;\n\n-- Version 1 (create): Create table orders\nCREATE TABLE "orders" ("id" integer);\n\nCOMMIT;');
+  });
+
+  test('designers roll back and replay; anyone with access reads the history', () => {
+    expect(requiredRole('POST', '/migrations/rollback')).toBe('designer');
+    expect(requiredRole('POST', '/migrations/replay')).toBe('designer');
+    expect(requiredRole('GET', '/migrations/diff')).toBe('read-only');
+  });
+});
+
+// ============================================================
+// Rollback and replay
+// ============================================================
+
+describe('rolling back and replaying', () => {
+  const options = { schemaName: 'db_nw', databaseId: 'nw', userId: 'dee' };
+  const added = {
+    version: 1, table_name: 'orders', operation: 'alter', description: 'Add column orders.total',
+    up_sql: ['ALTER TABLE "orders" ADD COLUMN "total" numeric(19,4)'],
+    down_sql: ['ALTER TABLE "orders" DROP COLUMN "total"'],
+    lossy_up: false, lossy_down: true, table_before: ORDERS, table_after: withColumn(ORDERS, TOTAL)
+  };
+
+  test('the last migration is undone and the undo recorded as a new version', async () => {
+    const client = createMockClient({ orders: withColumn(ORDERS, TOTAL) }, [{ ...added }]);
+    const result = await rollbackLast({ connect: async () => client }, { ...options, force: true });
+    expect(ddl(client)).toEqual(['BEGIN', 'ALTER TABLE "orders" DROP COLUMN "total"', 'COMMIT']);
+    expect(result.rolledBack.rolled_back_at).toBe('now');
+    expect(result.migration).toMatchObject({
+      version: 2, operation: 'rollback', reverts: 1, up_sql: added.down_sql, down_sql: added.up_sql,
+      lossy_up: true, lossy_down: false, description: 'Roll back version 1: Add column orders.total', created_by: 'dee'
+    });
+  });
+
+  test('undoing what could lose data needs force', async () => {
+    const client = createMockClient({ orders: withColumn(ORDERS, TOTAL) }, [{ ...added }]);
+    await expect(rollbackLast({ connect: async () => client }, options))
+      .rejects.toMatchObject({ code: 'EMIGRATION', status: 409, message: expect.stringMatching(/can lose data/) });
+    expect(ddl(client)).toEqual(['BEGIN', 'ROLLBACK']);
+  });
+
+  test('a table changed outside the history is not rolled back', async () => {
+    const client = createMockClient({ orders: ORDERS }, [{ ...added }]);
+    await expect(rollbackLast({ connect: async () => client }, { ...options, force: true }))
+      .rejects.toMatchObject({ status: 409, message: 'Table "orders" has changed since version 1: Drop column orders.total' });
+  });
+
+  test('nothing to roll back is a 404', async () => {
+    const client = createMockClient({}, []);
+    await expect(rollbackLast({ connect: async () => client }, options)).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('replay applies what is missing and skips what came across already', async () => {
+    const created = {
+      version: 1, table_name: 'orders', operation: 'create', description: 'Create table orders',
+      up_sql: ['CREATE TABLE "orders" (...)'], down_sql: ['DROP TABLE "orders"'], table_before: null, table_after: ORDERS
+    };
+    const doc = migrationsExport('nw', [created, { ...added, version: 2 }]);
+    // A clone taken after version 1 carries that version itself
+    const client = createMockClient({ orders: ORDERS }, [{ ...created, source: null }]);
+    const result = await replayChain({ connect: async () => client }, doc, { ...options, databaseId: 'staging' });
+    expect(result.skipped).toEqual([1]);
+    expect(result.applied).toHaveLength(1);
+    expect(result.applied[0]).toMatchObject({
+      version: 2, operation: 'replay', up_sql: added.up_sql, source: { database_id: 'nw', version: 2 }
+    });
+    expect(ddl(client)).toEqual(['BEGIN', 'ALTER TABLE "orders" ADD COLUMN "total" numeric(19,4)', 'COMMIT']);
+  });
+
+  test("replay refuses a table that isn't where the chain expects it", async () => {
+    const doc = migrationsExport('nw', [added]);
+    const client = createMockClient({ orders: withColumn(ORDERS, TOTAL) }, []);
+    await expect(replayChain({ connect: async () => client }, doc, options))
+      .rejects.toMatchObject({ status: 409, message: expect.stringMatching(/doesn't match the starting point of version 1/) });
+    expect(ddl(client)).toEqual(['BEGIN', 'ROLLBACK']);
+  });
+});
+
+// ============================================================
+// DDL routes record migrations
+// ============================================================
+
+describe('/api/tables records migrations', () => {
+  let client;
+  const mockPool = { query: jest.fn(async () => ({ rows: [] })), connect: jest.fn(async () => client) };
+  const app = express();
+  app.use(express.json());
+  app.use('/api', (req, res, next) => { req.databaseId = 'nw'; req.schemaName = 'db_nw'; req.userId = 'dee'; next(); });
+  app.use('/api', require('../routes/metadata')(mockPool));
+
+  test('a design change is kept with the statements that undo it', async () => {
+    client = createMockClient({ orders: ORDERS });
+    const res = await request(app).put('/api/tables/orders').send({
+      description: 'Orders',
+      fields: [
+        { name: 'id', type: 'AutoNumber', isPrimaryKey: true, nullable: false },
+        { name: 'total', type: 'Currency', nullable: true }
+      ]
+    });
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, migration: 1 });
+    expect(client.history[0]).toMatchObject({
+      database_id: 'nw', table_name: 'orders', operation: 'alter', created_by: 'dee', lossy_up: true, lossy_down: true,
+      up_sql: [
+        'ALTER TABLE "orders" ADD COLUMN "total" numeric(19,4)',
+        'ALTER TABLE "orders" DROP COLUMN "note"',
+        'COMMENT ON TABLE "orders" IS \'Orders\''
+      ],
+      down_sql: [
+        'COMMENT ON TABLE "orders" IS NULL',
+        'ALTER TABLE "orders" ADD COLUMN "note" character varying(255)',
+        'COMMENT ON COLUMN "orders"."note" IS \'Memo\'',
+        'ALTER TABLE "orders" DROP COLUMN "total"'
+      ]
+    });
+    expect(client.query).toHaveBeenCalledWith("SELECT set_config('search_path', $1, true)", ['"db_nw"']);
+  });
+
+  test('creating a table that exists is a 409; dropping or changing a missing one a 404', async () => {
+    client = createMockClient({ orders: ORDERS });
+    const create = await request(app).post('/api/tables').send({ name: 'orders', fields: [{ name: 'id', type: 'AutoNumber' }] });
+    expect(create.status).toBe(409);
+    expect((await request(app).delete('/api/tables/nope')).status).toBe(404);
+    expect((await request(app).put('/api/tables/nope').send({ fields: [] })).status).toBe(404);
+    expect(client.history).toHaveLength(0);
+  });
+
+  test('dropping a table records how to re-create it', async () => {
+    client = createMockClient({ orders: ORDERS });
+    const res = await request(app).delete('/api/tables/orders');
+    expect(res.body).toEqual({ success: true, migration: 1 });
+    expect(client.history[0]).toMatchObject({
+      operation: 'drop', up_sql: ['DROP TABLE "orders"'], down_sql: createTableStatements(ORDERS),
+      lossy_up: true, lossy_down: false, table_before: ORDERS, table_after: null, description: 'Drop table orders'
+    });
+  });
+});
+
+// ============================================================
+// /api/migrations
+// ============================================================
+
+describe('/api/migrations', () => {
+  const HISTORY = [
+    { version: 1, table_name: 'orders', operation: 'create', description: 'Create table orders',
+      up_sql: ['CREATE TABLE "orders" ("id" integer)'], down_sql: ['DROP TABLE "orders"'], table_before: null, table_after: ORDERS },
+    { version: 2, table_name: 'orders', operation: 'alter', description: 'Add column orders.total',
+      up_sql: ['ALTER TABLE "orders" ADD COLUMN "total" numeric(19,4)'], down_sql: ['ALTER TABLE "orders" DROP COLUMN "total"'],
+      table_before: ORDERS, table_after: withColumn(ORDERS, TOTAL) }
+  ];
+  const mockPool = {
+    query: jest.fn(async (sql, params) => {
+      if (/AND version = \$2/.test(sql)) return { rows: HISTORY.filter(m => m.version === params[1]) };
+      if (/FROM shared\.schema_migrations/.test(sql)) return { rows: HISTORY };
+      return { rows: [] };
+    }),
+    connect: jest.fn()
+  };
+  const app = express();
+  app.use(express.json());
+  app.use('/api', (req, res, next) => { req.databaseId = 'nw'; req.schemaName = 'db_nw'; next(); });
+  app.use('/api/migrations', require('../routes/migrations')(mockPool));
+
+  test('diffs default to everything recorded', async () => {
+    const res = await request(app).get('/api/migrations/diff?from=1');
+    expect(res.body).toEqual({
+      from: 1, to: 2, changes: [{ change: 'add_column', table: 'orders', column: 'total', definition: '"total" numeric(19,4)' }]
+    });
+    expect((await request(app).get('/api/migrations/diff?to=latest')).status).toBe(400);
+  });
+
+  test('the chain exports as replayable JSON or a SQL script', async () => {
+    const json = await request(app).get('/api/migrations/export');
+    expect(json.headers['content-disposition']).toBe('attachment; filename="nw.migrations.json"');
+    expect(validateChain(json.body).map(m => m.version)).toEqual([1, 2]);
+
+    const sql = await request(app).get('/api/migrations/export?format=sql');
+    expect(sql.text).toContain('-- Version 2 (alter): Add column orders.total\nALTER TABLE "orders" ADD COLUMN "total" numeric(19,4);');
+  });
+
+  test('one migration in full, or a 404', async () => {
+    expect((await request(app).get('/api/migrations/2')).body.migration.down_sql).toEqual(HISTORY[1].down_sql);
+    expect((await request(app).get('/api/migrations/9')).status).toBe(404);
+  });
+
+  test('replaying something that is not an export is a 400', async () => {
+    const res = await request(app).post('/api/migrations/replay').send({ migrations: [] });
+    expect(res.status).toBe(400);
+    expect(mockPool.connect).not.toHaveBeenCalled();
+  });
+});
@@ -451,6 +451,15 @@ describe('return columns for parameterized SELECT', () => {
     expect(ddl(r)).toMatch(/"name" text/);
   });
 
+  test('bracketed parameter references become the function arguments', () => {
+    const r = convert(
+      'SELECT Id FROM orders WHERE OrderDate >= [Start Date] AND [Rid] = Id',
+      { parameters: [{ name: 'Start Date', type: 'Date' }, { name: 'rid', type: 'Long' }] }
+    );
+    expect(ddl(r)).toContain('(p_start_date date, p_rid bigint)');
+    expect(ddl(r)).toContain('WHERE OrderDate >= p_start_date AND p_rid = Id');
+  });
+
   test('falls back to SETOF record for complex expressions (declared params)', () => {
     const r = convert(
       'SELECT 1 + 2 FROM recipe WHERE Id=[rid]',
@@ -839,6 +848,125 @@ describe('user-defined function schema prefixing', () => {
   });
 });
 
+// ============================================================
+// Crosstab (TRANSFORM … PIVOT)
+// ============================================================
+
+describe('crosstab conversion', () => {
+  const CROSSTAB = 'TRANSFORM Sum(Amount) AS SumOfAmount ' +
+    'SELECT Region, Sum(Amount) AS Total FROM Sales GROUP BY Region ORDER BY Region ' +
+    'PIVOT Category';
+
+  test('fixed IN list → VIEW with one FILTER column per value', () => {
+    const r = convert(`${CROSSTAB} IN ("North America", "Europe")`, { queryTypeCode: 16 });
+    expect(r.pgObjectType).toBe('view');
+    const s = ddl(r);
+    expect(s).toContain('CREATE OR REPLACE VIEW myschema."test_query"');
+    expect(s).toContain(`Sum(Amount) FILTER (WHERE (Category)::text = 'North America') AS "north_america"`);
+    expect(s).toContain(`Sum(Amount) FILTER (WHERE (Category)::text = 'Europe') AS "europe"`);
+    expect(s).toContain('Sum(Amount) AS Total');
+    expect(s).toMatch(/FROM myschema\."sales"/);
+    expect(s).toMatch(/GROUP BY Region ORDER BY Region$/);
+    expect(s).not.toMatch(/TRANSFORM|PIVOT/i);
+  });
+
+  test('pivot columns appear in IN-list order before FROM', () => {
+    const s = ddl(convert(`${CROSSTAB} IN ("B", "A")`, { queryTypeCode: 16 }));
+    expect(s.indexOf('AS "b"')).toBeLessThan(s.indexOf('AS "a"'));
+    expect(s.indexOf('AS "a"')).toBeLessThan(s.indexOf('FROM'));
+  });
+
+  test('numeric and date IN values compare on their text form', () => {
+    const s = ddl(convert(
+      'TRANSFORM Count(Id) SELECT Kind FROM t GROUP BY Kind PIVOT Year(OrderDate) IN (2023, 2024)',
+      { queryTypeCode: 16 }
+    ));
+    expect(s).toContain(`(EXTRACT(YEAR FROM OrderDate)::integer)::text = '2023') AS "2023"`);
+
+    const d = ddl(convert(
+      'TRANSFORM Count(Id) SELECT Kind FROM t GROUP BY Kind PIVOT OrderDate IN (#1/31/2024#)',
+      { queryTypeCode: 16 }
+    ));
+    expect(d).toContain(`(OrderDate)::text = '2024-01-31') AS "20240131"`);
+  });
+
+  test('duplicate sanitized column names are made unique', () => {
+    const s = ddl(convert(`${CROSSTAB} IN ("A b", "a-b", "A_B")`, { queryTypeCode: 16 }));
+    expect(s).toContain('AS "a_b"');
+    expect(s).toContain('AS "ab"');
+    expect(s).toContain('AS "a_b_2"');
+  });
+
+  test('First/Last aggregates bring in the custom aggregate preamble', () => {
+    const r = convert(
+      'TRANSFORM First(Name) SELECT Region FROM t GROUP BY Region PIVOT Kind IN ("x")',
+      { queryTypeCode: 16 }
+    );
+    expect(r.statements.some(st => st.includes('CREATE AGGREGATE myschema.first_agg'))).toBe(true);
+    expect(ddl(r)).toContain(`first_agg(Name) FILTER (WHERE (Kind)::text = 'x')`);
+  });
+
+  test('TRANSFORM is recognized without the crosstab type code', () => {
+    const r = convert(`${CROSSTAB} IN ("x")`);
+    expect(r.pgObjectType).toBe('view');
+    expect(ddl(r)).toContain('FILTER (WHERE');
+  });
+
+  test('parameterized crosstab with IN list → FUNCTION', () => {
+    const r = convert(
+      `PARAMETERS [MinAmt] Long; TRANSFORM Sum(Amount) SELECT Region FROM Sales WHERE Amount > [MinAmt] GROUP BY Region PIVOT Category IN ("x")`,
+      { queryTypeCode: 16, parameters: [{ name: 'MinAmt', type: 'Long' }] }
+    );
+    expect(r.pgObjectType).toBe('function');
+    expect(ddl(r)).toContain('(p_minamt bigint)');
+    expect(ddl(r)).toContain('RETURNS TABLE("region" text, "x" text)');
+    expect(ddl(r)).toContain('WHERE Amount > p_minamt GROUP BY');
+  });
+
+  test('no IN list → set-returning function discovering pivot values', () => {
+    const r = convert(CROSSTAB, { queryTypeCode: 16 });
+    expect(r.pgObjectType).toBe('function');
+    expect(r.warnings.some(w => w.includes('IN (...)'))).toBe(true);
+    const s = ddl(r);
+    expect(s).toContain('CREATE OR REPLACE FUNCTION myschema."test_query"()');
+    expect(s).toContain('RETURNS SETOF json');
+    expect(s).toContain('LANGUAGE plpgsql STABLE');
+    expect(s).toContain('SELECT DISTINCT (Category)::text AS _v FROM myschema."sales" sales');
+    expect(s).toContain('IS NOT DISTINCT FROM %L) AS %I');
+    expect(s).toContain('row_to_json(_t)');
+    // Distinct-value scan stops before GROUP BY; the row query keeps it
+    expect(s).not.toMatch(/AS _v FROM[^)]*GROUP BY/);
+    expect(s).toContain(`GROUP BY Region ORDER BY Region'`);
+  });
+
+  test('dynamic crosstab passes parameters to EXECUTE positionally', () => {
+    const r = convert(
+      'PARAMETERS [MinQty] Long; TRANSFORM Sum(Amount) SELECT Region FROM Sales WHERE Qty >= [MinQty] GROUP BY Region PIVOT Category',
+      { queryTypeCode: 16, parameters: [{ name: 'MinQty', type: 'Long' }] }
+    );
+    const s = ddl(r);
+    expect(s).toContain('(p_minqty bigint)');
+    expect(s).toContain('Qty >= $1');
+    expect(s).not.toContain('"minqty"');
+    expect(s).toMatch(/INTO _cols USING p_minqty;/);
+    expect(s).toMatch(/\) _t' USING p_minqty;/);
+  });
+
+  test('string literals in the pivot expression are escaped for EXECUTE', () => {
+    const s = ddl(convert(
+      'TRANSFORM Count(Id) SELECT Kind FROM t WHERE Status="Open" GROUP BY Kind PIVOT Region',
+      { queryTypeCode: 16 }
+    ));
+    expect(s).toContain("WHERE Status=''Open''");
+  });
+
+  test('crosstab without PIVOT falls back to a commented stub', () => {
+    const r = convert('TRANSFORM Count(Id) SELECT Name FROM tbl GROUP BY Name', { queryTypeCode: 16 });
+    expect(ddl(r)).toMatch(/^-- Crosstab query/);
+    expect(r.warnings.some(w => w.includes('could not be parsed'))).toBe(true);
+  });
+});
+
 // ============================================================
 // Edge cases
 // ============================================================
@@ -0,0 +1,171 @@
+/**
+ * Tests for creating foreign keys from Access relationships
+ * (server/lib/relationships.js) against a mock pool.
+ */
+
+const { normalizeRelationship, foreignKeySql, importRelationships } = require('../lib/relationships');
+
+const ORDERS = {
+  name: 'CustomersOrders',
+  primaryTable: 'Customers',
+  foreignTable: 'Orders',
+  fields: [{ primary: 'CustomerID', foreign: 'Customer ID' }],
+  attributes: 0x1100
+};
+
+// ============================================================
+// Normalizing and SQL
+// ============================================================
+
+describe('normalizeRelationship', () => {
+  test('uses the PostgreSQL names import-table gives tables and columns', () => {
+    expect(normalizeRelationship(ORDERS)).toEqual({
+      name: 'CustomersOrders',
+      primaryTable: 'customers',
+      primaryColumns: ['customerid'],
+      foreignTable: 'orders',
+      foreignColumns: ['customer_id'],
+      enforced: true,
+      cascadeUpdate: true,
+      cascadeDelete: true,
+      constraint: 'fk_orders_customer_id'
+    });
+  });
+
+  test('reads the DAO attribute bits', () => {
+    const rel = normalizeRelationship({ ...ORDERS, attributes: 0x2 });
+    expect(rel).toMatchObject({ enforced: false, cascadeUpdate: false, cascadeDelete: false });
+    expect(normalizeRelationship({ ...ORDERS, attributes: undefined }).enforced).toBe(true);
+  });
+
+  test('rejects incomplete relationships', () => {
+    expect(normalizeRelationship(null)).toBeNull();
+    expect(normalizeRelationship({ ...ORDERS, fields: [] })).toBeNull();
+    expect(normalizeRelationship({ ...ORDERS, fields: [{ primary: 'CustomerID' }] })).toBeNull();
+  });
+});
+
+describe('foreignKeySql', () => {
+  test('is schema-qualified and carries the cascade rules', () => {
+    expect(foreignKeySql('db_nw', normalizeRelationship(ORDERS))).toBe(
+      'ALTER TABLE "db_nw"."orders" ADD CONSTRAINT "fk_orders_customer_id"' +
+      ' FOREIGN KEY ("customer_id") REFERENCES "db_nw"."customers" ("customerid")' +
+      ' ON UPDATE CASCADE ON DELETE CASCADE');
+  });
+
+  test('NOT VALID leaves existing rows unchecked', () => {
+    const rel = normalizeRelationship({ ...ORDERS, attributes: 0 });
+    expect(foreignKeySql('db_nw', rel, { notValid: true })).toMatch(/\("customerid"\) NOT VALID$/);
+  });
+});
+
+// ============================================================
+// importRelationships (mock pool)
+// ============================================================
+
+function mockPool({ columns, orphans = [], failAdd = null }) {
+  const statements = [];
+  const logs = [];
+  const edges = [];
+  const query = async (sql, params = []) => {
+    statements.push(sql);
+    if (sql.includes('information_schema.columns')) {
+      return { rows: columns.map(([table_name, column_name]) => ({ table_name, column_name })) };
+    }
+    if (sql.includes('FROM shared._nodes')) {
+      return { rows: [{ id: `${params[0]}:${params[1]}` }] };
+    }
+    if (sql.includes('INSERT INTO shared._edges')) {
+      edges.push({ from: params[0], to: params[1], metadata: JSON.parse(params[5]) });
+      return { rows: [{}] };
+    }
+    if (sql.includes('INSERT INTO shared.import_log')) {
+      logs.push({ severity: params[3], category: params[4], message: params[5] });
+      return { rows: [] };
+    }
+    if (sql.includes('NOT EXISTS')) return { rows: orphans };
+    if (failAdd && sql.includes('ADD CONSTRAINT')) throw new Error(failAdd);
+    return { rows: [] };
+  };
+  return {
+    statements, logs, edges, query,
+    connect: async () => ({ query, release: () => {} })
+  };
+}
+
+const COLUMNS = [['customers', 'customerid'], ['orders', 'orderid'], ['orders', 'customer_id']];
+const opts = (relationships) => ({ databaseId: 'nw', schemaName: 'db_nw', relationships });
+
+describe('importRelationships', () => {
+  test('creates the foreign key and records a references edge', async () => {
+    const pool = mockPool({ columns: COLUMNS });
+    const { results, violations } = await importRelationships(pool, opts([ORDERS]));
+
+    expect(results).toEqual([{
+      relationship: 'CustomersOrders', constraint: 'fk_orders_customer_id', table: 'orders', status: 'created', edges: 1
+    }]);
+    expect(violations).toEqual([]);
+    expect(pool.statements).toContain(
+      'ALTER TABLE "db_nw"."orders" DROP CONSTRAINT IF EXISTS "fk_orders_customer_id"');
+    expect(pool.statements.find(s => s.includes('ADD CONSTRAINT'))).not.toMatch(/NOT VALID/);
+    expect(pool.edges).toEqual([{
+      from: 'column:customer_id',
+      to: 'table:customers',
+      metadata: {
+        referenced_column: 'customerid', constraint: 'fk_orders_customer_id', relationship: 'CustomersOrders',
+        validated: true, cascade_update: true, cascade_delete: true
+      }
+    }]);
+    expect(pool.logs.map(l => l.category)).toEqual(['fk-created']);
+  });
+
+  test('orphan rows leave the key NOT VALID and are reported', async () => {
+    const pool = mockPool({
+      columns: COLUMNS,
+      orphans: [
+        { k0: 'ZZZ', row_count: 3, key_count: 2, orphan_rows: 4 },
+        { k0: 'YYY', row_count: 1, key_count: 2, orphan_rows: 4 }
+      ]
+    });
+    const { results, violations } = await importRelationships(pool, opts([ORDERS]));
+
+    expect(results[0]).toMatchObject({ status: 'not-validated', orphanRows: 4 });
+    expect(violations).toEqual([{
+      relationship: 'CustomersOrders', constraint: 'fk_orders_customer_id', table: 'orders',
+      orphanRows: 4, orphanKeys: 2,
+      sample: [{ key: { customer_id: 'ZZZ' }, rows: 3 }, { key: { customer_id: 'YYY' }, rows: 1 }]
+    }]);
+    expect(pool.statements.find(s => s.includes('ADD CONSTRAINT'))).toMatch(/NOT VALID$/);
+    expect(pool.edges[0].metadata.validated).toBe(false);
+    expect(pool.logs[0]).toMatchObject({ severity: 'warning', category: 'fk-not-validated' });
+  });
+
+  test('relationships that do not enforce integrity get no key', async () => {
+    const pool = mockPool({ columns: COLUMNS });
+    const { results } = await importRelationships(pool, opts([{ ...ORDERS, attributes: 0x2 }]));
+
+    expect(results[0].status).toBe('not-enforced');
+    expect(pool.statements.some(s => s.includes('ALTER TABLE'))).toBe(false);
+    expect(pool.edges).toEqual([]);
+    expect(pool.logs[0].category).toBe('relationship-not-enforced');
+  });
+
+  test('relationships over tables or columns that were not imported are skipped', async () => {
+    const pool = mockPool({ columns: [['orders', 'customer_id']] });
+    const { results } = await importRelationships(pool, opts([ORDERS]));
+
+    expect(results[0]).toMatchObject({ status: 'skipped', reason: 'Not imported: customers' });
+    expect(pool.logs[0].category).toBe('relationship-skipped');
+  });
+
+  test('a failing key is rolled back and the rest still run', async () => {
+    const pool = mockPool({ columns: [...COLUMNS, ['orders', 'shipvia'], ['shippers', 'shipperid']], failAdd: 'type mismatch' });
+    const shippers = { name: 'ShippersOrders', primaryTable: 'Shippers', foreignTable: 'Orders', fields: [{ primary: 'ShipperID', foreign: 'ShipVia' }] };
+    const { results } = await importRelationships(pool, opts([ORDERS, shippers]));
+
+    expect(results.map(r => r.status)).toEqual(['error', 'error']);
+    expect(results[0].error).toBe('type mismatch');
+    expect(pool.statements.filter(s => s === 'ROLLBACK')).toHaveLength(2);
+    expect(pool.logs.map(l => l.category)).toEqual(['fk-failed', 'fk-failed']);
+  });
+});
@@ -0,0 +1,334 @@
+/**
+ * Tests for server-side report rendering (server/lib/report-render/)
+ * and GET /api/reports/:name/render (mock pool — no real database needed).
+ */
+
+const express = require('express');
+const request = require('supertest');
+const zlib = require('zlib');
+const { renderReport, layoutReport } = require('../lib/report-render');
+const { evaluateExpression, formatValue } = require('../lib/report-render/expressions');
+const { wrapText, textWidth, fontFor } = require('../lib/report-render/fonts');
+const { layoutSection, toRgb } = require('../lib/report-render/layout');
+const { pdfString } = require('../lib/report-render/pdf');
+
+function textBox(name, source, extra = {}) {
+  return { type: 'text-box', name, left: 0, top: 0, width: 200, height: 20, 'control-source': source, ...extra };
+}
+
+function label(name, caption, extra = {}) {
+  return { type: 'label', name, left: 0, top: 0, width: 200, height: 20, caption, ...extra };
+}
+
+/** Lines of text on a laid-out page, top to bottom. */
+function pageText(page) {
+  return page.items.filter(i => i.kind === 'text').map(i => i.lines.join('|'));
+}
+
+function ordersReport(overrides = {}) {
+  return {
+    name: 'rptOrders',
+    'record-source': 'orders',
+    grouping: [{ field: 'city' }],
+    'page-header': { height: 30, controls: [label('title', 'Orders')] },
+    'group-header-0': { height: 24, controls: [textBox('city', 'city')] },
+    detail: { height: 20, controls: [textBox('total', 'total')] },
+    'group-footer-0': { height: 20, controls: [textBox('sum', '="Total " & Sum([total])')] },
+    'page-footer': { height: 20, controls: [textBox('pageno', '="Page " & [Page] & " of " & [Pages]')] },
+    ...overrides
+  };
+}
+
+function orders(count) {
+  const rows = [];
+  for (let i = 0; i < count; i++) rows.push({ city: i % 2 ? 'Boston' : 'Salem', total: i + 1 });
+  return rows;
+}
+
+/** Parse a PDF built by buildPdf: objects by number, checking the xref offsets. */
+function readPdf(buf) {
+  const text = buf.toString('latin1');
+  const startxref = Number(text.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+  expect(text.slice(startxref, startxref + 4)).toBe('xref');
+  const [, count] = text.slice(startxref).match(/^xref\n0 (\d+)\n/).map(Number);
+  const entries = text.slice(startxref).split('\n').slice(3, 3 + count - 1);
+  const objects = {};
+  entries.forEach((entry, i) => {
+    expect(entry).toMatch(/^\d{10} 00000 n $/);
+    const offset = Number(entry.slice(0, 10));
+    expect(text.slice(offset)).toMatch(new RegExp(`^${i + 1} 0 obj\\n`));
+    const end = text.indexOf('\nendobj\n', offset);
+    objects[i + 1] = buf.subarray(offset, end);
+  });
+  return objects;
+}
+
+function pdfContents(buf) {
+  return Object.values(readPdf(buf))
+    .map(obj => {
+      const start = obj.indexOf('stream\n');
+      if (start < 0) return null;
+      return zlib.inflateSync(obj.subarray(start + 7, obj.lastIndexOf('\nendstream'))).toString('latin1');
+    })
+    .filter(Boolean);
+}
+
+// ============================================================
+// Expressions and fonts
+// ============================================================
+
+describe('report expressions', () => {
+  test('evaluates fields, concatenation, page numbers and aggregates', () => {
+    const ctx = { record: { Total: 5 }, page: 2, pages: 3, groupRecords: [{ total: 1 }, { total: 4 }] };
+    expect(evaluateExpression('[total] * 2', ctx)).toBe(10);
+    expect(evaluateExpression('"Page " & [Page] & " of " & [Pages]', ctx)).toBe('Page 2 of 3');
+    expect(evaluateExpression('Sum([total])', ctx)).toBe(5);
+    expect(evaluateExpression('Count(*)', ctx)).toBe(2);
+    expect(evaluateExpression('IIf([total] > 3, "big", "small")', ctx)).toBe('big');
+  });
+
+  test('formats numeric strings from pg with a named format', () => {
+    expect(formatValue('12.5', 'Currency')).toBe('$12.50');
+    expect(formatValue('12.5', '')).toBe('12.5');
+    expect(formatValue(null, 'Currency')).toBe('');
+  });
+});
+
+describe('report fonts', () => {
+  test('maps Access fonts onto the standard PDF fonts', () => {
+    expect(fontFor({}).name).toBe('Helvetica');
+    expect(fontFor({ 'font-name': 'Arial', 'font-weight': 700, 'font-italic': 1 }).name).toBe('Helvetica-BoldOblique');
+    expect(fontFor({ 'font-name': 'Courier New', 'font-size': 9 })).toMatchObject({ name: 'Courier', size: 9 });
+  });
+
+  test('wraps at spaces, explicit breaks and inside long words', () => {
+    const font = fontFor({ 'font-name': 'Courier New', 'font-size': 9 });
+    const charWidth = textWidth('x', font);
+    expect(wrapText('one two three', font, charWidth * 8)).toEqual(['one two', 'three']);
+    expect(wrapText('a\nb', font, 100)).toEqual(['a', 'b']);
+    expect(wrapText('abcdefghij', font, charWidth * 4)).toEqual(['abcd', 'efgh', 'ij']);
+  });
+});
+
+// ============================================================
+// Layout
+// ============================================================
+
+describe('report layout', () => {
+  test('groups records with headers, footers and [Page]/[Pages]', () => {
+    const layout = layoutReport(ordersReport(), orders(4));
+    expect(layout.pages).toHaveLength(1);
+    expect(pageText(layout.pages[0])).toEqual([
+      'Orders',
+      'Boston', '2', '4', 'Total 6',
+      'Salem', '1', '3', 'Total 4',
+      'Page 1 of 1'
+    ]);
+  });
+
+  test('paginates, repeating the page header and placing the footer at the bottom margin', () => {
+    const layout = layoutReport(ordersReport(), orders(80));
+    expect(layout.pages.length).toBeGreaterThan(1);
+    const last = layout.pages.length;
+    layout.pages.forEach((page, i) => {
+      const texts = page.items.filter(item => item.kind === 'text');
+      expect(texts[0].lines).toEqual(['Orders']);
+      const footer = texts[texts.length - 1];
+      expect(footer.lines).toEqual([`Page ${i + 1} of ${last}`]);
+      expect(footer.y).toBe(1056 - 96 - 20);
+      // Nothing runs into the page footer
+      texts.slice(0, -1).forEach(t => expect(t.y + t.h).toBeLessThanOrEqual(footer.y));
+    });
+  });
+
+  test('starts a group on a new page with force-new-page', () => {
+    const def = ordersReport();
+    def['group-header-0']['force-new-page'] = 'Before Section';
+    const layout = layoutReport(def, orders(4));
+    expect(layout.pages).toHaveLength(2);
+    expect(pageText(layout.pages[1])).toContain('Salem');
+  });
+
+  test('CanGrow grows the control and section and pushes later controls down', () => {
+    const def = {
+      detail: {
+        height: 40,
+        controls: [
+          textBox('notes', 'notes', { width: 80, 'can-grow': 1 }),
+          textBox('after', 'id', { top: 20 })
+        ]
+      }
+    };
+    const laid = layoutSection(def, 'detail', { notes: 'a long note that wraps over several lines', id: 7 }, {});
+    const [notes, after] = laid.controls;
+    expect(notes.lines.length).toBeGreaterThan(1);
+    expect(notes.height).toBeGreaterThan(20);
+    expect(after.top).toBe(20 + notes.height - 20);
+    expect(laid.height).toBe(40 + notes.height - 20);
+  });
+
+  test('CanShrink collapses empty controls and the section', () => {
+    const def = {
+      detail: {
+        height: 40,
+        'can-shrink': 1,
+        controls: [
+          textBox('address2', 'address2', { 'can-shrink': 1 }),
+          textBox('city', 'city', { top: 20 })
+        ]
+      }
+    };
+    const laid = layoutSection(def, 'detail', { address2: null, city: 'Boston' }, {});
+    expect(laid.controls[1].top).toBe(0);
+    expect(laid.height).toBe(20);
+  });
+
+  test('reads Access BGR colors and hex colors', () => {
+    expect(toRgb(255)).toEqual([255, 0, 0]);
+    expect(toRgb(16711680)).toEqual([0, 0, 255]);
+    expect(toRgb('#00FF00')).toEqual([0, 255, 0]);
+  });
+});
+
+// ============================================================
+// PDF and HTML output
+// ============================================================
+
+describe('renderReport', () => {
+  test('writes a PDF with a valid cross-reference table and one page per layout page', () => {
+    const rendered = renderReport(ordersReport(), orders(80), { title: 'Orders' });
+    expect(rendered.contentType).toBe('application/pdf');
+    expect(rendered.body.subarray(0, 8).toString()).toBe('%PDF-1.4');
+    const objects = readPdf(rendered.body);
+    const pageTree = Object.values(objects).map(o => o.toString('latin1')).find(o => o.includes('/Type /Pages'));
+    expect(pageTree).toContain(`/Count ${rendered.pageCount}`);
+    const contents = pdfContents(rendered.body);
+    expect(contents).toHaveLength(rendered.pageCount);
+    expect(contents[0]).toContain('(Orders) Tj');
+    expect(contents[rendered.pageCount - 1]).toContain(`(Page ${rendered.pageCount} of ${rendered.pageCount}) Tj`);
+  });
+
+  test('escapes PDF string delimiters and encodes as WinAnsi', () => {
+    expect(pdfString('a (b) \\ c')).toBe('(a \\(b\\) \\\\ c)');
+    expect(pdfString('café – ok')).toBe('(caf\xE9 \x96 ok)');
+    expect(pdfString('日本')).toBe('(??)');
+  });
+
+  test('writes paginated HTML with escaped text', () => {
+    const def = ordersReport();
+    def['page-header'].controls[0].caption = 'Orders <Q1>';
+    const rendered = renderReport(def, orders(80), { format: 'html' });
+    expect(rendered.contentType).toMatch(/^text\/html/);
+    expect(rendered.body.match(/<div class="page"/g)).toHaveLength(rendered.pageCount);
+    expect(rendered.body).toContain('Orders &lt;Q1&gt;');
+    expect(rendered.body).toContain('@page');
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => renderReport(ordersReport(), [], { format: 'rtf' })).toThrow(/Unsupported report format/);
+  });
+});
+
+// ============================================================
+// GET /api/reports/:name/render
+// ============================================================
+
+describe('GET /api/reports/:name/render', () => {
+  // routes/reports.js keeps a module-level router, so build the app once
+  const client = { query: jest.fn(), release: jest.fn() };
+  const mockPool = { query: jest.fn(), connect: jest.fn().mockResolvedValue(client) };
+  const app = express();
+  app.use((req, res, next) => { req.databaseId = 'db1'; req.schemaName = 'db_northwind'; next(); });
+  app.use('/api/reports', require('../routes/reports')(mockPool));
+
+  let definition;
+
+  beforeEach(() => {
+    definition = ordersReport();
+    mockPool.query.mockReset();
+    mockPool.query.mockImplementation(async (sql, params) => {
+      if (/FROM shared\.objects/.test(sql)) {
+        return { rows: params[1] === 'rptOrders' ? [{ definition }] : [] };
+      }
+      return { rows: [] };
+    });
+    client.query.mockReset();
+    client.query.mockImplementation(async (sql) => {
+      if (/^SELECT \* FROM/.test(sql)) return { rows: orders(4) };
+      return { rows: [] };
+    });
+  });
+
+  test('renders a PDF of the record source, filtered by the WhereCondition', async () => {
+    const res = await request(app).get('/api/reports/rptOrders/render')
+      .query({ accessFilter: '[City] = "Boston"', filename: 'C:\\Reports\\Orders.pdf' })
+      .buffer(true).parse((r, cb) => {
+        const chunks = [];
+        r.on('data', c => chunks.push(c));
+        r.on('end', () => cb(null, Buffer.concat(chunks)));
+      });
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="Orders.pdf"');
+    expect(res.headers['x-report-pages']).toBe('1');
+    expect(res.body.subarray(0, 5).toString()).toBe('%PDF-');
+
+    const select = client.query.mock.calls.find(([sql]) => /^SELECT \* FROM/.test(sql));
+    expect(select[0]).toBe('SELECT * FROM "orders" WHERE ("city" = $1) LIMIT $2');
+    expect(select[1]).toEqual(['Boston', 50001]);
+    const statements = client.query.mock.calls.map(([sql]) => sql);
+    expect(statements[0]).toBe('BEGIN READ ONLY');
+    expect(statements).toContain('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('wraps a SELECT record source and applies the report sort', async () => {
+    definition['record-source'] = 'SELECT * FROM orders WHERE total > 0;';
+    definition['order-by'] = '[Total] DESC';
+    const res = await request(app).get('/api/reports/rptOrders/render').query({ format: 'html' });
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/html/);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="rptOrders.html"');
+    expect(res.text).toContain('Page 1 of 1');
+    const select = client.query.mock.calls.find(([sql]) => /^SELECT \* FROM/.test(sql));
+    expect(select[0]).toBe('SELECT * FROM (SELECT * FROM orders WHERE total > 0) AS report_source ' +
+      'ORDER BY "total" DESC LIMIT $1');
+  });
+
+  test('rejects a record source with several statements', async () => {
+    definition['record-source'] = 'SELECT 1; DROP TABLE orders';
+    const connects = mockPool.connect.mock.calls.length;
+    const res = await request(app).get('/api/reports/rptOrders/render');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Multiple statements/);
+    expect(mockPool.connect.mock.calls.length).toBe(connects);
+  });
+
+  test('returns 400 for bad filters, unknown formats and record source SQL errors', async () => {
+    let res = await request(app).get('/api/reports/rptOrders/render').query({ accessFilter: '([City] = "Boston"' });
+    expect(res.status).toBe(400);
+
+    res = await request(app).get('/api/reports/rptOrders/render').query({ format: 'rtf' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Unsupported report format "rtf"/);
+
+    client.query.mockImplementation(async (sql) => {
+      if (/^SELECT \* FROM/.test(sql)) throw Object.assign(new Error('relation "orders" does not exist'), { code: '42P01' });
+      return { rows: [] };
+    });
+    res = await request(app).get('/api/reports/rptOrders/render');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/does not exist/);
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+
+  test('returns 404 for a missing report and 400 without a record source', async () => {
+    let res = await request(app).get('/api/reports/rptMissing/render');
+    expect(res.status).toBe(404);
+
+    delete definition['record-source'];
+    res = await request(app).get('/api/reports/rptOrders/render');
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Report has no record source');
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * Tests for record-level security: policy SQL generation and materialization
+ * (server/lib/row-policies.js) and the /api/row-policies routes (mock pool).
+ */
+
+const express = require('express');
+const request = require('supertest');
+const {
+  normalizePolicy, policyCondition, createPolicySql, applyTablePolicies, passesSelectPolicies
+} = require('../lib/row-policies');
+const { requiredRole } = require('../lib/auth');
+
+// ============================================================
+// Declarations and SQL
+// ============================================================
+
+describe('normalizePolicy', () => {
+  test('fills in defaults and lowercases the column', () => {
+    expect(normalizePolicy({ kind: 'owner', column: 'CreatedBy' })).toEqual({
+      kind: 'owner', column: 'createdby', attribute: null, expression: null,
+      command: 'all', restrictive: false, enabled: true
+    });
+  });
+
+  test('rejects incomplete or unsafe declarations', () => {
+    const invalid = [
+      {},
+      { kind: 'owner' },
+      { kind: 'owner', column: 'a; drop' },
+      { kind: 'membership', column: 'region' },
+      { kind: 'membership', column: 'region', attribute: "x'y" },
+      { kind: 'expression' },
+      { kind: 'expression', expression: 'true); DROP TABLE orders; --' },
+      { kind: 'owner', column: 'owner', command: 'truncate' }
+    ];
+    for (const body of invalid) {
+      expect(() => normalizePolicy(body)).toThrow(expect.objectContaining({ code: 'EPOLICY' }));
+    }
+  });
+});
+
+describe('policy SQL', () => {
+  test('owner rows match the current user', () => {
+    expect(policyCondition({ kind: 'owner', column_name: 'owner' }, 'northwind'))
+      .toBe('"owner"::text = (SELECT shared.current_app_user())');
+  });
+
+  test("membership rows are in the user's attribute values for this database", () => {
+    expect(policyCondition({ kind: 'membership', column_name: 'region', attribute: 'region' }, "o'brien"))
+      .toBe(`"region"::text IN (SELECT shared.current_app_user_values('o''brien', 'region'))`);
+  });
+
+  test('CREATE POLICY clauses follow the command', () => {
+    const base = { policy_name: 'own', kind: 'owner', column_name: 'owner' };
+    const table = '"db_nw"."orders"';
+    expect(createPolicySql({ ...base, command: 'all' }, table, 'nw')).toBe(
+      'CREATE POLICY "ac_own" ON "db_nw"."orders" AS PERMISSIVE FOR ALL' +
+      ' USING ("owner"::text = (SELECT shared.current_app_user()))' +
+      ' WITH CHECK ("owner"::text = (SELECT shared.current_app_user()))');
+    expect(createPolicySql({ ...base, command: 'select' }, table, 'nw')).not.toMatch(/WITH CHECK/);
+    expect(createPolicySql({ ...base, command: 'delete' }, table, 'nw')).not.toMatch(/WITH CHECK/);
+    expect(createPolicySql({ ...base, command: 'insert' }, table, 'nw')).not.toMatch(/USING/);
+    expect(createPolicySql({ ...base, command: 'update', restrictive: true }, table, 'nw'))
+      .toMatch(/AS RESTRICTIVE FOR UPDATE USING .* WITH CHECK/);
+    expect(createPolicySql({ policy_name: 'open', kind: 'expression', expression: 'status <> \'hidden\'', command: 'select' }, table, 'nw'))
+      .toBe('CREATE POLICY "ac_open" ON "db_nw"."orders" AS PERMISSIVE FOR SELECT USING ((status <> \'hidden\'))');
+  });
+});
+
+describe('applyTablePolicies', () => {
+  function mockClient(existing) {
+    return {
+      query: jest.fn(async (sql) => (/pg_policies/.test(sql)
+        ? { rows: existing.map(policyname => ({ policyname })) }
+        : { rows: [] }))
+    };
+  }
+  const statements = client => client.query.mock.calls.slice(1).map(([sql]) => sql);
+  const own = { policy_name: 'own', kind: 'owner', column_name: 'owner', command: 'all', enabled: true };
+
+  test('replaces the managed policies and forces RLS on', async () => {
+    const client = mockClient(['ac_old', 'legacy_policy']);
+    const result = await applyTablePolicies(client, 'db_nw', 'nw', 'orders', [own, { ...own, policy_name: 'off', enabled: false }]);
+    expect(result).toEqual({ active: 1, rls: true });
+    expect(statements(client)).toEqual([
+      'DROP POLICY "ac_old" ON "db_nw"."orders"',
+      expect.stringMatching(/^CREATE POLICY "ac_own" ON "db_nw"\."orders"/),
+      'ALTER TABLE "db_nw"."orders" ENABLE ROW LEVEL SECURITY',
+      'ALTER TABLE "db_nw"."orders" FORCE ROW LEVEL SECURITY'
+    ]);
+  });
+
+  test('switches RLS off when no policies are left', async () => {
+    const client = mockClient(['ac_own']);
+    expect(await applyTablePolicies(client, 'db_nw', 'nw', 'orders', [])).toEqual({ active: 0, rls: false });
+    expect(statements(client)).toEqual([
+      'DROP POLICY "ac_own" ON "db_nw"."orders"',
+      'ALTER TABLE "db_nw"."orders" NO FORCE ROW LEVEL SECURITY',
+      'ALTER TABLE "db_nw"."orders" DISABLE ROW LEVEL SECURITY'
+    ]);
+  });
+
+  test("keeps RLS on for policies it doesn't manage", async () => {
+    const client = mockClient(['legacy_policy']);
+    expect((await applyTablePolicies(client, 'db_nw', 'nw', 'orders', [])).rls).toBe(true);
+  });
+
+  test('refuses restrictive-only tables, which would hide every row', async () => {
+    const client = mockClient([]);
+    await expect(applyTablePolicies(client, 'db_nw', 'nw', 'orders', [{ ...own, restrictive: true }]))
+      .rejects.toMatchObject({ code: 'EPOLICY' });
+  });
+});
+
+describe('passesSelectPolicies', () => {
+  function db({ rls = true, policies = [], passes = true } = {}) {
+    return {
+      query: jest.fn(async (sql) => {
+        if (/relrowsecurity/.test(sql)) return { rows: [{ relrowsecurity: rls }] };
+        if (/pg_policies/.test(sql)) return { rows: policies };
+        return { rows: passes ? [{}] : [] };
+      })
+    };
+  }
+  const row = { id: 7, owner: 'ann' };
+
+  test('tables without row security pass every row', async () => {
+    const client = db({ rls: false });
+    expect(await passesSelectPolicies(client, 'db_nw', 'orders', row)).toBe(true);
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('permissive USING clauses are OR\'ed, restrictive ones AND\'ed on top', async () => {
+    const client = db({
+      policies: [
+        { permissive: 'PERMISSIVE', qual: '(owner = shared.current_app_user())' },
+        { permissive: 'RESTRICTIVE', qual: '(status <> \'archived\')' },
+        { permissive: 'PERMISSIVE', qual: '(region = \'north\')' }
+      ]
+    });
+    expect(await passesSelectPolicies(client, 'db_nw', 'orders', row)).toBe(true);
+    const [sql, params] = client.query.mock.calls[2];
+    expect(sql).toBe('SELECT 1 FROM jsonb_populate_record(NULL::"db_nw"."orders", $1::jsonb) AS "orders"' +
+      " WHERE (((owner = shared.current_app_user())) OR ((region = 'north'))) AND ((status <> 'archived'))");
+    expect(params).toEqual([JSON.stringify(row)]);
+  });
+
+  test('a row the clauses reject, or a table with no permissive policy, fails', async () => {
+    const policies = [{ permissive: 'PERMISSIVE', qual: '(owner = shared.current_app_user())' }];
+    expect(await passesSelectPolicies(db({ policies, passes: false }), 'db_nw', 'orders', row)).toBe(false);
+    const restrictiveOnly = db({ policies: [{ permissive: 'RESTRICTIVE', qual: '(true)' }] });
+    expect(await passesSelectPolicies(restrictiveOnly, 'db_nw', 'orders', row)).toBe(false);
+    expect(restrictiveOnly.query).toHaveBeenCalledTimes(2);
+  });
+});
+
+// ============================================================
+// Routes
+// ============================================================
+
+describe('/api/row-policies', () => {
+  const client = { query: jest.fn(), release: jest.fn() };
+  const mockPool = { query: jest.fn(), connect: jest.fn().mockResolvedValue(client) };
+  const app = express();
+  app.use(express.json());
+  app.use('/api/row-policies', (req, res, next) => {
+    req.databaseId = 'northwind';
+    req.schemaName = 'db_northwind';
+    req.userId = 'root';
+    next();
+  });
+  app.use('/api/row-policies', require('../routes/row-policies')(mockPool));
+
+  let bypass;
+  let declared;
+
+  beforeEach(() => {
+    bypass = false;
+    declared = [];
+    mockPool.query.mockReset();
+    mockPool.query.mockImplementation(async (sql, params) => {
+      if (/pg_roles/.test(sql)) return { rows: [{ bypass }] };
+      if (/information_schema\.tables/.test(sql)) return { rows: params[1] === 'orders' ? [{}] : [] };
+      if (/information_schema\.columns/.test(sql)) return { rows: ['owner', 'region'].includes(params[2]) ? [{}] : [] };
+      return { rows: [] };
+    });
+    client.query.mockReset();
+    client.query.mockImplementation(async (sql, params) => {
+      if (/^\s*INSERT INTO shared\.row_policies/.test(sql)) {
+        const row = { table_name: params[1], policy_name: params[2], kind: params[3], column_name: params[4],
+          attribute: params[5], expression: params[6], command: params[7], restrictive: params[8], enabled: params[9] };
+        declared = [row];
+        return { rows: [row] };
+      }
+      if (/^\s*DELETE FROM shared\.row_policies/.test(sql)) return { rows: params[2] === 'own' ? [{ id: 1 }] : [] };
+      if (/FROM shared\.row_policies/.test(sql)) return { rows: declared };
+      if (/pg_policies/.test(sql)) return { rows: [] };
+      if (/^CREATE POLICY/.test(sql) && /bogus/.test(sql)) {
+        throw Object.assign(new Error('column "bogus" does not exist'), { code: '42703' });
+      }
+      return { rows: [] };
+    });
+  });
+
+  const statements = () => client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 3).join(' '));
+
+  test('only database administrators manage policies', () => {
+    expect(requiredRole('GET', '/row-policies')).toBe('admin');
+    expect(requiredRole('PUT', '/row-policies/orders/own')).toBe('admin');
+    expect(requiredRole('PUT', '/row-policies/attributes/ann/region')).toBe('admin');
+  });
+
+  test('PUT saves the declaration and materializes it in one transaction', async () => {
+    const res = await request(app).put('/api/row-policies/Orders/Own').send({ kind: 'owner', column: 'Owner' });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ rls: true, enforced: true, policy: { table_name: 'orders', policy_name: 'own', column_name: 'owner' } });
+    expect(res.body.warning).toBeUndefined();
+    expect(statements()).toEqual([
+      'BEGIN', 'INSERT INTO shared.row_policies', 'SELECT * FROM', 'SELECT policyname FROM',
+      'CREATE POLICY "ac_own"', 'ALTER TABLE "db_northwind"."orders"', 'ALTER TABLE "db_northwind"."orders"', 'COMMIT'
+    ]);
+    // Recorded with who made it
+    const insert = client.query.mock.calls.find(([sql]) => /INSERT INTO shared\.row_policies/.test(sql));
+    expect(insert[1][10]).toBe('root');
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('warns when the server role bypasses row-level security', async () => {
+    bypass = true;
+    const res = await request(app).put('/api/row-policies/orders/own').send({ kind: 'owner', column: 'owner' });
+    expect(res.body.enforced).toBe(false);
+    expect(res.body.warning).toMatch(/not enforced/);
+  });
+
+  test('validates the table, the column and the declaration', async () => {
+    expect((await request(app).put('/api/row-policies/missing/own').send({ kind: 'owner', column: 'owner' })).status).toBe(404);
+    const badColumn = await request(app).put('/api/row-policies/orders/own').send({ kind: 'owner', column: 'nope' });
+    expect(badColumn.status).toBe(400);
+    expect(badColumn.body.error).toBe('Column "nope" not found in "orders"');
+    expect((await request(app).put('/api/row-policies/orders/own').send({ kind: 'magic' })).status).toBe(400);
+    expect((await request(app).put('/api/row-policies/orders/bad-name').send({ kind: 'owner', column: 'owner' })).status).toBe(400);
+  });
+
+  test('an expression PostgreSQL rejects is a 400 and nothing is saved', async () => {
+    const res = await request(app).put('/api/row-policies/orders/odd').send({ kind: 'expression', expression: 'bogus = 1' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid policy: column "bogus" does not exist');
+    expect(statements()).toContain('ROLLBACK');
+    expect(statements()).not.toContain('COMMIT');
+  });
+
+  test('DELETE removes the declaration and re-materializes the table', async () => {
+    const res = await request(app).delete('/api/row-policies/orders/own');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, rls: false });
+    expect(statements()).toContain('ALTER TABLE "db_northwind"."orders"');
+    expect((await request(app).delete('/api/row-policies/orders/other')).status).toBe(404);
+  });
+
+  test("PUT attributes replaces a user's values", async () => {
+    const res = await request(app).put('/api/row-policies/attributes/ann/region').send({ values: ['West', 'East', 'West'] });
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ user_id: 'ann', attribute: 'region', values: ['East', 'West'] });
+    const insert = client.query.mock.calls.find(([sql]) => /INSERT INTO shared\.user_attributes/.test(sql));
+    expect(insert[1]).toEqual(['northwind', 'ann', 'region', ['East', 'West']]);
+    expect((await request(app).put('/api/row-policies/attributes/ann/region').send({ values: 'East' })).status).toBe(400);
+  });
+
+  test('GET lists policies with the enforcement state', async () => {
+    mockPool.query.mockImplementationOnce(async () => ({ rows: [{ table_name: 'orders', policy_name: 'own' }] }));
+    const res = await request(app).get('/api/row-policies').query({ table: 'orders' });
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ policies: [{ table_name: 'orders', policy_name: 'own' }], enforced: true });
+    expect(mockPool.query.mock.calls[0][1]).toEqual(['northwind', 'orders']);
+  });
+});
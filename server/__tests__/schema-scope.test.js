@@ -0,0 +1,275 @@
+/**
+ * Tests for request-scoped schema binding (server/lib/schema-scope.js) and
+ * schema isolation under concurrency through createApp, against a fake pool
+ * whose connections each keep their own search_path the way PostgreSQL does.
+ */
+
+const request = require('supertest');
+const { createApp } = require('../app');
+const { runWithSchema, currentSchema, currentUserId, scopedPool } = require('../lib/schema-scope');
+
+const BIND_SQL = "SELECT set_config('search_path', $1, false), set_config('app.user_id', $2, false), " +
+  "set_config('app.user_sig', shared.sign_app_user($2), false), set_config('app.session_id', $3, false)";
+const RESET_SQL = 'RESET search_path; RESET app.user_id; RESET app.user_sig; RESET app.session_id';
+
+// ============================================================
+// Fake pg pool
+// ============================================================
+
+/** Deterministic pseudo-random numbers in [0, 1) */
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+/**
+ * A pool of `size` connections. Each remembers the search_path and user last
+ * set on it until they are reset; "items" resolves in that schema.
+ * current_app_user() reports the user. connect() hands out a random idle
+ * connection and every statement takes a random few milliseconds, so
+ * concurrent requests interleave across connections.
+ */
+function createFakePool({ size = 3, seed = 7 } = {}) {
+  const random = seededRandom(seed);
+  const delay = () => new Promise(resolve => setTimeout(resolve, Math.floor(random() * 3)));
+  const idle = [];
+  const waiting = [];
+  const stats = { sets: 0 };
+
+  function respond(conn, sql, params = []) {
+    if (sql === BIND_SQL) {
+      stats.sets++;
+      conn.searchPath = params[0].match(/^"([^"]+)"/)[1];
+      conn.userId = params[1];
+      return { rows: [] };
+    }
+    if (sql === RESET_SQL) {
+      conn.searchPath = 'public';
+      conn.userId = '';
+      return { rows: [] };
+    }
+    if (/current_app_user\(\)/.test(sql)) return { rows: [{ user_id: conn.userId || null }] };
+    if (/FROM shared\.databases/.test(sql)) return { rows: [{ schema_name: `db_${params[0]}` }] };
+    if (/PRIMARY KEY/.test(sql)) return { rows: [{ column_name: 'id' }] };
+    if (/FROM "?items"?/.test(sql)) {
+      if (conn.searchPath === 'public') throw new Error('relation "items" does not exist');
+      return {
+        rows: [{ id: params[0] || 1, label: conn.searchPath, owner: conn.userId }],
+        fields: [{ name: 'label', dataTypeID: 25 }, { name: 'owner', dataTypeID: 25 }]
+      };
+    }
+    return { rows: [], fields: [] };
+  }
+
+  function makeClient(id) {
+    const conn = { id, searchPath: 'public' };
+    const client = {
+      conn,
+      async query(sql, params) {
+        await delay();
+        return respond(conn, sql, params);
+      },
+      release() {
+        const next = waiting.shift();
+        if (next) next(client);
+        else idle.push(client);
+      }
+    };
+    return client;
+  }
+  for (let i = 0; i < size; i++) idle.push(makeClient(i));
+
+  async function connect() {
+    await delay();
+    if (idle.length > 0) return idle.splice(Math.floor(random() * idle.length), 1)[0];
+    return new Promise(resolve => waiting.push(resolve));
+  }
+
+  return {
+    stats,
+    connect,
+    async query(sql, params) {
+      const client = await connect();
+      try {
+        return await client.query(sql, params);
+      } finally {
+        client.release();
+      }
+    }
+  };
+}
+
+// ============================================================
+// lib/schema-scope.js
+// ============================================================
+
+describe('runWithSchema', () => {
+  test('the schema follows awaits and nests', async () => {
+    expect(currentSchema()).toBeNull();
+    await runWithSchema('db_a', async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      expect(currentSchema()).toBe('db_a');
+      await runWithSchema('db_b', async () => {
+        expect(currentSchema()).toBe('db_b');
+      });
+      expect(currentSchema()).toBe('db_a');
+    });
+    expect(currentSchema()).toBeNull();
+  });
+
+  test('a nested scope keeps the user unless given one', async () => {
+    await runWithSchema('db_a', async () => {
+      expect(currentUserId()).toBe('ann');
+      await runWithSchema('db_b', async () => expect(currentUserId()).toBe('ann'));
+      await runWithSchema('db_b', async () => expect(currentUserId()).toBe('bob'), { userId: 'bob' });
+    }, { userId: 'ann' });
+  });
+
+  test('a nested scope keeps the session too', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    const db = scopedPool({ connect: jest.fn().mockResolvedValue(client) });
+    await runWithSchema('db_a', () => runWithSchema('db_b', () => db.query('SELECT 1'), { userId: 'bob' }),
+      { userId: 'ann', sessionId: 'tab-1' });
+    expect(client.query.mock.calls[0]).toEqual([BIND_SQL, ['"db_b", shared, public', 'bob', 'tab-1']]);
+  });
+});
+
+describe('scopedPool', () => {
+  function mockPool() {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    return { client, pool: { query: jest.fn().mockResolvedValue({ rows: [] }), connect: jest.fn().mockResolvedValue(client) } };
+  }
+
+  test('outside a scope, queries and clients come straight from the pool', async () => {
+    const { pool, client } = mockPool();
+    const db = scopedPool(pool);
+    await db.query('SELECT 1', [2]);
+    expect(pool.query).toHaveBeenCalledWith('SELECT 1', [2]);
+    expect(await db.connect()).toBe(client);
+    expect(client.query).not.toHaveBeenCalled();
+  });
+
+  test('inside a scope, a query runs on a client bound to the schema, user and session and releases it', async () => {
+    const { pool, client } = mockPool();
+    const db = scopedPool(pool);
+    await runWithSchema('db_north"wind', () => db.query('SELECT * FROM orders', [1]), { userId: 'ann', sessionId: 'tab-1' });
+    expect(pool.query).not.toHaveBeenCalled();
+    expect(client.query.mock.calls).toEqual([
+      [BIND_SQL, ['"db_north""wind", shared, public', 'ann', 'tab-1']],
+      ['SELECT * FROM orders', [1]],
+      [RESET_SQL]
+    ]);
+    expect(client.release).toHaveBeenCalledTimes(1);
+  });
+
+  test('a checked-out client keeps its binding until released, then is reset', async () => {
+    const { pool, client } = mockPool();
+    const release = client.release;
+    const db = scopedPool(pool);
+    await runWithSchema('db_a', async () => {
+      const c = await db.connect();
+      await c.query('SELECT 1');
+      await c.query('SELECT 2');
+      await c.release();
+    }, { userId: 'ann' });
+    expect(client.query.mock.calls).toEqual([
+      [BIND_SQL, ['"db_a", shared, public', 'ann', '']],
+      ['SELECT 1'],
+      ['SELECT 2'],
+      [RESET_SQL]
+    ]);
+    expect(release).toHaveBeenCalledWith();
+    expect(client.release).toBe(release);
+  });
+
+  test('a client released with an error is not reset; one whose reset fails is released as broken', async () => {
+    const { pool, client } = mockPool();
+    const release = client.release;
+    const db = scopedPool(pool);
+    const broken = new Error('bad state');
+    await runWithSchema('db_a', async () => (await db.connect()).release(broken));
+    expect(client.query).not.toHaveBeenCalledWith(RESET_SQL);
+    expect(release).toHaveBeenLastCalledWith(broken);
+
+    const resetFailure = new Error('connection reset');
+    client.query.mockResolvedValueOnce({ rows: [] }).mockRejectedValueOnce(resetFailure);
+    await runWithSchema('db_a', async () => (await db.connect()).release());
+    expect(release).toHaveBeenLastCalledWith(resetFailure);
+  });
+
+  test('a query outside any scope sees no user after a scoped request released the same connection', async () => {
+    const pool = createFakePool({ size: 1 });
+    const db = scopedPool(pool);
+    await runWithSchema('db_a', () => db.query('SELECT * FROM items', [1]), { userId: 'ann', sessionId: 'tab-1' });
+    const direct = await pool.query('SELECT shared.current_app_user() AS user_id');
+    const unscoped = await db.query('SELECT shared.current_app_user() AS user_id');
+    expect(direct.rows[0].user_id).toBeNull();
+    expect(unscoped.rows[0].user_id).toBeNull();
+    await expect(pool.query('SELECT * FROM items')).rejects.toThrow('relation "items" does not exist');
+  });
+
+  test('a client whose set_config fails is released as broken', async () => {
+    const { pool, client } = mockPool();
+    const failure = new Error('connection reset');
+    client.query.mockRejectedValueOnce(failure);
+    const db = scopedPool(pool);
+    await expect(runWithSchema('db_a', () => db.connect())).rejects.toThrow('connection reset');
+    expect(client.release).toHaveBeenCalledWith(failure);
+  });
+});
+
+// ============================================================
+// Isolation under concurrency
+// ============================================================
+
+describe('schema isolation under concurrent requests', () => {
+  const DATABASES = ['alpha', 'beta'];
+
+  test('record reads for two databases at once each see only their own schema', async () => {
+    const pool = createFakePool();
+    const { app } = createApp({ pool });
+    const requests = [];
+    for (let i = 0; i < 40; i++) {
+      const databaseId = DATABASES[i % 2];
+      requests.push(
+        request(app).get(`/api/data/items/${i}`).set('X-Database-ID', databaseId)
+          .then(res => ({ databaseId, res }))
+      );
+    }
+    for (const { databaseId, res } of await Promise.all(requests)) {
+      expect(res.status).toBe(200);
+      expect(res.body.data.label).toBe(`db_${databaseId}`);
+    }
+    expect(pool.stats.sets).toBeGreaterThan(0);
+  });
+
+  test('queries on dedicated clients (POST /api/queries/run) stay isolated too', async () => {
+    const pool = createFakePool({ seed: 11 });
+    const { app } = createApp({ pool });
+    const results = await Promise.all(Array.from({ length: 30 }, (_, i) => {
+      const databaseId = DATABASES[i % 2];
+      return request(app).post('/api/queries/run').set('X-Database-ID', databaseId)
+        .send({ sql: 'SELECT * FROM items' })
+        .then(res => ({ databaseId, res }));
+    }));
+    for (const { databaseId, res } of results) {
+      expect(res.status).toBe(200);
+      expect(res.body.data[0].label).toBe(`db_${databaseId}`);
+    }
+  });
+
+  test("each request's user identity is on the connection it queries with", async () => {
+    const pool = createFakePool({ seed: 3 });
+    const { app } = createApp({ pool });
+    const users = ['ann', 'bob', 'cy'];
+    const results = await Promise.all(Array.from({ length: 30 }, (_, i) =>
+      request(app).get(`/api/data/items/${i}`).set('X-Database-ID', 'alpha').set('X-User-ID', users[i % 3])
+        .then(res => ({ userId: users[i % 3], res }))));
+    for (const { userId, res } of results) {
+      expect(res.body.data.owner).toBe(userId);
+    }
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Tests for the ad-hoc SQL sandbox (server/lib/sql-sandbox.js) and the routes
+ * that run user SQL through it (POST /api/queries/run, /api/queries/execute)
+ * — mock pools. db.schema-routing.test.js checks against PostgreSQL that
+ * another database's schema and shared.users are refused.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const {
+  sandboxRole, assertAdHocSql, ensureSandboxRole, enterSandbox, dropSandboxRole
+} = require('../lib/sql-sandbox');
+
+// ============================================================
+// lib/sql-sandbox.js
+// ============================================================
+
+describe('sql sandbox helpers', () => {
+  test('each schema has its own role, hashed when the name is too long', () => {
+    expect(sandboxRole('db_nw')).toBe('ac_sql_db_nw');
+    const long = sandboxRole('db_' + 'x'.repeat(70));
+    const other = sandboxRole('db_' + 'x'.repeat(71));
+    expect(long.length).toBe(63);
+    expect(long).not.toBe(other);
+  });
+
+  test('functions that could undo SET ROLE are refused, quoted or not', () => {
+    expect(() => assertAdHocSql("SELECT set_config('role', 'none', true)")).toThrow('set_config() is not allowed');
+    expect(() => assertAdHocSql('SELECT "SET_CONFIG"(\'app.user_id\', \'bob\', false)')).toThrow(/set_config/i);
+    expect(() => assertAdHocSql("SELECT query_to_xml('select 1', true, false, '')")).toThrow('query_to_xml() is not allowed');
+    expect(() => assertAdHocSql("SELECT ts_stat('select v from t')")).toThrow(/ts_stat/);
+    expect(() => assertAdHocSql('SELECT U&"\\0073et_config"(1)')).toThrow(/U&/);
+    expect(() => assertAdHocSql('SELECT setting, config FROM orders')).not.toThrow();
+    expect(() => assertAdHocSql('SELECT * FROM orders')).not.toThrow();
+  });
+
+  test('a ready role is left alone', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [{ ready: true }] }) };
+    await ensureSandboxRole(client, 'db_nw');
+    expect(client.query).toHaveBeenCalledTimes(1);
+    expect(client.query.mock.calls[0][1]).toEqual(['ac_sql_db_nw', 'db_nw']);
+  });
+
+  test('a missing role is created with the schema and nothing else', async () => {
+    const client = {
+      query: jest.fn(async (sql) => {
+        if (/^CREATE ROLE/.test(sql)) throw Object.assign(new Error('role exists'), { code: '42710' });
+        return { rows: [] };
+      })
+    };
+    await ensureSandboxRole(client, 'db_nw');
+    expect(client.query.mock.calls.slice(1).map(([sql]) => sql)).toEqual([
+      'CREATE ROLE "ac_sql_db_nw" NOLOGIN',
+      'GRANT "ac_sql_db_nw" TO CURRENT_USER',
+      'GRANT USAGE ON SCHEMA "db_nw", shared TO "ac_sql_db_nw"',
+      'GRANT SELECT, INSERT, UPDATE, DELETE ON ALL TABLES IN SCHEMA "db_nw" TO "ac_sql_db_nw"',
+      'GRANT USAGE, SELECT ON ALL SEQUENCES IN SCHEMA "db_nw" TO "ac_sql_db_nw"',
+      'ALTER DEFAULT PRIVILEGES IN SCHEMA "db_nw" GRANT SELECT, INSERT, UPDATE, DELETE ON TABLES TO "ac_sql_db_nw"',
+      'ALTER DEFAULT PRIVILEGES IN SCHEMA "db_nw" GRANT USAGE, SELECT ON SEQUENCES TO "ac_sql_db_nw"'
+    ]);
+  });
+
+  test('other errors creating the role surface', async () => {
+    const client = {
+      query: jest.fn(async (sql) => {
+        if (/^CREATE ROLE/.test(sql)) throw Object.assign(new Error('permission denied to create role'), { code: '42501' });
+        return { rows: [] };
+      })
+    };
+    await expect(ensureSandboxRole(client, 'db_nw')).rejects.toThrow('permission denied to create role');
+  });
+
+  test('entering and dropping', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    await enterSandbox(client, 'db_nw');
+    await dropSandboxRole(client, 'db_nw');
+    expect(client.query.mock.calls.map(([sql]) => sql)).toEqual([
+      'SET LOCAL ROLE "ac_sql_db_nw"',
+      'SELECT 1 FROM pg_roles WHERE rolname = $1'
+    ]);
+  });
+});
+
+// ============================================================
+// POST /api/queries/run, /api/queries/execute
+// ============================================================
+
+describe('/api/queries/run and /execute', () => {
+  const client = { query: jest.fn(), release: jest.fn() };
+  const mockPool = { query: jest.fn().mockResolvedValue({ rows: [] }), connect: jest.fn().mockResolvedValue(client) };
+  const app = express();
+  app.use(express.json());
+  app.use('/api', (req, res, next) => { req.databaseId = 'nw'; req.schemaName = 'db_nw'; next(); });
+  app.use('/api', require('../routes/metadata')(mockPool));
+
+  beforeEach(() => {
+    mockPool.connect.mockClear();
+    client.release.mockClear();
+    client.query.mockReset();
+    client.query.mockImplementation(async (sql) => {
+      if (/has_schema_privilege/.test(sql)) return { rows: [{ ready: true }] };
+      return { rows: [{ n: 1 }], fields: [{ name: 'n', dataTypeID: 23 }], rowCount: 1 };
+    });
+  });
+
+  const statements = () => client.query.mock.calls.map(([sql]) => sql).slice(1);
+
+  test('a SELECT runs read-only as the database\'s sandbox role', async () => {
+    const res = await request(app).post('/api/queries/run').set('X-Session-ID', 's1')
+      .send({ sql: 'SELECT n FROM orders;' })
+      .expect(200);
+    expect(res.body.data).toEqual([{ n: 1 }]);
+    expect(statements()).toEqual([
+      'BEGIN READ ONLY',
+      'SET statement_timeout = \'30s\'',
+      'SELECT set_config($1, $2, true)',
+      'SET LOCAL ROLE "ac_sql_db_nw"',
+      'SELECT n FROM orders',
+      'COMMIT'
+    ]);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('a write runs in a transaction as the sandbox role', async () => {
+    await request(app).post('/api/queries/execute')
+      .send({ sql: 'UPDATE orders SET status = 2' })
+      .expect(200, { rowCount: 1 });
+    expect(statements()).toEqual(['BEGIN', 'SET LOCAL ROLE "ac_sql_db_nw"', 'UPDATE orders SET status = 2', 'COMMIT']);
+  });
+
+  test('a failed write is rolled back', async () => {
+    client.query.mockImplementation(async (sql) => {
+      if (/^UPDATE/.test(sql)) throw new Error('permission denied for schema db_other');
+      return { rows: [{ ready: true }] };
+    });
+    const res = await request(app).post('/api/queries/execute')
+      .send({ sql: 'UPDATE db_other.orders SET status = 2' })
+      .expect(400);
+    expect(res.body.error).toBe('permission denied for schema db_other');
+    expect(statements()).toContain('ROLLBACK');
+  });
+
+  test('SQL that could leave the sandbox never reaches the database', async () => {
+    const spoof = "SELECT * FROM (SELECT set_config('app.user_id', 'bob', false)) s, LATERAL (SELECT * FROM orders) o";
+    const res = await request(app).post('/api/queries/run').send({ sql: spoof }).expect(400);
+    expect(res.body.error).toBe('set_config() is not allowed');
+    await request(app).post('/api/queries/execute')
+      .send({ sql: "UPDATE orders SET note = (SELECT set_config('role', 'none', true))" })
+      .expect(400);
+    expect(mockPool.connect).not.toHaveBeenCalled();
+  });
+});
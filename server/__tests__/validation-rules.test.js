@@ -0,0 +1,135 @@
+/**
+ * Tests for Access validation rules as CHECK constraints
+ * (server/lib/validation-rules.js).
+ */
+
+const {
+  fieldRuleExpression, tableCheckConstraints, addCheckConstraints, describeCheckViolation
+} = require('../lib/validation-rules');
+
+// ============================================================
+// Field rules
+// ============================================================
+
+describe('fieldRuleExpression', () => {
+  test.each([
+    ['>0', '[Qty] >0'],
+    ['>=0 And <=100', '[Qty] >=0 And [Qty] <=100'],
+    ['Between 1 And 10', '[Qty] Between 1 And 10'],
+    ['Between 1 And 10 Or Is Null', '[Qty] Between 1 And 10 Or [Qty] Is Null'],
+    ['In (1, 2, 3)', '[Qty] In (1, 2, 3)'],
+    ['Not Like "X*"', '[Qty] Not Like "X*"'],
+    ['"A" Or "B"', '[Qty] = "A" Or [Qty] = "B"'],
+    ['(>0 And <10) Or 99', '([Qty] >0 And [Qty] <10) Or [Qty] = 99'],
+    ['Len([Qty])<5', 'Len([Qty])<5'],
+    ['<>"And Or"', '[Qty] <>"And Or"']
+  ])('%s', (rule, expected) => {
+    expect(fieldRuleExpression(rule, 'Qty')).toBe(expected);
+  });
+});
+
+// ============================================================
+// Constraints
+// ============================================================
+
+const FIELDS = [
+  { originalName: 'Unit Price', pgName: 'unit_price', accessType: 5, validationRule: '>=0', validationText: 'Prices cannot be negative' },
+  { originalName: 'Code', pgName: 'code', accessType: 10, allowZeroLength: false, validationRule: 'Like "??-*"' },
+  { originalName: 'Notes', pgName: 'notes', accessType: 12, allowZeroLength: true },
+  { originalName: 'Total', pgName: 'total', accessType: 18, isCalculated: true, validationRule: '>0' }
+];
+
+describe('tableCheckConstraints', () => {
+  test('field rules, zero-length strings and the table rule', () => {
+    const { constraints, warnings } = tableCheckConstraints({
+      name: 'Products', pgName: 'products', fields: FIELDS,
+      validationRule: '[Discontinued Date] > [Start Date]', validationText: 'Discontinued before it started'
+    });
+    expect(warnings).toEqual([]);
+    expect(constraints).toEqual([
+      {
+        name: 'products_unit_price_rule', column: 'unit_price', rule: '>=0',
+        expression: '"unit_price" >=0', message: 'Prices cannot be negative'
+      },
+      {
+        name: 'products_code_zls', column: 'code', rule: '<>""',
+        expression: `"code" <> ''`, message: "Field 'Products.Code' cannot be a zero-length string."
+      },
+      {
+        name: 'products_code_rule', column: 'code', rule: 'Like "??-*"',
+        expression: `"code" LIKE '__-%'`,
+        message: `One or more values are prohibited by the validation rule 'Like "??-*"' set for 'Products.Code'. ` +
+          'Enter a value that the expression for this field can accept.'
+      },
+      {
+        name: 'products_rule', column: null, rule: '[Discontinued Date] > [Start Date]',
+        expression: '"discontinued_date" > "start_date"', message: 'Discontinued before it started'
+      }
+    ]);
+  });
+});
+
+describe('addCheckConstraints', () => {
+  function mockClient(failures = {}) {
+    const statements = [];
+    return {
+      statements,
+      query: async (sql) => {
+        statements.push(sql);
+        for (const [pattern, code] of Object.entries(failures)) {
+          if (sql.startsWith('ALTER TABLE') && sql.includes(pattern) && !sql.endsWith('NOT VALID')) {
+            throw Object.assign(new Error('rejected'), { code });
+          }
+        }
+        return { rows: [] };
+      }
+    };
+  }
+  const CONSTRAINTS = [
+    { name: 'items_qty_rule', rule: '>0', expression: '"qty" >0', message: 'Positive only' },
+    { name: 'items_code_rule', rule: 'x', expression: 'bad(', message: 'm' }
+  ];
+
+  test('adds each constraint with its message as the comment', async () => {
+    const client = mockClient();
+    const result = await addCheckConstraints(client, 'db_nw', 'items', CONSTRAINTS.slice(0, 1));
+    expect(result).toEqual({ added: [{ name: 'items_qty_rule', validated: true }], warnings: [] });
+    expect(client.statements).toEqual([
+      'SAVEPOINT check_constraint',
+      'ALTER TABLE "db_nw"."items" ADD CONSTRAINT "items_qty_rule" CHECK ("qty" >0)',
+      `COMMENT ON CONSTRAINT "items_qty_rule" ON "db_nw"."items" IS 'Positive only'`,
+      'RELEASE SAVEPOINT check_constraint'
+    ]);
+  });
+
+  test('rows breaking a rule leave it NOT VALID; a rejected rule is skipped', async () => {
+    const client = mockClient({ items_qty_rule: '23514', items_code_rule: '42601' });
+    const { added, warnings } = await addCheckConstraints(client, 'db_nw', 'items', CONSTRAINTS);
+    expect(added).toEqual([{ name: 'items_qty_rule', validated: false }]);
+    expect(warnings).toHaveLength(2);
+    expect(warnings[0]).toMatch(/new and changed rows only/);
+    expect(warnings[1]).toMatch(/items_code_rule\) not created/);
+    expect(client.statements).toContain('ALTER TABLE "db_nw"."items" ADD CONSTRAINT "items_qty_rule" CHECK ("qty" >0) NOT VALID');
+  });
+});
+
+describe('describeCheckViolation', () => {
+  const err = Object.assign(new Error('violates'), {
+    code: '23514', constraint: 'items_qty_rule', table: 'items', schema: 'db_nw'
+  });
+
+  test('returns the constraint message and its column', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ message: 'Positive only', field: 'qty' }] }) };
+    expect(await describeCheckViolation(pool, err)).toEqual({
+      error: 'Positive only', field: 'qty', constraint: 'items_qty_rule'
+    });
+    expect(pool.query.mock.calls[0][1]).toEqual(['items_qty_rule', 'items', 'db_nw']);
+  });
+
+  test('ignores other errors and constraints without a message', async () => {
+    const pool = { query: jest.fn().mockResolvedValue({ rows: [{ message: null, field: null }] }) };
+    expect(await describeCheckViolation(pool, err)).toBeNull();
+    expect(await describeCheckViolation(pool, { ...err, code: '23505' })).toBeNull();
+    expect(pool.query).toHaveBeenCalledTimes(1);
+  });
+});
@@ -202,8 +202,8 @@ describe('KNOWN_INTENT_TYPES', () => {
     expect(KNOWN_INTENT_TYPES.has('gap')).toBe(true);
   });
 
-  test('has 31 intent types', () => {
-    expect(KNOWN_INTENT_TYPES.size).toBe(31);
+  test('has 33 intent types', () => {
+    expect(KNOWN_INTENT_TYPES.size).toBe(33);
   });
 });
 
@@ -0,0 +1,168 @@
+const { translateModule, moduleKind, classRegistryEntries } = require('../lib/vba-module-to-js');
+const { createRuntime } = require('../lib/vba-runtime');
+
+const CLASS_SOURCE = [
+  'Option Compare Database',
+  'Private m_count As Long',
+  'Public Label As String',
+  '',
+  'Private Sub Class_Initialize()',
+  '    m_count = 10',
+  'End Sub',
+  '',
+  'Public Property Get Count() As Long',
+  '    Count = m_count',
+  'End Property',
+  '',
+  'Public Property Let Count(ByVal value As Long)',
+  '    If value < 0 Then Err.Raise 380, , "Invalid property value"',
+  '    m_count = value',
+  'End Property',
+  '',
+  'Public Sub Increment(Optional ByVal by As Long = 1)',
+  '    m_count = m_count + by',
+  'End Sub',
+  '',
+  'Public Function Describe() As String',
+  '    Describe = Label & ": " & m_count',
+  'End Function',
+].join('\r\n');
+
+const STANDARD_SOURCE = [
+  'Option Compare Database',
+  'Private Const PREFIX As String = "ORD-"',
+  'Private mLast As Long',
+  '',
+  'Public Function NextNumber(ByVal base As Long) As String',
+  '    Dim c As New clsCounter',
+  '    c.Count = base',
+  '    c.Increment 5',
+  '    mLast = c.Count',
+  '    NextNumber = Pad(mLast)',
+  'End Function',
+  '',
+  'Private Function Pad(n As Long) As String',
+  '    Pad = PREFIX & n',
+  'End Function',
+  '',
+  'Public Function Total(ParamArray items() As Variant) As Double',
+  '    Total = items(0) + items(1)',
+  'End Function',
+  '',
+  'Public Function LastNumber() As Long',
+  '    LastNumber = mLast',
+  'End Function',
+].join('\r\n');
+
+function registry() {
+  return new Set([...classRegistryEntries('clsCounter', CLASS_SOURCE), 'nextnumber', 'pad', 'total', 'lastnumber']);
+}
+
+function runtimeFor(...translated) {
+  return createRuntime({ query: jest.fn() }, new Map(translated.map(m => [m.name.toLowerCase(), m.js])));
+}
+
+// ============================================================
+// moduleKind / classRegistryEntries
+// ============================================================
+
+describe('moduleKind', () => {
+  test('document modules by name', () => {
+    expect(moduleKind('Form_frmMain', '')).toBe('form');
+    expect(moduleKind('Report_rptSales', '')).toBe('report');
+  });
+
+  test('class modules by name or by what only a class has', () => {
+    expect(moduleKind('clsCounter', '')).toBe('class');
+    expect(moduleKind('Pricing', 'Private Sub Class_Initialize()\nEnd Sub')).toBe('class');
+    expect(moduleKind('Pricing', 'VERSION 1.0 CLASS\nBEGIN\nEND')).toBe('class');
+    expect(moduleKind('modPricing', 'Public Function Price()\nEnd Function')).toBe('standard');
+  });
+});
+
+describe('classRegistryEntries', () => {
+  test('the class and its public methods, not its properties', () => {
+    expect(classRegistryEntries('clsCounter', CLASS_SOURCE)).toEqual([
+      'class:clscounter', 'class:clscounter.increment', 'class:clscounter.describe',
+    ]);
+    expect(classRegistryEntries('modOrders', STANDARD_SOURCE)).toEqual([]);
+  });
+});
+
+// ============================================================
+// translateModule
+// ============================================================
+
+describe('translateModule', () => {
+  test('form and report modules are left to parseVbaToHandlers', () => {
+    expect(translateModule('Private Sub Form_Load()\nEnd Sub', 'Form_frmMain')).toBeNull();
+  });
+
+  test('a standard module exports its public procedures', () => {
+    const result = translateModule(STANDARD_SOURCE, 'modOrders', { fnRegistry: registry() });
+    expect(result).toMatchObject({ name: 'modOrders', kind: 'standard', untranslated: [], errors: [] });
+    expect(result.exports).toEqual(['NextNumber', 'Total', 'LastNumber']);
+    expect(result.js).toContain('const PREFIX = "ORD-";');
+    expect(result.js).toContain('let mLast = 0;');
+    expect(result.js).toContain('async function Total(...items) {');
+    expect(result.js).toContain('let c = await AC.newObject("clsCounter");');
+  });
+
+  test('a class module exports create', () => {
+    const result = translateModule(CLASS_SOURCE, 'clsCounter', { fnRegistry: registry() });
+    expect(result).toMatchObject({ kind: 'class', exports: [], untranslated: [] });
+    expect(result.js).toContain('async function Count_let(value) {');
+    expect(result.js).toMatch(/return \{ create \};\n$/);
+  });
+
+  test('records what it could not translate, with the procedure', () => {
+    const result = translateModule([
+      'Private Declare PtrSafe Function GetTickCount Lib "kernel32" () As Long',
+      'Public Property Get Version() As String',
+      '    Version = "1"',
+      'End Property',
+    ].join('\n'), 'modMisc');
+    expect(result.untranslated.map(u => [u.procedure, u.line])).toEqual([[null, 1], ['Version', 2]]);
+  });
+});
+
+// ============================================================
+// Running translated modules
+// ============================================================
+
+describe('translated modules at run time', () => {
+  const fnRegistry = registry();
+  const counter = translateModule(CLASS_SOURCE, 'clsCounter', { fnRegistry });
+  const orders = translateModule(STANDARD_SOURCE, 'modOrders', { fnRegistry });
+
+  test('class instances: Class_Initialize, properties, methods, public fields', async () => {
+    const c = await runtimeFor(counter).newObject('clsCounter');
+    expect(await c.Count).toBe(10);
+    c.Count = 3;
+    await c.Increment();
+    c.Label = 'Orders';
+    expect(await c.Describe()).toBe('Orders: 4');
+  });
+
+  test('each New is a separate instance', async () => {
+    const runtime = runtimeFor(counter);
+    const a = await runtime.newObject('clsCounter');
+    const b = await runtime.newObject('clsCounter');
+    await a.Increment(5);
+    expect([await a.Count, await b.Count]).toEqual([15, 10]);
+  });
+
+  test('an error in Property Let surfaces at the next use of the object', async () => {
+    const c = await runtimeFor(counter).newObject('clsCounter');
+    c.Count = -1;
+    await expect(c.Describe()).rejects.toMatchObject({ number: 380, message: 'Invalid property value' });
+  });
+
+  test('standard module procedures use classes and their Private helpers', async () => {
+    const runtime = runtimeFor(counter, orders);
+    expect(await runtime.callFn('NextNumber', 7)).toBe('ORD-12');
+    expect(await runtime.callFn('lastnumber')).toBe(12);
+    expect(await runtime.callFn('Total', 2, 3)).toBe(5);
+    await expect(runtime.callFn('Pad', 1)).rejects.toMatchObject({ number: 35 });
+  });
+});
@@ -0,0 +1,186 @@
+const { tokenize, parseModule, parseExpression, statementLines } = require('../lib/vba-parser');
+
+const body = (source) => parseModule(`Sub Test()\n${source}\nEnd Sub`).procedures[0].body;
+const lines = (source) => statementLines(body(source)).map(l => l.text);
+
+// ============================================================
+// tokenize
+// ============================================================
+
+describe('tokenize', () => {
+  test('strings, numbers, dates and bracketed names', () => {
+    const tokens = tokenize('x = "say ""hi""" & &HFF + 1.5 + #1/2/2020# + [Order ID]');
+    expect(tokens.filter(t => t.type !== 'symbol').map(t => [t.type, t.value])).toEqual([
+      ['identifier', 'x'], ['string', 'say "hi"'], ['number', 255], ['number', 1.5],
+      ['date', '1/2/2020'], ['identifier', 'Order ID'], ['eof', ''],
+    ]);
+  });
+
+  test('drops comments, Rem lines and continuations but keeps line numbers', () => {
+    const tokens = tokenize("a = 1 ' it's a comment\nRem note: more\nb = a + _\n  2");
+    expect(tokens.map(t => t.value).join(' ')).toBe('a = 1 \n \n b = a + 2 ');
+    expect(tokens.find(t => t.value === 2)).toMatchObject({ line: 4, column: 3 });
+  });
+
+  test('colon separates statements, := does not', () => {
+    const types = tokenize('a = 1: Foo x:=2').map(t => t.type);
+    expect(types.filter(t => t === 'colon')).toHaveLength(1);
+  });
+});
+
+// ============================================================
+// parseExpression
+// ============================================================
+
+describe('parseExpression', () => {
+  test('VBA precedence: comparison over Not over And over Or', () => {
+    const e = parseExpression('Not a = 1 And b Or c');
+    expect(e.operator).toBe('Or');
+    expect(e.left.operator).toBe('And');
+    expect(e.left.left).toMatchObject({ type: 'Unary', operator: 'Not' });
+    expect(e.left.left.operand.operator).toBe('=');
+  });
+
+  test('arithmetic levels and unary minus below ^', () => {
+    const e = parseExpression('-2 ^ 2 + 7 \\ 2 * 3 & "x"');
+    expect(e.operator).toBe('&');
+    expect(e.left.left).toMatchObject({ type: 'Unary', operator: '-', operand: { operator: '^' } });
+    expect(e.left.right).toMatchObject({ operator: '\\', right: { operator: '*' } });
+  });
+
+  test('member access, calls with omitted and named arguments', () => {
+    const e = parseExpression('Forms!frmMain.Controls("txt").Value');
+    expect(e).toMatchObject({ type: 'Member', name: 'Value', object: { type: 'Call', callee: { name: 'Controls' } } });
+    const call = parseExpression('Nz(x, , Default:=0)');
+    expect(call.args.map(a => a.type)).toEqual(['Identifier', 'Missing', 'Named']);
+  });
+
+  test('reports where an expression goes wrong', () => {
+    expect(() => parseExpression('1 + * 2')).toThrow(expect.objectContaining({ code: 'VBA_SYNTAX', line: 1, column: 5 }));
+  });
+});
+
+// ============================================================
+// parseModule
+// ============================================================
+
+describe('parseModule', () => {
+  const source = [
+    'Option Compare Database',
+    'Private mCount As Long, mName As String',
+    'Public Const MAX_ROWS As Integer = 10',
+    'Public Enum Mode',
+    '  modeA = 1',
+    '  modeB',
+    'End Enum',
+    '',
+    'Private Sub cmdOK_Click()',
+    '    mCount = mCount + 1',
+    'End Sub',
+    '',
+    'Public Function Total(ByVal a As Long, Optional b As Long = 2) As Long',
+    '    Total = a + b',
+    'End Function',
+    '',
+    'Property Get Count() As Long',
+    '    Count = mCount',
+    'End Property',
+  ].join('\r\n');
+
+  test('declarations and procedures with positions', () => {
+    const module = parseModule(source);
+    expect(module.errors).toEqual([]);
+    expect(module.declarations.map(d => d.type)).toEqual(['Option', 'Dim', 'Const', 'Enum']);
+    expect(module.declarations[1].declarations.map(d => d.name)).toEqual(['mCount', 'mName']);
+    expect(module.declarations[3].members.map(m => m.name)).toEqual(['modeA', 'modeB']);
+    expect(module.procedures.map(p => [p.kind, p.name, p.line, p.endLine])).toEqual([
+      ['sub', 'cmdOK_Click', 9, 11], ['function', 'Total', 13, 15], ['property get', 'Count', 17, 19],
+    ]);
+    expect(module.procedures[1].params).toMatchObject([
+      { name: 'a', byVal: true, typeName: 'Long' },
+      { name: 'b', optional: true, defaultValue: { value: 2 } },
+    ]);
+  });
+
+  test('block statements nest', () => {
+    const [forNode] = body([
+      'For i = 1 To 10 Step 2',
+      '  Do While rs.EOF = False',
+      '    Select Case rs!Kind',
+      '      Case 1, 3 To 5, Is > 9',
+      '        With Me.txt',
+      '          .Visible = True',
+      '        End With',
+      '    End Select',
+      '  Loop',
+      'Next i',
+    ].join('\n'));
+    expect(forNode.type).toBe('For');
+    const doNode = forNode.body[0];
+    expect(doNode).toMatchObject({ type: 'Do', test: 'pre', conditionType: 'while' });
+    const select = doNode.body[0];
+    expect(select.cases[0].tests.map(t => t.type)).toEqual(['Literal', 'CaseRange', 'CaseIs']);
+    expect(select.cases[0].body[0].body[0]).toMatchObject({ type: 'Assignment', target: { type: 'Member', object: null, name: 'Visible' } });
+  });
+
+  test('Else of a nested single-line If belongs to the inner If', () => {
+    const [outer] = body('If a Then If b Then x = 1 Else x = 2');
+    expect(outer).toMatchObject({ singleLine: true, elseBody: null });
+    expect(outer.thenBody[0].elseBody[0].text).toBe('x = 2');
+  });
+
+  test('keywords inside strings are not statements', () => {
+    const [stmt] = body('MsgBox "Then End If: Next", vbOKOnly');
+    expect(stmt).toMatchObject({ type: 'Call', callee: { name: 'MsgBox' } });
+    expect(stmt.args).toHaveLength(2);
+  });
+
+  test('Next j, i closes both loops', () => {
+    const module = parseModule('Sub T()\nFor i = 1 To 2\nFor j = 1 To 2\nx = i * j\nNext j, i\nEnd Sub');
+    expect(module.errors).toEqual([]);
+    expect(module.procedures[0].body[0].body[0].type).toBe('For');
+  });
+
+  test('error handling statements and labels', () => {
+    const stmts = body('On Error GoTo Err_Handler\n10 x = 1\nErr_Handler:\nResume Next');
+    expect(stmts.map(s => s.type)).toEqual(['OnError', 'Label', 'Assignment', 'Label', 'Resume']);
+    expect(stmts[0]).toMatchObject({ action: 'goto', label: 'Err_Handler' });
+    expect(stmts[4].target).toBe('Next');
+  });
+
+  test('keeps going past errors and records their lines', () => {
+    const module = parseModule('Sub T()\n  x = 1 +\n  If a Then\n    y = 2\nEnd Sub\nSub U()\nEnd Sub');
+    expect(module.procedures.map(p => p.name)).toEqual(['T', 'U']);
+    expect(module.errors.map(e => e.line)).toEqual([2, 5]);
+    expect(module.errors[1].message).toMatch(/Expected End If/);
+    const [bad, ifNode] = module.procedures[0].body;
+    expect(bad).toMatchObject({ type: 'Unparsed', text: 'x = 1 +', line: 2 });
+    expect(ifNode.thenBody[0].text).toBe('y = 2');
+  });
+});
+
+// ============================================================
+// statementLines
+// ============================================================
+
+describe('statementLines', () => {
+  test('splits colon-separated statements and keeps their source lines', () => {
+    const result = statementLines(body('a = 1: b = 2\nc = 3'));
+    expect(result).toEqual([
+      { text: 'a = 1', line: 2 }, { text: 'b = 2', line: 2 }, { text: 'c = 3', line: 3 },
+    ]);
+  });
+
+  test('keeps a simple single-line If and expands the rest', () => {
+    expect(lines('If x Then y = 1')).toEqual(['If x Then y = 1']);
+    expect(lines('If x Then y = 1: z = 2 Else Beep')).toEqual([
+      'If x Then', 'y = 1', 'z = 2', 'Else', 'Beep', 'End If',
+    ]);
+  });
+
+  test('rebuilds block headers and ends without comments or continuations', () => {
+    expect(lines('Do Until rs.EOF \' walk\n  rs.MoveNext\nLoop\nFor Each c In Me.Controls: c.Visible = _\n  True: Next')).toEqual([
+      'Do Until rs.EOF', 'rs.MoveNext', 'Loop', 'For Each c In Me.Controls', 'c.Visible = True', 'Next',
+    ]);
+  });
+});
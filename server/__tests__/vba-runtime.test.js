@@ -0,0 +1,143 @@
+const { createRuntime, callModuleProcedure, clearModules, dateAdd, dateDiff } = require('../lib/vba-runtime');
+const { runWithSchema } = require('../lib/schema-scope');
+
+const MODULE_JS = [
+  'const AC = runtime.withProcedures({});',
+  'async function Greeting(name) { return "Hello " + AC.nz(name, "there"); }',
+  'async function Fail() { AC.err.raise(9999, "modGreeting", "Nope"); }',
+  'return { Greeting, Fail };',
+].join('\n');
+
+function mockPool(rows = []) {
+  const client = {
+    query: jest.fn(async (sql) => {
+      if (/has_schema_privilege/.test(sql)) return { rows: [{ ready: true }] };
+      return /^SELECT/.test(sql) ? { rows } : { rows: [] };
+    }),
+    release: jest.fn(),
+  };
+  return {
+    client,
+    query: jest.fn(async () => ({ rows: [{ name: 'modGreeting', js: MODULE_JS }] })),
+    connect: jest.fn().mockResolvedValue(client),
+  };
+}
+
+// ============================================================
+// Dates
+// ============================================================
+
+describe('dateAdd', () => {
+  test('months clamp to the end of the month', () => {
+    expect(dateAdd('m', 1, new Date(2024, 0, 31))).toEqual(new Date(2024, 1, 29));
+    expect(dateAdd('yyyy', 1, new Date(2024, 1, 29))).toEqual(new Date(2025, 1, 28));
+    expect(dateAdd('q', -1, new Date(2024, 4, 31))).toEqual(new Date(2024, 1, 29));
+  });
+
+  test('days, weeks and time', () => {
+    expect(dateAdd('d', 10, new Date(2024, 0, 25))).toEqual(new Date(2024, 1, 4));
+    expect(dateAdd('ww', 2, new Date(2024, 0, 1))).toEqual(new Date(2024, 0, 15));
+    expect(dateAdd('n', 90, new Date(2024, 0, 1, 8, 0))).toEqual(new Date(2024, 0, 1, 9, 30));
+  });
+
+  test('a bad interval is Err 5', () => {
+    expect(() => dateAdd('x', 1, new Date())).toThrow(expect.objectContaining({ number: 5 }));
+  });
+});
+
+describe('dateDiff', () => {
+  test('counts boundaries crossed, as Access does', () => {
+    expect(dateDiff('yyyy', new Date(2023, 11, 31), new Date(2024, 0, 1))).toBe(1);
+    expect(dateDiff('m', new Date(2024, 0, 31), new Date(2024, 1, 1))).toBe(1);
+    expect(dateDiff('d', new Date(2024, 0, 1, 23, 0), new Date(2024, 0, 2, 1, 0))).toBe(1);
+    expect(dateDiff('d', new Date(2024, 0, 10), new Date(2024, 0, 1))).toBe(-9);
+  });
+
+  test('w is whole weeks, ww is Sundays crossed', () => {
+    // Saturday to Sunday
+    expect(dateDiff('w', new Date(2024, 0, 6), new Date(2024, 0, 7))).toBe(0);
+    expect(dateDiff('ww', new Date(2024, 0, 6), new Date(2024, 0, 7))).toBe(1);
+  });
+});
+
+// ============================================================
+// Runtime
+// ============================================================
+
+describe('createRuntime', () => {
+  test('domain functions run read-only as the database\'s sandbox role', async () => {
+    const pool = mockPool([{ result: 3 }]);
+    const runtime = createRuntime(pool, new Map());
+    expect(await runWithSchema('db_nw', () => runtime.dCount('*', 'orders', 'status = 1'))).toBe(3);
+    const sql = pool.client.query.mock.calls.map(c => c[0]).slice(1);
+    expect(sql).toEqual(['BEGIN READ ONLY', 'SET statement_timeout = \'30s\'', 'SET LOCAL ROLE "ac_sql_db_nw"',
+      'SELECT COUNT(*) as result FROM orders WHERE status = 1', 'COMMIT']);
+    expect(pool.client.release).toHaveBeenCalled();
+  });
+
+  test('DLookup returns null when nothing matches', async () => {
+    const runtime = createRuntime(mockPool([]), new Map());
+    expect(await runWithSchema('db_nw', () => runtime.dLookup('price', 'products', 'id = 1'))).toBeNull();
+  });
+
+  test('RunSQL takes one INSERT, UPDATE or DELETE, run as the sandbox role', async () => {
+    const pool = mockPool();
+    const runtime = createRuntime(pool, new Map());
+    await runWithSchema('db_nw', () => runtime.runSQL('UPDATE orders SET status = 2;'));
+    const sql = pool.client.query.mock.calls.map(c => c[0]).slice(1);
+    expect(sql).toEqual(['BEGIN', 'SET LOCAL ROLE "ac_sql_db_nw"', 'UPDATE orders SET status = 2', 'COMMIT']);
+    await expect(runtime.runSQL('DROP TABLE orders')).rejects.toThrow(/Only INSERT, UPDATE, DELETE/);
+    await expect(runtime.runSQL('DELETE FROM a; DELETE FROM b')).rejects.toThrow(/Multiple statements/);
+  });
+
+  test('SQL that could leave the sandbox is Err 3075', async () => {
+    const runtime = createRuntime(mockPool(), new Map());
+    await expect(runtime.dLookup('set_config(\'role\', \'none\', true)', 'orders', ''))
+      .rejects.toMatchObject({ number: 3075 });
+  });
+
+  test('form-only parts of AC are not available', () => {
+    const runtime = createRuntime(mockPool(), new Map());
+    expect(() => runtime.openForm('frmMain')).toThrow('AC.openForm is not available on the server');
+  });
+
+  test('Err and TempVars belong to one runtime', () => {
+    const a = createRuntime(mockPool(), new Map());
+    const b = createRuntime(mockPool(), new Map());
+    a.setTempVar('user', 'ann');
+    a.err.capture(Object.assign(new Error('x'), { number: 11 }));
+    expect([a.getTempVar('user'), b.getTempVar('user')]).toEqual(['ann', null]);
+    expect([a.err.number, b.err.number]).toEqual([11, 0]);
+  });
+
+  test('New of an unknown class is Err 429', async () => {
+    await expect(createRuntime(mockPool(), new Map()).newObject('clsNope')).rejects.toMatchObject({ number: 429 });
+  });
+});
+
+// ============================================================
+// callModuleProcedure
+// ============================================================
+
+describe('callModuleProcedure', () => {
+  beforeEach(() => clearModules('db1'));
+
+  test('calls a public procedure by name, any case', async () => {
+    const pool = mockPool();
+    expect(await callModuleProcedure(pool, 'db1', 'modgreeting', 'greeting', ['Ann'])).toBe('Hello Ann');
+    expect(await callModuleProcedure(pool, 'db1', 'modGreeting', 'Greeting', [null])).toBe('Hello there');
+    // Cached until the module is saved again
+    expect(pool.query).toHaveBeenCalledTimes(1);
+    expect(pool.query.mock.calls[0][1]).toEqual(['db1']);
+  });
+
+  test('404s for a missing module or procedure', async () => {
+    const pool = mockPool();
+    await expect(callModuleProcedure(pool, 'db1', 'modNope', 'X')).rejects.toMatchObject({ code: 'MODULE_NOT_FOUND', status: 404 });
+    await expect(callModuleProcedure(pool, 'db1', 'modGreeting', 'X')).rejects.toMatchObject({ code: 'PROCEDURE_NOT_FOUND', status: 404 });
+  });
+
+  test('errors the VBA raises keep their number', async () => {
+    await expect(callModuleProcedure(mockPool(), 'db1', 'modGreeting', 'Fail')).rejects.toMatchObject({ number: 9999, source: 'modGreeting' });
+  });
+});
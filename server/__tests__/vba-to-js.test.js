@@ -37,6 +37,12 @@ describe('translateStatement', () => {
       .toBe('AC.openReport("rptSales")');
   });
 
+  test('DoCmd.RunMacro with a repeat count, not a RepeatExpression', () => {
+    expect(translateStatement('DoCmd.RunMacro "mcrNav.Next", 3'))
+      .toBe('await AC.runMacro("mcrNav.Next", 3)');
+    expect(translateStatement('DoCmd.RunMacro "mcrNav", , "[Counter] < 3"')).toBeNull();
+  });
+
   test('DoCmd.GoToRecord acNewRec', () => {
     expect(translateStatement('DoCmd.GoToRecord , , acNewRec'))
       .toBe('AC.gotoRecord("new")');
@@ -60,6 +66,45 @@ describe('translateStatement', () => {
       .toBe('AC.runSQL(strSQL)');
   });
 
+  test('DoCmd.OutputTo → AC.outputTo with the format constant resolved', () => {
+    const assigned = new Set(['strfilepath']);
+    expect(translateStatement('DoCmd.OutputTo acOutputQuery, "qryProductList_Export", acFormatXLSX, strFilePath', null, null, assigned))
+      .toBe('await AC.outputTo("query", "qryProductList_Export", "xlsx", strFilePath)');
+  });
+
+  test('DoCmd.OutputTo with named arguments', () => {
+    expect(translateStatement('DoCmd.OutputTo ObjectType:=acOutputTable, ObjectName:="Orders", OutputFormat:="MS-DOS Text (*.txt)"'))
+      .toBe('await AC.outputTo("table", "Orders", "csv")');
+  });
+
+  test('DoCmd.OutputTo of a report as PDF', () => {
+    expect(translateStatement('DoCmd.OutputTo acOutputReport, "rptInvoice", acFormatPDF, "Invoice.pdf"'))
+      .toBe('await AC.outputTo("report", "rptInvoice", "pdf", "Invoice.pdf")');
+  });
+
+  test('DoCmd.TransferSpreadsheet acExport and TransferText acExportDelim', () => {
+    expect(translateStatement('DoCmd.TransferSpreadsheet acExport, acSpreadsheetTypeExcel12, "Orders", "C:\\Reports\\Orders.xlsx", True'))
+      .toBe('await AC.outputTo("table", "Orders", "xlsx", "C:\\\\Reports\\\\Orders.xlsx")');
+    expect(translateStatement('DoCmd.TransferText acExportDelim, , "Customers", "cust.csv", True'))
+      .toBe('await AC.outputTo("table", "Customers", "csv", "cust.csv")');
+  });
+
+  test('DoCmd.TransferSpreadsheet acImport and TransferText acImportDelim → AC.importFile', () => {
+    expect(translateStatement('DoCmd.TransferSpreadsheet acImport, acSpreadsheetTypeExcel12, "Orders", "C:\\Data\\Orders.xlsx", True'))
+      .toBe('await AC.importFile("Orders", "xlsx", true, "C:\\\\Data\\\\Orders.xlsx")');
+    expect(translateStatement('DoCmd.TransferText acImportDelim, , "Customers", "cust.csv"'))
+      .toBe('await AC.importFile("Customers", "csv", false, "cust.csv")');
+    expect(translateStatement('DoCmd.TransferSpreadsheet TableName:="Orders", HasFieldNames:=-1'))
+      .toBe('await AC.importFile("Orders", "xlsx", true)');
+  });
+
+  test('spreadsheet links and fixed-width text are not translated', () => {
+    expect(translateStatement('DoCmd.TransferSpreadsheet acLink, acSpreadsheetTypeExcel12, "Orders", "Orders.xlsx", True'))
+      .toBeNull();
+    expect(translateStatement('DoCmd.TransferText acImportFixed, "spec", "Orders", "orders.txt"'))
+      .toBeNull();
+  });
+
   test('g_dbApp().Execute variable', () => {
     const vars = new Set(); const assigned = new Set(['strsql']);
     expect(translateStatement('g_dbApp().Execute strSQL, dbFailOnError', null, vars, assigned))
@@ -368,7 +413,7 @@ describe('translateAssignmentRHS', () => {
   });
 
   test('complex expression returns null', () => {
-    expect(translateAssignmentRHS('CurrentDb.OpenRecordset("tbl")')).toBeNull();
+    expect(translateAssignmentRHS('CurrentProject.Connection.Execute("tbl")')).toBeNull();
   });
 
   test('DLookup as assignment RHS', () => {
@@ -710,7 +755,7 @@ describe('domain aggregate parsing', () => {
 // ============================================================
 
 describe('stripBoilerplate', () => {
-  test('strips basic boilerplate', () => {
+  test('strips Exit Sub but keeps error handling for translateBlock', () => {
     const body = [
       "On Error GoTo Err_Handler",
       "DoCmd.OpenForm \"frmMain\"",
@@ -719,7 +764,12 @@ describe('stripBoilerplate', () => {
       "MsgBox Err.Description",
     ].join('\n');
     const result = stripBoilerplate(body);
-    expect(result).toEqual(['DoCmd.OpenForm "frmMain"']);
+    expect(result).toEqual(['On Error GoTo Err_Handler', 'DoCmd.OpenForm "frmMain"', 'Err_Handler:', 'MsgBox Err.Description']);
+  });
+
+  test('drops labels and handlers nothing jumps to', () => {
+    const body = ['DoCmd.Close', 'Exit_Here:', 'Exit Sub', 'Err_Close:', 'MsgBox Err.Description'].join('\n');
+    expect(stripBoilerplate(body)).toEqual(['DoCmd.Close']);
   });
 
   test('strips line numbers', () => {
@@ -1111,14 +1161,14 @@ describe('translateBlock', () => {
 
   test('Dim + untranslatable RHS emits comment', () => {
     const lines = [
-      'Dim rs As DAO.Recordset',
-      'rs = CurrentDb.OpenRecordset("tbl")',
+      'Dim db As DAO.Database',
+      'db = CurrentDb',
       'DoCmd.Close',
     ];
     const result = translateBlock(lines, 0, 'frmTest');
     const js = result.jsLines.join('\n');
-    expect(js).toContain('let rs;');
-    expect(js).toContain('// rs = CurrentDb.OpenRecordset("tbl")');
+    expect(js).toContain('let db;');
+    expect(js).toContain('// db = CurrentDb');
     expect(js).toContain('AC.closeForm("frmTest");');
   });
 
@@ -1498,8 +1548,8 @@ End Sub
   test('handler with Dim produces let, Set assignment preserved as comment', () => {
     const vba = `
 Private Sub cmdRun_Click()
-    Dim rs As DAO.Recordset
-    Set rs = CurrentDb.OpenRecordset("tbl")
+    Dim db As DAO.Database
+    Set db = CurrentDb
     DoCmd.Close
 End Sub
 `;
@@ -1507,9 +1557,9 @@ End Sub
     expect(handlers).toHaveLength(1);
     const js = handlers[0].js;
     expect(js).toContain('AC.closeForm("frmRun");');
-    expect(js).toContain('let rs;');
+    expect(js).toContain('let db;');
     // Set with untranslatable RHS is emitted as comment (not silently dropped)
-    expect(js).toContain('// Set rs = CurrentDb.OpenRecordset("tbl")');
+    expect(js).toContain('// Set db = CurrentDb');
   });
 
   test('line continuations merged before translation', () => {
@@ -2636,13 +2686,13 @@ describe('With blocks', () => {
 
   test('With untranslatable target preserves VBA', () => {
     const lines = [
-      'With Me.RecordsetClone',
-      '.FindFirst "ID = 1"',
+      'With Me.Module',
+      '.InsertLines 1, "Option Explicit"',
       'End With',
     ];
     const result = translateBlock(lines, 0, 'frmTest');
-    expect(result.jsLines[0]).toBe('// [VBA With block - target not translatable: Me.RecordsetClone]');
-    expect(result.jsLines.some(l => l.includes('.FindFirst'))).toBe(true);
+    expect(result.jsLines[0]).toBe('// [VBA With block - target not translatable: Me.Module]');
+    expect(result.jsLines.some(l => l.includes('.InsertLines'))).toBe(true);
     expect(result.jsLines[result.jsLines.length - 1]).toBe('// End With');
   });
 
@@ -3252,3 +3302,289 @@ describe('Select Case expression via translateExpression', () => {
     expect(js).toContain('switch (AC.getValue("cboCompanyTypeID"))');
   });
 });
+
+// ============================================================
+// DAO / ADO recordsets
+// ============================================================
+
+describe('recordsets', () => {
+  test('OpenRecordset opens through the runtime, ignoring type and options', () => {
+    expect(translateAssignmentRHS('CurrentDb.OpenRecordset("tbl")')).toBe('await AC.openRecordset("tbl")');
+    expect(translateAssignmentRHS('db.OpenRecordset(strSQL, dbOpenDynaset)', new Set(['strsql'])))
+      .toBe('await AC.openRecordset(strSQL)');
+    expect(translateAssignmentRHS('New ADODB.Recordset')).toBe('AC.newRecordset()');
+    expect(translateAssignmentRHS('Me.RecordsetClone')).toBe('AC.recordsetClone()');
+  });
+
+  test('fields and properties are read only on recordset variables', () => {
+    const vars = new Set(['rs', 'recordset:rs']);
+    expect(translateExpression('rs!Freight', vars)).toBe('rs.getField("Freight")');
+    expect(translateExpression('rs![Ship Region]', vars)).toBe('rs.getField("Ship Region")');
+    expect(translateExpression('rs.Fields("Freight").Value', vars)).toBe('rs.getField("Freight")');
+    expect(translateExpression('rs(0)', vars)).toBe('rs.getField(0)');
+    expect(translateExpression('rs!A & rs!B', vars)).toBe('rs.getField("A") + rs.getField("B")');
+    expect(translateCondition('Not rs.EOF', vars)).toBe('!(rs.eof)');
+    expect(translateExpression('arr(0)', new Set(['arr']))).toBe('arr[0]');
+  });
+
+  test('DAO loop with Edit and Update', () => {
+    const lines = [
+      'Dim rs As DAO.Recordset',
+      'Set rs = CurrentDb.OpenRecordset("SELECT * FROM Orders")',
+      'Do Until rs.EOF',
+      'rs.Edit',
+      'rs!Freight = rs!Freight * 2',
+      'rs.Update',
+      'rs.MoveNext',
+      'Loop',
+      'rs.Close',
+      'Set rs = Nothing',
+    ];
+    expect(translateBlock(lines, 0, 'frmTest').jsLines).toEqual([
+      'let rs;',
+      'rs = await AC.openRecordset("SELECT * FROM Orders");',
+      'while (!(rs.eof)) {',
+      '  rs.edit();',
+      '  rs.setField("Freight", rs.getField("Freight") * 2);',
+      '  await rs.update();',
+      '  rs.moveNext();',
+      '}',
+      'rs.close();',
+      'rs = null;',
+    ]);
+  });
+
+  test('ADO recordset opened and added to', () => {
+    const lines = [
+      'Dim rs As New ADODB.Recordset',
+      'rs.Open "Orders", CurrentProject.Connection, adOpenKeyset, adLockOptimistic',
+      'rs.AddNew',
+      'rs("CustomerID") = Me.CustomerID',
+      'rs.Update',
+    ];
+    expect(translateBlock(lines, 0, 'frmTest').jsLines).toEqual([
+      'let rs = AC.newRecordset();',
+      'await rs.open("Orders");',
+      'rs.addNew();',
+      'rs.setField("CustomerID", AC.getValue("CustomerID"));',
+      'await rs.update();',
+    ]);
+  });
+
+  test('With rs resolves methods, properties and !fields', () => {
+    const lines = [
+      'Dim rs As Recordset',
+      'Set rs = Me.RecordsetClone',
+      'With rs',
+      '.MoveLast',
+      'MsgBox .RecordCount & " " & !OrderID',
+      'End With',
+    ];
+    const js = translateBlock(lines, 0, 'frmTest').jsLines;
+    expect(js).toContain('rs = AC.recordsetClone();');
+    expect(js).toContain('rs.moveLast();');
+    expect(js).toContain('alert(rs.recordCount + " " + rs.getField("OrderID"));');
+  });
+
+  test('RecordsetClone FindFirst moves the form by bookmark', () => {
+    const lines = [
+      'With Me.RecordsetClone',
+      '.FindFirst "[OrderID] = " & Me.txtFind',
+      'If Not .NoMatch Then Me.Bookmark = .Bookmark',
+      'End With',
+    ];
+    expect(translateBlock(lines, 0, 'frmTest').jsLines).toEqual([
+      'await AC.recordsetClone().findFirst("[OrderID] = " + AC.getValue("txtFind"));',
+      'if (!(AC.recordsetClone().noMatch)) { await AC.setBookmark(AC.recordsetClone().bookmark); }',
+    ]);
+  });
+
+  test('Me.Recordset navigation moves the form', () => {
+    expect(translateStatement('Me.Recordset.MoveNext')).toBe('AC.formRecordset().moveNext()');
+    expect(translateStatement('Me.Bookmark = rs.Bookmark', null, null, new Set(['rs', 'recordset:rs'])))
+      .toBe('await AC.setBookmark(rs.bookmark)');
+  });
+});
+
+// ============================================================
+// Error handling (On Error / Resume / Err)
+// ============================================================
+
+describe('error handling', () => {
+  test('Err properties and methods', () => {
+    expect(translateExpression('Err.Description')).toBe('AC.err.description');
+    expect(translateExpression('Err')).toBe('AC.err.number');
+    expect(translateCondition('Err.Number <> 0')).toBe('AC.err.number !== 0');
+    expect(translateStatement('Err.Clear')).toBe('AC.err.clear()');
+    expect(translateStatement('Err.Raise vbObjectError + 513, , "Order is closed"'))
+      .toBe('AC.err.raise(-2147221504 + 513, "", "Order is closed")');
+    expect(translateStatement('Err.Raise Number:=5')).toBe('AC.err.raise(5)');
+  });
+
+  test('On Error GoTo with Resume to an exit label becomes try/catch/finally', () => {
+    const vba = `
+Private Sub cmdSave_Click()
+On Error GoTo Err_Handler
+    Dim rs As DAO.Recordset
+    Set rs = CurrentDb.OpenRecordset("Orders")
+    rs.AddNew
+    rs.Update
+Exit_Handler:
+    rs.Close
+    Exit Sub
+Err_Handler:
+    If Err.Number = 3022 Then
+        MsgBox "Duplicate"
+        Resume Exit_Handler
+    End If
+    MsgBox "Error " & Err.Number & ": " & Err.Description
+    Resume Exit_Handler
+End Sub
+`;
+    const [handler] = parseVbaToHandlers(vba, 'Form_frmOrders');
+    expect(handler.js.split('\n')).toEqual([
+      'let rs;',
+      'try {',
+      '  rs = await AC.openRecordset("Orders");',
+      '  rs.addNew();',
+      '  await rs.update();',
+      '} catch (e) {',
+      '  AC.err.capture(e);',
+      '  if (AC.err.number === 3022) {',
+      '    alert("Duplicate");',
+      '    return;',
+      '  }',
+      '  alert("Error " + AC.err.number + ": " + AC.err.description);',
+      '} finally {',
+      '  rs.close();',
+      '}',
+    ]);
+  });
+
+  test('handler without Resume is a plain catch', () => {
+    const lines = ['On Error GoTo Err_Close', 'DoCmd.Close', 'Err_Close:', 'MsgBox Err.Description'];
+    expect(translateBlock(lines, 0, 'frmTest').jsLines).toEqual([
+      'try {',
+      '  AC.closeForm("frmTest");',
+      '} catch (e) {',
+      '  AC.err.capture(e);',
+      '  alert(AC.err.description);',
+      '}',
+    ]);
+  });
+
+  test('handler ending in Resume Next runs after each failing statement', () => {
+    const lines = ['On Error GoTo ErrH', 'Me.Requery', 'Me.txtA = 1', 'ErrH:', 'MsgBox Err.Description', 'Resume Next'];
+    expect(translateBlock(lines, 0, 'frmTest').jsLines).toEqual([
+      'const handleError = async () => {',
+      '  alert(AC.err.description);',
+      '};',
+      'try { AC.requery(); } catch (e) { AC.err.capture(e); await handleError(); }',
+      'try { AC.setValue("txtA", 1); } catch (e) { AC.err.capture(e); await handleError(); }',
+    ]);
+  });
+
+  test('On Error Resume Next protects each statement until On Error GoTo 0', () => {
+    const lines = [
+      'On Error Resume Next',
+      'DoCmd.GoToRecord , , acNext',
+      'If Err.Number <> 0 Then',
+      'MsgBox "No more"',
+      'End If',
+      'On Error GoTo 0',
+      'Me.txtA = 1',
+    ];
+    expect(translateBlock(lines, 0, 'frmTest').jsLines).toEqual([
+      'try { AC.gotoRecord("next"); } catch (e) { AC.err.capture(e); }',
+      'if (AC.err.number !== 0) {',
+      '  try { alert("No more"); } catch (e) { AC.err.capture(e); }',
+      '}',
+      '// On Error GoTo 0',
+      'AC.setValue("txtA", 1);',
+    ]);
+  });
+
+  test('a handler label without its On Error is skipped', () => {
+    const lines = ['If True Then', 'On Error GoTo Err_H', 'End If', 'DoCmd.Close', 'Err_H:', 'MsgBox "failed"'];
+    const js = translateBlock(lines, 0, 'frmTest').jsLines;
+    expect(js).toContain('AC.closeForm("frmTest");');
+    expect(js.join('\n')).not.toContain('failed');
+  });
+});
+
+// ============================================================
+// parseVbaToHandlers on parsed source
+// ============================================================
+
+describe('parseVbaToHandlers with the VBA parser', () => {
+  test('translates colon-separated statements and nested single-line Ifs', () => {
+    const vba = [
+      'Private Sub cmdGo_Click()',
+      '    Me.txtA = 1: Me.txtB = 2',
+      '    If Me.Dirty Then If IsNull(Me.txtA) Then Me.txtA = 0 Else Me.Dirty = False',
+      'End Sub',
+    ].join('\n');
+    const [handler] = parseVbaToHandlers(vba, 'Form_frmTest');
+    expect(handler.js).toContain('AC.setValue("txtA", 1);\nAC.setValue("txtB", 2);');
+    expect(handler.js).toContain('    AC.setValue("txtA", 0);\n  } else {\n    await AC.saveRecord();');
+    expect(handler.untranslated).toEqual([]);
+  });
+
+  test('keywords inside strings stay in the string', () => {
+    const vba = 'Private Sub cmdGo_Click()\n    MsgBox "Save: Then End If"\nEnd Sub';
+    expect(parseVbaToHandlers(vba, 'Form_frmTest')[0].js).toBe('alert("Save: Then End If");');
+  });
+
+  test('lists the source line of each statement left untranslated', () => {
+    const vba = [
+      'Option Compare Database',
+      '',
+      'Private Sub cmdGo_Click()',
+      '    Me.txtA = 1',
+      '    Screen.ActiveForm.Frob 1, _',
+      '        2',
+      'End Sub',
+    ].join('\n');
+    const [handler] = parseVbaToHandlers(vba, 'Form_frmTest');
+    expect(handler.untranslated).toEqual([{ line: 5, text: 'Screen.ActiveForm.Frob 1, 2' }]);
+  });
+});
+
+// ============================================================
+// Class module objects in handlers
+// ============================================================
+
+describe('parseVbaToHandlers with class module objects', () => {
+  const fnRegistry = new Set(['class:clscounter', 'class:clscounter.increment', 'getprice']);
+
+  test('New, method calls and property reads and writes', () => {
+    const vba = [
+      'Private Sub cmdGo_Click()',
+      '    Dim c As New clsCounter',
+      '    Dim other As clsCounter',
+      '    Set other = New clsCounter',
+      '    c.Count = Me.txtStart',
+      '    c.Increment 2',
+      '    Me.txtCount = c.Count',
+      '    Me.txtPrice = GetPrice(c.Count)',
+      'End Sub',
+    ].join('\n');
+    const [handler] = parseVbaToHandlers(vba, 'Form_frmTest', new Map(), fnRegistry);
+    expect(handler.js).toBe([
+      'let c = await AC.newObject("clsCounter");',
+      'let other;',
+      'other = await AC.newObject("clsCounter");',
+      'c.Count = AC.getValue("txtStart");',
+      'await c.Increment(2);',
+      'AC.setValue("txtCount", await c.Count);',
+      'AC.setValue("txtPrice", await AC.callFn("GetPrice", await c.Count));',
+    ].join('\n'));
+    expect(handler.untranslated).toEqual([]);
+  });
+
+  test('New of a class the database does not have stays untranslated', () => {
+    const vba = 'Private Sub cmdGo_Click()\n    Set x = New Collection\nEnd Sub';
+    const [handler] = parseVbaToHandlers(vba, 'Form_frmTest', new Map(), fnRegistry);
+    expect(handler.untranslated).toEqual([{ line: 2, text: 'Set x = New Collection' }]);
+  });
+});
@@ -10,8 +10,11 @@ const os = require('os');
 
 // Load helpers
 const { logEvent, logError } = require('./lib/events');
+const { authenticate, authorize } = require('./lib/auth');
+const { scopedPool, runWithSchema } = require('./lib/schema-scope');
 
 // Load routes
+const authRoutes = require('./routes/auth');
 const databasesRoutes = require('./routes/databases');
 const metadataRoutes = require('./routes/metadata');
 const dataRoutes = require('./routes/data');
@@ -37,47 +40,77 @@ const designCheckRoutes = require('./routes/design-check');
 const evaluationsRoutes = require('./routes/evaluations');
 const formGenRoutes = require('./routes/form-gen');
 const andonRoutes = require('./routes/andon');
+const rowPoliciesRoutes = require('./routes/row-policies');
+const migrationsRoutes = require('./routes/migrations');
 
 function createApp({
   pool,
   secrets = {},
+  auth = { enabled: false },
   settingsDir = path.join(__dirname, '..', 'settings'),
   uiPublicDir = path.join(__dirname, '..', 'ui-react', 'dist'),
 } = {}) {
   if (!pool) {
     throw new Error('createApp requires a pg Pool instance');
   }
+  if (auth.enabled && !auth.sessionSecret) {
+    throw new Error('Authentication is on but no session secret is set (ACCESSCLONE_SESSION_SECRET)');
+  }
 
   const app = express();
 
-  // Initialize databases router first to get currentDatabaseId getter
-  const databasesRouter = databasesRoutes(pool);
+  // Routers query through this: inside a request it binds each connection to
+  // the request's schema (lib/schema-scope.js)
+  const db = scopedPool(pool);
+
+  const databasesRouter = databasesRoutes(db);
 
   // ============================================================
   // MIDDLEWARE
   // ============================================================
   app.use(cors());
-  app.use(express.json({ limit: '50mb' }));
+  // A database archive is read whole by POST /api/databases/restore's own raw parser
+  const jsonBody = express.json({ limit: '50mb' });
+  app.use((req, res, next) => (req.path === '/api/databases/restore' ? next() : jsonBody(req, res, next)));
 
   // Serve UI static files (CSS, JS)
   app.use(express.static(uiPublicDir));
 
+  // ============================================================
+  // AUTHENTICATION
+  // ============================================================
+  // With authentication on, everything under /api except sign-in needs a session
+  app.use('/api', authenticate(db, auth));
+  app.use('/api/auth', authRoutes(db, auth));
+
   // ============================================================
   // USER IDENTITY ENDPOINT (no database context needed)
   // ============================================================
   app.get('/api/whoami', (req, res) => {
-    res.json({ username: os.userInfo().username });
+    if (req.user) {
+      return res.json({ username: req.user.id, displayName: req.user.displayName, isAdmin: req.user.isAdmin, authEnabled: true });
+    }
+    res.json({ username: os.userInfo().username, authEnabled: false });
   });
 
   // ============================================================
   // DATABASE SCHEMA ROUTING MIDDLEWARE
   // ============================================================
   /**
-   * Middleware to set search_path based on X-Database-ID header
+   * Middleware to bind the request to its database's schema (X-Database-ID header).
+   * Everything after it runs inside runWithSchema, so queries through `db` use
+   * that schema whichever pooled connection they land on. There is no server-side
+   * default: which database a user is in is their client's business, so a
+   * schema-scoped request without the header is refused.
    */
   app.use('/api', async (req, res, next) => {
+    // Signed-in identity wins; X-User-ID is only trusted with authentication off
+    req.userId = req.user ? req.user.id : (req.headers['x-user-id'] || null);
+
     // Skip for endpoints that query shared schema or don't need database context
     if (req.path === '/databases' || req.path.startsWith('/databases') ||
+        req.path.startsWith('/config') ||
+        req.path === '/session/ui-state' ||
         req.path.startsWith('/database-import') ||
         req.path.startsWith('/import-issues') ||
         req.path.startsWith('/issues') ||
@@ -88,70 +121,74 @@ function createApp({
       return next();
     }
 
-    const dbId = req.headers['x-database-id'] || databasesRouter.getCurrentDatabaseId();
+    const dbId = req.headers['x-database-id'];
+    if (!dbId) {
+      return res.status(400).json({ error: 'No database selected (send the X-Database-ID header)' });
+    }
 
+    let database;
     try {
       // Look up schema name for this database
       const result = await pool.query(
-        'SELECT schema_name FROM shared.databases WHERE database_id = $1',
+        'SELECT schema_name, archived_at FROM shared.databases WHERE database_id = $1',
         [dbId]
       );
-
-      const schemaName = result.rows[0]?.schema_name || 'public';
-
-      // Set search_path for this request.
-      const quoted = '"' + schemaName.replace(/"/g, '""') + '"';
-      await pool.query(`SET search_path = ${quoted}, shared, public`);
-
-      req.databaseId = dbId;
-      req.schemaName = schemaName;
-      req.userId = req.headers['x-user-id'] || null;
-      next();
+      database = result.rows[0];
     } catch (err) {
-      console.error('Error setting search_path:', err.message);
-      // Fall back to public schema — but don't crash if pool is exhausted
-      try {
-        await pool.query('SET search_path = public, shared');
-      } catch (fallbackErr) {
-        console.error('Fallback search_path also failed:', fallbackErr.message);
-      }
-      next();
+      console.error('Error looking up database schema:', err.message);
+      return res.status(500).json({ error: 'Failed to look up database' });
+    }
+    if (!database) {
+      return res.status(404).json({ error: `Database "${dbId}" not found` });
     }
+    if (database.archived_at) {
+      return res.status(409).json({ error: `Database "${dbId}" is archived` });
+    }
+    const schemaName = database.schema_name;
+
+    req.databaseId = dbId;
+    req.schemaName = schemaName;
+    runWithSchema(schemaName, next, { userId: req.userId, sessionId: req.headers['x-session-id'] || null });
   });
 
+  // Per-database roles (lib/auth.js ROUTE_ROLES), once the database is known
+  app.use('/api', authorize(db, auth));
+
   // ============================================================
   // MOUNT ROUTES
   // ============================================================
   app.use('/api/databases', databasesRouter);
-  app.use('/api', metadataRoutes(pool));
-  app.use('/api/data', dataRoutes(pool));
-  app.use('/api/session', sessionsRoutes(pool));
-  app.use('/api/events', eventsRoutes(pool, logEvent));
-  app.use('/api/chat', chatRoutes(pool, secrets));
-  app.use('/api/forms', formsRoutes(pool));
-  app.use('/api/reports', reportsRoutes(pool));
-  app.use('/api/modules', modulesRoutes(pool));
-  app.use('/api/macros', macrosRoutes(pool));
-  app.use('/api/config', configRoutes(settingsDir, pool));
-  app.use('/api/lint', lintRoutes(pool, secrets));
-  app.use('/api/graph', graphRoutes(pool));
-  app.use('/api/database-import', accessImportRoutes(pool, secrets));
-  app.use('/api/import-issues', importIssuesRoutes(pool));
-  app.use('/api/issues', issuesRoutes(pool));
-  app.use('/api/transcripts', transcriptsRoutes(pool));
-  app.use('/api/form-state', formStateRoutes(pool));
-  app.use('/api/app', appRoutes(pool));
-  app.use('/api/pipeline', pipelineRoutes(pool, secrets));
-  app.use('/api/attachments', attachmentsRoutes(pool));
+  app.use('/api', metadataRoutes(db));
+  app.use('/api/data', dataRoutes(db));
+  app.use('/api/session', sessionsRoutes(db));
+  app.use('/api/events', eventsRoutes(db, logEvent));
+  app.use('/api/chat', chatRoutes(db, secrets));
+  app.use('/api/forms', formsRoutes(db));
+  app.use('/api/reports', reportsRoutes(db));
+  app.use('/api/modules', modulesRoutes(db));
+  app.use('/api/macros', macrosRoutes(db));
+  app.use('/api/config', configRoutes(settingsDir, db));
+  app.use('/api/lint', lintRoutes(db, secrets));
+  app.use('/api/graph', graphRoutes(db));
+  app.use('/api/database-import', accessImportRoutes(db, secrets));
+  app.use('/api/import-issues', importIssuesRoutes(db));
+  app.use('/api/issues', issuesRoutes(db));
+  app.use('/api/transcripts', transcriptsRoutes(db));
+  app.use('/api/form-state', formStateRoutes(db));
+  app.use('/api/app', appRoutes(db));
+  app.use('/api/pipeline', pipelineRoutes(db, secrets));
+  app.use('/api/attachments', attachmentsRoutes(db));
   // Serve attachment files directly by path: /attachments/{dbId}/{table}/{pk}/{filename}
   app.use('/attachments', express.static(path.join(__dirname, 'uploads', 'attachments')));
-  app.use('/api/design-check', designCheckRoutes(pool, secrets));
-  app.use('/api/evaluations', evaluationsRoutes(pool));
-  app.use('/api/form-gen', formGenRoutes(pool, secrets));
-  const andonRouter = andonRoutes(pool);
+  app.use('/api/design-check', designCheckRoutes(db, secrets));
+  app.use('/api/evaluations', evaluationsRoutes(db));
+  app.use('/api/form-gen', formGenRoutes(db, secrets));
+  app.use('/api/row-policies', rowPoliciesRoutes(db));
+  app.use('/api/migrations', migrationsRoutes(db));
+  const andonRouter = andonRoutes(db);
   app.use('/api/andon', andonRouter);
   app.use('/api', andonRouter);  // mounts /api/intents/:database_id/completeness
-  return { app, databasesRouter };
+  return { app };
 }
 
 module.exports = { createApp };
@@ -29,5 +29,25 @@ module.exports = {
   // Server settings
   server: {
     port: process.env.PORT || 3001,
+  },
+
+  // Authentication. Off by default: a single-user install trusts the
+  // X-User-ID header. When on, every /api request needs a session and
+  // per-database roles are enforced (see lib/auth.js).
+  auth: {
+    enabled: /^(1|on|true)$/i.test(process.env.ACCESSCLONE_AUTH || ''),
+    sessionSecret: process.env.ACCESSCLONE_SESSION_SECRET || '',
+    sessionHours: Number(process.env.ACCESSCLONE_SESSION_HOURS) || 12,
+    // First administrator, created at startup when there is none
+    adminUser: process.env.ACCESSCLONE_ADMIN_USER || 'admin',
+    adminPassword: process.env.ACCESSCLONE_ADMIN_PASSWORD || '',
+    // OpenID Connect provider (optional); redirectUri ends in /api/auth/oidc/callback
+    oidc: {
+      issuer: process.env.ACCESSCLONE_OIDC_ISSUER || '',
+      clientId: process.env.ACCESSCLONE_OIDC_CLIENT_ID || '',
+      clientSecret: process.env.ACCESSCLONE_OIDC_CLIENT_SECRET || '',
+      redirectUri: process.env.ACCESSCLONE_OIDC_REDIRECT_URI || '',
+      label: process.env.ACCESSCLONE_OIDC_LABEL || 'Single sign-on',
+    },
   }
 };
@@ -413,6 +413,10 @@ function extractTargetObjectName(intent) {
       return null; // SQL string, not an object reference
     case 'set-record-source':
       return params.source || null;
+    case 'export-data':
+      return params.object_name || null;
+    case 'import-data':
+      return params.table_name || null;
     default:
       return params.target || null;
   }
@@ -421,9 +425,10 @@ function extractTargetObjectName(intent) {
 /**
  * Map intent type to the graph node_type of its target.
  * @param {string} intentType
+ * @param {Object} [params] - intent params, for intents that can target either
  * @returns {string}
  */
-function targetNodeType(intentType) {
+function targetNodeType(intentType, params = {}) {
   switch (intentType) {
     case 'open-form':
     case 'open-form-filtered':
@@ -435,7 +440,10 @@ function targetNodeType(intentType) {
     case 'dcount':
     case 'dsum':
     case 'set-record-source':
+    case 'import-data':
       return 'table';
+    case 'export-data':
+      return params.object_type === 'form' || params.object_type === 'report' ? 'form' : 'table';
     default:
       return 'form';
   }
@@ -515,7 +523,7 @@ async function populateFromIntents(pool, databaseId) {
 
           // Create 'targets' edge: intent → referenced object
           if (target && intentNode) {
-            const tNodeType = targetNodeType(intentType);
+            const tNodeType = targetNodeType(intentType, intent.params);
             const targetNode = await findNode(pool, tNodeType, target, databaseId);
             if (targetNode) {
               await upsertEdge(pool, {
@@ -80,6 +80,196 @@ CREATE TABLE IF NOT EXISTS shared.databases (
     last_accessed TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT NOW()
 );
+-- Archived databases are hidden from the list and can't be opened
+ALTER TABLE shared.databases ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+
+-- ============================================================
+-- Users and per-database roles (used when authentication is on)
+-- Local users have a password_hash; OpenID Connect users are matched by
+-- issuer + subject. is_admin users are admin of every database.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS shared.users (
+    user_id VARCHAR(100) PRIMARY KEY,
+    display_name VARCHAR(255),
+    email VARCHAR(255),
+    password_hash TEXT,
+    oidc_issuer TEXT,
+    oidc_subject TEXT,
+    is_admin BOOLEAN NOT NULL DEFAULT false,
+    disabled BOOLEAN NOT NULL DEFAULT false,
+    last_login TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oidc
+  ON shared.users(oidc_issuer, oidc_subject) WHERE oidc_subject IS NOT NULL;
+-- Session tokens carry it; bumping it (sign-out, a new password, disabling)
+-- ends every session the user has
+ALTER TABLE shared.users ADD COLUMN IF NOT EXISTS session_version INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS shared.database_roles (
+    database_id VARCHAR(100) NOT NULL REFERENCES shared.databases(database_id) ON DELETE CASCADE,
+    user_id VARCHAR(100) NOT NULL REFERENCES shared.users(user_id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('read-only', 'data-entry', 'designer', 'admin')),
+    granted_by VARCHAR(100),
+    granted_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (database_id, user_id)
+);
+CREATE INDEX IF NOT EXISTS idx_database_roles_user ON shared.database_roles(user_id);
+
+-- Each user's saved UI state: selected database, open tabs, app mode.
+-- user_id is the signed-in user (or X-User-ID with authentication off);
+-- 'session:<X-Session-ID>' when a request carries neither.
+CREATE TABLE IF NOT EXISTS shared.ui_state (
+    user_id VARCHAR(100) PRIMARY KEY,
+    state JSONB NOT NULL DEFAULT '{}',
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================
+-- Row policies - record-level security declared per table and materialized
+-- as PostgreSQL RLS policies (ac_<policy_name>) in the database's schema.
+-- user_attributes holds the per-user values membership policies test
+-- against ("region in the user's regions").
+-- ============================================================
+CREATE TABLE IF NOT EXISTS shared.row_policies (
+    id SERIAL PRIMARY KEY,
+    database_id VARCHAR(100) NOT NULL REFERENCES shared.databases(database_id) ON DELETE CASCADE,
+    table_name VARCHAR(255) NOT NULL,
+    policy_name VARCHAR(50) NOT NULL,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('owner', 'membership', 'expression')),
+    column_name VARCHAR(255),
+    attribute VARCHAR(100),
+    expression TEXT,
+    command VARCHAR(10) NOT NULL DEFAULT 'all' CHECK (command IN ('all', 'select', 'insert', 'update', 'delete')),
+    restrictive BOOLEAN NOT NULL DEFAULT false,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    created_by VARCHAR(100),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (database_id, table_name, policy_name)
+);
+
+CREATE TABLE IF NOT EXISTS shared.user_attributes (
+    database_id VARCHAR(100) NOT NULL REFERENCES shared.databases(database_id) ON DELETE CASCADE,
+    user_id VARCHAR(100) NOT NULL,
+    attribute VARCHAR(100) NOT NULL,
+    value TEXT NOT NULL,
+    PRIMARY KEY (database_id, user_id, attribute, value)
+);
+
+-- The request's user, as set on each connection by server/lib/schema-scope.js.
+-- Any SQL can set app.user_id (set_config works even in a read-only
+-- transaction), so the server sets app.user_sig beside it, signed with a key
+-- only its own role can read, and a user without a matching signature is
+-- nobody.
+CREATE TABLE IF NOT EXISTS shared.app_user_key (
+    id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+    secret TEXT NOT NULL
+);
+INSERT INTO shared.app_user_key (secret)
+  VALUES (replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', ''))
+  ON CONFLICT DO NOTHING;
+
+CREATE OR REPLACE FUNCTION shared.sign_app_user(p_user_id TEXT) RETURNS TEXT
+LANGUAGE sql STABLE AS $$
+  SELECT encode(sha256(convert_to(secret || ':' || p_user_id || ':' || secret, 'UTF8')), 'hex')
+  FROM shared.app_user_key
+$$;
+REVOKE ALL ON FUNCTION shared.sign_app_user(TEXT) FROM PUBLIC;
+
+CREATE OR REPLACE FUNCTION shared.current_app_user() RETURNS TEXT
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = pg_catalog, shared AS $$
+  SELECT NULLIF(current_setting('app.user_id', true), '')
+  WHERE current_setting('app.user_sig', true) = shared.sign_app_user(current_setting('app.user_id', true))
+$$;
+
+-- The request's user's values for an attribute, for membership policies.
+-- SECURITY DEFINER because ad-hoc SQL runs as a role that can't read
+-- shared.user_attributes (server/lib/sql-sandbox.js).
+CREATE OR REPLACE FUNCTION shared.current_app_user_values(p_database_id TEXT, p_attribute TEXT)
+RETURNS SETOF TEXT
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = pg_catalog, shared AS $$
+  SELECT value FROM shared.user_attributes
+  WHERE database_id = p_database_id AND user_id = shared.current_app_user() AND attribute = p_attribute
+$$;
+
+-- ============================================================
+-- Data audit - opt-in change history per table. Auditing a table puts an
+-- ac_audit trigger on it (server/lib/data-audit.js) that records each
+-- INSERT/UPDATE/DELETE here: the row before and after, its primary key
+-- (values as text, so keys compare however they were typed), and the user
+-- and session the request's connection was bound to.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS shared.data_audit (
+    id BIGSERIAL PRIMARY KEY,
+    database_id VARCHAR(100) NOT NULL REFERENCES shared.databases(database_id) ON DELETE CASCADE,
+    table_name VARCHAR(255) NOT NULL,
+    record_key JSONB NOT NULL,
+    operation VARCHAR(6) NOT NULL CHECK (operation IN ('INSERT', 'UPDATE', 'DELETE')),
+    old_row JSONB,
+    new_row JSONB,
+    user_id TEXT,                            -- TEXT: a long header must not fail the write
+    session_id TEXT,
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp()
+);
+CREATE INDEX IF NOT EXISTS idx_data_audit_record
+  ON shared.data_audit(database_id, table_name, record_key);
+
+-- Trigger arguments: database id, then the table's primary key columns.
+-- SECURITY DEFINER so roles that may only touch their own schema can still
+-- append to the log; updates that change nothing aren't recorded.
+CREATE OR REPLACE FUNCTION shared.audit_row_change() RETURNS trigger
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = pg_catalog, shared AS $$
+DECLARE
+  old_json JSONB;
+  new_json JSONB;
+  row_key JSONB := '{}'::jsonb;
+  i INTEGER;
+BEGIN
+  IF TG_OP <> 'INSERT' THEN old_json := to_jsonb(OLD); END IF;
+  IF TG_OP <> 'DELETE' THEN new_json := to_jsonb(NEW); END IF;
+  IF TG_OP = 'UPDATE' AND old_json = new_json THEN
+    RETURN NULL;
+  END IF;
+  FOR i IN 1 .. TG_NARGS - 1 LOOP
+    row_key := row_key || jsonb_build_object(TG_ARGV[i], COALESCE(new_json, old_json) ->> TG_ARGV[i]);
+  END LOOP;
+  INSERT INTO shared.data_audit
+    (database_id, table_name, record_key, operation, old_row, new_row, user_id, session_id)
+  VALUES (TG_ARGV[0], TG_TABLE_NAME, row_key, TG_OP, old_json, new_json,
+          shared.current_app_user(),
+          NULLIF(current_setting('app.session_id', true), ''));
+  RETURN NULL;
+END
+$$;
+
+-- ============================================================
+-- Schema migrations - every table design change as a numbered migration
+-- per database (server/lib/migrations.js): the DDL that made it, the DDL
+-- that undoes it, and the table's design before and after. Statements name
+-- the database's tables unqualified, so a chain replays on any copy.
+-- ============================================================
+CREATE TABLE IF NOT EXISTS shared.schema_migrations (
+    id SERIAL PRIMARY KEY,
+    database_id VARCHAR(100) NOT NULL REFERENCES shared.databases(database_id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    table_name VARCHAR(255) NOT NULL,
+    operation VARCHAR(10) NOT NULL CHECK (operation IN ('create', 'alter', 'drop', 'rollback', 'replay')),
+    description TEXT NOT NULL,
+    up_sql TEXT[] NOT NULL,
+    down_sql TEXT[] NOT NULL,
+    lossy_up BOOLEAN NOT NULL DEFAULT false,     -- applying it can throw data away
+    lossy_down BOOLEAN NOT NULL DEFAULT false,   -- undoing it can
+    table_before JSONB,                          -- NULL: the table didn't exist
+    table_after JSONB,
+    reverts INTEGER,                             -- rollback: the version it undid
+    source JSONB,                                -- replay: {database_id, version} it came from
+    rolled_back_at TIMESTAMPTZ,
+    rolled_back_by VARCHAR(100),
+    created_by VARCHAR(100),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (database_id, version)
+);
 
 -- ============================================================
 -- Applications - business systems above databases
@@ -492,6 +682,10 @@ DO $$ BEGIN
   END IF;
 END $$;
 
+-- Migration: every primary key column of the base table, in key order
+-- (pk_column keeps the first one for older readers)
+ALTER TABLE shared.view_metadata ADD COLUMN IF NOT EXISTS pk_columns TEXT[] DEFAULT '{}';
+
 -- ============================================================
 -- Objects - unified storage for forms, reports, modules, macros
 -- Replaces shared.forms, shared.reports, shared.modules, shared.macros
@@ -1519,7 +1713,9 @@ async function backfillViewMetadata(pool) {
             AND table_name != view_name
           GROUP BY view_name, table_name
         )
-        SELECT vb.view_name, vb.table_name AS base_table, kcu.column_name AS pk_column
+        SELECT vb.view_name, vb.table_name AS base_table,
+               (array_agg(kcu.column_name::text ORDER BY kcu.ordinal_position)
+                 FILTER (WHERE kcu.column_name IS NOT NULL)) AS pk_columns
         FROM view_base vb
         LEFT JOIN information_schema.table_constraints tc
           ON tc.table_name = vb.table_name AND tc.table_schema = $1
@@ -1527,6 +1723,7 @@ async function backfillViewMetadata(pool) {
         LEFT JOIN information_schema.key_column_usage kcu
           ON kcu.constraint_name = tc.constraint_name AND kcu.table_schema = $1
         WHERE vb.rn = 1
+        GROUP BY vb.view_name, vb.table_name
       `, [db.schema_name]);
 
       for (const row of result.rows) {
@@ -1539,11 +1736,12 @@ async function backfillViewMetadata(pool) {
         `, [db.schema_name, row.view_name, row.base_table]);
         const writableColumns = writableCols.rows.map(r => r.column_name);
 
+        const pkColumns = row.pk_columns || [];
         await pool.query(`
-          INSERT INTO shared.view_metadata (database_id, view_name, base_table, pk_column, writable_columns)
-          VALUES ($1, $2, $3, $4, $5)
+          INSERT INTO shared.view_metadata (database_id, view_name, base_table, pk_column, pk_columns, writable_columns)
+          VALUES ($1, $2, $3, $4, $5, $6)
           ON CONFLICT (database_id, view_name) DO NOTHING
-        `, [db.database_id, row.view_name, row.base_table, row.pk_column, writableColumns]);
+        `, [db.database_id, row.view_name, row.base_table, pkColumns[0] || null, pkColumns, writableColumns]);
       }
       console.log(`[BACKFILL] ${result.rows.length} views populated for ${db.database_id}`);
     }
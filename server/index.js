@@ -11,6 +11,7 @@ const { createApp } = require('./app');
 // Load graph modules
 const { initializeGraph } = require('./graph/schema');
 const { populateFromSchemas, populateFromRoutes } = require('./graph/populate');
+const { ensureAdminUser } = require('./lib/auth');
 
 const PORT = config.server.port;
 
@@ -37,9 +38,10 @@ try {
 }
 
 // Create Express app + routes
-const { app, databasesRouter } = createApp({
+const { app } = createApp({
   pool,
   secrets,
+  auth: config.auth,
   settingsDir: SETTINGS_DIR,
   uiPublicDir: UI_PUBLIC_DIR
 });
@@ -75,11 +77,10 @@ pool.query('SELECT NOW()')
       console.error('Schema initialization error:', err.message);
     }
 
-    // Initialize default database selection
     try {
-      await databasesRouter.initializeDefault();
+      await ensureAdminUser(pool, config.auth);
     } catch (err) {
-      console.error('Database initialization error:', err.message);
+      console.error('Administrator setup error:', err.message);
     }
   })
   .catch(err => console.error('Database connection error:', err.message));
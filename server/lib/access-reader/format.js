@@ -0,0 +1,140 @@
+/**
+ * Jet/ACE file format constants and header decoding.
+ *
+ * Offsets follow the mdbtools HACKING notes and Jackcess' JetFormat tables.
+ * Jet 3 (Access 97) uses 2K pages and code-page text; Jet 4 and every ACE
+ * version (.accdb) share the 4K page layout with UCS-2 text.
+ */
+
+// Engine version byte at offset 0x14 of page 0
+const VERSIONS = {
+  0x00: 'Jet 3',
+  0x01: 'Jet 4',
+  0x02: 'ACE 12',
+  0x03: 'ACE 14',
+  0x04: 'ACE 15',
+  0x05: 'ACE 16',
+  0x06: 'ACE 17',
+};
+
+const JET3_FORMAT = {
+  jet: 3,
+  pageSize: 2048,
+  headerEncryptedSize: 126,
+  dataPage: { rowCountOffset: 8, columnCountSize: 1 },
+  tdef: {
+    rowCountOffset: 12,
+    varColumnCountOffset: 23,
+    columnCountOffset: 25,
+    logicalIndexCountOffset: 27,
+    realIndexCountOffset: 31,
+    usageMapOffset: 35,
+    realIndexStartOffset: 43,
+    realIndexEntrySize: 8,
+    columnEntrySize: 18,
+    column: {
+      type: 0, number: 1, varIndex: 3, precision: 11, scale: 12,
+      flags: 13, extFlags: null, fixedOffset: 14, length: 16,
+    },
+    nameLengthSize: 1,
+    realIndexBlockSize: 39,
+    realIndexBlockPrefix: 0,
+    logicalIndexSize: 20,
+    logicalIndexPrefix: 0,
+  },
+};
+
+const JET4_FORMAT = {
+  jet: 4,
+  pageSize: 4096,
+  headerEncryptedSize: 128,
+  dataPage: { rowCountOffset: 12, columnCountSize: 2 },
+  tdef: {
+    rowCountOffset: 16,
+    varColumnCountOffset: 43,
+    columnCountOffset: 45,
+    logicalIndexCountOffset: 47,
+    realIndexCountOffset: 51,
+    usageMapOffset: 55,
+    realIndexStartOffset: 63,
+    realIndexEntrySize: 12,
+    columnEntrySize: 25,
+    column: {
+      type: 0, number: 5, varIndex: 7, precision: 11, scale: 12,
+      flags: 15, extFlags: 16, fixedOffset: 21, length: 23,
+    },
+    nameLengthSize: 2,
+    realIndexBlockSize: 52,
+    realIndexBlockPrefix: 4,
+    logicalIndexSize: 28,
+    logicalIndexPrefix: 4,
+  },
+};
+
+// Page type byte at offset 0 of every page
+const PAGE_TYPES = {
+  DATABASE: 0x00,
+  DATA: 0x01,
+  TABLE_DEFINITION: 0x02,
+  USAGE_BITMAP: 0x05,
+};
+
+// RC4 key for the encrypted region of the database definition page
+const HEADER_KEY = Buffer.from([0xc7, 0xda, 0x39, 0x6b]);
+const HEADER_ENCRYPTED_START = 0x18;
+const CODE_PAGE_OFFSET = 0x3c;
+const ENCODING_KEY_OFFSET = 0x3e;
+
+/**
+ * RC4 stream cipher — used for the header mask and for "encoded" Jet databases.
+ * @param {Buffer} key
+ * @param {Buffer} data
+ * @returns {Buffer} decrypted copy
+ */
+function rc4(key, data) {
+  const s = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) s[i] = i;
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) & 0xff;
+    [s[i], s[j]] = [s[j], s[i]];
+  }
+  const out = Buffer.alloc(data.length);
+  for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+    i = (i + 1) & 0xff;
+    j = (j + s[i]) & 0xff;
+    [s[i], s[j]] = [s[j], s[i]];
+    out[n] = data[n] ^ s[(s[i] + s[j]) & 0xff];
+  }
+  return out;
+}
+
+/**
+ * Identify the file format from the first page and decode its header.
+ * @param {Buffer} page0 - at least the first 2048 bytes of the file
+ * @returns {{ version: string, versionCode: number, format: object, codePage: number, encodingKey: number }}
+ */
+function detectFormat(page0) {
+  if (page0.length < JET3_FORMAT.pageSize || page0[0] !== PAGE_TYPES.DATABASE) {
+    throw new Error('Not an Access database (missing database definition page)');
+  }
+  const engine = page0.toString('latin1', 4, 19);
+  if (engine !== 'Standard Jet DB' && engine !== 'Standard ACE DB') {
+    throw new Error(`Not an Access database (engine signature "${engine.replace(/\0/g, '')}")`);
+  }
+
+  const versionCode = page0[0x14];
+  const version = VERSIONS[versionCode];
+  if (!version) {
+    throw new Error(`Unsupported Access file version 0x${versionCode.toString(16)}`);
+  }
+  const format = versionCode === 0x00 ? JET3_FORMAT : JET4_FORMAT;
+
+  const header = rc4(HEADER_KEY,
+    page0.subarray(HEADER_ENCRYPTED_START, HEADER_ENCRYPTED_START + format.headerEncryptedSize));
+  const codePage = header.readUInt16LE(CODE_PAGE_OFFSET - HEADER_ENCRYPTED_START);
+  const encodingKey = header.readUInt32LE(ENCODING_KEY_OFFSET - HEADER_ENCRYPTED_START);
+
+  return { version, versionCode, format, codePage, encodingKey };
+}
+
+module.exports = { JET3_FORMAT, JET4_FORMAT, PAGE_TYPES, rc4, detectFormat };
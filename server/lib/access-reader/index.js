@@ -0,0 +1,484 @@
+/**
+ * Pure-JavaScript reader for Access .mdb/.accdb files.
+ *
+ * Alternate backend for the table-import path when PowerShell/DAO is not
+ * available (Linux, macOS, containers). Reads the Jet/ACE page format
+ * directly and returns data in the JSON shapes list_tables.ps1 and
+ * export_table.ps1 produce, so callers can use either backend unchanged.
+ *
+ * Supports Jet 3 (Access 97), Jet 4 (.mdb 2000-2003) and ACE (.accdb)
+ * files that are not password-encrypted. Forms, reports, queries, macros
+ * and modules live in Access-private streams and are not covered here.
+ */
+
+const { PAGE_TYPES } = require('./format');
+const { openPageSource } = require('./pages');
+const { readTableDefinitionBuffer, parseTableDefinition } = require('./tdef');
+const { parseProperties } = require('./properties');
+const {
+  COLUMN_TYPES, CONTROL_CHARS_RE, codePageDecoder, decodeText, decodeValue,
+} = require('./values');
+
+// MSysObjects always starts at page 2
+const MSYS_OBJECTS_PAGE = 2;
+const OBJECT_TYPE_TABLE = 1;
+const SYSTEM_OBJECT_FLAG = 0x80000000;
+
+// DAO type codes export_table.ps1 skips (OLE, Binary, legacy attachment, multi-valued)
+const SKIP_TYPES = new Set([11, 17, 19, 102, 103, 104, 105, 106, 107, 108, 109]);
+
+const DAO_CALCULATED = 18;
+const DAO_ATTACHMENT = 101;
+
+// Jet storage type → DAO Field.Type
+const STORAGE_TO_DAO = {
+  [COLUMN_TYPES.BOOLEAN]: 1,
+  [COLUMN_TYPES.BYTE]: 2,
+  [COLUMN_TYPES.INTEGER]: 3,
+  [COLUMN_TYPES.LONG]: 4,
+  [COLUMN_TYPES.CURRENCY]: 5,
+  [COLUMN_TYPES.SINGLE]: 6,
+  [COLUMN_TYPES.DOUBLE]: 7,
+  [COLUMN_TYPES.DATETIME]: 8,
+  [COLUMN_TYPES.BINARY]: 17,
+  [COLUMN_TYPES.TEXT]: 10,
+  [COLUMN_TYPES.OLE]: 11,
+  [COLUMN_TYPES.MEMO]: 12,
+  [COLUMN_TYPES.GUID]: 15,
+  [COLUMN_TYPES.NUMERIC]: 20,
+  [COLUMN_TYPES.UNKNOWN_11]: 17,
+  [COLUMN_TYPES.BIGINT]: 16,
+  [COLUMN_TYPES.DATETIME_EXT]: 26,
+};
+
+// MSysComplexType_* table name → DAO multi-valued/attachment type code
+const COMPLEX_TYPES = {
+  Attachment: 101,
+  UnsignedByte: 102,
+  Short: 103,
+  Long: 104,
+  IEEESingle: 105,
+  IEEEDouble: 106,
+  GUID: 107,
+  Decimal: 108,
+  Text: 109,
+};
+
+function isSystemTableName(name) {
+  return name.startsWith('MSys') || name.startsWith('~');
+}
+
+/**
+ * Split a row into per-column byte ranges and decode each value.
+ * Follows the mdbtools crack_row3/crack_row4 layout: column count first,
+ * null mask last, variable-length offsets just before the null mask.
+ * @param {Buffer} row
+ * @param {object} table - parsed table definition
+ * @param {object} ctx - { format, jet, textDecoder }
+ * @returns {Array<{ column: object, isNull: boolean, bytes: Buffer|null }>}
+ */
+function splitRow(row, table, ctx) {
+  const countSize = ctx.format.dataPage.columnCountSize;
+  const rowColumnCount = countSize === 1 ? row[0] : row.readUInt16LE(0);
+  const maskSize = Math.ceil(rowColumnCount / 8);
+  const nullMask = row.subarray(row.length - maskSize);
+  const last = row.length - 1;
+
+  let rowVarCount = 0;
+  const varOffsets = [];
+  if (table.varColumnCount > 0) {
+    if (ctx.jet === 3) {
+      rowVarCount = row[last - maskSize];
+      let jumpCount = Math.floor((row.length - 1) / 256);
+      const columnPointer = last - maskSize - jumpCount - 1;
+      // The last jump entry can be a dummy value
+      if ((columnPointer - rowVarCount) / 256 < jumpCount) jumpCount--;
+      let jumpsUsed = 0;
+      for (let i = 0; i <= rowVarCount; i++) {
+        while (jumpsUsed < jumpCount && i === row[last - maskSize - jumpsUsed - 1]) jumpsUsed++;
+        varOffsets.push(row[columnPointer - i] + jumpsUsed * 256);
+      }
+    } else {
+      rowVarCount = row.readUInt16LE(last - maskSize - 1);
+      for (let i = 0; i <= rowVarCount; i++) {
+        varOffsets.push(row.readUInt16LE(last - maskSize - 3 - i * 2));
+      }
+    }
+  }
+
+  const rowFixedCount = rowColumnCount - rowVarCount;
+  let fixedFound = 0;
+  return table.columns.map(column => {
+    const byte = column.number >> 3;
+    const present = column.number < rowColumnCount &&
+      byte < nullMask.length && (nullMask[byte] & (1 << (column.number & 7))) !== 0;
+
+    let bytes = null;
+    if (column.fixedLength && fixedFound < rowFixedCount) {
+      const start = column.fixedOffset + countSize;
+      bytes = row.subarray(start, start + column.length);
+      fixedFound++;
+    } else if (!column.fixedLength && column.varIndex < rowVarCount) {
+      bytes = row.subarray(varOffsets[column.varIndex], varOffsets[column.varIndex + 1]);
+    }
+
+    // Yes/No values live in the null mask itself
+    if (column.type === COLUMN_TYPES.BOOLEAN) {
+      return { column, isNull: false, bytes: null, flag: present };
+    }
+    return { column, isNull: !present || bytes === null, bytes };
+  });
+}
+
+/**
+ * Open an Access database for reading.
+ * @param {string} filePath
+ * @returns {Promise<{ version: string, listTables: Function, exportTable: Function,
+ *   readTable: Function, close: Function }>}
+ */
+async function openAccessDatabase(filePath) {
+  const source = await openPageSource(filePath);
+  const { format } = source;
+  const ctx = {
+    format,
+    jet: format.jet,
+    textDecoder: format.jet === 3 ? codePageDecoder(source.codePage) : null,
+  };
+
+  const definitions = new Map();
+  let catalog = null;
+
+  async function loadDefinition(page) {
+    if (!definitions.has(page)) {
+      const buf = await readTableDefinitionBuffer(source, page);
+      definitions.set(page, { page, ...parseTableDefinition(buf, ctx) });
+    }
+    return definitions.get(page);
+  }
+
+  /**
+   * Resolve the bytes of a row slot, following overflow pointers.
+   * Returns null for deleted rows.
+   */
+  async function resolveRow(page, rowNumber) {
+    const bounds = source.rowBounds(page, rowNumber);
+    if (bounds.deleted) return null;
+    if (!bounds.overflow) return page.subarray(bounds.start, bounds.end);
+    let pointer = page.readUInt32LE(bounds.start);
+    for (let hops = 0; hops < 8; hops++) {
+      const target = await source.readPage(pointer >>> 8);
+      const b = source.rowBounds(target, pointer & 0xff);
+      if (!b.overflow) return target.subarray(b.start, b.end);
+      pointer = target.readUInt32LE(b.start);
+    }
+    throw new Error('Row overflow chain is too long');
+  }
+
+  /**
+   * Decode one split cell to its export value.
+   * Memo text and OLE/binary long values are fetched from their LVAL pages;
+   * binary values are returned as Buffers.
+   */
+  async function cellValue(cell) {
+    const { column } = cell;
+    if (column.type === COLUMN_TYPES.BOOLEAN) return cell.flag;
+    if (cell.isNull) return null;
+    switch (column.type) {
+      case COLUMN_TYPES.MEMO:
+        return decodeText(await source.readLongValue(cell.bytes), ctx).replace(CONTROL_CHARS_RE, '');
+      case COLUMN_TYPES.OLE:
+        return Buffer.from(await source.readLongValue(cell.bytes));
+      case COLUMN_TYPES.BINARY:
+      case COLUMN_TYPES.UNKNOWN_11:
+        return Buffer.from(cell.bytes);
+      case COLUMN_TYPES.COMPLEX:
+        return cell.bytes.length >= 4 ? cell.bytes.readInt32LE(0) : null;
+      default:
+        return decodeValue(cell.bytes, column, ctx);
+    }
+  }
+
+  /**
+   * Iterate the rows of a table definition as { columnName: value } objects.
+   * @param {object} table - parsed table definition
+   * @param {Set<string>} [only] - restrict decoding to these column names
+   */
+  async function* iterateRows(table, only) {
+    const pages = await source.readUsageMap(table.usageMapPointer);
+    for (const pageNumber of pages) {
+      const page = await source.readPage(pageNumber);
+      if (page[0] !== PAGE_TYPES.DATA || page.readUInt32LE(4) !== table.page) continue;
+      const rowCount = page.readUInt16LE(format.dataPage.rowCountOffset);
+      for (let r = 0; r < rowCount; r++) {
+        const bytes = await resolveRow(page, r);
+        if (!bytes || bytes.length === 0) continue;
+        const row = {};
+        for (const cell of splitRow(bytes, table, ctx)) {
+          if (only && !only.has(cell.column.name)) continue;
+          row[cell.column.name] = await cellValue(cell);
+        }
+        yield row;
+      }
+    }
+  }
+
+  /**
+   * Read MSysObjects once: table name → { id, page, properties }.
+   */
+  async function loadCatalog() {
+    if (catalog) return catalog;
+    const msys = await loadDefinition(MSYS_OBJECTS_PAGE);
+    const wanted = new Set(['Id', 'Name', 'Type', 'Flags', 'LvProp']);
+    const tables = new Map();
+    for await (const obj of iterateRows(msys, wanted)) {
+      if ((obj.Type & 0x7fff) !== OBJECT_TYPE_TABLE || !obj.Name) continue;
+      tables.set(obj.Name, {
+        id: obj.Id,
+        name: obj.Name,
+        page: obj.Id & 0xffffff,
+        system: ((obj.Flags >>> 0) & SYSTEM_OBJECT_FLAG) !== 0 || isSystemTableName(obj.Name),
+        lvProp: obj.LvProp || null,
+      });
+    }
+    catalog = tables;
+    return catalog;
+  }
+
+  /**
+   * Map complex (attachment / multi-valued) column names of one table to
+   * their DAO type codes via MSysComplexColumns.
+   */
+  async function loadComplexTypes(tableId) {
+    const cat = await loadCatalog();
+    const complexColumns = cat.get('MSysComplexColumns');
+    if (!complexColumns) return new Map();
+    const typeNames = new Map();
+    for (const entry of cat.values()) {
+      const match = /^MSysComplexType_(.+)$/.exec(entry.name);
+      if (match) typeNames.set(entry.id, match[1]);
+    }
+    const result = new Map();
+    const def = await loadDefinition(complexColumns.page);
+    for await (const row of iterateRows(def)) {
+      if (row.ConceptualTableID !== tableId) continue;
+      const typeName = typeNames.get(row.ComplexTypeObjectID);
+      result.set(row.ColumnName, COMPLEX_TYPES[typeName] || 104);
+    }
+    return result;
+  }
+
+  async function findTable(name) {
+    const cat = await loadCatalog();
+    const entry = cat.get(name) ||
+      [...cat.values()].find(t => t.name.toLowerCase() === String(name).toLowerCase());
+    if (!entry) throw new Error(`Table "${name}" not found`);
+    return entry;
+  }
+
+  /**
+   * List user tables with field and row counts (list_tables.ps1 shape).
+   * @returns {Promise<Array<{ name: string, fieldCount: number, rowCount: number }>>}
+   */
+  async function listTables() {
+    const cat = await loadCatalog();
+    const result = [];
+    for (const entry of cat.values()) {
+      if (entry.system) continue;
+      try {
+        const def = await loadDefinition(entry.page);
+        result.push({ name: entry.name, fieldCount: def.columns.length, rowCount: def.rowCount });
+      } catch {
+        result.push({ name: entry.name, fieldCount: 0, rowCount: -1 });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Export a table's fields, indexes and rows (export_table.ps1 shape).
+   * @param {string} tableName
+   */
+  async function exportTable(tableName) {
+    const entry = await findTable(tableName);
+    const def = await loadDefinition(entry.page);
+    const properties = entry.lvProp ? parseProperties(entry.lvProp, ctx) : { table: {}, columns: {} };
+    const props = properties.columns;
+    const complexTypes = def.columns.some(c => c.type === COLUMN_TYPES.COMPLEX)
+      ? await loadComplexTypes(entry.id)
+      : new Map();
+
+    const fields = [];
+    const skippedColumns = [];
+    const included = new Set();
+
+    // DAO lists fields in ordinal order, which is the column definition order
+    for (const col of def.columns) {
+      const p = props[col.name] || {};
+      let type = col.type === COLUMN_TYPES.COMPLEX
+        ? (complexTypes.get(col.name) || 104)
+        : (STORAGE_TO_DAO[col.type] ?? 17);
+      if (col.calculated) type = DAO_CALCULATED;
+
+      if (SKIP_TYPES.has(type)) {
+        skippedColumns.push({ name: col.name, typeCode: type });
+        continue;
+      }
+
+      const info = {
+        name: col.name,
+        type,
+        size: fieldSize(col, ctx),
+        required: p.Required !== undefined ? Boolean(p.Required) : !col.nullable,
+        allowZeroLength: Boolean(p.AllowZeroLength),
+        isAutoNumber: col.autoLong,
+      };
+      if (p.DefaultValue) info.defaultValue = p.DefaultValue;
+      if (p.ValidationRule) {
+        info.validationRule = p.ValidationRule;
+        info.validationText = p.ValidationText ?? '';
+      }
+      if (type === 20) {
+        info.precision = col.precision || 18;
+        info.scale = col.scale || 0;
+      }
+      if (type === DAO_ATTACHMENT) info.isAttachment = true;
+      if (type === DAO_CALCULATED) {
+        info.isCalculated = true;
+        info.expression = p.Expression ?? null;
+        info.resultType = Number.isInteger(p.ResultType) ? p.ResultType : 10;
+      }
+      fields.push(info);
+      if (type !== DAO_CALCULATED && type !== DAO_ATTACHMENT) included.add(col.name);
+    }
+
+    const rows = [];
+    for await (const row of iterateRows(def, included)) {
+      rows.push(row);
+    }
+
+    return {
+      tableName: entry.name,
+      validationRule: properties.table.ValidationRule ?? '',
+      validationText: properties.table.ValidationText ?? '',
+      fields,
+      indexes: def.indexes
+        .filter(idx => !idx.foreign)
+        .map(({ name, primary, unique, ignoreNulls, fields: idxFields }) => ({ name, primary, unique, ignoreNulls, fields: idxFields })),
+      rows,
+      skippedColumns,
+      rowCount: rows.length,
+      fieldCount: fields.length,
+    };
+  }
+
+  /**
+   * Read every row of a table (including system tables) with raw values.
+   * @param {string} tableName
+   * @returns {Promise<object[]>}
+   */
+  async function readTable(tableName) {
+    const entry = await findTable(tableName);
+    const def = await loadDefinition(entry.page);
+    const rows = [];
+    for await (const row of iterateRows(def)) rows.push(row);
+    return rows;
+  }
+
+  return {
+    version: source.version,
+    listTables,
+    exportTable,
+    readTable,
+    close: () => source.close(),
+  };
+}
+
+/**
+ * DAO Field.Size for a column: characters for Text, 0 for Memo/long values,
+ * otherwise the storage size in bytes.
+ */
+function fieldSize(col, ctx) {
+  switch (col.type) {
+    case COLUMN_TYPES.TEXT: return ctx.jet === 3 ? col.length : col.length / 2;
+    case COLUMN_TYPES.MEMO:
+    case COLUMN_TYPES.OLE:
+      return 0;
+    case COLUMN_TYPES.BOOLEAN: return 1;
+    default: return col.length;
+  }
+}
+
+/**
+ * Run `fn` against an opened database and always close it afterwards.
+ */
+async function withDatabase(filePath, fn) {
+  const db = await openAccessDatabase(filePath);
+  try {
+    return await fn(db);
+  } finally {
+    await db.close();
+  }
+}
+
+/**
+ * List user tables in an Access file (list_tables.ps1 shape).
+ * @param {string} filePath
+ */
+function listTables(filePath) {
+  return withDatabase(filePath, db => db.listTables());
+}
+
+/**
+ * Export one table from an Access file (export_table.ps1 shape).
+ * @param {string} filePath
+ * @param {string} tableName
+ */
+function exportTable(filePath, tableName) {
+  return withDatabase(filePath, db => db.exportTable(tableName));
+}
+
+/**
+ * Group MSysRelationships rows (one per column pair) into relationships in
+ * the list_relationships.ps1 shape. szObject is the foreign ("many") side,
+ * szReferencedObject the primary side; grbit is DAO's Relation.Attributes.
+ * @param {object[]} rows
+ * @returns {Array<{ name, primaryTable, foreignTable, fields: Array<{ primary, foreign }>, attributes }>}
+ */
+function relationshipsFromRows(rows) {
+  const relationships = new Map();
+  for (const row of [...rows].sort((a, b) => (a.icolumn || 0) - (b.icolumn || 0))) {
+    const name = row.szRelationship;
+    if (!name || name.startsWith('MSys')) continue;
+    if (!relationships.has(name)) {
+      relationships.set(name, {
+        name,
+        primaryTable: row.szReferencedObject,
+        foreignTable: row.szObject,
+        fields: [],
+        attributes: (row.grbit || 0) >>> 0,
+      });
+    }
+    relationships.get(name).fields.push({ primary: row.szReferencedColumn, foreign: row.szColumn });
+  }
+  return [...relationships.values()];
+}
+
+/**
+ * List the relationships in an Access file (list_relationships.ps1 shape).
+ * A file without MSysRelationships has none.
+ * @param {string} filePath
+ */
+function listRelationships(filePath) {
+  return withDatabase(filePath, async db => {
+    let rows;
+    try {
+      rows = await db.readTable('MSysRelationships');
+    } catch (err) {
+      if (/not found/.test(err.message)) return [];
+      throw err;
+    }
+    return relationshipsFromRows(rows);
+  });
+}
+
+module.exports = { openAccessDatabase, listTables, exportTable, listRelationships, relationshipsFromRows, splitRow };
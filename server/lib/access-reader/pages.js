@@ -0,0 +1,185 @@
+/**
+ * Page-level access to a Jet/ACE file: page cache, row lookup by
+ * (page, row) pointer, usage maps, and long-value (memo/OLE) chains.
+ */
+
+const fs = require('fs').promises;
+const { PAGE_TYPES, rc4, detectFormat } = require('./format');
+
+// Row offset table flags (data pages)
+const ROW_DELETED = 0x8000;
+const ROW_OVERFLOW = 0x4000;
+const ROW_OFFSET_MASK = 0x1fff;
+
+// Long-value (memo/OLE) header flags in the high byte of the length word
+const LVAL_INLINE = 0x80000000;
+const LVAL_SINGLE_PAGE = 0x40000000;
+const LVAL_LENGTH_MASK = 0x3fffffff;
+const LVAL_HEADER_SIZE = 12;
+
+// Pages kept in memory before the cache is flushed
+const PAGE_CACHE_LIMIT = 512;
+
+/**
+ * Open an Access file for page reads.
+ * @param {string} filePath
+ * @returns {Promise<object>} page source: { format, version, codePage, readPage, readRow, close, ... }
+ */
+async function openPageSource(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const head = Buffer.alloc(4096);
+    const { bytesRead } = await handle.read(head, 0, head.length, 0);
+    const info = detectFormat(head.subarray(0, bytesRead));
+    const { format } = info;
+
+    if (info.encodingKey !== 0 && format.jet === 4 && info.versionCode > 0x01) {
+      throw new Error('Encrypted .accdb files are not supported by the JavaScript reader');
+    }
+
+    const { size } = await handle.stat();
+    const pageCount = Math.floor(size / format.pageSize);
+    const cache = new Map();
+
+    /**
+     * Read one page, decoding it first when the database is RC4-encoded.
+     */
+    async function readPage(pageNumber) {
+      if (pageNumber < 0 || pageNumber >= pageCount) {
+        throw new Error(`Page ${pageNumber} is outside the file (${pageCount} pages)`);
+      }
+      const cached = cache.get(pageNumber);
+      if (cached) return cached;
+
+      let page = Buffer.alloc(format.pageSize);
+      await handle.read(page, 0, format.pageSize, pageNumber * format.pageSize);
+      if (info.encodingKey !== 0 && pageNumber > 0) {
+        const key = Buffer.alloc(4);
+        key.writeUInt32LE((info.encodingKey ^ pageNumber) >>> 0);
+        page = rc4(key, page);
+      }
+
+      if (cache.size >= PAGE_CACHE_LIMIT) cache.clear();
+      cache.set(pageNumber, page);
+      return page;
+    }
+
+    /**
+     * Locate row `rowNumber` on a data page.
+     * @returns {{ start: number, end: number, deleted: boolean, overflow: boolean }}
+     *   end is exclusive
+     */
+    function rowBounds(page, rowNumber) {
+      const countOffset = format.dataPage.rowCountOffset;
+      const rowCount = page.readUInt16LE(countOffset);
+      if (rowNumber >= rowCount) {
+        throw new Error(`Row ${rowNumber} does not exist on page (${rowCount} rows)`);
+      }
+      const raw = page.readUInt16LE(countOffset + 2 + rowNumber * 2);
+      const end = rowNumber === 0
+        ? format.pageSize
+        : page.readUInt16LE(countOffset + rowNumber * 2) & ROW_OFFSET_MASK;
+      return {
+        start: raw & ROW_OFFSET_MASK,
+        end,
+        deleted: (raw & ROW_DELETED) !== 0,
+        overflow: (raw & ROW_OVERFLOW) !== 0,
+      };
+    }
+
+    /**
+     * Read the bytes of a row addressed by a Jet row pointer
+     * (row number in the low byte, page number in the upper three).
+     */
+    async function readRow(pointer) {
+      const page = await readPage(pointer >>> 8);
+      const { start, end } = rowBounds(page, pointer & 0xff);
+      return page.subarray(start, end);
+    }
+
+    /**
+     * Resolve a usage map record to the list of pages it marks as in use.
+     * Type 0 maps carry an inline bitmap; type 1 maps point at bitmap pages.
+     */
+    async function readUsageMap(pointer) {
+      const map = await readRow(pointer);
+      const pages = [];
+      const addBits = (bitmap, firstPage) => {
+        for (let i = 0; i < bitmap.length; i++) {
+          const byte = bitmap[i];
+          if (!byte) continue;
+          for (let bit = 0; bit < 8; bit++) {
+            if (byte & (1 << bit)) pages.push(firstPage + i * 8 + bit);
+          }
+        }
+      };
+
+      if (map[0] === 0x00) {
+        addBits(map.subarray(5), map.readUInt32LE(1));
+      } else if (map[0] === 0x01) {
+        const pagesPerBitmap = (format.pageSize - 4) * 8;
+        for (let i = 0; (1 + i * 4 + 4) <= map.length; i++) {
+          const bitmapPage = map.readUInt32LE(1 + i * 4);
+          if (!bitmapPage) continue;
+          const page = await readPage(bitmapPage);
+          if (page[0] !== PAGE_TYPES.USAGE_BITMAP) {
+            throw new Error(`Usage map points at page ${bitmapPage}, which is not a bitmap page`);
+          }
+          addBits(page.subarray(4), i * pagesPerBitmap);
+        }
+      } else {
+        throw new Error(`Unknown usage map type ${map[0]}`);
+      }
+      return pages.filter(p => p < pageCount);
+    }
+
+    /**
+     * Read a long value (memo/OLE) from its 12-byte in-row header.
+     * Inline values follow the header; otherwise the header points at one
+     * LVAL row, or at a chain of rows each prefixed with the next pointer.
+     */
+    async function readLongValue(field) {
+      if (field.length < LVAL_HEADER_SIZE) return Buffer.alloc(0);
+      const header = field.readUInt32LE(0);
+      const length = header & LVAL_LENGTH_MASK;
+
+      if (header & LVAL_INLINE) {
+        return field.subarray(LVAL_HEADER_SIZE, LVAL_HEADER_SIZE + length);
+      }
+      const pointer = field.readUInt32LE(4);
+      if (header & LVAL_SINGLE_PAGE) {
+        return (await readRow(pointer)).subarray(0, length);
+      }
+
+      const chunks = [];
+      let remaining = length;
+      let next = pointer;
+      const seen = new Set();
+      while (next && remaining > 0 && !seen.has(next)) {
+        seen.add(next);
+        const row = await readRow(next);
+        next = row.readUInt32LE(0);
+        const chunk = row.subarray(4, 4 + remaining);
+        chunks.push(chunk);
+        remaining -= chunk.length;
+      }
+      return Buffer.concat(chunks);
+    }
+
+    return {
+      ...info,
+      pageCount,
+      readPage,
+      rowBounds,
+      readRow,
+      readUsageMap,
+      readLongValue,
+      close: () => handle.close(),
+    };
+  } catch (err) {
+    await handle.close();
+    throw err;
+  }
+}
+
+module.exports = { openPageSource };
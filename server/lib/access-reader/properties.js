@@ -0,0 +1,98 @@
+/**
+ * Parser for the LvProp blob in MSysObjects, which carries the field
+ * properties DAO exposes but the table definition does not (Required,
+ * DefaultValue, ValidationRule, calculated-column Expression, ...).
+ *
+ * Layout (after a 4-byte "MR2\0" / "KKD\0" signature) is a sequence of
+ * chunks: int32 length (including the 6-byte chunk header), int16 type.
+ * Type 0x80 lists property names; types 0x00/0x01 hold the values for the
+ * table itself and for one named column respectively.
+ */
+
+const { COLUMN_TYPES, decodeText } = require('./values');
+
+const SIGNATURES = ['MR2\0', 'KKD\0'];
+const CHUNK_NAME_LIST = 0x80;
+const CHUNK_TABLE_VALUES = 0x00;
+const CHUNK_COLUMN_VALUES = 0x01;
+
+/**
+ * Decode one property value by its Jet storage type.
+ */
+function decodePropertyValue(data, type, ctx) {
+  switch (type) {
+    case COLUMN_TYPES.BOOLEAN: return data.length > 0 && data[0] !== 0;
+    case COLUMN_TYPES.BYTE: return data.length >= 1 ? data.readUInt8(0) : null;
+    case COLUMN_TYPES.INTEGER: return data.length >= 2 ? data.readInt16LE(0) : null;
+    case COLUMN_TYPES.LONG: return data.length >= 4 ? data.readInt32LE(0) : null;
+    case COLUMN_TYPES.DOUBLE: return data.length >= 8 ? data.readDoubleLE(0) : null;
+    case COLUMN_TYPES.TEXT:
+    case COLUMN_TYPES.MEMO:
+      return decodeText(data, ctx);
+    default: return null;
+  }
+}
+
+/**
+ * Parse an LvProp blob.
+ * @param {Buffer} buf
+ * @param {object} ctx - { jet, textDecoder }
+ * @returns {{ table: object, columns: Object<string, object> }} property maps,
+ *   column maps keyed by column name
+ */
+function parseProperties(buf, ctx) {
+  const result = { table: {}, columns: {} };
+  if (!buf || buf.length < 4 || !SIGNATURES.includes(buf.toString('latin1', 0, 4))) {
+    return result;
+  }
+
+  const readName = (pos) => {
+    const len = buf.readUInt16LE(pos);
+    return { name: decodeText(buf.subarray(pos + 2, pos + 2 + len), ctx), next: pos + 2 + len };
+  };
+
+  let names = [];
+  let pos = 4;
+  while (pos + 6 <= buf.length) {
+    const chunkLength = buf.readUInt32LE(pos);
+    const chunkType = buf.readUInt16LE(pos + 4);
+    const end = Math.min(pos + chunkLength, buf.length);
+    if (chunkLength < 6) break;
+    let p = pos + 6;
+
+    if (chunkType === CHUNK_NAME_LIST) {
+      names = [];
+      while (p + 2 <= end) {
+        const { name, next } = readName(p);
+        names.push(name);
+        p = next;
+      }
+    } else if (chunkType === CHUNK_TABLE_VALUES || chunkType === CHUNK_COLUMN_VALUES) {
+      let target = result.table;
+      if (p + 4 <= end) {
+        const nameBlockLength = buf.readUInt32LE(p);
+        if (nameBlockLength > 6 && chunkType === CHUNK_COLUMN_VALUES) {
+          const { name } = readName(p + 4);
+          target = result.columns[name] = result.columns[name] || {};
+        }
+        p += nameBlockLength;
+      }
+      while (p + 8 <= end) {
+        const valueLength = buf.readUInt16LE(p);
+        if (valueLength < 8) break;
+        const type = buf[p + 3];
+        const nameIndex = buf.readUInt16LE(p + 4);
+        const dataSize = buf.readUInt16LE(p + 6);
+        const data = buf.subarray(p + 8, Math.min(p + 8 + dataSize, end));
+        if (names[nameIndex] !== undefined) {
+          target[names[nameIndex]] = decodePropertyValue(data, type, ctx);
+        }
+        p += valueLength;
+      }
+    }
+    pos = end;
+  }
+  return result;
+}
+
+module.exports = { parseProperties };
@@ -0,0 +1,164 @@
+/**
+ * Table definition (TDEF) parsing.
+ *
+ * A table definition can span several pages; continuation pages are
+ * appended without their 8-byte page header. The buffer then holds, in
+ * order: counts, real-index row counts, column definitions, column names,
+ * real-index column lists, logical index entries and logical index names.
+ */
+
+const { PAGE_TYPES } = require('./format');
+const { decodeText } = require('./values');
+
+// Column definition flag bits
+const COLUMN_FLAGS = {
+  FIXED_LENGTH: 0x01,
+  NULLABLE: 0x02,
+  AUTO_LONG: 0x04,
+  AUTO_GUID: 0x40,
+  HYPERLINK: 0x80,
+};
+
+// Extended flag bits (Jet 4+); both set marks an ACE calculated column
+const CALCULATED_EXT_FLAGS = 0xc0;
+
+// Real index flag bits
+const INDEX_UNIQUE = 0x01;
+const INDEX_IGNORE_NULLS = 0x02;
+
+// Logical index types
+const INDEX_TYPE_PRIMARY = 0x01;
+const INDEX_TYPE_FOREIGN = 0x02;
+
+/**
+ * Read and concatenate every page of a table definition.
+ * @param {object} source - page source from openPageSource
+ * @param {number} firstPage
+ * @returns {Promise<Buffer>}
+ */
+async function readTableDefinitionBuffer(source, firstPage) {
+  const parts = [];
+  const seen = new Set();
+  let next = firstPage;
+  while (next && !seen.has(next)) {
+    seen.add(next);
+    const page = await source.readPage(next);
+    if (page[0] !== PAGE_TYPES.TABLE_DEFINITION) {
+      throw new Error(`Page ${next} is not a table definition page`);
+    }
+    parts.push(parts.length === 0 ? page : page.subarray(8));
+    next = page.readUInt32LE(4);
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * Parse a table definition buffer.
+ * @param {Buffer} buf - concatenated TDEF pages
+ * @param {object} ctx - { format, jet, textDecoder }
+ * @returns {{ rowCount: number, usageMapPointer: number, varColumnCount: number,
+ *   columns: object[], indexes: object[] }}
+ */
+function parseTableDefinition(buf, ctx) {
+  const t = ctx.format.tdef;
+  const c = t.column;
+
+  const rowCount = buf.readUInt32LE(t.rowCountOffset);
+  const varColumnCount = buf.readUInt16LE(t.varColumnCountOffset);
+  const columnCount = buf.readUInt16LE(t.columnCountOffset);
+  const logicalIndexCount = buf.readUInt32LE(t.logicalIndexCountOffset);
+  const realIndexCount = buf.readUInt32LE(t.realIndexCountOffset);
+  const usageMapPointer = buf.readUInt32LE(t.usageMapOffset);
+
+  let pos = t.realIndexStartOffset + realIndexCount * t.realIndexEntrySize;
+
+  // Column definitions
+  const columns = [];
+  for (let i = 0; i < columnCount; i++) {
+    const base = pos + i * t.columnEntrySize;
+    const flags = buf[base + c.flags];
+    const extFlags = c.extFlags !== null ? buf[base + c.extFlags] : 0;
+    columns.push({
+      type: buf[base + c.type],
+      number: ctx.jet === 3 ? buf[base + c.number] : buf.readUInt16LE(base + c.number),
+      varIndex: buf.readUInt16LE(base + c.varIndex),
+      fixedOffset: buf.readUInt16LE(base + c.fixedOffset),
+      length: buf.readUInt16LE(base + c.length),
+      precision: buf[base + c.precision],
+      scale: buf[base + c.scale],
+      fixedLength: (flags & COLUMN_FLAGS.FIXED_LENGTH) !== 0,
+      nullable: (flags & COLUMN_FLAGS.NULLABLE) !== 0,
+      autoLong: (flags & COLUMN_FLAGS.AUTO_LONG) !== 0,
+      autoGuid: (flags & COLUMN_FLAGS.AUTO_GUID) !== 0,
+      hyperlink: (flags & COLUMN_FLAGS.HYPERLINK) !== 0,
+      calculated: (extFlags & CALCULATED_EXT_FLAGS) === CALCULATED_EXT_FLAGS,
+      name: null,
+    });
+  }
+  pos += columnCount * t.columnEntrySize;
+
+  // Column names (same order as the definitions)
+  const readName = () => {
+    const len = t.nameLengthSize === 1 ? buf[pos] : buf.readUInt16LE(pos);
+    pos += t.nameLengthSize;
+    const name = decodeText(buf.subarray(pos, pos + len), ctx);
+    pos += len;
+    return name;
+  };
+  for (const col of columns) {
+    col.name = readName();
+  }
+
+  // Real indexes: up to 10 (column number, order) pairs plus flags
+  const realIndexes = [];
+  for (let i = 0; i < realIndexCount; i++) {
+    const base = pos + t.realIndexBlockPrefix;
+    const columnNumbers = [];
+    for (let k = 0; k < 10; k++) {
+      const colNum = buf.readUInt16LE(base + k * 3);
+      if (colNum !== 0xffff) columnNumbers.push(colNum);
+    }
+    realIndexes.push({ columnNumbers, flags: buf[base + 30 + 8] });
+    pos += t.realIndexBlockSize;
+  }
+
+  // Logical indexes: map a named index onto a real index
+  const logical = [];
+  for (let i = 0; i < logicalIndexCount; i++) {
+    const base = pos + t.logicalIndexPrefix;
+    logical.push({
+      number: buf.readUInt32LE(base),
+      realIndex: buf.readUInt32LE(base + 4),
+      relatedTableType: buf[base + 8],
+      relatedIndex: buf.readInt32LE(base + 9),
+      relatedTablePage: buf.readInt32LE(base + 13),
+      cascadeUpdates: buf[base + 17] !== 0,
+      cascadeDeletes: buf[base + 18] !== 0,
+      indexType: buf[base + 19],
+    });
+    pos += t.logicalIndexSize;
+  }
+  for (const idx of logical) {
+    idx.name = readName();
+  }
+
+  const byNumber = new Map(columns.map(col => [col.number, col]));
+  const indexes = logical.map(idx => {
+    const real = realIndexes[idx.realIndex] || { columnNumbers: [], flags: 0 };
+    return {
+      name: idx.name,
+      primary: idx.indexType === INDEX_TYPE_PRIMARY,
+      foreign: idx.indexType === INDEX_TYPE_FOREIGN,
+      unique: idx.indexType === INDEX_TYPE_PRIMARY || (real.flags & INDEX_UNIQUE) !== 0,
+      ignoreNulls: (real.flags & INDEX_IGNORE_NULLS) !== 0,
+      fields: real.columnNumbers.map(n => byNumber.get(n)?.name).filter(Boolean),
+    };
+  });
+
+  // Row data is laid out in column-number order
+  columns.sort((a, b) => a.number - b.number);
+
+  return { rowCount, usageMapPointer, varColumnCount, columns, indexes };
+}
+
+module.exports = { COLUMN_FLAGS, readTableDefinitionBuffer, parseTableDefinition };
@@ -0,0 +1,212 @@
+/**
+ * Column value decoding for Jet/ACE rows.
+ *
+ * Values are returned in the same form export_table.ps1 serializes them:
+ * booleans as true/false, dates as naive ISO strings with 7 fractional
+ * digits, and BigInt/Decimal/Currency/GUID as strings so no precision is
+ * lost on the way through JSON.
+ */
+
+// Jet storage type codes (column definition byte 0) — not the DAO codes
+const COLUMN_TYPES = {
+  BOOLEAN: 0x01,
+  BYTE: 0x02,
+  INTEGER: 0x03,
+  LONG: 0x04,
+  CURRENCY: 0x05,
+  SINGLE: 0x06,
+  DOUBLE: 0x07,
+  DATETIME: 0x08,
+  BINARY: 0x09,
+  TEXT: 0x0a,
+  OLE: 0x0b,
+  MEMO: 0x0c,
+  GUID: 0x0f,
+  NUMERIC: 0x10,
+  UNKNOWN_11: 0x11,
+  COMPLEX: 0x12,
+  BIGINT: 0x13,
+  DATETIME_EXT: 0x14,
+};
+
+// Day 0 of the Access date serial (1899-12-30), in Unix ms
+const ACCESS_EPOCH_MS = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 86400000;
+
+// Windows code pages that WHATWG TextDecoder knows under a different label
+const CODE_PAGE_LABELS = {
+  874: 'windows-874', 932: 'shift_jis', 936: 'gbk', 949: 'euc-kr', 950: 'big5',
+};
+
+/**
+ * Build a text decoder for a Jet 3 code page (Jet 4+ text is always UCS-2).
+ * Falls back to Windows-1252 when the runtime has no decoder for the page.
+ */
+function codePageDecoder(codePage) {
+  const label = CODE_PAGE_LABELS[codePage] ||
+    (codePage >= 1250 && codePage <= 1258 ? `windows-${codePage}` : 'windows-1252');
+  try {
+    return new TextDecoder(label);
+  } catch {
+    return new TextDecoder('windows-1252');
+  }
+}
+
+/**
+ * Decode Jet 4 text. Strings that begin with 0xFF 0xFE use "Unicode
+ * compression": one byte per character, with a 0x00 byte toggling between
+ * compressed and plain UCS-2 runs.
+ */
+function decodeUcs2Text(buf) {
+  if (buf.length < 2 || buf[0] !== 0xff || buf[1] !== 0xfe) {
+    return buf.toString('utf16le', 0, buf.length - (buf.length % 2));
+  }
+  const out = Buffer.alloc((buf.length - 2) * 2);
+  let len = 0;
+  let compressed = true;
+  let i = 2;
+  while (i < buf.length) {
+    if (buf[i] === 0) {
+      compressed = !compressed;
+      i++;
+    } else if (compressed) {
+      out[len++] = buf[i++];
+      out[len++] = 0;
+    } else if (i + 1 < buf.length) {
+      out[len++] = buf[i++];
+      out[len++] = buf[i++];
+    } else {
+      break;
+    }
+  }
+  return out.toString('utf16le', 0, len);
+}
+
+/**
+ * Decode text in the database's encoding.
+ * @param {Buffer} buf
+ * @param {{ jet: number, textDecoder?: TextDecoder }} ctx
+ */
+function decodeText(buf, ctx) {
+  if (ctx.jet === 3) return (ctx.textDecoder || codePageDecoder(1252)).decode(buf);
+  return decodeUcs2Text(buf);
+}
+
+function pad(n, width) {
+  return String(n).padStart(width, '0');
+}
+
+/**
+ * Convert an Access date serial (days since 1899-12-30, time as the
+ * fraction) to "yyyy-MM-ddTHH:mm:ss.fffffff" — the format export_table.ps1
+ * writes. Negative serials keep a positive time fraction, as in Access.
+ */
+function formatAccessDate(serial) {
+  if (!Number.isFinite(serial)) return null;
+  const days = Math.trunc(serial);
+  const ms = Math.round(Math.abs(serial - days) * MS_PER_DAY);
+  const d = new Date(ACCESS_EPOCH_MS + days * MS_PER_DAY + ms);
+  if (isNaN(d.getTime())) return null;
+  return `${pad(d.getUTCFullYear(), 4)}-${pad(d.getUTCMonth() + 1, 2)}-${pad(d.getUTCDate(), 2)}` +
+    `T${pad(d.getUTCHours(), 2)}:${pad(d.getUTCMinutes(), 2)}:${pad(d.getUTCSeconds(), 2)}` +
+    `.${pad(d.getUTCMilliseconds() * 10000, 7)}`;
+}
+
+/**
+ * Decode a Date/Time Extended value (ACE 16+): 42 ASCII bytes holding
+ * 19 digits of days since 0001-01-01, a colon, 12 digits of seconds and
+ * 7 digits of 100ns ticks.
+ */
+function formatExtendedDate(buf) {
+  const text = buf.toString('latin1');
+  const days = parseInt(text.substring(0, 19), 10);
+  const seconds = parseInt(text.substring(20, 32), 10);
+  const ticks = text.substring(32, 39);
+  if (!Number.isFinite(days) || !Number.isFinite(seconds)) return null;
+  const d = new Date(Date.UTC(2000, 0, 1));
+  d.setUTCFullYear(1, 0, 1);
+  d.setTime(d.getTime() + days * MS_PER_DAY + seconds * 1000);
+  return `${pad(d.getUTCFullYear(), 4)}-${pad(d.getUTCMonth() + 1, 2)}-${pad(d.getUTCDate(), 2)}` +
+    `T${pad(d.getUTCHours(), 2)}:${pad(d.getUTCMinutes(), 2)}:${pad(d.getUTCSeconds(), 2)}` +
+    `.${/^\d{7}$/.test(ticks) ? ticks : '0000000'}`;
+}
+
+/**
+ * Render a scaled integer as a decimal string (e.g. 123456n, 4 → "12.3456").
+ */
+function scaledToString(value, scale) {
+  const negative = value < 0n;
+  let digits = (negative ? -value : value).toString();
+  if (scale > 0) {
+    digits = digits.padStart(scale + 1, '0');
+    digits = `${digits.slice(0, -scale)}.${digits.slice(-scale)}`;
+  }
+  return (negative ? '-' : '') + digits;
+}
+
+/**
+ * Decode a Decimal (NUMERIC) value: a sign byte followed by a 128-bit
+ * integer stored as four little-endian 32-bit words, most significant first.
+ */
+function decodeNumeric(buf, scale) {
+  let value = 0n;
+  for (let word = 0; word < 4; word++) {
+    value = (value << 32n) | BigInt(buf.readUInt32LE(1 + word * 4));
+  }
+  if (buf[0] & 0x80) value = -value;
+  return scaledToString(value, scale || 0);
+}
+
+/**
+ * Format a 16-byte GUID the way DAO's Value.ToString() does: "{XXXXXXXX-...}".
+ */
+function formatGuid(buf) {
+  const hex = (start, end, reverse) => {
+    const bytes = Array.from(buf.subarray(start, end));
+    if (reverse) bytes.reverse();
+    return bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+  };
+  return `{${hex(0, 4, true)}-${hex(4, 6, true)}-${hex(6, 8, true)}-${hex(8, 10)}-${hex(10, 16)}}`.toUpperCase();
+}
+
+// Control characters export_table.ps1 strips from Text/Memo values (keeps tab, LF, CR)
+const CONTROL_CHARS_RE = /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g;
+
+/**
+ * Decode a fixed-length or inline variable-length value.
+ * Memo/OLE values are long-value references and are resolved by the caller.
+ * @param {Buffer} buf - raw bytes for this column in the row
+ * @param {object} column - parsed column definition
+ * @param {object} ctx - { jet, textDecoder }
+ */
+function decodeValue(buf, column, ctx) {
+  switch (column.type) {
+    case COLUMN_TYPES.BYTE: return buf.readUInt8(0);
+    case COLUMN_TYPES.INTEGER: return buf.readInt16LE(0);
+    case COLUMN_TYPES.LONG: return buf.readInt32LE(0);
+    case COLUMN_TYPES.SINGLE: return buf.readFloatLE(0);
+    case COLUMN_TYPES.DOUBLE: return buf.readDoubleLE(0);
+    case COLUMN_TYPES.CURRENCY: return scaledToString(buf.readBigInt64LE(0), 4);
+    case COLUMN_TYPES.BIGINT: return buf.readBigInt64LE(0).toString();
+    case COLUMN_TYPES.DATETIME: return formatAccessDate(buf.readDoubleLE(0));
+    case COLUMN_TYPES.DATETIME_EXT: return formatExtendedDate(buf);
+    case COLUMN_TYPES.GUID: return formatGuid(buf);
+    case COLUMN_TYPES.NUMERIC: return decodeNumeric(buf, column.scale);
+    case COLUMN_TYPES.TEXT: return decodeText(buf, ctx).replace(CONTROL_CHARS_RE, '');
+    default: return null;
+  }
+}
+
+module.exports = {
+  COLUMN_TYPES,
+  CONTROL_CHARS_RE,
+  codePageDecoder,
+  decodeUcs2Text,
+  decodeText,
+  decodeValue,
+  formatAccessDate,
+  formatExtendedDate,
+  decodeNumeric,
+  formatGuid,
+  scaledToString,
+};
@@ -91,4 +91,12 @@ function quoteIdent(name) {
   return '"' + name.replace(/"/g, '""') + '"';
 }
 
-module.exports = { resolveType, mapAccessType, quoteIdent };
+/**
+ * Quote a SQL string literal, for statements that can't take parameters
+ * (COMMENT ON, or DDL kept as text in a migration).
+ */
+function quoteLiteral(value) {
+  return "'" + String(value).replace(/'/g, "''") + "'";
+}
+
+module.exports = { resolveType, mapAccessType, quoteIdent, quoteLiteral };
@@ -0,0 +1,436 @@
+/**
+ * Authentication and per-database roles.
+ *
+ * Passwords are stored as scrypt hashes. A session is an HMAC-signed token
+ * carried in an HttpOnly cookie (or an Authorization: Bearer header, for
+ * scripts). OpenID Connect sign-in uses the authorization code flow with
+ * PKCE and verifies the ID token against the provider's published keys.
+ *
+ * Roles are granted per database in shared.database_roles; users with
+ * is_admin are admin of every database. ROUTE_ROLES says which role each
+ * API request needs.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Lowest to highest; each role can do everything the ones before it can
+const ROLES = ['read-only', 'data-entry', 'designer', 'admin'];
+
+const SESSION_COOKIE = 'accessclone_session';
+const OIDC_COOKIE = 'accessclone_oidc';
+
+function authError(message, status = 401) {
+  const err = new Error(message);
+  err.code = 'EAUTH';
+  err.status = status;
+  return err;
+}
+
+// ============================================================
+// Passwords
+// ============================================================
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+
+/** Hash a password as scrypt$N$r$p$salt$hash (base64 salt and hash). */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(String(password), salt, SCRYPT_KEYLEN, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/** Check a password against a hash from hashPassword. False for no hash. */
+async function verifyPassword(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+  const [, N, r, p, salt, expected] = parts;
+  const expectedBuf = Buffer.from(expected, 'base64');
+  const hash = await scrypt(String(password), Buffer.from(salt, 'base64'), expectedBuf.length,
+    { N: Number(N), r: Number(r), p: Number(p) });
+  return crypto.timingSafeEqual(hash, expectedBuf);
+}
+
+// ============================================================
+// Signed tokens
+// ============================================================
+
+function base64url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+function hmac(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Sign a payload as payload.signature (both base64url). `exp` (seconds since
+ * the epoch) is checked by verifyToken.
+ */
+function signToken(payload, secret) {
+  const body = base64url(JSON.stringify(payload));
+  return `${body}.${hmac(body, secret)}`;
+}
+
+/** Payload of a token from signToken, or null if tampered with or expired. */
+function verifyToken(token, secret, now = Date.now()) {
+  const [body, signature, extra] = String(token || '').split('.');
+  if (!body || !signature || extra !== undefined) return null;
+  const expected = Buffer.from(hmac(body, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (typeof payload.exp === 'number' && payload.exp * 1000 <= now) return null;
+  return payload;
+}
+
+/**
+ * Session token for a user, valid for auth.sessionHours or until the user's
+ * session_version moves past `version` (endSessions).
+ */
+function createSessionToken(userId, version, auth, now = Date.now()) {
+  const exp = Math.floor(now / 1000) + Math.round((auth.sessionHours || 12) * 3600);
+  return { token: signToken({ sub: userId, ver: version || 0, exp }, auth.sessionSecret), expiresAt: new Date(exp * 1000) };
+}
+
+/**
+ * End every session a user has, on every device, by bumping their
+ * session_version. Tokens are stateless, so this is how signing out, a new
+ * password or disabling the account takes effect before tokens expire.
+ * @returns {Promise<number|null>} the new version, null for an unknown user
+ */
+async function endSessions(pool, userId) {
+  const result = await pool.query(
+    'UPDATE shared.users SET session_version = session_version + 1 WHERE user_id = $1 RETURNING session_version',
+    [userId]
+  );
+  return result.rows[0] ? result.rows[0].session_version : null;
+}
+
+// ============================================================
+// Cookies
+// ============================================================
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq < 0) continue;
+    const name = part.slice(0, eq).trim();
+    if (!name || name in cookies) continue;
+    try {
+      cookies[name] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch {
+      cookies[name] = part.slice(eq + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+/** Set-Cookie value for an HttpOnly, SameSite=Lax cookie. maxAge 0 clears it. */
+function cookie(name, value, { maxAge, path = '/', secure = false } = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`, `Path=${path}`, 'HttpOnly', 'SameSite=Lax'];
+  if (maxAge !== undefined) parts.push(`Max-Age=${Math.max(0, Math.floor(maxAge))}`);
+  if (secure) parts.push('Secure');
+  return parts.join('; ');
+}
+
+// ============================================================
+// Roles
+// ============================================================
+
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(role);
+}
+
+/**
+ * A user's role on a database: admin for global admins, else the granted
+ * role. With no database, the highest role the user holds on any database.
+ * Null when the user has no access.
+ */
+async function roleFor(pool, user, databaseId) {
+  if (!user) return null;
+  if (user.isAdmin) return 'admin';
+  if (databaseId) {
+    const result = await pool.query(
+      'SELECT role FROM shared.database_roles WHERE database_id = $1 AND user_id = $2',
+      [databaseId, user.id]
+    );
+    return result.rows[0]?.role || null;
+  }
+  const result = await pool.query('SELECT role FROM shared.database_roles WHERE user_id = $1', [user.id]);
+  return result.rows
+    .map(r => r.role)
+    .reduce((best, role) => (!best || hasRole(role, best) ? role : best), null);
+}
+
+/**
+ * Minimum role for an API request, by method and path under /api. The first
+ * matching rule wins; `role: null` means the route checks access itself, and
+ * 'system' needs a global admin. Anything unlisted needs read-only to read
+ * and data-entry to write, so each write a read-only user may make is listed.
+ */
+const WRITE = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const ROUTE_ROLES = [
+  { path: /^\/(auth|whoami)(\/|$)/, role: null },
+  { methods: ['POST'], path: /^\/databases\/?$/, role: 'system' },
+  // Lifecycle: copying, restoring or deleting a database is server-wide;
+  // renaming, archiving and backing one up is for its administrators
+  { methods: ['POST'], path: /^\/databases\/(restore|[^/]+\/clone)$/, role: 'system' },
+  { methods: ['DELETE'], path: /^\/databases\/[^/]+$/, role: 'system' },
+  { methods: ['PATCH'], path: /^\/databases\/[^/]+$/, role: 'admin' },
+  { methods: ['POST'], path: /^\/databases\/[^/]+\/(archive|unarchive)$/, role: 'admin' },
+  { methods: ['GET'], path: /^\/databases\/[^/]+\/backup$/, role: 'admin' },
+  { path: /^\/databases(\/|$)/, role: null },
+  { methods: ['PUT'], path: /^\/config(\/|$)/, role: 'system' },
+  // Asked before a database is chosen: app settings and the user's own UI state
+  { methods: ['GET'], path: /^\/config\/?$/, role: null },
+  { path: /^\/session\/ui-state$/, role: null },
+  { path: /^\/database-import(\/|$)/, role: 'designer' },
+  // Data: reading and exporting, then record writes
+  { methods: ['GET'], path: /^\/data\//, role: 'read-only' },
+  { path: /^\/data\//, role: 'data-entry' },
+  // Metadata: ad-hoc SELECTs, action queries and imports into existing tables
+  { methods: ['POST'], path: /^\/queries\/run$/, role: 'read-only' },
+  { methods: ['POST'], path: /^\/queries\/execute$/, role: 'data-entry' },
+  { methods: ['POST'], path: /^\/tables\/[^/]+\/import(\/preview)?$/, role: 'data-entry' },
+  // Record-level security decides what everyone else can see
+  { path: /^\/row-policies(\/|$)/, role: 'admin' },
+  // Writes that come with using a database: a user's own layout of a form or
+  // report, and the control values an open form's queries read
+  { methods: ['DELETE'], path: /^\/(forms|reports)\/[^/]+\/personalization$/, role: 'read-only' },
+  { methods: ['PUT', 'DELETE'], path: /^\/form-state\/?$/, role: 'read-only' },
+  // Table DDL (and rolling back or replaying it), saving objects, and the
+  // design tools that check or change them
+  { methods: WRITE, path: /^\/(tables|migrations|forms|reports|modules|macros|form-gen|pipeline|graph|design-check|lint|evaluations|issues|import-issues|andon|app)(\/|$)/, role: 'designer' },
+  { methods: WRITE, path: /^\/chat\/(translate|extract-intents|resolve-gap|auto-resolve-gaps)$/, role: 'designer' },
+  { methods: WRITE, path: /^\/session\/import-state$/, role: 'designer' }
+];
+
+function requiredRole(method, path) {
+  const rule = ROUTE_ROLES.find(r => (!r.methods || r.methods.includes(method)) && r.path.test(path));
+  if (rule) return rule.role;
+  return WRITE.includes(method) ? 'data-entry' : 'read-only';
+}
+
+/**
+ * The database a request acts on. Import routes name their target in the
+ * body or query, lifecycle routes in the path (/databases/:id/...);
+ * everything else uses the database the schema middleware resolved
+ * (X-Database-ID).
+ */
+function requestDatabaseId(req) {
+  if (/^\/database-import(\/|$)/.test(req.path)) {
+    return req.body?.targetDatabaseId || req.query.targetDatabaseId || req.query.database_id ||
+      req.headers['x-database-id'] || null;
+  }
+  const lifecycle = req.path.match(/^\/databases\/([^/]+)/);
+  if (lifecycle && !['switch', 'restore'].includes(lifecycle[1])) {
+    return decodeURIComponent(lifecycle[1]);
+  }
+  return req.databaseId || req.query.database_id || req.headers['x-database-id'] || null;
+}
+
+// ============================================================
+// Middleware
+// ============================================================
+
+/** Session token from the cookie or an Authorization: Bearer header. */
+function sessionToken(req) {
+  const header = req.headers.authorization || '';
+  if (/^Bearer /i.test(header)) return header.slice(7).trim();
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+/** The signed-in user for a request, or null (also once endSessions has run). */
+async function loadSessionUser(pool, auth, req) {
+  const payload = verifyToken(sessionToken(req), auth.sessionSecret);
+  if (!payload?.sub) return null;
+  const result = await pool.query(
+    'SELECT user_id, display_name, email, is_admin, disabled, session_version FROM shared.users WHERE user_id = $1',
+    [payload.sub]
+  );
+  const row = result.rows[0];
+  if (!row || row.disabled || (payload.ver || 0) !== (row.session_version || 0)) return null;
+  return { id: row.user_id, displayName: row.display_name || row.user_id, email: row.email, isAdmin: row.is_admin };
+}
+
+// Reachable without a session
+const PUBLIC_PATHS = /^\/auth\/(providers|login|logout|oidc\/login|oidc\/callback)$/;
+
+/**
+ * Middleware for /api: sets req.user from the session and answers 401 when
+ * there is none. Does nothing when authentication is off.
+ */
+function authenticate(pool, auth) {
+  return async (req, res, next) => {
+    if (!auth.enabled) return next();
+    try {
+      req.user = await loadSessionUser(pool, auth, req);
+    } catch (err) {
+      console.error('Error loading session:', err.message);
+      return res.status(500).json({ error: 'Failed to check session' });
+    }
+    if (!req.user && !PUBLIC_PATHS.test(req.path)) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware for /api, after the schema middleware: answers 403 unless the
+ * user's role on the request's database meets requiredRole. Sets req.role.
+ */
+function authorize(pool, auth) {
+  return async (req, res, next) => {
+    if (!auth.enabled) return next();
+    const required = requiredRole(req.method, req.path);
+    if (required === null) return next();
+    if (required === 'system') {
+      if (req.user?.isAdmin) return next();
+      return res.status(403).json({ error: 'Requires an administrator' });
+    }
+    const databaseId = requestDatabaseId(req);
+    try {
+      req.role = await roleFor(pool, req.user, databaseId);
+    } catch (err) {
+      console.error('Error checking role:', err.message);
+      return res.status(500).json({ error: 'Failed to check permissions' });
+    }
+    if (!hasRole(req.role, required)) {
+      return res.status(403).json({
+        error: databaseId
+          ? `Requires the ${required} role on database "${databaseId}"`
+          : `Requires the ${required} role`,
+        requiredRole: required,
+        role: req.role
+      });
+    }
+    next();
+  };
+}
+
+// ============================================================
+// OpenID Connect
+// ============================================================
+
+/** The provider's discovery document. */
+async function discoverOidc(issuer, fetchImpl = fetch) {
+  const res = await fetchImpl(`${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`);
+  if (!res.ok) throw authError(`OIDC discovery failed (${res.status})`, 502);
+  return res.json();
+}
+
+/** PKCE verifier and its S256 challenge. */
+function pkcePair() {
+  const verifier = base64url(crypto.randomBytes(32));
+  return { verifier, challenge: base64url(crypto.createHash('sha256').update(verifier).digest()) };
+}
+
+const JWT_ALGORITHMS = {
+  RS256: { hash: 'sha256', kty: 'RSA' },
+  RS384: { hash: 'sha384', kty: 'RSA' },
+  RS512: { hash: 'sha512', kty: 'RSA' },
+  ES256: { hash: 'sha256', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', kty: 'EC', dsaEncoding: 'ieee-p1363' }
+};
+
+/**
+ * Verify an ID token's signature against a JWKS and check its issuer,
+ * audience, expiry and nonce. Returns the claims; throws EAUTH.
+ */
+function verifyIdToken(idToken, jwks, { issuer, audience, nonce, now = Date.now() }) {
+  const [h, p, s] = String(idToken || '').split('.');
+  if (!h || !p || !s) throw authError('Malformed ID token');
+  let header, claims;
+  try {
+    header = JSON.parse(Buffer.from(h, 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(p, 'base64url').toString('utf8'));
+  } catch {
+    throw authError('Malformed ID token');
+  }
+  const alg = JWT_ALGORITHMS[header.alg];
+  if (!alg) throw authError(`Unsupported ID token algorithm ${header.alg}`);
+  const jwk = (jwks.keys || []).find(k => k.kty === alg.kty && (!header.kid || k.kid === header.kid));
+  if (!jwk) throw authError('No matching signing key for ID token');
+  const key = { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) };
+  if (alg.dsaEncoding) key.dsaEncoding = alg.dsaEncoding;
+  if (!crypto.verify(alg.hash, Buffer.from(`${h}.${p}`), key, Buffer.from(s, 'base64url'))) {
+    throw authError('Invalid ID token signature');
+  }
+
+  const skew = 60;
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (claims.iss !== issuer) throw authError('ID token issuer mismatch');
+  if (!audiences.includes(audience)) throw authError('ID token audience mismatch');
+  if (typeof claims.exp !== 'number' || claims.exp + skew <= now / 1000) throw authError('ID token expired');
+  if (nonce !== undefined && claims.nonce !== nonce) throw authError('ID token nonce mismatch');
+  return claims;
+}
+
+// ============================================================
+// Bootstrap
+// ============================================================
+
+/**
+ * Create the first administrator from auth.adminUser / auth.adminPassword
+ * when authentication is on and no administrator exists yet. Called at startup.
+ * @returns {Promise<boolean>} whether a user was created
+ */
+async function ensureAdminUser(pool, auth) {
+  if (!auth.enabled) return false;
+  const existing = await pool.query('SELECT 1 FROM shared.users WHERE is_admin = true AND NOT disabled LIMIT 1');
+  if (existing.rows.length > 0) return false;
+  if (!auth.adminPassword) {
+    console.warn('Authentication is on but there is no administrator: set ACCESSCLONE_ADMIN_PASSWORD to create one');
+    return false;
+  }
+  await pool.query(
+    `INSERT INTO shared.users (user_id, display_name, password_hash, is_admin)
+     VALUES ($1, $1, $2, true)
+     ON CONFLICT (user_id) DO UPDATE SET password_hash = EXCLUDED.password_hash, is_admin = true, disabled = false`,
+    [auth.adminUser || 'admin', await hashPassword(auth.adminPassword)]
+  );
+  console.log(`Created administrator "${auth.adminUser || 'admin'}"`);
+  return true;
+}
+
+/** Only same-site paths are allowed as post-login redirects. */
+function safeReturnPath(path) {
+  return typeof path === 'string' && /^\/(?![/\\])/.test(path) ? path : '/';
+}
+
+module.exports = {
+  ROLES,
+  SESSION_COOKIE,
+  OIDC_COOKIE,
+  authError,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  createSessionToken,
+  endSessions,
+  parseCookies,
+  cookie,
+  hasRole,
+  roleFor,
+  requiredRole,
+  authenticate,
+  authorize,
+  discoverOidc,
+  pkcePair,
+  verifyIdToken,
+  ensureAdminUser,
+  safeReturnPath
+};
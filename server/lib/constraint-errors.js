@@ -0,0 +1,85 @@
+/**
+ * Constraint violations from record writes, in Access's words.
+ *
+ * A write through /api/data that breaks a NOT NULL, foreign key, unique or
+ * check constraint fails in PostgreSQL with SQLSTATE 23502, 23503, 23505 or
+ * 23514. describeConstraintError turns one into the message Access shows for
+ * the same mistake, with the field and value, so the form can point at the
+ * control bound to that field. A check constraint carrying a validation
+ * rule's message (lib/validation-rules.js) answers with that message.
+ */
+
+const { describeCheckViolation } = require('./validation-rules');
+
+const DUPLICATE_MESSAGE =
+  'The changes you requested to the table were not successful because they would create duplicate values ' +
+  'in the index, primary key, or relationship. Change the data in the field or fields that contain duplicate ' +
+  'data, remove the index, or redefine the index to permit duplicate entries and try again.';
+
+/**
+ * Parse the "Key (a, b)=(1, 2) ..." detail of a unique or foreign key error.
+ * @returns {{ columns: string[], values: string[], table: string|null, referenced: boolean }|null}
+ *   table is the other table named in the detail; referenced is true when
+ *   rows there still point at the key (a delete or key change)
+ */
+function parseKeyDetail(detail) {
+  const match = /^Key \((.+?)\)=\((.*)\) (?:already exists|is not present in table "(.+)"|is still referenced from table "(.+)")\.$/
+    .exec(detail || '');
+  if (!match) return null;
+  const columns = match[1].split(', ').map(c => c.replace(/^"(.*)"$/, '$1').replace(/""/g, '"'));
+  // Values are only split when the count matches (a value may contain ", ")
+  const split = match[2].split(', ');
+  const values = columns.length === 1 ? [match[2]] : (split.length === columns.length ? split : []);
+  return { columns, values, table: match[3] || match[4] || null, referenced: !!match[4] };
+}
+
+/**
+ * The response for a write that broke a constraint.
+ * @param {Object} queryable - pool or client, to read check constraint messages
+ * @param {Error} err - pg error (code, table, column, constraint, detail)
+ * @param {Object} [values] - the column values the request wrote
+ * @returns {Promise<{ status: number, error: string, code: string, table: string|null,
+ *   field: string|null, value: *, constraint: string|null }|null>} null for other errors
+ */
+async function describeConstraintError(queryable, err, values = {}) {
+  const base = { code: err.code, table: err.table || null, constraint: err.constraint || null };
+  const valueOf = (field, fallback = null) =>
+    (field && Object.prototype.hasOwnProperty.call(values, field) ? values[field] : fallback);
+
+  switch (err.code) {
+    case '23502': {
+      const field = err.column || null;
+      return {
+        status: 400, ...base, field, value: null,
+        error: `The field '${err.table}.${field}' cannot contain a Null value because the Required property ` +
+          'for this field is set to True. Enter a value in this field.'
+      };
+    }
+    case '23503': {
+      const key = parseKeyDetail(err.detail);
+      const field = key && key.columns.length === 1 ? key.columns[0] : null;
+      const error = key && key.referenced
+        ? `The record cannot be deleted or changed because table '${key.table}' includes related records.`
+        : `You cannot add or change a record because a related record is required in table '${key ? key.table : 'unknown'}'.`;
+      return { status: 409, ...base, field, value: valueOf(field, key && key.values[0]), error };
+    }
+    case '23505': {
+      const key = parseKeyDetail(err.detail);
+      const field = key && key.columns.length === 1 ? key.columns[0] : null;
+      return { status: 409, ...base, field, value: valueOf(field, key && key.values[0]), error: DUPLICATE_MESSAGE };
+    }
+    case '23514': {
+      const rule = await describeCheckViolation(queryable, err).catch(() => null);
+      if (rule) return { status: 400, ...base, field: rule.field, value: valueOf(rule.field), error: rule.error };
+      return {
+        status: 400, ...base, field: null, value: null,
+        error: `One or more values are prohibited by the validation rule '${err.constraint}' set for '${err.table}'. ` +
+          'Enter a value that the expression for this field can accept.'
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+module.exports = { parseKeyDetail, describeConstraintError };
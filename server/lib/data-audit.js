@@ -0,0 +1,92 @@
+/**
+ * Data audit trail: opt-in, trigger-based change history per table.
+ *
+ * Auditing a table puts an ac_audit trigger on it that runs
+ * shared.audit_row_change() (graph/schema.js) after every INSERT, UPDATE and
+ * DELETE. Each change lands in shared.data_audit with the row before and
+ * after, the row's primary key, and the user (shared.current_app_user()) and
+ * app.session_id that lib/schema-scope.js binds to the request's connection — so writes from
+ * forms, action queries, imports and batch saves are all captured the same
+ * way, and nothing in the write paths has to remember to log.
+ *
+ * record_key holds each key column's value as text ({"id": "7"}), matching
+ * what a URL segment gives us however the column is typed.
+ */
+
+const AUDIT_TRIGGER = 'ac_audit';
+
+function quoteIdent(name) {
+  return '"' + name.replace(/"/g, '""') + '"';
+}
+
+function quoteLiteral(value) {
+  return "'" + String(value).replace(/'/g, "''") + "'";
+}
+
+/**
+ * CREATE TRIGGER for an audited table. The trigger arguments carry the
+ * database id and the key columns, so one function serves every table.
+ */
+function auditTriggerSql(schemaName, tableName, databaseId, keyColumns) {
+  const args = [databaseId, ...keyColumns].map(quoteLiteral).join(', ');
+  return `CREATE TRIGGER ${AUDIT_TRIGGER}` +
+    ` AFTER INSERT OR UPDATE OR DELETE ON ${quoteIdent(schemaName)}.${quoteIdent(tableName)}` +
+    ` FOR EACH ROW EXECUTE PROCEDURE shared.audit_row_change(${args})`;
+}
+
+/**
+ * Start (or restart, picking up a changed primary key) auditing a table.
+ * @param {Object} client - pg client, ideally inside a transaction
+ * @param {string[]} keyColumns - the table's primary key, in key order
+ */
+async function enableAudit(client, schemaName, databaseId, tableName, keyColumns) {
+  await client.query(`DROP TRIGGER IF EXISTS ${AUDIT_TRIGGER} ON ${quoteIdent(schemaName)}.${quoteIdent(tableName)}`);
+  await client.query(auditTriggerSql(schemaName, tableName, databaseId, keyColumns));
+}
+
+/** Stop auditing a table. Its recorded history is kept. */
+async function disableAudit(client, schemaName, tableName) {
+  await client.query(`DROP TRIGGER IF EXISTS ${AUDIT_TRIGGER} ON ${quoteIdent(schemaName)}.${quoteIdent(tableName)}`);
+}
+
+/** Whether a table currently has the audit trigger. */
+async function isAudited(pool, schemaName, tableName) {
+  const result = await pool.query(
+    `SELECT 1 FROM pg_trigger t
+     JOIN pg_class c ON c.oid = t.tgrelid
+     JOIN pg_namespace n ON n.oid = c.relnamespace
+     WHERE n.nspname = $1 AND c.relname = $2 AND t.tgname = $3`,
+    [schemaName, tableName, AUDIT_TRIGGER]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * The record_key a row's history is filed under.
+ * @param {string[]} keyColumns
+ * @param {Array} keyValues - one per key column
+ */
+function recordKey(keyColumns, keyValues) {
+  return Object.fromEntries(keyColumns.map((c, i) => [c, keyValues[i] == null ? null : String(keyValues[i])]));
+}
+
+/** Columns an UPDATE changed, by comparing the row before and after. */
+function changedColumns(oldRow, newRow) {
+  if (!oldRow || !newRow) return [];
+  const columns = new Set([...Object.keys(oldRow), ...Object.keys(newRow)]);
+  return [...columns].filter(c => JSON.stringify(oldRow[c]) !== JSON.stringify(newRow[c]));
+}
+
+/**
+ * The version of the row an audit entry restores: the row as that change
+ * left it, or for a DELETE the row as it was before it was deleted.
+ */
+function restorableVersion(entry) {
+  return entry.operation === 'DELETE' ? entry.old_row : entry.new_row;
+}
+
+module.exports = {
+  AUDIT_TRIGGER,
+  auditTriggerSql, enableAudit, disableAudit, isAudited,
+  recordKey, changedColumns, restorableVersion
+};
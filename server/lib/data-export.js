@@ -0,0 +1,582 @@
+/**
+ * Row writers for streamed reads and exports from GET /api/data/:source.
+ *
+ * A writer turns batches of pg rows into response chunks:
+ *   begin(fields) → chunk   (fields from the pg result, before the first row)
+ *   rows(rows)    → chunk
+ *   end()         → chunk
+ * Chunks are strings or Buffers ('' when there is nothing to send), or
+ * Promises of them.
+ *
+ * An NDJSON stream can end with a metadata line, {"__meta": {...}}: the next
+ * keyset cursor, or an error raised after the headers went out. The key
+ * can't be mistaken for a row, whose keys are column names.
+ *
+ * Every format is written incrementally as rows arrive. XLSX is a minimal
+ * Office Open XML workbook whose sheet is deflated batch by batch into a
+ * zip with ZIP64 fields; exports are capped at Excel's row limit,
+ * MAX_XLSX_ROWS (GET /api/data/:source/export refuses larger ones with a
+ * 413).
+ *
+ * CSV text cells that a spreadsheet would read as a formula (starting with
+ * =, +, -, @, tab or carriage return) are prefixed with an apostrophe, as
+ * the data is whatever users typed. Numeric columns are left alone.
+ */
+
+const zlib = require('zlib');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Excel's row limit, less the header row
+const MAX_XLSX_ROWS = 1048575;
+
+// pg type OIDs that hold numbers (int8 and numeric arrive as strings)
+const NUMERIC_TYPE_OIDS = new Set([20, 21, 23, 26, 700, 701, 1700]);
+
+// ============================================================
+// Value formatting
+// ============================================================
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, '0');
+}
+
+/**
+ * "yyyy-mm-dd hh:mm:ss", or just the date at midnight. pg builds Dates for
+ * date/timestamp columns in local time, so local fields are the stored ones.
+ */
+function formatDateTime(d) {
+  const date = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  if (d.getHours() === 0 && d.getMinutes() === 0 && d.getSeconds() === 0 && d.getMilliseconds() === 0) {
+    return date;
+  }
+  return `${date} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+function textValue(value) {
+  if (value instanceof Date) return formatDateTime(value);
+  if (Buffer.isBuffer(value)) return value.toString('base64');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// ============================================================
+// NDJSON / JSON
+// ============================================================
+
+const NDJSON_META_KEY = '__meta';
+
+/**
+ * NDJSON metadata line, e.g. { nextCursor } or { error }.
+ */
+function ndjsonMetaLine(meta) {
+  return JSON.stringify({ [NDJSON_META_KEY]: meta }) + '\n';
+}
+
+function createNdjsonWriter() {
+  return {
+    begin: () => '',
+    rows: rows => rows.map(row => JSON.stringify(row) + '\n').join(''),
+    end: () => ''
+  };
+}
+
+function createJsonWriter() {
+  let first = true;
+  return {
+    begin: () => '[',
+    rows: rows => rows.map(row => {
+      const sep = first ? '\n' : ',\n';
+      first = false;
+      return sep + JSON.stringify(row);
+    }).join(''),
+    end: () => (first ? ']' : '\n]')
+  };
+}
+
+// ============================================================
+// CSV
+// ============================================================
+
+// Leading characters that make Excel and its peers evaluate a cell
+const FORMULA_START_RE = /^[=+\-@\t\r]/;
+
+/**
+ * RFC 4180 field: quoted when it holds a quote, comma, line break or edge
+ * space. Text that would be read as a formula gets a leading apostrophe
+ * unless the column is numeric.
+ */
+function csvField(value, numeric = false) {
+  if (value === null || value === undefined) return '';
+  let text = textValue(value);
+  if (!numeric && typeof value === 'string' && FORMULA_START_RE.test(text)) text = "'" + text;
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function createCsvWriter() {
+  let columns = [];
+  let numeric = [];
+  return {
+    // BOM so Excel opens the file as UTF-8
+    begin: fields => {
+      columns = fields.map(f => f.name);
+      numeric = fields.map(f => NUMERIC_TYPE_OIDS.has(f.dataTypeID));
+      return '\uFEFF' + columns.map(c => csvField(c)).join(',') + '\r\n';
+    },
+    rows: rows => rows.map(row => columns.map((c, i) => csvField(row[c], numeric[i])).join(',') + '\r\n').join(''),
+    end: () => ''
+  };
+}
+
+// ============================================================
+// XLSX
+// ============================================================
+
+function xmlEscape(text) {
+  return text
+    // Characters XML 1.0 can't carry at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** Column letters for a 0-based index: 0 → A, 26 → AA. */
+function columnLetters(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+/** Excel serial day number for a Date (local fields, 1900 date system). */
+function excelSerial(d) {
+  const utc = Date.UTC(d.getFullYear(), d.getMonth(), d.getDate(),
+    d.getHours(), d.getMinutes(), d.getSeconds(), d.getMilliseconds());
+  return utc / 86400000 + 25569;
+}
+
+// Style indexes into styles.xml cellXfs
+const STYLE_DATETIME = 1;
+const STYLE_DATE = 2;
+const STYLE_HEADER = 3;
+
+function xlsxCell(ref, value, numeric) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return '';
+    const dateOnly = formatDateTime(value).length === 10;
+    return `<c r="${ref}" s="${dateOnly ? STYLE_DATE : STYLE_DATETIME}"><v>${excelSerial(value)}</v></c>`;
+  }
+  if (typeof value === 'number' || (numeric && /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(String(value)))) {
+    if (isFinite(Number(value))) return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(textValue(value))}</t></is></c>`;
+}
+
+/** Excel sheet names: at most 31 characters, none of []:*?/\ */
+function sheetName(name) {
+  return (String(name || '').replace(/[[\]:*?/\\]/g, '_').slice(0, 31)) || 'Sheet1';
+}
+
+const CONTENT_TYPES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+  '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+  '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+  '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+  '</Types>';
+
+const ROOT_RELS_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+  '</Relationships>';
+
+const WORKBOOK_RELS_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+  '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+  '</Relationships>';
+
+// cellXfs: 0 default, 1 date+time (numFmt 22), 2 date (numFmt 14), 3 bold header
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="4">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '</cellXfs>' +
+  '</styleSheet>';
+
+function workbookXml(name) {
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${xmlEscape(sheetName(name))}" sheetId="1" r:id="rId1"/></sheets>` +
+    '</workbook>';
+}
+
+const SHEET_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+  '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+  '<sheetData>';
+
+const SHEET_TAIL = '</sheetData></worksheet>';
+
+/**
+ * The workbook is zipped as it is written: the fixed parts go out with the
+ * header row, and each batch of rows is deflated into the sheet entry, so
+ * only the batch in hand is held in memory. Chunks are Promises of Buffers.
+ */
+function createXlsxWriter(name) {
+  const zip = createZipWriter();
+  let sheet = null;
+  let columns = [];
+  let numeric = [];
+  let rowNumber = 1;
+
+  const begin = fields => {
+    columns = fields.map(f => f.name);
+    numeric = fields.map(f => NUMERIC_TYPE_OIDS.has(f.dataTypeID));
+    const parts = [
+      zip.entry('[Content_Types].xml', CONTENT_TYPES_XML),
+      zip.entry('_rels/.rels', ROOT_RELS_XML),
+      zip.entry('xl/workbook.xml', workbookXml(name)),
+      zip.entry('xl/_rels/workbook.xml.rels', WORKBOOK_RELS_XML),
+      zip.entry('xl/styles.xml', STYLES_XML)
+    ];
+    sheet = zip.streamEntry('xl/worksheets/sheet1.xml');
+    const cells = columns.map((c, i) =>
+      `<c r="${columnLetters(i)}1" t="inlineStr" s="${STYLE_HEADER}"><is><t>${xmlEscape(c)}</t></is></c>`);
+    return sheet.write(SHEET_HEAD + `<row r="1">${cells.join('')}</row>`)
+      .then(data => Buffer.concat([...parts, sheet.header, data]));
+  };
+
+  return {
+    begin,
+    rows: async rows => {
+      if (rows.length === 0) return '';
+      const xml = rows.map(row => {
+        const r = ++rowNumber;
+        const cells = columns.map((c, i) => xlsxCell(`${columnLetters(i)}${r}`, row[c], numeric[i]));
+        return `<row r="${r}">${cells.join('')}</row>`;
+      });
+      return sheet.write(xml.join(''));
+    },
+    end: async () => {
+      const head = sheet ? [] : [await begin([])];
+      const tail = await sheet.end(SHEET_TAIL);
+      return Buffer.concat([...head, tail, zip.finish()]);
+    }
+  };
+}
+
+// ============================================================
+// ZIP (deflate; ZIP64 fields when an entry or the archive passes 4 GiB)
+// ============================================================
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 of a buffer, continuing from the CRC of the bytes before it.
+ * @param {Buffer} buf
+ * @param {number} [previous=0]
+ * @returns {number}
+ */
+function crc32(buf, previous = 0) {
+  let crc = (previous ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// 1980-01-01 00:00 in MS-DOS date/time fields
+const DOS_TIME = 0;
+const DOS_DATE = (0 << 9) | (1 << 5) | 1;
+
+// Sizes and offsets at or past this go in ZIP64 fields
+const ZIP64_LIMIT = 0xFFFFFFFF;
+
+// Flags: bit 11 UTF-8 names; bit 3 CRC and sizes follow the data
+const FLAG_UTF8 = 0x0800;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+
+function toBuffer(data) {
+  return Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+}
+
+function localHeader(entry) {
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(20, 4);           // version needed
+  local.writeUInt16LE(entry.flags, 6);
+  local.writeUInt16LE(8, 8);            // deflate
+  local.writeUInt16LE(DOS_TIME, 10);
+  local.writeUInt16LE(DOS_DATE, 12);
+  local.writeUInt32LE(entry.crc, 14);   // CRC and sizes are 0 when a data descriptor follows
+  local.writeUInt32LE(entry.compressedSize, 18);
+  local.writeUInt32LE(entry.size, 22);
+  local.writeUInt16LE(entry.name.length, 26);
+  local.writeUInt16LE(0, 28);           // extra length
+  return Buffer.concat([local, entry.name]);
+}
+
+function dataDescriptor(entry) {
+  const zip64 = entry.size >= ZIP64_LIMIT || entry.compressedSize >= ZIP64_LIMIT;
+  const desc = Buffer.alloc(zip64 ? 24 : 16);
+  desc.writeUInt32LE(0x08074b50, 0);
+  desc.writeUInt32LE(entry.crc, 4);
+  if (zip64) {
+    desc.writeBigUInt64LE(BigInt(entry.compressedSize), 8);
+    desc.writeBigUInt64LE(BigInt(entry.size), 16);
+  } else {
+    desc.writeUInt32LE(entry.compressedSize, 8);
+    desc.writeUInt32LE(entry.size, 12);
+  }
+  return desc;
+}
+
+function centralHeader(entry) {
+  // The ZIP64 extra field holds, in this order, whichever of these overflowed
+  const wide = [entry.size, entry.compressedSize, entry.offset].filter(n => n >= ZIP64_LIMIT);
+  const extra = Buffer.alloc(wide.length > 0 ? 4 + 8 * wide.length : 0);
+  if (wide.length > 0) {
+    extra.writeUInt16LE(0x0001, 0);
+    extra.writeUInt16LE(8 * wide.length, 2);
+    wide.forEach((n, i) => extra.writeBigUInt64LE(BigInt(n), 4 + 8 * i));
+  }
+  const version = wide.length > 0 ? 45 : 20;
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(version, 4);    // version made by
+  central.writeUInt16LE(version, 6);    // version needed
+  central.writeUInt16LE(entry.flags, 8);
+  central.writeUInt16LE(8, 10);
+  central.writeUInt16LE(DOS_TIME, 12);
+  central.writeUInt16LE(DOS_DATE, 14);
+  central.writeUInt32LE(entry.crc, 16);
+  central.writeUInt32LE(Math.min(entry.compressedSize, ZIP64_LIMIT), 20);
+  central.writeUInt32LE(Math.min(entry.size, ZIP64_LIMIT), 24);
+  central.writeUInt16LE(entry.name.length, 28);
+  central.writeUInt16LE(extra.length, 30);
+  central.writeUInt32LE(Math.min(entry.offset, ZIP64_LIMIT), 42);  // comment, disk, attrs stay 0
+  return Buffer.concat([central, entry.name, extra]);
+}
+
+function endRecords(count, centralSize, centralOffset) {
+  const records = [];
+  if (centralSize >= ZIP64_LIMIT || centralOffset >= ZIP64_LIMIT) {
+    const zip64End = Buffer.alloc(56);
+    zip64End.writeUInt32LE(0x06064b50, 0);
+    zip64End.writeBigUInt64LE(44n, 4);  // size of the rest of the record
+    zip64End.writeUInt16LE(45, 12);
+    zip64End.writeUInt16LE(45, 14);
+    zip64End.writeBigUInt64LE(BigInt(count), 24);
+    zip64End.writeBigUInt64LE(BigInt(count), 32);
+    zip64End.writeBigUInt64LE(BigInt(centralSize), 40);
+    zip64End.writeBigUInt64LE(BigInt(centralOffset), 48);
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(centralOffset + centralSize), 8);
+    locator.writeUInt32LE(1, 16);       // total disks
+    records.push(zip64End, locator);
+  }
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(Math.min(centralSize, ZIP64_LIMIT), 12);
+  end.writeUInt32LE(Math.min(centralOffset, ZIP64_LIMIT), 16);
+  records.push(end);
+  return Buffer.concat(records);
+}
+
+/**
+ * Write a zip archive piece by piece. Each method returns the archive's next
+ * bytes, which must be sent in the order they were returned.
+ *   entry(name, data)  → Buffer   a whole entry, deflated at once
+ *   streamEntry(name)  → { header, write(text), end(text) }   an entry
+ *                        deflated as it is written; write and end return
+ *                        Promises of Buffers, and header goes out first
+ *   finish()           → Buffer   the central directory
+ */
+function createZipWriter() {
+  const entries = [];
+  let offset = 0;
+
+  const emit = buf => {
+    offset += buf.length;
+    return buf;
+  };
+
+  return {
+    entry(name, data) {
+      const raw = toBuffer(data);
+      const compressed = zlib.deflateRawSync(raw);
+      const entry = {
+        name: Buffer.from(name, 'utf8'), flags: FLAG_UTF8, offset,
+        crc: crc32(raw), size: raw.length, compressedSize: compressed.length
+      };
+      entries.push(entry);
+      return emit(Buffer.concat([localHeader(entry), compressed]));
+    },
+
+    streamEntry(name) {
+      const entry = {
+        name: Buffer.from(name, 'utf8'), flags: FLAG_UTF8 | FLAG_DATA_DESCRIPTOR, offset,
+        crc: 0, size: 0, compressedSize: 0
+      };
+      entries.push(entry);
+      const header = emit(localHeader(entry));
+
+      const deflate = zlib.createDeflateRaw();
+      const pending = [];
+      deflate.on('data', chunk => pending.push(chunk));
+      const ended = new Promise((resolve, reject) => {
+        deflate.on('end', resolve);
+        deflate.on('error', reject);
+      });
+      ended.catch(() => {});  // surfaced by write() or end()
+
+      const feed = text => {
+        const data = toBuffer(text);
+        entry.crc = crc32(data, entry.crc);
+        entry.size += data.length;
+        return data;
+      };
+      const take = () => {
+        const out = Buffer.concat(pending.splice(0));
+        entry.compressedSize += out.length;
+        return emit(out);
+      };
+
+      return {
+        header,
+        write: async text => {
+          const data = feed(text);
+          await new Promise((resolve, reject) => deflate.write(data, err => (err ? reject(err) : resolve())));
+          return take();
+        },
+        end: async (text = '') => {
+          deflate.end(feed(text));
+          await ended;
+          const rest = take();
+          return Buffer.concat([rest, emit(dataDescriptor(entry))]);
+        }
+      };
+    },
+
+    finish() {
+      const centralOffset = offset;
+      const central = emit(Buffer.concat(entries.map(centralHeader)));
+      return Buffer.concat([central, emit(endRecords(entries.length, central.length, centralOffset))]);
+    }
+  };
+}
+
+/**
+ * Build a zip archive in one piece.
+ * @param {Array<{ name: string, data: string|Buffer }>} entries
+ * @returns {Buffer}
+ */
+function zipEntries(entries) {
+  const zip = createZipWriter();
+  const parts = entries.map(entry => zip.entry(entry.name, entry.data));
+  return Buffer.concat([...parts, zip.finish()]);
+}
+
+// ============================================================
+// Entry points
+// ============================================================
+
+/**
+ * Writer for a response format.
+ * @param {'ndjson'|'csv'|'json'|'xlsx'} format
+ * @param {string} [name] - sheet name for XLSX
+ */
+function createRowWriter(format, name) {
+  switch (format) {
+    case 'csv': return createCsvWriter();
+    case 'json': return createJsonWriter();
+    case 'xlsx': return createXlsxWriter(name);
+    default: return createNdjsonWriter();
+  }
+}
+
+/**
+ * Content-Disposition filename for an export: the requested name reduced to
+ * a safe base name, with the format's extension.
+ */
+function exportFilename(requested, source, format) {
+  const extension = EXPORT_FORMATS[format] ? EXPORT_FORMATS[format].extension : format;
+  const base = String(requested || '')
+    .split(/[\\/]/).pop()
+    .replace(/\.[^.]*$/, '')
+    .replace(/[^\w\- .()]/g, '_')
+    .trim();
+  return `${base || source}.${extension}`;
+}
+
+// Access output formats, matched against acFormat* constants, OutputTo
+// format strings ("Excel Workbook (*.xlsx)") and file extensions. Order
+// matters: "Rich Text Format" must not fall through to text.
+const OUTPUT_FORMAT_PATTERNS = [
+  ['xlsx', /xls|excel/],
+  ['pdf', /pdf/],
+  ['rtf', /rtf|rich ?text/],
+  ['html', /htm/],
+  ['snp', /snp|snapshot/],
+  ['json', /json/],
+  ['csv', /csv|txt|text/]
+];
+
+/**
+ * Short format name for an Access output format, or for the output file's
+ * extension when no format is given. Only csv, xlsx and json can be
+ * exported from the data route, and pdf and html rendered from the report
+ * route; rtf and snp are returned so callers can report them. Null when
+ * nothing matches.
+ */
+function exportFormatFor(outputFormat, fileName) {
+  const text = outputFormat
+    ? String(outputFormat).toLowerCase()
+    : (String(fileName || '').toLowerCase().match(/\.(\w+)$/) || [])[1];
+  if (!text) return null;
+  const match = OUTPUT_FORMAT_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  MAX_XLSX_ROWS,
+  createRowWriter,
+  ndjsonMetaLine,
+  exportFilename,
+  exportFormatFor,
+  csvField,
+  formatDateTime,
+  columnLetters,
+  excelSerial,
+  zipEntries,
+  crc32
+};
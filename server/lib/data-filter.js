@@ -0,0 +1,528 @@
+/**
+ * Filter, search and sort compilation for GET /api/data/:source.
+ *
+ * Three inputs all end up as one parameterized WHERE / ORDER BY:
+ *   - a structured JSON filter (operators, IN, BETWEEN, LIKE, IS NULL, and/or/not nesting)
+ *   - an Access Filter string as set by Me.Filter / AC.setFilter
+ *   - an OrderBy list, either Access-style ("[City] DESC, Name") or JSON
+ * plus the keyset condition for cursor pagination over that sort order.
+ *
+ * Every value becomes a $N parameter; column names are validated and quoted.
+ * Anything that can't be compiled safely throws an error with code EFILTER,
+ * which the route reports as a 400.
+ */
+
+const { FUNCTION_MAP } = require('./access-function-map');
+const { applyFunctionTranslations } = require('./query-converter/functions');
+const { sanitizeName } = require('./query-converter/utils');
+
+const NAME_RE = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+function filterError(message) {
+  const err = new Error(message);
+  err.code = 'EFILTER';
+  return err;
+}
+
+function quoteIdent(name) {
+  return '"' + name.replace(/"/g, '""') + '"';
+}
+
+function columnRef(name) {
+  const col = typeof name === 'string' ? name.toLowerCase() : '';
+  if (!NAME_RE.test(col)) throw filterError(`Invalid column name: ${name}`);
+  return quoteIdent(col);
+}
+
+function addParam(params, value) {
+  params.push(value);
+  return `$${params.length}`;
+}
+
+// ============================================================
+// Structured JSON filter
+// ============================================================
+
+const COMPARISON_OPS = {
+  '=': '=', '==': '=', 'eq': '=',
+  '<>': '<>', '!=': '<>', 'ne': '<>',
+  '<': '<', 'lt': '<',
+  '<=': '<=', 'lte': '<=',
+  '>': '>', 'gt': '>',
+  '>=': '>=', 'gte': '>=',
+  'like': 'LIKE', 'not like': 'NOT LIKE',
+  'ilike': 'ILIKE', 'not ilike': 'NOT ILIKE',
+};
+
+/**
+ * Compile one {column, op, value} condition.
+ */
+function compileCondition(column, op, value, params) {
+  const col = columnRef(column);
+  const normalized = String(op || '=').trim().toLowerCase().replace(/\s+/g, ' ');
+
+  if (normalized === 'is null') return `${col} IS NULL`;
+  if (normalized === 'is not null') return `${col} IS NOT NULL`;
+
+  if (normalized === 'in' || normalized === 'not in') {
+    if (!Array.isArray(value)) throw filterError(`"${op}" on ${column} needs an array value`);
+    if (value.length === 0) return normalized === 'in' ? 'false' : 'true';
+    return normalized === 'in'
+      ? `${col} = ANY(${addParam(params, value)})`
+      : `${col} <> ALL(${addParam(params, value)})`;
+  }
+
+  if (normalized === 'between' || normalized === 'not between') {
+    if (!Array.isArray(value) || value.length !== 2) {
+      throw filterError(`"${op}" on ${column} needs a [low, high] value`);
+    }
+    const low = addParam(params, value[0]);
+    const high = addParam(params, value[1]);
+    return `${col} ${normalized === 'between' ? 'BETWEEN' : 'NOT BETWEEN'} ${low} AND ${high}`;
+  }
+
+  const sqlOp = COMPARISON_OPS[normalized];
+  if (!sqlOp) throw filterError(`Unsupported filter operator: ${op}`);
+
+  // Equality with null means "is null", as the legacy filter map implied
+  if (value === null || value === undefined) {
+    if (sqlOp === '=') return `${col} IS NULL`;
+    if (sqlOp === '<>') return `${col} IS NOT NULL`;
+    throw filterError(`"${op}" on ${column} needs a value`);
+  }
+  if (typeof value === 'object') throw filterError(`"${op}" on ${column} needs a scalar value`);
+  return `${col} ${sqlOp} ${addParam(params, value)}`;
+}
+
+/**
+ * Compile a filter node. Accepted shapes:
+ *   [node, node]                       all must match
+ *   { and: [...] } / { or: [...] }     nesting
+ *   { not: node }
+ *   { column, op, value }              single condition (op defaults to "=")
+ *   { col: value, col2: {op, value} }  column map (the original equality filter)
+ */
+function compileNode(node, params) {
+  if (Array.isArray(node)) return joinNodes(node, 'AND', params);
+  if (!node || typeof node !== 'object') throw filterError('Filter must be an object or array');
+
+  if ('and' in node || 'or' in node) {
+    const key = 'and' in node ? 'and' : 'or';
+    if (!Array.isArray(node[key])) throw filterError(`"${key}" needs an array of conditions`);
+    return joinNodes(node[key], key.toUpperCase(), params);
+  }
+  if ('not' in node) {
+    const inner = compileNode(node.not, params);
+    return inner ? `NOT (${inner})` : null;
+  }
+  if ('column' in node) {
+    return compileCondition(node.column, node.op, node.value, params);
+  }
+
+  const conditions = Object.entries(node).map(([col, val]) =>
+    (val && typeof val === 'object' && !Array.isArray(val))
+      ? compileCondition(col, val.op, val.value, params)
+      : compileCondition(col, '=', val, params));
+  return conditions.length > 0 ? conditions.join(' AND ') : null;
+}
+
+function joinNodes(nodes, joiner, params) {
+  const parts = nodes.map(n => compileNode(n, params)).filter(Boolean);
+  if (parts.length === 0) return null;
+  if (parts.length === 1) return parts[0];
+  return parts.map(p => `(${p})`).join(` ${joiner} `);
+}
+
+/**
+ * Compile a structured filter to a WHERE fragment.
+ * @param {object|Array|string} filter - filter node, or its JSON text
+ * @param {Array} params - parameter list to append to ($N numbering continues from it)
+ * @returns {string|null} SQL condition, or null when the filter is empty
+ */
+function compileFilter(filter, params) {
+  if (filter === undefined || filter === null || filter === '') return null;
+  let parsed = filter;
+  if (typeof filter === 'string') {
+    try {
+      parsed = JSON.parse(filter);
+    } catch (e) {
+      throw filterError('Filter is not valid JSON');
+    }
+  }
+  return compileNode(parsed, params);
+}
+
+// ============================================================
+// Access Filter strings
+// ============================================================
+
+const ACCESS_KEYWORDS = {
+  AND: 'AND', OR: 'OR', NOT: 'NOT', IS: 'IS', NULL: 'NULL',
+  IN: 'IN', BETWEEN: 'BETWEEN', LIKE: 'ILIKE', MOD: '%',
+  TRUE: 'true', FALSE: 'false',
+};
+
+// Functions the query converter knows how to translate, plus the
+// zero-argument date functions it leaves to the expression converter
+const TRANSLATABLE_FUNCTIONS = new Set(FUNCTION_MAP.map(f => f.name.toLowerCase()));
+const DATE_FUNCTIONS = { date: 'CURRENT_DATE', time: 'CURRENT_TIME', now: 'CURRENT_TIMESTAMP' };
+
+// String literals inlined as function arguments (Format / DateAdd intervals)
+const SAFE_INLINE_RE = /^[A-Za-z0-9 _\-/:.,#%]*$/;
+
+/**
+ * Convert an Access date literal body (m/d/yyyy or yyyy-mm-dd, optional time)
+ * to an ISO string.
+ * @returns {{ value: string, hasTime: boolean }|null}
+ */
+function parseAccessDate(text) {
+  const m = text.trim().match(
+    /^(?:(\d{1,2})\/(\d{1,2})\/(\d{4})|(\d{4})-(\d{1,2})-(\d{1,2}))(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?)?$/i);
+  if (!m) return null;
+  const year = m[3] || m[4];
+  const month = (m[1] || m[5]).padStart(2, '0');
+  const day = (m[2] || m[6]).padStart(2, '0');
+  let value = `${year}-${month}-${day}`;
+  if (m[7] === undefined) return { value, hasTime: false };
+  let hour = parseInt(m[7], 10);
+  if (m[10]) {
+    if (hour === 12) hour = 0;
+    if (m[10].toUpperCase() === 'PM') hour += 12;
+  }
+  value += ` ${String(hour).padStart(2, '0')}:${m[8]}:${m[9] || '00'}`;
+  return { value, hasTime: true };
+}
+
+/**
+ * Split an Access criteria string into tokens.
+ * Token types: ident, string, number, date, word, op, lparen, rparen, comma.
+ */
+function tokenizeAccessFilter(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) { i++; continue; }
+
+    if (ch === '[') {
+      const end = text.indexOf(']', i);
+      if (end === -1) throw filterError('Unterminated [ in filter');
+      tokens.push({ type: 'ident', value: text.substring(i + 1, end) });
+      i = end + 1;
+    } else if (ch === '"' || ch === "'") {
+      let value = '';
+      let j = i + 1;
+      for (;;) {
+        if (j >= text.length) throw filterError('Unterminated string in filter');
+        if (text[j] === ch) {
+          if (text[j + 1] === ch) { value += ch; j += 2; continue; }
+          break;
+        }
+        value += text[j++];
+      }
+      tokens.push({ type: 'string', value });
+      i = j + 1;
+    } else if (ch === '#') {
+      const end = text.indexOf('#', i + 1);
+      const date = end === -1 ? null : parseAccessDate(text.substring(i + 1, end));
+      if (!date) throw filterError('Invalid date literal in filter');
+      tokens.push({ type: 'date', ...date });
+      i = end + 1;
+    } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(text[i + 1] || ''))) {
+      const m = text.substring(i).match(/^\d*\.?\d+(?:[eE][+-]?\d+)?/);
+      tokens.push({ type: 'number', value: m[0] });
+      i += m[0].length;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const m = text.substring(i).match(/^[A-Za-z_][A-Za-z0-9_]*\$?/);
+      tokens.push({ type: 'word', value: m[0] });
+      i += m[0].length;
+    } else if (ch === '(') {
+      tokens.push({ type: 'lparen' }); i++;
+    } else if (ch === ')') {
+      tokens.push({ type: 'rparen' }); i++;
+    } else if (ch === ',') {
+      tokens.push({ type: 'comma' }); i++;
+    } else {
+      const m = text.substring(i).match(/^(<>|<=|>=|[=<>&+\-*/.!])/);
+      if (!m) throw filterError(`Unexpected character in filter: ${ch}`);
+      tokens.push({ type: 'op', value: m[0] });
+      i += m[0].length;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Translate an Access Filter string (the WHERE clause without "WHERE",
+ * e.g. `[City] = "Boston" And [OrderDate] >= #1/1/2024#`) to parameterized SQL.
+ * Function calls go through the query converter's Access function table.
+ * @param {string} text
+ * @param {Array} params - parameter list to append to
+ * @returns {string|null} SQL condition, or null when the string is empty
+ */
+function translateAccessFilter(text, params) {
+  if (!text || !String(text).trim()) return null;
+  const tokens = tokenizeAccessFilter(String(text));
+  const out = [];
+  // One entry per open paren: true when it opened a function's argument list
+  const parens = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const tok = tokens[i];
+    const next = tokens[i + 1];
+    const prev = out[out.length - 1];
+    const inFunction = parens.includes(true);
+
+    switch (tok.type) {
+      case 'ident':
+      case 'word': {
+        // Table.Field / [Table].[Field] — the table is always the record source
+        let name = tok.value;
+        let qualified = false;
+        while (next && next.type === 'op' && next.value === '.' &&
+               tokens[i + 2] && (tokens[i + 2].type === 'ident' || tokens[i + 2].type === 'word')) {
+          name = tokens[i + 2].value;
+          qualified = true;
+          i += 2;
+        }
+        const after = tokens[i + 1];
+        if (after && after.type === 'op' && after.value === '!') {
+          throw filterError('Form and control references are not supported in filters');
+        }
+
+        if (tok.type === 'word' && !qualified) {
+          const upper = name.toUpperCase();
+          if (ACCESS_KEYWORDS[upper]) {
+            out.push(ACCESS_KEYWORDS[upper]);
+            break;
+          }
+          if (after && after.type === 'lparen') {
+            const fn = name.toLowerCase();
+            if (DATE_FUNCTIONS[fn] && tokens[i + 2] && tokens[i + 2].type === 'rparen') {
+              out.push(DATE_FUNCTIONS[fn]);
+              i += 2;
+              break;
+            }
+            if (!TRANSLATABLE_FUNCTIONS.has(fn)) {
+              throw filterError(`Unsupported function in filter: ${name}`);
+            }
+            out.push(name);
+            parens.push(true);
+            out.push('(');
+            i++;
+            break;
+          }
+        }
+        const col = sanitizeName(name);
+        if (!NAME_RE.test(col)) throw filterError(`Invalid column name in filter: ${name}`);
+        out.push(quoteIdent(col));
+        break;
+      }
+      case 'string': {
+        let value = tok.value;
+        if (prev === 'ILIKE') {
+          value = value.replace(/[%_]/g, '\\$&').replace(/\*/g, '%').replace(/\?/g, '_');
+        }
+        out.push(inFunction && SAFE_INLINE_RE.test(value)
+          ? `'${value}'`
+          : addParam(params, value));
+        break;
+      }
+      case 'number':
+        out.push(tok.value);
+        break;
+      case 'date':
+        out.push(`${addParam(params, tok.value)}::${tok.hasTime ? 'timestamp' : 'date'}`);
+        break;
+      case 'lparen':
+        parens.push(false);
+        out.push('(');
+        break;
+      case 'rparen':
+        if (parens.length === 0) throw filterError('Unbalanced ) in filter');
+        parens.pop();
+        out.push(')');
+        break;
+      case 'comma':
+        if (parens.length === 0) throw filterError('Unexpected , in filter');
+        out.push(',');
+        break;
+      case 'op':
+        if (tok.value === '!' || tok.value === '.') {
+          throw filterError(`Unexpected ${tok.value} in filter`);
+        }
+        out.push(tok.value === '&' ? '||' : tok.value);
+        break;
+    }
+  }
+  if (parens.length > 0) throw filterError('Unbalanced ( in filter');
+
+  const sql = out.join(' ').replace(/\( /g, '(').replace(/ \)/g, ')').replace(/ ,/g, ',');
+  return applyFunctionTranslations(sql);
+}
+
+// ============================================================
+// Search
+// ============================================================
+
+/**
+ * Case-insensitive substring search, across the given columns or (when none
+ * are given) the whole row's text form.
+ * @param {string} term
+ * @param {string[]|null} columns
+ * @param {string} rowRef - quoted table name or alias, for whole-row search
+ * @param {Array} params
+ * @returns {string|null}
+ */
+function compileSearch(term, columns, rowRef, params) {
+  if (term === undefined || term === null || String(term) === '') return null;
+  const pattern = addParam(params, `%${String(term).replace(/[\\%_]/g, '\\$&')}%`);
+  if (!columns || columns.length === 0) return `${rowRef}::text ILIKE ${pattern}`;
+  return columns.map(c => `${columnRef(c)}::text ILIKE ${pattern}`).join(' OR ');
+}
+
+// ============================================================
+// ORDER BY
+// ============================================================
+
+function splitTopLevel(text) {
+  const parts = [];
+  let current = '';
+  let bracket = false;
+  for (const ch of text) {
+    if (ch === '[') bracket = true;
+    else if (ch === ']') bracket = false;
+    if (ch === ',' && !bracket) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Parse one "[Field] DESC" / "Table.Field" / "field asc" sort item.
+ */
+function parseSortItem(text, defaultDir) {
+  const m = text.match(/^(.*?)(?:\s+(ASC|DESC))?$/i);
+  const ref = m[1].trim();
+  const parts = ref.match(/\[[^\]]+\]|[^.]+/g) || [];
+  const field = (parts[parts.length - 1] || '').replace(/^\[|\]$/g, '');
+  return { column: sanitizeName(field), dir: m[2] || defaultDir };
+}
+
+/**
+ * Parse an ORDER BY list into validated sort keys.
+ * @param {string|Array} orderBy - Access OrderBy string ("[City] DESC, Name"),
+ *   JSON array text, or an array of "col dir" strings / { column, dir } objects
+ * @param {string} [defaultDir] - direction for items without one (legacy orderDir)
+ * @returns {Array<{ column: string, dir: 'ASC'|'DESC' }>}
+ */
+function parseOrderBy(orderBy, defaultDir = 'ASC') {
+  if (!orderBy) return [];
+  let items = orderBy;
+  if (typeof orderBy === 'string') {
+    items = null;
+    if (orderBy.trim().startsWith('[')) {
+      try {
+        const parsed = JSON.parse(orderBy);
+        if (Array.isArray(parsed)) items = parsed;
+      } catch (e) {
+        // Not JSON — an Access list like "[City], [Name] DESC"
+      }
+    }
+    if (!items) items = splitTopLevel(orderBy);
+  }
+  if (!Array.isArray(items)) throw filterError('orderBy must be a list');
+
+  const dir = String(defaultDir).toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+  return items.map(item => {
+    const sort = typeof item === 'string'
+      ? parseSortItem(item.trim(), dir)
+      : { column: item && item.column, dir: (item && item.dir) || dir };
+    const direction = String(sort.dir).toUpperCase();
+    if (direction !== 'ASC' && direction !== 'DESC') {
+      throw filterError(`Invalid sort direction: ${sort.dir}`);
+    }
+    columnRef(sort.column);
+    return { column: sort.column.toLowerCase(), dir: direction };
+  });
+}
+
+/**
+ * Compile an ORDER BY list (same inputs as parseOrderBy, including its output).
+ * @returns {string|null} ORDER BY list without the keyword
+ */
+function compileOrderBy(orderBy, defaultDir = 'ASC') {
+  const sorts = parseOrderBy(orderBy, defaultDir);
+  if (sorts.length === 0) return null;
+  return sorts.map(s => `${columnRef(s.column)} ${s.dir}`).join(', ');
+}
+
+// ============================================================
+// Keyset (cursor) pagination
+// ============================================================
+
+/**
+ * Encode the sort-key values of the last row sent as an opaque cursor.
+ */
+function encodeCursor(values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor.
+ * @param {string} cursor
+ * @param {number} keyCount - number of sort keys the cursor must carry
+ * @returns {Array}
+ */
+function decodeCursor(cursor, keyCount) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (e) {
+    throw filterError('Invalid cursor');
+  }
+  if (!Array.isArray(values) || values.length !== keyCount) {
+    throw filterError('Cursor does not match the requested sort order');
+  }
+  return values;
+}
+
+/**
+ * Condition selecting the rows that sort strictly after the cursor position.
+ * Expands to (k1 after v1) OR (k1 = v1 AND k2 after v2) OR ..., so mixed
+ * ASC/DESC keys work. NULLs follow PostgreSQL's default ordering: last when
+ * ascending, first when descending.
+ * @param {Array<{ column: string, dir: string }>} sorts
+ * @param {Array} values - cursor values, one per sort key
+ * @param {Array} params
+ * @returns {string}
+ */
+function compileKeyset(sorts, values, params) {
+  const branches = sorts.map((sort, i) => {
+    const parts = [];
+    for (let j = 0; j < i; j++) {
+      const col = columnRef(sorts[j].column);
+      parts.push(values[j] === null ? `${col} IS NULL` : `${col} = ${addParam(params, values[j])}`);
+    }
+    const col = columnRef(sort.column);
+    const v = values[i];
+    if (sort.dir === 'ASC') {
+      parts.push(v === null ? 'false' : `(${col} > ${addParam(params, v)} OR ${col} IS NULL)`);
+    } else {
+      parts.push(v === null ? `${col} IS NOT NULL` : `${col} < ${addParam(params, v)}`);
+    }
+    return parts.join(' AND ');
+  });
+  return branches.map(b => `(${b})`).join(' OR ');
+}
+
+module.exports = {
+  compileFilter, translateAccessFilter, tokenizeAccessFilter, parseAccessDate,
+  compileSearch, parseOrderBy, compileOrderBy,
+  encodeCursor, decodeCursor, compileKeyset
+};
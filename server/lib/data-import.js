@@ -0,0 +1,445 @@
+/**
+ * Spreadsheet import helpers for POST /api/tables/:table/import.
+ *
+ * Parses CSV text and XLSX workbooks into a header list plus rows of raw
+ * values, infers Access field types for previews (the descriptors
+ * lib/access-types.js resolveType understands), and coerces raw values to
+ * a target column's PostgreSQL type, with a message for values that won't fit.
+ */
+
+const zlib = require('zlib');
+const { parseAccessDate } = require('./data-filter');
+const { sanitizeName } = require('./query-converter');
+
+// ============================================================
+// CSV
+// ============================================================
+
+/**
+ * Pick the delimiter that splits the first line into the most fields
+ * (outside quotes): comma, semicolon or tab.
+ */
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  let best = ',';
+  let bestCount = 0;
+  for (const delimiter of [',', ';', '\t']) {
+    let count = 0;
+    let quoted = false;
+    for (const ch of firstLine) {
+      if (ch === '"') quoted = !quoted;
+      else if (ch === delimiter && !quoted) count++;
+    }
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * RFC 4180 parser: quoted fields may hold delimiters, doubled quotes and
+ * line breaks. A leading BOM is dropped; blank lines are skipped.
+ * @param {string} text
+ * @param {string} [delimiter] - detected from the first line when omitted
+ * @returns {string[][]}
+ */
+function parseCsv(text, delimiter) {
+  const src = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  const sep = delimiter || detectDelimiter(src);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') { field += '"'; i += 2; continue; }
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      i++;
+      continue;
+    }
+    if (ch === '"' && field === '') { quoted = true; i++; continue; }
+    if (ch === sep) { row.push(field); field = ''; i++; continue; }
+    if (ch === '\r' || ch === '\n') {
+      endRow();
+      i += ch === '\r' && src[i + 1] === '\n' ? 2 : 1;
+      continue;
+    }
+    field += ch;
+    i++;
+  }
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+// ============================================================
+// XLSX
+// ============================================================
+
+/**
+ * Read every entry of a zip archive (stored or deflated) via its central directory.
+ * @param {Buffer} buf
+ * @returns {Map<string, Buffer>}
+ */
+function unzipEntries(buf) {
+  let end = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { end = i; break; }
+  }
+  if (end === -1) throw importError('File is not a valid XLSX workbook');
+
+  const entries = new Map();
+  const count = buf.readUInt16LE(end + 10);
+  let offset = buf.readUInt32LE(end + 16);
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(offset) !== 0x02014b50) throw importError('Corrupt XLSX central directory');
+    const method = buf.readUInt16LE(offset + 10);
+    const compressedSize = buf.readUInt32LE(offset + 20);
+    const nameLength = buf.readUInt16LE(offset + 28);
+    const extraLength = buf.readUInt16LE(offset + 30);
+    const commentLength = buf.readUInt16LE(offset + 32);
+    const localOffset = buf.readUInt32LE(offset + 42);
+    const name = buf.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const localNameLength = buf.readUInt16LE(localOffset + 26);
+    const localExtraLength = buf.readUInt16LE(localOffset + 28);
+    const start = localOffset + 30 + localNameLength + localExtraLength;
+    const data = buf.subarray(start, start + compressedSize);
+    entries.set(name, method === 8 ? zlib.inflateRawSync(data) : Buffer.from(data));
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function xmlUnescape(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(parseInt(d, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+/** Concatenated <t> text of a shared string or inline string (rich runs included). */
+function stringItemText(xml) {
+  const parts = [];
+  const re = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>|<t(?:\s[^>]*)?\/>/g;
+  let m;
+  while ((m = re.exec(xml)) !== null) parts.push(xmlUnescape(m[1] || ''));
+  return parts.join('');
+}
+
+function xmlAttr(tag, name) {
+  const m = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return m ? xmlUnescape(m[1]) : null;
+}
+
+/** 0-based column index from a cell reference: "C5" → 2. */
+function columnIndex(ref) {
+  const letters = ref.match(/^[A-Z]+/i)[0].toUpperCase();
+  let index = 0;
+  for (const ch of letters) index = index * 26 + (ch.charCodeAt(0) - 64);
+  return index - 1;
+}
+
+// Built-in number formats that display dates or times
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+/** Which cellXfs style indexes format their cell as a date. */
+function dateStyleIndexes(stylesXml) {
+  const custom = new Map();
+  const fmtRe = /<numFmt\s[^>]*>/g;
+  let m;
+  while ((m = fmtRe.exec(stylesXml)) !== null) {
+    custom.set(parseInt(xmlAttr(m[0], 'numFmtId'), 10), xmlAttr(m[0], 'formatCode') || '');
+  }
+  const isDateFormat = id => BUILTIN_DATE_FORMATS.has(id) ||
+    // Custom codes with day/month/year/hour parts, ignoring quoted text and [colour]
+    (custom.has(id) && /[dmyh]/i.test(custom.get(id).replace(/"[^"]*"|\[[^\]]*\]/g, '')));
+
+  const dates = new Set();
+  const cellXfs = (stylesXml.match(/<cellXfs[\s\S]*?<\/cellXfs>/) || [''])[0];
+  const xfRe = /<xf\s[^>]*?\/?>/g;
+  let index = 0;
+  while ((m = xfRe.exec(cellXfs)) !== null) {
+    if (isDateFormat(parseInt(xmlAttr(m[0], 'numFmtId') || '0', 10))) dates.add(index);
+    index++;
+  }
+  return dates;
+}
+
+/** Excel serial day (1900 date system) → "yyyy-mm-dd[ hh:mm:ss]". */
+function serialToDateString(serial) {
+  const ms = Math.round((serial - 25569) * 86400000);
+  const d = new Date(ms);
+  const date = d.toISOString().slice(0, 10);
+  const time = d.toISOString().slice(11, 19);
+  return time === '00:00:00' ? date : `${date} ${time}`;
+}
+
+/** Path of the workbook's first sheet, via workbook.xml and its rels. */
+function firstSheetPath(entries) {
+  const workbook = (entries.get('xl/workbook.xml') || '').toString('utf8');
+  const sheet = workbook.match(/<sheet\s[^>]*>/);
+  const relId = sheet && (xmlAttr(sheet[0], 'r:id') || xmlAttr(sheet[0], 'id'));
+  const rels = (entries.get('xl/_rels/workbook.xml.rels') || '').toString('utf8');
+  const relRe = /<Relationship\s[^>]*>/g;
+  let m;
+  while (relId && (m = relRe.exec(rels)) !== null) {
+    if (xmlAttr(m[0], 'Id') === relId) {
+      const target = xmlAttr(m[0], 'Target');
+      return target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+    }
+  }
+  return 'xl/worksheets/sheet1.xml';
+}
+
+/**
+ * Read the first worksheet of an XLSX workbook as rows of cell values:
+ * strings, numbers, booleans, or "yyyy-mm-dd[ hh:mm:ss]" strings for
+ * date-formatted cells. Missing cells are null. Fully empty rows are skipped.
+ * @param {Buffer} buf
+ * @returns {Array<Array<string|number|boolean|null>>}
+ */
+function parseXlsx(buf) {
+  const entries = unzipEntries(buf);
+  const sheetXml = entries.get(firstSheetPath(entries));
+  if (!sheetXml) throw importError('XLSX workbook has no worksheet');
+
+  const shared = [];
+  const sharedXml = (entries.get('xl/sharedStrings.xml') || '').toString('utf8');
+  const siRe = /<si>([\s\S]*?)<\/si>/g;
+  let m;
+  while ((m = siRe.exec(sharedXml)) !== null) shared.push(stringItemText(m[1]));
+
+  const dateStyles = dateStyleIndexes((entries.get('xl/styles.xml') || '').toString('utf8'));
+
+  const rows = [];
+  const rowRe = /<row\b[^>]*>([\s\S]*?)<\/row>/g;
+  while ((m = rowRe.exec(sheetXml.toString('utf8'))) !== null) {
+    const row = [];
+    const cellRe = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let c;
+    while ((c = cellRe.exec(m[1])) !== null) {
+      const attrs = c[1];
+      const body = c[2] || '';
+      const ref = xmlAttr(attrs, 'r');
+      const index = ref ? columnIndex(ref) : row.length;
+      const type = xmlAttr(attrs, 't') || 'n';
+      const v = body.match(/<v>([\s\S]*?)<\/v>/);
+      let value = null;
+      if (type === 'inlineStr') value = stringItemText(body);
+      else if (v) {
+        const raw = xmlUnescape(v[1]);
+        if (type === 's') value = shared[parseInt(raw, 10)] ?? null;
+        else if (type === 'b') value = raw === '1';
+        else if (type === 'str' || type === 'e') value = raw;
+        else {
+          value = Number(raw);
+          if (dateStyles.has(parseInt(xmlAttr(attrs, 's') || '0', 10))) value = serialToDateString(value);
+        }
+      }
+      while (row.length < index) row.push(null);
+      row[index] = value;
+    }
+    if (row.some(v => v !== null && v !== '')) rows.push(row);
+  }
+  return rows;
+}
+
+// ============================================================
+// Upload → table
+// ============================================================
+
+function importError(message) {
+  const err = new Error(message);
+  err.code = 'EIMPORT';
+  return err;
+}
+
+/**
+ * Parse an uploaded file into headers and rows.
+ * @param {{ format?: string, fileName?: string, content: string, delimiter?: string, hasFieldNames?: boolean }} upload
+ *   content is CSV text, or the XLSX file base64-encoded. The format comes
+ *   from fileName's extension when not given. Without field names the columns
+ *   are called F1, F2, ... as in Access.
+ * @returns {{ headers: string[], rows: Array<Array<*>>, firstRowNumber: number }}
+ *   firstRowNumber is the file row (1-based) of rows[0], for error reports.
+ */
+function parseUpload(upload) {
+  const { content, delimiter, fileName } = upload || {};
+  if (typeof content !== 'string' || content === '') throw importError('content is required');
+  const ext = (String(fileName || '').match(/\.(\w+)$/) || [])[1];
+  const format = String(upload.format || ext || 'csv').toLowerCase();
+
+  let rows;
+  if (format === 'xlsx') rows = parseXlsx(Buffer.from(content, 'base64'));
+  else if (format === 'csv' || format === 'txt') rows = parseCsv(content, delimiter);
+  else throw importError(`Unsupported import format "${format}" (expected csv or xlsx)`);
+
+  const hasFieldNames = upload.hasFieldNames !== false;
+  const width = rows.reduce((n, r) => Math.max(n, r.length), 0);
+  let headers;
+  if (hasFieldNames && rows.length > 0) {
+    const seen = new Map();
+    headers = [];
+    for (let i = 0; i < width; i++) {
+      let name = String(rows[0][i] ?? '').trim() || `F${i + 1}`;
+      // Duplicate headers get a numeric suffix so each maps separately
+      const key = name.toLowerCase();
+      if (seen.has(key)) {
+        seen.set(key, seen.get(key) + 1);
+        name = `${name}${seen.get(key)}`;
+      } else {
+        seen.set(key, 1);
+      }
+      headers.push(name);
+    }
+    rows = rows.slice(1);
+  } else {
+    headers = Array.from({ length: width }, (_, i) => `F${i + 1}`);
+  }
+  return { headers, rows, firstRowNumber: hasFieldNames ? 2 : 1 };
+}
+
+/**
+ * Default mapping: each header to the target column with the same
+ * converted name, or null when there is none. A file without field names
+ * maps by position instead, as Access does.
+ * @param {string[]} headers
+ * @param {string[]} targetColumns
+ * @param {boolean} [byPosition]
+ */
+function suggestMapping(headers, targetColumns, byPosition = false) {
+  const mapping = {};
+  if (byPosition) {
+    headers.forEach((h, i) => { mapping[h] = targetColumns[i] || null; });
+    return mapping;
+  }
+  // Same name conversion the Access import applies to columns
+  const byName = new Map(targetColumns.map(c => [sanitizeName(c), c]));
+  for (const h of headers) mapping[h] = byName.get(sanitizeName(String(h))) || null;
+  return mapping;
+}
+
+// ============================================================
+// Type inference (preview)
+// ============================================================
+
+const INT_RE = /^[-+]?\d+$/;
+const NUMBER_RE = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+const BOOLEAN_WORDS = new Set(['true', 'false', 'yes', 'no']);
+
+function isBlank(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+function parseDateText(text) {
+  return parseAccessDate(String(text).replace('T', ' ').replace(/(\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/, ''));
+}
+
+/**
+ * Access field descriptor for a column of raw values (blank values ignored):
+ * Yes/No, Number (Long Integer, Big Integer or Double), Date/Time, or Short
+ * Text sized to the longest value (Long Text past 255 characters).
+ */
+function inferFieldType(values) {
+  const present = values.filter(v => !isBlank(v));
+  if (present.length === 0) return { type: 'Short Text', maxLength: 255 };
+
+  if (present.every(v => typeof v === 'boolean' || BOOLEAN_WORDS.has(String(v).trim().toLowerCase()))) {
+    return { type: 'Yes/No' };
+  }
+  const texts = present.map(v => String(v).trim());
+  if (texts.every(t => INT_RE.test(t))) {
+    const fits = texts.every(t => Math.abs(Number(t)) <= 2147483647);
+    return { type: 'Number', fieldSize: fits ? 'Long Integer' : 'Big Integer' };
+  }
+  if (texts.every(t => NUMBER_RE.test(t))) return { type: 'Number', fieldSize: 'Double' };
+  if (texts.every(t => parseDateText(t))) return { type: 'Date/Time' };
+
+  const longest = texts.reduce((n, t) => Math.max(n, t.length), 0);
+  return longest > 255 ? { type: 'Long Text' } : { type: 'Short Text', maxLength: 255 };
+}
+
+// ============================================================
+// Coercion to a target column
+// ============================================================
+
+const INTEGER_RANGES = {
+  smallint: [-32768, 32767],
+  integer: [-2147483648, 2147483647],
+  bigint: [-(2n ** 63n), 2n ** 63n - 1n]
+};
+
+/**
+ * Convert a raw cell value for a target column described by
+ * information_schema.columns (data_type, character_maximum_length).
+ * Blank cells become null.
+ * @returns {{ value: * } | { error: string }}
+ */
+function coerceValue(raw, column) {
+  if (isBlank(raw)) return { value: null };
+  const text = typeof raw === 'string' ? raw.trim() : raw;
+  const type = column.data_type;
+
+  if (INTEGER_RANGES[type]) {
+    const s = String(text).replace(/,/g, '');
+    if (!INT_RE.test(s)) return { error: `"${raw}" is not a whole number` };
+    const [min, max] = INTEGER_RANGES[type];
+    const n = BigInt(s);
+    if (n < BigInt(min) || n > BigInt(max)) return { error: `${s} is out of range for ${type}` };
+    return { value: type === 'bigint' ? s : Number(s) };
+  }
+  if (type === 'numeric' || type === 'real' || type === 'double precision' || type === 'money') {
+    const s = String(text).replace(/[$,]/g, '');
+    if (!NUMBER_RE.test(s)) return { error: `"${raw}" is not a number` };
+    return { value: s };
+  }
+  if (type === 'boolean') {
+    if (typeof raw === 'boolean') return { value: raw };
+    const s = String(text).toLowerCase();
+    if (['true', 'yes', 'on', '-1', '1'].includes(s)) return { value: true };
+    if (['false', 'no', 'off', '0'].includes(s)) return { value: false };
+    return { error: `"${raw}" is not Yes/No` };
+  }
+  if (type === 'date' || type.startsWith('timestamp')) {
+    const parsed = parseDateText(text);
+    if (!parsed) return { error: `"${raw}" is not a date` };
+    return { value: type === 'date' ? parsed.value.slice(0, 10) : parsed.value };
+  }
+
+  const s = typeof raw === 'number' || typeof raw === 'boolean' ? String(raw) : raw;
+  if (column.character_maximum_length && s.length > column.character_maximum_length) {
+    return { error: `Text is longer than ${column.character_maximum_length} characters` };
+  }
+  return { value: s };
+}
+
+module.exports = {
+  parseCsv,
+  parseXlsx,
+  unzipEntries,
+  parseUpload,
+  suggestMapping,
+  inferFieldType,
+  coerceValue
+};
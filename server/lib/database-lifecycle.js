@@ -0,0 +1,1034 @@
+/**
+ * Database lifecycle: clone, rename, drop, back up and restore a converted
+ * database as a whole — its db_* schema together with every row the shared
+ * schema keeps for it (objects and their intents, the dependency graph,
+ * locked tests, row policies, attachments, ...).
+ *
+ * Copies are rebuilt from the catalog rather than with pg_dump, so they need
+ * nothing but the server's own connection: the source schema is described
+ * (sequences, tables, constraints, indexes, views, functions, triggers,
+ * comments) and replayed into a new schema, and the data follows. A backup
+ * archive is that description with the rows inlined, so restoring one is the
+ * same replay. Archives are written as they are read, never held whole.
+ *
+ * Copies read every row whatever the row policies: see readPastRowSecurity().
+ *
+ * Problems a caller can fix (a bad archive, a name that is taken) throw an
+ * error with code ELIFECYCLE and the HTTP status to report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AUDIT_TRIGGER, enableAudit } = require('./data-audit');
+const { applyTablePolicies } = require('./row-policies');
+const { dropSandboxRole } = require('./sql-sandbox');
+
+const ARCHIVE_FORMAT = 'accessclone-database';
+const ARCHIVE_VERSION = 1;
+const ATTACHMENTS_DIR = path.join(__dirname, '..', 'uploads', 'attachments');
+const INSERT_BATCH = 500;
+const BACKUP_BATCH = 1000;
+
+function lifecycleError(message, status = 400) {
+  const err = new Error(message);
+  err.code = 'ELIFECYCLE';
+  err.status = status;
+  return err;
+}
+
+function quoteIdent(name) {
+  return '"' + name.replace(/"/g, '""') + '"';
+}
+
+function quoteLiteral(value) {
+  return "'" + String(value).replace(/'/g, "''") + "'";
+}
+
+// ============================================================
+// Shared rows
+// ============================================================
+
+const OBJECTS = 'SELECT id FROM shared.objects WHERE database_id = $1';
+const NODES = 'SELECT id FROM shared._nodes WHERE database_id = $1';
+const RUNS = 'SELECT id FROM shared.import_runs WHERE database_id = $1';
+const TASKS = `SELECT id FROM shared.pipeline_tasks WHERE run_id IN (${RUNS})`;
+
+/**
+ * Everything the shared schema keeps per database, parents before children.
+ * `column` holds the database id; child tables have none and are selected by
+ * `where` ($1 = database id) through their parent. `carry` rows are the
+ * converted app and its design state, which clone and backup take along;
+ * the rest is history (events, import runs, the data audit trail) that
+ * rename moves and drop removes. A copied row gets a new `id`, and `remap`
+ * points its references at the copies of an earlier table's rows.
+ */
+const SHARED_TABLES = [
+  { table: 'objects', column: 'database_id', id: 'serial', carry: true },
+  { table: 'intents', where: `object_id IN (${OBJECTS})`, id: 'serial', remap: { object_id: 'objects' }, carry: true },
+  { table: 'evaluations', column: 'database_id', id: 'serial', remap: { object_id: 'objects' }, carry: true },
+  { table: 'forms', column: 'database_id', id: 'serial', carry: true },
+  { table: 'reports', column: 'database_id', id: 'serial', carry: true },
+  { table: 'modules', column: 'database_id', id: 'serial', carry: true },
+  { table: 'macros', column: 'database_id', id: 'serial', carry: true },
+  { table: '_nodes', column: 'database_id', id: 'uuid', carry: true },
+  { table: '_edges', where: `from_id IN (${NODES})`, id: 'uuid', remap: { from_id: '_nodes', to_id: '_nodes' }, carry: true },
+  { table: 'locked_tests', column: 'database_id', id: 'serial', carry: true },
+  { table: 'freeze_points', column: 'database_id', id: 'serial', carry: true },
+  { table: 'view_metadata', column: 'database_id', carry: true },
+  { table: 'control_column_map', column: 'database_id', carry: true },
+  { table: 'control_event_map', column: 'database_id', carry: true },
+  { table: 'source_discovery', column: 'database_id', id: 'serial', carry: true },
+  { table: 'gap_questions', column: 'database_id', carry: true },
+  { table: 'chat_transcripts', column: 'database_id', id: 'serial', carry: true },
+  { table: 'issues', column: 'database_id', id: 'serial', carry: true },
+  { table: 'attachments', column: 'database_id', id: 'serial', carry: true },
+  { table: 'row_policies', column: 'database_id', id: 'serial', carry: true },
+  { table: 'user_attributes', column: 'database_id', carry: true },
+  { table: 'schema_migrations', column: 'database_id', id: 'serial', carry: true },
+  // Roles only for users this server has (an archive may come from another)
+  { table: 'database_roles', column: 'database_id', carry: true, filter: 'user_id IN (SELECT user_id FROM shared.users)' },
+  { table: 'events', column: 'database_id' },
+  { table: 'import_log', column: 'target_database_id' },
+  { table: 'import_runs', column: 'database_id' },
+  { table: 'pipeline_tasks', where: `run_id IN (${RUNS})` },
+  { table: 'pipeline_task_attempts', where: `task_id IN (${TASKS})` },
+  { table: 'pipeline_task_evaluations', where: `task_id IN (${TASKS})` },
+  { table: 'andon_pulls', column: 'database_id' },
+  { table: 'data_audit', column: 'database_id' }
+];
+
+// Tables whose copied ids other rows are remapped to
+const REMAP_TARGETS = new Set(SHARED_TABLES.flatMap(e => Object.values(e.remap || {})));
+
+function rowsWhere(entry) {
+  return entry.where || `${entry.column} = $1`;
+}
+
+/**
+ * A database's shared rows as { table: [row, ...] }, rows as plain JSON.
+ * @param {boolean} carryOnly - just what clone and backup take along
+ */
+async function selectSharedRows(client, databaseId, carryOnly = true) {
+  const shared = {};
+  for (const entry of SHARED_TABLES) {
+    if (carryOnly && !entry.carry) continue;
+    const result = await client.query(
+      `SELECT to_jsonb(t) AS row FROM shared.${quoteIdent(entry.table)} t
+       WHERE ${rowsWhere(entry)}${entry.id ? ' ORDER BY id' : ''}`,
+      [databaseId]
+    );
+    shared[entry.table] = result.rows.map(r => r.row);
+  }
+  return shared;
+}
+
+/** New ids for rows other tables point at, as a Map from old to new. */
+async function allocateIds(client, entry, rows) {
+  if (entry.id === 'uuid') {
+    return new Map(rows.map(row => [row.id, crypto.randomUUID()]));
+  }
+  const result = await client.query(
+    `SELECT nextval(pg_get_serial_sequence($1, 'id'))::int AS id FROM generate_series(1, $2)`,
+    [`shared.${entry.table}`, rows.length]
+  );
+  return new Map(rows.map((row, i) => [row.id, result.rows[i].id]));
+}
+
+/**
+ * INSERT rows given as JSON objects, in batches. Only `columns` are written;
+ * the rest take their defaults.
+ */
+async function insertRows(client, table, columns, rows, { overriding = false, filter = null } = {}) {
+  if (rows.length === 0 || columns.length === 0) return;
+  const list = columns.map(quoteIdent).join(', ');
+  for (let i = 0; i < rows.length; i += INSERT_BATCH) {
+    await client.query(
+      `INSERT INTO ${table} (${list})${overriding ? ' OVERRIDING SYSTEM VALUE' : ''}
+       SELECT ${list} FROM jsonb_populate_recordset(NULL::${table}, $1::jsonb)` +
+      (filter ? ` WHERE ${filter}` : ''),
+      [JSON.stringify(rows.slice(i, i + INSERT_BATCH))]
+    );
+  }
+}
+
+/**
+ * Insert carried shared rows (from selectSharedRows or an archive) as
+ * another database's: database id replaced, ids regenerated, references
+ * remapped. Columns this server's tables don't have are dropped.
+ * @param {Function} [rewriteRow] - (table, row) => row, e.g. to move attachment paths
+ */
+async function insertSharedRows(client, databaseId, shared, rewriteRow = (table, row) => row) {
+  const live = await client.query(
+    `SELECT table_name, column_name FROM information_schema.columns WHERE table_schema = 'shared'`
+  );
+  const columnsOf = table => new Set(live.rows.filter(r => r.table_name === table).map(r => r.column_name));
+
+  const newIds = {};
+  for (const entry of SHARED_TABLES) {
+    const rows = entry.carry ? (shared[entry.table] || []) : [];
+    if (rows.length === 0) continue;
+    const ids = REMAP_TARGETS.has(entry.table) ? await allocateIds(client, entry, rows) : null;
+    if (ids) newIds[entry.table] = ids;
+
+    const prepared = rows.map(original => {
+      const row = { ...original };
+      if (entry.column) row[entry.column] = databaseId;
+      if (ids) row.id = ids.get(original.id);
+      else if (entry.id) delete row.id;
+      for (const [column, target] of Object.entries(entry.remap || {})) {
+        if (newIds[target]?.has(row[column])) row[column] = newIds[target].get(row[column]);
+      }
+      return rewriteRow(entry.table, row);
+    });
+    const present = columnsOf(entry.table);
+    const columns = [...new Set(prepared.flatMap(Object.keys))].filter(c => present.has(c));
+    await insertRows(client, `shared.${quoteIdent(entry.table)}`, columns, prepared, { filter: entry.filter });
+  }
+}
+
+// ============================================================
+// Describing a schema
+// ============================================================
+
+/** Audited tables and the key columns their audit trigger files history under. */
+async function auditedTables(client, schemaName) {
+  const result = await client.query(
+    `SELECT c.relname AS table_name,
+            (SELECT array_agg(a.attname::text ORDER BY k.ord)
+             FROM pg_index i
+             CROSS JOIN unnest(i.indkey) WITH ORDINALITY AS k(attnum, ord)
+             JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = k.attnum
+             WHERE i.indrelid = c.oid AND i.indisprimary) AS key_columns
+     FROM pg_trigger t
+     JOIN pg_class c ON c.oid = t.tgrelid
+     JOIN pg_namespace n ON n.oid = c.relnamespace
+     WHERE n.nspname = $1 AND t.tgname = $2
+     ORDER BY c.relname`,
+    [schemaName, AUDIT_TRIGGER]
+  );
+  return result.rows.filter(r => r.key_columns?.length);
+}
+
+/** pg_get_functiondef always schema-qualifies the name; the copy lives elsewhere. */
+function unqualifyFunction(def, schemaPrefix) {
+  const head = (def.match(/^CREATE OR REPLACE (FUNCTION|PROCEDURE) /) || [''])[0];
+  return def.startsWith(head + schemaPrefix + '.')
+    ? head + def.slice(head.length + schemaPrefix.length + 1)
+    : def;
+}
+
+/**
+ * A schema's tables with their columns and constraints (all of them, or just
+ * `tableName`). Definitions come out as the connection's search_path names
+ * things, so callers point it at the schema first (see describeSchema).
+ */
+async function describeTables(client, schemaName, tableName = null) {
+  const params = [schemaName, tableName];
+  const tables = await client.query(
+    `SELECT c.relname AS name, obj_description(c.oid, 'pg_class') AS comment
+     FROM pg_class c JOIN pg_namespace n ON n.oid = c.relnamespace
+     WHERE n.nspname = $1 AND c.relkind = 'r' AND ($2::text IS NULL OR c.relname = $2)
+     ORDER BY c.relname`,
+    params
+  );
+  const columns = await client.query(
+    `SELECT c.relname AS table_name, a.attname AS name, format_type(a.atttypid, a.atttypmod) AS type,
+            a.attnotnull AS not_null, a.attidentity AS identity, a.attgenerated AS generated,
+            pg_get_expr(d.adbin, d.adrelid) AS default_expr, col_description(c.oid, a.attnum) AS comment
+     FROM pg_attribute a
+     JOIN pg_class c ON c.oid = a.attrelid
+     JOIN pg_namespace n ON n.oid = c.relnamespace
+     LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+     WHERE n.nspname = $1 AND c.relkind = 'r' AND ($2::text IS NULL OR c.relname = $2)
+       AND a.attnum > 0 AND NOT a.attisdropped
+     ORDER BY c.relname, a.attnum`,
+    params
+  );
+  const constraints = await client.query(
+    `SELECT c.relname AS table_name, con.conname AS name, con.contype AS type,
+            pg_get_constraintdef(con.oid, true) AS def, obj_description(con.oid, 'pg_constraint') AS comment
+     FROM pg_constraint con
+     JOIN pg_class c ON c.oid = con.conrelid
+     JOIN pg_namespace n ON n.oid = c.relnamespace
+     WHERE n.nspname = $1 AND c.relkind = 'r' AND ($2::text IS NULL OR c.relname = $2)
+       AND con.contype IN ('p', 'u', 'c', 'x', 'f')
+       AND (con.contype <> 'c' OR con.conislocal)
+     ORDER BY c.relname, con.conname`,
+    params
+  );
+  return tables.rows.map(t => ({
+    name: t.name,
+    comment: t.comment,
+    columns: columns.rows.filter(c => c.table_name === t.name).map(({ table_name, ...c }) => c),
+    constraints: constraints.rows.filter(c => c.table_name === t.name).map(({ table_name, ...c }) => c)
+  }));
+}
+
+/** Indexes other than those backing a primary key, unique or exclusion constraint. */
+async function describeIndexes(client, schemaName, tableName = null) {
+  const result = await client.query(
+    `SELECT c.relname AS table_name, ic.relname AS name, pg_get_indexdef(i.indexrelid, 0, true) AS def
+     FROM pg_index i
+     JOIN pg_class c ON c.oid = i.indrelid
+     JOIN pg_class ic ON ic.oid = i.indexrelid
+     JOIN pg_namespace n ON n.oid = c.relnamespace
+     WHERE n.nspname = $1 AND c.relkind = 'r' AND ($2::text IS NULL OR c.relname = $2)
+       AND NOT EXISTS (
+         SELECT 1 FROM pg_constraint con
+         WHERE con.conindid = i.indexrelid AND con.contype IN ('p', 'u', 'x')
+       )
+     ORDER BY c.relname, ic.relname`,
+    [schemaName, tableName]
+  );
+  return result.rows;
+}
+
+/**
+ * Everything needed to re-create a schema's objects elsewhere. Must run in a
+ * transaction: it points search_path at the schema alone (SET LOCAL, so the
+ * connection's bound scope is back at COMMIT) so that definitions name the
+ * schema's own objects unqualified and everything else qualified.
+ */
+async function describeSchema(client, schemaName) {
+  await client.query("SELECT set_config('search_path', $1, true)", [quoteIdent(schemaName)]);
+  const params = [schemaName];
+
+  const sequences = await client.query(
+    `SELECT c.relname AS name, format_type(s.seqtypid, NULL) AS type, s.seqstart AS start,
+            s.seqincrement AS increment, s.seqmin AS min, s.seqmax AS max, s.seqcycle AS cycle,
+            ps.last_value, d.deptype = 'i' AS identity, t.relname AS owned_table, a.attname AS owned_column
+     FROM pg_class c
+     JOIN pg_namespace n ON n.oid = c.relnamespace
+     JOIN pg_sequence s ON s.seqrelid = c.oid
+     LEFT JOIN pg_sequences ps ON ps.schemaname = n.nspname AND ps.sequencename = c.relname
+     LEFT JOIN pg_depend d ON d.classid = 'pg_class'::regclass AND d.objid = c.oid AND d.deptype IN ('a', 'i')
+     LEFT JOIN pg_class t ON t.oid = d.refobjid
+     LEFT JOIN pg_attribute a ON a.attrelid = d.refobjid AND a.attnum = d.refobjsubid
+     WHERE n.nspname = $1 AND c.relkind = 'S'
+     ORDER BY c.relname`,
+    params
+  );
+  const views = await client.query(
+    `SELECT c.relname AS name, c.relkind = 'm' AS materialized,
+            pg_get_viewdef(c.oid, true) AS def, obj_description(c.oid, 'pg_class') AS comment
+     FROM pg_class c JOIN pg_namespace n ON n.oid = c.relnamespace
+     WHERE n.nspname = $1 AND c.relkind IN ('v', 'm')
+     ORDER BY c.relname`,
+    params
+  );
+  // Functions and procedures, leaving out those an extension installed
+  const functions = await client.query(
+    `SELECT p.proname AS name, pg_get_functiondef(p.oid) AS def, quote_ident(n.nspname) AS schema_prefix
+     FROM pg_proc p JOIN pg_namespace n ON n.oid = p.pronamespace
+     WHERE n.nspname = $1 AND p.prokind IN ('f', 'p')
+       AND NOT EXISTS (
+         SELECT 1 FROM pg_depend d
+         WHERE d.classid = 'pg_proc'::regclass AND d.objid = p.oid AND d.deptype = 'e'
+       )
+     ORDER BY p.proname`,
+    params
+  );
+  // The audit trigger carries the database id, so it is re-created rather than copied
+  const triggers = await client.query(
+    `SELECT c.relname AS table_name, t.tgname AS name, pg_get_triggerdef(t.oid, true) AS def
+     FROM pg_trigger t
+     JOIN pg_class c ON c.oid = t.tgrelid
+     JOIN pg_namespace n ON n.oid = c.relnamespace
+     WHERE n.nspname = $1 AND NOT t.tgisinternal AND t.tgname <> $2
+     ORDER BY c.relname, t.tgname`,
+    [schemaName, AUDIT_TRIGGER]
+  );
+
+  return {
+    tables: await describeTables(client, schemaName),
+    indexes: (await describeIndexes(client, schemaName)).map(r => r.def),
+    sequences: sequences.rows,
+    views: views.rows,
+    functions: functions.rows.map(f => ({ name: f.name, def: unqualifyFunction(f.def, f.schema_prefix) })),
+    triggers: triggers.rows,
+    audited: await auditedTables(client, schemaName)
+  };
+}
+
+// ============================================================
+// Building a schema from a description
+// ============================================================
+
+function columnSql(column) {
+  let sql = `${quoteIdent(column.name)} ${column.type}`;
+  if (column.generated === 's') sql += ` GENERATED ALWAYS AS (${column.default_expr}) STORED`;
+  else if (column.identity) sql += ` GENERATED ${column.identity === 'a' ? 'ALWAYS' : 'BY DEFAULT'} AS IDENTITY`;
+  else if (column.default_expr != null) sql += ` DEFAULT ${column.default_expr}`;
+  if (column.not_null) sql += ' NOT NULL';
+  return sql;
+}
+
+function sequenceSql(seq) {
+  return `CREATE SEQUENCE ${quoteIdent(seq.name)} AS ${seq.type}` +
+    ` INCREMENT BY ${seq.increment} MINVALUE ${seq.min} MAXVALUE ${seq.max}` +
+    ` START WITH ${seq.start}${seq.cycle ? ' CYCLE' : ' NO CYCLE'}`;
+}
+
+/** Columns a row copy writes: everything but generated columns. */
+function writableColumns(table) {
+  return table.columns.filter(c => c.generated !== 's').map(c => c.name);
+}
+
+/**
+ * Run CREATE statements whose dependencies on each other aren't known (views
+ * on views, functions returning a view's rows): each pass runs what it can,
+ * until a pass makes no progress and the last error is thrown.
+ */
+async function createInDependencyOrder(client, statements) {
+  let pending = statements;
+  while (pending.length > 0) {
+    const failed = [];
+    let lastError;
+    for (const sql of pending) {
+      await client.query('SAVEPOINT ac_create');
+      try {
+        await client.query(sql);
+        await client.query('RELEASE SAVEPOINT ac_create');
+      } catch (err) {
+        await client.query('ROLLBACK TO SAVEPOINT ac_create');
+        failed.push(sql);
+        lastError = err;
+      }
+    }
+    if (failed.length === pending.length) throw lastError;
+    pending = failed;
+  }
+}
+
+/**
+ * Create a schema from describeSchema() output. Tables are filled by
+ * `loadTable(table)` before indexes, foreign keys and triggers exist, so
+ * rows load in any order and no trigger fires on them. Must run in a
+ * transaction (SET LOCAL search_path, as in describeSchema).
+ */
+async function buildSchema(client, schemaName, description, loadTable) {
+  await client.query(`CREATE SCHEMA ${quoteIdent(schemaName)}`);
+  await client.query(
+    "SELECT set_config('search_path', $1, true), set_config('check_function_bodies', 'off', true)",
+    [quoteIdent(schemaName)]
+  );
+
+  const plainSequences = description.sequences.filter(s => !s.identity);
+  for (const seq of plainSequences) {
+    await client.query(sequenceSql(seq));
+  }
+  for (const table of description.tables) {
+    await client.query(`CREATE TABLE ${quoteIdent(table.name)} (${table.columns.map(columnSql).join(', ')})`);
+    for (const con of table.constraints.filter(c => c.type !== 'f')) {
+      await client.query(`ALTER TABLE ${quoteIdent(table.name)} ADD CONSTRAINT ${quoteIdent(con.name)} ${con.def}`);
+    }
+  }
+  for (const seq of plainSequences.filter(s => s.owned_table)) {
+    await client.query(
+      `ALTER SEQUENCE ${quoteIdent(seq.name)} OWNED BY ${quoteIdent(seq.owned_table)}.${quoteIdent(seq.owned_column)}`
+    );
+  }
+
+  for (const table of description.tables) {
+    await loadTable(table);
+  }
+  for (const seq of description.sequences.filter(s => s.last_value != null)) {
+    if (seq.identity) {
+      await client.query('SELECT setval(pg_get_serial_sequence($1, $2), $3)',
+        [quoteIdent(seq.owned_table), seq.owned_column, seq.last_value]);
+    } else {
+      await client.query('SELECT setval($1::regclass, $2)', [quoteIdent(seq.name), seq.last_value]);
+    }
+  }
+
+  for (const def of description.indexes) {
+    await client.query(def);
+  }
+  for (const table of description.tables) {
+    for (const con of table.constraints.filter(c => c.type === 'f')) {
+      await client.query(`ALTER TABLE ${quoteIdent(table.name)} ADD CONSTRAINT ${quoteIdent(con.name)} ${con.def}`);
+    }
+  }
+  await createInDependencyOrder(client, [
+    ...description.functions.map(f => f.def),
+    ...description.views.map(v =>
+      `CREATE ${v.materialized ? 'MATERIALIZED ' : ''}VIEW ${quoteIdent(v.name)} AS ${v.def.trim().replace(/;$/, '')}`)
+  ]);
+  for (const trigger of description.triggers) {
+    await client.query(trigger.def);
+  }
+
+  for (const table of description.tables) {
+    if (table.comment != null) {
+      await client.query(`COMMENT ON TABLE ${quoteIdent(table.name)} IS ${quoteLiteral(table.comment)}`);
+    }
+    for (const column of table.columns.filter(c => c.comment != null)) {
+      await client.query(
+        `COMMENT ON COLUMN ${quoteIdent(table.name)}.${quoteIdent(column.name)} IS ${quoteLiteral(column.comment)}`
+      );
+    }
+    // Validation rule messages (lib/validation-rules.js)
+    for (const con of table.constraints.filter(c => c.comment != null)) {
+      await client.query(
+        `COMMENT ON CONSTRAINT ${quoteIdent(con.name)} ON ${quoteIdent(table.name)} IS ${quoteLiteral(con.comment)}`
+      );
+    }
+  }
+  for (const view of description.views.filter(v => v.comment != null)) {
+    await client.query(
+      `COMMENT ON ${view.materialized ? 'MATERIALIZED VIEW' : 'VIEW'} ${quoteIdent(view.name)} IS ${quoteLiteral(view.comment)}`
+    );
+  }
+}
+
+/**
+ * Re-create what embeds the database id in a schema: audit triggers and the
+ * RLS policies declared in shared.row_policies.
+ * @param {Array<{table_name: string, key_columns: string[]}>} audited
+ */
+async function rebindSchema(client, schemaName, databaseId, audited) {
+  for (const { table_name, key_columns } of audited) {
+    await enableAudit(client, schemaName, databaseId, table_name, key_columns);
+  }
+  const declared = await client.query(
+    'SELECT * FROM shared.row_policies WHERE database_id = $1 ORDER BY table_name, policy_name',
+    [databaseId]
+  );
+  const tables = [...new Set(declared.rows.map(p => p.table_name))];
+  for (const table of tables) {
+    await applyTablePolicies(client, schemaName, databaseId, table, declared.rows.filter(p => p.table_name === table));
+  }
+}
+
+// ============================================================
+// Checking an archive's definitions
+// ============================================================
+
+// An identifier as it reads once maskSql() has blanked a quoted one's inside
+const IDENT = '(?:"[^"]*"|[A-Za-z_][A-Za-z0-9_$]*)';
+const UNQUALIFIED = `${IDENT}(?![A-Za-z0-9_$]|\\s*\\.)`;
+const INTEGER_TYPES = ['smallint', 'integer', 'bigint'];
+const CONSTRAINT_TYPES = ['p', 'u', 'c', 'x', 'f'];
+const TYPE_RE = new RegExp(
+  `^(?:${IDENT}\\.)?${IDENT}(?: (?:varying|precision|with|without|time|zone|year|month|day|hour|minute|second|to))*` +
+  '(?: ?\\(\\d+(?:, ?\\d+)?\\))?(?: (?:with|without) time zone)?(?:\\[\\d*\\])*$', 'i'
+);
+const DEFINITION_RE = {
+  p: /^PRIMARY KEY\s*\(/i,
+  u: /^UNIQUE\b/i,
+  c: /^CHECK\s*\(/i,
+  x: /^EXCLUDE\b/i,
+  f: new RegExp(`^FOREIGN KEY\\s*\\([^)]*\\)\\s*REFERENCES\\s+${UNQUALIFIED}`, 'i'),
+  index: new RegExp(`^CREATE (?:UNIQUE )?INDEX ${UNQUALIFIED} ON (?:ONLY )?${UNQUALIFIED} USING \\w+ \\(`, 'i'),
+  function: new RegExp(`^CREATE OR REPLACE (?:FUNCTION|PROCEDURE) ${UNQUALIFIED}\\s*\\(`, 'i'),
+  trigger: new RegExp(
+    `^CREATE (?:CONSTRAINT )?TRIGGER ${UNQUALIFIED}\\s+(?:BEFORE|AFTER|INSTEAD OF)\\s[^]*\\sEXECUTE (?:FUNCTION|PROCEDURE)\\s`, 'i'
+  ),
+  // From a trigger's first ON: the table it is on
+  triggerTable: new RegExp(`^\\sON\\s+${UNQUALIFIED}`, 'i'),
+  view: /^\(*\s*(?:SELECT|WITH|VALUES)\b/i
+};
+
+/**
+ * `sql` with the insides of string literals, quoted identifiers,
+ * dollar-quoted bodies and comments blanked out, so its structure can be
+ * checked without being fooled by what they contain. Null if one of them
+ * is never closed.
+ */
+function maskSql(sql) {
+  let out = '';
+  let i = 0;
+  while (i < sql.length) {
+    const rest = sql.slice(i);
+    let length = 0;
+    let keep = 0;
+    if (rest.startsWith('--')) {
+      const end = rest.indexOf('\n');
+      length = end === -1 ? rest.length : end;
+    } else if (rest.startsWith('/*')) {
+      // Block comments nest
+      let depth = 0;
+      for (let j = 0; j < rest.length; j++) {
+        if (rest.startsWith('/*', j)) { depth++; j++; } else if (rest.startsWith('*/', j)) { depth--; j++; }
+        if (depth === 0) { length = j + 1; break; }
+      }
+      if (depth > 0) return null;
+    } else if (rest[0] === "'" || rest[0] === '"') {
+      const quote = rest[0];
+      const backslashes = quote === "'" && /(^|[^A-Za-z0-9_$])[Ee]$/.test(sql.slice(0, i));
+      let j = 1;
+      while (j < rest.length) {
+        if (backslashes && rest[j] === '\\') j += 2;
+        else if (rest[j] === quote && rest[j + 1] === quote) j += 2;
+        else if (rest[j] === quote) break;
+        else j++;
+      }
+      if (j >= rest.length) return null;
+      length = j + 1;
+      keep = 1;
+    } else if (rest[0] === '$' && !/[A-Za-z0-9_$]$/.test(out)) {
+      const tag = (rest.match(/^\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/) || [])[0];
+      if (tag) {
+        const end = rest.indexOf(tag, tag.length);
+        if (end === -1) return null;
+        length = end + tag.length;
+        keep = tag.length;
+      }
+    }
+    if (length === 0) {
+      out += sql[i++];
+      continue;
+    }
+    out += keep ? rest.slice(0, keep) + ' '.repeat(length - 2 * keep) + rest.slice(length - keep, length) : ' '.repeat(length);
+    i += length;
+  }
+  return out;
+}
+
+/**
+ * Whether masked SQL is one piece: no statement separator, parentheses that
+ * balance, and (unless `commas`) no comma outside them — so a definition
+ * spliced into a statement can't end it or add clauses of its own.
+ */
+function isOnePiece(masked, { commas = false } = {}) {
+  let depth = 0;
+  for (const ch of masked) {
+    if (ch === ';') return false;
+    if (ch === '(') depth++;
+    else if (ch === ')' && --depth < 0) return false;
+    else if (ch === ',' && depth === 0 && !commas) return false;
+  }
+  return depth === 0;
+}
+
+/**
+ * Throw ELIFECYCLE unless every definition an archive's schema carries is a
+ * single piece of the kind buildSchema() splices it in as, aimed at the
+ * schema being built: an archive is user input, and the definitions run as
+ * the server's role. Names are always quoted, so only the SQL is checked.
+ * @param {Object} description - describeSchema() output from an archive
+ * @param {Object[]} [rowPolicies] - the archive's shared.row_policies rows
+ */
+function checkArchiveDefinitions(description, rowPolicies = []) {
+  const check = (ok, what, text) => {
+    if (!ok) throw lifecycleError(`Invalid ${what} in archive: ${String(text).slice(0, 200)}`);
+  };
+  const piece = (text, what, pattern, options) => {
+    check(typeof text === 'string', what, text);
+    const masked = maskSql(text.trim().replace(/;$/, ''));
+    check(masked !== null && isOnePiece(masked, options) && (!pattern || pattern.test(masked)), what, text);
+    return masked;
+  };
+  const name = (value, what) => check(typeof value === 'string' && value.length > 0, what, value);
+
+  for (const seq of description.sequences || []) {
+    name(seq.name, 'sequence name');
+    if (seq.identity) continue;
+    check(INTEGER_TYPES.includes(seq.type), 'sequence type', seq.type);
+    for (const field of ['start', 'increment', 'min', 'max']) {
+      check(/^-?\d+$/.test(String(seq[field])), `sequence ${field}`, seq[field]);
+    }
+  }
+  for (const table of description.tables) {
+    name(table.name, 'table name');
+    for (const column of table.columns || []) {
+      name(column.name, 'column name');
+      check(typeof column.type === 'string' && TYPE_RE.test((maskSql(column.type) || '').replace(/\s+/g, ' ').trim()),
+        'column type', column.type);
+      if (column.default_expr != null) piece(column.default_expr, 'column default');
+    }
+    for (const con of table.constraints || []) {
+      name(con.name, 'constraint name');
+      check(CONSTRAINT_TYPES.includes(con.type), 'constraint type', con.type);
+      piece(con.def, 'constraint', DEFINITION_RE[con.type]);
+    }
+  }
+  for (const def of description.indexes || []) {
+    piece(def, 'index', DEFINITION_RE.index);
+  }
+  for (const view of description.views || []) {
+    name(view.name, 'view name');
+    piece(view.def, 'view', DEFINITION_RE.view, { commas: true });
+  }
+  for (const fn of description.functions || []) {
+    const masked = piece(fn.def, 'function', DEFINITION_RE.function, { commas: true });
+    // It would run as the server's role for whoever calls it
+    check(!/\bSECURITY\s+DEFINER\b/i.test(masked), 'function (SECURITY DEFINER)', fn.def);
+  }
+  for (const trigger of description.triggers || []) {
+    const masked = piece(trigger.def, 'trigger', DEFINITION_RE.trigger, { commas: true });
+    const on = masked.search(/\sON\s/i);
+    check(on !== -1 && DEFINITION_RE.triggerTable.test(masked.slice(on)), 'trigger', trigger.def);
+  }
+  for (const policy of rowPolicies) {
+    if (policy.expression != null) piece(policy.expression, 'row policy expression');
+  }
+}
+
+// ============================================================
+// Attachments
+// ============================================================
+
+/** A stored attachment path relative to a database's attachment folder, or null if outside it. */
+function attachmentPath(filePath, databaseDir) {
+  const relative = path.relative(databaseDir, filePath || '');
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) return null;
+  return relative.split(path.sep).join('/');
+}
+
+/** Where a relative attachment path lands in a database's folder; refuses to leave it. */
+function attachmentTarget(relative, databaseDir) {
+  const target = path.join(databaseDir, ...relative.split('/'));
+  if (attachmentPath(target, databaseDir) === null) {
+    throw lifecycleError(`Invalid attachment path "${relative}" in archive`);
+  }
+  return target;
+}
+
+/** rewriteRow for insertSharedRows: point copied attachment rows at the new folder. */
+function moveAttachmentRows(fromDir, toDir) {
+  return (table, row) => {
+    if (table !== 'attachments') return row;
+    const relative = attachmentPath(row.file_path, fromDir);
+    return relative === null ? row : { ...row, file_path: attachmentTarget(relative, toDir) };
+  };
+}
+
+// ============================================================
+// Operations
+// ============================================================
+
+/** Run fn(client) in a transaction on one connection. */
+async function inTransaction(pool, fn, begin = 'BEGIN') {
+  const client = await pool.connect();
+  try {
+    await client.query(begin);
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Let a copy read every row of a schema's tables. Row policies are FORCEd
+ * (lib/row-policies.js), so without an app.user_id they would hide some or
+ * all rows of a table without a word. This lifts FORCE ROW LEVEL SECURITY
+ * until reforceRowSecurity(), so the server's role, which owns the tables,
+ * reads them in full; that locks those tables until the transaction ends.
+ * It also turns row_security off, so a policy still in the way (on a table
+ * the role doesn't own) fails the copy instead of shortening it.
+ * @returns {Promise<string[]>} the tables to pass to reforceRowSecurity()
+ */
+async function readPastRowSecurity(client, schemaName) {
+  const forced = await client.query(
+    `SELECT c.relname FROM pg_class c JOIN pg_namespace n ON n.oid = c.relnamespace
+     WHERE n.nspname = $1 AND c.relkind IN ('r', 'p') AND c.relforcerowsecurity
+     ORDER BY c.relname`,
+    [schemaName]
+  );
+  const tables = forced.rows.map(r => r.relname);
+  for (const name of tables) {
+    await client.query(`ALTER TABLE ${quoteIdent(schemaName)}.${quoteIdent(name)} NO FORCE ROW LEVEL SECURITY`);
+  }
+  await client.query('SET LOCAL row_security = off');
+  return tables;
+}
+
+async function reforceRowSecurity(client, schemaName, tables) {
+  for (const name of tables) {
+    await client.query(`ALTER TABLE ${quoteIdent(schemaName)}.${quoteIdent(name)} FORCE ROW LEVEL SECURITY`);
+  }
+}
+
+async function insertDatabaseRow(client, target) {
+  const existing = await client.query(
+    'SELECT 1 FROM shared.databases WHERE database_id = $1 OR schema_name = $2',
+    [target.database_id, target.schema_name]
+  );
+  if (existing.rows.length > 0) {
+    throw lifecycleError(`Database "${target.database_id}" already exists`, 409);
+  }
+  await client.query(
+    'INSERT INTO shared.databases (database_id, name, schema_name, description) VALUES ($1, $2, $3, $4)',
+    [target.database_id, target.name, target.schema_name, target.description || null]
+  );
+}
+
+/**
+ * Copy a database: a new schema with the same objects and rows, and copies
+ * of its carried shared rows and attachment files. History stays behind.
+ * @param {Object} source - shared.databases row
+ * @param {Object} target - { database_id, name, schema_name, description }
+ * @returns {Promise<{tables: number, shared: Object}>} table count and shared rows copied per table
+ */
+async function cloneDatabase(pool, source, target, { attachmentsDir = ATTACHMENTS_DIR } = {}) {
+  const fromDir = path.join(attachmentsDir, source.database_id);
+  const toDir = path.join(attachmentsDir, target.database_id);
+
+  const summary = await inTransaction(pool, async (client) => {
+    await insertDatabaseRow(client, target);
+    const description = await describeSchema(client, source.schema_name);
+    const forced = await readPastRowSecurity(client, source.schema_name);
+    const from = quoteIdent(source.schema_name);
+    const to = quoteIdent(target.schema_name);
+    await buildSchema(client, target.schema_name, description, async (table) => {
+      const list = writableColumns(table).map(quoteIdent).join(', ');
+      if (!list) return;
+      await client.query(
+        `INSERT INTO ${to}.${quoteIdent(table.name)} (${list}) OVERRIDING SYSTEM VALUE
+         SELECT ${list} FROM ${from}.${quoteIdent(table.name)}`
+      );
+    });
+    await reforceRowSecurity(client, source.schema_name, forced);
+    const shared = await selectSharedRows(client, source.database_id);
+    await insertSharedRows(client, target.database_id, shared, moveAttachmentRows(fromDir, toDir));
+    await rebindSchema(client, target.schema_name, target.database_id, description.audited);
+    return { tables: description.tables.length, shared: countRows(shared) };
+  });
+
+  if (fs.existsSync(fromDir)) fs.cpSync(fromDir, toDir, { recursive: true });
+  return summary;
+}
+
+/**
+ * Give a database a new id (and with it schema db_<id>), moving its schema,
+ * every shared row including history, saved UI state and attachment files.
+ * @returns {Promise<Object>} the new shared.databases row
+ */
+async function renameDatabase(pool, database, newId, { attachmentsDir = ATTACHMENTS_DIR } = {}) {
+  const oldId = database.database_id;
+  const schemaName = 'db_' + newId;
+  const fromDir = path.join(attachmentsDir, oldId);
+  const toDir = path.join(attachmentsDir, newId);
+
+  const renamed = await inTransaction(pool, async (client) => {
+    const existing = await client.query(
+      'SELECT 1 FROM shared.databases WHERE database_id = $1 OR (schema_name = $2 AND database_id <> $3)',
+      [newId, schemaName, oldId]
+    );
+    if (existing.rows.length > 0) {
+      throw lifecycleError(`Database "${newId}" already exists`, 409);
+    }
+    // New row first so foreign keys to shared.databases can move over to it
+    const inserted = await client.query(
+      `INSERT INTO shared.databases (database_id, name, schema_name, description, last_accessed, created_at, archived_at)
+       SELECT $2, name, $3, description, last_accessed, created_at, archived_at
+       FROM shared.databases WHERE database_id = $1
+       RETURNING *`,
+      [oldId, newId, schemaName]
+    );
+    for (const entry of SHARED_TABLES.filter(e => e.column)) {
+      await client.query(
+        `UPDATE shared.${quoteIdent(entry.table)} SET ${entry.column} = $2 WHERE ${entry.column} = $1`,
+        [oldId, newId]
+      );
+    }
+    await client.query('UPDATE shared.applications SET database_id = $2 WHERE database_id = $1', [oldId, newId]);
+    await client.query(
+      `UPDATE shared.ui_state SET state = jsonb_set(state, '{database_id}', to_jsonb($2::text))
+       WHERE state->>'database_id' = $1`,
+      [oldId, newId]
+    );
+    await client.query(
+      `UPDATE shared.attachments SET file_path = $3::text || substr(file_path, length($2::text) + 1)
+       WHERE database_id = $1 AND left(file_path, length($2::text)) = $2::text`,
+      [newId, fromDir + path.sep, toDir + path.sep]
+    );
+    await client.query('DELETE FROM shared.databases WHERE database_id = $1', [oldId]);
+
+    if (database.schema_name !== schemaName) {
+      await client.query(`ALTER SCHEMA ${quoteIdent(database.schema_name)} RENAME TO ${quoteIdent(schemaName)}`);
+      // The new name gets its own ad-hoc SQL role on first use
+      await dropSandboxRole(client, database.schema_name);
+    }
+    await rebindSchema(client, schemaName, newId, await auditedTables(client, schemaName));
+    return inserted.rows[0];
+  });
+
+  if (fs.existsSync(fromDir)) fs.renameSync(fromDir, toDir);
+  return renamed;
+}
+
+/**
+ * Remove a database completely: its schema, every shared row including
+ * history, and its attachment files. Applications that lived in it are
+ * kept, with no database.
+ * @returns {Promise<Object>} shared rows removed per table
+ */
+async function dropDatabase(pool, database, { attachmentsDir = ATTACHMENTS_DIR } = {}) {
+  const removed = await inTransaction(pool, async (client) => {
+    const counts = {};
+    for (const entry of [...SHARED_TABLES].reverse()) {
+      const result = await client.query(
+        `DELETE FROM shared.${quoteIdent(entry.table)} WHERE ${rowsWhere(entry)}`,
+        [database.database_id]
+      );
+      if (result.rowCount) counts[entry.table] = result.rowCount;
+    }
+    await client.query('UPDATE shared.applications SET database_id = NULL WHERE database_id = $1', [database.database_id]);
+    await client.query('DELETE FROM shared.databases WHERE database_id = $1', [database.database_id]);
+    await client.query(`DROP SCHEMA IF EXISTS ${quoteIdent(database.schema_name)} CASCADE`);
+    await dropSandboxRole(client, database.schema_name);
+    return counts;
+  });
+
+  fs.rmSync(path.join(attachmentsDir, database.database_id), { recursive: true, force: true });
+  return removed;
+}
+
+function countRows(shared) {
+  return Object.fromEntries(Object.entries(shared).filter(([, rows]) => rows.length).map(([t, rows]) => [t, rows.length]));
+}
+
+/** Write to a stream, waiting while it is full. Throws once it has been closed. */
+async function writeOut(output, text) {
+  if (output.destroyed) throw new Error('The backup was cancelled');
+  if (output.write(text)) return;
+  await new Promise(resolve => {
+    const done = () => {
+      output.off('drain', done);
+      output.off('close', done);
+      resolve();
+    };
+    output.on('drain', done);
+    output.on('close', done);
+  });
+  if (output.destroyed) throw new Error('The backup was cancelled');
+}
+
+/** A JSON object's text without its closing brace, to append more members to. */
+function openObject(value) {
+  return JSON.stringify(value).slice(0, -1);
+}
+
+/**
+ * Write a portable archive of one database to `output` as JSON text: its
+ * schema description with every table's rows, its carried shared rows and
+ * its attachment files (base64). Rows are read with a cursor and written a
+ * batch at a time, waiting on `output` when it is full, so an archive of any
+ * size passes through in bounded memory. Read in one snapshot, so it is
+ * consistent even while the database is in use.
+ * @param {stream.Writable} output - left open; the caller ends it
+ * @returns {Promise<{tables: number, rows: number, shared: Object, attachments: number}>}
+ */
+async function backupDatabase(pool, database, output, { attachmentsDir = ATTACHMENTS_DIR } = {}) {
+  const databaseDir = path.join(attachmentsDir, database.database_id);
+  const header = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    created_at: new Date().toISOString(),
+    database: { database_id: database.database_id, name: database.name, description: database.description }
+  };
+
+  const { rows, shared, tables } = await inTransaction(pool, async (client) => {
+    const { tables: described, ...rest } = await describeSchema(client, database.schema_name);
+    const forced = await readPastRowSecurity(client, database.schema_name);
+    let count = 0;
+    await writeOut(output, `${openObject(header)},"schema":{"tables":[`);
+    for (const [i, table] of described.entries()) {
+      await writeOut(output, `${i > 0 ? ',' : ''}${openObject(table)},"rows":[`);
+      await client.query(
+        `DECLARE backup_rows NO SCROLL CURSOR FOR
+         SELECT to_jsonb(t)::text AS row FROM ${quoteIdent(database.schema_name)}.${quoteIdent(table.name)} t`
+      );
+      let written = 0;
+      for (;;) {
+        const batch = await client.query(`FETCH ${BACKUP_BATCH} FROM backup_rows`);
+        if (batch.rows.length > 0) {
+          await writeOut(output, (written > 0 ? ',' : '') + batch.rows.map(r => r.row).join(','));
+          written += batch.rows.length;
+        }
+        if (batch.rows.length < BACKUP_BATCH) break;
+      }
+      count += written;
+      await client.query('CLOSE backup_rows');
+      await writeOut(output, ']}');
+    }
+    await writeOut(output, `]${Object.entries(rest).map(([key, value]) => `,${JSON.stringify(key)}:${JSON.stringify(value)}`).join('')}}`);
+    await reforceRowSecurity(client, database.schema_name, forced);
+    return { rows: count, shared: await selectSharedRows(client, database.database_id), tables: described.length };
+  }, 'BEGIN ISOLATION LEVEL REPEATABLE READ');
+
+  // Attachment rows travel with paths relative to the database's folder
+  const files = [];
+  shared.attachments = (shared.attachments || []).map(row => {
+    const relative = attachmentPath(row.file_path, databaseDir);
+    if (relative === null) return row;
+    files.push(relative);
+    return { ...row, file_path: relative };
+  });
+  await writeOut(output, `,"shared":${JSON.stringify(shared)},"attachments":[`);
+  let attachments = 0;
+  for (const relative of files) {
+    const filePath = path.join(databaseDir, ...relative.split('/'));
+    if (!fs.existsSync(filePath)) continue;
+    const content = (await fs.promises.readFile(filePath)).toString('base64');
+    await writeOut(output, `${attachments > 0 ? ',' : ''}${JSON.stringify({ path: relative, content })}`);
+    attachments++;
+  }
+  await writeOut(output, ']}');
+  return { tables, rows, shared: countRows(shared), attachments };
+}
+
+/**
+ * Throws ELIFECYCLE unless `archive` is one backupDatabase() could have made,
+ * with definitions that are safe to build (checkArchiveDefinitions).
+ */
+function validateArchive(archive) {
+  if (!archive || archive.format !== ARCHIVE_FORMAT) {
+    throw lifecycleError('Not an AccessClone database archive');
+  }
+  if (archive.version !== ARCHIVE_VERSION) {
+    throw lifecycleError(`Unsupported archive version ${archive.version}`);
+  }
+  if (!archive.schema || !Array.isArray(archive.schema.tables) || !archive.shared || typeof archive.shared !== 'object') {
+    throw lifecycleError('Archive is incomplete');
+  }
+  checkArchiveDefinitions(archive.schema, archive.shared.row_policies || []);
+}
+
+/**
+ * Restore an archive as a new database.
+ * @param {Object} target - { database_id, name, schema_name, description }
+ * @returns {Promise<{tables: number, rows: number, shared: Object, attachments: number}>}
+ */
+async function restoreDatabase(pool, archive, target, { attachmentsDir = ATTACHMENTS_DIR } = {}) {
+  validateArchive(archive);
+  const databaseDir = path.join(attachmentsDir, target.database_id);
+  const files = (archive.attachments || []).map(f => ({ target: attachmentTarget(f.path, databaseDir), content: f.content }));
+
+  const summary = await inTransaction(pool, async (client) => {
+    await insertDatabaseRow(client, target);
+    let rows = 0;
+    const table = name => `${quoteIdent(target.schema_name)}.${quoteIdent(name)}`;
+    await buildSchema(client, target.schema_name, archive.schema, async (t) => {
+      await insertRows(client, table(t.name), writableColumns(t), t.rows || [], { overriding: true });
+      rows += (t.rows || []).length;
+    });
+    await insertSharedRows(client, target.database_id, archive.shared, (name, row) =>
+      (name === 'attachments' && !path.isAbsolute(row.file_path || '')
+        ? { ...row, file_path: attachmentTarget(row.file_path, databaseDir) }
+        : row));
+    await rebindSchema(client, target.schema_name, target.database_id, archive.schema.audited || []);
+    return { tables: archive.schema.tables.length, rows, shared: countRows(archive.shared) };
+  });
+
+  for (const file of files) {
+    fs.mkdirSync(path.dirname(file.target), { recursive: true });
+    fs.writeFileSync(file.target, Buffer.from(file.content, 'base64'));
+  }
+  return { ...summary, attachments: files.length };
+}
+
+module.exports = {
+  ARCHIVE_FORMAT, ARCHIVE_VERSION, ATTACHMENTS_DIR, SHARED_TABLES,
+  describeSchema, describeTables, describeIndexes, buildSchema, columnSql,
+  selectSharedRows, insertSharedRows, unqualifyFunction, maskSql, checkArchiveDefinitions,
+  cloneDatabase, renameDatabase, dropDatabase, backupDatabase, restoreDatabase, validateArchive
+};
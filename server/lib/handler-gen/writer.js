@@ -39,9 +39,11 @@ function escapeJsonString(str) {
  * @param {string} databaseId - Database slug (e.g. 'northwind4')
  * @param {string} moduleName - Module name (e.g. 'Form_frmAbout')
  * @param {Array} handlers - Array of handler objects from parseVbaToHandlers
+ * @param {Object} [jsModule] - The module translated whole (vba-module-to-js translateModule),
+ *   for standard and class modules; exported as `jsModule`
  * @returns {{ filePath: string, relativePath: string }}
  */
-function writeHandlerFile(databaseId, moduleName, handlers) {
+function writeHandlerFile(databaseId, moduleName, handlers, jsModule) {
   const dir = path.join(GENERATED_DIR, databaseId);
   fs.mkdirSync(dir, { recursive: true });
 
@@ -60,13 +62,21 @@ function writeHandlerFile(databaseId, moduleName, handlers) {
   }`;
   });
 
+  const moduleExport = jsModule ? `
+export const jsModule = {
+  name: "${escapeJsonString(jsModule.name || moduleName)}",
+  kind: "${escapeJsonString(jsModule.kind || '')}",
+  js: "${escapeJsonString(jsModule.js || '')}"
+};
+` : '';
+
   const content = `// Auto-generated by AccessClone — do not edit manually
 // Module: ${moduleName} | Database: ${databaseId}
 
 export const handlers: Record<string, { key: string; control: string; event: string; procedure: string; js: string }> = {
 ${entries.join(',\n')}
 };
-
+${moduleExport}
 export default handlers;
 `;
 
@@ -6,6 +6,9 @@
  * No LLM involved — pure text parsing.
  */
 
+const { EXPORT_FORMATS, exportFormatFor } = require('./data-export');
+const { REPORT_FORMATS } = require('./report-render');
+
 /**
  * Map Access macro actions to intent vocabulary types.
  */
@@ -33,11 +36,11 @@ const ACTION_TO_INTENT = {
   'Beep':           'show-message',
   'SetWarnings':    'gap',
   'PrintOut':       'gap',
-  'OutputTo':       'gap',
+  'OutputTo':       'export-data',
   'SendObject':     'gap',
   'TransferDatabase':  'gap',
-  'TransferSpreadsheet': 'gap',
-  'TransferText':   'gap',
+  'TransferSpreadsheet': 'export-data',
+  'TransferText':   'export-data',
   'Maximize':       'gap',
   'Minimize':       'gap',
   'Restore':        'gap',
@@ -136,8 +139,10 @@ function parseMacroActions(macroText) {
 
 /**
  * Parse XML-style macro format (Access 2010+).
+ * XML macros leave out arguments at their default value, so positions can
+ * shift; argumentNames records which argument each value belongs to.
  * @param {string} xml
- * @returns {Array<{action: string, arguments: string[], condition: string|null}>}
+ * @returns {Array<{action: string, arguments: string[], argumentNames: string[], condition: string|null}>}
  */
 function parseXmlMacro(xml) {
   const actions = [];
@@ -151,10 +156,12 @@ function parseXmlMacro(xml) {
 
     // Extract arguments
     const args = [];
-    const argRegex = /<Argument\s+Name="[^"]*">([^<]*)<\/Argument>/gi;
+    const argNames = [];
+    const argRegex = /<Argument\s+Name="([^"]*)">([^<]*)<\/Argument>/gi;
     let argMatch;
     while ((argMatch = argRegex.exec(body)) !== null) {
-      args.push(argMatch[1]);
+      argNames.push(argMatch[1]);
+      args.push(argMatch[2]);
     }
 
     // Check for condition on enclosing <If>/<ConditionalBlock>
@@ -166,7 +173,7 @@ function parseXmlMacro(xml) {
       if (condContent) condition = condContent.trim();
     }
 
-    actions.push({ action: actionName, arguments: args, condition });
+    actions.push({ action: actionName, arguments: args, argumentNames: argNames, condition });
   }
 
   return actions;
@@ -186,6 +193,97 @@ function stripQuotes(val) {
   return val;
 }
 
+/**
+ * An action argument by name (XML macros) or by position (SaveAsText).
+ * @returns {string|null}
+ */
+function macroArgument(parsed, index, name) {
+  if (parsed.argumentNames) {
+    const i = parsed.argumentNames.findIndex(n => n.toLowerCase() === name.toLowerCase());
+    return i === -1 ? null : (parsed.arguments[i] || null);
+  }
+  return parsed.arguments[index] || null;
+}
+
+// acOutputTable .. acOutputReport, by number (SaveAsText) or name (XML)
+const OUTPUT_OBJECT_TYPES = { 0: 'table', 1: 'query', 2: 'form', 3: 'report' };
+
+// HasFieldNames is a Yes/No argument: -1 / Yes / True in SaveAsText and XML
+const HAS_FIELD_NAMES = /^(-1|1|yes|true)$/i;
+
+/**
+ * Import params for TransferSpreadsheet acImport / TransferText acImportDelim.
+ */
+function importParams(parsed, format) {
+  return {
+    table_name: macroArgument(parsed, 2, 'TableName'),
+    format,
+    file_name: macroArgument(parsed, 3, 'FileName'),
+    has_field_names: HAS_FIELD_NAMES.test(String(macroArgument(parsed, 4, 'HasFieldNames') || ''))
+  };
+}
+
+/**
+ * Intent for OutputTo / TransferSpreadsheet / TransferText, or a reason
+ * string when the action isn't a transfer the data and report routes can
+ * handle (links, fixed-width text, RTF/snapshot output).
+ * @returns {{type: string, params: Object}|string}
+ */
+function transferIntent(parsed) {
+  let params;
+  switch (parsed.action) {
+    case 'OutputTo': {
+      const type = String(macroArgument(parsed, 0, 'ObjectType') || '').toLowerCase();
+      const fileName = macroArgument(parsed, 3, 'OutputFile');
+      params = {
+        object_type: OUTPUT_OBJECT_TYPES[type] || Object.values(OUTPUT_OBJECT_TYPES).find(t => type === t) || null,
+        object_name: macroArgument(parsed, 1, 'ObjectName'),
+        format: exportFormatFor(macroArgument(parsed, 2, 'OutputFormat'), fileName),
+        file_name: fileName
+      };
+      if (!params.object_type) return `OutputTo object type ${type || '(none)'} has no data to export`;
+      break;
+    }
+    case 'TransferSpreadsheet': {
+      // acImport (0, the default) / acExport (1) / acLink (2)
+      const transferType = String(macroArgument(parsed, 0, 'TransferType') || '0');
+      if (/^(0|import)$/i.test(transferType)) {
+        return { type: 'import-data', params: importParams(parsed, 'xlsx') };
+      }
+      if (!/^(1|export)$/i.test(transferType)) return 'Linked spreadsheets are not supported';
+      params = {
+        object_type: 'table',
+        object_name: macroArgument(parsed, 2, 'TableName'),
+        format: 'xlsx',
+        file_name: macroArgument(parsed, 3, 'FileName')
+      };
+      break;
+    }
+    case 'TransferText': {
+      // acImportDelim (0) / acExportDelim (2); fixed-width and HTML/link types have no equivalent
+      const transferType = String(macroArgument(parsed, 0, 'TransferType') || '0');
+      if (/^(0|importdelim)$/i.test(transferType)) {
+        return { type: 'import-data', params: importParams(parsed, 'csv') };
+      }
+      if (!/^(2|exportdelim)$/i.test(transferType)) return `TransferText type ${transferType} is not a delimited import or export`;
+      params = {
+        object_type: 'table',
+        object_name: macroArgument(parsed, 2, 'TableName'),
+        format: 'csv',
+        file_name: macroArgument(parsed, 3, 'FileName')
+      };
+      break;
+    }
+  }
+  // Reports also render to PDF/HTML on the server (GET /api/reports/:name/render)
+  const supported = EXPORT_FORMATS[params.format] ||
+    (params.object_type === 'report' && REPORT_FORMATS[params.format]);
+  if (!params.format || !supported) {
+    return `Export format ${params.format || '(none)'} is not supported`;
+  }
+  return { type: 'export-data', params };
+}
+
 /**
  * Convert a parsed macro action to an intent.
  * @param {{action: string, arguments: string[], condition: string|null}} parsed
@@ -281,6 +379,19 @@ function actionToIntent(parsed) {
     case 'Save': {
       break;
     }
+    case 'OutputTo':
+    case 'TransferSpreadsheet':
+    case 'TransferText': {
+      const transfer = transferIntent(parsed);
+      if (typeof transfer === 'string') {
+        return {
+          type: 'gap',
+          params: { original_action: parsed.action, reason: transfer },
+          classification: 'gap'
+        };
+      }
+      return { ...transfer, classification };
+    }
     default: {
       if (intentType === 'gap') {
         params.original_action = parsed.action;
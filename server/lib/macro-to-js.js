@@ -0,0 +1,499 @@
+/**
+ * macro-to-js.js — Translate Access macros for the browser macro runtime.
+ *
+ * macro-intent-parser.js reads a macro as a flat list of actions for the
+ * intent vocabulary. Running a macro needs its structure as well: If /
+ * Else If / Else blocks, submacros, the OnError target. This reads that
+ * structure from the macro's XML (an XML macro, or the _AXL comment of a
+ * SaveAsText export; older exports without one fall back to their
+ * Condition / Action / Argument lines) and compiles the macro's expressions —
+ * conditions, SetTempVar / SetLocalVar / SetValue values, RunCode calls and
+ * any "=expression" argument — to JS with the VBA translator.
+ *
+ * The result is stored with the macro as js_macro and run by
+ * ui-react/src/lib/macro-runtime.ts. Each compiled expression is the body of
+ * an async function of (AC, M): AC is window.AC, M the running macro's
+ * LocalVars and MacroError.
+ */
+
+const { translateCondition } = require('./vba-to-js');
+const { parseMacroActions } = require('./macro-intent-parser');
+
+// ============================================================
+// XML
+// ============================================================
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (whole, name) => {
+    if (name[0] === '#') {
+      return String.fromCodePoint(/^#x/i.test(name) ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+    }
+    return XML_ENTITIES[name] !== undefined ? XML_ENTITIES[name] : whole;
+  });
+}
+
+// Element names without their namespace prefix
+function localName(name) {
+  return name.slice(name.indexOf(':') + 1);
+}
+
+const XML_TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][\s\S]*?>|<\/\s*([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+/**
+ * Parse XML into { name, attributes, children, text } elements. Macro XML is
+ * small and regular, so this reads elements, attributes, text, entities and
+ * CDATA, and skips declarations and comments.
+ */
+function parseXml(xml) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  XML_TOKEN.lastIndex = 0;
+  let match;
+  while ((match = XML_TOKEN.exec(xml)) !== null) {
+    const [, cdata, closeName, openName, attributes, selfClosing, text] = match;
+    const top = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      top.text += cdata;
+    } else if (text !== undefined) {
+      top.text += decodeEntities(text);
+    } else if (closeName) {
+      const at = stack.map(e => e.name).lastIndexOf(localName(closeName));
+      if (at > 0) stack.length = at;
+    } else if (openName) {
+      const element = { name: localName(openName), attributes: {}, children: [], text: '' };
+      for (const attr of attributes.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        element.attributes[localName(attr[1])] = decodeEntities(attr[2] !== undefined ? attr[2] : attr[3]);
+      }
+      top.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+  return root;
+}
+
+function childElement(element, name) {
+  return (element && element.children.find(c => c.name === name)) || null;
+}
+
+function findElement(element, name) {
+  if (!element) return null;
+  if (element.name === name) return element;
+  for (const child of element.children) {
+    const found = findElement(child, name);
+    if (found) return found;
+  }
+  return null;
+}
+
+// ============================================================
+// SaveAsText
+// ============================================================
+
+function isSaveAsText(macroText) {
+  return /^\s*Version\s*=/m.test(macroText);
+}
+
+/**
+ * The macro's XML: the text itself for an XML macro, or the _AXL comments of
+ * a SaveAsText export joined up — each is split over quoted continuation
+ * lines, with \" and octal (\015\012) escapes. Null when there is none.
+ * @param {string} macroText
+ * @returns {string|null}
+ */
+function macroXml(macroText) {
+  if (!isSaveAsText(macroText)) {
+    return /<(UserInterfaceMacro|Statements|Action|SubMacro)\b/.test(macroText) ? macroText : null;
+  }
+  const chunks = [];
+  let inComment = false;
+  for (const line of macroText.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    const start = trimmed.match(/^Comment\s*=\s*"_AXL:(.*)"$/);
+    if (start) {
+      chunks.push(start[1]);
+      inComment = true;
+    } else if (inComment && /^".*"$/.test(trimmed)) {
+      chunks.push(trimmed.slice(1, -1));
+    } else {
+      inComment = false;
+    }
+  }
+  if (chunks.length === 0) return null;
+  return chunks.join('').replace(/\\([0-7]{3}|.)/g, (_, c) => (c.length === 3 ? String.fromCharCode(parseInt(c, 8)) : c));
+}
+
+// A SaveAsText value: "text" with "" for a quote, or bare
+function unquote(value) {
+  const s = value.trim();
+  return /^".*"$/.test(s) ? s.slice(1, -1).replace(/""/g, '"') : s;
+}
+
+/**
+ * The Begin / End blocks of a SaveAsText macro without XML:
+ * { macroName, condition, action, arguments } each.
+ */
+function legacyBlocks(macroText) {
+  const blocks = [];
+  let block = null;
+  for (const line of macroText.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (/^Begin$/i.test(trimmed)) {
+      block = { macroName: null, condition: null, action: null, arguments: [] };
+    } else if (/^End$/i.test(trimmed)) {
+      if (block) blocks.push(block);
+      block = null;
+    } else if (block) {
+      const m = trimmed.match(/^(MacroName|Condition|Action|Argument)\s*=(.*)$/i);
+      if (!m) continue;
+      const key = m[1].toLowerCase();
+      if (key === 'argument') block.arguments.push(unquote(m[2]));
+      else block[key === 'macroname' ? 'macroName' : key] = unquote(m[2]);
+    }
+  }
+  // Exports without Begin / End: one action per Action line
+  if (blocks.length === 0) {
+    return parseMacroActions(macroText).map(a => ({ macroName: null, condition: a.condition, action: a.action, arguments: a.arguments }));
+  }
+  return blocks;
+}
+
+// ============================================================
+// Actions and arguments
+// ============================================================
+
+// Legacy action names and their Access 2010+ names
+const ACTION_ALIASES = { MsgBox: 'MessageBox', Close: 'CloseWindow', RunCommand: 'RunMenuCommand' };
+
+/**
+ * Argument names by position, for SaveAsText exports (XML names each one).
+ */
+const ACTION_ARGUMENTS = {
+  AddMenu: ['MenuName', 'MenuMacroName', 'StatusBarText'],
+  ApplyFilter: ['FilterName', 'WhereCondition', 'ControlName'],
+  CloseWindow: ['ObjectType', 'ObjectName', 'Save'],
+  CopyObject: ['DestinationDatabase', 'NewName', 'SourceObjectType', 'SourceObjectName'],
+  DeleteObject: ['ObjectType', 'ObjectName'],
+  DoMenuItem: ['MenuBar', 'MenuName', 'Command', 'Subcommand'],
+  FindRecord: ['FindWhat', 'Match', 'MatchCase', 'Search', 'SearchAsFormatted', 'OnlyCurrentField', 'FindFirst'],
+  GoToControl: ['ControlName'],
+  GoToRecord: ['ObjectType', 'ObjectName', 'Record', 'Offset'],
+  MessageBox: ['Message', 'Beep', 'Type', 'Title'],
+  MoveSize: ['Right', 'Down', 'Width', 'Height'],
+  OnError: ['Goto', 'MacroName'],
+  OpenForm: ['FormName', 'View', 'FilterName', 'WhereCondition', 'DataMode', 'WindowMode'],
+  OpenQuery: ['QueryName', 'View', 'DataMode'],
+  OpenReport: ['ReportName', 'View', 'FilterName', 'WhereCondition', 'WindowMode'],
+  OutputTo: ['ObjectType', 'ObjectName', 'OutputFormat', 'OutputFile', 'AutoStart', 'TemplateFile', 'Encoding'],
+  PrintOut: ['PrintRange', 'PageFrom', 'PageTo', 'PrintQuality', 'Copies', 'CollateCopies'],
+  RemoveTempVar: ['Name'],
+  Rename: ['NewName', 'ObjectType', 'OldName'],
+  Requery: ['ControlName'],
+  RunCode: ['FunctionName'],
+  RunMacro: ['MacroName', 'RepeatCount', 'RepeatExpression'],
+  RunMenuCommand: ['Command'],
+  RunSQL: ['SQLStatement', 'UseTransaction'],
+  Save: ['ObjectType', 'ObjectName'],
+  SelectObject: ['ObjectType', 'ObjectName', 'InDatabaseWindow'],
+  SendObject: ['ObjectType', 'ObjectName', 'OutputFormat', 'To', 'Cc', 'Bcc', 'Subject', 'MessageText', 'EditMessage', 'TemplateFile'],
+  SetLocalVar: ['Name', 'Expression'],
+  SetMenuItem: ['MenuIndex', 'CommandIndex', 'SubcommandIndex', 'Flag'],
+  SetProperty: ['ControlName', 'Property', 'Value'],
+  SetTempVar: ['Name', 'Expression'],
+  SetValue: ['Item', 'Expression'],
+  SetWarnings: ['WarningsOn'],
+  TransferDatabase: ['TransferType', 'DatabaseType', 'DatabaseName', 'ObjectType', 'Source', 'Destination', 'StructureOnly', 'StoreLogin'],
+  TransferSpreadsheet: ['TransferType', 'SpreadsheetType', 'TableName', 'FileName', 'HasFieldNames', 'Range'],
+  TransferText: ['TransferType', 'SpecificationName', 'TableName', 'FileName', 'HasFieldNames', 'HTMLTableName', 'CodePage'],
+};
+
+/** Arguments that always hold an expression; any other is one when it starts with = */
+const EXPRESSION_ARGUMENTS = {
+  SetTempVar: ['Expression'],
+  SetLocalVar: ['Expression'],
+  SetValue: ['Expression'],
+  RunCode: ['FunctionName'],
+  RunMacro: ['RepeatExpression'],
+};
+
+// Values SaveAsText stores as numbers, by the names XML macros use
+const ARGUMENT_VALUES = {
+  ObjectType: ['Table', 'Query', 'Form', 'Report', 'Macro', 'Module'],
+  Record: ['Previous', 'Next', 'First', 'Last', 'Go To', 'New'],
+  Goto: ['Next', 'Macro Name', 'Fail'],
+  Property: ['Enabled', 'Visible', 'Locked', 'Left', 'Top', 'Width', 'Height', 'ForeColor', 'BackColor', 'Caption', 'Value'],
+  Match: ['Any Part of Field', 'Whole Field', 'Start of Field'],
+  Search: ['Up', 'Down', 'All'],
+};
+const TRANSFER_TYPES = {
+  TransferDatabase: ['Import', 'Export', 'Link'],
+  TransferSpreadsheet: ['Import', 'Export', 'Link'],
+  TransferText: ['Import Delimited', 'Import Fixed Width', 'Export Delimited', 'Export Fixed Width', 'Export HTML', 'Link Delimited', 'Link Fixed Width', 'Link HTML'],
+};
+const YES_NO_ARGUMENTS = new Set(['WarningsOn', 'HasFieldNames', 'MatchCase', 'SearchAsFormatted', 'FindFirst', 'EditMessage', 'Beep', 'AutoStart', 'StructureOnly', 'UseTransaction']);
+
+function normalizeValue(action, name, value) {
+  if (YES_NO_ARGUMENTS.has(name)) {
+    if (/^(-1|1|true|yes)$/i.test(value)) return 'Yes';
+    if (/^(0|false|no)$/i.test(value)) return 'No';
+    return value;
+  }
+  const names = name === 'TransferType' ? TRANSFER_TYPES[action] : ARGUMENT_VALUES[name];
+  if (names && /^\d+$/.test(value) && names[Number(value)]) return names[Number(value)];
+  return value;
+}
+
+// ============================================================
+// Expressions
+// ============================================================
+
+// MacroError's properties, as M.macroError reads them
+const MACRO_ERROR_PROPERTIES = {
+  number: 'number', description: 'description', actionname: 'actionName',
+  arguments: 'arguments', condition: 'condition', macroname: 'macroName',
+};
+
+// Collections a reference may start with; other shapes of them have no JS form
+const COLLECTIONS = new Set(['forms', 'reports', 'tempvars', 'localvars', 'macroerror', 'currentproject', 'screen']);
+
+// [Name] or Name, then ! or . and more of them
+const REFERENCE = /(?:\[[^\]]*\]|[A-Za-z_]\w*)(?:\s*[!.]\s*(?:\[[^\]]*\]|[A-Za-z_]\w*))*/y;
+
+/**
+ * JS for a reference in a macro expression; undefined when it isn't one (a
+ * function name, an operator, a VBA variable), null when it has no JS form.
+ */
+function referenceJs(text) {
+  const parts = text.match(/\[[^\]]*\]|[A-Za-z_]\w*/g);
+  const segments = parts.map(p => (p.startsWith('[') ? p.slice(1, -1) : p));
+  const head = segments[0].toLowerCase();
+  const rest = segments.slice(1);
+  const props = rest.length > 0 && /^value$/i.test(rest[rest.length - 1]) ? rest.slice(0, -1) : rest;
+  const quote = JSON.stringify;
+
+  if (head === 'forms' && props.length === 2) return `AC.getFormValue(${quote(props[0])}, ${quote(props[1])})`;
+  if (head === 'tempvars' && rest.length === 1) return `AC.getTempVar(${quote(rest[0])})`;
+  if (head === 'localvars' && rest.length === 1) return `M.localVars[${quote(rest[0].toLowerCase())}]`;
+  if (head === 'macroerror' && rest.length === 1) {
+    const property = MACRO_ERROR_PROPERTIES[rest[0].toLowerCase()];
+    return property ? `M.macroError.${property}` : null;
+  }
+  if (head === 'currentproject' && rest.length === 1 && /^istrusted$/i.test(rest[0])) return 'true';
+  if (head === 'me' && props.length === 1) return `AC.getValue(${quote(props[0])})`;
+  if (rest.length > 0 && COLLECTIONS.has(head)) return null;
+  if (parts[0].startsWith('[')) return props.length === 0 ? `AC.getValue(${quote(segments[0])})` : null;
+  return undefined;
+}
+
+/**
+ * Compile a macro expression (a condition, or an argument's value without
+ * its leading =) to JS. References — [Control], [Forms]![f]![c],
+ * [TempVars]![x], [LocalVars]![x], [MacroError].[Number] — become
+ * placeholders the VBA translator passes through as variables, and are put
+ * back once it has translated the operators and functions around them.
+ * @param {string} expr
+ * @param {{ enumMap?: Map<string,number>, fnRegistry?: Set<string> }} [options]
+ * @returns {string|null} - null when it can't be translated
+ */
+function compileExpression(expr, options = {}) {
+  const text = String(expr || '').trim();
+  if (!text) return null;
+
+  const placeholders = [];
+  let substituted = '';
+  for (let i = 0; i < text.length;) {
+    if (text[i] === '"') {
+      let end = i + 1;
+      while (end < text.length && !(text[end] === '"' && text[end + 1] !== '"')) end += text[end] === '"' ? 2 : 1;
+      substituted += text.slice(i, end + 1);
+      i = end + 1;
+      continue;
+    }
+    REFERENCE.lastIndex = i;
+    const match = /[A-Za-z_[]/.test(text[i]) && (i === 0 || !/\w/.test(text[i - 1])) ? REFERENCE.exec(text) : null;
+    if (!match) {
+      substituted += text[i++];
+      continue;
+    }
+    const js = referenceJs(match[0]);
+    if (js === null) return null;
+    if (js === undefined) {
+      substituted += match[0];
+    } else {
+      substituted += `__m${placeholders.length}`;
+      placeholders.push(js);
+    }
+    i += match[0].length;
+  }
+
+  // X Is Null / X Is Not Null
+  substituted = substituted.replace(/\b(\w+)\s+Is\s+(Not\s+)?Null\b/gi, (_, operand, not) => `${not ? 'Not ' : ''}IsNull(${operand})`);
+
+  const variables = new Set(placeholders.map((_, i) => `__m${i}`));
+  const js = translateCondition(substituted, variables, options.enumMap || new Map(), options.fnRegistry || new Set());
+  if (!js) return null;
+  const result = js.replace(/\b__m(\d+)\b/g, (_, i) => placeholders[Number(i)]);
+  try {
+    const AsyncFunction = Object.getPrototypeOf(async function() {}).constructor;
+    new AsyncFunction('AC', 'M', `return (${result});`);
+  } catch {
+    return null;
+  }
+  return result;
+}
+
+/**
+ * JS for RunCode's function call: the function is always called through
+ * AC.callFn, registered or not, so the runtime can report a missing one.
+ */
+function runCodeJs(call, options) {
+  const m = String(call || '').trim().replace(/^=/, '').match(/^(\w+)\s*(\(.*\))?$/);
+  if (!m) return null;
+  const fnRegistry = new Set(options.fnRegistry || []);
+  fnRegistry.add(m[1].toLowerCase());
+  const args = m[2] && m[2].slice(1, -1).trim() ? m[2] : '';
+  return compileExpression(`${m[1]}${args}`, { ...options, fnRegistry });
+}
+
+/**
+ * SetValue's Item as the control and property it sets:
+ * [Control], [Control].[Visible], [Forms]![f]![Control].[Enabled].
+ */
+function setValueTarget(item) {
+  const parts = String(item || '').trim().match(/\[[^\]]*\]|[A-Za-z_]\w*/g) || [];
+  const segments = parts.map(p => (p.startsWith('[') ? p.slice(1, -1) : p));
+  let form = null;
+  if (/^forms$/i.test(segments[0] || '')) {
+    form = segments[1] || null;
+    segments.splice(0, 2);
+  } else if (/^me$/i.test(segments[0] || '')) {
+    segments.shift();
+  }
+  if (segments.length < 1 || segments.length > 2) return null;
+  return { form, control: segments[0], property: segments[1] || 'Value' };
+}
+
+// ============================================================
+// Statements
+// ============================================================
+
+function actionStatement(actionName, args, context) {
+  const action = ACTION_ALIASES[actionName] || actionName;
+  const statement = { type: 'action', action, arguments: {} };
+  const expressions = {};
+  for (const [name, raw] of Object.entries(args)) {
+    const value = normalizeValue(action, name, raw);
+    statement.arguments[name] = value;
+    const always = (EXPRESSION_ARGUMENTS[action] || []).includes(name);
+    if (!always && !value.startsWith('=')) continue;
+    if (!value.replace(/^=/, '').trim()) continue;
+    const js = action === 'RunCode' && name === 'FunctionName'
+      ? runCodeJs(value, context)
+      : compileExpression(value.replace(/^=/, ''), context);
+    expressions[name] = js;
+    if (!js) context.untranslated.push({ action, argument: name, text: value });
+  }
+  if (Object.keys(expressions).length > 0) statement.expressions = expressions;
+  if (action === 'SetValue') {
+    statement.target = setValueTarget(statement.arguments.Item);
+    if (!statement.target) context.untranslated.push({ action, argument: 'Item', text: statement.arguments.Item || '' });
+  }
+  return statement;
+}
+
+function conditionJs(condition, context) {
+  const js = compileExpression(condition, context);
+  if (!js) context.untranslated.push({ action: 'If', argument: 'Condition', text: condition });
+  return js;
+}
+
+function xmlStatements(statementsElement, context, submacros) {
+  const statements = [];
+  for (const node of (statementsElement ? statementsElement.children : [])) {
+    if (node.name === 'Action') {
+      const args = {};
+      for (const arg of node.children.filter(c => c.name === 'Argument')) args[arg.attributes.Name] = arg.text;
+      statements.push(actionStatement(node.attributes.Name, args, context));
+    } else if (node.name === 'ConditionalBlock') {
+      const statement = { type: 'if', branches: [], else: null };
+      for (const part of node.children) {
+        if (part.name === 'If' || part.name === 'ElseIf') {
+          const condition = (childElement(part, 'Condition') || { text: '' }).text.trim();
+          statement.branches.push({
+            condition,
+            js: conditionJs(condition, context),
+            statements: xmlStatements(childElement(part, 'Statements'), context, null),
+          });
+        } else if (part.name === 'Else') {
+          statement.else = xmlStatements(childElement(part, 'Statements'), context, null);
+        }
+      }
+      statements.push(statement);
+    } else if (node.name === 'Group') {
+      statements.push(...xmlStatements(childElement(node, 'Statements'), context, submacros));
+    } else if (node.name === 'SubMacro' && submacros) {
+      submacros[node.attributes.Name] = xmlStatements(childElement(node, 'Statements'), context, null);
+    }
+    // Comment has nothing to run
+  }
+  return statements;
+}
+
+// Legacy macros: a Condition of ... continues the block above it
+function legacyStatements(macroText, context, submacros) {
+  const main = [];
+  let target = main;
+  let lastBranch = null;
+  for (const block of legacyBlocks(macroText)) {
+    if (block.macroName) {
+      target = submacros[block.macroName] = [];
+      lastBranch = null;
+    }
+    if (!block.action) continue;
+    const action = ACTION_ALIASES[block.action] || block.action;
+    const names = ACTION_ARGUMENTS[action] || [];
+    const args = {};
+    block.arguments.forEach((value, i) => {
+      if (value !== '') args[names[i] || `Argument${i + 1}`] = value;
+    });
+    const statement = actionStatement(action, args, context);
+    if (block.condition === '...' && lastBranch) {
+      lastBranch.statements.push(statement);
+    } else if (block.condition) {
+      lastBranch = { condition: block.condition, js: conditionJs(block.condition, context), statements: [statement] };
+      target.push({ type: 'if', branches: [lastBranch], else: null });
+    } else {
+      target.push(statement);
+      lastBranch = null;
+    }
+  }
+  return main;
+}
+
+/**
+ * Translate a macro for the macro runtime (see the header).
+ * @param {string} macroText - macro_xml: XML or a SaveAsText export
+ * @param {string} macroName
+ * @param {{ enumMap?: Map<string,number>, fnRegistry?: Set<string> }} [options] - the
+ *   database's enums and procedure registry (vba-module-to-js translationContext)
+ * @returns {{ name: string, statements: Array, submacros: Object<string, Array>,
+ *   untranslated: Array<{ action: string, argument: string, text: string }> }}
+ */
+function translateMacro(macroText, macroName, options = {}) {
+  const context = { enumMap: options.enumMap, fnRegistry: options.fnRegistry, untranslated: [] };
+  const submacros = {};
+  const text = String(macroText || '');
+  const xml = macroXml(text);
+  let statements;
+  if (xml) {
+    const document = parseXml(xml);
+    const macro = findElement(document, 'UserInterfaceMacro') || document;
+    statements = xmlStatements(childElement(macro, 'Statements') || findElement(macro, 'Statements'), context, submacros);
+  } else {
+    statements = legacyStatements(text, context, submacros);
+  }
+  return { name: macroName, statements, submacros, untranslated: context.untranslated };
+}
+
+module.exports = { translateMacro, compileExpression, macroXml, parseXml };
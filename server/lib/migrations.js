@@ -0,0 +1,526 @@
+/**
+ * Schema migration history: every table design change (the DDL routes in
+ * routes/metadata.js) recorded as a numbered migration in
+ * shared.schema_migrations, with the statements that made it (up_sql) and
+ * the statements that undo it (down_sql).
+ *
+ * Statements name the database's own tables unqualified and run with
+ * search_path set to the schema alone (useSchema), so a migration means the
+ * same thing in any copy of the database: export the chain from one and
+ * replay it on a staging clone. Each migration also keeps a snapshot of its
+ * table before and after (tableSnapshot), which is what diffs compare and
+ * what rollback and replay check the live table against before they touch
+ * it — a table changed some other way since is refused rather than guessed at.
+ *
+ * Versions number per database and never go back: rolling back the last
+ * migration runs its down_sql and records that as a new 'rollback' migration.
+ * lossy_up / lossy_down mark statements that can throw data away (dropping a
+ * column, narrowing a type); rollback and replay need `force` to run those.
+ * Rolling back a dropped table re-creates it empty.
+ *
+ * Invalid requests throw an error with code EMIGRATION and an HTTP status.
+ */
+
+const { describeTables, describeIndexes, columnSql } = require('./database-lifecycle');
+const { enableAudit, disableAudit, isAudited } = require('./data-audit');
+
+const EXPORT_FORMAT = 'accessclone-migrations';
+const EXPORT_VERSION = 1;
+const OPERATIONS = ['create', 'alter', 'drop', 'rollback', 'replay'];
+
+function migrationError(message, status = 400) {
+  const err = new Error(message);
+  err.code = 'EMIGRATION';
+  err.status = status;
+  return err;
+}
+
+function quoteIdent(name) {
+  return '"' + name.replace(/"/g, '""') + '"';
+}
+
+function quoteLiteral(value) {
+  return "'" + String(value).replace(/'/g, "''") + "'";
+}
+
+/**
+ * Point an open transaction's search_path at the schema alone (SET LOCAL, so
+ * the connection's bound scope is back at COMMIT). Statements then name the
+ * schema's tables unqualified and pg_get_*def output does the same.
+ */
+async function useSchema(client, schemaName) {
+  await client.query("SELECT set_config('search_path', $1, true)", [quoteIdent(schemaName)]);
+}
+
+/** Serialize history writes per database, so versions are handed out in order. */
+async function lockHistory(client, databaseId) {
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`schema_migrations:${databaseId}`]);
+}
+
+// ============================================================
+// Table snapshots and diffs
+// ============================================================
+
+/**
+ * A table's design as migrations record it, or null if there is no such table.
+ * @returns {Promise<{name, comment, columns, constraints, indexes: {name, def}[]}|null>}
+ */
+async function tableSnapshot(client, schemaName, tableName) {
+  const [table] = await describeTables(client, schemaName, tableName);
+  if (!table) return null;
+  const indexes = await describeIndexes(client, schemaName, tableName);
+  return { ...table, indexes: indexes.map(({ name, def }) => ({ name, def })) };
+}
+
+/** Identifiers in a column list as pg_get_constraintdef / pg_get_indexdef print it. */
+function splitIdents(list) {
+  return [...list.matchAll(/"((?:[^"]|"")*)"|([^,\s]+)/g)].map(m => (m[1] != null ? m[1].replace(/""/g, '"') : m[2]));
+}
+
+/** A snapshot's primary key: { name, def, columns }, or null. */
+function primaryKey(snapshot) {
+  const pk = snapshot && snapshot.constraints.find(c => c.type === 'p');
+  if (!pk) return null;
+  const match = pk.def.match(/^PRIMARY KEY \((.*)\)/);
+  return { name: pk.name, def: pk.def, columns: match ? splitIdents(match[1]) : [] };
+}
+
+/**
+ * Statements that re-create a table from its snapshot (structure only). A
+ * serial column's sequence went with the table, so it is re-created too.
+ */
+function createTableStatements(snapshot) {
+  const table = quoteIdent(snapshot.name);
+  const statements = [];
+  const owned = [];
+  for (const column of snapshot.columns) {
+    const serial = column.default_expr && column.default_expr.match(/^nextval\('([^']+)'::regclass\)$/);
+    if (serial) {
+      statements.push(`CREATE SEQUENCE IF NOT EXISTS ${serial[1]}`);
+      owned.push(`ALTER SEQUENCE ${serial[1]} OWNED BY ${table}.${quoteIdent(column.name)}`);
+    }
+  }
+  statements.push(`CREATE TABLE ${table} (${snapshot.columns.map(columnSql).join(', ')})`, ...owned);
+  // Foreign keys last, in case one references the table itself
+  const constraints = [...snapshot.constraints].sort((a, b) => (a.type === 'f') - (b.type === 'f'));
+  for (const con of constraints) {
+    statements.push(`ALTER TABLE ${table} ADD CONSTRAINT ${quoteIdent(con.name)} ${con.def}`);
+  }
+  statements.push(...snapshot.indexes.map(i => i.def));
+  if (snapshot.comment != null) {
+    statements.push(`COMMENT ON TABLE ${table} IS ${quoteLiteral(snapshot.comment)}`);
+  }
+  for (const column of snapshot.columns.filter(c => c.comment != null)) {
+    statements.push(`COMMENT ON COLUMN ${table}.${quoteIdent(column.name)} IS ${quoteLiteral(column.comment)}`);
+  }
+  for (const con of snapshot.constraints.filter(c => c.comment != null)) {
+    statements.push(`COMMENT ON CONSTRAINT ${quoteIdent(con.name)} ON ${table} IS ${quoteLiteral(con.comment)}`);
+  }
+  return statements;
+}
+
+/**
+ * Statements that put back the constraints and indexes a change took with it
+ * (PostgreSQL drops those on a column when the column goes).
+ */
+function restoreStatements(before, after) {
+  const table = quoteIdent(before.name);
+  const kept = new Set([...after.constraints, ...after.indexes].map(i => i.def));
+  const lost = before.constraints.filter(c => !kept.has(c.def));
+  return [
+    ...lost.map(c => `ALTER TABLE ${table} ADD CONSTRAINT ${quoteIdent(c.name)} ${c.def}`),
+    ...lost.filter(c => c.comment != null)
+      .map(c => `COMMENT ON CONSTRAINT ${quoteIdent(c.name)} ON ${table} IS ${quoteLiteral(c.comment)}`),
+    ...before.indexes.filter(i => !kept.has(i.def)).map(i => i.def)
+  ];
+}
+
+/**
+ * What changed between two snapshots of a table (either may be null: the
+ * table didn't exist). A renamed column shows as one dropped and one added.
+ * @returns {Object[]} e.g. { change: 'add_column', table, column, definition }
+ */
+function diffSnapshots(before, after) {
+  if (!before && !after) return [];
+  if (!before) return [{ change: 'create_table', table: after.name }];
+  if (!after) return [{ change: 'drop_table', table: before.name }];
+
+  const table = after.name;
+  const changes = [];
+  if ((before.comment || null) !== (after.comment || null)) {
+    changes.push({ change: 'comment', table, from: before.comment, to: after.comment });
+  }
+
+  const oldColumns = new Map(before.columns.map(c => [c.name, c]));
+  const newColumns = new Map(after.columns.map(c => [c.name, c]));
+  for (const column of after.columns) {
+    const old = oldColumns.get(column.name);
+    if (!old) {
+      changes.push({ change: 'add_column', table, column: column.name, definition: columnSql(column) });
+      continue;
+    }
+    if (columnSql(old) !== columnSql(column)) {
+      changes.push({ change: 'alter_column', table, column: column.name, from: columnSql(old), to: columnSql(column) });
+    }
+    if ((old.comment || null) !== (column.comment || null)) {
+      changes.push({ change: 'comment', table, column: column.name, from: old.comment, to: column.comment });
+    }
+  }
+  for (const column of before.columns.filter(c => !newColumns.has(c.name))) {
+    changes.push({ change: 'drop_column', table, column: column.name, definition: columnSql(column) });
+  }
+
+  for (const [kind, key] of [['constraint', 'constraints'], ['index', 'indexes']]) {
+    const signature = item => `${item.name}\n${item.def}`;
+    const oldItems = new Set(before[key].map(signature));
+    const newItems = new Set(after[key].map(signature));
+    for (const item of before[key].filter(i => !newItems.has(signature(i)))) {
+      changes.push({ change: `drop_${kind}`, table, name: item.name, definition: item.def });
+    }
+    for (const item of after[key].filter(i => !oldItems.has(signature(i)))) {
+      changes.push({ change: `add_${kind}`, table, name: item.name, definition: item.def });
+    }
+  }
+  return changes;
+}
+
+function changeText(c) {
+  const column = c.column ? `${c.table}.${c.column}` : c.table;
+  switch (c.change) {
+    case 'create_table': return `Create table ${c.table}`;
+    case 'drop_table': return `Drop table ${c.table}`;
+    case 'add_column': return `Add column ${column}`;
+    case 'drop_column': return `Drop column ${column}`;
+    case 'alter_column': return `Change column ${column}`;
+    case 'comment': return `Change description of ${column}`;
+    default: {
+      const [verb, kind] = c.change.split('_');
+      return `${verb === 'add' ? 'Add' : 'Drop'} ${kind} ${c.name} on ${c.table}`;
+    }
+  }
+}
+
+/** One line summing up a list of changes, for a migration's description. */
+function describeChanges(changes) {
+  return changes.map(changeText).join('; ');
+}
+
+/**
+ * Each table's design as of a version: the table_after of its last migration
+ * up to that version, or else the table_before of its first one after.
+ * @param {Object[]} migrations - a database's history, in version order
+ * @returns {Map<string, Object|null>} table name → snapshot (null: didn't exist)
+ */
+function schemaAt(migrations, version) {
+  const tables = new Map();
+  for (const m of migrations) {
+    if (m.version <= version) tables.set(m.table_name, m.table_after);
+    else if (!tables.has(m.table_name)) tables.set(m.table_name, m.table_before);
+  }
+  return tables;
+}
+
+/** Changes from one version of the schema to another (either way round). */
+function diffVersions(migrations, fromVersion, toVersion) {
+  const from = schemaAt(migrations, fromVersion);
+  const to = schemaAt(migrations, toVersion);
+  const tables = [...new Set([...from.keys(), ...to.keys()])].sort();
+  return tables.flatMap(t => diffSnapshots(from.get(t) || null, to.get(t) || null));
+}
+
+// ============================================================
+// Recording
+// ============================================================
+
+/**
+ * Collect a migration while making it. run() executes a statement and files
+ * the statements that undo it; down_sql comes out in reverse order, so undoing
+ * runs the last change's undo first.
+ * @param {Object} client - pg client inside the change's transaction
+ */
+function startMigration(client) {
+  const up = [];
+  const down = [];
+  let lossyUp = false;
+  let lossyDown = false;
+  return {
+    /**
+     * @param {string} sql
+     * @param {string|string[]|Function} [undo] - or an async function giving
+     *   them, called once the statement has run
+     * @param {{ losesData?: boolean, undoLosesData?: boolean }} [flags]
+     */
+    async run(sql, undo = [], { losesData = false, undoLosesData = false } = {}) {
+      await client.query(sql);
+      up.push(sql);
+      down.unshift(...[].concat(typeof undo === 'function' ? await undo() : undo));
+      lossyUp = lossyUp || losesData;
+      lossyDown = lossyDown || undoLosesData;
+    },
+    /** What saveMigration records: { up, down, lossyUp, lossyDown } */
+    steps() {
+      return { up, down, lossyUp, lossyDown };
+    }
+  };
+}
+
+/**
+ * Append a migration to a database's history, in the caller's transaction.
+ * Nothing is recorded when no statement ran.
+ * @param {Object} entry - { databaseId, tableName, operation, up, down, lossyUp,
+ *   lossyDown (a recorder's steps()), before, after, description?, reverts?, source?, userId? }
+ * @returns {Promise<Object|null>} the shared.schema_migrations row
+ */
+async function saveMigration(client, entry) {
+  if (!entry.up.length) return null;
+  if (!OPERATIONS.includes(entry.operation)) {
+    throw migrationError(`Unknown migration operation "${entry.operation}"`);
+  }
+  await lockHistory(client, entry.databaseId);
+  const description = entry.description ||
+    describeChanges(diffSnapshots(entry.before, entry.after)) ||
+    `Change table ${entry.tableName}`;
+  const result = await client.query(
+    `INSERT INTO shared.schema_migrations
+       (database_id, version, table_name, operation, description, up_sql, down_sql,
+        lossy_up, lossy_down, table_before, table_after, reverts, source, created_by)
+     SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13
+     FROM shared.schema_migrations WHERE database_id = $1
+     RETURNING *`,
+    [
+      entry.databaseId, entry.tableName, entry.operation, description, entry.up, entry.down,
+      !!entry.lossyUp, !!entry.lossyDown,
+      entry.before ? JSON.stringify(entry.before) : null,
+      entry.after ? JSON.stringify(entry.after) : null,
+      entry.reverts || null, entry.source ? JSON.stringify(entry.source) : null, entry.userId || null
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Keep an audited table's trigger on its current primary key after a
+ * migration changed the key behind the route's back (rollback, replay).
+ */
+async function syncAudit(client, schemaName, databaseId, snapshot) {
+  if (!snapshot || !await isAudited(client, schemaName, snapshot.name)) return;
+  const pk = primaryKey(snapshot);
+  if (pk) await enableAudit(client, schemaName, databaseId, snapshot.name, pk.columns);
+  else await disableAudit(client, schemaName, snapshot.name);
+}
+
+/** Refuse to touch a table that no longer looks the way the history says it should. */
+function assertUnchanged(live, expected, message) {
+  const changes = diffSnapshots(expected, live);
+  if (changes.length) {
+    throw migrationError(`${message}: ${describeChanges(changes)}`, 409);
+  }
+}
+
+async function inTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================================
+// Rollback and replay
+// ============================================================
+
+/**
+ * Undo the newest migration not already rolled back (rollbacks themselves
+ * aren't undone this way; roll back again to undo the one before).
+ * @param {Object} pool - scoped pool
+ * @param {{ schemaName, databaseId, userId?, force? }} options
+ * @returns {Promise<{ rolledBack: Object, migration: Object }>}
+ */
+async function rollbackLast(pool, { schemaName, databaseId, userId = null, force = false }) {
+  return inTransaction(pool, async client => {
+    await useSchema(client, schemaName);
+    await lockHistory(client, databaseId);
+    const last = (await client.query(
+      `SELECT * FROM shared.schema_migrations
+       WHERE database_id = $1 AND rolled_back_at IS NULL AND operation <> 'rollback'
+       ORDER BY version DESC LIMIT 1`,
+      [databaseId]
+    )).rows[0];
+    if (!last) throw migrationError('There is no migration to roll back', 404);
+
+    const live = await tableSnapshot(client, schemaName, last.table_name);
+    assertUnchanged(live, last.table_after, `Table "${last.table_name}" has changed since version ${last.version}`);
+    if (last.lossy_down && !force) {
+      throw migrationError(`Rolling back version ${last.version} (${last.description}) can lose data; pass force to do it anyway`, 409);
+    }
+
+    for (const sql of last.down_sql) {
+      await client.query(sql);
+    }
+    const after = await tableSnapshot(client, schemaName, last.table_name);
+    await syncAudit(client, schemaName, databaseId, after);
+
+    const rolledBack = (await client.query(
+      `UPDATE shared.schema_migrations SET rolled_back_at = NOW(), rolled_back_by = $3
+       WHERE database_id = $1 AND version = $2 RETURNING *`,
+      [databaseId, last.version, userId]
+    )).rows[0];
+    const migration = await saveMigration(client, {
+      databaseId, tableName: last.table_name, operation: 'rollback',
+      up: last.down_sql, down: last.up_sql, lossyUp: last.lossy_down, lossyDown: last.lossy_up,
+      before: live, after, reverts: last.version, userId,
+      description: `Roll back version ${last.version}: ${last.description}`
+    });
+    return { rolledBack, migration };
+  });
+}
+
+/**
+ * Check an exported chain (migrationsExport) before replaying it.
+ * @returns {Object[]} its migrations, in version order
+ */
+function validateChain(doc) {
+  if (!doc || doc.format !== EXPORT_FORMAT) {
+    throw migrationError(`Not a migration export (expected format "${EXPORT_FORMAT}")`);
+  }
+  if (doc.version !== EXPORT_VERSION) {
+    throw migrationError(`Unsupported migration export version ${doc.version}`);
+  }
+  if (typeof doc.database_id !== 'string' || !Array.isArray(doc.migrations)) {
+    throw migrationError('Migration export needs database_id and migrations');
+  }
+  for (const m of doc.migrations) {
+    const statements = list => Array.isArray(list) && list.every(s => typeof s === 'string');
+    if (!m || !Number.isInteger(m.version) || typeof m.table_name !== 'string' ||
+        !statements(m.up_sql) || !statements(m.down_sql)) {
+      throw migrationError(`Invalid migration in export${m && m.version != null ? ` (version ${m.version})` : ''}`);
+    }
+  }
+  return [...doc.migrations].sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Apply another database's migration chain to this one, in one transaction.
+ * A migration already here is skipped: one replayed from the same source
+ * before, or one this database carries itself (a clone or restore of the
+ * source has the same history). Every other one must find its table as the
+ * source's history had it beforehand.
+ * @param {Object} pool - scoped pool
+ * @param {Object} doc - a migrationsExport() document
+ * @param {{ schemaName, databaseId, userId?, force? }} options
+ * @returns {Promise<{ applied: Object[], skipped: number[] }>}
+ */
+async function replayChain(pool, doc, { schemaName, databaseId, userId = null, force = false }) {
+  const chain = validateChain(doc);
+  return inTransaction(pool, async client => {
+    await useSchema(client, schemaName);
+    await lockHistory(client, databaseId);
+    const history = (await client.query(
+      'SELECT version, table_name, up_sql, source FROM shared.schema_migrations WHERE database_id = $1',
+      [databaseId]
+    )).rows;
+    const alreadyHere = m => history.some(h =>
+      (h.source && h.source.database_id === doc.database_id && h.source.version === m.version) ||
+      (!h.source && h.version === m.version && h.table_name === m.table_name &&
+        JSON.stringify(h.up_sql) === JSON.stringify(m.up_sql)));
+
+    const applied = [];
+    const skipped = [];
+    for (const m of chain) {
+      if (alreadyHere(m)) {
+        skipped.push(m.version);
+        continue;
+      }
+      const before = await tableSnapshot(client, schemaName, m.table_name);
+      assertUnchanged(before, m.table_before || null,
+        `Table "${m.table_name}" doesn't match the starting point of version ${m.version}`);
+      if (m.lossy_up && !force) {
+        throw migrationError(`Version ${m.version} (${m.description}) can lose data; pass force to replay it anyway`, 409);
+      }
+      for (const sql of m.up_sql) {
+        await client.query(sql);
+      }
+      const after = await tableSnapshot(client, schemaName, m.table_name);
+      await syncAudit(client, schemaName, databaseId, after);
+      applied.push(await saveMigration(client, {
+        databaseId, tableName: m.table_name, operation: 'replay',
+        up: m.up_sql, down: m.down_sql, lossyUp: m.lossy_up, lossyDown: m.lossy_down,
+        before, after, description: m.description, userId,
+        source: { database_id: doc.database_id, version: m.version }
+      }));
+    }
+    return { applied, skipped };
+  });
+}
+
+// ============================================================
+// Export
+// ============================================================
+
+/** A database's history as a replayable JSON document. */
+function migrationsExport(databaseId, migrations) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    database_id: databaseId,
+    exported_at: new Date().toISOString(),
+    migrations: migrations.map(m => ({
+      version: m.version,
+      table_name: m.table_name,
+      operation: m.operation,
+      description: m.description,
+      up_sql: m.up_sql,
+      down_sql: m.down_sql,
+      lossy_up: m.lossy_up,
+      lossy_down: m.lossy_down,
+      table_before: m.table_before,
+      table_after: m.table_after,
+      created_at: m.created_at
+    }))
+  };
+}
+
+/** A database's history as one SQL script, for psql against a copy's schema. */
+function migrationsScript(databaseId, migrations) {
+  const lines = [
+    `-- Schema migrations for database "${databaseId}"`,
+    '-- Run with search_path set to the target database\'s schema, e.g.',
+    '--   SET search_path TO "db_staging";',
+    '',
+    'BEGIN;'
+  ];
+  for (const m of migrations) {
+    lines.push('', `-- Version ${m.version} (${m.operation}): ${m.description.replace(/\s+/g, ' ')}`);
+    lines.push(...m.up_sql.map(sql => `${sql};`));
+  }
+  lines.push('', 'COMMIT;', '');
+  return lines.join('\n');
+}
+
+module.exports = {
+  EXPORT_FORMAT,
+  EXPORT_VERSION,
+  useSchema,
+  tableSnapshot,
+  primaryKey,
+  createTableStatements,
+  restoreStatements,
+  diffSnapshots,
+  describeChanges,
+  schemaAt,
+  diffVersions,
+  startMigration,
+  saveMigration,
+  rollbackLast,
+  validateChain,
+  replayChain,
+  migrationsExport,
+  migrationsScript
+};
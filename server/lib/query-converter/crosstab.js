@@ -0,0 +1,204 @@
+/**
+ * Crosstab (TRANSFORM … PIVOT) conversion.
+ *
+ * Access crosstabs have the shape
+ *   TRANSFORM <aggregate> SELECT <row headings> FROM … GROUP BY … PIVOT <expr> [IN (v1, v2, …)]
+ *
+ * With a fixed IN list the pivot columns are known up front, so the query
+ * becomes an ordinary view with one FILTER-aggregate column per value.
+ * Without one, the column set depends on the data: the query becomes a
+ * plpgsql set-returning function that reads the distinct pivot values and
+ * returns one JSON object per row.
+ */
+
+const { sanitizeName, escapeRegex, parseArguments, findCloseParen } = require('./utils');
+const { applyFunctionTranslations } = require('./functions');
+const { applySyntaxTranslations, addSchemaFunctionPrefix } = require('./syntax');
+const { findFromClause } = require('./ddl');
+
+// Column name Access gives the bucket for NULL pivot values
+const NULL_PIVOT_LABEL = '<>';
+
+// ============================================================
+// Parsing
+// ============================================================
+
+/**
+ * Find a keyword at nesting depth 0, outside string literals and [brackets].
+ * @returns {number} index of the keyword, or -1
+ */
+function findTopLevelKeyword(sql, keyword, startIdx = 0) {
+  const re = new RegExp(`^${keyword.replace(/\s+/g, '\\s+')}(?![\\w])`, 'i');
+  let depth = 0;
+  let quote = null;
+  for (let i = startIdx; i < sql.length; i++) {
+    const ch = sql[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '[') {
+      quote = ']';
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+    } else if (depth === 0 && !/\w/.test(sql[i - 1] || '') && re.test(sql.substring(i))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Turn an IN-list literal into the column heading Access shows for it:
+ * quotes removed, #m/d/yyyy# dates as yyyy-mm-dd, numbers as written.
+ */
+function pivotLabel(literal) {
+  const v = literal.trim();
+  const quoted = v.match(/^(["'])([\s\S]*)\1$/);
+  if (quoted) return quoted[2].split(quoted[1] + quoted[1]).join(quoted[1]);
+  const usDate = v.match(/^#(\d{1,2})\/(\d{1,2})\/(\d{4})#$/);
+  if (usDate) return `${usDate[3]}-${usDate[1].padStart(2, '0')}-${usDate[2].padStart(2, '0')}`;
+  const isoDate = v.match(/^#(\d{4})-(\d{1,2})-(\d{1,2})#$/);
+  if (isoDate) return `${isoDate[1]}-${isoDate[2].padStart(2, '0')}-${isoDate[3].padStart(2, '0')}`;
+  return v;
+}
+
+/**
+ * Split an Access crosstab into its parts.
+ * @param {string} sql - Access SQL (PARAMETERS already stripped)
+ * @returns {{ aggregate: string, selectSql: string, pivotExpr: string, pivotValues: string[]|null }|null}
+ *   null when the statement is not a TRANSFORM … SELECT … PIVOT crosstab
+ */
+function parseCrosstab(sql) {
+  const transform = sql.match(/^\s*TRANSFORM\s+/i);
+  if (!transform) return null;
+
+  const selectIdx = findTopLevelKeyword(sql, 'SELECT', transform[0].length);
+  if (selectIdx === -1) return null;
+  const pivotIdx = findTopLevelKeyword(sql, 'PIVOT', selectIdx);
+  if (pivotIdx === -1) return null;
+
+  // The TRANSFORM alias (AS SumOfX) only names the value in Access's designer
+  const aggregate = sql.substring(transform[0].length, selectIdx).trim()
+    .replace(/\s+AS\s+(?:\[[^\]]+\]|\w+)\s*$/i, '');
+  const selectSql = sql.substring(selectIdx, pivotIdx).trim();
+  let pivotExpr = sql.substring(pivotIdx + 'PIVOT'.length).trim();
+  let pivotValues = null;
+
+  const inIdx = findTopLevelKeyword(pivotExpr, 'IN');
+  if (inIdx !== -1) {
+    const openIdx = pivotExpr.indexOf('(', inIdx);
+    const closeIdx = openIdx === -1 ? -1 : findCloseParen(pivotExpr, openIdx);
+    if (closeIdx !== -1 && !pivotExpr.substring(inIdx + 2, openIdx).trim() &&
+        !pivotExpr.substring(closeIdx + 1).trim()) {
+      pivotValues = parseArguments(pivotExpr.substring(openIdx + 1, closeIdx)).map(pivotLabel);
+      pivotExpr = pivotExpr.substring(0, inIdx).trim();
+    }
+  }
+
+  if (!aggregate || !pivotExpr || !/\bGROUP\s+BY\b/i.test(selectSql)) return null;
+  return { aggregate, selectSql, pivotExpr, pivotValues };
+}
+
+// ============================================================
+// DDL builders
+// ============================================================
+
+function quoteLiteral(str) {
+  return `'${String(str).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Translate a crosstab expression (aggregate or pivot) to PostgreSQL.
+ * Form/TempVars references become inline subqueries (expression context).
+ */
+function translateCrosstabExpression(expr, schemaName, controlMapping, referencedEntries, warnings) {
+  let out = applyFunctionTranslations(expr);
+  out = applySyntaxTranslations(out, controlMapping, referencedEntries, warnings);
+  return addSchemaFunctionPrefix(out, schemaName);
+}
+
+/**
+ * Unique, sanitized column names for the pivot values.
+ */
+function pivotColumnNames(labels) {
+  const used = new Set();
+  return labels.map((label, i) => {
+    const base = sanitizeName(label) || `pivot_${i + 1}`;
+    let name = base;
+    for (let n = 2; used.has(name); n++) name = `${base}_${n}`;
+    used.add(name);
+    return name;
+  });
+}
+
+/**
+ * Add one FILTER-aggregate column per fixed pivot value to the translated
+ * row-heading SELECT. Values are matched on their text form, as Access
+ * matches column headings.
+ * @param {string} baseSql - translated SELECT … GROUP BY …
+ * @param {string} aggregate - translated aggregate expression
+ * @param {string} pivotExpr - translated pivot expression
+ * @param {string[]} labels - pivot values from the IN list
+ * @returns {string|null} SELECT with pivot columns, or null if FROM can't be found
+ */
+function buildCrosstabSelect(baseSql, aggregate, pivotExpr, labels) {
+  const fromIdx = findFromClause(baseSql, baseSql.search(/\bSELECT\b/i) + 6);
+  if (fromIdx === -1) return null;
+
+  const names = pivotColumnNames(labels);
+  const columns = labels.map((label, i) =>
+    `${aggregate} FILTER (WHERE (${pivotExpr})::text = ${quoteLiteral(label)}) AS "${names[i]}"`);
+
+  return `${baseSql.substring(0, fromIdx).trimEnd()},\n  ${columns.join(',\n  ')}\n${baseSql.substring(fromIdx).trimStart()}`;
+}
+
+/**
+ * Build a set-returning function for a crosstab without an IN list.
+ * The pivot columns are discovered when the function runs, so each row is
+ * returned as a JSON object (row headings first, then one key per value).
+ * @returns {string|null} CREATE FUNCTION statement, or null if FROM can't be found
+ */
+function buildCrosstabFunction(baseSql, aggregate, pivotExpr, schemaName, pgName, uniqueParams) {
+  const fromIdx = findFromClause(baseSql, baseSql.search(/\bSELECT\b/i) + 6);
+  if (fromIdx === -1) return null;
+
+  // Parameters can't be seen inside EXECUTE — pass them positionally
+  const bind = (text) => uniqueParams.reduce((s, p, i) =>
+    s.replace(new RegExp(`\\b${escapeRegex(p.pgName)}\\b`, 'g'), `$${i + 1}`), text);
+
+  const head = bind(baseSql.substring(0, fromIdx).trimEnd());
+  const tail = bind(baseSql.substring(fromIdx).trimStart());
+  const groupIdx = findTopLevelKeyword(tail, 'GROUP BY');
+  const fromWhere = groupIdx === -1 ? tail : tail.substring(0, groupIdx).trimEnd();
+  const boundAggregate = bind(aggregate);
+  const boundPivot = bind(pivotExpr);
+
+  // format() template: %L = value literal, %I = column name; escape literal % signs
+  const template = `${boundAggregate} FILTER (WHERE (${boundPivot})::text IS NOT DISTINCT FROM %L) AS %I`
+    .replace(/%(?![LI])/g, '%%');
+  const columnName = `COALESCE(NULLIF(regexp_replace(regexp_replace(lower(_v), '\\s+', '_', 'g'), '[^a-z0-9_]', '', 'g'), ''), ${quoteLiteral(NULL_PIVOT_LABEL)})`;
+
+  const paramList = uniqueParams.map(p => `${p.pgName} ${p.pgType}`).join(', ');
+  const using = uniqueParams.length > 0 ? ` USING ${uniqueParams.map(p => p.pgName).join(', ')}` : '';
+  const columnsSql = `SELECT string_agg(format(${quoteLiteral(template)}, _v, ${columnName}), ', ' ORDER BY _v NULLS FIRST) ` +
+    `FROM (SELECT DISTINCT (${boundPivot})::text AS _v ${fromWhere}) _pivot`;
+
+  return `CREATE OR REPLACE FUNCTION ${schemaName}."${pgName}"(${paramList})\n` +
+    `RETURNS SETOF json AS $$\n` +
+    `DECLARE\n` +
+    `  _cols text;\n` +
+    `BEGIN\n` +
+    `  EXECUTE ${quoteLiteral(columnsSql)}\n` +
+    `    INTO _cols${using};\n` +
+    `  RETURN QUERY EXECUTE 'SELECT row_to_json(_t) FROM (' || ${quoteLiteral(head)} || COALESCE(', ' || _cols, '') || ' ' || ${quoteLiteral(tail)} || ') _t'${using};\n` +
+    `END;\n` +
+    `$$ LANGUAGE plpgsql STABLE`;
+}
+
+module.exports = {
+  parseCrosstab, findTopLevelKeyword, pivotLabel, pivotColumnNames,
+  translateCrosstabExpression, buildCrosstabSelect, buildCrosstabFunction
+};
@@ -300,10 +300,29 @@ function resolveParams(parameters, tempVarParams, columnTypes, sql) {
   return uniqueParams;
 }
 
+/**
+ * Point bracketed references to declared parameters ([Min Amount]) at the
+ * function arguments resolveParams names them (p_min_amount). Form, TempVars
+ * and Table.Column "parameters" are resolved elsewhere and left alone, as is
+ * text inside string literals.
+ */
+function replaceParamRefs(sql, parameters) {
+  const formRefPattern = /\b(TempVars|Parent|Form|Forms|Report|Reports)\b/i;
+  const pgNames = new Map();
+  for (const p of parameters) {
+    const name = p.name.replace(/^\[(.*)\]$/, '$1');
+    if (formRefPattern.test(name) || /[\[\].!]/.test(name)) continue;
+    pgNames.set(name.toLowerCase(), 'p_' + sanitizeName(name));
+  }
+  if (pgNames.size === 0) return sql;
+  return sql.replace(/("[^"]*"|'(?:[^']|'')*')|\[([^\]]+)\]/g, (match, literal, name) =>
+    (literal ? match : pgNames.get(name.toLowerCase()) || match));
+}
+
 module.exports = {
   parseSelectList, findFromClause,
   extractCalculatedColumns, extractReturnColumns,
   needsCustomAggregates, getAggregateStatements,
   buildSelectView, buildParameterizedSelect, buildPlpgsqlFunction, buildMakeTableFunction,
-  resolveParams
+  resolveParams, replaceParamRefs
 };
@@ -14,8 +14,11 @@ const { applySyntaxTranslations, addSchemaPrefix, addSchemaFunctionPrefix } = re
 const {
   needsCustomAggregates, getAggregateStatements,
   buildSelectView, buildParameterizedSelect, buildPlpgsqlFunction, buildMakeTableFunction,
-  resolveParams
+  resolveParams, replaceParamRefs
 } = require('./ddl');
+const {
+  parseCrosstab, translateCrosstabExpression, buildCrosstabSelect, buildCrosstabFunction
+} = require('./crosstab');
 
 /**
  * Inject cross-join FROM and WHERE additions for session_state refs into SQL.
@@ -76,7 +79,9 @@ function convertAccessQuery(queryData, schemaName, columnTypes, controlMapping)
   // Strip PARAMETERS declaration before any translation
   sql = sql.replace(/^PARAMETERS\s+[^;]+;\s*/i, '');
 
-  // Resolve DAO-declared parameters (excluding TempVar declarations, which become subqueries)
+  // Resolve DAO-declared parameters (excluding TempVar declarations, which become subqueries);
+  // [Param] references become the function's p_param arguments
+  sql = replaceParamRefs(sql, parameters);
   const uniqueParams = resolveParams(parameters, [], columnTypes, sql);
 
   // Track which state table entries are referenced by form refs
@@ -84,6 +89,12 @@ function convertAccessQuery(queryData, schemaName, columnTypes, controlMapping)
   // Collect cross-join metadata for session_state refs
   const stateRefs = [];
 
+  // Crosstab: translate the row-heading SELECT like any other query;
+  // the TRANSFORM aggregate and PIVOT expression are added in Step 6
+  const isCrosstab = queryTypeCode === 16 || /^\s*TRANSFORM\b/i.test(sql);
+  const crosstab = isCrosstab ? parseCrosstab(sql) : null;
+  if (crosstab) sql = crosstab.selectSql;
+
   // Step 2: Function translations
   try { sql = applyFunctionTranslations(sql); }
   catch (err) { warnings.push(`Function translation error: ${err.message}`); }
@@ -115,7 +126,6 @@ function convertAccessQuery(queryData, schemaName, columnTypes, controlMapping)
   const isDelete = queryTypeCode === 32 || /^\s*DELETE\b/i.test(sql);
   const isInsert = queryTypeCode === 64 || /^\s*INSERT\b/i.test(sql);
   const isMakeTable = queryTypeCode === 80;
-  const isCrosstab = queryTypeCode === 16;
   const isUnion = queryTypeCode === 128;
 
   let pgObjectType;
@@ -128,9 +138,21 @@ function convertAccessQuery(queryData, schemaName, columnTypes, controlMapping)
     warnings.push(...result.warnings);
 
   } else if (isCrosstab) {
-    pgObjectType = 'view';
-    warnings.push('Crosstab queries require the tablefunc extension and manual column definitions');
-    statements.push(`-- Crosstab query — requires manual conversion:\n-- ${sql.replace(/\n/g, '\n-- ')}`);
+    const result = crosstab
+      ? convertCrosstab(crosstab, sql, schemaName, pgName, queryName, uniqueParams, controlMapping, referencedStateEntries, warnings)
+      : null;
+    if (result) {
+      pgObjectType = result.pgObjectType;
+      if (needsCustomAggregates(result.aggregate) && !needsCustomAggregates(sql)) {
+        statements.push(...getAggregateStatements(schemaName));
+      }
+      statements.push(...result.statements);
+      extractedFunctions = result.extractedFunctions || [];
+    } else {
+      pgObjectType = 'view';
+      warnings.push('Crosstab query could not be parsed (expected TRANSFORM … SELECT … GROUP BY … PIVOT …) — requires manual conversion');
+      statements.push(`-- Crosstab query — requires manual conversion:\n-- ${sql.replace(/\n/g, '\n-- ')}`);
+    }
 
   } else if (isUpdate || isDelete || isInsert) {
     pgObjectType = 'function';
@@ -162,6 +184,38 @@ function convertAccessQuery(queryData, schemaName, columnTypes, controlMapping)
   return { statements, pgObjectName: pgName, pgObjectType, warnings, extractedFunctions, referencedStateEntries };
 }
 
+/**
+ * Build DDL for a parsed crosstab.
+ * With a PIVOT … IN list → view (or parameterized function) with one column per value.
+ * Without one → set-returning function that discovers the pivot values at run time.
+ *
+ * @param {Object} crosstab - parseCrosstab() result
+ * @param {string} baseSql - translated row-heading SELECT
+ * @returns {Object|null} { statements[], pgObjectType, aggregate, extractedFunctions } or null
+ */
+function convertCrosstab(crosstab, baseSql, schemaName, pgName, queryName, uniqueParams, controlMapping, referencedStateEntries, warnings) {
+  const translate = expr =>
+    translateCrosstabExpression(expr, schemaName, controlMapping, referencedStateEntries, warnings);
+  const aggregate = translate(crosstab.aggregate);
+  const pivotExpr = translate(crosstab.pivotExpr);
+
+  if (!crosstab.pivotValues) {
+    const fn = buildCrosstabFunction(baseSql, aggregate, pivotExpr, schemaName, pgName, uniqueParams);
+    if (!fn) return null;
+    warnings.push('Crosstab has no PIVOT … IN (...) column list — created as a function returning one JSON object per row; add an IN list to get a view');
+    return { statements: [fn], pgObjectType: 'function', aggregate };
+  }
+
+  const selectSql = buildCrosstabSelect(baseSql, aggregate, pivotExpr, crosstab.pivotValues);
+  if (!selectSql) return null;
+  if (uniqueParams.length > 0) {
+    const result = buildParameterizedSelect(selectSql, schemaName, pgName, queryName, uniqueParams);
+    warnings.push(...(result.warnings || []));
+    return { ...result, pgObjectType: 'function', aggregate };
+  }
+  return { ...buildSelectView(selectSql, schemaName, pgName, queryName), pgObjectType: 'view', aggregate };
+}
+
 /**
  * Convert a standalone Access expression (e.g. from a calculated column)
  * to PostgreSQL syntax. Applies function + syntax translations without
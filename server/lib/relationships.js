@@ -0,0 +1,280 @@
+/**
+ * Access relationships as PostgreSQL foreign keys.
+ *
+ * Access keeps relationships (the Relationships window) apart from its
+ * tables, so import-table never sees them. Once every table of a database is
+ * loaded, importRelationships turns each relationship that enforces
+ * referential integrity into a FOREIGN KEY on the "many" table, carrying over
+ * cascade update and cascade delete, and records references edges from the
+ * foreign columns to the primary table in the graph.
+ *
+ * Imported data can hold orphan rows (keys with no primary row) that Access
+ * let through, e.g. rows from before integrity was switched on. Such a key
+ * is still created, but NOT VALID: new and changed rows are checked,
+ * existing ones are not, and the orphans are reported as violations.
+ * Relationships that don't enforce integrity get no key; they are logged.
+ */
+
+const { sanitizeName } = require('./query-converter');
+const { quoteIdent } = require('./access-types');
+const { findNode, upsertEdge } = require('../graph/query');
+
+// DAO RelationAttributeEnum bits (Relation.Attributes, MSysRelationships.grbit)
+const DONT_ENFORCE = 0x2;
+const UPDATE_CASCADE = 0x100;
+const DELETE_CASCADE = 0x1000;
+
+const ORPHAN_SAMPLE = 10;
+
+/**
+ * Normalize a relationship in the list_relationships.ps1 shape to PostgreSQL
+ * names, the way import-table names tables and columns. Relationships
+ * without attributes (older scans) are treated as enforced.
+ * @param {Object} rel - { name, primaryTable, foreignTable, fields: [{ primary, foreign }], attributes }
+ * @returns {Object|null} null when the relationship is incomplete
+ */
+function normalizeRelationship(rel) {
+  const fields = Array.isArray(rel?.fields) ? rel.fields : [];
+  if (!rel?.primaryTable || !rel?.foreignTable || !fields.length ||
+      fields.some(f => !f?.primary || !f?.foreign)) {
+    return null;
+  }
+  const attributes = Number(rel.attributes) || 0;
+  const foreignTable = sanitizeName(rel.foreignTable);
+  const foreignColumns = fields.map(f => sanitizeName(f.foreign));
+  return {
+    name: rel.name || `${rel.primaryTable}${rel.foreignTable}`,
+    primaryTable: sanitizeName(rel.primaryTable),
+    primaryColumns: fields.map(f => sanitizeName(f.primary)),
+    foreignTable,
+    foreignColumns,
+    enforced: !(attributes & DONT_ENFORCE),
+    cascadeUpdate: !!(attributes & UPDATE_CASCADE),
+    cascadeDelete: !!(attributes & DELETE_CASCADE),
+    constraint: `fk_${foreignTable}_${foreignColumns.join('_')}`.slice(0, 63)
+  };
+}
+
+/**
+ * ALTER TABLE statement adding a relationship's foreign key.
+ * @param {string} schemaName
+ * @param {Object} rel - from normalizeRelationship
+ * @param {Object} opts - { notValid }
+ */
+function foreignKeySql(schemaName, rel, { notValid = false } = {}) {
+  const schema = quoteIdent(schemaName);
+  let sql = `ALTER TABLE ${schema}.${quoteIdent(rel.foreignTable)}` +
+    ` ADD CONSTRAINT ${quoteIdent(rel.constraint)}` +
+    ` FOREIGN KEY (${rel.foreignColumns.map(quoteIdent).join(', ')})` +
+    ` REFERENCES ${schema}.${quoteIdent(rel.primaryTable)} (${rel.primaryColumns.map(quoteIdent).join(', ')})`;
+  if (rel.cascadeUpdate) sql += ' ON UPDATE CASCADE';
+  if (rel.cascadeDelete) sql += ' ON DELETE CASCADE';
+  if (notValid) sql += ' NOT VALID';
+  return sql;
+}
+
+/**
+ * Foreign-table rows whose key has no primary row. Keys with a null column
+ * are skipped, as the foreign key itself (MATCH SIMPLE) skips them.
+ * @returns {Promise<{ rows: number, keys: number, sample: Array<{ key: Object, rows: number }> }>}
+ *   rows and keys are totals; sample holds the most frequent orphan keys
+ */
+async function findOrphans(client, schemaName, rel, limit = ORPHAN_SAMPLE) {
+  const schema = quoteIdent(schemaName);
+  const cols = rel.foreignColumns.map(c => `f.${quoteIdent(c)}`);
+  const match = rel.foreignColumns
+    .map((c, i) => `p.${quoteIdent(rel.primaryColumns[i])} = f.${quoteIdent(c)}`)
+    .join(' AND ');
+  const result = await client.query(`
+    SELECT ${cols.map((c, i) => `${c} AS k${i}`).join(', ')},
+      COUNT(*)::int AS row_count,
+      COUNT(*) OVER ()::int AS key_count,
+      (SUM(COUNT(*)) OVER ())::int AS orphan_rows
+    FROM ${schema}.${quoteIdent(rel.foreignTable)} f
+    WHERE ${cols.map(c => `${c} IS NOT NULL`).join(' AND ')}
+      AND NOT EXISTS (SELECT 1 FROM ${schema}.${quoteIdent(rel.primaryTable)} p WHERE ${match})
+    GROUP BY ${cols.join(', ')}
+    ORDER BY row_count DESC
+    LIMIT $1
+  `, [limit]);
+  if (!result.rows.length) return { rows: 0, keys: 0, sample: [] };
+  return {
+    rows: result.rows[0].orphan_rows,
+    keys: result.rows[0].key_count,
+    sample: result.rows.map(r => ({
+      key: Object.fromEntries(rel.foreignColumns.map((c, i) => [c, r[`k${i}`]])),
+      rows: r.row_count
+    }))
+  };
+}
+
+/** Columns of every table in a schema: Map of table name to Set of column names. */
+async function schemaColumns(pool, schemaName) {
+  const result = await pool.query(
+    'SELECT table_name, column_name FROM information_schema.columns WHERE table_schema = $1',
+    [schemaName]
+  );
+  const tables = new Map();
+  for (const row of result.rows) {
+    if (!tables.has(row.table_name)) tables.set(row.table_name, new Set());
+    tables.get(row.table_name).add(row.column_name);
+  }
+  return tables;
+}
+
+/** Tables and columns a relationship names that the schema lacks. */
+function missingObjects(tables, rel) {
+  const missing = [];
+  for (const [table, columns] of [[rel.primaryTable, rel.primaryColumns], [rel.foreignTable, rel.foreignColumns]]) {
+    if (!tables.has(table)) {
+      missing.push(table);
+      continue;
+    }
+    for (const column of columns) {
+      if (!tables.get(table).has(column)) missing.push(`${table}.${column}`);
+    }
+  }
+  return missing;
+}
+
+function describeRelationship(rel) {
+  return `${rel.foreignTable}(${rel.foreignColumns.join(', ')}) → ${rel.primaryTable}(${rel.primaryColumns.join(', ')})`;
+}
+
+/**
+ * Add a relationship's foreign key, replacing one of the same name from an
+ * earlier import. NOT VALID when the data has orphans.
+ * @returns {Promise<Object>} the orphans found
+ */
+async function createForeignKey(pool, schemaName, rel) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `ALTER TABLE ${quoteIdent(schemaName)}.${quoteIdent(rel.foreignTable)} DROP CONSTRAINT IF EXISTS ${quoteIdent(rel.constraint)}`
+    );
+    const orphans = await findOrphans(client, schemaName, rel);
+    await client.query(foreignKeySql(schemaName, rel, { notValid: orphans.rows > 0 }));
+    await client.query('COMMIT');
+    return orphans;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * One references edge per column pair, from the foreign column's node to the
+ * primary table's node. Pairs whose nodes the graph lacks are skipped.
+ * @returns {Promise<number>} edges recorded
+ */
+async function recordEdges(pool, databaseId, rel, validated) {
+  const tableNode = await findNode(pool, 'table', rel.primaryTable, databaseId);
+  if (!tableNode) return 0;
+  let edges = 0;
+  for (let i = 0; i < rel.foreignColumns.length; i++) {
+    const colNode = await findNode(pool, 'column', rel.foreignColumns[i], databaseId);
+    if (!colNode) continue;
+    await upsertEdge(pool, {
+      from_id: colNode.id,
+      to_id: tableNode.id,
+      rel_type: 'references',
+      metadata: {
+        referenced_column: rel.primaryColumns[i],
+        constraint: rel.constraint,
+        relationship: rel.name,
+        validated,
+        cascade_update: rel.cascadeUpdate,
+        cascade_delete: rel.cascadeDelete
+      }
+    });
+    edges++;
+  }
+  return edges;
+}
+
+/**
+ * Create foreign keys for a database's Access relationships. Run after all
+ * of its tables are imported. Each relationship succeeds or fails on its own
+ * and is logged to shared.import_log.
+ * @param {Pool} pool - unscoped; statements are schema-qualified
+ * @param {Object} opts - { databaseId, schemaName, relationships, sourcePath, runId }
+ * @returns {Promise<{ results: Object[], violations: Object[] }>}
+ *   results: one per relationship, status created | not-validated |
+ *   not-enforced | skipped | error; violations: orphans per not-validated key
+ */
+async function importRelationships(pool, { databaseId, schemaName, relationships, sourcePath = null, runId = null }) {
+  const results = [];
+  const violations = [];
+  const tables = await schemaColumns(pool, schemaName);
+
+  async function log(objectName, severity, category, message, details = null) {
+    await pool.query(`
+      INSERT INTO shared.import_log
+        (source_path, target_database_id, source_object_name, source_object_type,
+         status, severity, category, message, details, run_id)
+      VALUES ($1, $2, $3, 'table', 'issue', $4, $5, $6, $7, $8)
+    `, [sourcePath, databaseId, objectName, severity, category, message,
+        details ? JSON.stringify(details) : null, runId])
+      .catch(err => console.error('Error writing to import_log:', err));
+  }
+
+  for (const raw of relationships || []) {
+    const rel = normalizeRelationship(raw);
+    if (!rel) {
+      results.push({ relationship: raw?.name || null, status: 'skipped', reason: 'Incomplete relationship' });
+      continue;
+    }
+    const summary = { relationship: rel.name, constraint: rel.constraint, table: rel.foreignTable };
+
+    const missing = missingObjects(tables, rel);
+    if (missing.length) {
+      const reason = `Not imported: ${missing.join(', ')}`;
+      await log(rel.foreignTable, 'warning', 'relationship-skipped',
+        `Relationship ${rel.name} (${describeRelationship(rel)}) skipped. ${reason}`);
+      results.push({ ...summary, status: 'skipped', reason });
+      continue;
+    }
+
+    if (!rel.enforced) {
+      await log(rel.foreignTable, 'info', 'relationship-not-enforced',
+        `Relationship ${rel.name} (${describeRelationship(rel)}) does not enforce referential integrity in Access; no foreign key created`);
+      results.push({ ...summary, status: 'not-enforced' });
+      continue;
+    }
+
+    let orphans;
+    try {
+      orphans = await createForeignKey(pool, schemaName, rel);
+    } catch (err) {
+      await log(rel.foreignTable, 'warning', 'fk-failed', `FK ${rel.constraint} failed: ${err.message}`);
+      results.push({ ...summary, status: 'error', error: err.message });
+      continue;
+    }
+
+    const validated = orphans.rows === 0;
+    const edges = await recordEdges(pool, databaseId, rel, validated);
+    if (validated) {
+      await log(rel.foreignTable, 'info', 'fk-created', `FK ${rel.constraint}: ${describeRelationship(rel)}`);
+      results.push({ ...summary, status: 'created', edges });
+    } else {
+      const violation = { ...summary, orphanRows: orphans.rows, orphanKeys: orphans.keys, sample: orphans.sample };
+      violations.push(violation);
+      await log(rel.foreignTable, 'warning', 'fk-not-validated',
+        `FK ${rel.constraint} created NOT VALID: ${orphans.rows} row(s) of ${rel.foreignTable} reference ${orphans.keys} missing ${rel.primaryTable} key(s)`,
+        violation);
+      results.push({ ...summary, status: 'not-validated', edges, orphanRows: orphans.rows });
+    }
+  }
+
+  return { results, violations };
+}
+
+module.exports = {
+  normalizeRelationship,
+  foreignKeySql,
+  findOrphans,
+  importRelationships
+};
@@ -0,0 +1,620 @@
+/**
+ * Access-style expression evaluator for server-side report rendering.
+ * Supports: [FieldName], math (+,-,*,/), string concat (&),
+ * built-in functions, aggregate functions, and literals.
+ *
+ * Port of ui-react/src/lib/expressions.ts, so a rendered report shows the
+ * same values as the browser preview. Keep the two in step.
+ */
+
+const { formatDateTime } = require('../data-export');
+
+// ============================================================
+// TOKENIZER
+// ============================================================
+
+function isWhitespace(ch) {
+  return ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r';
+}
+
+function isDigit(ch) {
+  const c = ch.charCodeAt(0);
+  return c >= 48 && c <= 57;
+}
+
+function isAlpha(ch) {
+  return /^[a-zA-Z_]$/.test(ch);
+}
+
+function isAlnum(ch) {
+  return isAlpha(ch) || isDigit(ch);
+}
+
+function scanUntil(chars, len, start, delim) {
+  let j = start;
+  while (j < len) {
+    if (chars[j] === delim) return j + 1;
+    j++;
+  }
+  return j;
+}
+
+function scanNumber(chars, len, i) {
+  let j = i;
+  let seenDot = false;
+  while (j < len) {
+    const c = chars[j];
+    if (isDigit(c)) { j++; }
+    else if (c === '.' && !seenDot) { seenDot = true; j++; }
+    else break;
+  }
+  return j;
+}
+
+function scanIdentifier(chars, len, i) {
+  let j = i;
+  while (j < len && isAlnum(chars[j])) j++;
+  return j;
+}
+
+function tokenize(expr) {
+  const chars = expr.split('');
+  const len = chars.length;
+  const tokens = [];
+  let i = 0;
+
+  while (i < len) {
+    const ch = chars[i];
+
+    if (isWhitespace(ch)) { i++; continue; }
+
+    if (ch === '[') {
+      const end = scanUntil(chars, len, i + 1, ']');
+      tokens.push({ type: 'field-ref', value: expr.slice(i + 1, end - 1) });
+      i = end; continue;
+    }
+
+    if (ch === '"') {
+      const end = scanUntil(chars, len, i + 1, '"');
+      tokens.push({ type: 'string', value: expr.slice(i + 1, end - 1) });
+      i = end; continue;
+    }
+
+    if (ch === '#') {
+      const end = scanUntil(chars, len, i + 1, '#');
+      tokens.push({ type: 'date', value: expr.slice(i + 1, end - 1) });
+      i = end; continue;
+    }
+
+    if (isDigit(ch) || (ch === '.' && i + 1 < len && isDigit(chars[i + 1]))) {
+      const end = scanNumber(chars, len, i);
+      tokens.push({ type: 'number', value: parseFloat(expr.slice(i, end)) });
+      i = end; continue;
+    }
+
+    if ('+-*/&'.includes(ch)) {
+      tokens.push({ type: 'operator', value: ch });
+      i++; continue;
+    }
+
+    if (ch === '<' || ch === '>') {
+      const next = i + 1 < len ? chars[i + 1] : '';
+      if (ch === '<' && next === '>') { tokens.push({ type: 'operator', value: '<>' }); i += 2; }
+      else if (ch === '<' && next === '=') { tokens.push({ type: 'operator', value: '<=' }); i += 2; }
+      else if (ch === '>' && next === '=') { tokens.push({ type: 'operator', value: '>=' }); i += 2; }
+      else { tokens.push({ type: 'operator', value: ch }); i++; }
+      continue;
+    }
+
+    if (ch === '=') { tokens.push({ type: 'operator', value: '=' }); i++; continue; }
+    if (ch === '(') { tokens.push({ type: 'paren-open', value: '(' }); i++; continue; }
+    if (ch === ')') { tokens.push({ type: 'paren-close', value: ')' }); i++; continue; }
+    if (ch === ',') { tokens.push({ type: 'comma', value: ',' }); i++; continue; }
+
+    if (isAlpha(ch)) {
+      const end = scanIdentifier(chars, len, i);
+      tokens.push({ type: 'identifier', value: expr.slice(i, end) });
+      i = end; continue;
+    }
+
+    i++; // skip unknown
+  }
+
+  return tokens;
+}
+
+// ============================================================
+// PARSER — Recursive Descent
+// ============================================================
+
+const AGGREGATE_FNS = new Set(['sum', 'count', 'avg', 'min', 'max', 'dcount', 'dsum', 'first', 'last']);
+
+function peekToken(tokens, pos) {
+  return pos < tokens.length ? tokens[pos] : null;
+}
+
+function expectCloseParen(tokens, pos, context) {
+  const tok = peekToken(tokens, pos);
+  if (tok && tok.type === 'paren-close') return pos + 1;
+  throw new Error(`Expected ) after ${context}`);
+}
+
+function parseArgList(tokens, argStart) {
+  const firstTok = peekToken(tokens, argStart);
+  if (firstTok && firstTok.type === 'paren-close') return [[], argStart];
+
+  const args = [];
+  let p = argStart;
+  while (true) {
+    const [arg, newP] = parseExpression(tokens, p);
+    args.push(arg);
+    const nextTok = peekToken(tokens, newP);
+    if (nextTok && nextTok.type === 'comma') { p = newP + 1; }
+    else { p = newP; break; }
+  }
+  return [args, p];
+}
+
+function parseAggregateCall(lower, tokens, pos) {
+  const argStart = pos + 2;
+  const starTok = peekToken(tokens, argStart);
+  if (lower === 'count' && starTok && starTok.type === 'operator' && starTok.value === '*') {
+    const closePos = expectCloseParen(tokens, argStart + 1, 'Count(*)');
+    return [{ type: 'aggregate', fn: 'count', arg: { type: 'literal', value: '*' } }, closePos];
+  }
+  const [arg, newPos] = parseExpression(tokens, argStart);
+  const finalPos = expectCloseParen(tokens, newPos, `${lower}(...)`);
+  return [{ type: 'aggregate', fn: lower, arg }, finalPos];
+}
+
+function parseFunctionCall(lower, tokens, pos) {
+  const argStart = pos + 2;
+  const [args, finalPos] = parseArgList(tokens, argStart);
+  const closePos = expectCloseParen(tokens, finalPos, `${lower}(...)`);
+  return [{ type: 'call', fn: lower, args }, closePos];
+}
+
+function parseIdentifierExpr(tokens, pos) {
+  const tok = peekToken(tokens, pos);
+  const word = tok.value;
+  const lower = word.toLowerCase();
+  const nextTok = peekToken(tokens, pos + 1);
+
+  if (lower === 'true') return [{ type: 'literal', value: true }, pos + 1];
+  if (lower === 'false') return [{ type: 'literal', value: false }, pos + 1];
+  if (lower === 'null') return [{ type: 'literal', value: null }, pos + 1];
+
+  if (nextTok && nextTok.type === 'paren-open') {
+    if (AGGREGATE_FNS.has(lower)) return parseAggregateCall(lower, tokens, pos);
+    return parseFunctionCall(lower, tokens, pos);
+  }
+
+  return [{ type: 'field-ref', name: word }, pos + 1];
+}
+
+function parsePrimary(tokens, pos) {
+  const tok = peekToken(tokens, pos);
+  if (!tok) throw new Error('Unexpected end of expression');
+
+  switch (tok.type) {
+    case 'number': return [{ type: 'literal', value: tok.value }, pos + 1];
+    case 'string': return [{ type: 'string', value: tok.value }, pos + 1];
+    case 'date': return [{ type: 'date', value: new Date(tok.value) }, pos + 1];
+    case 'field-ref': return [{ type: 'field-ref', name: tok.value }, pos + 1];
+    case 'identifier': return parseIdentifierExpr(tokens, pos);
+    case 'paren-open': {
+      const [expr, newPos] = parseExpression(tokens, pos + 1);
+      const closePos = expectCloseParen(tokens, newPos, 'expression');
+      return [expr, closePos];
+    }
+    default: throw new Error(`Unexpected token: ${JSON.stringify(tok)}`);
+  }
+}
+
+function parseUnary(tokens, pos) {
+  const tok = peekToken(tokens, pos);
+  if (tok && tok.type === 'operator' && tok.value === '-') {
+    const [expr, newPos] = parseUnary(tokens, pos + 1);
+    return [{ type: 'binary-op', op: '*', left: { type: 'literal', value: -1 }, right: expr }, newPos];
+  }
+  return parsePrimary(tokens, pos);
+}
+
+function parseBinaryLeft(subParser, opSet, tokens, pos) {
+  let [left, p] = subParser(tokens, pos);
+  while (true) {
+    const tok = peekToken(tokens, p);
+    if (tok && tok.type === 'operator' && opSet.has(tok.value)) {
+      const [right, nextP] = subParser(tokens, p + 1);
+      left = { type: 'binary-op', op: tok.value, left, right };
+      p = nextP;
+    } else break;
+  }
+  return [left, p];
+}
+
+function parseMultiplicative(tokens, pos) {
+  return parseBinaryLeft(parseUnary, new Set(['*', '/']), tokens, pos);
+}
+
+function parseAdditive(tokens, pos) {
+  return parseBinaryLeft(parseMultiplicative, new Set(['+', '-']), tokens, pos);
+}
+
+function parseConcat(tokens, pos) {
+  let [left, p] = parseAdditive(tokens, pos);
+  while (true) {
+    const tok = peekToken(tokens, p);
+    if (tok && tok.type === 'operator' && tok.value === '&') {
+      const [right, nextP] = parseAdditive(tokens, p + 1);
+      left = { type: 'concat', left, right };
+      p = nextP;
+    } else break;
+  }
+  return [left, p];
+}
+
+function parseComparison(tokens, pos) {
+  const [left, newPos] = parseConcat(tokens, pos);
+  const tok = peekToken(tokens, newPos);
+  const cmpOps = new Set(['=', '<>', '<', '>', '<=', '>=']);
+  if (tok && tok.type === 'operator' && cmpOps.has(tok.value)) {
+    const [right, nextP] = parseConcat(tokens, newPos + 1);
+    return [{ type: 'binary-op', op: tok.value, left, right }, nextP];
+  }
+  return [left, newPos];
+}
+
+function parseNot(tokens, pos) {
+  const tok = peekToken(tokens, pos);
+  if (tok && tok.type === 'identifier' && tok.value.toLowerCase() === 'not') {
+    const [expr, newPos] = parseNot(tokens, pos + 1);
+    return [{ type: 'not-op', operand: expr }, newPos];
+  }
+  return parseComparison(tokens, pos);
+}
+
+function parseAnd(tokens, pos) {
+  let [left, p] = parseNot(tokens, pos);
+  while (true) {
+    const tok = peekToken(tokens, p);
+    if (tok && tok.type === 'identifier' && tok.value.toLowerCase() === 'and') {
+      const [right, nextP] = parseNot(tokens, p + 1);
+      left = { type: 'and-op', left, right };
+      p = nextP;
+    } else break;
+  }
+  return [left, p];
+}
+
+function parseOr(tokens, pos) {
+  let [left, p] = parseAnd(tokens, pos);
+  while (true) {
+    const tok = peekToken(tokens, p);
+    if (tok && tok.type === 'identifier' && tok.value.toLowerCase() === 'or') {
+      const [right, nextP] = parseAnd(tokens, p + 1);
+      left = { type: 'or-op', left, right };
+      p = nextP;
+    } else break;
+  }
+  return [left, p];
+}
+
+function parseExpression(tokens, pos) {
+  return parseOr(tokens, pos);
+}
+
+function parse(tokens) {
+  if (tokens.length === 0) return null;
+  const [ast] = parseExpression(tokens, 0);
+  return ast;
+}
+
+// ============================================================
+// EVALUATOR
+// ============================================================
+
+function toNumber(v) {
+  if (v == null) return 0;
+  if (typeof v === 'number') return v;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (typeof v === 'string') { const n = parseFloat(v); return isNaN(n) ? 0 : n; }
+  return 0;
+}
+
+// pg returns Date objects where the browser gets ISO strings; show them as Access does
+function toString(v) {
+  if (v == null) return '';
+  if (v instanceof Date) return formatDateTime(v);
+  return String(v);
+}
+
+function truthy(v) {
+  if (v == null) return false;
+  if (typeof v === 'boolean') return v;
+  if (typeof v === 'number') return v !== 0;
+  if (typeof v === 'string') return v.trim().length > 0;
+  return true;
+}
+
+function compareValues(op, left, right) {
+  let result;
+  switch (op) {
+    case '=': result = left === right; break;
+    case '<>': result = left !== right; break;
+    case '<': result = toNumber(left) < toNumber(right); break;
+    case '>': result = toNumber(left) > toNumber(right); break;
+    case '<=': result = toNumber(left) <= toNumber(right); break;
+    case '>=': result = toNumber(left) >= toNumber(right); break;
+    default: result = false;
+  }
+  return result ? -1 : 0;
+}
+
+// --- Built-in functions ---
+
+function fnIif(args, ctx) {
+  return truthy(evaluate(args[0], ctx)) ? evaluate(args[1], ctx) : evaluate(args[2], ctx);
+}
+
+function fnNz(args, ctx) {
+  const v = evaluate(args[0], ctx);
+  return v == null ? (args[1] ? evaluate(args[1], ctx) : 0) : v;
+}
+
+function fnNow() { return new Date(); }
+function fnDate() { const d = new Date(); return new Date(d.getFullYear(), d.getMonth(), d.getDate()); }
+
+function formatDateVal(d, fmtLower) {
+  switch (fmtLower) {
+    case 'short date': return `${d.getMonth() + 1}/${d.getDate()}/${d.getFullYear()}`;
+    case 'long date': return d.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+    case 'medium date': return d.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+    case 'short time': return d.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+    case 'long time': return d.toLocaleTimeString('en-US');
+    default: return d.toLocaleDateString();
+  }
+}
+
+function formatNumberVal(val, fmtLower) {
+  switch (fmtLower) {
+    case 'currency': return `$${val.toFixed(2)}`;
+    case 'percent': return `${(val * 100).toFixed(0)}%`;
+    case 'fixed': return val.toFixed(2);
+    case 'standard': return val.toLocaleString();
+    default: return String(val);
+  }
+}
+
+/**
+ * Format a value with an Access named format (Currency, Short Date, ...),
+ * as Format() and a control's Format property do. Numeric strings (pg's
+ * numeric and bigint) are formatted as numbers.
+ */
+function formatValue(val, fmt) {
+  const fmtLower = fmt ? String(fmt).toLowerCase() : '';
+  if (val == null) return '';
+  if (val instanceof Date) return formatDateVal(val, fmtLower);
+  if (typeof val === 'number') return formatNumberVal(val, fmtLower);
+  if (fmtLower && typeof val === 'string' && /^-?\d+(\.\d+)?$/.test(val)) {
+    return formatNumberVal(Number(val), fmtLower);
+  }
+  return String(val);
+}
+
+function fnFormat(args, ctx) {
+  const val = evaluate(args[0], ctx);
+  const fmt = args[1] ? evaluate(args[1], ctx) : null;
+  return formatValue(val, fmt);
+}
+
+function fnLeft(args, ctx) {
+  const s = toString(evaluate(args[0], ctx));
+  const n = toNumber(evaluate(args[1], ctx));
+  return s.slice(0, Math.min(Math.floor(n), s.length));
+}
+
+function fnRight(args, ctx) {
+  const s = toString(evaluate(args[0], ctx));
+  const n = toNumber(evaluate(args[1], ctx));
+  return s.slice(Math.max(0, s.length - Math.floor(n)));
+}
+
+function fnMid(args, ctx) {
+  const s = toString(evaluate(args[0], ctx));
+  const start = Math.floor(toNumber(evaluate(args[1], ctx))) - 1;
+  const length = args[2] ? Math.floor(toNumber(evaluate(args[2], ctx))) : undefined;
+  const from = Math.max(0, start);
+  return length !== undefined ? s.slice(from, Math.min(s.length, from + length)) : s.slice(from);
+}
+
+function fnLen(args, ctx) { return toString(evaluate(args[0], ctx)).length; }
+function fnTrim(args, ctx) { return toString(evaluate(args[0], ctx)).trim(); }
+function fnUcase(args, ctx) { return toString(evaluate(args[0], ctx)).toUpperCase(); }
+function fnLcase(args, ctx) { return toString(evaluate(args[0], ctx)).toLowerCase(); }
+function fnInt(args, ctx) { return Math.floor(toNumber(evaluate(args[0], ctx))); }
+function fnAbs(args, ctx) { return Math.abs(toNumber(evaluate(args[0], ctx))); }
+function fnVal(args, ctx) {
+  const n = parseFloat(toString(evaluate(args[0], ctx)));
+  return isNaN(n) ? 0 : n;
+}
+
+function fnRound(args, ctx) {
+  const val = toNumber(evaluate(args[0], ctx));
+  const decPlaces = args[1] ? toNumber(evaluate(args[1], ctx)) : 0;
+  const factor = Math.pow(10, decPlaces);
+  return Math.round(val * factor) / factor;
+}
+
+function fnInstr(args, ctx) {
+  const idx = toString(evaluate(args[0], ctx)).toLowerCase().indexOf(toString(evaluate(args[1], ctx)).toLowerCase());
+  return idx >= 0 ? idx + 1 : 0;
+}
+
+function fnReplace(args, ctx) {
+  return toString(evaluate(args[0], ctx)).split(toString(evaluate(args[1], ctx))).join(toString(evaluate(args[2], ctx)));
+}
+
+function fnIsNull(args, ctx) {
+  return evaluate(args[0], ctx) == null ? -1 : 0;
+}
+
+const BUILTIN_FNS = {
+  iif: fnIif, nz: fnNz, now: () => fnNow(), date: () => fnDate(), format: fnFormat,
+  left: fnLeft, right: fnRight, mid: fnMid, len: fnLen, trim: fnTrim,
+  ucase: fnUcase, lcase: fnLcase, int: fnInt, round: fnRound,
+  val: fnVal, instr: fnInstr, replace: fnReplace, abs: fnAbs,
+  isnull: fnIsNull,
+};
+
+// --- Aggregates ---
+
+function evalOverRecords(argAst, ctx, records) {
+  return records.map(r => toNumber(evaluate(argAst, { ...ctx, record: r })));
+}
+
+function evaluateAggregate(aggFn, argAst, ctx) {
+  const records = ctx.groupRecords || ctx.allRecords || [];
+  switch (aggFn) {
+    case 'count':
+      if (argAst.value === '*') return records.length;
+      return records.filter(r => evaluate(argAst, { ...ctx, record: r }) != null).length;
+    case 'sum': return evalOverRecords(argAst, ctx, records).reduce((a, b) => a + b, 0);
+    case 'avg': {
+      if (records.length === 0) return 0;
+      return evalOverRecords(argAst, ctx, records).reduce((a, b) => a + b, 0) / records.length;
+    }
+    case 'min': {
+      if (records.length === 0) return null;
+      return Math.min(...evalOverRecords(argAst, ctx, records));
+    }
+    case 'max': {
+      if (records.length === 0) return null;
+      return Math.max(...evalOverRecords(argAst, ctx, records));
+    }
+    default: return null;
+  }
+}
+
+// --- Field ref evaluation ---
+
+function evalFieldRef(nameLower, ctx) {
+  if (nameLower === 'page') return ctx.page;
+  if (nameLower === 'pages') return ctx.pages;
+  const record = ctx.record;
+  if (!record) return undefined;
+  if (nameLower in record) return record[nameLower];
+  // Case-insensitive lookup
+  for (const [k, v] of Object.entries(record)) {
+    if (k.toLowerCase() === nameLower) return v;
+  }
+  return undefined;
+}
+
+// --- Binary op evaluation ---
+
+function evalBinaryOp(ast, ctx) {
+  const op = ast.op;
+  if (['=', '<>', '<', '>', '<=', '>='].includes(op)) {
+    return compareValues(op, evaluate(ast.left, ctx), evaluate(ast.right, ctx));
+  }
+  const l = toNumber(evaluate(ast.left, ctx));
+  const r = toNumber(evaluate(ast.right, ctx));
+  switch (op) {
+    case '+': return l + r;
+    case '-': return l - r;
+    case '*': return l * r;
+    case '/': return r === 0 ? null : l / r;
+    default: return null;
+  }
+}
+
+function evaluate(ast, ctx) {
+  if (!ast) return null;
+  switch (ast.type) {
+    case 'literal': return ast.value;
+    case 'string': return ast.value;
+    case 'date': return ast.value;
+    case 'field-ref': return evalFieldRef(ast.name.toLowerCase(), ctx);
+    case 'binary-op': return evalBinaryOp(ast, ctx);
+    case 'concat': return toString(evaluate(ast.left, ctx)) + toString(evaluate(ast.right, ctx));
+    case 'not-op': return truthy(evaluate(ast.operand, ctx)) ? 0 : -1;
+    case 'and-op': return (truthy(evaluate(ast.left, ctx)) && truthy(evaluate(ast.right, ctx))) ? -1 : 0;
+    case 'or-op': return (truthy(evaluate(ast.left, ctx)) || truthy(evaluate(ast.right, ctx))) ? -1 : 0;
+    case 'call': {
+      const handler = BUILTIN_FNS[ast.fn];
+      return handler ? handler(ast.args, ctx) : null;
+    }
+    case 'aggregate': return evaluateAggregate(ast.fn, ast.arg, ctx);
+    default: return null;
+  }
+}
+
+// ============================================================
+// PUBLIC API
+// ============================================================
+
+const parseCache = new Map();
+
+function getCachedAst(exprStr) {
+  const cached = parseCache.get(exprStr);
+  if (cached !== undefined) return cached;
+  const ast = parse(tokenize(exprStr));
+  parseCache.set(exprStr, ast);
+  if (parseCache.size > 500) parseCache.clear();
+  return ast;
+}
+
+/**
+ * Evaluate an Access expression string (without leading '=').
+ * Returns the computed value, or "#Error" on failure.
+ */
+function evaluateExpression(exprString, context) {
+  try {
+    return evaluate(getCachedAst(exprString), context);
+  } catch {
+    return '#Error';
+  }
+}
+
+/** Test if a string starts with '=' (Access expression marker). */
+function isExpression(s) {
+  return typeof s === 'string' && s.startsWith('=');
+}
+
+// --- Conditional formatting ---
+
+function parseCfRules(rules) {
+  if (Array.isArray(rules)) return rules;
+  if (typeof rules === 'string') {
+    try {
+      const p = JSON.parse(rules);
+      if (Array.isArray(p)) return p;
+    } catch { /* ignore */ }
+  }
+  return null;
+}
+
+function ruleMatches(exprStr, ctx) {
+  const r = evaluateExpression(exprStr, ctx);
+  return r != null && r !== 0 && r !== false && r !== '#Error';
+}
+
+/**
+ * First matching conditional formatting rule of a control, or null.
+ * The rule carries the overrides: fore-color, back-color, font-bold, font-italic.
+ */
+function matchConditionalFormat(ctrl, ctx) {
+  const rules = parseCfRules(ctrl['conditional-formatting']);
+  if (!rules) return null;
+  for (const rule of rules) {
+    const exprStr = rule.expression || rule.Expression;
+    if (exprStr && exprStr.trim() && ruleMatches(exprStr, ctx)) return rule;
+  }
+  return null;
+}
+
+module.exports = {
+  tokenize, parse, evaluate, evaluateExpression, isExpression,
+  truthy, toText: toString, formatValue, matchConditionalFormat
+};
@@ -0,0 +1,107 @@
+/**
+ * Font metrics for report layout, using the PDF standard fonts so no font
+ * files need embedding. Proportional fonts lay out as Helvetica (metrically
+ * the same as Arial); fixed-pitch fonts as Courier.
+ */
+
+// Helvetica / Helvetica-Bold advance widths (1/1000 em) for ASCII 32..126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+const DEFAULT_WIDTH = 556;
+const COURIER_WIDTH = 600;
+
+const FIXED_PITCH_RE = /courier|consolas|mono|lucida console/i;
+
+// Standard font names by family, [bold][italic]
+const STANDARD_FONTS = {
+  Helvetica: [['Helvetica', 'Helvetica-Oblique'], ['Helvetica-Bold', 'Helvetica-BoldOblique']],
+  Courier: [['Courier', 'Courier-Oblique'], ['Courier-Bold', 'Courier-BoldOblique']]
+};
+
+// Access's default report font size
+const DEFAULT_FONT_SIZE = 11;
+
+/**
+ * Font for a control: { name (PDF standard font), family, size (pt), bold,
+ * italic, underline, cssFamily }.
+ */
+function fontFor(ctrl) {
+  const family = FIXED_PITCH_RE.test(ctrl['font-name'] || '') ? 'Courier' : 'Helvetica';
+  const weight = ctrl['font-weight'];
+  const bold = weight === 1 || weight >= 700;
+  const italic = ctrl['font-italic'] === 1;
+  return {
+    name: STANDARD_FONTS[family][bold ? 1 : 0][italic ? 1 : 0],
+    family,
+    size: ctrl['font-size'] || DEFAULT_FONT_SIZE,
+    bold,
+    italic,
+    underline: ctrl['font-underline'] === 1,
+    cssFamily: ctrl['font-name'] || family
+  };
+}
+
+/** Width of text in px at the font's size (pt at 96 dpi). */
+function textWidth(text, font) {
+  let units = 0;
+  if (font.family === 'Courier') {
+    units = text.length * COURIER_WIDTH;
+  } else {
+    const widths = font.bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    for (const ch of text) {
+      const code = ch.charCodeAt(0);
+      units += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+    }
+  }
+  return units / 1000 * font.size * 96 / 72;
+}
+
+/** Line height in px: 1.2 em, as Access spaces report text. */
+function lineHeight(font) {
+  return font.size * 1.2 * 96 / 72;
+}
+
+/**
+ * Break text into lines no wider than maxWidth px: at explicit line
+ * breaks, then between words, and inside words too long for a line.
+ */
+function wrapText(text, font, maxWidth) {
+  const lines = [];
+  for (const paragraph of String(text).split(/\r\n|\r|\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/(?<= )/)) {
+      if (textWidth(line + word.trimEnd(), font) <= maxWidth) {
+        line += word;
+        continue;
+      }
+      if (line) lines.push(line.trimEnd());
+      line = '';
+      let rest = word;
+      while (textWidth(rest.trimEnd(), font) > maxWidth && rest.length > 1) {
+        let fit = 1;
+        while (fit < rest.length && textWidth(rest.slice(0, fit + 1), font) <= maxWidth) fit++;
+        lines.push(rest.slice(0, fit));
+        rest = rest.slice(fit);
+      }
+      line = rest;
+    }
+    lines.push(line.trimEnd());
+  }
+  return lines;
+}
+
+module.exports = { fontFor, textWidth, lineHeight, wrapText, DEFAULT_FONT_SIZE };
@@ -0,0 +1,90 @@
+/**
+ * Paginated HTML for laid-out reports: one fixed-size box per page with
+ * absolutely positioned items, and print CSS that breaks after each page.
+ */
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function css(color) {
+  return `rgb(${color.join(',')})`;
+}
+
+function px(n) {
+  return `${Math.round(n * 100) / 100}px`;
+}
+
+function itemHtml(item) {
+  switch (item.kind) {
+    case 'rect': {
+      const style = [`left:${px(item.x)}`, `top:${px(item.y)}`, `width:${px(item.w)}`, `height:${px(item.h)}`];
+      if (item.fill) style.push(`background:${css(item.fill)}`);
+      if (item.stroke) style.push(`outline:${px(item.lineWidth || 1)} solid ${css(item.stroke)}`, 'outline-offset:-1px');
+      return `<div style="${style.join(';')}"></div>`;
+    }
+    case 'line': {
+      // A rotated box from the start point
+      const dx = item.x2 - item.x1;
+      const dy = item.y2 - item.y1;
+      const length = Math.sqrt(dx * dx + dy * dy);
+      const angle = Math.atan2(dy, dx) * 180 / Math.PI;
+      return `<div style="left:${px(item.x1)};top:${px(item.y1)};width:${px(length)};` +
+        `border-top:${px(item.lineWidth || 1)} solid ${css(item.color)};transform-origin:0 0;` +
+        `transform:rotate(${Math.round(angle * 100) / 100}deg)"></div>`;
+    }
+    case 'text': {
+      const { font } = item;
+      const style = [
+        `left:${px(item.x)}`, `top:${px(item.y)}`, `width:${px(item.w)}`, `height:${px(item.h)}`,
+        `padding:${px(item.padY)} ${px(item.padX)}`, 'box-sizing:border-box', 'overflow:hidden',
+        `font:${font.italic ? 'italic ' : ''}${font.bold ? 'bold ' : ''}${font.size}pt/${px(item.lineHeight)} ` +
+          `"${escapeHtml(font.cssFamily)}",${font.family === 'Courier' ? 'monospace' : 'sans-serif'}`,
+        `color:${css(item.color)}`, `text-align:${item.align}`, 'white-space:pre'
+      ];
+      if (font.underline) style.push('text-decoration:underline');
+      return `<div style="${style.join(';')}">${item.lines.map(escapeHtml).join('\n')}</div>`;
+    }
+    default:
+      return '';
+  }
+}
+
+/**
+ * Build an HTML document from a report layout.
+ * @param {{ setup: Object, pages: Array<{ items: Object[] }> }} layout
+ * @param {{ title?: string }} [info]
+ * @returns {string}
+ */
+function buildHtml(layout, info = {}) {
+  const { width, height } = layout.setup;
+  const pages = layout.pages.map((page, i) =>
+    `<div class="page" data-page="${i + 1}">\n${page.items.map(itemHtml).filter(Boolean).join('\n')}\n</div>`);
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(info.title || 'Report')}</title>`,
+    '<style>',
+    `@page { size: ${px(width)} ${px(height)}; margin: 0; }`,
+    'body { margin: 0; background: #e8e8e8; }',
+    `.page { position: relative; width: ${px(width)}; height: ${px(height)}; margin: 16px auto; ` +
+      'background: #fff; box-shadow: 0 2px 8px rgba(0,0,0,0.15); overflow: hidden; break-after: page; }',
+    '.page > div { position: absolute; }',
+    '@media print { body { background: none; } .page { margin: 0; box-shadow: none; } }',
+    '</style>',
+    '</head>',
+    '<body>',
+    ...pages,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+module.exports = { buildHtml, escapeHtml };
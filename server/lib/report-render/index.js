@@ -0,0 +1,41 @@
+/**
+ * Server-side report rendering.
+ *
+ * Lays a report definition out over its record source rows — grouping,
+ * page headers/footers, ForceNewPage, CanGrow/CanShrink, [Page] and [Pages]
+ * — and writes the pages as PDF or paginated HTML, so reports can be
+ * produced without a browser (OutputTo, archiving, emailing, tests).
+ *
+ * Not rendered: images, subreports and charts (they are skipped), and
+ * section events (On Format / On Print), which run only in the browser.
+ */
+
+const { layoutReport } = require('./layout');
+const { buildPdf } = require('./pdf');
+const { buildHtml } = require('./html');
+
+const REPORT_FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' }
+};
+
+/**
+ * Render a report.
+ * @param {Object} definition - report definition
+ * @param {Object[]} records - record source rows, already filtered and sorted
+ * @param {{ format?: 'pdf'|'html', title?: string }} [options]
+ * @returns {{ body: Buffer|string, contentType: string, pageCount: number }}
+ */
+function renderReport(definition, records, options = {}) {
+  const format = options.format || 'pdf';
+  if (!REPORT_FORMATS[format]) throw new Error(`Unsupported report format "${format}"`);
+  const layout = layoutReport(definition, records);
+  const info = { title: options.title || definition.caption || definition.name };
+  return {
+    body: format === 'pdf' ? buildPdf(layout, info) : buildHtml(layout, info),
+    contentType: REPORT_FORMATS[format].contentType,
+    pageCount: layout.pages.length
+  };
+}
+
+module.exports = { renderReport, layoutReport, REPORT_FORMATS };
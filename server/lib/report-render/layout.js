@@ -0,0 +1,434 @@
+/**
+ * Report layout: records → group tree → sections → pages of positioned
+ * drawing items that the PDF and HTML writers paint.
+ *
+ * Follows the browser preview (ui-react/src/views/ReportEditor/ReportView.tsx)
+ * for grouping, page header/footer settings and ForceNewPage, and adds what
+ * the preview leaves to CSS: CanGrow/CanShrink measured from font metrics and
+ * [Page]/[Pages] resolved after pagination.
+ *
+ * All geometry is in px at 96 dpi, as report definitions store it.
+ */
+
+const {
+  evaluateExpression, isExpression, toText, formatValue, matchConditionalFormat
+} = require('./expressions');
+const { fontFor, lineHeight, textWidth, wrapText } = require('./fonts');
+
+// US Letter with 1" margins, when the definition doesn't say
+const DEFAULT_PAGE_WIDTH = 816;
+const DEFAULT_PAGE_HEIGHT = 1056;
+const DEFAULT_MARGIN = 96;
+
+// Space between a text control's edge and its text
+const TEXT_PAD_X = 2;
+const TEXT_PAD_Y = 1;
+
+const TEXT_TYPES = new Set(['label', 'text-box', 'combo-box', 'list-box']);
+const CHECK_TYPES = new Set(['check-box', 'option-button', 'toggle-button']);
+const TRANSPARENT_BY_DEFAULT = new Set(['label', 'option-button', 'check-box', 'toggle-button', 'image', 'line']);
+
+// ============================================================
+// Page setup and sections
+// ============================================================
+
+function pageSetup(def) {
+  const width = def['page-width'] || DEFAULT_PAGE_WIDTH;
+  const marginLeft = def['margin-left'] ?? DEFAULT_MARGIN;
+  const marginRight = def['margin-right'] ?? DEFAULT_MARGIN;
+  return {
+    width,
+    height: def['page-height'] || DEFAULT_PAGE_HEIGHT,
+    marginTop: def['margin-top'] ?? DEFAULT_MARGIN,
+    marginBottom: def['margin-bottom'] ?? DEFAULT_MARGIN,
+    marginLeft,
+    marginRight,
+    bodyWidth: def.width || def['report-width'] || width - marginLeft - marginRight
+  };
+}
+
+function sectionHeight(def, key) {
+  const sec = def[key];
+  if (sec && typeof sec.height === 'number') return sec.height;
+  if (key === 'report-header' || key === 'report-footer') return 80;
+  if (key === 'page-header' || key === 'page-footer') return 40;
+  if (key.startsWith('group-')) return 60;
+  return 200;
+}
+
+function sectionVisible(def, key) {
+  return !!def[key] && def[key].visible !== 0;
+}
+
+// ============================================================
+// Group break detection + sorting
+// ============================================================
+
+function isoWeekNumber(d) {
+  const tmp = new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()));
+  tmp.setUTCDate(tmp.getUTCDate() + 4 - (tmp.getUTCDay() || 7));
+  const yearStart = new Date(Date.UTC(tmp.getUTCFullYear(), 0, 1));
+  return Math.ceil(((tmp.getTime() - yearStart.getTime()) / 86400000 + 1) / 7);
+}
+
+function groupValue(val, groupOn, groupInterval) {
+  if (!groupOn || groupOn === 'Each Value') return val instanceof Date ? val.getTime() : val;
+  const s = String(val ?? '');
+  if (groupOn === 'Prefix') return s.slice(0, groupInterval ?? 1);
+  if (groupOn === 'Interval') {
+    const n = typeof val === 'number' ? val : parseFloat(s);
+    const interval = groupInterval ?? 1;
+    return isNaN(n) ? val : Math.floor(n / interval) * interval;
+  }
+  // Date groupings
+  const d = typeof val === 'string' ? new Date(val) : val instanceof Date ? val : null;
+  if (!d || isNaN(d.getTime())) return val;
+  switch (groupOn) {
+    case 'Year': return d.getFullYear();
+    case 'Quarter': return `${d.getFullYear()}-Q${Math.floor(d.getMonth() / 3) + 1}`;
+    case 'Month': return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+    case 'Week': return `${d.getFullYear()}-W${isoWeekNumber(d)}`;
+    case 'Day': return d.toISOString().slice(0, 10);
+    case 'Hour': return `${d.toISOString().slice(0, 13)}:00`;
+    case 'Minute': return d.toISOString().slice(0, 16);
+    default: return val;
+  }
+}
+
+function compareVals(a, b) {
+  if (a == null && b == null) return 0;
+  if (a == null) return -1;
+  if (b == null) return 1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+function fieldOf(rec, field) {
+  return rec[field] ?? rec[field.toLowerCase()];
+}
+
+/** Stable sort on the grouping levels; records keep the record source's order within a group. */
+function sortRecordsForGrouping(records, grouping) {
+  if (!grouping?.length) return records;
+  return [...records].sort((a, b) => {
+    for (const g of grouping) {
+      if (!g.field) continue;
+      const av = groupValue(fieldOf(a, g.field), g['group-on'], g['group-interval']);
+      const bv = groupValue(fieldOf(b, g.field), g['group-on'], g['group-interval']);
+      const dir = g['sort-order']?.toLowerCase() === 'descending' ? -1 : 1;
+      const c = compareVals(av, bv) * dir;
+      if (c !== 0) return c;
+    }
+    return 0;
+  });
+}
+
+function buildGroupTree(records, grouping, level = 0) {
+  if (!grouping?.length || level >= grouping.length) {
+    return [{ level, records, children: [] }];
+  }
+  const g = grouping[level];
+  const field = g.field || '';
+  const segments = [];
+  let currentVal = Symbol('init');
+  let currentRecords = [];
+
+  const close = () => {
+    if (currentRecords.length > 0) {
+      segments.push({ level, records: currentRecords, children: buildGroupTree(currentRecords, grouping, level + 1) });
+    }
+  };
+  for (const rec of records) {
+    const v = groupValue(fieldOf(rec, field), g['group-on'], g['group-interval']);
+    if (v !== currentVal) {
+      close();
+      currentVal = v;
+      currentRecords = [rec];
+    } else {
+      currentRecords.push(rec);
+    }
+  }
+  close();
+  return segments;
+}
+
+/**
+ * Flatten records into the sequence of sections the report prints:
+ * [{ sectionKey, record, ctx }] where ctx carries the records aggregates run over.
+ */
+function buildFlatElements(def, records) {
+  const sorted = sortRecordsForGrouping(records, def.grouping);
+  const allRecords = sorted;
+  const elements = [];
+
+  function walk(segments) {
+    for (const seg of segments) {
+      const ctx = { allRecords, groupRecords: seg.records };
+      const ghKey = `group-header-${seg.level}`;
+      const gfKey = `group-footer-${seg.level}`;
+      if (def[ghKey]) elements.push({ sectionKey: ghKey, record: seg.records[0], ctx });
+      if (seg.children.length > 0 && seg.level < def.grouping.length - 1) {
+        walk(seg.children);
+      } else {
+        for (const rec of seg.records) elements.push({ sectionKey: 'detail', record: rec, ctx });
+      }
+      if (def[gfKey]) elements.push({ sectionKey: gfKey, record: seg.records[seg.records.length - 1], ctx });
+    }
+  }
+
+  if (def['report-header']) {
+    elements.push({ sectionKey: 'report-header', record: sorted[0] || {}, ctx: { allRecords } });
+  }
+  if (def.grouping?.length) {
+    walk(buildGroupTree(sorted, def.grouping));
+  } else {
+    for (const rec of sorted) elements.push({ sectionKey: 'detail', record: rec, ctx: { allRecords } });
+  }
+  if (def['report-footer']) {
+    elements.push({ sectionKey: 'report-footer', record: sorted[sorted.length - 1] || {}, ctx: { allRecords } });
+  }
+  return elements;
+}
+
+// ============================================================
+// Controls
+// ============================================================
+
+/**
+ * Colour as [r, g, b] (0-255): an Access colour number (BGR) or "#rrggbb".
+ * Null when unset or unreadable.
+ */
+function toRgb(color) {
+  if (color == null || color === '') return null;
+  if (typeof color === 'string' && color.startsWith('#')) {
+    const hex = color.slice(1);
+    if (!/^[0-9a-f]{6}$/i.test(hex)) return null;
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+  }
+  const n = typeof color === 'string' ? parseInt(color, 10) : color;
+  if (typeof n !== 'number' || isNaN(n) || n < 0) return null;
+  return [n & 0xFF, (n >> 8) & 0xFF, (n >> 16) & 0xFF];
+}
+
+/** The value a control shows for a record (undefined for unbound controls). */
+function controlValue(ctrl, record, ctx) {
+  const field = ctrl.field || ctrl['control-source'];
+  if (!field) return undefined;
+  const alias = ctrl['computed-alias'];
+  if (alias) return record[alias] ?? record[alias.toLowerCase()] ?? '';
+  if (isExpression(field)) return evaluateExpression(field.slice(1), { ...ctx, record });
+  return record[field] ?? record[field.toLowerCase()] ?? '';
+}
+
+function controlText(ctrl, value) {
+  if (value === undefined) return ctrl.caption || '';
+  if (ctrl.format && value !== '') return formatValue(value, ctrl.format);
+  return toText(value);
+}
+
+function textAlign(ctrl, value) {
+  switch (String(ctrl['text-align'] ?? '').toLowerCase()) {
+    case '1': case 'left': return 'left';
+    case '2': case 'center': return 'center';
+    case '3': case 'right': return 'right';
+    // General: numbers right, everything else left
+    default: return typeof value === 'number' || (ctrl.format && /^-?\d/.test(String(value))) ? 'right' : 'left';
+  }
+}
+
+/**
+ * Lay out one control for a record: its text split into lines, and the
+ * height it needs (CanGrow/CanShrink) alongside the height it was drawn with.
+ */
+function layoutControl(ctrl, record, ctx) {
+  const value = controlValue(ctrl, record, ctx);
+  const rule = matchConditionalFormat(ctrl, { ...ctx, record });
+  const font = fontFor(rule
+    ? { ...ctrl, 'font-weight': rule['font-bold'] === 1 ? 700 : ctrl['font-weight'], 'font-italic': rule['font-italic'] === 1 ? 1 : ctrl['font-italic'] }
+    : ctrl);
+  const laid = { ctrl, value, font, rule, top: ctrl.top || 0, height: ctrl.height || 0, lines: [] };
+
+  if (TEXT_TYPES.has(ctrl.type)) {
+    const text = controlText(ctrl, value);
+    laid.lines = text === '' ? [] : wrapText(text, font, Math.max(1, (ctrl.width || 0) - 2 * TEXT_PAD_X));
+    const needed = laid.lines.length * lineHeight(font) + 2 * TEXT_PAD_Y;
+    if (ctrl['can-grow'] === 1 && needed > laid.height) laid.height = Math.ceil(needed);
+    if (ctrl['can-shrink'] === 1 && laid.lines.length === 0) laid.height = 0;
+  }
+  return laid;
+}
+
+// ============================================================
+// Sections
+// ============================================================
+
+/**
+ * Lay out a section for one record. A control that grows pushes down the
+ * controls that start below it; one that shrinks away pulls them up. The
+ * section grows with its content when it or a control can grow, and gives
+ * back the space shrunk controls left when it can shrink.
+ */
+function layoutSection(def, key, record, ctx) {
+  const sec = def[key];
+  const baseHeight = sectionHeight(def, key);
+  const controls = (sec.controls || []).filter(c => c.visible !== 0).map(c => layoutControl(c, record, ctx));
+
+  const byTop = [...controls].sort((a, b) => a.ctrl.top - b.ctrl.top);
+  for (const c of byTop) {
+    const above = controls.filter(o => o !== c && (o.ctrl.top || 0) + (o.ctrl.height || 0) <= (c.ctrl.top || 0));
+    const grow = Math.max(0, ...above.map(o => o.height - o.ctrl.height));
+    const shrink = above.reduce((sum, o) => sum + Math.min(0, o.height - o.ctrl.height), 0);
+    c.top = (c.ctrl.top || 0) + grow + shrink;
+  }
+
+  const originalBottom = Math.max(0, ...controls.map(c => (c.ctrl.top || 0) + (c.ctrl.height || 0)));
+  const bottom = Math.max(0, ...controls.map(c => c.top + c.height));
+  const canGrow = sec['can-grow'] === 1 || controls.some(c => c.ctrl['can-grow'] === 1);
+  let height = baseHeight;
+  if (bottom > originalBottom && canGrow) height += bottom - originalBottom;
+  if (bottom < originalBottom && sec['can-shrink'] === 1) height = Math.max(0, height - (originalBottom - bottom));
+
+  return { key, height, controls, backColor: toRgb(sec['back-color']) };
+}
+
+function shouldShowPageHeader(pageNum, hasReportHeader, setting) {
+  if ((setting === 'Not With Rpt Hdr' || setting === 'Not With Rpt Hdr/Ftr') && pageNum === 0 && hasReportHeader) return false;
+  return true;
+}
+
+function shouldShowPageFooter(pageNum, totalPages, hasReportFooter, setting) {
+  if ((setting === 'Not With Rpt Ftr' || setting === 'Not With Rpt Hdr/Ftr') && pageNum === totalPages - 1 && hasReportFooter) return false;
+  return true;
+}
+
+// ============================================================
+// Pagination
+// ============================================================
+
+function paginate(def, elements, setup) {
+  const phHeight = sectionVisible(def, 'page-header') ? sectionHeight(def, 'page-header') : 0;
+  const pfHeight = sectionVisible(def, 'page-footer') ? sectionHeight(def, 'page-footer') : 0;
+  const available = setup.height - setup.marginTop - setup.marginBottom - phHeight - pfHeight;
+  const pages = [[]];
+  let remaining = available;
+  const newPage = () => { pages.push([]); remaining = available; };
+
+  for (const el of elements) {
+    if (!sectionVisible(def, el.sectionKey)) continue;
+    const h = layoutSection(def, el.sectionKey, el.record, el.ctx).height;
+    const force = def[el.sectionKey]['force-new-page'];
+
+    if ((force === 'Before Section' || force === 'Before & After') && pages[pages.length - 1].length > 0) newPage();
+    if (h > remaining && pages[pages.length - 1].length > 0) newPage();
+    pages[pages.length - 1].push(el);
+    remaining -= h;
+    if (force === 'After Section' || force === 'Before & After') newPage();
+  }
+
+  if (pages.length > 1 && pages[pages.length - 1].length === 0) pages.pop();
+  return pages;
+}
+
+// ============================================================
+// Drawing items
+// ============================================================
+
+/**
+ * Drawing items for a laid-out section placed at (x, y):
+ *   { kind: 'rect', x, y, w, h, fill, stroke, lineWidth }
+ *   { kind: 'line', x1, y1, x2, y2, color, lineWidth }
+ *   { kind: 'text', x, y, w, h, lines, lineWidths, font, color, align, lineHeight, padX, padY }
+ */
+function paintSection(laid, x, y, width) {
+  const items = [];
+  if (laid.height <= 0) return items;
+  if (laid.backColor && laid.backColor.join() !== '255,255,255') {
+    items.push({ kind: 'rect', x, y, w: width, h: laid.height, fill: laid.backColor });
+  }
+
+  for (const c of laid.controls) {
+    const { ctrl } = c;
+    if (c.height <= 0) continue;
+    const left = x + (ctrl.left || 0);
+    const top = y + c.top;
+    const w = ctrl.width || 0;
+    const h = c.height;
+    const color = toRgb(c.rule?.['fore-color'] ?? ctrl['fore-color']) || [0, 0, 0];
+    const borderWidth = ctrl['border-width'] || 1;
+    const border = ctrl['border-style'] ? (toRgb(ctrl['border-color']) || [0, 0, 0]) : null;
+
+    if (ctrl.type === 'line') {
+      items.push({ kind: 'line', x1: left, y1: top, x2: left + w, y2: top + h, color: border || color, lineWidth: borderWidth });
+      continue;
+    }
+
+    const opaque = ctrl['back-style'] === 1 || (ctrl['back-style'] !== 0 && !TRANSPARENT_BY_DEFAULT.has(ctrl.type));
+    const fill = toRgb(c.rule?.['back-color'] ?? (opaque ? ctrl['back-color'] : null));
+    if (fill || border) items.push({ kind: 'rect', x: left, y: top, w, h, fill, stroke: border, lineWidth: borderWidth });
+
+    if (CHECK_TYPES.has(ctrl.type)) {
+      const size = Math.min(13, w, h);
+      const by = top + (h - size) / 2;
+      items.push({ kind: 'rect', x: left, y: by, w: size, h: size, stroke: [0, 0, 0], lineWidth: 1 });
+      if (c.value === true || c.value === -1 || c.value === 1 || c.value === 'true') {
+        items.push({ kind: 'line', x1: left + 3, y1: by + 3, x2: left + size - 3, y2: by + size - 3, color: [0, 0, 0], lineWidth: 1.5 });
+        items.push({ kind: 'line', x1: left + size - 3, y1: by + 3, x2: left + 3, y2: by + size - 3, color: [0, 0, 0], lineWidth: 1.5 });
+      }
+    } else if (c.lines.length > 0) {
+      items.push({
+        kind: 'text', x: left, y: top, w, h, lines: c.lines, lineWidths: c.lines.map(l => textWidth(l, c.font)),
+        font: c.font, color,
+        align: textAlign(ctrl, c.value), lineHeight: lineHeight(c.font), padX: TEXT_PAD_X, padY: TEXT_PAD_Y
+      });
+    }
+  }
+  return items;
+}
+
+/**
+ * Lay out a report definition over its records.
+ * @param {Object} def - report definition (as stored by routes/reports.js)
+ * @param {Object[]} records - record source rows, in record source order
+ * @returns {{ setup: Object, pages: Array<{ items: Object[] }> }}
+ */
+function layoutReport(def, records) {
+  const setup = pageSetup(def);
+  const elements = buildFlatElements(def, records);
+  const pageElements = paginate(def, elements, setup);
+  const pages = pageElements.length;
+  const hasReportHeader = !!def['report-header'];
+  const hasReportFooter = !!def['report-footer'];
+  const x = setup.marginLeft;
+
+  return {
+    setup,
+    pages: pageElements.map((els, i) => {
+      const page = { page: i + 1, pages };
+      const items = [];
+      let y = setup.marginTop;
+
+      if (sectionVisible(def, 'page-header')) {
+        if (shouldShowPageHeader(i, hasReportHeader, def['page-header-setting'])) {
+          items.push(...paintSection(layoutSection(def, 'page-header', els[0]?.record || {}, page), x, y, setup.bodyWidth));
+        }
+        y += sectionHeight(def, 'page-header');
+      }
+      for (const el of els) {
+        const laid = layoutSection(def, el.sectionKey, el.record, { ...el.ctx, ...page });
+        items.push(...paintSection(laid, x, y, setup.bodyWidth));
+        y += laid.height;
+      }
+      if (sectionVisible(def, 'page-footer') &&
+          shouldShowPageFooter(i, pages, hasReportFooter, def['page-footer-setting'])) {
+        const pfHeight = sectionHeight(def, 'page-footer');
+        const laid = layoutSection(def, 'page-footer', els[els.length - 1]?.record || {}, page);
+        items.push(...paintSection(laid, x, setup.height - setup.marginBottom - pfHeight, setup.bodyWidth));
+      }
+      return { items };
+    })
+  };
+}
+
+module.exports = {
+  layoutReport, buildFlatElements, layoutSection, pageSetup, toRgb
+};
@@ -0,0 +1,167 @@
+/**
+ * Minimal PDF 1.4 writer for laid-out reports: text in the standard Type 1
+ * fonts (WinAnsi encoded, not embedded), filled/stroked rectangles and lines.
+ * Page content streams are deflated. Input geometry is px at 96 dpi with a
+ * top-left origin; PDF user space is points with a bottom-left origin.
+ */
+
+const zlib = require('zlib');
+
+const PT_PER_PX = 0.75;
+
+// Windows-1252 code points for the characters WinAnsiEncoding places in 0x80-0x9F
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+  '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+  'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+};
+
+/** A PDF literal string for text, WinAnsi encoded ('?' for what it can't hold). */
+function pdfString(text) {
+  let out = '(';
+  for (const ch of text) {
+    const code = ch.codePointAt(0);
+    let byte;
+    if (code < 0x80 || (code >= 0xA0 && code <= 0xFF)) byte = code;
+    else byte = WIN_ANSI_EXTRAS[ch] ?? 0x3F;
+    if (byte === 0x28 || byte === 0x29 || byte === 0x5C) out += '\\' + String.fromCharCode(byte);
+    else if (byte < 0x20) out += ' ';
+    else out += String.fromCharCode(byte);
+  }
+  return out + ')';
+}
+
+function num(n) {
+  return String(Math.round(n * 100) / 100);
+}
+
+function rgb(color) {
+  return color.map(c => num(c / 255)).join(' ');
+}
+
+/** Left edge (px) of a text item's line i, per its alignment. */
+function lineX(item, i) {
+  const width = item.lineWidths[i];
+  if (item.align === 'right') return item.x + item.w - item.padX - width;
+  if (item.align === 'center') return item.x + (item.w - width) / 2;
+  return item.x + item.padX;
+}
+
+/** Content stream operators for one page's drawing items. */
+function pageContent(items, pageHeight, fontIds) {
+  const ops = [];
+  const X = px => num(px * PT_PER_PX);
+  const Y = px => num((pageHeight - px) * PT_PER_PX);
+
+  for (const item of items) {
+    switch (item.kind) {
+      case 'rect': {
+        const box = `${X(item.x)} ${Y(item.y + item.h)} ${num(item.w * PT_PER_PX)} ${num(item.h * PT_PER_PX)} re`;
+        if (item.fill) ops.push(`${rgb(item.fill)} rg ${box} f`);
+        if (item.stroke) ops.push(`${num((item.lineWidth || 1) * PT_PER_PX)} w ${rgb(item.stroke)} RG ${box} S`);
+        break;
+      }
+      case 'line':
+        ops.push(`${num((item.lineWidth || 1) * PT_PER_PX)} w ${rgb(item.color)} RG ` +
+          `${X(item.x1)} ${Y(item.y1)} m ${X(item.x2)} ${Y(item.y2)} l S`);
+        break;
+      case 'text': {
+        const { font, lines, lineHeight } = item;
+        const fontId = fontIds.get(font.name);
+        // Clip to the control, as Access does
+        ops.push(`q ${X(item.x)} ${Y(item.y + item.h)} ${num(item.w * PT_PER_PX)} ${num(item.h * PT_PER_PX)} re W n`);
+        ops.push(`BT /${fontId} ${num(font.size)} Tf ${rgb(item.color)} rg`);
+        lines.forEach((line, i) => {
+          // Baseline at ~80% of the line box
+          const baseline = item.y + item.padY + i * lineHeight + lineHeight * 0.8;
+          ops.push(`1 0 0 1 ${X(lineX(item, i))} ${Y(baseline)} Tm ${pdfString(line)} Tj`);
+        });
+        ops.push('ET');
+        if (font.underline) {
+          lines.forEach((line, i) => {
+            const x = lineX(item, i);
+            const under = item.y + item.padY + i * lineHeight + lineHeight * 0.9;
+            ops.push(`${num(font.size / 18)} w ${rgb(item.color)} RG ${X(x)} ${Y(under)} m ${X(x + item.lineWidths[i])} ${Y(under)} l S`);
+          });
+        }
+        ops.push('Q');
+        break;
+      }
+    }
+  }
+  return ops.join('\n');
+}
+
+/**
+ * Build a PDF from a report layout.
+ * @param {{ setup: { width: number, height: number }, pages: Array<{ items: Object[] }> }} layout
+ * @param {{ title?: string }} [info]
+ * @returns {Buffer}
+ */
+function buildPdf(layout, info = {}) {
+  const { width, height } = layout.setup;
+  const objects = [];
+  const addObject = (body) => { objects.push(body); return objects.length; };
+
+  // Reserve catalog (1) and page tree (2); fonts follow
+  addObject(null);
+  addObject(null);
+  const fontIds = new Map();
+  const fontRefs = [];
+  for (const page of layout.pages) {
+    for (const item of page.items) {
+      if (item.kind === 'text' && !fontIds.has(item.font.name)) {
+        const id = `F${fontIds.size + 1}`;
+        fontIds.set(item.font.name, id);
+        const ref = addObject(Buffer.from(
+          `<< /Type /Font /Subtype /Type1 /BaseFont /${item.font.name} /Encoding /WinAnsiEncoding >>`));
+        fontRefs.push(`/${id} ${ref} 0 R`);
+      }
+    }
+  }
+
+  const mediaBox = `[0 0 ${num(width * PT_PER_PX)} ${num(height * PT_PER_PX)}]`;
+  const pageRefs = [];
+  for (const page of layout.pages) {
+    const content = zlib.deflateSync(Buffer.from(pageContent(page.items, height, fontIds), 'latin1'));
+    const contentRef = addObject(Buffer.concat([
+      Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+      content,
+      Buffer.from('\nendstream')
+    ]));
+    pageRefs.push(addObject(Buffer.from(
+      `<< /Type /Page /Parent 2 0 R /MediaBox ${mediaBox} /Contents ${contentRef} 0 R ` +
+      `/Resources << /Font << ${fontRefs.join(' ')} >> >> >>`)));
+  }
+  objects[0] = Buffer.from('<< /Type /Catalog /Pages 2 0 R >>');
+  objects[1] = Buffer.from(`<< /Type /Pages /Kids [${pageRefs.map(r => `${r} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`);
+  const infoRef = addObject(Buffer.from(
+    `<< /Producer (AccessClone)${info.title ? ` /Title ${pdfString(info.title)}` : ''} >>`, 'latin1'));
+
+  // Body, cross-reference table and trailer
+  const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+  let offset = chunks[0].length;
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(offset);
+    const obj = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+    chunks.push(obj);
+    offset += obj.length;
+  });
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoRef} 0 R >>`,
+    'startxref',
+    String(offset),
+    '%%EOF\n'
+  ].join('\n');
+  chunks.push(Buffer.from(xref));
+  return Buffer.concat(chunks);
+}
+
+module.exports = { buildPdf, pdfString, PT_PER_PX };
@@ -0,0 +1,221 @@
+/**
+ * Record-level security: row policies declared per table and materialized as
+ * PostgreSQL row-level security in the database's schema.
+ *
+ * Access apps faked per-user visibility with hidden filters in VBA
+ * (Me.Filter = "Owner = '" & CurrentUser() & "'"), which any other form,
+ * query or export bypassed. Declared here, the rule is enforced by
+ * PostgreSQL on every statement. The user is the app.user_id setting that
+ * lib/schema-scope.js puts on each connection a request uses, read through
+ * shared.current_app_user(), which ignores it unless the server's signature
+ * (app.user_sig) matches, so SQL can't set it to someone else.
+ * Conditions call it in a sub-select, evaluated once per statement.
+ *
+ * Kinds:
+ *   owner       { column }            — rows whose column is the current user
+ *   membership  { column, attribute } — rows whose column is one of the user's
+ *                                       values for attribute in shared.user_attributes,
+ *                                       read through shared.current_app_user_values()
+ *   expression  { expression }        — any boolean SQL over the row
+ *
+ * Policies are permissive (a row is visible when any allows it) unless
+ * restrictive, which every row must also pass. Only ac_-prefixed policies are
+ * managed here; others on the table are left alone. Invalid declarations
+ * throw an error with code EPOLICY, which routes report as a 400.
+ */
+
+const NAME_RE = /^[a-z_][a-z0-9_]*$/;
+const ATTRIBUTE_RE = /^[A-Za-z0-9_.-]{1,100}$/;
+const POLICY_PREFIX = 'ac_';
+const KINDS = ['owner', 'membership', 'expression'];
+const COMMANDS = ['all', 'select', 'insert', 'update', 'delete'];
+
+function policyError(message) {
+  const err = new Error(message);
+  err.code = 'EPOLICY';
+  return err;
+}
+
+function quoteIdent(name) {
+  return '"' + name.replace(/"/g, '""') + '"';
+}
+
+function quoteLiteral(value) {
+  return "'" + String(value).replace(/'/g, "''") + "'";
+}
+
+/**
+ * Validate a policy declaration from a request body.
+ * @param {Object} body - { kind, column, attribute, expression, command, restrictive, enabled }
+ * @returns {Object} normalized policy
+ */
+function normalizePolicy(body = {}) {
+  const kind = body.kind;
+  if (!KINDS.includes(kind)) {
+    throw policyError(`kind must be one of: ${KINDS.join(', ')}`);
+  }
+  const command = (body.command || 'all').toLowerCase();
+  if (!COMMANDS.includes(command)) {
+    throw policyError(`command must be one of: ${COMMANDS.join(', ')}`);
+  }
+
+  const policy = {
+    kind,
+    column: null,
+    attribute: null,
+    expression: null,
+    command,
+    restrictive: body.restrictive === true,
+    enabled: body.enabled !== false
+  };
+
+  if (kind === 'owner' || kind === 'membership') {
+    const column = typeof body.column === 'string' ? body.column.toLowerCase() : '';
+    if (!NAME_RE.test(column)) throw policyError(`${kind} policies need a valid column`);
+    policy.column = column;
+  }
+  if (kind === 'membership') {
+    if (typeof body.attribute !== 'string' || !ATTRIBUTE_RE.test(body.attribute)) {
+      throw policyError('membership policies need an attribute (letters, digits, _ . -)');
+    }
+    policy.attribute = body.attribute;
+  }
+  if (kind === 'expression') {
+    const expression = typeof body.expression === 'string' ? body.expression.trim() : '';
+    if (!expression) throw policyError('expression policies need an expression');
+    // The policy is created with a plain (multi-statement) query
+    if (expression.includes(';')) throw policyError('The expression must be a single SQL condition');
+    policy.expression = expression;
+  }
+  return policy;
+}
+
+/**
+ * The row condition a policy enforces.
+ * @param {Object} policy - normalized policy (or a shared.row_policies row)
+ * @param {string} databaseId - scopes membership lookups
+ */
+function policyCondition(policy, databaseId) {
+  const kind = policy.kind;
+  const column = policy.column || policy.column_name;
+  if (kind === 'owner') {
+    return `${quoteIdent(column)}::text = (SELECT shared.current_app_user())`;
+  }
+  if (kind === 'membership') {
+    return `${quoteIdent(column)}::text IN (SELECT shared.current_app_user_values(` +
+      `${quoteLiteral(databaseId)}, ${quoteLiteral(policy.attribute)}))`;
+  }
+  return `(${policy.expression})`;
+}
+
+/**
+ * CREATE POLICY for a declared policy on a schema-qualified table.
+ * INSERT policies only check new rows; SELECT and DELETE only filter existing ones.
+ */
+function createPolicySql(policy, qualifiedTable, databaseId) {
+  const name = quoteIdent(POLICY_PREFIX + (policy.name || policy.policy_name));
+  const condition = policyCondition(policy, databaseId);
+  const command = policy.command || 'all';
+  let sql = `CREATE POLICY ${name} ON ${qualifiedTable}` +
+    ` AS ${policy.restrictive ? 'RESTRICTIVE' : 'PERMISSIVE'} FOR ${command.toUpperCase()}`;
+  if (command !== 'insert') sql += ` USING (${condition})`;
+  if (command !== 'select' && command !== 'delete') sql += ` WITH CHECK (${condition})`;
+  return sql;
+}
+
+/**
+ * Replace a table's managed policies with the declared ones, and switch row
+ * level security on (forced, so the table owner is bound too) or off.
+ * Run inside a transaction so a bad expression leaves the old policies.
+ * @param {Object} client - pg client
+ * @param {string} schemaName
+ * @param {string} databaseId
+ * @param {string} tableName
+ * @param {Object[]} policies - shared.row_policies rows for the table
+ * @returns {Promise<{ active: number, rls: boolean }>}
+ */
+async function applyTablePolicies(client, schemaName, databaseId, tableName, policies) {
+  const table = `${quoteIdent(schemaName)}.${quoteIdent(tableName)}`;
+  const existing = await client.query(
+    'SELECT policyname FROM pg_policies WHERE schemaname = $1 AND tablename = $2',
+    [schemaName, tableName]
+  );
+  const managed = existing.rows.filter(r => r.policyname.startsWith(POLICY_PREFIX));
+  for (const { policyname } of managed) {
+    await client.query(`DROP POLICY ${quoteIdent(policyname)} ON ${table}`);
+  }
+
+  const active = policies.filter(p => p.enabled !== false);
+  if (active.length > 0 && active.every(p => p.restrictive)) {
+    throw policyError(`Table "${tableName}" needs at least one permissive policy; restrictive ones only narrow them`);
+  }
+  for (const policy of active) {
+    await client.query(createPolicySql(policy, table, databaseId));
+  }
+
+  // Leave RLS on if someone else's policies are still on the table
+  const rls = active.length > 0 || existing.rows.length > managed.length;
+  if (rls) {
+    await client.query(`ALTER TABLE ${table} ENABLE ROW LEVEL SECURITY`);
+    await client.query(`ALTER TABLE ${table} FORCE ROW LEVEL SECURITY`);
+  } else {
+    await client.query(`ALTER TABLE ${table} NO FORCE ROW LEVEL SECURITY`);
+    await client.query(`ALTER TABLE ${table} DISABLE ROW LEVEL SECURITY`);
+  }
+  return { active: active.length, rls };
+}
+
+/**
+ * Whether a row that is no longer in its table (a deleted record's last
+ * version, from the audit log) would pass the table's SELECT policies, so
+ * only users who could see it can see its history. Evaluates the USING
+ * clauses PostgreSQL would: permissive ones OR'ed, restrictive ones AND'ed
+ * on top, and no permissive policy means no rows.
+ * @param {Object} db - pool or client bound to the request's user
+ * @param {string} schemaName
+ * @param {string} tableName
+ * @param {Object} row - column values
+ * @returns {Promise<boolean>} true for tables without row security
+ */
+async function passesSelectPolicies(db, schemaName, tableName, row) {
+  const rls = await db.query(
+    `SELECT c.relrowsecurity FROM pg_class c JOIN pg_namespace n ON n.oid = c.relnamespace
+     WHERE n.nspname = $1 AND c.relname = $2`,
+    [schemaName, tableName]
+  );
+  if (!rls.rows[0] || !rls.rows[0].relrowsecurity) return true;
+
+  const policies = await db.query(
+    `SELECT permissive, qual FROM pg_policies
+     WHERE schemaname = $1 AND tablename = $2 AND cmd IN ('SELECT', 'ALL') AND qual IS NOT NULL`,
+    [schemaName, tableName]
+  );
+  const permissive = policies.rows.filter(p => p.permissive === 'PERMISSIVE').map(p => `(${p.qual})`);
+  if (permissive.length === 0) return false;
+  const restrictive = policies.rows.filter(p => p.permissive !== 'PERMISSIVE').map(p => `(${p.qual})`);
+  const condition = [`(${permissive.join(' OR ')})`, ...restrictive].join(' AND ');
+
+  const table = `${quoteIdent(schemaName)}.${quoteIdent(tableName)}`;
+  const result = await db.query(
+    `SELECT 1 FROM jsonb_populate_record(NULL::${table}, $1::jsonb) AS ${quoteIdent(tableName)} WHERE ${condition}`,
+    [JSON.stringify(row)]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Whether the server's own database role is subject to row-level security.
+ * Superusers and BYPASSRLS roles never are, so policies are stored but not
+ * enforced until the server connects as an ordinary role.
+ */
+async function policiesEnforced(pool) {
+  const result = await pool.query(
+    'SELECT rolsuper OR rolbypassrls AS bypass FROM pg_roles WHERE rolname = current_user'
+  );
+  return result.rows.length > 0 && !result.rows[0].bypass;
+}
+
+module.exports = {
+  NAME_RE, ATTRIBUTE_RE, POLICY_PREFIX, KINDS, COMMANDS,
+  normalizePolicy, policyCondition, createPolicySql, applyTablePolicies, passesSelectPolicies, policiesEnforced
+};
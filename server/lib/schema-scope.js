@@ -0,0 +1,120 @@
+/**
+ * Request-scoped schema binding for the shared pg pool.
+ *
+ * search_path is a per-connection setting and the pool hands every query
+ * whichever connection is idle, so setting it once per request lets
+ * concurrent requests for different databases read each other's schemas.
+ * Instead the /api middleware runs the rest of the request inside
+ * runWithSchema(), and every router gets scopedPool(pool): its query() and
+ * connect() check out a connection, point that connection's search_path at
+ * the current schema, and only then hand it over.
+ *
+ * The same statement sets app.user_id to the request's user, which row-level
+ * security policies read through shared.current_app_user() (lib/row-policies.js),
+ * and app.session_id to its X-Session-ID, which the data audit trigger records
+ * (lib/data-audit.js). app.user_sig signs the user with a key in shared that
+ * only the server's role can use; current_app_user() ignores an app.user_id
+ * without it, so SQL that sets the setting itself can't pose as someone else.
+ *
+ * A bound connection is reset before it goes back to the pool, since
+ * set_config(..., false) lasts for the session: otherwise the next query on
+ * it from outside any scope (startup, background jobs, shared-schema routes)
+ * would run in the last request's schema and as its user.
+ *
+ * Outside a scope both go straight to the pool, so such code must
+ * schema-qualify its tables (shared.databases, …). Don't SET search_path,
+ * app.user_id or app.session_id by hand — wrap the work in runWithSchema() instead.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+const BIND_SQL = "SELECT set_config('search_path', $1, false), set_config('app.user_id', $2, false), " +
+  "set_config('app.user_sig', shared.sign_app_user($2), false), set_config('app.session_id', $3, false)";
+
+const RESET_SQL = 'RESET search_path; RESET app.user_id; RESET app.user_sig; RESET app.session_id';
+
+function searchPath(schemaName) {
+  return `"${schemaName.replace(/"/g, '""')}", shared, public`;
+}
+
+/**
+ * Run fn (and everything it awaits) with schemaName as the current schema.
+ * The user and session carry over from an enclosing scope unless given.
+ * @param {string} schemaName
+ * @param {Function} fn
+ * @param {{ userId?: string|null, sessionId?: string|null }} [identity]
+ * @returns whatever fn returns
+ */
+function runWithSchema(schemaName, fn, identity = {}) {
+  const outer = storage.getStore() || {};
+  const userId = identity.userId !== undefined ? identity.userId : outer.userId;
+  const sessionId = identity.sessionId !== undefined ? identity.sessionId : outer.sessionId;
+  return storage.run({ schemaName, userId: userId || null, sessionId: sessionId || null }, fn);
+}
+
+/** The current schema, or null outside runWithSchema(). */
+function currentSchema() {
+  const scope = storage.getStore();
+  return scope ? scope.schemaName : null;
+}
+
+/** The current scope's user, or null. */
+function currentUserId() {
+  const scope = storage.getStore();
+  return scope ? scope.userId : null;
+}
+
+/**
+ * Point a checked-out client at the scope's schema, user and session, and make
+ * its release() reset them before the client goes back to the pool.
+ * A client whose set_config or reset fails is released as broken (the pool discards it).
+ */
+async function bindClient(client, scope) {
+  const release = client.release;
+  try {
+    await client.query(BIND_SQL, [searchPath(scope.schemaName), scope.userId || '', scope.sessionId || '']);
+  } catch (err) {
+    release.call(client, err);
+    throw err;
+  }
+  client.release = (err) => {
+    client.release = release;
+    if (err) return release.call(client, err);
+    return client.query(RESET_SQL).then(() => release.call(client), resetErr => release.call(client, resetErr));
+  };
+  return client;
+}
+
+/**
+ * Wrap a pg Pool so queries and checked-out clients use the current schema.
+ * @param {Pool} pool
+ * @returns {{ query: Function, connect: Function, end: Function }}
+ */
+function scopedPool(pool) {
+  return {
+    async query(...args) {
+      const scope = storage.getStore();
+      if (!scope) return pool.query(...args);
+      const client = await bindClient(await pool.connect(), scope);
+      try {
+        return await client.query(...args);
+      } finally {
+        await client.release();
+      }
+    },
+
+    async connect() {
+      const scope = storage.getStore();
+      const client = await pool.connect();
+      return scope ? bindClient(client, scope) : client;
+    },
+
+    end() {
+      return pool.end();
+    }
+  };
+}
+
+module.exports = { runWithSchema, currentSchema, currentUserId, scopedPool, searchPath };
@@ -0,0 +1,123 @@
+/**
+ * Sandbox for ad-hoc SQL: statements a user typed or Access code built at
+ * run time (POST /api/queries/run and /api/queries/execute, the server
+ * runtime's domain functions and RunSQL).
+ *
+ * The server's own role can read every database's schema and shared.*, so
+ * these run as a per-database role instead, ac_sql_<schema>: it may use that
+ * schema's tables, views and sequences, and call the shared functions row
+ * policies use, but it has no privileges on any other schema or shared
+ * table. A query naming another database's schema or shared.users fails
+ * with "permission denied".
+ *
+ * The role is created on first use, which needs the server's role to have
+ * CREATEROLE, and dropped with its database. enterSandbox() switches with
+ * SET LOCAL ROLE, which lasts until the transaction ends, so callers open
+ * one first. The statement itself can't RESET ROLE (routes accept a single
+ * SELECT/WITH or INSERT/UPDATE/DELETE), and assertAdHocSql() refuses the
+ * functions that change settings or run SQL given as text, which could.
+ */
+
+const crypto = require('crypto');
+
+const ROLE_PREFIX = 'ac_sql_';
+const MAX_IDENTIFIER = 63;
+
+// set_config('role', ...) undoes SET ROLE; the others run SQL text, which could call it
+const BLOCKED_FUNCTIONS_RE = /\b(set_config|query_to_xml\w*|ts_stat|ts_rewrite|dblink\w*)\s*\(/i;
+
+const READY_SQL = `SELECT has_schema_privilege(r.oid, n.oid, 'USAGE') AS ready
+  FROM pg_roles r, pg_namespace n WHERE r.rolname = $1 AND n.nspname = $2`;
+
+function quoteIdent(name) {
+  return '"' + name.replace(/"/g, '""') + '"';
+}
+
+/**
+ * The sandbox role for a schema. Names too long for PostgreSQL are shortened
+ * with a hash, so two long schema names never share a role.
+ * @param {string} schemaName
+ * @returns {string}
+ */
+function sandboxRole(schemaName) {
+  const name = ROLE_PREFIX + schemaName;
+  if (name.length <= MAX_IDENTIFIER) return name;
+  const hash = crypto.createHash('sha256').update(schemaName).digest('hex').slice(0, 16);
+  return name.slice(0, MAX_IDENTIFIER - hash.length - 1) + '_' + hash;
+}
+
+/**
+ * Throw (code EADHOC) if a statement calls a function that could leave the
+ * sandbox. Quotes are ignored, so "set_config"(...) is caught too; Unicode
+ * identifier escapes (U&"...") are refused outright.
+ * @param {string} sql
+ */
+function assertAdHocSql(sql) {
+  const text = String(sql || '');
+  let message = null;
+  if (/\bu&"/i.test(text)) {
+    message = 'Unicode escaped identifiers (U&"...") are not allowed';
+  } else {
+    const match = text.replace(/"/g, '').match(BLOCKED_FUNCTIONS_RE);
+    if (match) message = `${match[1]}() is not allowed`;
+  }
+  if (message) {
+    const err = new Error(message);
+    err.code = 'EADHOC';
+    throw err;
+  }
+}
+
+/**
+ * Create the schema's sandbox role and grant it the schema, unless that's
+ * done. Run outside a transaction: two requests racing to create the role
+ * both succeed.
+ * @param {Object} client - pg client
+ * @param {string} schemaName
+ */
+async function ensureSandboxRole(client, schemaName) {
+  const role = sandboxRole(schemaName);
+  const ready = await client.query(READY_SQL, [role, schemaName]);
+  if (ready.rows[0] && ready.rows[0].ready) return;
+
+  const r = quoteIdent(role);
+  const s = quoteIdent(schemaName);
+  try {
+    await client.query(`CREATE ROLE ${r} NOLOGIN`);
+  } catch (err) {
+    // 42710 duplicate_object; 23505 when a concurrent CREATE ROLE won the race
+    if (err.code !== '42710' && err.code !== '23505') throw err;
+  }
+  await client.query(`GRANT ${r} TO CURRENT_USER`);
+  await client.query(`GRANT USAGE ON SCHEMA ${s}, shared TO ${r}`);
+  await client.query(`GRANT SELECT, INSERT, UPDATE, DELETE ON ALL TABLES IN SCHEMA ${s} TO ${r}`);
+  await client.query(`GRANT USAGE, SELECT ON ALL SEQUENCES IN SCHEMA ${s} TO ${r}`);
+  await client.query(`ALTER DEFAULT PRIVILEGES IN SCHEMA ${s} GRANT SELECT, INSERT, UPDATE, DELETE ON TABLES TO ${r}`);
+  await client.query(`ALTER DEFAULT PRIVILEGES IN SCHEMA ${s} GRANT USAGE, SELECT ON SEQUENCES TO ${r}`);
+}
+
+/**
+ * Switch an open transaction to the schema's sandbox role.
+ * Call ensureSandboxRole() before BEGIN.
+ * @param {Object} client - pg client inside a transaction
+ * @param {string} schemaName
+ */
+async function enterSandbox(client, schemaName) {
+  await client.query(`SET LOCAL ROLE ${quoteIdent(sandboxRole(schemaName))}`);
+}
+
+/**
+ * Drop a schema's sandbox role and everything granted to it, if it exists.
+ * Used when the schema is dropped or renamed.
+ * @param {Object} client - pg client
+ * @param {string} schemaName
+ */
+async function dropSandboxRole(client, schemaName) {
+  const role = sandboxRole(schemaName);
+  const exists = await client.query('SELECT 1 FROM pg_roles WHERE rolname = $1', [role]);
+  if (exists.rows.length === 0) return;
+  await client.query(`DROP OWNED BY ${quoteIdent(role)}`);
+  await client.query(`DROP ROLE ${quoteIdent(role)}`);
+}
+
+module.exports = { sandboxRole, assertAdHocSql, ensureSandboxRole, enterSandbox, dropSandboxRole };
@@ -210,6 +210,28 @@ function getIntentTemplate(intent) {
         assertions: [{ type: 'called', method: 'runSQL' }]
       };
 
+    case 'export-data':
+      return {
+        description: `exports ${params.object_type || 'table'} "${params.object_name || '?'}" as ${params.format || '?'}`,
+        setup: { overrides: { outputTo: undefined } },
+        assertions: [
+          params.object_name
+            ? { type: 'calledWith', method: 'outputTo', args: [params.object_type || 'table', params.object_name, params.format] }
+            : { type: 'called', method: 'outputTo' }
+        ]
+      };
+
+    case 'import-data':
+      return {
+        description: `imports ${params.format || '?'} into "${params.table_name || '?'}"`,
+        setup: { overrides: { importFile: undefined } },
+        assertions: [
+          params.table_name
+            ? { type: 'calledWith', method: 'importFile', args: [params.table_name, params.format] }
+            : { type: 'called', method: 'importFile' }
+        ]
+      };
+
     case 'read-field':
       return {
         description: `reads field "${params.field || '?'}"`,
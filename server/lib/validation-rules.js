@@ -0,0 +1,222 @@
+/**
+ * Access validation rules as PostgreSQL CHECK constraints.
+ *
+ * Access validates a field against its ValidationRule, a table row against
+ * the table's ValidationRule, and Text/Memo fields with AllowZeroLength off
+ * against "". import-table turns each into a CHECK constraint whose comment
+ * is the message Access would show: the ValidationText, or Access's own
+ * wording when there is none. The data routes read it back when a write
+ * breaks the constraint (describeCheckViolation).
+ *
+ * A field rule leaves its field implicit (">0 And <100", "Is Not Null Or
+ * 'N/A'"); fieldRuleExpression puts it in before the rule goes through
+ * convertAccessExpression like any other Access expression.
+ */
+
+const { convertAccessExpression, sanitizeName } = require('./query-converter');
+const { quoteIdent, quoteLiteral } = require('./access-types');
+
+// Text and Memo, the types AllowZeroLength applies to
+const ZLS_TYPES = new Set([10, 12]);
+
+const LEADING_OPERATOR = /^(<>|<=|>=|=|<|>|Between\b|Like\b|In\s*\(|Is\b|Not\s+(Like|In|Between)\b)/i;
+const OPERATOR = /<>|<=|>=|=|<|>|\b(Between|Like|In|Is)\b/i;
+
+/** Replace string, date and bracketed-name literals with placeholders. */
+function maskLiterals(text) {
+  return text.replace(/"[^"]*"|'[^']*'|#[^#]*#|\[[^\]]*\]/g, '""');
+}
+
+/** Whether text is one parenthesized group, "(...)". */
+function isWrapped(text) {
+  if (!text.startsWith('(') || !text.endsWith(')')) return false;
+  const masked = maskLiterals(text);
+  let depth = 0;
+  for (let i = 0; i < masked.length; i++) {
+    if (masked[i] === '(') depth++;
+    if (masked[i] === ')' && --depth === 0) return i === masked.length - 1;
+  }
+  return false;
+}
+
+/**
+ * Split a rule on its top-level And/Or, leaving the And of a Between alone.
+ * @returns {Array<{ joiner: string|null, text: string }>}
+ */
+function splitLogical(rule) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  let joiner = null;
+  let inBetween = false;
+  for (let i = 0; i < rule.length; i++) {
+    const ch = rule[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === '"' || ch === "'" || ch === '#') quote = ch;
+    else if (ch === '[') quote = ']';
+    else if (ch === '(') depth++;
+    else if (ch === ')') depth--;
+    if (depth > 0 || !/[a-z]/i.test(ch) || (i > 0 && /\w/.test(rule[i - 1]))) continue;
+
+    const word = /^[a-z]+/i.exec(rule.slice(i))[0];
+    const lower = word.toLowerCase();
+    if (lower === 'between') {
+      inBetween = true;
+    } else if (lower === 'and' && inBetween) {
+      inBetween = false;
+    } else if (lower === 'and' || lower === 'or') {
+      parts.push({ joiner, text: rule.slice(start, i).trim() });
+      joiner = lower === 'and' ? 'And' : 'Or';
+      start = i + word.length;
+    }
+    i += word.length - 1;
+  }
+  parts.push({ joiner, text: rule.slice(start).trim() });
+  return parts;
+}
+
+/**
+ * A field validation rule with its field made explicit: each comparison
+ * missing its left side gets the field, and a bare value means "equals".
+ * @param {string} rule - e.g. ">=0 And <=100", "Like 'A*' Or Is Null"
+ * @param {string} fieldName - Access field name
+ * @returns {string} Access expression, e.g. "[Qty] >=0 And [Qty] <=100"
+ */
+function fieldRuleExpression(rule, fieldName) {
+  const field = `[${fieldName}]`;
+  return splitLogical(rule.trim()).map(({ joiner, text }) => {
+    let expr;
+    if (isWrapped(text)) expr = `(${fieldRuleExpression(text.slice(1, -1), fieldName)})`;
+    else if (LEADING_OPERATOR.test(text)) expr = `${field} ${text}`;
+    else if (OPERATOR.test(maskLiterals(text))) expr = text;
+    else expr = `${field} = ${text}`;
+    return joiner ? `${joiner} ${expr}` : expr;
+  }).join(' ');
+}
+
+function constraintName(...parts) {
+  return parts.map(sanitizeName).join('_').slice(0, 63);
+}
+
+function ruleMessage(rule, target) {
+  return `One or more values are prohibited by the validation rule '${rule}' set for '${target}'. ` +
+    'Enter a value that the expression for this field can accept.';
+}
+
+/**
+ * The CHECK constraints a table's Access validation settings call for.
+ * Rules that fail to convert are left out with a warning.
+ * @param {Object} table - { name (Access), pgName, validationRule, validationText,
+ *   fields: [{ originalName, pgName, accessType, isCalculated, allowZeroLength, validationRule, validationText }] }
+ * @returns {{ constraints: Array<{ name, column, rule, expression, message }>, warnings: string[] }}
+ */
+function tableCheckConstraints(table) {
+  const constraints = [];
+  const warnings = [];
+
+  function add(name, column, rule, accessExpr, message) {
+    try {
+      constraints.push({ name, column, rule, expression: convertAccessExpression(accessExpr), message });
+    } catch (err) {
+      warnings.push(`Validation rule '${rule}' on ${column ? `"${column}"` : 'the table'} not converted: ${err.message}`);
+    }
+  }
+
+  for (const field of table.fields) {
+    if (field.isCalculated) continue;
+    const target = `${table.name}.${field.originalName}`;
+    if (field.allowZeroLength === false && ZLS_TYPES.has(field.accessType)) {
+      constraints.push({
+        name: constraintName(table.pgName, field.pgName, 'zls'),
+        column: field.pgName,
+        rule: '<>""',
+        expression: `${quoteIdent(field.pgName)} <> ''`,
+        message: `Field '${target}' cannot be a zero-length string.`
+      });
+    }
+    if (field.validationRule && field.validationRule.trim()) {
+      add(constraintName(table.pgName, field.pgName, 'rule'), field.pgName, field.validationRule,
+        fieldRuleExpression(field.validationRule, field.originalName),
+        field.validationText || ruleMessage(field.validationRule, target));
+    }
+  }
+  if (table.validationRule && table.validationRule.trim()) {
+    add(constraintName(table.pgName, 'rule'), null, table.validationRule, table.validationRule,
+      table.validationText || ruleMessage(table.validationRule, table.name));
+  }
+  return { constraints, warnings };
+}
+
+/**
+ * Add CHECK constraints (from tableCheckConstraints) to a table inside the
+ * caller's transaction, each with its message as the constraint comment.
+ * Rows already breaking a rule don't stop the import: that constraint is
+ * added NOT VALID (checked for new writes only) with a warning. One
+ * PostgreSQL rejects is skipped with a warning.
+ * @returns {Promise<{ added: Array<{ name, validated }>, warnings: string[] }>}
+ */
+async function addCheckConstraints(client, schemaName, tableName, constraints) {
+  const table = `${quoteIdent(schemaName)}.${quoteIdent(tableName)}`;
+  const added = [];
+  const warnings = [];
+  for (const con of constraints) {
+    const sql = `ALTER TABLE ${table} ADD CONSTRAINT ${quoteIdent(con.name)} CHECK (${con.expression})`;
+    let validated = true;
+    await client.query('SAVEPOINT check_constraint');
+    try {
+      try {
+        await client.query(sql);
+      } catch (err) {
+        if (err.code !== '23514') throw err;
+        await client.query('ROLLBACK TO SAVEPOINT check_constraint');
+        await client.query(`${sql} NOT VALID`);
+        validated = false;
+        warnings.push(`Existing rows break validation rule '${con.rule}' (${con.name}); it applies to new and changed rows only`);
+      }
+      await client.query(`COMMENT ON CONSTRAINT ${quoteIdent(con.name)} ON ${table} IS ${quoteLiteral(con.message)}`);
+      await client.query('RELEASE SAVEPOINT check_constraint');
+      added.push({ name: con.name, validated });
+    } catch (err) {
+      await client.query('ROLLBACK TO SAVEPOINT check_constraint');
+      warnings.push(`Validation rule '${con.rule}' (${con.name}) not created: ${err.message}`);
+    }
+  }
+  return { added, warnings };
+}
+
+/**
+ * The Access message for a write that broke a CHECK constraint (SQLSTATE
+ * 23514), from the constraint's comment. The field is the constraint's
+ * column when it has just one.
+ * @param {Object} queryable - pool or client
+ * @param {Error} err - pg error with schema, table and constraint
+ * @returns {Promise<{ error: string, field: string|null, constraint: string }|null>}
+ *   null when the constraint carries no message
+ */
+async function describeCheckViolation(queryable, err) {
+  if (err.code !== '23514' || !err.constraint || !err.table) return null;
+  const result = await queryable.query(
+    `SELECT obj_description(con.oid, 'pg_constraint') AS message,
+            CASE WHEN cardinality(con.conkey) = 1 THEN a.attname END AS field
+     FROM pg_constraint con
+     JOIN pg_class c ON c.oid = con.conrelid
+     JOIN pg_namespace n ON n.oid = c.relnamespace
+     LEFT JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = con.conkey[1]
+     WHERE con.conname = $1 AND c.relname = $2 AND ($3::text IS NULL OR n.nspname = $3)`,
+    [err.constraint, err.table, err.schema || null]
+  );
+  const row = result.rows[0];
+  if (!row || !row.message) return null;
+  return { error: row.message, field: row.field || null, constraint: err.constraint };
+}
+
+module.exports = {
+  fieldRuleExpression,
+  tableCheckConstraints,
+  addCheckConstraints,
+  describeCheckViolation
+};
@@ -36,6 +36,8 @@ const INTENT_VOCABULARY = {
   'dcount':              { description: 'DCount(...)', type: 'effect', target: 'run-query' },
   'dsum':                { description: 'DSum(...)', type: 'effect', target: 'run-query' },
   'run-sql':             { description: 'DoCmd.RunSQL "INSERT..."', type: 'effect', target: 'data-crud' },
+  'export-data':         { description: 'DoCmd.OutputTo / TransferSpreadsheet acExport', type: 'effect', target: 'data-export' },
+  'import-data':         { description: 'DoCmd.TransferSpreadsheet acImport / TransferText acImportDelim', type: 'effect', target: 'data-import' },
   'value-switch':        { description: 'If/ElseIf testing same field against literals, set-control-* effects only', type: 'structural', target: null },
   'branch':              { description: 'If/ElseIf/Else (general)', type: 'structural', target: null },
   'loop':                { description: 'For/Do While', type: 'structural', target: null },
@@ -54,7 +56,7 @@ const MECHANICAL_INTENTS = new Set([
   'set-control-visible', 'set-control-enabled', 'set-control-value',
   'set-filter', 'set-record-source',
   'read-field', 'write-field', 'set-tempvar',
-  'value-switch'
+  'value-switch', 'export-data', 'import-data'
 ]);
 
 // Intent types that need LLM assistance for code generation
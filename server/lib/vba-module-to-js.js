@@ -0,0 +1,260 @@
+/**
+ * vba-module-to-js.js — Translate VBA standard and class modules to JS modules.
+ *
+ * Form and report modules become event handlers (vba-to-js.js
+ * parseVbaToHandlers). Standard modules (modStrings) and class modules
+ * (clsErrorHandler) hold the business logic those handlers call, so they are
+ * translated whole: module variables and constants, procedures with their
+ * parameters, and for a class its properties and methods. Procedure bodies go
+ * through the same translator as handlers.
+ *
+ * The output is the body of an async function of `runtime`, the AC object of
+ * whichever side runs it (window.AC in the browser, lib/vba-runtime.js on the
+ * server):
+ *   - a standard module returns its public procedures: { GetString, ... }
+ *   - a class module returns { create }, where create() resolves to a new
+ *     instance (what New clsName gives)
+ * Inside, AC is the runtime with the module's own procedures in front of
+ * AC.callFn, so calls between them, Private ones included, stay local.
+ */
+
+const { parseModule } = require('./vba-parser');
+const {
+  translateProcedure, translateExpression, moduleVarNames, collectEnumValues, extractProcedureNames, CLASS_TAG,
+} = require('./vba-to-js');
+
+// Markers only a class module has (exported .cls headers, Class_Initialize, events)
+const CLASS_MARKERS = /^[ \t]*(?:VERSION\s+\d+\.\d+\s+CLASS\b|Attribute\s+VB_(?:Creatable|Exposed|PredeclaredId)\b|(?:Private\s+|Public\s+)?Sub\s+Class_(?:Initialize|Terminate)\b|(?:Public\s+)?Event\s+\w+|Implements\s+\w+)/im;
+
+// What Dim gives each type before assignment; other types (Variant, Date, objects) start as null
+const TYPE_DEFAULTS = {
+  string: '""', boolean: 'false',
+  byte: '0', integer: '0', long: '0', longlong: '0', longptr: '0',
+  single: '0', double: '0', currency: '0', decimal: '0'
+};
+
+/**
+ * What kind of module this is: 'form' or 'report' for document modules
+ * (Form_x, Report_x), 'class' for class modules, otherwise 'standard'.
+ * @param {string} moduleName
+ * @param {string} [vbaSource]
+ */
+function moduleKind(moduleName, vbaSource) {
+  if (/^Form_/i.test(moduleName)) return 'form';
+  if (/^Report_/i.test(moduleName)) return 'report';
+  if (/^cls/i.test(moduleName) || CLASS_MARKERS.test(vbaSource || '')) return 'class';
+  return 'standard';
+}
+
+// Property Get with parameters (Item(index)) can't be a getter; it becomes a method
+function isMethod(proc) {
+  return proc.kind === 'sub' || proc.kind === 'function' || (proc.kind === 'property get' && proc.params.length > 0);
+}
+
+/**
+ * fnRegistry entries for a class module: class:<name>, and
+ * class:<name>.<member> for each public method, so the translator knows
+ * obj.Member is a call rather than a property read. Empty for other modules.
+ * @returns {string[]}
+ */
+function classRegistryEntries(moduleName, vbaSource) {
+  if (moduleKind(moduleName, vbaSource) !== 'class') return [];
+  const className = moduleName.toLowerCase();
+  const entries = [CLASS_TAG + className];
+  for (const proc of parseModule(vbaSource).procedures) {
+    if (isMethod(proc) && proc.scope !== 'private') entries.push(`${CLASS_TAG}${className}.${proc.name.toLowerCase()}`);
+  }
+  return entries;
+}
+
+/**
+ * Enum values and the procedure/class registry across a database's modules,
+ * for translating any one of them (or a macro that calls into them).
+ * @param {Array<{ name: string, vba_source: string }>} rows
+ * @returns {{ enumMap: Map<string,number>, fnRegistry: Set<string> }}
+ */
+function translationContext(rows) {
+  const enumMap = new Map();
+  const fnRegistry = new Set();
+  for (const r of rows) {
+    for (const [k, v] of collectEnumValues(r.vba_source)) enumMap.set(k, v);
+    // A class's methods are called on an object, not by bare name
+    if (moduleKind(r.name, r.vba_source) !== 'class') {
+      for (const name of extractProcedureNames(r.vba_source)) fnRegistry.add(name.toLowerCase());
+    }
+    for (const entry of classRegistryEntries(r.name, r.vba_source)) fnRegistry.add(entry);
+  }
+  return { enumMap, fnRegistry };
+}
+
+function indent(lines, depth) {
+  const pad = '  '.repeat(depth);
+  return lines.map(line => (line ? pad + line : line));
+}
+
+function sourceOf(vbaSource, node) {
+  return vbaSource.slice(node.start, node.end).replace(/[ \t]+_[ \t]*\r?\n[ \t]*/g, ' ').trim();
+}
+
+/**
+ * JS for the module-level declarations: Const → const, Dim/Private/Public →
+ * let with the type's default value. Enums are inlined by the translator
+ * (enumMap); Type, Declare and Event declarations have no JS form.
+ */
+function declarationLines(module, vbaSource, moduleVars, enumMap, fnRegistry, untranslated) {
+  const lines = [];
+  for (const decl of module.declarations) {
+    if (decl.type === 'Const') {
+      for (const constant of decl.declarations) {
+        const value = translateExpression(sourceOf(vbaSource, constant.value), moduleVars, enumMap, fnRegistry);
+        if (value) {
+          lines.push(`const ${constant.name} = ${value};`);
+        } else {
+          lines.push(`// Const ${constant.name} = ${sourceOf(vbaSource, constant.value)}`);
+          untranslated.push({ procedure: null, line: constant.line, text: decl.text });
+        }
+      }
+    } else if (decl.type === 'Dim') {
+      for (const variable of decl.declarations) {
+        let value = TYPE_DEFAULTS[(variable.typeName || '').toLowerCase()] || 'null';
+        if (variable.isArray) value = '[]';
+        else if (variable.isNew && fnRegistry.has(CLASS_TAG + variable.typeName.toLowerCase())) {
+          value = `await AC.newObject(${JSON.stringify(variable.typeName)})`;
+        }
+        lines.push(`let ${variable.name} = ${value};`);
+      }
+    } else if (decl.type === 'Declare' || decl.type === 'Unparsed') {
+      lines.push(`// ${decl.text}`);
+      untranslated.push({ procedure: null, line: decl.line, text: decl.text });
+    }
+  }
+  return lines;
+}
+
+function paramList(proc, vbaSource, moduleVars, enumMap, fnRegistry) {
+  return proc.params.map(param => {
+    if (param.paramArray) return `...${param.name}`;
+    if (!param.defaultValue) return param.name;
+    const value = translateExpression(sourceOf(vbaSource, param.defaultValue), moduleVars, enumMap, fnRegistry);
+    return value ? `${param.name} = ${value}` : param.name;
+  }).join(', ');
+}
+
+/** The JS function name of a procedure: Property procedures get a _get/_let/_set suffix. */
+function functionName(proc) {
+  return proc.kind.startsWith('property ') && !isMethod(proc) ? `${proc.name}_${proc.kind.slice(9)}` : proc.name;
+}
+
+function procedureLines(proc, objectName, context) {
+  const { vbaSource, moduleVars, enumMap, fnRegistry, untranslated } = context;
+  const result = translateProcedure(proc, objectName, moduleVars, enumMap, fnRegistry);
+  for (const entry of result.untranslated) untranslated.push({ procedure: proc.name, ...entry });
+  return [
+    `async function ${functionName(proc)}(${paramList(proc, vbaSource, moduleVars, enumMap, fnRegistry)}) {`,
+    ...indent(result.jsLines, 1),
+    '}',
+  ];
+}
+
+// AC for the module's own code: its procedures first, then the runtime's
+function localRuntime(procedures) {
+  const entries = procedures.filter(p => isMethod(p) || p.kind === 'function')
+    .map(p => `${JSON.stringify(p.name.toLowerCase())}: ${functionName(p)}`);
+  return `const AC = runtime.withProcedures({ ${entries.join(', ')} });`;
+}
+
+/**
+ * The instance object of a class: a getter/setter per property (Property
+ * Get/Let/Set, Public variables) and a function per public method. A
+ * Property Let can be async, so the setter queues it, and every other member
+ * waits for the queue — reads after an assignment see its effect, and an
+ * error in a Property Let surfaces at the next use of the object.
+ */
+function instanceLines(module, procedures) {
+  const members = [];
+  const properties = new Map();
+  for (const proc of procedures) {
+    if (proc.scope === 'private') continue;
+    if (isMethod(proc)) {
+      members.push(`${proc.name}: async (...args) => { await pending; return ${proc.name}(...args); },`);
+    } else if (!(proc.kind !== 'property get' && proc.params.length > 1)) {
+      const property = properties.get(proc.name.toLowerCase()) || { name: proc.name };
+      property[proc.kind.slice(9)] = functionName(proc);
+      properties.set(proc.name.toLowerCase(), property);
+    }
+  }
+  for (const property of properties.values()) {
+    if (property.get) members.push(`get ${property.name}() { return Promise.resolve(pending).then(() => ${property.get}()); },`);
+    const setter = property.let || property.set;
+    if (setter) members.push(`set ${property.name}(value) { pending = Promise.resolve(pending).then(() => ${setter}(value)); },`);
+  }
+  for (const decl of module.declarations) {
+    if (decl.type !== 'Dim' || !/^(public|global)$/i.test(decl.keyword)) continue;
+    for (const { name } of decl.declarations) {
+      members.push(`get ${name}() { return ${name}; },`, `set ${name}(value) { ${name} = value; },`);
+    }
+  }
+  return ['const Me = {', ...indent(members, 1), '};'];
+}
+
+/**
+ * Translate a standard or class module to a JS module body (see the header).
+ * @param {string} vbaSource
+ * @param {string} moduleName
+ * @param {{ enumMap?: Map<string,number>, fnRegistry?: Set<string> }} [options] - the
+ *   database's enums and procedure/class registry, as for parseVbaToHandlers
+ * @returns {{ name: string, kind: 'standard'|'class', js: string, exports: string[],
+ *   untranslated: Array<{ procedure: string|null, line: number, text: string }>,
+ *   errors: Array<{ line: number, column: number, message: string }> }|null} -
+ *   null for form and report modules
+ */
+function translateModule(vbaSource, moduleName, options = {}) {
+  const kind = moduleKind(moduleName, vbaSource);
+  if (kind !== 'standard' && kind !== 'class') return null;
+
+  const fnRegistry = options.fnRegistry || new Set();
+  const enumMap = options.enumMap || new Map();
+  const module = parseModule(vbaSource || '');
+  const moduleVars = moduleVarNames(module, fnRegistry);
+  const untranslated = [];
+  const context = { vbaSource: vbaSource || '', moduleVars, enumMap, fnRegistry, untranslated };
+
+  const procedures = module.procedures.filter(proc => kind === 'class' || !proc.kind.startsWith('property '));
+  for (const proc of module.procedures) {
+    if (!procedures.includes(proc)) untranslated.push({ procedure: proc.name, line: proc.line, text: proc.text });
+  }
+
+  const body = [localRuntime(procedures), ''];
+  const declarations = declarationLines(module, context.vbaSource, moduleVars, enumMap, fnRegistry, untranslated);
+  const functions = [];
+  for (const proc of procedures) functions.push('', ...procedureLines(proc, null, context));
+
+  let exports = [];
+  if (kind === 'standard') {
+    exports = procedures.filter(proc => proc.scope !== 'private').map(proc => proc.name);
+    body.push(...declarations, ...functions, '', `return { ${exports.join(', ')} };`);
+  } else {
+    const initialize = procedures.find(proc => /^Class_Initialize$/i.test(proc.name));
+    body.length = 0;
+    body.push(
+      'async function create() {',
+      ...indent([localRuntime(procedures), 'let pending = null;', ...declarations, ...functions, '', ...instanceLines(module, procedures)], 1),
+      ...(initialize ? indent([`await ${initialize.name}();`], 1) : []),
+      '  return Me;',
+      '}',
+      '',
+      'return { create };'
+    );
+  }
+
+  return {
+    name: moduleName,
+    kind,
+    js: `// ${moduleName} (${kind} module), generated from VBA\n${body.join('\n')}\n`,
+    exports,
+    untranslated: untranslated.sort((a, b) => a.line - b.line),
+    errors: module.errors,
+  };
+}
+
+module.exports = { translateModule, moduleKind, classRegistryEntries, translationContext };
@@ -0,0 +1,1230 @@
+/**
+ * vba-parser.js — Tokenizer and recursive-descent parser for VBA modules.
+ *
+ * Covers the VBA that Access modules use: module declarations (Option, Dim /
+ * Private / Public, Const, Enum, Type, Declare), Sub / Function / Property
+ * procedures, block and single-line statements, and expressions with VBA
+ * operator precedence. Every node carries its source position: line and
+ * column (1-based) and start / end offsets into the source.
+ *
+ * Parsing does not stop at the first error. A statement that can't be parsed
+ * becomes an Unparsed node holding its source text, a block missing its End
+ * is closed where its parent ends, and each problem is listed in
+ * module.errors with its line.
+ *
+ * statementLines() flattens a procedure body back into one VBA statement per
+ * line, each with its source line: `a: b` is split, and a single-line If with
+ * several statements, an Else or a nested If is expanded into block form.
+ * vba-to-js.js translates those lines.
+ */
+
+// ============================================================
+// Tokenizer
+// ============================================================
+
+const SYMBOLS = ['<>', '<=', '>=', ':=', '=', '<', '>', '+', '-', '*', '/', '\\', '^', '&', '(', ')', ',', '.', '!', ';', '#', '?'];
+
+const IDENTIFIER = /[A-Za-z][A-Za-z0-9_]*\$?/y;
+const NUMBER = /(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?[%&!#@]?/y;
+const RADIX_NUMBER = /&([Hh][0-9A-Fa-f]+|[Oo][0-7]+)&?/y;
+const DATE = /#[^#\r\n]+#/y;
+const CONTINUATION = /_[ \t]*\r?\n/y;
+
+function matchAt(pattern, source, index) {
+  pattern.lastIndex = index;
+  const match = pattern.exec(source);
+  return match ? match[0] : null;
+}
+
+function radixValue(text) {
+  const digits = text.replace(/^&/, '').replace(/&$/, '');
+  return parseInt(digits.slice(1), /^[Hh]/.test(digits) ? 16 : 8);
+}
+
+/**
+ * Split VBA source into tokens. Comments (' and Rem), compiler directives
+ * (#If ...) and line continuations are dropped; ":" between statements is a
+ * colon token and each line break a newline token.
+ * @param {string} source
+ * @returns {Array<{ type: 'identifier'|'number'|'string'|'date'|'symbol'|'colon'|'newline'|'unknown'|'eof',
+ *   value: *, line: number, column: number, start: number, end: number, bracketed?: boolean }>}
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let lineStart = 0;
+
+  const add = (type, value, start, extra) => {
+    tokens.push({ type, value, line, column: start - lineStart + 1, start, end: i, ...extra });
+  };
+  const last = () => tokens[tokens.length - 1];
+  const atLineStart = () => !tokens.length || last().type === 'newline';
+  const atStatementStart = () => atLineStart() || last().type === 'colon';
+  const skipToLineEnd = () => {
+    while (i < source.length && source[i] !== '\n') i++;
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+    const start = i;
+
+    if (ch === '\n') {
+      i++;
+      add('newline', '\n', start);
+      line++;
+      lineStart = i;
+      continue;
+    }
+    if (ch === ' ' || ch === '\t' || ch === '\r' || ch === '﻿') {
+      i++;
+      continue;
+    }
+
+    // " _" at the end of a line continues the statement on the next one
+    if (ch === '_' && (i === 0 || /[ \t]/.test(source[i - 1]))) {
+      const continuation = matchAt(CONTINUATION, source, i);
+      if (continuation) {
+        i += continuation.length;
+        line++;
+        lineStart = i;
+        continue;
+      }
+    }
+
+    if (ch === "'") {
+      skipToLineEnd();
+      continue;
+    }
+
+    // #If / #Else / #End If / #Const — both branches are parsed
+    if (ch === '#' && atLineStart() && /[A-Za-z]/.test(source[i + 1] || '')) {
+      skipToLineEnd();
+      continue;
+    }
+
+    if (ch === '"') {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== '\n' && source[j] !== '\r') {
+        if (source[j] === '"') {
+          if (source[j + 1] !== '"') break;
+          value += '"';
+          j += 2;
+          continue;
+        }
+        value += source[j++];
+      }
+      i = source[j] === '"' ? j + 1 : j;
+      add('string', value, start);
+      continue;
+    }
+
+    if (ch === '[') {
+      const close = source.indexOf(']', i);
+      const lineEnd = source.indexOf('\n', i);
+      if (close > i && (lineEnd < 0 || close < lineEnd)) {
+        i = close + 1;
+        add('identifier', source.slice(start + 1, close), start, { bracketed: true });
+        continue;
+      }
+    }
+
+    if (ch === '#') {
+      const date = matchAt(DATE, source, i);
+      if (date) {
+        i += date.length;
+        add('date', date.slice(1, -1), start);
+        continue;
+      }
+    }
+
+    if (ch === '&') {
+      const radix = matchAt(RADIX_NUMBER, source, i);
+      if (radix) {
+        i += radix.length;
+        add('number', radixValue(radix), start);
+        continue;
+      }
+    }
+
+    if (/\d/.test(ch) || (ch === '.' && /\d/.test(source[i + 1] || '') && !(last() && /identifier|number/.test(last().type)))) {
+      const number = matchAt(NUMBER, source, i);
+      i += number.length;
+      add('number', parseFloat(number.replace(/[%&!#@]$/, '')), start);
+      continue;
+    }
+
+    if (/[A-Za-z]/.test(ch)) {
+      const word = matchAt(IDENTIFIER, source, i);
+      if (/^Rem$/i.test(word) && atStatementStart() && !/\w/.test(source[i + 3] || '')) {
+        skipToLineEnd();
+        continue;
+      }
+      i += word.length;
+      add('identifier', word, start);
+      continue;
+    }
+
+    if (ch === ':' && source[i + 1] !== '=') {
+      i++;
+      add('colon', ':', start);
+      continue;
+    }
+
+    const symbol = SYMBOLS.find(s => source.startsWith(s, i));
+    i += symbol ? symbol.length : 1;
+    add(symbol ? 'symbol' : 'unknown', symbol || ch, start);
+  }
+
+  add('eof', '', i);
+  return tokens;
+}
+
+// ============================================================
+// Parser
+// ============================================================
+
+// Words that end or structure a statement and so can't start an expression
+const RESERVED = new Set([
+  'and', 'or', 'not', 'xor', 'eqv', 'imp', 'mod', 'like', 'is', 'then', 'else', 'elseif', 'end', 'to',
+  'step', 'as', 'next', 'loop', 'wend', 'case', 'each', 'in', 'select', 'if', 'do', 'for', 'while',
+  'until', 'with', 'dim', 'set', 'let', 'call', 'exit', 'goto', 'resume', 'on', 'byval', 'byref',
+  'optional', 'paramarray', 'sub', 'function', 'property', 'const', 'redim', 'preserve'
+]);
+
+const LOGICAL_OPERATORS = ['Imp', 'Eqv', 'Xor', 'Or', 'And'];
+const COMPARISON_SYMBOLS = ['=', '<>', '<', '>', '<=', '>='];
+// Additive to multiplicative, loosest first: + -, Mod, \, * /
+const ARITHMETIC_LEVELS = [['+', '-'], ['Mod'], ['\\'], ['*', '/']];
+
+// The block a closing statement belongs to
+const BLOCK_ENDS = {
+  if: 'if', select: 'select', with: 'with', sub: 'procedure', function: 'procedure', property: 'procedure'
+};
+
+function syntaxError(message, token) {
+  return Object.assign(new Error(`${message} (line ${token.line}, column ${token.column})`), {
+    code: 'VBA_SYNTAX', reason: message, line: token.line, column: token.column
+  });
+}
+
+function describeToken(token) {
+  if (token.type === 'eof') return 'end of module';
+  if (token.type === 'newline') return 'end of line';
+  if (token.type === 'string') return `"${token.value}"`;
+  return `'${token.value}'`;
+}
+
+function createParser(source, tokens) {
+  let pos = 0;
+  let inlineDepth = 0;
+  let pendingNext = 0;
+  const openBlocks = [];
+  const errors = [];
+
+  const peek = (k = 0) => tokens[Math.min(pos + k, tokens.length - 1)];
+  const previous = () => tokens[Math.max(pos - 1, 0)];
+  const next = () => tokens[pos < tokens.length - 1 ? pos++ : pos];
+  const isWord = (token, ...words) =>
+    token.type === 'identifier' && !token.bracketed && words.includes(token.value.toLowerCase());
+  const isSymbol = (token, ...symbols) => token.type === 'symbol' && symbols.includes(token.value);
+  const fail = (message, token = peek()) => { throw syntaxError(message, token); };
+
+  /** Source text from one offset to another, continuations joined. */
+  const textBetween = (start, end) => source.slice(start, end).replace(/[ \t]+_[ \t]*\r?\n[ \t]*/g, ' ').trim();
+
+  function at(startToken, props) {
+    return {
+      ...props,
+      line: startToken.line,
+      column: startToken.column,
+      start: startToken.start,
+      end: Math.max(previous().end, startToken.end)
+    };
+  }
+
+  function statementNode(type, startToken, props) {
+    const node = at(startToken, { type, ...props });
+    node.text = textBetween(node.start, node.end);
+    return node;
+  }
+
+  function expectWord(word) {
+    if (!isWord(peek(), word)) fail(`Expected ${word[0].toUpperCase()}${word.slice(1)} but found ${describeToken(peek())}`);
+    return next();
+  }
+
+  function expectSymbol(symbol) {
+    if (!isSymbol(peek(), symbol)) fail(`Expected '${symbol}' but found ${describeToken(peek())}`);
+    return next();
+  }
+
+  function expectName() {
+    const token = peek();
+    if (token.type !== 'identifier') fail(`Expected a name but found ${describeToken(token)}`);
+    return next().value;
+  }
+
+  function atStatementEnd(token = peek()) {
+    return token.type === 'newline' || token.type === 'colon' || token.type === 'eof' ||
+      (inlineDepth > 0 && isWord(token, 'else'));
+  }
+
+  function endStatement() {
+    if (!atStatementEnd()) fail(`Expected end of statement but found ${describeToken(peek())}`);
+  }
+
+  function endLine() {
+    if (peek().type === 'colon') return;
+    if (peek().type !== 'newline' && peek().type !== 'eof') {
+      fail(`Expected end of line but found ${describeToken(peek())}`);
+    }
+  }
+
+  function skipSeparators() {
+    while (peek().type === 'newline' || peek().type === 'colon') next();
+  }
+
+  function skipLine() {
+    while (peek().type !== 'newline' && peek().type !== 'eof') next();
+  }
+
+  // ------------------------------------------------------------
+  // Expressions
+  // ------------------------------------------------------------
+
+  function binary(operator, left, right) {
+    return {
+      type: 'Binary', operator, left, right,
+      line: left.line, column: left.column, start: left.start, end: right.end
+    };
+  }
+
+  function parseExpression() {
+    return parseLogical(0);
+  }
+
+  function parseLogical(level) {
+    if (level === LOGICAL_OPERATORS.length) return parseNot();
+    let left = parseLogical(level + 1);
+    const word = LOGICAL_OPERATORS[level].toLowerCase();
+    while (isWord(peek(), word)) {
+      next();
+      left = binary(LOGICAL_OPERATORS[level], left, parseLogical(level + 1));
+    }
+    return left;
+  }
+
+  function parseNot() {
+    if (isWord(peek(), 'not')) {
+      const token = next();
+      const operand = parseNot();
+      return { ...at(token, { type: 'Unary', operator: 'Not', operand }), end: operand.end };
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    let left = parseConcat();
+    for (;;) {
+      const token = peek();
+      if (isSymbol(token, ...COMPARISON_SYMBOLS)) {
+        next();
+        left = binary(token.value, left, parseConcat());
+      } else if (isWord(token, 'like', 'is')) {
+        next();
+        left = binary(token.value.toLowerCase() === 'like' ? 'Like' : 'Is', left, parseConcat());
+      } else {
+        return left;
+      }
+    }
+  }
+
+  function parseConcat() {
+    let left = parseArithmetic(0);
+    while (isSymbol(peek(), '&')) {
+      next();
+      left = binary('&', left, parseArithmetic(0));
+    }
+    return left;
+  }
+
+  function parseArithmetic(level) {
+    if (level === ARITHMETIC_LEVELS.length) return parseNegation();
+    const operators = ARITHMETIC_LEVELS[level];
+    let left = parseArithmetic(level + 1);
+    for (;;) {
+      const token = peek();
+      const operator = operators.find(op => (op === 'Mod' ? isWord(token, 'mod') : isSymbol(token, op)));
+      if (!operator) return left;
+      next();
+      left = binary(operator, left, parseArithmetic(level + 1));
+    }
+  }
+
+  // Unary minus binds looser than ^: -2 ^ 2 is -4
+  function parseNegation() {
+    if (isSymbol(peek(), '-', '+')) {
+      const token = next();
+      const operand = parseNegation();
+      return { ...at(token, { type: 'Unary', operator: token.value, operand }), end: operand.end };
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    let left = parsePostfix();
+    while (isSymbol(peek(), '^')) {
+      next();
+      const right = isSymbol(peek(), '-', '+') ? parseNegation() : parsePostfix();
+      left = binary('^', left, right);
+    }
+    return left;
+  }
+
+  function parseTypeName() {
+    let name = expectName();
+    while (isSymbol(peek(), '.')) {
+      next();
+      name += '.' + expectName();
+    }
+    return name;
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (token.type === 'number' || token.type === 'string' || token.type === 'date') {
+      next();
+      return at(token, { type: 'Literal', kind: token.type, value: token.value });
+    }
+    if (isSymbol(token, '(')) {
+      next();
+      const expression = parseExpression();
+      expectSymbol(')');
+      return at(token, { type: 'Paren', expression });
+    }
+    // .Member / !Field inside a With block
+    if (isSymbol(token, '.', '!')) {
+      next();
+      return at(token, { type: 'Member', object: null, name: expectName(), bang: token.value === '!' });
+    }
+    if (token.type === 'identifier') {
+      const word = token.bracketed ? null : token.value.toLowerCase();
+      if (word === 'true' || word === 'false') {
+        next();
+        return at(token, { type: 'Literal', kind: 'boolean', value: word === 'true' });
+      }
+      if (word === 'nothing' || word === 'null' || word === 'empty') {
+        next();
+        return at(token, { type: 'Literal', kind: word, value: null });
+      }
+      if (word === 'new') {
+        next();
+        return at(token, { type: 'New', className: parseTypeName() });
+      }
+      if (word === 'typeof') {
+        next();
+        const expression = parsePostfix();
+        expectWord('is');
+        return at(token, { type: 'TypeOf', expression, typeName: parseTypeName() });
+      }
+      if (word === 'addressof') {
+        next();
+        return at(token, { type: 'AddressOf', name: expectName() });
+      }
+      if (RESERVED.has(word)) fail(`Unexpected ${token.value}`);
+      next();
+      return at(token, { type: 'Identifier', name: token.value });
+    }
+    return fail(`Unexpected ${describeToken(token)}`);
+  }
+
+  /**
+   * An argument list up to `close` (')' inside parentheses, or the end of
+   * the statement for a call without them). Omitted arguments are Missing
+   * nodes; Name:=value arguments are Named nodes.
+   */
+  function parseArguments(close) {
+    const args = [];
+    const atClose = () => (close ? isSymbol(peek(), close) : atStatementEnd());
+    if (atClose()) return args;
+    for (;;) {
+      const token = peek();
+      if (isSymbol(token, ',', ';') || atClose()) {
+        args.push(at(token, { type: 'Missing' }));
+      } else if (token.type === 'identifier' && isSymbol(peek(1), ':=')) {
+        next();
+        next();
+        const value = parseExpression();
+        args.push({ ...at(token, { type: 'Named', name: token.value, value }), end: value.end });
+      } else {
+        args.push(parseExpression());
+      }
+      // Debug.Print separates its items with ;
+      if (isSymbol(peek(), ',') || (!close && isSymbol(peek(), ';'))) {
+        next();
+        continue;
+      }
+      return args;
+    }
+  }
+
+  /**
+   * A primary followed by .Member, !Field and (arguments). As a statement's
+   * target, a "(" after a space starts the arguments rather than a call:
+   * MsgBox ("a") & "b".
+   */
+  function parsePostfix(statementTarget = false) {
+    let expression = parsePrimary();
+    for (;;) {
+      const token = peek();
+      if (isSymbol(token, '.', '!') && token.start === previous().end) {
+        next();
+        expression = { ...at(expression, {}), type: 'Member', object: expression, name: expectName(), bang: token.value === '!' };
+        expression.end = previous().end;
+      } else if (isSymbol(token, '(') && !(statementTarget && token.start > previous().end)) {
+        next();
+        const args = parseArguments(')');
+        expectSymbol(')');
+        expression = { ...at(expression, {}), type: 'Call', callee: expression, args };
+        expression.end = previous().end;
+      } else {
+        return expression;
+      }
+    }
+  }
+
+  // ------------------------------------------------------------
+  // Statements
+  // ------------------------------------------------------------
+
+  /** Which open block a closing statement at the current token would end, or null. */
+  function closingBlock() {
+    if (pendingNext > 0) return 'for';
+    const token = peek();
+    if (isWord(token, 'end')) return BLOCK_ENDS[(peek(1).value || '').toLowerCase()] || null;
+    if (isWord(token, 'else', 'elseif')) return 'if';
+    if (isWord(token, 'case')) return 'select';
+    if (isWord(token, 'next')) return 'for';
+    if (isWord(token, 'loop')) return 'do';
+    if (isWord(token, 'wend')) return 'while';
+    return null;
+  }
+
+  function unparsed(startToken, err) {
+    errors.push({ line: err.line, column: err.column, message: err.reason || err.message });
+    skipLine();
+    return statementNode('Unparsed', startToken, { error: err.reason || err.message });
+  }
+
+  /** Statements up to a line that closes one of the open blocks. */
+  function parseBlockBody(kind) {
+    openBlocks.push(kind);
+    const body = [];
+    try {
+      for (;;) {
+        skipSeparators();
+        if (peek().type === 'eof') return body;
+        const closes = closingBlock();
+        if (closes && openBlocks.includes(closes)) return body;
+        const startToken = peek();
+        const startPos = pos;
+        if (closes) {
+          body.push(unparsed(startToken, syntaxError(`${startToken.value} without a matching block`, startToken)));
+          continue;
+        }
+        try {
+          body.push(parseStatement());
+        } catch (err) {
+          if (err.code !== 'VBA_SYNTAX') throw err;
+          pos = startPos;
+          body.push(unparsed(startToken, err));
+        }
+      }
+    } finally {
+      openBlocks.pop();
+    }
+  }
+
+  /**
+   * Consume a block's closing statement (End If, Loop Until x, ...). When it
+   * is missing the block ends here and the error is recorded.
+   * @returns {{ line: number, text: string|null }}
+   */
+  function closeBlock(kind, matches, consume) {
+    const token = peek();
+    if (matches()) {
+      const start = token.start;
+      consume();
+      const closing = { line: token.line, text: textBetween(start, previous().end) };
+      if (!pendingNext) endStatement();
+      return closing;
+    }
+    const expected = { if: 'End If', select: 'End Select', with: 'End With', for: 'Next', do: 'Loop', while: 'Wend' }[kind];
+    errors.push({ line: token.line, column: token.column, message: `Expected ${expected} but found ${describeToken(token)}` });
+    return { line: token.line, text: null };
+  }
+
+  function closeEnd(kind, word) {
+    return closeBlock(kind, () => isWord(peek(), 'end') && isWord(peek(1), word), () => { next(); next(); });
+  }
+
+  function parseStatement() {
+    const token = peek();
+    const word = token.type === 'identifier' && !token.bracketed ? token.value.toLowerCase() : null;
+
+    // Labels: Name: or a line number at the start of a line
+    const lineStart = pos === 0 || previous().type === 'newline';
+    if (lineStart && token.type === 'identifier' && !RESERVED.has(word) && peek(1).type === 'colon') {
+      next();
+      next();
+      return statementNode('Label', token, { name: token.value });
+    }
+    if (lineStart && token.type === 'number' && Number.isInteger(token.value)) {
+      next();
+      if (peek().type === 'colon') next();
+      return statementNode('Label', token, { name: String(token.value), lineNumber: true });
+    }
+
+    switch (word) {
+      case 'if': return parseIf();
+      case 'select': return parseSelect();
+      case 'for': return isWord(peek(1), 'each') ? parseForEach() : parseFor();
+      case 'do': return parseDo();
+      case 'while': return parseWhile();
+      case 'with': return parseWith();
+      case 'dim': case 'static': case 'private': case 'public': case 'global':
+        return isWord(peek(1), 'const') ? (next(), parseConst(token)) : parseDim();
+      case 'const': return parseConst(token);
+      case 'redim': {
+        next();
+        const preserve = isWord(peek(), 'preserve') && !!next();
+        skipLine();
+        return statementNode('ReDim', token, { preserve });
+      }
+      case 'erase': {
+        next();
+        const names = [expectName()];
+        while (isSymbol(peek(), ',')) { next(); names.push(expectName()); }
+        endStatement();
+        return statementNode('Erase', token, { names });
+      }
+      case 'set': case 'let': {
+        next();
+        const target = parsePostfix();
+        expectSymbol('=');
+        const value = parseExpression();
+        endStatement();
+        return statementNode('Assignment', token, { set: word === 'set', target, value });
+      }
+      case 'call': {
+        next();
+        const target = parsePostfix();
+        endStatement();
+        const isCall = target.type === 'Call';
+        return statementNode('Call', token, { callee: isCall ? target.callee : target, args: isCall ? target.args : [], explicit: true });
+      }
+      case 'exit': {
+        next();
+        const target = expectName();
+        endStatement();
+        return statementNode('Exit', token, { target: target.toLowerCase() });
+      }
+      case 'goto': {
+        next();
+        const label = next();
+        if (label.type !== 'identifier' && label.type !== 'number') fail('Expected a label', label);
+        endStatement();
+        return statementNode('GoTo', token, { label: String(label.value) });
+      }
+      case 'on': return parseOn();
+      case 'resume': {
+        next();
+        let target = null;
+        if (!atStatementEnd()) {
+          const label = next();
+          target = isWord(label, 'next') ? 'Next' : String(label.value);
+        }
+        endStatement();
+        return statementNode('Resume', token, { target });
+      }
+      case 'end':
+        next();
+        endStatement();
+        return statementNode('End', token, {});
+      case 'stop':
+        next();
+        endStatement();
+        return statementNode('Stop', token, {});
+      default:
+        return parseCallOrAssignment();
+    }
+  }
+
+  function parseCallOrAssignment() {
+    const token = peek();
+    const target = parsePostfix(true);
+    if (isSymbol(peek(), '=')) {
+      next();
+      const value = parseExpression();
+      endStatement();
+      return statementNode('Assignment', token, { set: false, target, value });
+    }
+    if (atStatementEnd()) {
+      const isCall = target.type === 'Call';
+      return statementNode('Call', token, { callee: isCall ? target.callee : target, args: isCall ? target.args : [] });
+    }
+    const args = parseArguments(null);
+    endStatement();
+    return statementNode('Call', token, { callee: target, args });
+  }
+
+  function parseIf() {
+    const token = next();
+    const condition = parseExpression();
+    expectWord('then');
+    const header = { text: textBetween(token.start, previous().end), conditionText: textBetween(condition.start, condition.end) };
+
+    // Single-line If: statements after Then, separated by ":", up to Else or the end of the line
+    if (peek().type !== 'newline' && peek().type !== 'eof') {
+      inlineDepth++;
+      try {
+        const thenBody = parseInlineStatements();
+        let elseBody = null;
+        let elseLine = null;
+        if (isWord(peek(), 'else')) {
+          elseLine = next().line;
+          inlineDepth--;
+          try {
+            elseBody = parseInlineStatements();
+          } finally {
+            inlineDepth++;
+          }
+        }
+        const node = statementNode('If', token, { condition, thenBody, elseIfs: [], elseBody, singleLine: true });
+        return Object.assign(node, header, { elseLine, endLine: previous().line });
+      } finally {
+        inlineDepth--;
+      }
+    }
+
+    const thenBody = parseBlockBody('if');
+    const elseIfs = [];
+    while (isWord(peek(), 'elseif')) {
+      const elseIfToken = next();
+      const elseIfCondition = parseExpression();
+      expectWord('then');
+      const text = textBetween(elseIfToken.start, previous().end);
+      endLine();
+      elseIfs.push({ condition: elseIfCondition, body: parseBlockBody('if'), line: elseIfToken.line, text });
+    }
+    let elseBody = null;
+    let elseLine = null;
+    if (isWord(peek(), 'else')) {
+      elseLine = next().line;
+      elseBody = parseBlockBody('if');
+    }
+    const closing = closeEnd('if', 'if');
+    const node = at(token, { type: 'If', condition, thenBody, elseIfs, elseBody, singleLine: false });
+    return Object.assign(node, header, { elseLine, endLine: closing.line });
+  }
+
+  function parseInlineStatements() {
+    const statements = [];
+    for (;;) {
+      while (peek().type === 'colon') next();
+      if (peek().type === 'newline' || peek().type === 'eof' || isWord(peek(), 'else')) return statements;
+      statements.push(parseStatement());
+    }
+  }
+
+  function parseCaseTests() {
+    const tests = [];
+    for (;;) {
+      const token = peek();
+      if (isWord(token, 'is')) {
+        next();
+        const operator = peek();
+        if (!isSymbol(operator, ...COMPARISON_SYMBOLS)) fail('Expected a comparison after Case Is');
+        next();
+        tests.push(at(token, { type: 'CaseIs', operator: operator.value, expression: parseExpression() }));
+      } else {
+        const from = parseExpression();
+        if (isWord(peek(), 'to')) {
+          next();
+          tests.push({ type: 'CaseRange', from, to: parseExpression(), line: from.line, column: from.column, start: from.start, end: previous().end });
+        } else {
+          tests.push(from);
+        }
+      }
+      if (!isSymbol(peek(), ',')) return tests;
+      next();
+    }
+  }
+
+  function parseSelect() {
+    const token = next();
+    expectWord('case');
+    const expression = parseExpression();
+    const text = textBetween(token.start, previous().end);
+    endLine();
+    skipSeparators();
+    const cases = [];
+    let elseBody = null;
+    let elseLine = null;
+    while (isWord(peek(), 'case')) {
+      const caseToken = next();
+      if (isWord(peek(), 'else')) {
+        next();
+        elseLine = caseToken.line;
+        elseBody = parseBlockBody('select');
+        continue;
+      }
+      const tests = parseCaseTests();
+      const caseText = textBetween(caseToken.start, previous().end);
+      endStatement();
+      cases.push({ tests, body: parseBlockBody('select'), line: caseToken.line, text: caseText });
+    }
+    const closing = closeEnd('select', 'select');
+    return Object.assign(at(token, { type: 'Select', expression, cases, elseBody }), { text, elseLine, endLine: closing.line });
+  }
+
+  /** Next [i[, j]] — "Next j, i" also closes the enclosing For. */
+  function closeFor() {
+    const finishNext = () => {
+      if (peek().type === 'identifier' && !atStatementEnd()) next();
+      if (isSymbol(peek(), ',')) {
+        next();
+        pendingNext++;
+      }
+    };
+    if (pendingNext > 0) {
+      pendingNext--;
+      const token = peek();
+      finishNext();
+      return { line: token.line, text: 'Next' };
+    }
+    const closing = closeBlock('for', () => isWord(peek(), 'next'), () => { next(); finishNext(); });
+    return { line: closing.line, text: 'Next' };
+  }
+
+  function parseFor() {
+    const token = next();
+    const variable = parsePostfix();
+    expectSymbol('=');
+    const from = parseExpression();
+    expectWord('to');
+    const to = parseExpression();
+    let step = null;
+    if (isWord(peek(), 'step')) {
+      next();
+      step = parseExpression();
+    }
+    const text = textBetween(token.start, previous().end);
+    endStatement();
+    const body = parseBlockBody('for');
+    const closing = closeFor();
+    return Object.assign(at(token, { type: 'For', variable, from, to, step, body }), { text, footer: closing.text, endLine: closing.line });
+  }
+
+  function parseForEach() {
+    const token = next();
+    next();
+    const variable = parsePostfix();
+    expectWord('in');
+    const collection = parseExpression();
+    const text = textBetween(token.start, previous().end);
+    endStatement();
+    const body = parseBlockBody('for');
+    const closing = closeFor();
+    return Object.assign(at(token, { type: 'ForEach', variable, collection, body }), { text, footer: closing.text, endLine: closing.line });
+  }
+
+  function parseDoCondition() {
+    if (!isWord(peek(), 'while', 'until')) return { conditionType: null, condition: null };
+    const conditionType = next().value.toLowerCase();
+    return { conditionType, condition: parseExpression() };
+  }
+
+  function parseDo() {
+    const token = next();
+    const pre = parseDoCondition();
+    const text = textBetween(token.start, previous().end);
+    endStatement();
+    const body = parseBlockBody('do');
+    let post = { conditionType: null, condition: null };
+    const closing = closeBlock('do', () => isWord(peek(), 'loop'), () => { next(); post = parseDoCondition(); });
+    const test = pre.condition ? 'pre' : (post.condition ? 'post' : null);
+    const { conditionType, condition } = pre.condition ? pre : post;
+    return Object.assign(at(token, { type: 'Do', conditionType, condition, test, body }), {
+      text, footer: closing.text || 'Loop', endLine: closing.line
+    });
+  }
+
+  function parseWhile() {
+    const token = next();
+    const condition = parseExpression();
+    const text = textBetween(token.start, previous().end);
+    endStatement();
+    const body = parseBlockBody('while');
+    const closing = closeBlock('while', () => isWord(peek(), 'wend'), () => next());
+    return Object.assign(at(token, { type: 'While', condition, body }), { text, footer: 'Wend', endLine: closing.line });
+  }
+
+  function parseWith() {
+    const token = next();
+    const object = parseExpression();
+    const text = textBetween(token.start, previous().end);
+    endStatement();
+    const body = parseBlockBody('with');
+    const closing = closeEnd('with', 'with');
+    return Object.assign(at(token, { type: 'With', object, body }), { text, footer: 'End With', endLine: closing.line });
+  }
+
+  function parseOn() {
+    const token = next();
+    if (!isWord(peek(), 'error')) {
+      // On x GoTo a, b — kept as text
+      skipLine();
+      return statementNode('OnGoTo', token, {});
+    }
+    next();
+    let node;
+    if (isWord(peek(), 'resume')) {
+      next();
+      expectWord('next');
+      node = { action: 'resume-next', label: null };
+    } else {
+      expectWord('goto');
+      const label = next();
+      if (isSymbol(label, '-')) {
+        next();
+        node = { action: 'goto', label: '-1' };
+      } else {
+        node = { action: 'goto', label: String(label.value) };
+      }
+    }
+    endStatement();
+    return statementNode('OnError', token, node);
+  }
+
+  /** One variable of a Dim: name[(bounds)] [As [New] Type [* length]] */
+  function parseVariable() {
+    const token = peek();
+    const name = expectName();
+    let isArray = false;
+    if (isSymbol(peek(), '(')) {
+      isArray = true;
+      let depth = 0;
+      do {
+        if (isSymbol(peek(), '(')) depth++;
+        if (isSymbol(peek(), ')')) depth--;
+        if (atStatementEnd()) fail('Expected )');
+        next();
+      } while (depth > 0);
+    }
+    let typeName = null;
+    let isNew = false;
+    if (isWord(peek(), 'as')) {
+      next();
+      if (isWord(peek(), 'new')) {
+        next();
+        isNew = true;
+      }
+      typeName = parseTypeName();
+      if (isSymbol(peek(), '*')) {
+        next();
+        next();
+      }
+    }
+    return at(token, { name, typeName, isNew, isArray });
+  }
+
+  function parseDim() {
+    const token = peek();
+    const keyword = next().value;
+    if (isWord(peek(), 'withevents')) next();
+    const declarations = [parseVariable()];
+    while (isSymbol(peek(), ',')) {
+      next();
+      declarations.push(parseVariable());
+    }
+    endStatement();
+    return statementNode('Dim', token, { keyword, declarations });
+  }
+
+  function parseConst(token) {
+    expectWord('const');
+    const declarations = [];
+    do {
+      if (declarations.length) next();
+      const nameToken = peek();
+      const name = expectName();
+      let typeName = null;
+      if (isWord(peek(), 'as')) {
+        next();
+        typeName = parseTypeName();
+      }
+      expectSymbol('=');
+      declarations.push(at(nameToken, { name, typeName, value: parseExpression() }));
+    } while (isSymbol(peek(), ','));
+    endStatement();
+    return statementNode('Const', token, { declarations });
+  }
+
+  // ------------------------------------------------------------
+  // Module level
+  // ------------------------------------------------------------
+
+  function parseParameters() {
+    const params = [];
+    expectSymbol('(');
+    while (!isSymbol(peek(), ')')) {
+      const token = peek();
+      const param = { optional: false, byVal: false, paramArray: false, isArray: false, typeName: null, defaultValue: null };
+      while (isWord(peek(), 'optional', 'byval', 'byref', 'paramarray')) {
+        const modifier = next().value.toLowerCase();
+        if (modifier === 'optional') param.optional = true;
+        if (modifier === 'byval') param.byVal = true;
+        if (modifier === 'paramarray') param.paramArray = true;
+      }
+      param.name = expectName();
+      if (isSymbol(peek(), '(')) {
+        next();
+        expectSymbol(')');
+        param.isArray = true;
+      }
+      if (isWord(peek(), 'as')) {
+        next();
+        param.typeName = parseTypeName();
+      }
+      if (isSymbol(peek(), '=')) {
+        next();
+        param.defaultValue = parseExpression();
+      }
+      params.push(at(token, param));
+      if (!isSymbol(peek(), ',')) break;
+      next();
+    }
+    expectSymbol(')');
+    return params;
+  }
+
+  function parseProcedure(startToken, modifiers) {
+    let kind = next().value.toLowerCase();
+    if (kind === 'property') {
+      if (!isWord(peek(), 'get', 'let', 'set')) fail('Expected Get, Let or Set');
+      kind = `property ${next().value.toLowerCase()}`;
+    }
+    const name = expectName();
+    const params = isSymbol(peek(), '(') ? parseParameters() : [];
+    let returnType = null;
+    if (isWord(peek(), 'as')) {
+      next();
+      returnType = parseTypeName();
+      if (isSymbol(peek(), '(')) {
+        next();
+        expectSymbol(')');
+        returnType += '()';
+      }
+    }
+    const text = textBetween(startToken.start, previous().end);
+    endLine();
+
+    const body = parseBlockBody('procedure');
+    const endWord = kind.split(' ')[0];
+    const endToken = peek();
+    if (isWord(endToken, 'end') && isWord(peek(1), endWord)) {
+      next();
+      next();
+    } else {
+      errors.push({ line: endToken.line, column: endToken.column, message: `Expected End ${endWord[0].toUpperCase()}${endWord.slice(1)} but found ${describeToken(endToken)}` });
+      // A stray End of another kind would otherwise end the module here
+      if (isWord(endToken, 'end')) skipLine();
+    }
+    const scope = modifiers.find(m => m !== 'static') || null;
+    return Object.assign(at(startToken, {
+      type: 'Procedure', kind, name, params, returnType, scope, isStatic: modifiers.includes('static'), body
+    }), { text, endLine: endToken.line });
+  }
+
+  function parseEnum(startToken) {
+    next();
+    const name = expectName();
+    endLine();
+    const members = [];
+    for (;;) {
+      skipSeparators();
+      if (peek().type === 'eof' || (isWord(peek(), 'end') && isWord(peek(1), 'enum'))) break;
+      const token = peek();
+      const memberName = expectName();
+      let value = null;
+      if (isSymbol(peek(), '=')) {
+        next();
+        value = parseExpression();
+      }
+      endLine();
+      members.push(at(token, { name: memberName, value }));
+    }
+    if (peek().type !== 'eof') { next(); next(); }
+    return statementNode('Enum', startToken, { name, members });
+  }
+
+  function parseTypeBlock(startToken) {
+    next();
+    const name = expectName();
+    endLine();
+    const members = [];
+    for (;;) {
+      skipSeparators();
+      if (peek().type === 'eof' || (isWord(peek(), 'end') && isWord(peek(1), 'type'))) break;
+      members.push(parseVariable());
+      endLine();
+    }
+    if (peek().type !== 'eof') { next(); next(); }
+    return statementNode('Type', startToken, { name, members });
+  }
+
+  function parseModuleItem(module) {
+    const startToken = peek();
+    const modifiers = [];
+    while (isWord(peek(), 'public', 'private', 'friend', 'global', 'static') && !isSymbol(peek(1), '.')) {
+      if (peek(1).type !== 'identifier') break;
+      modifiers.push(next().value.toLowerCase());
+    }
+    const token = peek();
+    if (isWord(token, 'sub', 'function', 'property')) {
+      module.procedures.push(parseProcedure(startToken, modifiers));
+    } else if (isWord(token, 'enum')) {
+      module.declarations.push(parseEnum(startToken));
+    } else if (isWord(token, 'type')) {
+      module.declarations.push(parseTypeBlock(startToken));
+    } else if (isWord(token, 'const')) {
+      module.declarations.push(parseConst(startToken));
+    } else if (isWord(token, 'dim') || (modifiers.length && token.type === 'identifier')) {
+      if (modifiers.length) pos--;
+      module.declarations.push(parseDim());
+    } else if (isWord(token, 'option', 'attribute', 'declare', 'implements', 'event') || /^Def[A-Z][a-z]{2}$/.test(token.value)) {
+      skipLine();
+      const keyword = token.value[0].toUpperCase() + token.value.slice(1).toLowerCase();
+      module.declarations.push(statementNode(keyword === 'Declare' || keyword === 'Option' ? keyword : 'ModuleStatement', startToken, { keyword }));
+    } else {
+      fail(`Expected a declaration or procedure but found ${describeToken(token)}`);
+    }
+  }
+
+  function parseModule() {
+    const module = { type: 'Module', declarations: [], procedures: [], errors };
+    for (;;) {
+      skipSeparators();
+      if (peek().type === 'eof') return module;
+      const startToken = peek();
+      const startPos = pos;
+      try {
+        parseModuleItem(module);
+      } catch (err) {
+        if (err.code !== 'VBA_SYNTAX') throw err;
+        pos = startPos;
+        module.declarations.push(unparsed(startToken, err));
+      }
+    }
+  }
+
+  return { parseModule, parseExpression, atEnd: () => peek().type === 'eof' };
+}
+
+/**
+ * Parse a VBA module.
+ * @param {string} source - VBA source (a form, report or standard module)
+ * @returns {{ type: 'Module', declarations: Object[], procedures: Object[],
+ *   errors: Array<{ line: number, column: number, message: string }> }}
+ */
+function parseModule(source) {
+  return createParser(source || '', tokenize(source || '')).parseModule();
+}
+
+/**
+ * Parse a single VBA expression.
+ * @throws {Error} code VBA_SYNTAX, with line and column, when it isn't one
+ */
+function parseExpression(source) {
+  const parser = createParser(source, tokenize(source));
+  const expression = parser.parseExpression();
+  if (!parser.atEnd()) {
+    const rest = tokenize(source).find(t => t.start >= expression.end && t.type !== 'newline');
+    throw syntaxError(`Unexpected ${describeToken(rest)}`, rest);
+  }
+  return expression;
+}
+
+// ============================================================
+// Flattening for line-based translation
+// ============================================================
+
+// A single-line If that vba-to-js can take as written: one plain statement, no Else
+function isSimpleInlineIf(node) {
+  return !node.elseBody && node.thenBody.length === 1 && node.thenBody[0].type !== 'If' &&
+    !/\bThen\b/i.test(node.conditionText);
+}
+
+/**
+ * One VBA statement per line, in source order, each with the line it came
+ * from. Block headers and their End lines are rebuilt around their bodies.
+ * @param {Object[]} statements - a procedure body (or any statement list)
+ * @returns {Array<{ text: string, line: number }>}
+ */
+function statementLines(statements) {
+  const lines = [];
+  const add = (text, line) => lines.push({ text, line });
+  const addAll = list => { for (const statement of list) addStatement(statement); };
+
+  function addStatement(node) {
+    switch (node.type) {
+      case 'If':
+        if (node.singleLine && isSimpleInlineIf(node)) {
+          add(`${node.text.slice(0, node.text.search(/\bThen\b/i) + 4)} ${node.thenBody[0].text}`, node.line);
+          return;
+        }
+        add(`If ${node.conditionText} Then`, node.line);
+        addAll(node.thenBody);
+        for (const elseIf of node.elseIfs) {
+          add(elseIf.text, elseIf.line);
+          addAll(elseIf.body);
+        }
+        if (node.elseBody) {
+          add('Else', node.elseLine);
+          addAll(node.elseBody);
+        }
+        add('End If', node.endLine);
+        return;
+      case 'Select':
+        add(node.text, node.line);
+        for (const c of node.cases) {
+          add(c.text, c.line);
+          addAll(c.body);
+        }
+        if (node.elseBody) {
+          add('Case Else', node.elseLine);
+          addAll(node.elseBody);
+        }
+        add('End Select', node.endLine);
+        return;
+      case 'For': case 'ForEach': case 'Do': case 'While': case 'With':
+        add(node.text, node.line);
+        addAll(node.body);
+        add(node.footer, node.endLine);
+        return;
+      case 'Label':
+        add(`${node.name}:`, node.line);
+        return;
+      default:
+        add(node.text, node.line);
+    }
+  }
+
+  addAll(statements);
+  return lines;
+}
+
+module.exports = { tokenize, parseModule, parseExpression, statementLines };
@@ -0,0 +1,350 @@
+/**
+ * vba-runtime.js — Server-side AC runtime for translated VBA modules.
+ *
+ * Standard and class modules translated by vba-module-to-js.js run against an
+ * AC object: window.AC in the browser, and the one built here on the server,
+ * so a route can call the same pricing or numbering code a form handler does.
+ * The server has no open form, so only the parts of AC that don't need one
+ * are here — Nz, the date functions, Format, TempVars, the domain functions,
+ * RunSQL, Err, calls between modules and New for class modules. Anything else
+ * (AC.openForm, AC.getValue, recordsets) throws "not available on the server".
+ *
+ * Each call gets its own runtime, so Err, TempVars and module-level variables
+ * never leak between requests; the modules' generated code is cached per
+ * database until a module is saved again.
+ */
+
+const { formatValue } = require('./report-render/expressions');
+const { currentSchema } = require('./schema-scope');
+const { assertAdHocSql, ensureSandboxRole, enterSandbox } = require('./sql-sandbox');
+
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+// ============================================================
+// Err
+// ============================================================
+
+// Err.Number for an error with no number of its own (as in ui-react/src/lib/vba-error.ts)
+const APPLICATION_ERROR = 1004;
+const APPLICATION_ERROR_TEXT = 'Application-defined or object-defined error';
+
+function vbaError(number, description) {
+  return Object.assign(new Error(description), { number, source: '' });
+}
+
+/** VBA's Err object (AC.err), the server's copy of createErr in vba-error.ts. */
+function createErr() {
+  const err = {
+    number: 0,
+    description: '',
+    source: '',
+
+    capture(error) {
+      const own = error && error.number;
+      err.number = typeof own === 'number' && own !== 0 ? own : APPLICATION_ERROR;
+      err.description = error instanceof Error ? error.message : String(error ?? '');
+      err.source = typeof (error && error.source) === 'string' ? error.source : '';
+    },
+
+    clear() {
+      err.number = 0;
+      err.description = '';
+      err.source = '';
+    },
+
+    raise(number, source = '', description = APPLICATION_ERROR_TEXT) {
+      throw Object.assign(new Error(description), { number, source });
+    }
+  };
+  return err;
+}
+
+// ============================================================
+// Dates (DateAdd, DateDiff)
+// ============================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDate(value) {
+  const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+  if (isNaN(date.getTime())) throw vbaError(13, 'Type mismatch');
+  return date;
+}
+
+// Whole days from the epoch for the calendar date (ignores DST shifts)
+function dayNumber(date) {
+  return Math.floor(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS);
+}
+
+function addMonths(date, months) {
+  const day = date.getDate();
+  date.setDate(1);
+  date.setMonth(date.getMonth() + months);
+  // Jan 31 + 1 month is the last day of February, as in Access
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  date.setDate(Math.min(day, lastDay));
+  return date;
+}
+
+/** DateAdd(interval, number, date) */
+function dateAdd(interval, number, value) {
+  const date = toDate(value);
+  const n = Math.trunc(Number(number));
+  switch (String(interval).toLowerCase()) {
+    case 'yyyy': return addMonths(date, n * 12);
+    case 'q': return addMonths(date, n * 3);
+    case 'm': return addMonths(date, n);
+    case 'y': case 'd': case 'w': date.setDate(date.getDate() + n); return date;
+    case 'ww': date.setDate(date.getDate() + n * 7); return date;
+    case 'h': return new Date(date.getTime() + n * 3600000);
+    case 'n': return new Date(date.getTime() + n * 60000);
+    case 's': return new Date(date.getTime() + n * 1000);
+    default: throw vbaError(5, 'Invalid procedure call or argument');
+  }
+}
+
+/** DateDiff(interval, date1, date2): boundaries crossed from date1 to date2, as Access counts them */
+function dateDiff(interval, value1, value2) {
+  const d1 = toDate(value1);
+  const d2 = toDate(value2);
+  const months = (d2.getFullYear() - d1.getFullYear()) * 12 + d2.getMonth() - d1.getMonth();
+  const days = dayNumber(d2) - dayNumber(d1);
+  switch (String(interval).toLowerCase()) {
+    case 'yyyy': return d2.getFullYear() - d1.getFullYear();
+    case 'q': return Math.floor((d2.getFullYear() * 12 + d2.getMonth()) / 3) - Math.floor((d1.getFullYear() * 12 + d1.getMonth()) / 3);
+    case 'm': return months;
+    case 'y': case 'd': return days;
+    case 'w': return Math.trunc(days / 7);
+    // Sundays crossed
+    case 'ww': return Math.floor((dayNumber(d2) + 4) / 7) - Math.floor((dayNumber(d1) + 4) / 7);
+    case 'h': return Math.floor(d2.getTime() / 3600000) - Math.floor(d1.getTime() / 3600000);
+    case 'n': return Math.floor(d2.getTime() / 60000) - Math.floor(d1.getTime() / 60000);
+    case 's': return Math.floor(d2.getTime() / 1000) - Math.floor(d1.getTime() / 1000);
+    default: throw vbaError(5, 'Invalid procedure call or argument');
+  }
+}
+
+// ============================================================
+// SQL (domain functions, RunSQL)
+// ============================================================
+
+/**
+ * The SQL with an optional trailing semicolon removed, if it is one statement
+ * starting with one of `verbs` — the same rules as POST /api/queries/run and
+ * /api/queries/execute, which the browser's AC goes through.
+ */
+function singleStatement(sql, verbs) {
+  let clean = String(sql || '').trim();
+  if (clean.endsWith(';')) clean = clean.slice(0, -1).trim();
+  if (clean.includes(';')) throw vbaError(3075, 'Multiple statements are not allowed');
+  const verb = clean.split(/\s+/)[0].toUpperCase();
+  if (!verbs.includes(verb)) throw vbaError(3075, `Only ${verbs.join(', ')} statements are allowed`);
+  try {
+    assertAdHocSql(clean);
+  } catch (err) {
+    throw vbaError(3075, err.message);
+  }
+  return clean;
+}
+
+/**
+ * Run one statement in a transaction as the current database's sandbox role
+ * (lib/sql-sandbox.js), as those routes do; SELECTs run read-only.
+ */
+async function runSandboxed(pool, sql, readOnly) {
+  const schemaName = currentSchema();
+  if (!schemaName) throw vbaError(3075, 'No database selected');
+  const client = await pool.connect();
+  try {
+    await ensureSandboxRole(client, schemaName);
+    await client.query(readOnly ? 'BEGIN READ ONLY' : 'BEGIN');
+    if (readOnly) await client.query('SET statement_timeout = \'30s\'');
+    await enterSandbox(client, schemaName);
+    const result = await client.query(sql);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/** A SELECT in a read-only transaction; returns the first row or null. */
+async function selectFirst(pool, sql) {
+  const result = await runSandboxed(pool, singleStatement(sql, ['SELECT', 'WITH']), true);
+  return result.rows[0] || null;
+}
+
+function domainSql(select, domain, criteria) {
+  return `SELECT ${select} as result FROM ${domain}${criteria ? ' WHERE ' + criteria : ''}`;
+}
+
+// ============================================================
+// Runtime
+// ============================================================
+
+/**
+ * Build an AC runtime for one call.
+ * @param {Object} pool - the request's (schema-scoped) pool
+ * @param {Map<string, string>} modules - lower-case module name → generated JS module body
+ */
+function createRuntime(pool, modules) {
+  const tempVars = new Map();
+  const loaded = new Map();
+
+  // A module's exports, evaluated on first use
+  function load(moduleName) {
+    const key = moduleName.toLowerCase();
+    if (!loaded.has(key)) {
+      // The code is what vba-module-to-js.js generated when the module was saved, never request input
+      loaded.set(key, new AsyncFunction('runtime', modules.get(key))(runtime));
+    }
+    return loaded.get(key);
+  }
+
+  async function findProcedure(name) {
+    const lower = name.toLowerCase();
+    for (const moduleName of modules.keys()) {
+      const exports = await load(moduleName);
+      const found = Object.keys(exports).find(key => key.toLowerCase() === lower);
+      if (found && typeof exports[found] === 'function') return exports[found];
+    }
+    return null;
+  }
+
+  const ac = {
+    err: createErr(),
+
+    nz(value, defaultVal) {
+      return value ?? defaultVal ?? '';
+    },
+
+    dateAdd,
+    dateDiff,
+    formatValue,
+
+    getTempVar(name) { return tempVars.get(name) ?? null; },
+    setTempVar(name, value) { tempVars.set(name, value); },
+    removeTempVar(name) { tempVars.delete(name); },
+    removeAllTempVars() { tempVars.clear(); },
+    getTempVarNames() { return Array.from(tempVars.keys()); },
+
+    async dCount(expr, domain, criteria) {
+      const row = await selectFirst(pool, domainSql(`COUNT(${expr === '*' ? '*' : `"${expr}"`})`, domain, criteria));
+      return Number(row && row.result) || 0;
+    },
+    async dLookup(expr, domain, criteria) {
+      const row = await selectFirst(pool, domainSql(expr, domain, criteria) + ' LIMIT 1');
+      return row ? row.result : null;
+    },
+    async dMin(expr, domain, criteria) {
+      const row = await selectFirst(pool, domainSql(`MIN("${expr}")`, domain, criteria));
+      return row ? row.result : null;
+    },
+    async dMax(expr, domain, criteria) {
+      const row = await selectFirst(pool, domainSql(`MAX("${expr}")`, domain, criteria));
+      return row ? row.result : null;
+    },
+    async dSum(expr, domain, criteria) {
+      const row = await selectFirst(pool, domainSql(`SUM("${expr}")`, domain, criteria));
+      return Number(row && row.result) || 0;
+    },
+
+    async runSQL(sql) {
+      await runSandboxed(pool, singleStatement(sql, ['INSERT', 'UPDATE', 'DELETE']), false);
+    },
+
+    /** A public procedure of any module, by name (AC.callFn("Name", args...)) */
+    async callFn(name, ...args) {
+      const fn = await findProcedure(name);
+      if (!fn) throw vbaError(35, `Sub or Function not defined: ${name}`);
+      return fn(...args);
+    },
+
+    /** A module's exports: its public procedures, or { create } for a class */
+    module(moduleName) {
+      if (!modules.has(String(moduleName).toLowerCase())) throw vbaError(35, `Module not found: ${moduleName}`);
+      return load(String(moduleName));
+    },
+
+    /** New clsName */
+    async newObject(className) {
+      const key = String(className).toLowerCase();
+      if (!modules.has(key)) throw vbaError(429, `ActiveX component can't create object: ${className}`);
+      const exports = await load(key);
+      if (typeof exports.create !== 'function') throw vbaError(429, `${className} is not a class module`);
+      return exports.create();
+    },
+
+    /** The runtime a module's own code sees: its procedures first, then everyone's */
+    withProcedures(procedures) {
+      return Object.create(runtime, {
+        callFn: {
+          value: (name, ...args) => {
+            const own = procedures[String(name).toLowerCase()];
+            return own ? own(...args) : runtime.callFn(name, ...args);
+          }
+        }
+      });
+    }
+  };
+
+  const runtime = new Proxy(ac, {
+    get(target, prop) {
+      // then: awaiting the runtime must not look like a thenable
+      if (prop in target || typeof prop === 'symbol' || prop === 'then') return target[prop];
+      return () => { throw vbaError(2046, `AC.${prop} is not available on the server`); };
+    }
+  });
+  return runtime;
+}
+
+// ============================================================
+// Module cache and calls
+// ============================================================
+
+// databaseId → Promise<Map<lower-case module name, js>>
+const moduleCache = new Map();
+
+/** The database's translated modules (definition.js_module), cached until clearModules. */
+function loadModules(pool, databaseId) {
+  if (!moduleCache.has(databaseId)) {
+    const pending = pool.query(
+      `SELECT name, definition->'js_module'->>'js' as js FROM shared.objects
+       WHERE database_id = $1 AND type = 'module' AND is_current = true
+         AND definition->'js_module' IS NOT NULL`,
+      [databaseId]
+    ).then(result => new Map(result.rows.filter(row => row.js).map(row => [row.name.toLowerCase(), row.js])));
+    pending.catch(() => moduleCache.delete(databaseId));
+    moduleCache.set(databaseId, pending);
+  }
+  return moduleCache.get(databaseId);
+}
+
+/** Forget a database's cached modules (after a module is saved or deleted). */
+function clearModules(databaseId) {
+  moduleCache.delete(databaseId);
+}
+
+/**
+ * Call a public procedure of a translated standard module.
+ * Throws with code MODULE_NOT_FOUND / PROCEDURE_NOT_FOUND (status 404) when
+ * there is nothing to call; errors the VBA raises keep their Err number.
+ * @returns {Promise<*>} the Function's return value (undefined for a Sub)
+ */
+async function callModuleProcedure(pool, databaseId, moduleName, procedure, args = []) {
+  const modules = await loadModules(pool, databaseId);
+  if (!modules.has(moduleName.toLowerCase())) {
+    throw Object.assign(new Error(`Module "${moduleName}" has no translated JS`), { code: 'MODULE_NOT_FOUND', status: 404 });
+  }
+  const exports = await createRuntime(pool, modules).module(moduleName);
+  const name = Object.keys(exports).find(key => key.toLowerCase() === procedure.toLowerCase());
+  if (!name || typeof exports[name] !== 'function') {
+    throw Object.assign(new Error(`Module "${moduleName}" has no public procedure "${procedure}"`), { code: 'PROCEDURE_NOT_FOUND', status: 404 });
+  }
+  return exports[name](...args);
+}
+
+module.exports = { createRuntime, callModuleProcedure, loadModules, clearModules, dateAdd, dateDiff };
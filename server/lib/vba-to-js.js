@@ -7,6 +7,8 @@
  */
 
 const { toKw } = require('./reactions-extractor');
+const { exportFormatFor } = require('./data-export');
+const { parseModule, statementLines } = require('./vba-parser');
 
 /**
  * Collect enum member values from VBA source.
@@ -216,6 +218,18 @@ function translateExpression(expr, assignedVars, enumMap, fnRegistry) {
     return `AC.getFormValue(${JSON.stringify(crossFormParen[1])}, ${JSON.stringify(crossFormParen[2])})`;
   }
 
+  // Err.Number / Err.Description / Err.Source (bare Err is Err.Number)
+  const errProp = s.match(/^Err(?:\.(Number|Description|Source))?$/i);
+  if (errProp) return `AC.err.${(errProp[1] || 'Number').toLowerCase()}`;
+
+  // Recordsets: CurrentDb.OpenRecordset(...), Me.RecordsetClone, rs.EOF, rs!Field
+  const recordsetExpr = translateRecordsetExpression(s, assignedVars, enumMap, fnRegistry);
+  if (recordsetExpr) return recordsetExpr;
+
+  // Class module instances: New clsName, obj.Property, obj.Method(args)
+  const objectExpr = translateObjectExpression(s, assignedVars, enumMap, fnRegistry);
+  if (objectExpr) return objectExpr;
+
   // Me.[FieldName] — bracketed field reference
   const meBracket = s.match(/^Me\.\[(\w+)\]$/i);
   if (meBracket) {
@@ -416,6 +430,8 @@ const VBA_CONSTANTS = new Map([
   // vbCrLf, vbTab, etc.
   ['vbcrlf', '"\\n"'], ['vblf', '"\\n"'], ['vbcr', '"\\n"'], ['vbtab', '"\\t"'],
   ['vbnullstring', '""'],
+  // Base for Err.Raise numbers of user-defined errors
+  ['vbobjecterror', -2147221504],
   // Parameterless functions used as expressions
   ['date', 'new Date()'], ['now', 'new Date()'],
 ]);
@@ -675,6 +691,13 @@ function stripBoilerplate(body) {
   }
   if (accumulator) merged.push(accumulator);
 
+  // Labels On Error GoTo and Resume jump to stay for translateBlock's try/catch
+  const errorLabels = new Set();
+  for (const line of merged) {
+    const target = line.match(/^(?:\d+\s+)?(?:On\s+Error\s+GoTo|Resume)\s+(\w+)/i);
+    if (target && !/^(0|Next)$/i.test(target[1])) errorLabels.add(target[1].toLowerCase());
+  }
+
   // Phase 2: strip boilerplate
   const cleaned = [];
   let inErrorHandler = false;
@@ -692,23 +715,23 @@ function stripBoilerplate(body) {
     // Skip VBA comments (full-line)
     if (line.startsWith("'")) continue;
 
-    // Skip On Error GoTo
-    if (/^On\s+Error\s+/i.test(line)) continue;
-
     // Skip Exit Sub/Function
     if (/^Exit\s+(Sub|Function)/i.test(line)) continue;
 
-    // Skip Resume statements
-    if (/^Resume\s+/i.test(line)) continue;
+    const label = line.match(/^(\w+):$/);
+    if (label && errorLabels.has(label[1].toLowerCase())) {
+      cleaned.push(line);
+      continue;
+    }
 
-    // Detect error handler label — skip everything after
+    // Detect an error handler label nothing jumps to — skip everything after
     if (/^Err_Handler:/i.test(line) || /^Err_\w+:/i.test(line)) {
       inErrorHandler = true;
       continue;
     }
 
     // Skip other labels (Exit_Handler:, etc.)
-    if (/^\w+:$/.test(line)) continue;
+    if (label) continue;
 
     if (inErrorHandler) continue;
 
@@ -889,6 +912,10 @@ function translateAssignmentRHS(rhs, assignedVars, enumMap, fnRegistry) {
   const tvRhsMatch = s.match(/^TempVars[!.](\w+)$/i) || s.match(/^TempVars\s*\(\s*"([^"]+)"\s*\)$/i);
   if (tvRhsMatch) return `AC.getTempVar(${JSON.stringify(tvRhsMatch[1])})`;
 
+  // Recordsets — before Me.ControlName, which would read Me.RecordsetClone as a control
+  const recordsetRhs = translateRecordsetExpression(s, assignedVars, enumMap, fnRegistry);
+  if (recordsetRhs) return recordsetRhs;
+
   // Me.ControlName (simple property read — value)
   const meCtrl = s.match(/^Me\.(\w+)$/i);
   if (meCtrl) {
@@ -936,6 +963,382 @@ function translateAssignmentRHS(rhs, assignedVars, enumMap, fnRegistry) {
   return null;
 }
 
+// Recordset variables are kept in assignedVars under this prefix (no VBA name
+// contains ':'), next to their plain name, so every block of the procedure sees them
+const RECORDSET_TAG = 'recordset:';
+
+// Runtime calls that return a recordset (see translateRecordsetExpression)
+const RECORDSET_PRODUCER = /^(?:await AC\.openRecordset|AC\.(?:newRecordset|recordsetClone|formRecordset))\(/;
+
+// DAO/ADO recordset properties readable in expressions
+const RECORDSET_PROPS = {
+  eof: 'eof', bof: 'bof', nomatch: 'noMatch', recordcount: 'recordCount',
+  bookmark: 'bookmark', absoluteposition: 'absolutePosition', lastmodified: 'lastModified'
+};
+
+// Argument-less recordset methods; update, delete and requery go through the data API
+const RECORDSET_METHODS = {
+  movefirst: 'moveFirst', movelast: 'moveLast', movenext: 'moveNext', moveprevious: 'movePrevious',
+  edit: 'edit', addnew: 'addNew', cancelupdate: 'cancelUpdate', close: 'close',
+  update: 'update', delete: 'delete', requery: 'requery'
+};
+const ASYNC_RECORDSET_METHODS = new Set(['update', 'delete', 'requery']);
+
+const RECORDSET_FINDS = {
+  findfirst: 'findFirst', findlast: 'findLast', findnext: 'findNext', findprevious: 'findPrevious'
+};
+
+function isRecordsetVar(name, assignedVars) {
+  return !!assignedVars && assignedVars.has(RECORDSET_TAG + name.toLowerCase());
+}
+
+/** Mark a declared variable as holding a recordset. */
+function tagRecordsetVar(name, assignedVars) {
+  assignedVars.add(RECORDSET_TAG + name.toLowerCase());
+}
+
+/**
+ * Split a recordset reference off the front of a VBA expression or statement:
+ * Me.RecordsetClone, Me.Recordset or a recordset variable.
+ * @returns {{ obj: string, rest: string }|null} obj is the JS for the recordset
+ */
+function splitRecordsetRef(s, assignedVars) {
+  const match = s.match(/^(Me\.RecordsetClone|Me\.Recordset|\w+)(?=[.!(\s]|$)(.*)$/i);
+  if (!match) return null;
+  let obj = null;
+  if (/^Me\.RecordsetClone$/i.test(match[1])) obj = 'AC.recordsetClone()';
+  else if (/^Me\.Recordset$/i.test(match[1])) obj = 'AC.formRecordset()';
+  else if (isRecordsetVar(match[1], assignedVars)) obj = match[1];
+  return obj ? { obj, rest: match[2].trim() } : null;
+}
+
+/**
+ * JS for the field name in a recordset field reference (the part after the
+ * recordset): !Name, ![Field Name], .Fields("Name"), .Fields(0) or ("Name"),
+ * each optionally followed by .Value. Null for anything else.
+ */
+function recordsetField(rest, assignedVars, enumMap, fnRegistry) {
+  const bang = rest.match(/^!(?:\[([^\]]+)\]|(\w+))(?:\.Value)?$/i);
+  if (bang) return JSON.stringify(bang[1] || bang[2]);
+
+  if (!/^(?:\.Fields\s*)?\(/i.test(rest)) return null;
+  const normalized = rest.replace(/^(?:\.Fields\s*)?\(/i, 'Fields(');
+  const call = parseFunctionCall(normalized);
+  if (!call || call.args.length !== 1 || !/^(?:\.Value)?$/i.test(normalized.slice(call.endIdx))) return null;
+  return translateExpression(call.args[0], assignedVars, enumMap, fnRegistry);
+}
+
+/**
+ * Translate a VBA expression that reads a recordset: opening one
+ * (CurrentDb.OpenRecordset, New ADODB.Recordset), the form's own
+ * (Me.RecordsetClone, Me.Recordset, Me.Bookmark), or a property or field of
+ * one (rs.EOF, rs!Name, rs.Fields("Name").Value).
+ * Returns null when the expression is not a recordset read.
+ */
+function translateRecordsetExpression(s, assignedVars, enumMap, fnRegistry) {
+  if (/^New\s+(?:ADODB\.)?Recordset$/i.test(s)) return 'AC.newRecordset()';
+  if (/^Me\.Bookmark$/i.test(s)) return 'AC.getBookmark()';
+
+  // CurrentDb.OpenRecordset(source [, type, options]) — also db.OpenRecordset, g_dbApp().OpenRecordset
+  const openMatch = s.match(/^(CurrentDb(?:\(\))?|g_dbApp\(\)|\w+)\.(?=OpenRecordset\s*\()/i);
+  if (openMatch && !isRecordsetVar(openMatch[1], assignedVars)) {
+    const call = parseFunctionCall(s.slice(openMatch[0].length));
+    if (!call || openMatch[0].length + call.endIdx < s.length || call.args.length < 1) return null;
+    const source = translateExpression(call.args[0], assignedVars, enumMap, fnRegistry);
+    return source ? `await AC.openRecordset(${source})` : null;
+  }
+
+  const ref = splitRecordsetRef(s, assignedVars);
+  if (!ref) return null;
+  const { obj, rest } = ref;
+  if (!rest) return obj;
+
+  const prop = rest.match(/^\.(\w+)$/);
+  if (prop && RECORDSET_PROPS[prop[1].toLowerCase()]) return `${obj}.${RECORDSET_PROPS[prop[1].toLowerCase()]}`;
+  if (/^\.Fields\.Count$/i.test(rest)) return `${obj}.fieldNames.length`;
+
+  const field = recordsetField(rest, assignedVars, enumMap, fnRegistry);
+  return field ? `${obj}.getField(${field})` : null;
+}
+
+/**
+ * Translate a VBA statement on a recordset: navigation (rs.MoveNext,
+ * rs.Move 2), editing (rs.Edit, rs!Total = x, rs.Update), rs.FindFirst,
+ * rs.Bookmark = x, ADO rs.Open, and Me.Bookmark = rs.Bookmark.
+ * Returns null when the statement is not a recordset statement.
+ */
+function translateRecordsetStatement(stmt, assignedVars, enumMap, fnRegistry) {
+  const meBookmark = stmt.match(/^Me\.Bookmark\s*=\s*(.+)$/i);
+  if (meBookmark) {
+    const bookmark = translateAssignmentRHS(meBookmark[1].trim(), assignedVars, enumMap, fnRegistry);
+    return bookmark ? `await AC.setBookmark(${bookmark})` : null;
+  }
+
+  const ref = splitRecordsetRef(stmt, assignedVars);
+  if (!ref) return null;
+  const { obj, rest } = ref;
+
+  const method = rest.match(/^\.(\w+)$/);
+  const methodName = method && RECORDSET_METHODS[method[1].toLowerCase()];
+  if (methodName) {
+    return ASYNC_RECORDSET_METHODS.has(methodName) ? `await ${obj}.${methodName}()` : `${obj}.${methodName}()`;
+  }
+
+  // rs.Move rows [, start] — the start bookmark is not supported
+  const move = rest.match(/^\.Move\s+(.+)$/i);
+  if (move) {
+    const commaIdx = findTopLevelComma(move[1]);
+    if (commaIdx >= 0) return null;
+    const rows = translateExpression(move[1].trim(), assignedVars, enumMap, fnRegistry);
+    return rows ? `${obj}.move(${rows})` : null;
+  }
+
+  const find = rest.match(/^\.(FindFirst|FindLast|FindNext|FindPrevious)\s+(.+)$/i);
+  if (find) {
+    const criteria = translateAssignmentRHS(find[2].trim(), assignedVars, enumMap, fnRegistry);
+    return criteria ? `await ${obj}.${RECORDSET_FINDS[find[1].toLowerCase()]}(${criteria})` : null;
+  }
+
+  // ADO: rs.Open source [, connection, cursorType, lockType] — only the source matters here
+  const open = rest.match(/^\.Open\s+(.+)$/i);
+  if (open) {
+    const commaIdx = findTopLevelComma(open[1]);
+    const sourceExpr = commaIdx >= 0 ? open[1].slice(0, commaIdx) : open[1];
+    const source = translateExpression(sourceExpr.trim(), assignedVars, enumMap, fnRegistry);
+    return source ? `await ${obj}.open(${source})` : null;
+  }
+
+  const assign = rest.match(/^([^=]+?)\s*=\s*(.+)$/);
+  if (assign) {
+    const value = translateAssignmentRHS(assign[2].trim(), assignedVars, enumMap, fnRegistry);
+    if (!value) return null;
+    if (/^\.Bookmark$/i.test(assign[1])) return `${obj}.bookmark = ${value}`;
+    if (/^\.AbsolutePosition$/i.test(assign[1])) return `${obj}.absolutePosition = ${value}`;
+    const field = recordsetField(assign[1], assignedVars, enumMap, fnRegistry);
+    return field ? `${obj}.setField(${field}, ${value})` : null;
+  }
+
+  return null;
+}
+
+// Variables holding a class module instance are kept in assignedVars as
+// object:<var>:<class>, like recordset variables. fnRegistry names the known
+// classes as class:<name> and their Sub/Function members as class:<name>.<member>.
+const OBJECT_TAG = 'object:';
+const CLASS_TAG = 'class:';
+
+// Runtime call that creates a class instance (see translateObjectExpression)
+const OBJECT_PRODUCER = /^await AC\.newObject\(("[^"]+")\)$/;
+
+function isClassName(name, fnRegistry) {
+  return !!fnRegistry && fnRegistry.has(CLASS_TAG + name.toLowerCase());
+}
+
+/** The class (lowercase) of an object variable, or null. */
+function objectClass(name, assignedVars) {
+  if (!assignedVars) return null;
+  const prefix = `${OBJECT_TAG}${name.toLowerCase()}:`;
+  for (const entry of assignedVars) {
+    if (entry.startsWith(prefix)) return entry.slice(prefix.length);
+  }
+  return null;
+}
+
+/** Mark a declared variable as holding an instance of className. */
+function tagObjectVar(name, className, assignedVars) {
+  const prefix = `${OBJECT_TAG}${name.toLowerCase()}:`;
+  for (const entry of [...assignedVars]) {
+    if (entry.startsWith(prefix)) assignedVars.delete(entry);
+  }
+  assignedVars.add(prefix + className.toLowerCase());
+}
+
+/** The class an assignment's translated right-hand side produces, or null. */
+function producedClass(rhs, assignedVars) {
+  const created = rhs.match(OBJECT_PRODUCER);
+  if (created) return JSON.parse(created[1]);
+  return /^\w+$/.test(rhs) ? objectClass(rhs, assignedVars) : null;
+}
+
+/**
+ * Translate a member call's arguments: "(a, b)" or, in a statement, "a, b".
+ * Returns the JS argument list, or null if any argument is untranslatable.
+ */
+function translateMemberArgs(argsStr, assignedVars, enumMap, fnRegistry) {
+  let args = [];
+  if (/^\(.*\)$/.test(argsStr)) {
+    const call = parseFunctionCall(`x${argsStr}`);
+    if (!call || call.endIdx < argsStr.length + 1) return null;
+    args = call.args;
+  } else if (argsStr) {
+    let rest = argsStr;
+    for (let idx = findTopLevelComma(rest); idx !== -1; idx = findTopLevelComma(rest)) {
+      args.push(rest.slice(0, idx).trim());
+      rest = rest.slice(idx + 1);
+    }
+    args.push(rest.trim());
+  }
+  const jsArgs = args.map(arg => translateExpression(arg, assignedVars, enumMap, fnRegistry));
+  return jsArgs.every(Boolean) ? jsArgs.join(', ') : null;
+}
+
+/**
+ * Translate a VBA expression on a class module instance: New clsName, or
+ * obj.Member / obj.Member(args) on an object variable. Members the registry
+ * lists as Sub/Function are called; anything else is a property, which the
+ * generated class exposes as a getter that may return a promise.
+ * Returns null when the expression is not one of these.
+ */
+function translateObjectExpression(s, assignedVars, enumMap, fnRegistry) {
+  const newMatch = s.match(/^New\s+(\w+)$/i);
+  if (newMatch) {
+    return isClassName(newMatch[1], fnRegistry) ? `await AC.newObject(${JSON.stringify(newMatch[1])})` : null;
+  }
+
+  const member = s.match(/^(\w+)\.(\w+)\s*(\(.*\))?$/);
+  const className = member && objectClass(member[1], assignedVars);
+  if (!className) return null;
+  const [, obj, name, argsStr] = member;
+  const isMethod = fnRegistry.has(`${CLASS_TAG}${className}.${name.toLowerCase()}`);
+  if (!argsStr) return isMethod ? `await ${obj}.${name}()` : `await ${obj}.${name}`;
+  const jsArgs = translateMemberArgs(argsStr, assignedVars, enumMap, fnRegistry);
+  return jsArgs === null ? null : `await ${obj}.${name}(${jsArgs})`;
+}
+
+/**
+ * Translate a VBA statement on a class module instance: obj.Method [args],
+ * Call obj.Method(args), or obj.Property = value (the generated setter runs
+ * the Property Let). Returns null when the statement is not one of these.
+ */
+function translateObjectStatement(stmt, assignedVars, enumMap, fnRegistry) {
+  const member = stmt.replace(/^Call\s+/i, '').match(/^(\w+)\.(\w+)(.*)$/);
+  if (!member || !objectClass(member[1], assignedVars)) return null;
+  const [, obj, name, rest] = member;
+
+  const assign = rest.match(/^\s*=\s*(.+)$/);
+  if (assign) {
+    const value = translateAssignmentRHS(assign[1].trim(), assignedVars, enumMap, fnRegistry);
+    return value ? `${obj}.${name} = ${value}` : null;
+  }
+  const jsArgs = translateMemberArgs(rest.trim(), assignedVars, enumMap, fnRegistry);
+  return jsArgs === null ? null : `await ${obj}.${name}(${jsArgs})`;
+}
+
+// acOutputTable .. acOutputReport (also their numeric values)
+const OUTPUT_OBJECT_TYPES = {
+  acoutputtable: 'table', acoutputquery: 'query', acoutputform: 'form', acoutputreport: 'report',
+  0: 'table', 1: 'query', 2: 'form', 3: 'report'
+};
+
+/**
+ * Split DoCmd arguments on top-level commas, placing named arguments
+ * (ObjectName:="X") at their position in paramNames. Omitted ones are ''.
+ */
+function splitDoCmdArgs(argsStr, paramNames) {
+  const args = [];
+  let rest = argsStr;
+  for (let idx = findTopLevelComma(rest); idx !== -1; idx = findTopLevelComma(rest)) {
+    args.push(rest.slice(0, idx).trim());
+    rest = rest.slice(idx + 1);
+  }
+  args.push(rest.trim());
+
+  const placed = paramNames.map(() => '');
+  args.forEach((arg, i) => {
+    const named = arg.match(/^(\w+)\s*:=\s*(.*)$/);
+    if (named) {
+      const at = paramNames.findIndex(p => p.toLowerCase() === named[1].toLowerCase());
+      if (at !== -1) placed[at] = named[2].trim();
+    } else if (i < placed.length) {
+      placed[i] = arg;
+    }
+  });
+  return placed;
+}
+
+/**
+ * A DoCmd argument as JS. VBA string literals don't escape backslashes
+ * (C:\Reports\...), so they are re-quoted rather than passed through.
+ */
+function transferOperand(expr, assignedVars, enumMap, fnRegistry) {
+  return /^"[^"]*"$/.test(expr)
+    ? JSON.stringify(expr.slice(1, -1))
+    : translateAssignmentRHS(expr, assignedVars, enumMap, fnRegistry);
+}
+
+/**
+ * DoCmd.OutputTo, DoCmd.TransferSpreadsheet acExport and
+ * DoCmd.TransferText acExportDelim → AC.outputTo(type, name, format[, file]);
+ * TransferSpreadsheet acImport and TransferText acImportDelim →
+ * AC.importFile(table, format, hasFieldNames[, file]).
+ * Links, fixed-width text and unrecognised object types return null (left as comments).
+ */
+function translateTransferStatement(stmt, assignedVars, enumMap, fnRegistry) {
+  const m = stmt.match(/^DoCmd\.(OutputTo|TransferSpreadsheet|TransferText)\s+(.+)$/i);
+  if (!m) return null;
+  const action = m[1].toLowerCase();
+
+  let objectType, objectName, format, fileName;
+  if (action === 'outputto') {
+    const args = splitDoCmdArgs(m[2], ['ObjectType', 'ObjectName', 'OutputFormat', 'OutputFile']);
+    objectType = OUTPUT_OBJECT_TYPES[args[0].toLowerCase()];
+    [, objectName, format, fileName] = args;
+  } else {
+    const args = action === 'transferspreadsheet'
+      ? splitDoCmdArgs(m[2], ['TransferType', 'SpreadsheetType', 'TableName', 'FileName', 'HasFieldNames', 'Range'])
+      : splitDoCmdArgs(m[2], ['TransferType', 'SpecificationName', 'TableName', 'FileName', 'HasFieldNames']);
+    const fileFormat = action === 'transferspreadsheet' ? 'xlsx' : 'csv';
+    // acImport / acImportDelim are the defaults when TransferType is omitted
+    if (/^(|acImport|acImportDelim|0)$/i.test(args[0])) {
+      return translateImportStatement(args, fileFormat, assignedVars, enumMap, fnRegistry);
+    }
+    const exportType = action === 'transferspreadsheet' ? /^(acExport|1)$/i : /^(acExportDelim|2)$/i;
+    if (!exportType.test(args[0])) return null;
+    objectType = 'table';
+    [, , objectName, fileName] = args;
+    format = JSON.stringify(fileFormat);
+  }
+  if (!objectType || !objectName) return null;
+
+  const name = transferOperand(objectName, assignedVars, enumMap, fnRegistry);
+  if (!name) return null;
+  // Constants and literals resolve now; anything else is left for the runtime
+  let formatJs = 'null';
+  if (/^(acFormat\w+|"[^"]*")$/i.test(format)) {
+    formatJs = JSON.stringify(exportFormatFor(format.replace(/"/g, '')));
+  } else if (format) {
+    formatJs = translateAssignmentRHS(format, assignedVars, enumMap, fnRegistry) || 'null';
+  }
+  const file = fileName ? transferOperand(fileName, assignedVars, enumMap, fnRegistry) : null;
+
+  const args = [JSON.stringify(objectType), name, formatJs];
+  if (file) args.push(file);
+  return `await AC.outputTo(${args.join(', ')})`;
+}
+
+/**
+ * Import half of translateTransferStatement: the caller's table, file and
+ * HasFieldNames arguments → AC.importFile(table, format, hasFieldNames[, file]).
+ */
+function translateImportStatement(args, format, assignedVars, enumMap, fnRegistry) {
+  const [, , tableName, fileName, hasFieldNames] = args;
+  if (!tableName) return null;
+  const table = transferOperand(tableName, assignedVars, enumMap, fnRegistry);
+  if (!table) return null;
+  let headerJs = 'false';
+  if (/^(True|-1)$/i.test(hasFieldNames)) {
+    headerJs = 'true';
+  } else if (hasFieldNames && !/^(False|0)$/i.test(hasFieldNames)) {
+    headerJs = translateAssignmentRHS(hasFieldNames, assignedVars, enumMap, fnRegistry);
+    if (!headerJs) return null;
+  }
+  const file = fileName ? transferOperand(fileName, assignedVars, enumMap, fnRegistry) : null;
+
+  const callArgs = [table, JSON.stringify(format), headerJs];
+  if (file) callArgs.push(file);
+  return `await AC.importFile(${callArgs.join(', ')})`;
+}
+
 /**
  * Translate a single VBA statement to a JS expression calling AC.*.
  * Returns a JS string or null if unrecognized.
@@ -961,6 +1364,25 @@ function translateStatement(stmt, formName, enumMap, assignedVars, fnRegistry) {
     return '/* Erase — no-op in JS */';
   }
 
+  // Err.Clear / Err.Raise number [, source, description]
+  if (/^Err\.Clear$/i.test(stmt)) return 'AC.err.clear()';
+  const raiseMatch = stmt.match(/^Err\.Raise\s+(.+)$/i);
+  if (raiseMatch) {
+    const args = splitDoCmdArgs(raiseMatch[1], ['Number', 'Source', 'Description']);
+    while (args.length > 1 && !args[args.length - 1]) args.pop();
+    const jsArgs = args.map(arg => (arg ? translateExpression(arg, assignedVars, enumMap, fnRegistry) : '""'));
+    if (jsArgs.every(Boolean)) return `AC.err.raise(${jsArgs.join(', ')})`;
+    return null;
+  }
+
+  // Recordset navigation and editing: rs.MoveNext, rs!Field = x, rs.Update, Me.Bookmark = rs.Bookmark
+  const recordsetStmt = translateRecordsetStatement(stmt, assignedVars, enumMap, fnRegistry);
+  if (recordsetStmt) return recordsetStmt;
+
+  // Class module instances: obj.Method args, obj.Property = value
+  const objectStmt = translateObjectStatement(stmt, assignedVars, enumMap, fnRegistry);
+  if (objectStmt) return objectStmt;
+
   // dict.Add key, value → dict[key] = value (Scripting.Dictionary)
   const dictAddMatch = stmt.match(/^(\w+)\.Add\s+(.+)$/i);
   if (dictAddMatch && assignedVars && assignedVars.has(dictAddMatch[1].toLowerCase())) {
@@ -1014,6 +1436,22 @@ function translateStatement(stmt, formName, enumMap, assignedVars, fnRegistry) {
     return `AC.openReport(${JSON.stringify(openReportMatch[1])})`;
   }
 
+  // DoCmd.RunMacro "mcrName" [, RepeatCount] — the macro runtime runs it; a
+  // RepeatExpression is VBA text it has no translation for
+  const runMacroMatch = stmt.match(/^DoCmd\.RunMacro\s+(.+)$/i);
+  if (runMacroMatch) {
+    const [macroName, repeatCount, repeatExpression] = splitDoCmdArgs(runMacroMatch[1], ['MacroName', 'RepeatCount', 'RepeatExpression']);
+    const nameJs = transferOperand(macroName, assignedVars, enumMap, fnRegistry);
+    const countJs = repeatCount ? transferOperand(repeatCount, assignedVars, enumMap, fnRegistry) : null;
+    if (nameJs && !repeatExpression && (!repeatCount || countJs)) {
+      return `await AC.runMacro(${nameJs}${countJs ? `, ${countJs}` : ''})`;
+    }
+  }
+
+  // DoCmd.OutputTo / TransferSpreadsheet / TransferText exports and imports
+  const transferJs = translateTransferStatement(stmt, assignedVars, enumMap, fnRegistry);
+  if (transferJs) return transferJs;
+
   // DoCmd.GoToRecord , , acNewRec
   if (/^DoCmd\.GoToRecord\b.*acNewRec/i.test(stmt)) {
     return 'AC.gotoRecord("new")';
@@ -2198,10 +2636,10 @@ function parseWithBlock(lines, startIdx, formName, variables, assignedVars, enum
 
   const target = withMatch[1].trim();
 
-  // Determine if target is translatable
-  // Me.RecordsetClone, Me.Recordset — not translatable (DAO objects)
-  const isTranslatable = /^Me$/i.test(target) ||
-    (/^Me\.\w+$/i.test(target) && !/^Me\.(RecordsetClone|Recordset|Module|Properties)$/i.test(target)) ||
+  // Determine if target is translatable: the form, a control or subform, or a recordset
+  const isRecordset = /^Me\.(RecordsetClone|Recordset)$/i.test(target) || isRecordsetVar(target, assignedVars);
+  const isTranslatable = isRecordset || /^Me$/i.test(target) ||
+    (/^Me\.\w+$/i.test(target) && !/^Me\.(Module|Properties)$/i.test(target)) ||
     /^Me\.\w+\.Form$/i.test(target);
 
   if (!isTranslatable) {
@@ -2225,7 +2663,9 @@ function parseWithBlock(lines, startIdx, formName, variables, assignedVars, enum
     if (/^End\s+With$/i.test(line)) withDepth--;
     if (withDepth === 0) {
       // Replace all .member references: at line start, or after (, ,, =, &, space, operators
-      const resolved = line.replace(/(^|[\s(,=&+\-*/])\.([A-Za-z])/g, `$1${target}.$2`);
+      let resolved = line.replace(/(^|[\s(,=&+\-*/])\.([A-Za-z])/g, `$1${target}.$2`);
+      // Recordset fields: !Name → rs!Name
+      if (isRecordset) resolved = resolved.replace(/(^|[\s(,=&+\-*/])!([A-Za-z[])/g, `$1${target}!$2`);
       bodyLines.push(resolved);
     } else {
       bodyLines.push(line);
@@ -2326,6 +2766,127 @@ function parseForEachLoop(lines, startIdx, formName, variables, assignedVars, en
   return { jsLines, endIdx };
 }
 
+// Catch clause for a statement under On Error Resume Next
+const CAPTURE_ERROR = 'AC.err.capture(e);';
+
+/**
+ * Wrap each statement of translated JS in its own try/catch (On Error Resume
+ * Next: a failing statement is skipped and the next one runs). Block lines
+ * (if/while/switch headers, braces) and declarations are left alone, so
+ * conditions are not protected. Wrapping stops at a later On Error statement.
+ */
+function protectStatements(jsLines, catchJs) {
+  let protecting = true;
+  return jsLines.map(line => {
+    const indent = line.match(/^\s*/)[0];
+    const code = line.slice(indent.length);
+    if (/^\/\/ On Error\b/i.test(code) || code === 'try {') protecting = false;
+    if (!protecting) return line;
+    const isStatement = code.endsWith(';') || /^if \(.*\}$/.test(code);
+    if (!isStatement || /^(\}|\/\/|\/\*|let\b|const\b|break;|continue;)/.test(code)) return line;
+    return `${indent}try { ${code} } catch (e) { ${catchJs} }`;
+  });
+}
+
+/**
+ * Move top-level `let` declarations out of a block about to be wrapped in
+ * try { }, so the catch and finally blocks can still see the variables.
+ * @returns {{ declarations: string[], body: string[] }}
+ */
+function hoistDeclarations(jsLines) {
+  const declarations = [];
+  const body = [];
+  for (const line of jsLines) {
+    const decl = line.match(/^let (\w+)(?: = (.+))?;$/);
+    if (decl) {
+      declarations.push(`let ${decl[1]};`);
+      if (decl[2]) body.push(`${decl[1]} = ${decl[2]};`);
+    } else {
+      body.push(line);
+    }
+  }
+  return { declarations, body };
+}
+
+/**
+ * Parse On Error Resume Next: every statement after it, up to the next On
+ * Error statement, runs in its own try/catch that records the error in
+ * AC.err, so `If Err.Number <> 0 Then` afterwards sees it.
+ * Returns { jsLines: string[], endIdx: number }.
+ */
+function parseOnErrorResumeNext(lines, startIdx, formName, variables, assignedVars, enumMap, fnRegistry, funcName) {
+  const bodyLines = lines.slice(startIdx + 1);
+  const { jsLines } = translateBlock(bodyLines, 0, formName, variables, assignedVars, enumMap, fnRegistry, funcName);
+  return { jsLines: protectStatements(jsLines, CAPTURE_ERROR), endIdx: lines.length - 1 };
+}
+
+/**
+ * Parse On Error GoTo Label through the end of the procedure:
+ *
+ *   On Error GoTo Err_Handler          try {
+ *     <body>                              <body>
+ *   Exit_Handler:                       } catch (e) {
+ *     <cleanup>                           AC.err.capture(e);
+ *     Exit Sub                            <handler>
+ *   Err_Handler:                        } finally {
+ *     <handler>                           <cleanup>
+ *     Resume Exit_Handler               }
+ *
+ * The block the handler resumes to becomes the finally block; a Resume
+ * before the end of the handler returns early. When the handler ends in
+ * Resume Next, it becomes a local handleError function called from a
+ * try/catch around each statement of the body instead.
+ * Returns { jsLines: string[], endIdx: number }, or null when the handler
+ * label is not in this block.
+ */
+function parseOnErrorGoTo(lines, startIdx, formName, variables, assignedVars, enumMap, fnRegistry, funcName) {
+  const label = lines[startIdx].trim().match(/^On\s+Error\s+GoTo\s+(\w+)$/i)[1];
+  const labelIndex = name => lines.findIndex((l, j) => j > startIdx && l.trim().toLowerCase() === `${name.toLowerCase()}:`);
+  const handlerIdx = labelIndex(label);
+  if (handlerIdx < 0) return null;
+
+  // The label the handler resumes to, before or after the handler
+  let exitIdx = -1;
+  for (let j = handlerIdx + 1; j < lines.length && exitIdx < 0; j++) {
+    const resume = lines[j].trim().match(/^Resume\s+(\w+)$/i);
+    if (resume && !/^Next$/i.test(resume[1])) exitIdx = labelIndex(resume[1]);
+  }
+
+  let bodyEnd = handlerIdx;
+  let handlerEnd = lines.length;
+  let exitLines = [];
+  if (exitIdx > startIdx && exitIdx < handlerIdx) {
+    bodyEnd = exitIdx;
+    exitLines = lines.slice(exitIdx + 1, handlerIdx);
+  } else if (exitIdx > handlerIdx) {
+    handlerEnd = exitIdx;
+    exitLines = lines.slice(exitIdx + 1);
+  }
+
+  const handlerLines = lines.slice(handlerIdx + 1, handlerEnd);
+  const resumeNext = handlerLines.some(l => /^Resume\s+Next$/i.test(l.trim()));
+  // The handler's closing Resume is where it ends anyway
+  if (handlerLines.length && /^Resume\s+\w+$/i.test(handlerLines[handlerLines.length - 1].trim())) handlerLines.pop();
+
+  const translate = blockLines =>
+    translateBlock(blockLines, 0, formName, variables, assignedVars, enumMap, fnRegistry, funcName).jsLines;
+  const { declarations, body } = hoistDeclarations(translate(lines.slice(startIdx + 1, bodyEnd)));
+  const handlerJs = translate(handlerLines);
+  const exitJs = translate(exitLines);
+  const indent = jsLines => jsLines.map(l => '  ' + l);
+
+  const jsLines = [...declarations];
+  if (resumeNext) {
+    jsLines.push('const handleError = async () => {', ...indent(handlerJs), '};');
+    jsLines.push(...protectStatements(body, `${CAPTURE_ERROR} await handleError();`), ...exitJs);
+  } else {
+    jsLines.push('try {', ...indent(body), '} catch (e) {', `  ${CAPTURE_ERROR}`, ...indent(handlerJs));
+    if (exitJs.length) jsLines.push('} finally {', ...indent(exitJs));
+    jsLines.push('}');
+  }
+  return { jsLines, endIdx: lines.length - 1 };
+}
+
 /**
  * Translate a block of VBA lines into JS, recognizing control flow.
  * Handles If/Else, Select Case, numeric For loops, variable tracking.
@@ -2359,7 +2920,16 @@ function translateBlock(lines, startIdx, formName, variables, assignedVars, enum
       const varName = dimMatch[1].toLowerCase();
       variables.add(varName);
       assignedVars.add(varName);
-      jsLines.push(`let ${dimMatch[1]};`);
+      const recordsetType = line.match(/^Dim\s+\w+\s+As\s+(New\s+)?(?:DAO\.|ADODB\.)?Recordset2?\b/i);
+      if (recordsetType) tagRecordsetVar(varName, assignedVars);
+      const classType = line.match(/^Dim\s+\w+\s+As\s+(New\s+)?(\w+)$/i);
+      if (classType && isClassName(classType[2], fnRegistry)) {
+        tagObjectVar(varName, classType[2], assignedVars);
+        jsLines.push(classType[1] ? `let ${dimMatch[1]} = await AC.newObject(${JSON.stringify(classType[2])});` : `let ${dimMatch[1]};`);
+        i++;
+        continue;
+      }
+      jsLines.push(recordsetType && recordsetType[1] ? `let ${dimMatch[1]} = AC.newRecordset();` : `let ${dimMatch[1]};`);
       i++;
       continue;
     }
@@ -2387,6 +2957,47 @@ function translateBlock(lines, startIdx, formName, variables, assignedVars, enum
       continue;
     }
 
+    // On Error GoTo Label → try/catch(/finally) around the rest of the procedure
+    if (/^On\s+Error\s+GoTo\s+(?!0$)\w+$/i.test(line)) {
+      const result = parseOnErrorGoTo(lines, i, formName, variables, assignedVars, enumMap, fnRegistry, funcName);
+      if (result) {
+        jsLines.push(...result.jsLines);
+        i = result.endIdx + 1;
+        continue;
+      }
+    }
+
+    // On Error Resume Next → each following statement in its own try/catch
+    if (/^On\s+Error\s+Resume\s+Next$/i.test(line)) {
+      const result = parseOnErrorResumeNext(lines, i, formName, variables, assignedVars, enumMap, fnRegistry, funcName);
+      jsLines.push(...result.jsLines);
+      i = result.endIdx + 1;
+      continue;
+    }
+
+    // On Error GoTo 0, or an On Error whose handler is outside this block — kept as a marker
+    if (/^On\s+Error\b/i.test(line)) {
+      jsLines.push(`// ${line}`);
+      i++;
+      continue;
+    }
+
+    // Resume Next / Resume Label inside an error handler → leave the handler
+    if (/^Resume\s+\w+$/i.test(line)) {
+      jsLines.push('return;');
+      i++;
+      continue;
+    }
+
+    // Label: an error handler's own code only runs on error, so a handler
+    // not already turned into a catch block is skipped to the end
+    const labelMatch = line.match(/^(\w+):$/);
+    if (labelMatch) {
+      const handlerOf = new RegExp(`^On\\s+Error\\s+GoTo\\s+${labelMatch[1]}$`, 'i');
+      i = lines.some(l => handlerOf.test(l.trim())) ? lines.length : i + 1;
+      continue;
+    }
+
     // Skip GoTo (VBA-only constructs)
     if (/^GoTo\s+/i.test(line)) {
       i++;
@@ -2415,6 +3026,7 @@ function translateBlock(lines, startIdx, formName, variables, assignedVars, enum
     // Array element assignment: variable(index) = value → variable[index] = value
     const arrAssignMatch = line.match(/^(\w+)\s*\((.+?)\)\s*=\s*(.+)$/);
     if (arrAssignMatch && assignedVars.has(arrAssignMatch[1].toLowerCase())
+        && !isRecordsetVar(arrAssignMatch[1], assignedVars)
         && !VBA_BUILTINS.has(arrAssignMatch[1].toLowerCase())
         && !(fnRegistry && fnRegistry.has(arrAssignMatch[1].toLowerCase()))) {
       const idx = translateExpression(arrAssignMatch[2].trim(), assignedVars, enumMap, fnRegistry);
@@ -2468,6 +3080,9 @@ function translateBlock(lines, startIdx, formName, variables, assignedVars, enum
         const rhs = translateAssignmentRHS(assignMatch[2].trim(), assignedVars, enumMap, fnRegistry);
         if (rhs) {
           assignedVars.add(varNameLower);
+          if (RECORDSET_PRODUCER.test(rhs) || isRecordsetVar(rhs, assignedVars)) tagRecordsetVar(varNameLower, assignedVars);
+          const className = producedClass(rhs, assignedVars);
+          if (className) tagObjectVar(varNameLower, className, assignedVars);
           jsLines.push(`${assignMatch[1]} = ${rhs};`);
         } else {
           // Untranslatable RHS — emit as comment but still track the variable
@@ -2581,6 +3196,62 @@ function countCodeLines(js) {
   return js.split('\n').filter(l => !l.trim().startsWith('//')).length;
 }
 
+/**
+ * Lowercase names of a parsed module's Dim and Const declarations, with
+ * variables declared as a class fnRegistry knows tagged as object variables.
+ */
+function moduleVarNames(module, fnRegistry) {
+  const names = new Set();
+  for (const decl of module.declarations) {
+    if (decl.type !== 'Dim' && decl.type !== 'Const') continue;
+    for (const variable of decl.declarations) {
+      names.add(variable.name.toLowerCase());
+      if (variable.typeName && isClassName(variable.typeName, fnRegistry)) tagObjectVar(variable.name, variable.typeName, names);
+    }
+  }
+  return names;
+}
+
+/**
+ * The VBA statements a translated handler left as comments, with the source
+ * line of each, so a failed translation can be traced to its line.
+ * @param {string[]} jsLines - translateBlock output
+ * @param {Array<{ text: string, line: number }>} statements - the procedure's statementLines
+ * @returns {Array<{ line: number, text: string }>}
+ */
+function untranslatedLines(jsLines, statements) {
+  const found = new Set();
+  const find = matches => {
+    const idx = statements.findIndex((s, i) => !found.has(i) && matches(s.text));
+    if (idx >= 0) found.add(idx);
+  };
+  for (const jsLine of jsLines) {
+    const comment = jsLine.trim().match(/^\/\/\s*(.+)$/);
+    if (!comment) continue;
+    // Block-level notes quote the part they couldn't translate: // [VBA Do loop - ...: cond]
+    const note = comment[1].match(/^\[VBA [^\]]*?: (.+)\]$/);
+    if (note) find(text => text.includes(note[1]));
+    else find(text => text === comment[1].trim());
+  }
+  return [...found].sort((a, b) => a - b).map(i => ({ line: statements[i].line, text: statements[i].text }));
+}
+
+/**
+ * Translate one procedure of a parsed module (a Procedure node from
+ * vba-parser.js), with the module's variables and its parameters in scope.
+ * A Function or Property Get returns through its name.
+ * @returns {{ jsLines: string[], untranslated: Array<{ line: number, text: string }> }}
+ */
+function translateProcedure(proc, objectName, moduleVars, enumMap, fnRegistry) {
+  const statements = statementLines(proc.body);
+  const cleanLines = stripBoilerplate(statements.map(s => s.text).join('\n'));
+  const vars = new Set(moduleVars);
+  for (const p of proc.params) vars.add(p.name.toLowerCase());
+  const funcName = proc.kind === 'function' || proc.kind === 'property get' ? proc.name : null;
+  const { jsLines } = translateBlock(cleanLines, 0, objectName, new Set(vars), vars, enumMap, fnRegistry, funcName);
+  return { jsLines, untranslated: untranslatedLines(jsLines, statements) };
+}
+
 /**
  * Parse VBA source and return handler descriptors with JS code.
  * Uses a multi-pass approach: pass 1 translates everything it can and builds
@@ -2592,7 +3263,8 @@ function countCodeLines(js) {
  * @param {string} [moduleName] - Module name (e.g. "Form_frmAbout") -- used to derive form name for DoCmd.Close
  * @param {Map<string,number>} [enumMap] - Pre-collected enum map (cross-module)
  * @param {Set<string>} [fnRegistry] - Pre-populated function registry (cross-module)
- * Returns [{key, control, event, procedure, js}]
+ * Returns [{key, control, event, procedure, js, untranslated}], where untranslated
+ * lists the {line, text} of each VBA statement left as a comment.
  */
 function parseVbaToHandlers(vbaSource, moduleName, enumMap, fnRegistry) {
   if (!vbaSource) return [];
@@ -2614,10 +3286,23 @@ function parseVbaToHandlers(vbaSource, moduleName, enumMap, fnRegistry) {
     fnRegistry = new Set();
   }
 
-  // Collect module-level variable names for condition/expression translation
-  const moduleVars = collectModuleVars(vbaSource);
-
-  const procedures = extractProcedures(vbaSource);
+  // Procedures and module-level names come from the parsed module. Each body
+  // is flattened to one statement per line, so nested single-line Ifs and
+  // "a: b" lines reach translateBlock the way it expects them.
+  const module = parseModule(vbaSource);
+  const moduleVars = moduleVarNames(module, fnRegistry);
+  const procedures = module.procedures
+    .filter(proc => proc.kind === 'sub' || proc.kind === 'function')
+    .map(proc => {
+      const statements = statementLines(proc.body);
+      return {
+        name: proc.name,
+        kind: proc.kind,
+        params: proc.params.map(p => p.name),
+        statements,
+        body: statements.map(s => s.text).join('\n'),
+      };
+    });
 
   // Build procedure metadata (key, control, event) once — reused across passes
   const procMeta = procedures.map(proc => {
@@ -2675,6 +3360,7 @@ function parseVbaToHandlers(vbaSource, moduleName, enumMap, fnRegistry) {
         event: eventKey,
         procedure: proc.name,
         js,
+        untranslated: untranslatedLines(jsLines, proc.statements),
       });
       // If handler has any comment lines, mark for retry (fnRegistry may resolve them)
       if (commentCount > 0) {
@@ -2707,6 +3393,7 @@ function parseVbaToHandlers(vbaSource, moduleName, enumMap, fnRegistry) {
 
         if (codeCount > countCodeLines(handler.js)) {
           handler.js = js;
+          handler.untranslated = untranslatedLines(jsLines, meta.proc.statements);
           improved = true;
         }
         if (codeCount === 0) {
@@ -2730,4 +3417,5 @@ module.exports = {
   parseDoLoop, parseWhileWend, parseWithBlock, parseForEachLoop,
   collectEnumValues, collectModuleVars, translateDomainCall, parseDomainCall, translateCriteria,
   translateExpression, parseFunctionCall, splitOnOperator,
+  translateProcedure, moduleVarNames, CLASS_TAG,
 };
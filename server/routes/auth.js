@@ -0,0 +1,556 @@
+/**
+ * Authentication routes
+ * Local password sign-in, OpenID Connect sign-in, users and database roles.
+ * Sessions and role checks live in lib/auth.js.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { logEvent, logError } = require('../lib/events');
+const {
+  ROLES, SESSION_COOKIE, OIDC_COOKIE,
+  hashPassword, verifyPassword, signToken, verifyToken, createSessionToken, endSessions,
+  parseCookies, cookie, roleFor, discoverOidc, pkcePair, verifyIdToken, safeReturnPath
+} = require('../lib/auth');
+
+const USER_ID_RE = /^[A-Za-z0-9._@-]{1,100}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Sign-in through the provider must finish within this many seconds
+const OIDC_STATE_SECONDS = 600;
+
+module.exports = function(pool, auth) {
+  const router = express.Router();
+  const oidc = auth.oidc && auth.oidc.issuer ? auth.oidc : null;
+  const fetchImpl = auth.fetch || fetch;
+  let oidcConfig = null;
+
+  async function providerConfig() {
+    if (!oidcConfig) {
+      const discovery = await discoverOidc(oidc.issuer, fetchImpl);
+      const jwksRes = await fetchImpl(discovery.jwks_uri);
+      if (!jwksRes.ok) throw new Error(`OIDC key fetch failed (${jwksRes.status})`);
+      oidcConfig = { discovery, jwks: await jwksRes.json() };
+    }
+    return oidcConfig;
+  }
+
+  function publicUser(row) {
+    return {
+      id: row.user_id,
+      displayName: row.display_name || row.user_id,
+      email: row.email || null,
+      isAdmin: !!row.is_admin,
+      disabled: !!row.disabled
+    };
+  }
+
+  /**
+   * Start a session for a shared.users row (with its session_version):
+   * Set-Cookie, and the token for Bearer clients.
+   */
+  async function startSession(req, res, row) {
+    const { token, expiresAt } = createSessionToken(row.user_id, row.session_version, auth);
+    res.append('Set-Cookie', cookie(SESSION_COOKIE, token, {
+      maxAge: (expiresAt.getTime() - Date.now()) / 1000,
+      secure: req.secure
+    }));
+    await pool.query('UPDATE shared.users SET last_login = NOW() WHERE user_id = $1', [row.user_id]);
+    return { token, expiresAt };
+  }
+
+  /**
+   * The OpenID Connect identity an administrator links to an account, from
+   * { oidcSubject, oidcIssuer } (the configured provider by default).
+   * Undefined when the body doesn't mention one; nulls to unlink.
+   */
+  function linkedIdentity(body) {
+    if (!body || body.oidcSubject === undefined) return undefined;
+    if (!body.oidcSubject) return { issuer: null, subject: null };
+    const issuer = body.oidcIssuer || oidc?.issuer;
+    if (!issuer) return { error: 'oidcIssuer is required when OpenID Connect is not configured' };
+    return { issuer: String(issuer), subject: String(body.oidcSubject) };
+  }
+
+  function requireAdmin(req, res) {
+    if (req.user?.isAdmin) return true;
+    res.status(403).json({ error: 'Requires an administrator' });
+    return false;
+  }
+
+  /**
+   * GET /api/auth/providers
+   * What the login screen should offer
+   */
+  router.get('/providers', (req, res) => {
+    res.json({
+      enabled: !!auth.enabled,
+      local: true,
+      oidc: oidc ? { label: oidc.label || 'Single sign-on' } : null
+    });
+  });
+
+  // Everything else only exists with authentication on
+  router.use((req, res, next) => {
+    if (!auth.enabled) return res.status(404).json({ error: 'Authentication is off' });
+    next();
+  });
+
+  // ============================================================
+  // SESSIONS
+  // ============================================================
+
+  /**
+   * POST /api/auth/login
+   * Sign in with a local password. Body: { username, password }
+   */
+  router.post('/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+      return res.status(400).json({ error: 'username and password are required' });
+    }
+    try {
+      const result = await pool.query(
+        `SELECT user_id, display_name, email, is_admin, disabled, password_hash, session_version
+         FROM shared.users WHERE user_id = $1`,
+        [String(username)]
+      );
+      const row = result.rows[0];
+      // Same answer for unknown users, wrong passwords and disabled accounts
+      if (!row || row.disabled || !(await verifyPassword(password, row.password_hash))) {
+        logEvent(pool, 'warning', 'POST /api/auth/login', 'Failed sign-in', { userId: String(username) });
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+      const session = await startSession(req, res, row);
+      res.json({ user: publicUser(row), ...session });
+    } catch (err) {
+      console.error('Error signing in:', err);
+      logError(pool, 'POST /api/auth/login', 'Failed to sign in', err);
+      res.status(500).json({ error: 'Failed to sign in' });
+    }
+  });
+
+  /**
+   * POST /api/auth/logout
+   * Sign out: clears the cookie and ends every session the user has, so a
+   * copied token stops working too.
+   */
+  router.post('/logout', async (req, res) => {
+    res.append('Set-Cookie', cookie(SESSION_COOKIE, '', { maxAge: 0, secure: req.secure }));
+    try {
+      if (req.user) await endSessions(pool, req.user.id);
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Error signing out:', err);
+      logError(pool, 'POST /api/auth/logout', 'Failed to sign out', err);
+      res.status(500).json({ error: 'Failed to sign out' });
+    }
+  });
+
+  /**
+   * GET /api/auth/me
+   * The signed-in user and their role on each database
+   */
+  router.get('/me', async (req, res) => {
+    try {
+      const result = req.user.isAdmin
+        ? await pool.query(`SELECT database_id, 'admin' AS role FROM shared.databases ORDER BY database_id`)
+        : await pool.query(
+          'SELECT database_id, role FROM shared.database_roles WHERE user_id = $1 ORDER BY database_id',
+          [req.user.id]
+        );
+      res.json({ user: req.user, roles: result.rows });
+    } catch (err) {
+      console.error('Error fetching current user:', err);
+      logError(pool, 'GET /api/auth/me', 'Failed to fetch current user', err);
+      res.status(500).json({ error: 'Failed to fetch current user' });
+    }
+  });
+
+  /**
+   * PUT /api/auth/password
+   * Change your own password. Body: { currentPassword, newPassword }
+   * Ends the user's other sessions; this one continues with a new token.
+   */
+  router.put('/password', async (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!newPassword || String(newPassword).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    try {
+      const result = await pool.query('SELECT password_hash FROM shared.users WHERE user_id = $1', [req.user.id]);
+      const current = result.rows[0]?.password_hash;
+      if (!current) {
+        return res.status(400).json({ error: 'This account signs in through single sign-on' });
+      }
+      if (!(await verifyPassword(currentPassword || '', current))) {
+        return res.status(403).json({ error: 'Current password is wrong' });
+      }
+      const updated = await pool.query(
+        `UPDATE shared.users SET password_hash = $2, session_version = session_version + 1
+         WHERE user_id = $1 RETURNING user_id, session_version`,
+        [req.user.id, await hashPassword(newPassword)]
+      );
+      const session = await startSession(req, res, updated.rows[0]);
+      res.json({ success: true, ...session });
+    } catch (err) {
+      console.error('Error changing password:', err);
+      logError(pool, 'PUT /api/auth/password', 'Failed to change password', err);
+      res.status(500).json({ error: 'Failed to change password' });
+    }
+  });
+
+  // ============================================================
+  // OPENID CONNECT
+  // ============================================================
+
+  /**
+   * GET /api/auth/oidc/login?returnTo=/path
+   * Redirect to the provider. State, nonce and the PKCE verifier travel in a
+   * short-lived signed cookie.
+   */
+  router.get('/oidc/login', async (req, res) => {
+    if (!oidc) return res.status(404).json({ error: 'OpenID Connect is not configured' });
+    try {
+      const { discovery } = await providerConfig();
+      const { verifier, challenge } = pkcePair();
+      const state = crypto.randomBytes(16).toString('base64url');
+      const nonce = crypto.randomBytes(16).toString('base64url');
+      const pending = signToken({
+        state, nonce, verifier,
+        returnTo: safeReturnPath(req.query.returnTo),
+        exp: Math.floor(Date.now() / 1000) + OIDC_STATE_SECONDS
+      }, auth.sessionSecret);
+      res.append('Set-Cookie', cookie(OIDC_COOKIE, pending, {
+        maxAge: OIDC_STATE_SECONDS, path: '/api/auth/oidc', secure: req.secure
+      }));
+
+      const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: oidc.clientId,
+        redirect_uri: oidc.redirectUri,
+        scope: oidc.scope || 'openid profile email',
+        state,
+        nonce,
+        code_challenge: challenge,
+        code_challenge_method: 'S256'
+      });
+      res.redirect(`${discovery.authorization_endpoint}?${params}`);
+    } catch (err) {
+      console.error('Error starting OIDC sign-in:', err);
+      logError(pool, 'GET /api/auth/oidc/login', 'Failed to start OIDC sign-in', err);
+      res.status(502).json({ error: 'Identity provider is unavailable' });
+    }
+  });
+
+  /**
+   * Find the user for verified ID token claims. Users are matched by issuer
+   * and subject, which an administrator can set on an account beforehand.
+   * A first sign-in otherwise links to the one account an administrator
+   * created with that email, no password and no identity yet, but only when
+   * the provider says it verified the email: the user name a provider sends
+   * (preferred_username) is the user's own choice, so it never links. Failing
+   * both, it creates a user with no roles under that name, unless it's taken.
+   */
+  async function oidcUser(claims) {
+    const columns = 'user_id, display_name, email, is_admin, disabled, session_version';
+    const linked = await pool.query(
+      `SELECT ${columns} FROM shared.users WHERE oidc_issuer = $1 AND oidc_subject = $2`,
+      [claims.iss, claims.sub]
+    );
+    if (linked.rows[0]) return linked.rows[0];
+
+    if (claims.email && (claims.email_verified === true || claims.email_verified === 'true')) {
+      const invited = await pool.query(
+        `SELECT user_id FROM shared.users
+         WHERE lower(email) = lower($1) AND password_hash IS NULL AND oidc_subject IS NULL`,
+        [String(claims.email)]
+      );
+      if (invited.rows.length === 1) {
+        const result = await pool.query(
+          `UPDATE shared.users SET oidc_issuer = $2, oidc_subject = $3
+           WHERE user_id = $1 AND oidc_subject IS NULL RETURNING ${columns}`,
+          [invited.rows[0].user_id, claims.iss, claims.sub]
+        );
+        if (result.rows[0]) return result.rows[0];
+      }
+    }
+
+    const userId = String(claims.preferred_username || claims.email || claims.sub);
+    const result = await pool.query(
+      `INSERT INTO shared.users (user_id, display_name, email, oidc_issuer, oidc_subject)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id) DO NOTHING
+       RETURNING ${columns}`,
+      [userId, claims.name || userId, claims.email || null, claims.iss, claims.sub]
+    );
+    if (!result.rows[0]) {
+      const err = new Error(`User "${userId}" already exists; an administrator must link the account`);
+      err.status = 409;
+      throw err;
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * GET /api/auth/oidc/callback?code=...&state=...
+   * Exchange the code, verify the ID token, start a session and go back to
+   * the page sign-in started from.
+   */
+  router.get('/oidc/callback', async (req, res) => {
+    if (!oidc) return res.status(404).json({ error: 'OpenID Connect is not configured' });
+    const pending = verifyToken(parseCookies(req.headers.cookie)[OIDC_COOKIE], auth.sessionSecret);
+    res.append('Set-Cookie', cookie(OIDC_COOKIE, '', { maxAge: 0, path: '/api/auth/oidc', secure: req.secure }));
+    if (req.query.error) {
+      return res.status(401).json({ error: `Sign-in was refused: ${req.query.error_description || req.query.error}` });
+    }
+    if (!pending || !req.query.code || req.query.state !== pending.state) {
+      return res.status(400).json({ error: 'Sign-in expired or was started elsewhere; try again' });
+    }
+
+    try {
+      const { discovery, jwks } = await providerConfig();
+      const tokenRes = await fetchImpl(discovery.token_endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        body: new URLSearchParams({
+          grant_type: 'authorization_code',
+          code: String(req.query.code),
+          redirect_uri: oidc.redirectUri,
+          client_id: oidc.clientId,
+          client_secret: oidc.clientSecret || '',
+          code_verifier: pending.verifier
+        }).toString()
+      });
+      const tokens = await tokenRes.json().catch(() => ({}));
+      if (!tokenRes.ok || !tokens.id_token) {
+        return res.status(401).json({ error: `Code exchange failed: ${tokens.error_description || tokens.error || tokenRes.status}` });
+      }
+
+      let claims;
+      try {
+        claims = verifyIdToken(tokens.id_token, jwks, {
+          issuer: discovery.issuer, audience: oidc.clientId, nonce: pending.nonce
+        });
+      } catch (err) {
+        if (err.code === 'EAUTH') return res.status(401).json({ error: err.message });
+        throw err;
+      }
+
+      const user = await oidcUser(claims);
+      if (user.disabled) return res.status(403).json({ error: 'This account is disabled' });
+      await startSession(req, res, user);
+      res.redirect(pending.returnTo);
+    } catch (err) {
+      if (err.status === 409) return res.status(409).json({ error: err.message });
+      console.error('Error completing OIDC sign-in:', err);
+      logError(pool, 'GET /api/auth/oidc/callback', 'Failed to complete OIDC sign-in', err);
+      res.status(502).json({ error: 'Failed to complete sign-in' });
+    }
+  });
+
+  // ============================================================
+  // USERS (administrators)
+  // ============================================================
+
+  /**
+   * GET /api/auth/users
+   * List users
+   */
+  router.get('/users', async (req, res) => {
+    if (!requireAdmin(req, res)) return;
+    try {
+      const result = await pool.query(
+        `SELECT user_id, display_name, email, is_admin, disabled, last_login,
+                password_hash IS NOT NULL AS has_password, oidc_subject IS NOT NULL AS has_oidc
+         FROM shared.users ORDER BY user_id`
+      );
+      res.json({
+        users: result.rows.map(row => ({
+          ...publicUser(row), lastLogin: row.last_login, hasPassword: row.has_password, hasOidc: row.has_oidc
+        }))
+      });
+    } catch (err) {
+      console.error('Error listing users:', err);
+      logError(pool, 'GET /api/auth/users', 'Failed to list users', err);
+      res.status(500).json({ error: 'Failed to list users' });
+    }
+  });
+
+  /**
+   * POST /api/auth/users
+   * Create a user. Body: { username, password?, displayName?, email?, isAdmin?, oidcSubject?, oidcIssuer? }
+   * Without a password the user can only sign in through OpenID Connect:
+   * as the given subject, or by first signing in with this verified email.
+   */
+  router.post('/users', async (req, res) => {
+    if (!requireAdmin(req, res)) return;
+    const { username, password, displayName, email, isAdmin } = req.body || {};
+    if (!USER_ID_RE.test(username || '')) {
+      return res.status(400).json({ error: 'username may contain letters, digits and . _ @ - (up to 100)' });
+    }
+    if (password !== undefined && password !== null && String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    const identity = linkedIdentity(req.body) || { issuer: null, subject: null };
+    if (identity.error) return res.status(400).json({ error: identity.error });
+    try {
+      const result = await pool.query(
+        `INSERT INTO shared.users (user_id, display_name, email, password_hash, is_admin, oidc_issuer, oidc_subject)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (user_id) DO NOTHING
+         RETURNING user_id, display_name, email, is_admin, disabled`,
+        [username, displayName || username, email || null,
+          password ? await hashPassword(password) : null, !!isAdmin, identity.issuer, identity.subject]
+      );
+      if (result.rows.length === 0) {
+        return res.status(409).json({ error: `User "${username}" already exists` });
+      }
+      logEvent(pool, 'action', 'POST /api/auth/users', `Created user ${username}`, { userId: req.user.id });
+      res.status(201).json({ user: publicUser(result.rows[0]) });
+    } catch (err) {
+      if (err.code === '23505') return res.status(409).json({ error: 'That sign-in identity belongs to another user' });
+      console.error('Error creating user:', err);
+      logError(pool, 'POST /api/auth/users', 'Failed to create user', err);
+      res.status(500).json({ error: 'Failed to create user' });
+    }
+  });
+
+  /**
+   * PUT /api/auth/users/:userId
+   * Update a user. Body: any of { password, displayName, email, isAdmin, disabled, oidcSubject, oidcIssuer }
+   * A new password or disabling the account ends the user's sessions.
+   * oidcSubject: null unlinks the user's OpenID Connect identity.
+   */
+  router.put('/users/:userId', async (req, res) => {
+    if (!requireAdmin(req, res)) return;
+    const { password, displayName, email, isAdmin, disabled } = req.body || {};
+    if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Passwords need at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    if (req.params.userId === req.user.id && (isAdmin === false || disabled === true)) {
+      return res.status(400).json({ error: 'You cannot remove your own administrator access' });
+    }
+    const identity = linkedIdentity(req.body);
+    if (identity?.error) return res.status(400).json({ error: identity.error });
+    try {
+      const sets = [];
+      const params = [req.params.userId];
+      const set = (column, value) => { params.push(value); sets.push(`${column} = $${params.length}`); };
+      if (password !== undefined) set('password_hash', await hashPassword(password));
+      if (displayName !== undefined) set('display_name', displayName);
+      if (email !== undefined) set('email', email || null);
+      if (isAdmin !== undefined) set('is_admin', !!isAdmin);
+      if (disabled !== undefined) set('disabled', !!disabled);
+      if (identity) {
+        set('oidc_issuer', identity.issuer);
+        set('oidc_subject', identity.subject);
+      }
+      if (sets.length === 0) return res.status(400).json({ error: 'Nothing to update' });
+      if (password !== undefined || disabled !== undefined) sets.push('session_version = session_version + 1');
+
+      const result = await pool.query(
+        `UPDATE shared.users SET ${sets.join(', ')} WHERE user_id = $1
+         RETURNING user_id, display_name, email, is_admin, disabled`,
+        params
+      );
+      if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+      res.json({ user: publicUser(result.rows[0]) });
+    } catch (err) {
+      if (err.code === '23505') return res.status(409).json({ error: 'That sign-in identity belongs to another user' });
+      console.error('Error updating user:', err);
+      logError(pool, 'PUT /api/auth/users/:userId', 'Failed to update user', err);
+      res.status(500).json({ error: 'Failed to update user' });
+    }
+  });
+
+  // ============================================================
+  // DATABASE ROLES (database admins)
+  // ============================================================
+
+  async function requireDatabaseAdmin(req, res) {
+    if (await roleFor(pool, req.user, req.params.databaseId) === 'admin') return true;
+    res.status(403).json({ error: `Requires the admin role on database "${req.params.databaseId}"` });
+    return false;
+  }
+
+  /**
+   * GET /api/auth/databases/:databaseId/roles
+   * Who has which role on a database
+   */
+  router.get('/databases/:databaseId/roles', async (req, res) => {
+    try {
+      if (!(await requireDatabaseAdmin(req, res))) return;
+      const result = await pool.query(
+        `SELECT r.user_id, u.display_name, r.role, r.granted_by, r.granted_at
+         FROM shared.database_roles r JOIN shared.users u ON u.user_id = r.user_id
+         WHERE r.database_id = $1 ORDER BY r.user_id`,
+        [req.params.databaseId]
+      );
+      res.json({ roles: result.rows });
+    } catch (err) {
+      console.error('Error listing roles:', err);
+      logError(pool, 'GET /api/auth/databases/:databaseId/roles', 'Failed to list roles', err, { databaseId: req.params.databaseId });
+      res.status(500).json({ error: 'Failed to list roles' });
+    }
+  });
+
+  /**
+   * PUT /api/auth/databases/:databaseId/roles/:userId
+   * Grant or change a role. Body: { role }
+   */
+  router.put('/databases/:databaseId/roles/:userId', async (req, res) => {
+    const { role } = req.body || {};
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+    }
+    try {
+      if (!(await requireDatabaseAdmin(req, res))) return;
+      const { databaseId, userId } = req.params;
+      const found = await pool.query(
+        `SELECT (SELECT 1 FROM shared.databases WHERE database_id = $1) AS db,
+                (SELECT 1 FROM shared.users WHERE user_id = $2) AS usr`,
+        [databaseId, userId]
+      );
+      if (!found.rows[0]?.db) return res.status(404).json({ error: 'Database not found' });
+      if (!found.rows[0]?.usr) return res.status(404).json({ error: 'User not found' });
+
+      await pool.query(
+        `INSERT INTO shared.database_roles (database_id, user_id, role, granted_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (database_id, user_id) DO UPDATE SET role = EXCLUDED.role,
+           granted_by = EXCLUDED.granted_by, granted_at = NOW()`,
+        [databaseId, userId, role, req.user.id]
+      );
+      logEvent(pool, 'action', 'PUT /api/auth/databases/:databaseId/roles/:userId',
+        `Granted ${role} to ${userId}`, { databaseId, userId: req.user.id });
+      res.json({ success: true, databaseId, userId, role });
+    } catch (err) {
+      console.error('Error granting role:', err);
+      logError(pool, 'PUT /api/auth/databases/:databaseId/roles/:userId', 'Failed to grant role', err, { databaseId: req.params.databaseId });
+      res.status(500).json({ error: 'Failed to grant role' });
+    }
+  });
+
+  /**
+   * DELETE /api/auth/databases/:databaseId/roles/:userId
+   * Revoke a user's role on a database
+   */
+  router.delete('/databases/:databaseId/roles/:userId', async (req, res) => {
+    try {
+      if (!(await requireDatabaseAdmin(req, res))) return;
+      const result = await pool.query(
+        'DELETE FROM shared.database_roles WHERE database_id = $1 AND user_id = $2',
+        [req.params.databaseId, req.params.userId]
+      );
+      if (result.rowCount === 0) return res.status(404).json({ error: 'No role to revoke' });
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Error revoking role:', err);
+      logError(pool, 'DELETE /api/auth/databases/:databaseId/roles/:userId', 'Failed to revoke role', err, { databaseId: req.params.databaseId });
+      res.status(500).json({ error: 'Failed to revoke role' });
+    }
+  });
+
+  return router;
+};
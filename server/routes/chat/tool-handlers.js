@@ -135,7 +135,6 @@ async function executeTool(toolName, input, ctx) {
     const { query_name, sql, ddl_type } = input;
     const client = await pool.connect();
     try {
-      await client.query(`SET search_path TO "${schema}", public`);
       await client.query('BEGIN');
       await client.query(sql);
       await client.query('COMMIT');
@@ -5,7 +5,15 @@
 
 const express = require('express');
 const router = express.Router();
-const { logError } = require('../lib/events');
+const { logEvent, logError } = require('../lib/events');
+const {
+  compileFilter, translateAccessFilter, compileSearch, parseOrderBy, compileOrderBy,
+  encodeCursor, decodeCursor, compileKeyset
+} = require('../lib/data-filter');
+const { EXPORT_FORMATS, MAX_XLSX_ROWS, createRowWriter, ndjsonMetaLine, exportFilename } = require('../lib/data-export');
+const { isAudited, recordKey, changedColumns, restorableVersion } = require('../lib/data-audit');
+const { describeConstraintError } = require('../lib/constraint-errors');
+const { passesSelectPolicies } = require('../lib/row-policies');
 
 // Valid SQL identifier pattern (table/column names)
 const NAME_RE = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
@@ -27,7 +35,10 @@ function cacheSet(cache, key, value) {
   cache.set(key, { value, expiry: Date.now() + CACHE_TTL_MS });
 }
 
-async function getPrimaryKey(pool, tableName, databaseId) {
+/**
+ * Primary key columns of a table, in key order ([] when it has none).
+ */
+async function getPrimaryKeyColumns(pool, tableName, schemaName, databaseId) {
   const cacheKey = `${databaseId}:${tableName}`;
   const cached = cacheGet(pkCache, cacheKey);
   if (cached !== undefined) return cached;
@@ -37,14 +48,17 @@ async function getPrimaryKey(pool, tableName, databaseId) {
     FROM information_schema.table_constraints tc
     JOIN information_schema.key_column_usage kcu
       ON tc.constraint_name = kcu.constraint_name
+      AND tc.table_schema = kcu.table_schema
+      AND tc.table_name = kcu.table_name
     WHERE tc.table_name = $1
+      AND tc.table_schema = $2
       AND tc.constraint_type = 'PRIMARY KEY'
-    LIMIT 1
-  `, [tableName]);
+    ORDER BY kcu.ordinal_position
+  `, [tableName, schemaName]);
 
-  const pkColumn = result.rows.length > 0 ? result.rows[0].column_name : null;
-  cacheSet(pkCache, cacheKey, pkColumn);
-  return pkColumn;
+  const pkColumns = result.rows.map(r => r.column_name);
+  cacheSet(pkCache, cacheKey, pkColumns);
+  return pkColumns;
 }
 
 async function getTableColumns(pool, tableName, databaseId) {
@@ -70,15 +84,6 @@ function quoteIdent(name) {
 // Cache: "schemaName:viewName" → base table name (or null if not a view)
 const viewCache = new Map();
 
-/**
- * For views, resolve the underlying base table that should receive writes.
- * Access allows updating through queries that join lookup tables;
- * PostgreSQL does not. This finds the "main" table — the one contributing
- * the most columns to the view — and redirects writes there.
- *
- * Returns { writeTable, isView } where writeTable is the name to use for
- * INSERT/UPDATE/DELETE. For base tables, writeTable === sourceName.
- */
 /**
  * For views, resolve the underlying base table that should receive writes.
  * Access allows updating through queries that join lookup tables;
@@ -88,25 +93,36 @@ const viewCache = new Map();
  * falling back to information_schema introspection for views imported
  * before view_metadata existed.
  *
- * Returns { writeTable, isView } where writeTable is the name to use for
- * INSERT/UPDATE/DELETE. For base tables, writeTable === sourceName.
+ * Returns { writeTable, isView, keyColumns } where writeTable is the name to
+ * use for INSERT/UPDATE/DELETE (for base tables, writeTable === sourceName) and
+ * keyColumns is the write table's primary key, all columns in key order.
  */
 async function resolveWriteTarget(pool, sourceName, schemaName, databaseId) {
   const cacheKey = `${schemaName}:${sourceName}`;
   const cached = cacheGet(viewCache, cacheKey);
   if (cached !== undefined) return cached;
 
+  const finish = async (writeTable, isView, keyColumns) => {
+    const result = {
+      writeTable,
+      isView,
+      keyColumns: keyColumns && keyColumns.length > 0
+        ? keyColumns
+        : await getPrimaryKeyColumns(pool, writeTable, schemaName, databaseId)
+    };
+    cacheSet(viewCache, cacheKey, result);
+    return result;
+  };
+
   // Fast path: check view_metadata table (populated at import time)
   if (databaseId) {
     try {
       const vmResult = await pool.query(
-        `SELECT base_table FROM shared.view_metadata WHERE database_id = $1 AND view_name = $2`,
+        `SELECT base_table, pk_columns FROM shared.view_metadata WHERE database_id = $1 AND view_name = $2`,
         [databaseId, sourceName]
       );
       if (vmResult.rows.length > 0) {
-        const result = { writeTable: vmResult.rows[0].base_table, isView: true };
-        cacheSet(viewCache, cacheKey, result);
-        return result;
+        return finish(vmResult.rows[0].base_table, true, vmResult.rows[0].pk_columns);
       }
     } catch (e) {
       // Table might not exist yet on older schemas — fall through
@@ -120,9 +136,7 @@ async function resolveWriteTarget(pool, sourceName, schemaName, databaseId) {
   `, [schemaName, sourceName]);
 
   if (!typeResult.rows.length || typeResult.rows[0].table_type !== 'VIEW') {
-    const result = { writeTable: sourceName, isView: false };
-    cacheSet(viewCache, cacheKey, result);
-    return result;
+    return finish(sourceName, false);
   }
 
   // Fallback: introspect view_column_usage for the base table with most columns
@@ -140,9 +154,70 @@ async function resolveWriteTarget(pool, sourceName, schemaName, databaseId) {
     ? colUsage.rows[0].table_name
     : sourceName; // fallback: let PG error if no base table found
 
-  const result = { writeTable, isView: true };
-  cacheSet(viewCache, cacheKey, result);
-  return result;
+  return finish(writeTable, true);
+}
+
+/**
+ * Columns that identify one row of a table or view: its own primary key, or
+ * for a view the primary key of its write target when the view exposes it.
+ */
+async function getRowKeyColumns(pool, sourceName, schemaName, databaseId) {
+  const pkColumns = await getPrimaryKeyColumns(pool, sourceName, schemaName, databaseId);
+  if (pkColumns.length > 0) return pkColumns;
+
+  const { writeTable, isView, keyColumns } = await resolveWriteTarget(pool, sourceName, schemaName, databaseId);
+  if (!isView || writeTable === sourceName || keyColumns.length === 0) return [];
+  const viewColumns = await getTableColumns(pool, sourceName, databaseId);
+  return keyColumns.every(c => viewColumns.has(c)) ? keyColumns : [];
+}
+
+/**
+ * Turn the :id path segment into one value per key column.
+ * A single-column key takes the raw segment. A composite key takes a JSON
+ * object keyed by column ({"order_id":1,"product_id":7}) or a JSON array
+ * in key order ([1,7]).
+ * @returns {Array|null} key values, or null when the segment doesn't fit the key
+ */
+function parseRecordKey(id, keyColumns) {
+  if (keyColumns.length === 1) return [id];
+  let parsed;
+  try {
+    parsed = JSON.parse(id);
+  } catch (e) {
+    return null;
+  }
+  return keyValuesFrom(parsed, keyColumns);
+}
+
+/**
+ * Key values from an already-parsed key: an array in key order, or an
+ * object keyed by column name (case-insensitive).
+ * @returns {Array|null}
+ */
+function keyValuesFrom(key, keyColumns) {
+  if (Array.isArray(key)) {
+    return key.length === keyColumns.length ? key : null;
+  }
+  if (key && typeof key === 'object') {
+    const byName = new Map(Object.entries(key).map(([k, v]) => [k.toLowerCase(), v]));
+    return keyColumns.every(c => byName.has(c.toLowerCase()))
+      ? keyColumns.map(c => byName.get(c.toLowerCase()))
+      : null;
+  }
+  return null;
+}
+
+/**
+ * WHERE condition matching every key column, numbering from $startIdx.
+ */
+function keyCondition(keyColumns, startIdx = 1) {
+  return keyColumns.map((c, i) => `${quoteIdent(c)} = $${startIdx + i}`).join(' AND ');
+}
+
+function keyMismatchError(keyColumns) {
+  return keyColumns.length === 1
+    ? 'Invalid record key'
+    : `Composite key (${keyColumns.join(', ')}) expects a JSON object or array of ${keyColumns.length} values`;
 }
 
 function clearSchemaCache(databaseId) {
@@ -153,6 +228,8 @@ function clearSchemaCache(databaseId) {
     for (const key of colCache.keys()) {
       if (key.startsWith(`${databaseId}:`)) colCache.delete(key);
     }
+    // Keyed by schema, not database — and it carries key columns, so drop it all
+    viewCache.clear();
   } else {
     pkCache.clear();
     colCache.clear();
@@ -160,19 +237,366 @@ function clearSchemaCache(databaseId) {
   }
 }
 
+function joinConditions(conditions) {
+  if (conditions.length === 0) return '';
+  if (conditions.length === 1) return ` WHERE ${conditions[0]}`;
+  return ` WHERE ${conditions.map(c => `(${c})`).join(' AND ')}`;
+}
+
+/**
+ * After writing to a view's base table, re-read the row from the view so
+ * lookup columns are included. Returns the written row if the view has no match.
+ */
+async function rereadFromSource(db, source, writeTable, keyColumns, row) {
+  if (writeTable === source || !row || keyColumns.length === 0 ||
+      !keyColumns.every(c => row[c] != null)) {
+    return row;
+  }
+  const viewRow = await db.query(
+    `SELECT * FROM ${quoteIdent(source)} WHERE ${keyCondition(keyColumns)}`,
+    keyColumns.map(c => row[c])
+  );
+  return viewRow.rows.length > 0 ? viewRow.rows[0] : row;
+}
+
+// ============================================================
+// Optimistic concurrency
+// ============================================================
+
+const WRITE_CONFLICT_MESSAGE =
+  'This record has been changed by another user since you started editing it. ' +
+  'If you save the record, you will overwrite the changes the other user made. ' +
+  'Copying the changes to the clipboard will let you look at the values the other user entered, ' +
+  'and then paste your changes back in if you decide to make changes.';
+
+/**
+ * Columns whose stored value no longer matches the client's snapshot of the
+ * row as it was read. Values are compared in their JSON form — the form the
+ * client received them in — and only columns present in both rows count, so
+ * lookup columns of a view never conflict with its base table.
+ */
+function changedSinceRead(original, current) {
+  const stored = JSON.parse(JSON.stringify(current));
+  return Object.keys(original).filter(c =>
+    Object.prototype.hasOwnProperty.call(stored, c) &&
+    JSON.stringify(stored[c]) !== JSON.stringify(original[c]));
+}
+
+function isRowSnapshot(original) {
+  return !!original && typeof original === 'object' && !Array.isArray(original);
+}
+
+/**
+ * Lock the stored row (inside the caller's transaction) and compare it with
+ * the client's snapshot.
+ * @returns {Promise<{ stored: Object|null, changedColumns: string[] }>}
+ *   stored is null when the row no longer exists
+ */
+async function lockAndCompare(client, writeTable, keyColumns, keyValues, original) {
+  const result = await client.query(
+    `SELECT * FROM ${quoteIdent(writeTable)} WHERE ${keyCondition(keyColumns)} FOR UPDATE`,
+    keyValues
+  );
+  if (result.rows.length === 0) return { stored: null, changedColumns: [] };
+  return { stored: result.rows[0], changedColumns: changedSinceRead(original, result.rows[0]) };
+}
+
+function writeConflictPayload(current, attempted, changedColumns) {
+  return {
+    message: WRITE_CONFLICT_MESSAGE,
+    current,
+    attempted,
+    changedColumns,
+    actions: ['save', 'drop', 'copy']
+  };
+}
+
+// ============================================================
+// Audit history
+// ============================================================
+
+const DEFAULT_HISTORY_ENTRIES = 100;
+const MAX_HISTORY_ENTRIES = 1000;
+
+/**
+ * Columns a restore can write: not GENERATED ALWAYS AS (expr). Identity
+ * columns are flagged, since UPDATE can't set a GENERATED ALWAYS one.
+ */
+async function restoreColumns(db, tableName, schemaName) {
+  const result = await db.query(`
+    SELECT column_name, identity_generation
+    FROM information_schema.columns
+    WHERE table_schema = $1 AND table_name = $2 AND is_generated <> 'ALWAYS'
+    ORDER BY ordinal_position
+  `, [schemaName, tableName]);
+  return result.rows;
+}
+
+/**
+ * Whether the request may see a record's history. shared.data_audit has no
+ * row policies of its own, so it goes by the table: the record must be
+ * visible through it now, or — deleted — its last version must pass the
+ * table's SELECT policies. A key with no history hides nothing.
+ */
+async function recordVisible(db, schemaName, databaseId, writeTable, keyColumns, keyValues) {
+  const current = await db.query(
+    `SELECT 1 FROM ${quoteIdent(writeTable)} WHERE ${keyCondition(keyColumns)}`,
+    keyValues
+  );
+  if (current.rows.length > 0) return true;
+  const last = await db.query(
+    `SELECT operation, old_row FROM shared.data_audit
+     WHERE database_id = $1 AND table_name = $2 AND record_key = $3::jsonb
+     ORDER BY id DESC LIMIT 1`,
+    [databaseId, writeTable, JSON.stringify(recordKey(keyColumns, keyValues))]
+  );
+  const entry = last.rows[0];
+  if (!entry) return true;
+  return entry.operation === 'DELETE' && passesSelectPolicies(db, schemaName, writeTable, entry.old_row);
+}
+
+/**
+ * Write a recorded version of a row back (inside the caller's transaction):
+ * an UPDATE when the row still exists, otherwise an INSERT that brings it
+ * back with its original key. Only columns the table still has are written.
+ * @returns {Promise<{ row: Object, restored: 'updated'|'inserted' }>}
+ */
+async function writeVersion(client, writeTable, keyColumns, keyValues, columns, version) {
+  const present = columns.filter(c => Object.prototype.hasOwnProperty.call(version, c.column_name));
+  const current = await client.query(
+    `SELECT * FROM ${quoteIdent(writeTable)} WHERE ${keyCondition(keyColumns)} FOR UPDATE`,
+    keyValues
+  );
+
+  if (current.rows.length > 0) {
+    const setColumns = present
+      .filter(c => !keyColumns.includes(c.column_name) && c.identity_generation !== 'ALWAYS')
+      .map(c => c.column_name);
+    if (setColumns.length === 0) return { row: current.rows[0], restored: 'updated' };
+    const result = await client.query(
+      `UPDATE ${quoteIdent(writeTable)}
+       SET ${setColumns.map((c, i) => `${quoteIdent(c)} = $${i + 1}`).join(', ')}
+       WHERE ${keyCondition(keyColumns, setColumns.length + 1)}
+       RETURNING *`,
+      [...setColumns.map(c => version[c]), ...keyValues]
+    );
+    return { row: result.rows[0], restored: 'updated' };
+  }
+
+  const insertColumns = present.map(c => c.column_name);
+  const result = await client.query(
+    `INSERT INTO ${quoteIdent(writeTable)} (${insertColumns.map(quoteIdent).join(', ')})
+     OVERRIDING SYSTEM VALUE
+     VALUES (${insertColumns.map((_, i) => `$${i + 1}`).join(', ')})
+     RETURNING *`,
+    insertColumns.map(c => version[c])
+  );
+  return { row: result.rows[0], restored: 'inserted' };
+}
+
+// ============================================================
+// Batch operations
+// ============================================================
+
+const MAX_BATCH_OPERATIONS = 1000;
+
+function batchError(message, status = 400, extra = {}) {
+  return Object.assign(new Error(message), { status, batchError: true }, extra);
+}
+
+/**
+ * Key values for a batch operation's `key`: a scalar for a single-column key,
+ * an object keyed by column or an array in key order (or either as JSON text).
+ */
+function batchRecordKey(key, keyColumns) {
+  if (key === null || key === undefined) return null;
+  if (typeof key === 'object') return keyValuesFrom(key, keyColumns);
+  return parseRecordKey(String(key), keyColumns);
+}
+
+/**
+ * Run one batch operation on the transaction client.
+ * Problems with the operation itself throw a batchError carrying an HTTP-style
+ * status (and the conflict payload for 409); database errors propagate as-is.
+ * @returns {Promise<Object>} the inserted/updated row (re-read through the view) or the deleted row
+ */
+async function runBatchOperation(client, source, target, validColumns, operation) {
+  if (!isRowSnapshot(operation)) throw batchError('Operation must be an object');
+  const { op, key, data, original } = operation;
+  const { writeTable, keyColumns } = target;
+
+  if (!['insert', 'update', 'delete'].includes(op)) {
+    throw batchError(`Unknown operation "${op}" (expected insert, update or delete)`);
+  }
+
+  let columns = [];
+  if (op !== 'delete') {
+    if (!isRowSnapshot(data)) throw batchError('data must be an object of column values');
+    columns = Object.keys(data).filter(k => validColumns.has(k));
+    if (columns.length === 0) throw batchError('No valid columns provided');
+  }
+  const values = columns.map(c => data[c]);
+
+  if (op === 'insert') {
+    const result = await client.query(
+      `INSERT INTO ${quoteIdent(writeTable)} (${columns.map(c => quoteIdent(c)).join(', ')}) ` +
+      `VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+      values
+    );
+    return rereadFromSource(client, source, writeTable, keyColumns, result.rows[0]);
+  }
+
+  if (keyColumns.length === 0) throw batchError('Table has no primary key');
+  const keyValues = batchRecordKey(key, keyColumns);
+  if (!keyValues) throw batchError(keyMismatchError(keyColumns));
+
+  if (op === 'delete') {
+    const result = await client.query(
+      `DELETE FROM ${quoteIdent(writeTable)} WHERE ${keyCondition(keyColumns)} RETURNING *`,
+      keyValues
+    );
+    if (result.rows.length === 0) throw batchError('Record not found', 404);
+    return result.rows[0];
+  }
+
+  if (original !== undefined) {
+    if (!isRowSnapshot(original)) throw batchError('original must be an object of column values');
+    const { stored, changedColumns } = await lockAndCompare(client, writeTable, keyColumns, keyValues, original);
+    if (!stored) throw batchError('Record not found', 404);
+    if (changedColumns.length > 0) {
+      const current = await rereadFromSource(client, source, writeTable, keyColumns, stored);
+      throw batchError('Write conflict', 409, {
+        conflict: writeConflictPayload(current, Object.fromEntries(columns.map(c => [c, data[c]])), changedColumns)
+      });
+    }
+  }
+
+  const result = await client.query(
+    `UPDATE ${quoteIdent(writeTable)} SET ${columns.map((c, i) => `${quoteIdent(c)} = $${i + 1}`).join(', ')} ` +
+    `WHERE ${keyCondition(keyColumns, columns.length + 1)} RETURNING *`,
+    [...values, ...keyValues]
+  );
+  if (result.rows.length === 0) throw batchError('Record not found', 404);
+  return rereadFromSource(client, source, writeTable, keyColumns, result.rows[0]);
+}
+
+// Rows fetched per round trip when streaming
+const STREAM_BATCH_SIZE = 500;
+
+/**
+ * Stream a query's rows through a server-side cursor, so the database side
+ * stays flat however many rows match. Must run inside a transaction.
+ * writer (lib/data-export.js) turns each batch into the response format.
+ * Stops early if the client disconnects.
+ * For a keyset read the query fetches one row past `limit`; that row is not
+ * sent, and a closing metadata line carries the cursor of the next page
+ * (null on the last page).
+ * @param {{ limit?: number|null, keyset?: boolean }} [opts]
+ */
+async function streamRows(client, query, params, req, res, writer, { limit = null, keyset = false } = {}) {
+  let closed = false;
+  req.on('close', () => { closed = true; });
+
+  const send = async (pending) => {
+    const chunk = await pending;
+    if (!chunk || chunk.length === 0 || closed) return;
+    if (!res.write(chunk)) {
+      await new Promise(resolve => {
+        res.once('drain', resolve);
+        res.once('close', resolve);
+      });
+    }
+  };
+
+  await client.query(`DECLARE data_stream NO SCROLL CURSOR FOR ${query}`, params);
+  let first = true;
+  let sent = 0;
+  let hasMore = false;
+  let lastCursor = null;
+  while (!closed) {
+    const batch = await client.query(`FETCH ${STREAM_BATCH_SIZE} FROM data_stream`);
+    if (first) {
+      await send(writer.begin((batch.fields || []).filter(f => f.name !== '__cursor')));
+      first = false;
+    }
+    let rows = batch.rows;
+    if (limit !== null && sent + rows.length > limit) {
+      hasMore = true;
+      rows = rows.slice(0, limit - sent);
+    }
+    if (rows.length > 0) lastCursor = rows[rows.length - 1].__cursor;
+    for (const row of rows) delete row.__cursor;
+    await send(writer.rows(rows));
+    sent += rows.length;
+    if (hasMore || batch.rows.length < STREAM_BATCH_SIZE) break;
+  }
+  await client.query('CLOSE data_stream');
+  if (keyset) await send(ndjsonMetaLine({ nextCursor: hasMore ? encodeCursor(lastCursor) : null }));
+  await send(writer.end());
+}
+
 module.exports = function(pool) {
   /**
    * GET /api/data/:source
    * Fetch records from a table or view
-   * Query params: limit, offset, orderBy, orderDir, filter (JSON object of column=value pairs)
+   * Query params:
+   *   limit, offset
+   *   filter       - JSON filter: {col: value} map, or {column, op, value} conditions
+   *                  nested with and/or/not (see lib/data-filter.js)
+   *   accessFilter - Access Filter string, e.g. [City] = "Boston" And [Total] > 100
+   *   search, searchColumns - case-insensitive substring search (comma-separated columns;
+   *                  whole row when omitted)
+   *   orderBy      - "[City] DESC, Name" or a JSON array; orderDir is the default direction
+   *   computed     - JSON array of server-side function columns
+   *   cursor       - keyset pagination: empty for the first page, then the previous
+   *                  response's pagination.nextCursor (offset is ignored)
+   *   count=false  - skip the COUNT(*) query; totalCount is returned as null
+   *   stream=ndjson (or Accept: application/x-ndjson) - stream rows as newline-delimited
+   *                  JSON; limit is optional and the total count is sent as X-Total-Count.
+   *                  With cursor, a last {"__meta":{"nextCursor"}} line follows the rows;
+   *                  a failure after the rows started is a {"__meta":{"error"}} line
+   * All supplied filters are combined with AND.
+   */
+  router.get('/:source', (req, res) => listRecords(req, res, null));
+
+  /**
+   * GET /api/data/:source/export
+   * Download a table or view as a file, with the same filter/search/sort
+   * params as GET /api/data/:source (no limit unless one is given).
+   * Query params:
+   *   format   - csv (default), xlsx or json
+   *   filename - suggested download name; the format's extension is applied
+   * CSV and JSON stream through a server-side cursor; XLSX is built in memory
+   * and holds one sheet, so an XLSX export of more rows than a sheet takes is
+   * a 413 (unless limit asks for fewer) rather than a silently cut-off file.
+   * Registered before /:source/:id, so a single-column key of "export" can't be read by id.
+   */
+  router.get('/:source/export', (req, res) => {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Unsupported export format "${format}" (expected ${Object.keys(EXPORT_FORMATS).join(', ')})` });
+    }
+    return listRecords(req, res, format);
+  });
+
+  /**
+   * Shared body of the list and export routes.
+   * @param {string|null} exportFormat - key of EXPORT_FORMATS, or null for a JSON/NDJSON read
    */
-  router.get('/:source', async (req, res) => {
+  async function listRecords(req, res, exportFormat) {
     try {
       const source = req.params.source.toLowerCase();
-      const limit = parseInt(req.query.limit) || 100;
-      const offset = parseInt(req.query.offset) || 0;
-      const orderBy = req.query.orderBy || null;
+      const stream = !!exportFormat || req.query.stream === 'ndjson' ||
+        /application\/x-ndjson/.test(req.headers.accept || '');
+      let limit = stream && !req.query.limit ? null : (parseInt(req.query.limit) || 100);
+      // Count first when the rows might not fit on one sheet
+      const checkSheetSize = exportFormat === 'xlsx' && (limit === null || limit > MAX_XLSX_ROWS);
+      if (exportFormat === 'xlsx') limit = Math.min(limit || MAX_XLSX_ROWS, MAX_XLSX_ROWS);
       const orderDir = req.query.orderDir === 'desc' ? 'DESC' : 'ASC';
+      const useCursor = !exportFormat && req.query.cursor !== undefined;
+      const offset = useCursor ? 0 : (parseInt(req.query.offset) || 0);
+      const skipCount = !checkSheetSize &&
+        (!!exportFormat || req.query.count === 'false' || req.query.count === '0');
 
       // Validate source name (prevent SQL injection)
       if (!NAME_RE.test(source)) {
@@ -199,91 +623,117 @@ module.exports = function(pool) {
         }
       }
 
-      // Build SELECT clause — add computed function calls if any
-      let selectClause;
+      // Build SELECT list — add computed function calls if any
+      const selectList = [];
+      let fromClause = `"${source}"`;
+      let rowRef = quoteIdent(source);
       if (computedCols.length > 0) {
-        const fnCalls = computedCols.map(spec => {
+        selectList.push('t.*');
+        for (const spec of computedCols) {
           const args = spec.params.map(p => `t.${quoteIdent(p)}`).join(', ');
-          return `${quoteIdent(spec.fn)}(${args}) AS ${quoteIdent(spec.alias)}`;
-        });
-        selectClause = `SELECT t.*${fnCalls.length ? ', ' + fnCalls.join(', ') : ''} FROM "${source}" t`;
+          selectList.push(`${quoteIdent(spec.fn)}(${args}) AS ${quoteIdent(spec.alias)}`);
+        }
+        fromClause = `"${source}" t`;
+        rowRef = 't';
       } else {
-        selectClause = `SELECT * FROM "${source}"`;
+        selectList.push('*');
       }
 
-      let query = selectClause;
+      // WHERE / ORDER BY — filters are shared by the data and count queries;
+      // the keyset condition only applies to the data query
       const params = [];
-      let paramIdx = 1;
-
-      // Build WHERE clause from filter (JSON object of column=value pairs)
-      if (req.query.filter) {
-        try {
-          const filter = JSON.parse(req.query.filter);
-          const conditions = [];
-          for (const [col, val] of Object.entries(filter)) {
-            const lcCol = col.toLowerCase();
-            // Validate column name to prevent injection
-            if (NAME_RE.test(lcCol)) {
-              conditions.push(`"${lcCol}" = $${paramIdx}`);
-              params.push(val);
-              paramIdx++;
-            }
+      let whereClause = '';
+      let dataWhereClause = '';
+      let sorts;
+      let filterParamCount = 0;
+      try {
+        const searchColumns = req.query.searchColumns
+          ? String(req.query.searchColumns).split(',').map(c => c.trim()).filter(Boolean)
+          : null;
+        const conditions = [
+          compileFilter(req.query.filter, params),
+          translateAccessFilter(req.query.accessFilter, params),
+          compileSearch(req.query.search, searchColumns, rowRef, params)
+        ].filter(Boolean);
+        whereClause = joinConditions(conditions);
+        filterParamCount = params.length;
+
+        sorts = parseOrderBy(req.query.orderBy, orderDir);
+        if (useCursor) {
+          // The primary key makes the sort order total, so no row is skipped or repeated
+          const keyColumns = await getRowKeyColumns(pool, source, req.schemaName || 'public', req.databaseId);
+          for (const column of keyColumns) {
+            if (!sorts.some(sort => sort.column === column)) sorts.push({ column, dir: 'ASC' });
           }
-          if (conditions.length > 0) {
-            query += ` WHERE ${conditions.join(' AND ')}`;
+          if (sorts.length === 0) {
+            return res.status(400).json({ error: 'Cursor pagination needs a primary key or an orderBy' });
+          }
+          selectList.push(`json_build_array(${sorts.map(sort => quoteIdent(sort.column)).join(', ')}) AS "__cursor"`);
+          if (req.query.cursor) {
+            const values = decodeCursor(req.query.cursor, sorts.length);
+            conditions.push(compileKeyset(sorts, values, params));
           }
-        } catch (e) {
-          // Invalid filter JSON, ignore
         }
+        dataWhereClause = joinConditions(conditions);
+      } catch (filterErr) {
+        if (filterErr.code === 'EFILTER') {
+          return res.status(400).json({ error: filterErr.message });
+        }
+        throw filterErr;
       }
-
-      if (orderBy && NAME_RE.test(orderBy)) {
-        query += ` ORDER BY "${orderBy}" ${orderDir}`;
+      const filterParams = params.slice(0, filterParamCount);
+
+      const orderList = compileOrderBy(sorts);
+      let query = `SELECT ${selectList.join(', ')} FROM ${fromClause}${dataWhereClause}` +
+        (orderList ? ` ORDER BY ${orderList}` : '');
+      const queryParams = [...params];
+      // One extra row tells us whether there is another page without counting
+      if (limit !== null) {
+        query += ` LIMIT $${queryParams.length + 1}`;
+        queryParams.push(stream && !useCursor ? limit : limit + 1);
       }
-      query += ` LIMIT $${paramIdx} OFFSET $${paramIdx + 1}`;
-      params.push(limit, offset);
+      if (offset > 0 || (!stream && !useCursor)) {
+        query += ` OFFSET $${queryParams.length + 1}`;
+        queryParams.push(offset);
+      }
+      const countQuery = `SELECT COUNT(*) FROM ${fromClause}${whereClause}`;
 
       // Use a transaction with SET LOCAL so views referencing
       // shared.form_control_state can read the session_id
       const sessionId = req.headers['x-session-id'];
       const client = await pool.connect();
-      let result, totalCount;
+      let rows, totalCount = null;
+      let tooManyRows = false;
       try {
-        // Set search_path on this dedicated client (middleware set it on a different pool connection)
-        if (req.schemaName) {
-          const quoted = '"' + req.schemaName.replace(/"/g, '""') + '"';
-          await client.query(`SET search_path = ${quoted}, shared, public`);
-        }
         await client.query('BEGIN');
         if (sessionId) {
           await client.query('SELECT set_config($1, $2, true)', ['app.session_id', sessionId]);
         }
 
-        result = await client.query(query, params);
-
         // Get total count (with same filter)
-        let countQuery = `SELECT COUNT(*) FROM "${source}"`;
-        const countParams = [];
-        if (req.query.filter) {
-          try {
-            const filter = JSON.parse(req.query.filter);
-            const conditions = [];
-            let ci = 1;
-            for (const [col, val] of Object.entries(filter)) {
-              const lcCol = col.toLowerCase();
-              if (NAME_RE.test(lcCol)) {
-                conditions.push(`"${lcCol}" = $${ci}`);
-                countParams.push(val);
-                ci++;
-              }
-            }
-            if (conditions.length > 0) {
-              countQuery += ` WHERE ${conditions.join(' AND ')}`;
-            }
-          } catch (e) {}
+        if (!skipCount) {
+          const countResult = await client.query(countQuery, filterParams);
+          totalCount = parseInt(countResult.rows[0].count);
+        }
+
+        if (checkSheetSize && totalCount - offset > MAX_XLSX_ROWS) {
+          tooManyRows = true;
+        } else if (stream) {
+          res.status(200);
+          if (exportFormat) {
+            const filename = exportFilename(req.query.filename, source, exportFormat);
+            res.setHeader('Content-Type', EXPORT_FORMATS[exportFormat].contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+          } else {
+            res.setHeader('Content-Type', 'application/x-ndjson');
+          }
+          if (totalCount !== null) res.setHeader('X-Total-Count', String(totalCount));
+          await streamRows(client, query, queryParams, req, res, createRowWriter(exportFormat || 'ndjson', source),
+            { limit, keyset: useCursor });
+        } else {
+          const result = await client.query(query, queryParams);
+          rows = result.rows;
         }
-        const countResult = await client.query(countQuery, countParams);
-        totalCount = parseInt(countResult.rows[0].count);
 
         await client.query('COMMIT');
       } catch (txErr) {
@@ -293,29 +743,59 @@ module.exports = function(pool) {
         client.release();
       }
 
+      if (tooManyRows) {
+        return res.status(413).json({
+          error: `${totalCount - offset} rows don't fit on one Excel sheet (at most ${MAX_XLSX_ROWS}); ` +
+            'export them as CSV, or filter or limit the rows'
+        });
+      }
+      if (stream) return res.end();
+
+      const hasMore = rows.length > limit;
+      if (hasMore) rows = rows.slice(0, limit);
+      let nextCursor = null;
+      if (useCursor) {
+        if (hasMore) nextCursor = encodeCursor(rows[rows.length - 1].__cursor);
+        for (const row of rows) delete row.__cursor;
+      }
+
       res.json({
-        data: result.rows,
+        data: rows,
         pagination: {
           limit,
           offset,
           totalCount,
-          hasMore: offset + result.rows.length < totalCount
+          hasMore,
+          ...(useCursor ? { nextCursor } : {})
         }
       });
     } catch (err) {
+      // Headers already went out with the first streamed rows — report in-band,
+      // or for a file download cut the response so it can't be saved as complete
+      if (res.headersSent) {
+        logError(pool, 'GET /api/data/:source', 'Failed while streaming data', err, { databaseId: req.databaseId });
+        if (exportFormat) return res.destroy(err);
+        return res.end(ndjsonMetaLine({ error: 'Failed to fetch data' }));
+      }
       // Relation doesn't exist yet (e.g. query not imported) — return empty data
       if (err.code === '42P01') {
         return res.json({ data: [], pagination: { limit: 50, offset: 0, totalCount: 0, hasMore: false } });
       }
+      // Unknown column in a filter or sort
+      if (err.code === '42703') {
+        return res.status(400).json({ error: err.message });
+      }
       console.error('Error fetching data:', err);
       logError(pool, 'GET /api/data/:source', 'Failed to fetch data', err, { databaseId: req.databaseId });
       res.status(500).json({ error: 'Failed to fetch data' });
     }
-  });
+  }
 
   /**
    * GET /api/data/:source/:id
    * Fetch a single record by primary key
+   * Composite keys: :id is a JSON object ({"order_id":1,"product_id":7}) or
+   * a JSON array in key order, URL-encoded.
    */
   router.get('/:source/:id', async (req, res) => {
     try {
@@ -325,15 +805,19 @@ module.exports = function(pool) {
         return res.status(400).json({ error: 'Invalid source name' });
       }
 
-      // Find primary key column (cached)
-      const pkColumn = await getPrimaryKey(pool, source, req.databaseId);
-      if (!pkColumn) {
+      // Find primary key columns (cached)
+      const keyColumns = await getRowKeyColumns(pool, source, req.schemaName || 'public', req.databaseId);
+      if (keyColumns.length === 0) {
         return res.status(400).json({ error: 'Table has no primary key' });
       }
+      const keyValues = parseRecordKey(id, keyColumns);
+      if (!keyValues) {
+        return res.status(400).json({ error: keyMismatchError(keyColumns) });
+      }
 
       const result = await pool.query(
-        `SELECT * FROM "${source}" WHERE "${pkColumn}" = $1`,
-        [id]
+        `SELECT * FROM ${quoteIdent(source)} WHERE ${keyCondition(keyColumns)}`,
+        keyValues
       );
 
       if (result.rows.length === 0) {
@@ -350,7 +834,10 @@ module.exports = function(pool) {
 
   /**
    * POST /api/data/:table
-   * Insert a new record
+   * Insert a new record. A write that breaks a constraint answers 400 (NOT
+   * NULL, check) or 409 (foreign key, unique) with Access's message:
+   * { error, code, table, field, value, constraint } (lib/constraint-errors.js).
+   * PUT and DELETE do the same.
    */
   router.post('/:table', async (req, res) => {
     try {
@@ -362,7 +849,7 @@ module.exports = function(pool) {
       }
 
       // If record source is a view, resolve to the underlying base table
-      const { writeTable } = await resolveWriteTarget(pool, table, req.schemaName || 'public', req.databaseId);
+      const { writeTable, keyColumns } = await resolveWriteTarget(pool, table, req.schemaName || 'public', req.databaseId);
 
       // Validate columns against the write target (base table, not the view)
       const validColumns = await getTableColumns(pool, writeTable, req.databaseId);
@@ -385,23 +872,18 @@ module.exports = function(pool) {
       `;
 
       const result = await pool.query(query, values);
-      let row = result.rows[0];
 
       // If we wrote to a base table but the form reads from a view,
       // re-read from the view so lookup columns are included
-      if (writeTable !== table && row) {
-        const insertedPk = await getPrimaryKey(pool, writeTable, req.databaseId);
-        if (insertedPk && row[insertedPk] != null) {
-          const viewRow = await pool.query(
-            `SELECT * FROM ${quoteIdent(table)} WHERE ${quoteIdent(insertedPk)} = $1`,
-            [row[insertedPk]]
-          );
-          if (viewRow.rows.length > 0) row = viewRow.rows[0];
-        }
-      }
+      const row = await rereadFromSource(pool, table, writeTable, keyColumns, result.rows[0]);
 
       res.status(201).json({ data: row });
     } catch (err) {
+      // A broken constraint answers with Access's message and the field
+      const { status, ...violation } = await describeConstraintError(pool, err, req.body) || {};
+      if (status) {
+        return res.status(status).json(violation);
+      }
       console.error('Error inserting record:', err);
       logError(pool, 'POST /api/data/:table', 'Failed to insert record', err, { databaseId: req.databaseId });
       res.status(500).json({ error: 'Failed to insert record' });
@@ -410,25 +892,37 @@ module.exports = function(pool) {
 
   /**
    * PUT /api/data/:table/:id
-   * Update an existing record
+   * Update an existing record (composite keys as for GET /api/data/:source/:id)
+   *
+   * Optimistic concurrency: when the body carries `__original` — the row as the
+   * client read it — the stored row is locked and compared with it first. If
+   * another user changed it in the meantime, nothing is written and the
+   * response is 409 with a `conflict` payload: the current row, the attempted
+   * changes and the columns that differ. To save anyway, resend with
+   * `__original` set to `conflict.current`.
    */
   router.put('/:table/:id', async (req, res) => {
     try {
       const { table, id } = req.params;
-      const data = req.body;
+      const { __original: original, ...data } = req.body;
 
       if (!NAME_RE.test(table)) {
         return res.status(400).json({ error: 'Invalid table name' });
       }
+      if (original !== undefined && !isRowSnapshot(original)) {
+        return res.status(400).json({ error: '__original must be an object of column values' });
+      }
 
       // If record source is a view, resolve to the underlying base table
-      const { writeTable } = await resolveWriteTarget(pool, table, req.schemaName || 'public', req.databaseId);
-
-      // Find primary key column on the base table
-      const pkColumn = await getPrimaryKey(pool, writeTable, req.databaseId);
-      if (!pkColumn) {
+      // and its primary key
+      const { writeTable, keyColumns } = await resolveWriteTarget(pool, table, req.schemaName || 'public', req.databaseId);
+      if (keyColumns.length === 0) {
         return res.status(400).json({ error: 'Table has no primary key' });
       }
+      const keyValues = parseRecordKey(id, keyColumns);
+      if (!keyValues) {
+        return res.status(400).json({ error: keyMismatchError(keyColumns) });
+      }
 
       // Validate columns against the write target (base table, not the view)
       const validColumns = await getTableColumns(pool, writeTable, req.databaseId);
@@ -447,30 +941,56 @@ module.exports = function(pool) {
       const query = `
         UPDATE ${quoteIdent(writeTable)}
         SET ${setClause}
-        WHERE ${quoteIdent(pkColumn)} = $${columns.length + 1}
+        WHERE ${keyCondition(keyColumns, columns.length + 1)}
         RETURNING *
       `;
 
-      const result = await pool.query(query, [...values, id]);
+      let result;
+      if (original) {
+        const client = await pool.connect();
+        try {
+          await client.query('BEGIN');
+          const { stored, changedColumns } = await lockAndCompare(client, writeTable, keyColumns, keyValues, original);
+          if (!stored) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Record not found' });
+          }
+          if (changedColumns.length > 0) {
+            await client.query('ROLLBACK');
+            const current = await rereadFromSource(client, table, writeTable, keyColumns, stored);
+            return res.status(409).json({
+              error: 'Write conflict',
+              conflict: writeConflictPayload(current, Object.fromEntries(columns.map(c => [c, data[c]])), changedColumns)
+            });
+          }
+
+          result = await client.query(query, [...values, ...keyValues]);
+          await client.query('COMMIT');
+        } catch (txErr) {
+          await client.query('ROLLBACK').catch(() => {});
+          throw txErr;
+        } finally {
+          client.release();
+        }
+      } else {
+        result = await pool.query(query, [...values, ...keyValues]);
+      }
 
       if (result.rows.length === 0) {
         return res.status(404).json({ error: 'Record not found' });
       }
 
-      let row = result.rows[0];
-
       // If we wrote to a base table but the form reads from a view,
       // re-read from the view so lookup columns are included
-      if (writeTable !== table && row) {
-        const viewRow = await pool.query(
-          `SELECT * FROM ${quoteIdent(table)} WHERE ${quoteIdent(pkColumn)} = $1`,
-          [id]
-        );
-        if (viewRow.rows.length > 0) row = viewRow.rows[0];
-      }
+      // (by the row's key after the update, in case a key column changed)
+      const row = await rereadFromSource(pool, table, writeTable, keyColumns, result.rows[0]);
 
       res.json({ data: row });
     } catch (err) {
+      const { status, ...violation } = await describeConstraintError(pool, err, req.body) || {};
+      if (status) {
+        return res.status(status).json(violation);
+      }
       console.error('Error updating record:', err);
       logError(pool, 'PUT /api/data/:table/:id', 'Failed to update record', err, { databaseId: req.databaseId });
       res.status(500).json({ error: 'Failed to update record' });
@@ -479,7 +999,7 @@ module.exports = function(pool) {
 
   /**
    * DELETE /api/data/:table/:id
-   * Delete a record
+   * Delete a record (composite keys as for GET /api/data/:source/:id)
    */
   router.delete('/:table/:id', async (req, res) => {
     try {
@@ -490,17 +1010,19 @@ module.exports = function(pool) {
       }
 
       // If record source is a view, resolve to the underlying base table
-      const { writeTable } = await resolveWriteTarget(pool, table, req.schemaName || 'public', req.databaseId);
-
-      // Find primary key column on the base table
-      const pkColumn = await getPrimaryKey(pool, writeTable, req.databaseId);
-      if (!pkColumn) {
+      // and its primary key
+      const { writeTable, keyColumns } = await resolveWriteTarget(pool, table, req.schemaName || 'public', req.databaseId);
+      if (keyColumns.length === 0) {
         return res.status(400).json({ error: 'Table has no primary key' });
       }
+      const keyValues = parseRecordKey(id, keyColumns);
+      if (!keyValues) {
+        return res.status(400).json({ error: keyMismatchError(keyColumns) });
+      }
 
       const result = await pool.query(
-        `DELETE FROM "${writeTable}" WHERE "${pkColumn}" = $1 RETURNING *`,
-        [id]
+        `DELETE FROM ${quoteIdent(writeTable)} WHERE ${keyCondition(keyColumns)} RETURNING *`,
+        keyValues
       );
 
       if (result.rows.length === 0) {
@@ -509,12 +1031,226 @@ module.exports = function(pool) {
 
       res.json({ success: true, deleted: result.rows[0] });
     } catch (err) {
+      const { status, ...violation } = await describeConstraintError(pool, err) || {};
+      if (status) {
+        return res.status(status).json(violation);
+      }
       console.error('Error deleting record:', err);
       logError(pool, 'DELETE /api/data/:table/:id', 'Failed to delete record', err, { databaseId: req.databaseId });
       res.status(500).json({ error: 'Failed to delete record' });
     }
   });
 
+  /**
+   * GET /api/data/:source/:id/history?limit=
+   * A record's recorded changes, newest first (tables audited through
+   * PUT /api/tables/:table/audit; a view's records resolve to its base table).
+   * Each entry: { id, operation, old_row, new_row, changed_columns, user_id,
+   * session_id, changed_at }. History is kept when auditing is turned off.
+   * Row policies apply: a record the user can't see through its table (see
+   * recordVisible) is a 404, history and all.
+   */
+  router.get('/:source/:id/history', async (req, res) => {
+    try {
+      const { source, id } = req.params;
+
+      if (!NAME_RE.test(source)) {
+        return res.status(400).json({ error: 'Invalid source name' });
+      }
+
+      const schemaName = req.schemaName || 'public';
+      const { writeTable, keyColumns } = await resolveWriteTarget(pool, source, schemaName, req.databaseId);
+      if (keyColumns.length === 0) {
+        return res.status(400).json({ error: 'Table has no primary key' });
+      }
+      const keyValues = parseRecordKey(id, keyColumns);
+      if (!keyValues) {
+        return res.status(400).json({ error: keyMismatchError(keyColumns) });
+      }
+      if (!await recordVisible(pool, schemaName, req.databaseId, writeTable, keyColumns, keyValues)) {
+        return res.status(404).json({ error: 'Record not found' });
+      }
+      const limit = Math.min(parseInt(req.query.limit) || DEFAULT_HISTORY_ENTRIES, MAX_HISTORY_ENTRIES);
+
+      const result = await pool.query(
+        `SELECT id, operation, old_row, new_row, user_id, session_id, changed_at
+         FROM shared.data_audit
+         WHERE database_id = $1 AND table_name = $2 AND record_key = $3::jsonb
+         ORDER BY id DESC
+         LIMIT $4`,
+        [req.databaseId, writeTable, JSON.stringify(recordKey(keyColumns, keyValues)), limit]
+      );
+
+      res.json({
+        table: writeTable,
+        audited: await isAudited(pool, schemaName, writeTable),
+        history: result.rows.map(entry => ({ ...entry, changed_columns: changedColumns(entry.old_row, entry.new_row) }))
+      });
+    } catch (err) {
+      console.error('Error fetching record history:', err);
+      logError(pool, 'GET /api/data/:source/:id/history', 'Failed to fetch record history', err, { databaseId: req.databaseId });
+      res.status(500).json({ error: 'Failed to fetch record history' });
+    }
+  });
+
+  /**
+   * POST /api/data/:table/:id/restore
+   * Put a record back the way an entry of its history left it — or, for a
+   * DELETE entry, the way it was before it was deleted. Body: { auditId }
+   * The restore is itself a change, recorded like any other.
+   * Response: { data, restored: 'updated'|'inserted', auditId }; 409 when the
+   * version breaks a constraint the table has now (e.g. a deleted parent row),
+   * 404 when row policies hide the record, as for its history.
+   */
+  router.post('/:table/:id/restore', async (req, res) => {
+    try {
+      const { table, id } = req.params;
+      const auditId = Number(req.body && req.body.auditId);
+
+      if (!NAME_RE.test(table)) {
+        return res.status(400).json({ error: 'Invalid table name' });
+      }
+      if (!Number.isInteger(auditId) || auditId <= 0) {
+        return res.status(400).json({ error: 'auditId must be the id of a history entry' });
+      }
+
+      const schemaName = req.schemaName || 'public';
+      const { writeTable, keyColumns } = await resolveWriteTarget(pool, table, schemaName, req.databaseId);
+      if (keyColumns.length === 0) {
+        return res.status(400).json({ error: 'Table has no primary key' });
+      }
+      const keyValues = parseRecordKey(id, keyColumns);
+      if (!keyValues) {
+        return res.status(400).json({ error: keyMismatchError(keyColumns) });
+      }
+      if (!await recordVisible(pool, schemaName, req.databaseId, writeTable, keyColumns, keyValues)) {
+        return res.status(404).json({ error: 'Record not found' });
+      }
+
+      const entryResult = await pool.query(
+        `SELECT id, operation, old_row, new_row FROM shared.data_audit
+         WHERE id = $1 AND database_id = $2 AND table_name = $3 AND record_key = $4::jsonb`,
+        [auditId, req.databaseId, writeTable, JSON.stringify(recordKey(keyColumns, keyValues))]
+      );
+      if (entryResult.rows.length === 0) {
+        return res.status(404).json({ error: 'History entry not found for this record' });
+      }
+      const version = restorableVersion(entryResult.rows[0]);
+      const columns = await restoreColumns(pool, writeTable, schemaName);
+
+      let written;
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        written = await writeVersion(client, writeTable, keyColumns, keyValues, columns, version);
+        await client.query('COMMIT');
+      } catch (txErr) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw txErr;
+      } finally {
+        client.release();
+      }
+
+      logEvent(pool, 'action', 'POST /api/data/:table/:id/restore', `Record restored in "${writeTable}"`, {
+        databaseId: req.databaseId, userId: req.userId, details: { table: writeTable, key: id, auditId, restored: written.restored }
+      });
+      const row = await rereadFromSource(pool, table, writeTable, keyColumns, written.row);
+      res.json({ data: row, restored: written.restored, auditId });
+    } catch (err) {
+      // Integrity constraint violations: the version no longer fits the data around it
+      if (/^23/.test(err.code || '')) {
+        return res.status(409).json({ error: `This version can't be restored: ${err.message}` });
+      }
+      console.error('Error restoring record:', err);
+      logError(pool, 'POST /api/data/:table/:id/restore', 'Failed to restore record', err, { databaseId: req.databaseId });
+      res.status(500).json({ error: 'Failed to restore record' });
+    }
+  });
+
+  /**
+   * POST /api/data/:table/batch
+   * Run several inserts, updates and deletes against one table or view in a
+   * single transaction (views write through to their base table).
+   * Body: { operations: [
+   *   { op: 'insert', data: {...} },
+   *   { op: 'update', key, data: {...}, original?: {...} },
+   *   { op: 'delete', key }
+   * ] }
+   * key is the key value, or for composite keys an object keyed by column or
+   * an array in key order; original enables write-conflict checks as for PUT.
+   * Each operation runs under a savepoint so every failing row is reported.
+   * If any fails, the whole batch is rolled back: 400, committed: false.
+   * Response: { committed, results: [{ index, op, ok, data?, status?, error?, code?, conflict? }] }
+   */
+  router.post('/:table/batch', async (req, res) => {
+    try {
+      const { table } = req.params;
+      const { operations } = req.body || {};
+
+      if (!NAME_RE.test(table)) {
+        return res.status(400).json({ error: 'Invalid table name' });
+      }
+      if (!Array.isArray(operations) || operations.length === 0) {
+        return res.status(400).json({ error: 'operations must be a non-empty array' });
+      }
+      if (operations.length > MAX_BATCH_OPERATIONS) {
+        return res.status(400).json({ error: `At most ${MAX_BATCH_OPERATIONS} operations per batch` });
+      }
+
+      const target = await resolveWriteTarget(pool, table, req.schemaName || 'public', req.databaseId);
+      const validColumns = await getTableColumns(pool, target.writeTable, req.databaseId);
+
+      const results = [];
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        for (let i = 0; i < operations.length; i++) {
+          const op = operations[i] && operations[i].op;
+          await client.query('SAVEPOINT batch_op');
+          try {
+            const data = await runBatchOperation(client, table, target, validColumns, operations[i]);
+            await client.query('RELEASE SAVEPOINT batch_op');
+            results.push({ index: i, op, ok: true, data });
+          } catch (opErr) {
+            await client.query('ROLLBACK TO SAVEPOINT batch_op');
+            const result = { index: i, op, ok: false, status: opErr.batchError ? opErr.status : 500, error: opErr.message };
+            if (opErr.code) result.code = opErr.code;
+            const violation = await describeConstraintError(client, opErr, operations[i] && operations[i].data);
+            if (violation) {
+              Object.assign(result, { status: violation.status, error: violation.error, field: violation.field, value: violation.value });
+            }
+            if (opErr.conflict) result.conflict = opErr.conflict;
+            results.push(result);
+          }
+        }
+
+        const failed = results.filter(r => !r.ok).length;
+        if (failed > 0) {
+          await client.query('ROLLBACK');
+          // Nothing was saved, so rows returned by the successful operations never existed
+          for (const r of results) delete r.data;
+          return res.status(400).json({
+            error: `${failed} of ${operations.length} operations failed; nothing was saved`,
+            committed: false,
+            results
+          });
+        }
+        await client.query('COMMIT');
+      } catch (txErr) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw txErr;
+      } finally {
+        client.release();
+      }
+
+      res.json({ committed: true, results });
+    } catch (err) {
+      console.error('Error running batch:', err);
+      logError(pool, 'POST /api/data/:table/batch', 'Failed to run batch', err, { databaseId: req.databaseId });
+      res.status(500).json({ error: 'Failed to run batch' });
+    }
+  });
+
   return router;
 };
 
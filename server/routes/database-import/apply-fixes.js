@@ -4,6 +4,7 @@
  */
 
 const { logError } = require('../../lib/events');
+const { importRelationships } = require('../../lib/relationships');
 
 module.exports = function(router, pool) {
 
@@ -33,38 +34,25 @@ module.exports = function(router, pool) {
         }
       }
 
-      // 2. Create foreign keys from Access relationships
-      if (relationships && Array.isArray(relationships)) {
-        for (const rel of relationships) {
-          const { primaryTable, foreignTable, fields } = rel;
-          if (!primaryTable || !foreignTable || !fields || !fields.length) continue;
-
-          const fkName = `fk_${foreignTable}_${primaryTable}`.toLowerCase().replace(/[^a-z0-9_]/g, '_');
-          const foreignCols = fields.map(f => `"${f.foreign}"`).join(', ');
-          const primaryCols = fields.map(f => `"${f.primary}"`).join(', ');
-          const schema = databaseId;
-
-          try {
-            await pool.query(`
-              ALTER TABLE "${schema}"."${foreignTable}"
-              ADD CONSTRAINT "${fkName}"
-              FOREIGN KEY (${foreignCols})
-              REFERENCES "${schema}"."${primaryTable}" (${primaryCols})
-            `);
-            await pool.query(`
-              INSERT INTO shared.import_log
-                (target_database_id, source_object_name, source_object_type, status, severity, category, message)
-              VALUES ($1, $2, 'table', 'issue', 'info', 'fk-created', $3)
-            `, [databaseId, foreignTable, `FK ${fkName}: ${foreignTable}(${fields.map(f => f.foreign).join(', ')}) → ${primaryTable}(${fields.map(f => f.primary).join(', ')})`]);
-            results.push({ fix: 'fk', object: fkName, status: 'ok' });
-          } catch (err) {
-            await pool.query(`
-              INSERT INTO shared.import_log
-                (target_database_id, source_object_name, source_object_type, status, severity, category, message)
-              VALUES ($1, $2, 'table', 'issue', 'warning', 'fk-failed', $3)
-            `, [databaseId, foreignTable, `FK ${fkName} failed: ${err.message}`]).catch(() => {});
-            results.push({ fix: 'fk', object: fkName, status: 'error', error: err.message });
-          }
+      // 2. Create foreign keys from Access relationships (lib/relationships.js)
+      if (relationships && Array.isArray(relationships) && relationships.length) {
+        const dbResult = await pool.query(
+          'SELECT schema_name FROM shared.databases WHERE database_id = $1',
+          [databaseId]
+        );
+        if (dbResult.rows.length === 0) {
+          return res.status(404).json({ error: 'Database not found' });
+        }
+        const fk = await importRelationships(pool, {
+          databaseId, schemaName: dbResult.rows[0].schema_name, relationships
+        });
+        for (const r of fk.results) {
+          results.push({
+            fix: 'fk', object: r.constraint || r.relationship,
+            status: ['created', 'not-validated'].includes(r.status) ? 'ok' : r.status,
+            ...(r.error && { error: r.error }),
+            ...(r.orphanRows && { orphanRows: r.orphanRows })
+          });
         }
       }
 
@@ -225,7 +225,7 @@ module.exports = function(router, pool) {
               id: `c${++cid}`,
               type: 'crosstab-query',
               object: name,
-              message: 'Crosstab query \u2014 requires tablefunc extension or manual rewrite'
+              message: 'Crosstab query \u2014 becomes a view when PIVOT has an IN (...) column list, otherwise a function returning JSON rows'
             });
           }
 
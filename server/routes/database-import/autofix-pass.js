@@ -7,6 +7,7 @@
 const { logError } = require('../../lib/events');
 const { getSchemaInfo, validateFormCrossObject, validateReportCrossObject } = require('../lint');
 const { validateForm, validateReport } = require('../lint');
+const { runWithSchema } = require('../../lib/schema-scope');
 
 module.exports = function(router, pool, secrets) {
 
@@ -496,8 +497,7 @@ async function applyPatch(definition, patch, schemaInfo, pool, schemaName) {
       sql = sql.replace(/\s+FROM\s+dual\b/gi, '');
       // Verify SQL with EXPLAIN
       try {
-        await pool.query(`SET search_path TO "${schemaName}", shared, public`);
-        await pool.query(`EXPLAIN ${sql}`);
+        await runWithSchema(schemaName, () => pool.query(`EXPLAIN ${sql}`));
 
         // Find and update the control with the sanitized SQL
         const applied = updateControlRowSource(definition, sqlFix.control_name, sql);
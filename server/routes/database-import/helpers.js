@@ -117,6 +117,40 @@ async function runPowerShell(scriptPath, args = [], { timeout = 60000 } = {}) {
   });
 }
 
+/**
+ * Check once whether powershell.exe can be spawned on this host.
+ * The result is cached for the life of the process.
+ */
+let powerShellCheck = null;
+function isPowerShellAvailable() {
+  if (!powerShellCheck) {
+    powerShellCheck = new Promise(resolve => {
+      let ps;
+      try {
+        ps = spawn('powershell.exe', ['-NoProfile', '-NonInteractive', '-Command', 'exit 0']);
+      } catch {
+        return resolve(false);
+      }
+      const timer = setTimeout(() => { ps.kill('SIGTERM'); resolve(false); }, 15000);
+      ps.on('error', () => { clearTimeout(timer); resolve(false); });
+      ps.on('close', (code) => { clearTimeout(timer); resolve(code === 0); });
+    });
+  }
+  return powerShellCheck;
+}
+
+/**
+ * Pick the backend used to read Access files: 'powershell' (DAO via COM)
+ * or 'js' (lib/access-reader). ACCESSCLONE_ACCESS_BACKEND forces either;
+ * otherwise the JS reader is used when PowerShell is unavailable.
+ * @returns {Promise<'powershell'|'js'>}
+ */
+async function getAccessBackend() {
+  const forced = (process.env.ACCESSCLONE_ACCESS_BACKEND || '').toLowerCase();
+  if (forced === 'js' || forced === 'powershell') return forced;
+  return (await isPowerShellAvailable()) ? 'powershell' : 'js';
+}
+
 /**
  * Promise-based mutex for COM-intensive operations.
  * Only one COM operation runs at a time; concurrent callers queue.
@@ -187,5 +221,5 @@ function parsePowerShellJson(output) {
 
 module.exports = {
   makeLogImport, DEFAULT_SCAN_LOCATIONS, runPowerShell, scanDirectory, parsePowerShellJson, withComLock,
-  createImportRun, completeImportRun
+  createImportRun, completeImportRun, isPowerShellAvailable, getAccessBackend
 };
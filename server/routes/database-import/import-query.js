@@ -223,7 +223,9 @@ module.exports = function(router, pool, secrets) {
                 AND table_schema = $1 AND table_name != $2
               GROUP BY table_name
             )
-            SELECT vb.table_name AS base_table, kcu.column_name AS pk_column
+            SELECT vb.table_name AS base_table,
+                   (array_agg(kcu.column_name::text ORDER BY kcu.ordinal_position)
+                     FILTER (WHERE kcu.column_name IS NOT NULL)) AS pk_columns
             FROM view_base vb
             LEFT JOIN information_schema.table_constraints tc
               ON tc.table_name = vb.table_name AND tc.table_schema = $1
@@ -231,11 +233,12 @@ module.exports = function(router, pool, secrets) {
             LEFT JOIN information_schema.key_column_usage kcu
               ON kcu.constraint_name = tc.constraint_name AND kcu.table_schema = $1
             WHERE vb.rn = 1
-            LIMIT 1
+            GROUP BY vb.table_name
           `, [schemaName, pgName]);
 
           if (baseResult.rows.length > 0) {
-            const { base_table, pk_column } = baseResult.rows[0];
+            const { base_table } = baseResult.rows[0];
+            const pkColumns = baseResult.rows[0].pk_columns || [];
 
             // Find which view columns come from the base table (these are writable)
             const writableCols = await pool.query(`
@@ -247,11 +250,11 @@ module.exports = function(router, pool, secrets) {
             const writableColumns = writableCols.rows.map(r => r.column_name);
 
             await pool.query(`
-              INSERT INTO shared.view_metadata (database_id, view_name, base_table, pk_column, writable_columns)
-              VALUES ($1, $2, $3, $4, $5)
+              INSERT INTO shared.view_metadata (database_id, view_name, base_table, pk_column, pk_columns, writable_columns)
+              VALUES ($1, $2, $3, $4, $5, $6)
               ON CONFLICT (database_id, view_name)
-              DO UPDATE SET base_table = $3, pk_column = $4, writable_columns = $5
-            `, [targetDatabaseId, pgName, base_table, pk_column, writableColumns]);
+              DO UPDATE SET base_table = $3, pk_column = $4, pk_columns = $5, writable_columns = $6
+            `, [targetDatabaseId, pgName, base_table, pkColumns[0] || null, pkColumns, writableColumns]);
           }
         } catch (vmErr) {
           console.warn(`[QUERY ${queryName}] Could not populate view_metadata:`, vmErr.message);
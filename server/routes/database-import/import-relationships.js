@@ -0,0 +1,75 @@
+/**
+ * Relationship import route.
+ * POST /import-relationships — Create foreign keys from the Access relationships,
+ * once all tables are imported.
+ */
+
+const path = require('path');
+const { logError } = require('../../lib/events');
+const { clearSchemaCache } = require('../data');
+const { importRelationships } = require('../../lib/relationships');
+const { runPowerShell, withComLock, getAccessBackend } = require('./helpers');
+const accessReader = require('../../lib/access-reader');
+
+/**
+ * List an Access file's relationships: list_relationships.ps1 (DAO), or the
+ * JavaScript reader when PowerShell is unavailable.
+ */
+async function listRelationships(databasePath) {
+  if (await getAccessBackend() === 'js') {
+    return accessReader.listRelationships(databasePath);
+  }
+  const script = path.join(__dirname, '..', '..', '..', 'scripts', 'access', 'list_relationships.ps1');
+  const output = await withComLock(() => runPowerShell(script, ['-DatabasePath', databasePath]));
+  const parsed = output ? JSON.parse(output.replace(/^\uFEFF/, '').trim()) : [];
+  return Array.isArray(parsed) ? parsed : [parsed];
+}
+
+module.exports = function(router, pool) {
+
+  /**
+   * POST /api/database-import/import-relationships
+   * Body: { databasePath, targetDatabaseId, relationships?, runId? }
+   * relationships (list_relationships.ps1 shape) are read from databasePath
+   * when not given. Responds with a result per relationship and the orphan
+   * rows behind each foreign key created NOT VALID.
+   */
+  router.post('/import-relationships', async (req, res) => {
+    const { databasePath, targetDatabaseId, runId = null } = req.body;
+    try {
+      if (!targetDatabaseId || (!databasePath && !Array.isArray(req.body.relationships))) {
+        return res.status(400).json({ error: 'targetDatabaseId and databasePath or relationships required' });
+      }
+
+      const dbResult = await pool.query(
+        'SELECT schema_name FROM shared.databases WHERE database_id = $1',
+        [targetDatabaseId]
+      );
+      if (dbResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Target database not found' });
+      }
+
+      const relationships = Array.isArray(req.body.relationships)
+        ? req.body.relationships
+        : await listRelationships(databasePath);
+
+      const { results, violations } = await importRelationships(pool, {
+        databaseId: targetDatabaseId,
+        schemaName: dbResult.rows[0].schema_name,
+        relationships,
+        sourcePath: databasePath || null,
+        runId
+      });
+      clearSchemaCache(targetDatabaseId);
+
+      res.json({ results, violations });
+    } catch (err) {
+      console.error('Error importing relationships:', err);
+      logError(pool, 'POST /api/database-import/import-relationships', 'Failed to import relationships', err, {
+        databaseId: targetDatabaseId, details: { databasePath }
+      });
+      res.status(500).json({ error: 'Failed to import relationships' });
+    }
+  });
+
+};
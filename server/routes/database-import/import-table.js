@@ -8,8 +8,10 @@ const { logError } = require('../../lib/events');
 const { clearSchemaCache } = require('../data');
 const { convertAccessExpression, sanitizeName } = require('../../lib/query-converter');
 const { resolveType, mapAccessType, quoteIdent } = require('../../lib/access-types');
-const { makeLogImport, runPowerShell } = require('./helpers');
+const { makeLogImport, runPowerShell, getAccessBackend } = require('./helpers');
+const accessReader = require('../../lib/access-reader');
 const { saveObject } = require('../../lib/objects');
+const { tableCheckConstraints, addCheckConstraints } = require('../../lib/validation-rules');
 
 module.exports = function(router, pool) {
 
@@ -35,25 +37,30 @@ module.exports = function(router, pool) {
       }
       const schemaName = dbResult.rows[0].schema_name;
 
-      // 2. Run export_table.ps1
-      const scriptsDir = path.join(__dirname, '..', '..', '..', 'scripts', 'access');
-      const exportScript = path.join(scriptsDir, 'export_table.ps1');
-      const jsonOutput = await runPowerShell(exportScript, [
-        '-DatabasePath', databasePath,
-        '-TableName', tableName
-      ]);
-
-      const cleanOutput = jsonOutput.replace(/^\uFEFF/, '').trim();
-      const jsonStart = cleanOutput.indexOf('{');
-      if (jsonStart === -1) {
-        throw new Error('No JSON object found in PowerShell output');
-      }
+      // 2. Extract structure + data: export_table.ps1 (DAO), or the
+      //    JavaScript reader when PowerShell is unavailable
       let tableData;
-      try {
-        tableData = JSON.parse(cleanOutput.substring(jsonStart));
-      } catch (jsonErr) {
-        const snippet = cleanOutput.substring(jsonStart).substring(Math.max(0, jsonErr.message.match(/position (\d+)/)?.[1] - 50 || 0), (jsonErr.message.match(/position (\d+)/)?.[1] || 0) + 50);
-        throw new Error(`Invalid JSON from export_table.ps1: ${jsonErr.message}. Near: ${snippet}`);
+      if (await getAccessBackend() === 'js') {
+        tableData = await accessReader.exportTable(databasePath, tableName);
+      } else {
+        const scriptsDir = path.join(__dirname, '..', '..', '..', 'scripts', 'access');
+        const exportScript = path.join(scriptsDir, 'export_table.ps1');
+        const jsonOutput = await runPowerShell(exportScript, [
+          '-DatabasePath', databasePath,
+          '-TableName', tableName
+        ]);
+
+        const cleanOutput = jsonOutput.replace(/^\uFEFF/, '').trim();
+        const jsonStart = cleanOutput.indexOf('{');
+        if (jsonStart === -1) {
+          throw new Error('No JSON object found in PowerShell output');
+        }
+        try {
+          tableData = JSON.parse(cleanOutput.substring(jsonStart));
+        } catch (jsonErr) {
+          const snippet = cleanOutput.substring(jsonStart).substring(Math.max(0, jsonErr.message.match(/position (\d+)/)?.[1] - 50 || 0), (jsonErr.message.match(/position (\d+)/)?.[1] || 0) + 50);
+          throw new Error(`Invalid JSON from export_table.ps1: ${jsonErr.message}. Near: ${snippet}`);
+        }
       }
 
       const fields = tableData.fields || [];
@@ -77,7 +84,11 @@ module.exports = function(router, pool) {
           originalName: f.name,
           pgName: sanitizeName(f.name),
           pgType,
+          accessType: f.type,
           required: f.required,
+          allowZeroLength: f.allowZeroLength,
+          validationRule: f.validationRule || null,
+          validationText: f.validationText || null,
           isAutoNumber: f.isAutoNumber,
           defaultValue: f.defaultValue,
           isCalculated: !!f.isCalculated,
@@ -100,6 +111,8 @@ module.exports = function(router, pool) {
       // 5. BEGIN transaction
       const client = await pool.connect();
       const calculatedWarnings = [];
+      const constraintWarnings = [];
+      let checkConstraints = [];
       try {
         await client.query('BEGIN');
 
@@ -186,16 +199,54 @@ module.exports = function(router, pool) {
           }
         }
 
-        // 9. Create non-PK indexes
+        // 9. Create non-PK indexes. Access keeps an index per relationship
+        //    too, often on the same fields as a regular one: one index per
+        //    field list, unique if any of them is. IgnoreNulls makes a
+        //    non-unique index partial (a unique one skips NULLs anyway).
+        const tableColumns = new Set(columnInfo.filter(c => !c.isAttachment).map(c => c.pgName));
+        const indexesByFields = new Map();
         for (const idx of indexes) {
-          if (idx.primary) continue;
-          const idxColNames = idx.fields.map(f => quoteIdent(sanitizeName(f))).join(', ');
+          const idxFields = (idx.fields || []).map(f => sanitizeName(f));
+          const key = idxFields.join(',');
+          if (idx.primary || !idxFields.length || key === pkFieldNames.join(',')) continue;
+          const missing = idxFields.filter(f => !tableColumns.has(f));
+          if (missing.length) {
+            constraintWarnings.push(`Index "${idx.name}" not created: column(s) ${missing.join(', ')} not imported`);
+            continue;
+          }
+          const seen = indexesByFields.get(key);
+          if (seen) {
+            seen.unique = seen.unique || !!idx.unique;
+            seen.ignoreNulls = seen.ignoreNulls && !!idx.ignoreNulls;
+          } else {
+            indexesByFields.set(key, { name: idx.name, fields: idxFields, unique: !!idx.unique, ignoreNulls: !!idx.ignoreNulls });
+          }
+        }
+        for (const idx of indexesByFields.values()) {
+          const idxColNames = idx.fields.map(f => quoteIdent(f)).join(', ');
           const idxName = `${pgTableName}_${sanitizeName(idx.name)}`;
           const uniqueStr = idx.unique ? 'UNIQUE ' : '';
-          const createIdxSQL = `CREATE ${uniqueStr}INDEX IF NOT EXISTS ${quoteIdent(idxName)} ON ${quoteIdent(schemaName)}.${quoteIdent(pgTableName)} (${idxColNames})`;
+          const whereStr = idx.ignoreNulls && !idx.unique
+            ? ` WHERE ${idx.fields.map(f => `${quoteIdent(f)} IS NOT NULL`).join(' AND ')}`
+            : '';
+          const createIdxSQL = `CREATE ${uniqueStr}INDEX IF NOT EXISTS ${quoteIdent(idxName)} ON ${quoteIdent(schemaName)}.${quoteIdent(pgTableName)} (${idxColNames})${whereStr}`;
           await client.query(createIdxSQL);
         }
 
+        // 9b. Validation rules, table rule and AllowZeroLength as CHECK
+        //     constraints carrying the ValidationText (lib/validation-rules.js)
+        const checks = tableCheckConstraints({
+          name: tableName,
+          pgName: pgTableName,
+          validationRule: tableData.validationRule || null,
+          validationText: tableData.validationText || null,
+          fields: columnInfo
+        });
+        constraintWarnings.push(...checks.warnings);
+        const checkResult = await addCheckConstraints(client, schemaName, pgTableName, checks.constraints);
+        constraintWarnings.push(...checkResult.warnings);
+        checkConstraints = checkResult.added;
+
         // 10. COMMIT
         await client.query('COMMIT');
       } catch (txErr) {
@@ -277,7 +328,9 @@ module.exports = function(router, pool) {
         rowCount: rows.length,
         skippedColumns: skippedNames.length > 0 ? skippedNames : undefined,
         calculatedColumns: calculatedCols.length > 0 ? calculatedCols.map(c => c.originalName) : undefined,
-        calculatedWarnings: calculatedWarnings.length > 0 ? calculatedWarnings : undefined
+        calculatedWarnings: calculatedWarnings.length > 0 ? calculatedWarnings : undefined,
+        checkConstraints: checkConstraints.length > 0 ? checkConstraints.map(c => c.name) : undefined,
+        constraintWarnings: constraintWarnings.length > 0 ? constraintWarnings : undefined
       });
 
       // 13. Log issues for skipped columns
@@ -310,6 +363,21 @@ module.exports = function(router, pool) {
         }
       }
 
+      // 15. Log issues for validation rules and indexes that didn't carry over
+      if (constraintWarnings.length > 0) {
+        try {
+          for (const warning of constraintWarnings) {
+            await pool.query(`
+              INSERT INTO shared.import_log
+                (target_database_id, source_object_name, source_object_type, status, severity, category, message)
+              VALUES ($1, $2, 'table', 'issue', 'warning', 'validation-rule', $3)
+            `, [targetDatabaseId, tableName, warning]);
+          }
+        } catch (issueErr) {
+          console.error('Error logging validation rule warnings:', issueErr);
+        }
+      }
+
       res.json({
         success: true,
         tableName: pgTableName,
@@ -318,6 +386,8 @@ module.exports = function(router, pool) {
         skippedColumns: skippedNames,
         calculatedColumns: calculatedCols.map(c => c.originalName),
         calculatedWarnings,
+        checkConstraints,
+        constraintWarnings,
         drift
       });
     } catch (err) {
@@ -10,6 +10,7 @@ module.exports = function(pool, secrets) {
   require('./scan')(router, pool);
   require('./export')(router, pool);
   require('./import-table')(router, pool);
+  require('./import-relationships')(router, pool);
   require('./import-query')(router, pool, secrets);
   require('./import-images')(router, pool);
   require('./import-attachments')(router, pool);
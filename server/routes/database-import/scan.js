@@ -7,7 +7,8 @@
 const path = require('path');
 const fs = require('fs').promises;
 const { logError } = require('../../lib/events');
-const { DEFAULT_SCAN_LOCATIONS, runPowerShell, scanDirectory, withComLock } = require('./helpers');
+const { DEFAULT_SCAN_LOCATIONS, runPowerShell, scanDirectory, withComLock, getAccessBackend } = require('./helpers');
+const accessReader = require('../../lib/access-reader');
 
 module.exports = function(router, pool) {
 
@@ -121,6 +122,7 @@ module.exports = function(router, pool) {
    * Get details about a specific Access database (tables, forms, reports)
    * If path is an .mdb file, silently converts to .accdb first.
    * AutoExec macros are disabled before any COM automation.
+   * When PowerShell is unavailable, tables are listed with the JS reader.
    */
   router.get('/database', async (req, res) => {
     try {
@@ -137,6 +139,26 @@ module.exports = function(router, pool) {
         return res.status(404).json({ error: 'Database file not found' });
       }
 
+      // Without PowerShell only tables and relationships can be read
+      // (pure-JS reader); forms, reports, queries, modules and macros need
+      // Access via COM
+      if (await getAccessBackend() === 'js') {
+        const tables = await accessReader.listTables(dbPath);
+        let relationships = [];
+        try {
+          relationships = await accessReader.listRelationships(dbPath);
+        } catch (err) {
+          console.error('Error listing relationships:', err.message);
+        }
+        return res.json({
+          path: dbPath,
+          name: path.basename(dbPath),
+          forms: [], reports: [], tables, queries: [], modules: [], macros: [], relationships,
+          backend: 'js',
+          warnings: ['PowerShell is not available: only tables were listed. Forms, reports, queries, modules and macros require Microsoft Access on Windows.']
+        });
+      }
+
       // All COM work runs inside the lock so concurrent requests queue
       const result = await withComLock(async () => {
         const scriptsDir = path.join(__dirname, '..', '..', '..', 'scripts', 'access');
@@ -6,6 +6,7 @@
 const { logError } = require('../../lib/events');
 const { validateForm, validateReport, validateFormCrossObject, validateReportCrossObject, getSchemaInfo } = require('../lint');
 const { translateFormRefs, translateTempVars } = require('../../lib/query-converter');
+const { runWithSchema } = require('../../lib/schema-scope');
 
 module.exports = function(router, pool) {
 
@@ -76,8 +77,7 @@ module.exports = function(router, pool) {
                   let sql = translateTempVars(rowSource);
                   sql = translateFormRefs(sql);
                   sql = sql.replace(/\[([^\]]+)\]/g, '$1');
-                  await pool.query(`SET search_path TO "${schemaName}", shared, public`);
-                  await pool.query(`EXPLAIN ${sql.replace(/;$/, '')}`);
+                  await runWithSchema(schemaName, () => pool.query(`EXPLAIN ${sql.replace(/;$/, '')}`));
                 } catch (sqlErr) {
                   issues.push({
                     severity: 'warning',
@@ -1,59 +1,95 @@
 /**
- * Database switching routes
- * Handles listing and switching between databases
+ * Database routes
+ * Lists, creates and opens databases. The server keeps no "current" database:
+ * each client sends the one it is in as X-Database-ID and remembers its choice
+ * in its saved UI state (/api/session/ui-state).
+ *
+ * Lifecycle (lib/database-lifecycle.js): clone, rename, archive, drop, and
+ * back up / restore a database as a portable archive file.
  */
 
 const express = require('express');
-const router = express.Router();
-const { logError } = require('../lib/events');
+const zlib = require('zlib');
+const { logEvent, logError } = require('../lib/events');
+const { roleFor } = require('../lib/auth');
+const {
+  ATTACHMENTS_DIR, cloneDatabase, renameDatabase, dropDatabase, backupDatabase, restoreDatabase
+} = require('../lib/database-lifecycle');
 
-module.exports = function(pool) {
-  // Track current database (server-side state)
-  // Initialized to null, set on first request or via initializeDefault()
-  let currentDatabaseId = null;
+const DATABASE_ID_RE = /^[a-z0-9]+(_[a-z0-9]+)*$/;
 
-  // Getter for current database ID (used by middleware)
-  router.getCurrentDatabaseId = () => currentDatabaseId;
+// Largest archive restore reads, unzipped: JSON.parse needs it as one string
+const MAX_ARCHIVE_BYTES = 512 * 1024 * 1024;
 
-  /**
-   * Initialize default database from shared.databases
-   * Called on server startup
-   */
-  router.initializeDefault = async () => {
+/** database_id for a display name: lowercase, runs of anything else as _, trimmed */
+function databaseIdFor(name) {
+  return name.trim().toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+}
+
+/**
+ * A backup archive from a request body, gzipped or not; null if it isn't JSON.
+ * Throws (status 413) when it is, or unzips to, more than maxBytes.
+ */
+function readArchive(body, maxBytes) {
+  const tooLarge = () => Object.assign(new Error(`The archive is larger than ${maxBytes} bytes unzipped`), { status: 413 });
+  let buffer = body;
+  if (body[0] === 0x1f && body[1] === 0x8b) {
     try {
-      // Get the most recently accessed database, or first by name
-      const result = await pool.query(`
-        SELECT database_id FROM shared.databases
-        ORDER BY last_accessed DESC NULLS LAST, name
-        LIMIT 1
-      `);
-
-      if (result.rows.length > 0) {
-        currentDatabaseId = result.rows[0].database_id;
-        console.log(`Default database: ${currentDatabaseId}`);
-      } else {
-        console.log('No databases found in shared.databases');
-      }
+      buffer = zlib.gunzipSync(body, { maxOutputLength: maxBytes });
     } catch (err) {
-      console.error('Error initializing default database:', err.message);
+      if (err.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+      return null;
     }
-  };
+  }
+  if (buffer.length > maxBytes) throw tooLarge();
+  try {
+    return JSON.parse(buffer.toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+module.exports = function(pool, { attachmentsDir = ATTACHMENTS_DIR, maxArchiveBytes = MAX_ARCHIVE_BYTES } = {}) {
+  const router = express.Router();
+
+  async function loadDatabase(databaseId) {
+    const result = await pool.query('SELECT * FROM shared.databases WHERE database_id = $1', [databaseId]);
+    return result.rows[0] || null;
+  }
+
+  /** Lifecycle errors the caller can fix carry their status; anything else is a 500. */
+  function lifecycleFailure(res, err, route, message, databaseId) {
+    if (err.code === 'ELIFECYCLE') return res.status(err.status).json({ error: err.message });
+    console.error(`${message}:`, err);
+    logError(pool, route, message, err, { databaseId });
+    res.status(500).json({ error: err.message });
+  }
 
   /**
-   * GET /api/databases
-   * List all available databases
+   * GET /api/databases?archived=true
+   * List all available databases, archived ones only when asked. With
+   * authentication on, only those the user has a role on, with that role.
    */
   router.get('/', async (req, res) => {
     try {
-      const result = await pool.query(`
-        SELECT database_id, name, schema_name, description, last_accessed
-        FROM shared.databases
-        ORDER BY name
-      `);
-      res.json({
-        databases: result.rows,
-        current: currentDatabaseId
-      });
+      const archived = req.query.archived === 'true';
+      const result = req.user && !req.user.isAdmin
+        ? await pool.query(`
+          SELECT d.database_id, d.name, d.schema_name, d.description, d.last_accessed, d.archived_at, r.role
+          FROM shared.databases d
+          JOIN shared.database_roles r ON r.database_id = d.database_id AND r.user_id = $1
+          ${archived ? '' : 'WHERE d.archived_at IS NULL'}
+          ORDER BY d.name
+        `, [req.user.id])
+        : await pool.query(`
+          SELECT database_id, name, schema_name, description, last_accessed, archived_at${req.user ? ", 'admin' AS role" : ''}
+          FROM shared.databases
+          ${archived ? '' : 'WHERE archived_at IS NULL'}
+          ORDER BY name
+        `);
+      res.json({ databases: result.rows });
     } catch (err) {
       console.error('Error fetching databases:', err);
       logError(pool, 'GET /api/databases', 'Failed to fetch databases', err);
@@ -73,10 +109,7 @@ module.exports = function(pool) {
         return res.status(400).json({ error: 'Name is required' });
       }
 
-      // Generate database_id: lowercase, replace non-alphanumeric with _, collapse multiples, trim edges
-      const database_id = name.trim().toLowerCase()
-        .replace(/[^a-z0-9]+/g, '_')
-        .replace(/^_|_$/g, '');
+      const database_id = databaseIdFor(name);
 
       if (!database_id) {
         return res.status(400).json({ error: 'Name must contain at least one alphanumeric character' });
@@ -116,21 +149,30 @@ module.exports = function(pool) {
 
   /**
    * POST /api/databases/switch
-   * Switch to a different database
+   * Open a database: checks the user may use it and records the access.
+   * Nothing changes for anyone else — the client sends it as X-Database-ID from now on.
    */
   router.post('/switch', async (req, res) => {
     const { database_id } = req.body;
 
     try {
+      if (req.user && !(await roleFor(pool, req.user, database_id))) {
+        return res.status(403).json({ error: `No access to database "${database_id}"` });
+      }
+
       // Verify database exists
       const result = await pool.query(
-        'SELECT database_id, name, schema_name FROM shared.databases WHERE database_id = $1',
+        'SELECT database_id, name, schema_name, archived_at FROM shared.databases WHERE database_id = $1',
         [database_id]
       );
 
       if (result.rows.length === 0) {
         return res.status(404).json({ error: 'Database not found' });
       }
+      const { archived_at, ...database } = result.rows[0];
+      if (archived_at) {
+        return res.status(409).json({ error: `Database "${database_id}" is archived` });
+      }
 
       // Update last_accessed
       await pool.query(
@@ -138,12 +180,9 @@ module.exports = function(pool) {
         [database_id]
       );
 
-      currentDatabaseId = database_id;
-
       res.json({
         success: true,
-        current: currentDatabaseId,
-        database: result.rows[0]
+        database
       });
     } catch (err) {
       console.error('Error switching database:', err);
@@ -152,5 +191,203 @@ module.exports = function(pool) {
     }
   });
 
+  // ============================================================
+  // Lifecycle
+  // ============================================================
+
+  /**
+   * POST /api/databases/restore?name=
+   * Restore a backup archive (the request body, as GET /:id/backup made it)
+   * as a new database, named as in the archive unless ?name= says otherwise.
+   * app.js leaves this body to the raw parser, whatever its content type.
+   */
+  router.post('/restore', express.raw({ type: () => true, limit: '1gb' }), async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Send the archive file as the request body' });
+    }
+    let archive;
+    try {
+      archive = readArchive(req.body, maxArchiveBytes);
+    } catch (err) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    if (!archive) return res.status(400).json({ error: 'Not an AccessClone database archive' });
+
+    const name = String(req.query.name || archive.database?.name || '').trim();
+    const database_id = databaseIdFor(name);
+    if (!database_id) return res.status(400).json({ error: 'Name is required' });
+    const target = {
+      database_id, name, schema_name: 'db_' + database_id, description: archive.database?.description
+    };
+
+    try {
+      const restored = await restoreDatabase(pool, archive, target, { attachmentsDir });
+      logEvent(pool, 'action', 'POST /api/databases/restore', `Database "${database_id}" restored from backup`, {
+        databaseId: database_id, userId: req.userId, details: { from: archive.database?.database_id, ...restored }
+      });
+      res.json({ success: true, database: target, restored });
+    } catch (err) {
+      lifecycleFailure(res, err, 'POST /api/databases/restore', 'Failed to restore database', database_id);
+    }
+  });
+
+  /**
+   * POST /api/databases/:id/clone
+   * Copy a database — schema, rows, objects, intents, graph, locked tests,
+   * policies and attachments — as a new one, e.g. a sandbox before a risky
+   * re-import. Its history (events, import runs, audit trail) isn't copied.
+   * Body: { name, description? }
+   */
+  router.post('/:id/clone', async (req, res) => {
+    const { name, description } = req.body || {};
+    if (!name || !String(name).trim()) return res.status(400).json({ error: 'Name is required' });
+    const database_id = databaseIdFor(String(name));
+    if (!database_id) {
+      return res.status(400).json({ error: 'Name must contain at least one alphanumeric character' });
+    }
+
+    try {
+      const source = await loadDatabase(req.params.id);
+      if (!source) return res.status(404).json({ error: 'Database not found' });
+      const target = {
+        database_id, name: String(name).trim(), schema_name: 'db_' + database_id,
+        description: description === undefined ? source.description : description
+      };
+      const copied = await cloneDatabase(pool, source, target, { attachmentsDir });
+      logEvent(pool, 'action', 'POST /api/databases/:id/clone', `Database "${source.database_id}" cloned as "${database_id}"`, {
+        databaseId: database_id, userId: req.userId, details: { from: source.database_id, ...copied }
+      });
+      res.json({ success: true, database: target, copied });
+    } catch (err) {
+      lifecycleFailure(res, err, 'POST /api/databases/:id/clone', 'Failed to clone database', req.params.id);
+    }
+  });
+
+  /**
+   * PATCH /api/databases/:id
+   * Rename a database. Body: { name?, description?, database_id? } — a new
+   * database_id also moves it to schema db_<id>, along with everything the
+   * shared schema keeps for it; clients must send the new X-Database-ID.
+   */
+  router.patch('/:id', async (req, res) => {
+    const { name, description, database_id: newId } = req.body || {};
+    if (name !== undefined && !String(name).trim()) return res.status(400).json({ error: 'Name cannot be empty' });
+    if (newId !== undefined && !DATABASE_ID_RE.test(newId)) {
+      return res.status(400).json({ error: 'database_id must be lowercase letters, digits and single underscores' });
+    }
+
+    try {
+      let database = await loadDatabase(req.params.id);
+      if (!database) return res.status(404).json({ error: 'Database not found' });
+      const oldId = database.database_id;
+
+      if (newId !== undefined && newId !== oldId) {
+        database = await renameDatabase(pool, database, newId, { attachmentsDir });
+      }
+      if (name !== undefined || description !== undefined) {
+        const updated = await pool.query(
+          `UPDATE shared.databases SET
+             name = COALESCE($2, name),
+             description = CASE WHEN $4 THEN $3 ELSE description END
+           WHERE database_id = $1
+           RETURNING *`,
+          [database.database_id, name === undefined ? null : String(name).trim(),
+            description === undefined ? null : description, description !== undefined]
+        );
+        database = updated.rows[0];
+      }
+
+      logEvent(pool, 'action', 'PATCH /api/databases/:id', `Database "${oldId}" updated`, {
+        databaseId: database.database_id, userId: req.userId,
+        details: { name, description, ...(database.database_id !== oldId ? { from: oldId } : {}) }
+      });
+      res.json({ success: true, database });
+    } catch (err) {
+      lifecycleFailure(res, err, 'PATCH /api/databases/:id', 'Failed to rename database', req.params.id);
+    }
+  });
+
+  /**
+   * POST /api/databases/:id/archive, POST /api/databases/:id/unarchive
+   * An archived database keeps everything but is left out of the list and
+   * can't be opened (schema-scoped requests get 409) until it is unarchived.
+   */
+  for (const action of ['archive', 'unarchive']) {
+    router.post(`/:id/${action}`, async (req, res) => {
+      try {
+        const result = await pool.query(
+          `UPDATE shared.databases SET archived_at = ${action === 'archive' ? 'COALESCE(archived_at, NOW())' : 'NULL'}
+           WHERE database_id = $1
+           RETURNING database_id, name, schema_name, description, archived_at`,
+          [req.params.id]
+        );
+        if (result.rows.length === 0) return res.status(404).json({ error: 'Database not found' });
+        logEvent(pool, 'action', `POST /api/databases/:id/${action}`, `Database "${req.params.id}" ${action}d`, {
+          databaseId: req.params.id, userId: req.userId
+        });
+        res.json({ success: true, database: result.rows[0] });
+      } catch (err) {
+        console.error(`Error trying to ${action} database:`, err);
+        logError(pool, `POST /api/databases/:id/${action}`, `Failed to ${action} database`, err, { databaseId: req.params.id });
+        res.status(500).json({ error: err.message });
+      }
+    });
+  }
+
+  /**
+   * DELETE /api/databases/:id?confirm=<id>
+   * Delete a database completely: schema, objects, graph, history and
+   * attachment files. ?confirm must repeat the id.
+   */
+  router.delete('/:id', async (req, res) => {
+    if (req.query.confirm !== req.params.id) {
+      return res.status(400).json({ error: 'Repeat the database id as ?confirm= to delete it' });
+    }
+
+    try {
+      const database = await loadDatabase(req.params.id);
+      if (!database) return res.status(404).json({ error: 'Database not found' });
+      const removed = await dropDatabase(pool, database, { attachmentsDir });
+      logEvent(pool, 'action', 'DELETE /api/databases/:id', `Database "${database.database_id}" deleted`, {
+        userId: req.userId, details: { database_id: database.database_id, schema_name: database.schema_name, removed }
+      });
+      res.json({ success: true, removed });
+    } catch (err) {
+      lifecycleFailure(res, err, 'DELETE /api/databases/:id', 'Failed to delete database', req.params.id);
+    }
+  });
+
+  /**
+   * GET /api/databases/:id/backup
+   * Download the database as a gzipped JSON archive for POST /restore,
+   * compressed and sent as it is read. A failure once the download has
+   * started cuts it off, so a partial archive never looks complete.
+   */
+  router.get('/:id/backup', async (req, res) => {
+    const gzip = zlib.createGzip();
+    try {
+      const database = await loadDatabase(req.params.id);
+      if (!database) return res.status(404).json({ error: 'Database not found' });
+      res.setHeader('Content-Type', 'application/gzip');
+      res.setHeader('Content-Disposition', `attachment; filename="${database.database_id}.accessclone.json.gz"`);
+      gzip.pipe(res);
+      res.on('close', () => gzip.destroy());
+      await backupDatabase(pool, database, gzip, { attachmentsDir });
+      gzip.end();
+    } catch (err) {
+      gzip.unpipe(res);
+      gzip.destroy();
+      if (res.destroyed) return;
+      if (res.headersSent) {
+        console.error('Failed to back up database:', err);
+        logError(pool, 'GET /api/databases/:id/backup', 'Failed to back up database', err, { databaseId: req.params.id });
+        return res.destroy();
+      }
+      res.removeHeader('Content-Type');
+      res.removeHeader('Content-Disposition');
+      lifecycleFailure(res, err, 'GET /api/databases/:id/backup', 'Failed to back up database', req.params.id);
+    }
+  });
+
   return router;
 };
@@ -6,6 +6,7 @@
 
 const { normalizeType, isReportBand } = require('./structural');
 const { translateFormRefs, translateTempVars } = require('../../lib/query-converter');
+const { runWithSchema } = require('../../lib/schema-scope');
 
 /**
  * Fetch schema info: Map<tableName, columnName[]> (all lowercased)
@@ -129,9 +130,8 @@ async function validateComboBoxSql(form, pool, schemaName) {
           sql = translateFormRefs(sql);
           // Strip Access bracket syntax [Table].[Column] → Table.Column
           sql = sql.replace(/\[([^\]]+)\]/g, '$1');
-          // Schema-prefix bare table names handled by search_path
-          await pool.query(`SET search_path TO "${schemaName}", shared, public`);
-          await pool.query(`EXPLAIN ${sql.replace(/;$/, '')}`);
+          // Bare table names resolve in the form's schema
+          await runWithSchema(schemaName, () => pool.query(`EXPLAIN ${sql.replace(/;$/, '')}`));
         } catch (err) {
           issues.push({
             severity: 'error',
@@ -1,13 +1,29 @@
 /**
  * Macro routes with append-only versioning
  * Handles reading/writing Access macros from shared.objects table (type='macro')
- * Macro-specific data (macro_xml, cljs_source, review_notes) stored in definition JSONB
+ * Macro-specific data (macro_xml, js_macro, cljs_source, review_notes) stored in definition JSONB
  * Each save creates a new version; old versions are preserved
  */
 
 const express = require('express');
 const router = express.Router();
 const { logEvent, logError } = require('../lib/events');
+const { translateMacro } = require('../lib/macro-to-js');
+const { translationContext } = require('../lib/vba-module-to-js');
+
+/**
+ * Translate a macro for the browser macro runtime, against the database's
+ * modules (RunCode and conditions call their procedures).
+ */
+async function jsMacro(pool, databaseId, macroName, macroXml) {
+  const modules = await pool.query(
+    `SELECT name, definition->>'vba_source' as vba_source
+     FROM shared.objects WHERE database_id = $1 AND type = 'module' AND is_current = true
+       AND definition->>'vba_source' IS NOT NULL`,
+    [databaseId]
+  );
+  return translateMacro(macroXml, macroName, translationContext(modules.rows));
+}
 
 function createRouter(pool) {
   /**
@@ -40,7 +56,8 @@ function createRouter(pool) {
   /**
    * GET /api/macros/:name
    * Read the current version of a macro
-   * Returns a flat object with macro_xml, etc. extracted from definition JSONB
+   * Returns a flat object with macro_xml, etc. extracted from definition JSONB.
+   * js_macro is translated here for macros saved before it was stored.
    */
   router.get('/:name', async (req, res) => {
     try {
@@ -63,6 +80,7 @@ function createRouter(pool) {
       res.json({
         name: row.name,
         macro_xml: def.macro_xml || null,
+        js_macro: def.js_macro || (def.macro_xml ? await jsMacro(pool, databaseId, row.name, def.macro_xml) : null),
         cljs_source: def.cljs_source || null,
         description: row.description,
         status: row.status,
@@ -79,7 +97,8 @@ function createRouter(pool) {
 
   /**
    * PUT /api/macros/:name
-   * Save a macro (creates new version, marks old as not current)
+   * Save a macro (creates new version, marks old as not current).
+   * Stores js_macro, its translation for the macro runtime, alongside macro_xml.
    */
   router.put('/:name', async (req, res) => {
     const client = await pool.connect();
@@ -87,6 +106,7 @@ function createRouter(pool) {
       const databaseId = req.databaseId;
       const macroName = req.params.name;
       const { macro_xml, cljs_source, description, status, review_notes } = req.body;
+      const js_macro = macro_xml ? await jsMacro(pool, databaseId, macroName, macro_xml) : null;
 
       await client.query('BEGIN');
 
@@ -110,6 +130,7 @@ function createRouter(pool) {
       // Build definition JSONB
       const definition = {
         macro_xml: macro_xml || null,
+        js_macro,
         cljs_source: cljs_source || null,
         review_notes: review_notes || null
       };
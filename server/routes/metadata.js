@@ -5,14 +5,26 @@
 
 const express = require('express');
 const router = express.Router();
-const { logError } = require('../lib/events');
+const { logEvent, logError } = require('../lib/events');
 const { clearPkCache } = require('./data');
-const { resolveType, quoteIdent } = require('../lib/access-types');
+const { enableAudit, disableAudit, isAudited } = require('../lib/data-audit');
+const { resolveType, quoteIdent, quoteLiteral } = require('../lib/access-types');
+const { columnSql } = require('../lib/database-lifecycle');
+const {
+  useSchema, tableSnapshot, primaryKey, createTableStatements, restoreStatements, startMigration, saveMigration
+} = require('../lib/migrations');
 const { parseQueryDesign } = require('../lib/query-design-parser');
 const { getObject, saveObject, getIntentsByObject } = require('../lib/objects');
+const { parseUpload, suggestMapping, inferFieldType, coerceValue } = require('../lib/data-import');
+const { assertAdHocSql, ensureSandboxRole, enterSandbox } = require('../lib/sql-sandbox');
 
 const NAME_RE = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
 
+// Spreadsheet import limits
+const IMPORT_BATCH_ROWS = 500;
+const MAX_IMPORT_ERRORS = 1000;
+const PREVIEW_ROWS = 20;
+
 module.exports = function(pool) {
 
   /**
@@ -238,6 +250,92 @@ module.exports = function(pool) {
     }
   });
 
+  // ============================================================
+  // AUDIT — Opt-in change history per table (lib/data-audit.js)
+  // ============================================================
+
+  /**
+   * GET /api/tables/:table/audit
+   * Whether changes to the table are being recorded
+   */
+  router.get('/tables/:table/audit', async (req, res) => {
+    try {
+      const tableName = req.params.table;
+      if (!NAME_RE.test(tableName)) {
+        return res.status(400).json({ error: 'Invalid table name.' });
+      }
+      const audited = await isAudited(pool, req.schemaName || 'public', tableName);
+      res.json({ table: tableName, audited });
+    } catch (err) {
+      console.error('Error reading audit setting:', err);
+      logError(pool, 'GET /api/tables/:table/audit', 'Failed to read audit setting', err, { databaseId: req.databaseId });
+      res.status(500).json({ error: 'Failed to read audit setting' });
+    }
+  });
+
+  /**
+   * PUT /api/tables/:table/audit
+   * Turn change recording on or off. Body: { enabled: boolean }
+   * The table needs a primary key, which identifies each record's history.
+   * Turning it off keeps the history recorded so far.
+   */
+  router.put('/tables/:table/audit', async (req, res) => {
+    const schemaName = req.schemaName || 'public';
+    const tableName = req.params.table;
+    const { enabled } = req.body || {};
+    if (!NAME_RE.test(tableName)) {
+      return res.status(400).json({ error: 'Invalid table name.' });
+    }
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+
+    let client;
+    try {
+      const tableResult = await pool.query(`
+        SELECT 1 FROM information_schema.tables
+        WHERE table_schema = $1 AND table_name = $2 AND table_type = 'BASE TABLE'
+      `, [schemaName, tableName]);
+      if (tableResult.rows.length === 0) {
+        return res.status(404).json({ error: `Table "${tableName}" not found` });
+      }
+
+      client = await pool.connect();
+      await client.query('BEGIN');
+      if (enabled) {
+        const pkResult = await client.query(`
+          SELECT kcu.column_name
+          FROM information_schema.table_constraints tc
+          JOIN information_schema.key_column_usage kcu
+            ON tc.constraint_name = kcu.constraint_name AND tc.table_schema = kcu.table_schema
+          WHERE tc.table_name = $1 AND tc.table_schema = $2 AND tc.constraint_type = 'PRIMARY KEY'
+          ORDER BY kcu.ordinal_position
+        `, [tableName, schemaName]);
+        if (pkResult.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: `Table "${tableName}" needs a primary key to be audited` });
+        }
+        await enableAudit(client, schemaName, req.databaseId, tableName, pkResult.rows.map(r => r.column_name));
+      } else {
+        await disableAudit(client, schemaName, tableName);
+      }
+      await client.query('COMMIT');
+
+      logEvent(pool, 'action', 'PUT /api/tables/:table/audit',
+        `Auditing ${enabled ? 'enabled' : 'disabled'} for "${tableName}"`, {
+          databaseId: req.databaseId, userId: req.userId, details: { table: tableName, enabled }
+        });
+      res.json({ table: tableName, audited: enabled });
+    } catch (err) {
+      if (client) await client.query('ROLLBACK').catch(() => {});
+      console.error('Error changing audit setting:', err);
+      logError(pool, 'PUT /api/tables/:table/audit', 'Failed to change audit setting', err, { databaseId: req.databaseId });
+      res.status(500).json({ error: 'Failed to change audit setting' });
+    } finally {
+      if (client) client.release();
+    }
+  });
+
   /**
    * GET /api/queries
    * List all views with their columns and SQL definition
@@ -261,19 +359,21 @@ module.exports = function(pool) {
       // Look up view metadata (PK + writable columns) so forms know which
       // fields are editable. Uses shared.view_metadata (populated at import time)
       // with fallback to information_schema introspection for pre-existing imports.
-      // viewMetaMap: view_name -> { pkColumn, writableColumns: Set }
+      // viewMetaMap: view_name -> { pkColumns: string[], writableColumns: Set }
       const viewMetaMap = {};
       const databaseId = req.databaseId;
 
       // Fast path: view_metadata table
       try {
         const vmResult = await pool.query(
-          `SELECT view_name, pk_column, writable_columns FROM shared.view_metadata WHERE database_id = $1`,
+          `SELECT view_name, pk_column, pk_columns, writable_columns FROM shared.view_metadata WHERE database_id = $1`,
           [databaseId]
         );
         for (const row of vmResult.rows) {
           viewMetaMap[row.view_name] = {
-            pkColumn: row.pk_column,
+            pkColumns: row.pk_columns && row.pk_columns.length > 0
+              ? row.pk_columns
+              : (row.pk_column ? [row.pk_column] : []),
             writableColumns: new Set(row.writable_columns || [])
           };
         }
@@ -295,7 +395,7 @@ module.exports = function(pool) {
             GROUP BY view_name, table_name
           ),
           base_pks AS (
-            SELECT vb.view_name, vb.table_name, kcu.column_name AS pk_column
+            SELECT vb.view_name, vb.table_name, kcu.column_name AS pk_column, kcu.ordinal_position
             FROM view_base vb
             JOIN information_schema.table_constraints tc
               ON tc.table_name = vb.table_name AND tc.table_schema = $1
@@ -306,23 +406,32 @@ module.exports = function(pool) {
             WHERE vb.rn = 1
           )
           SELECT view_name, table_name, pk_column FROM base_pks
+          ORDER BY view_name, ordinal_position
         `, [schemaName]);
 
-        // Also get writable columns for fallback views
+        // One row per key column — group composite keys per view
+        const fallbackKeys = {};
         for (const row of baseTablePKs.rows) {
-          if (!viewMetaMap[row.view_name]) {
-            const writableCols = await pool.query(`
-              SELECT DISTINCT column_name
-              FROM information_schema.view_column_usage
-              WHERE view_schema = $1 AND view_name = $2
-                AND table_schema = $1 AND table_name = $3
-            `, [schemaName, row.view_name, row.table_name]);
-
-            viewMetaMap[row.view_name] = {
-              pkColumn: row.pk_column,
-              writableColumns: new Set(writableCols.rows.map(r => r.column_name))
-            };
+          if (viewMetaMap[row.view_name]) continue;
+          if (!fallbackKeys[row.view_name]) {
+            fallbackKeys[row.view_name] = { tableName: row.table_name, pkColumns: [] };
           }
+          fallbackKeys[row.view_name].pkColumns.push(row.pk_column);
+        }
+
+        // Also get writable columns for fallback views
+        for (const [viewName, { tableName, pkColumns }] of Object.entries(fallbackKeys)) {
+          const writableCols = await pool.query(`
+            SELECT DISTINCT column_name
+            FROM information_schema.view_column_usage
+            WHERE view_schema = $1 AND view_name = $2
+              AND table_schema = $1 AND table_name = $3
+          `, [schemaName, viewName, tableName]);
+
+          viewMetaMap[viewName] = {
+            pkColumns,
+            writableColumns: new Set(writableCols.rows.map(r => r.column_name))
+          };
         }
       }
 
@@ -338,7 +447,7 @@ module.exports = function(pool) {
         `, [row.table_name, schemaName]);
 
         const meta = viewMetaMap[row.table_name];
-        const pkColumn = meta?.pkColumn || null;
+        const pkColumns = meta?.pkColumns || [];
         const writableSet = meta?.writableColumns;
         // If we have no writable info, assume all columns are writable (single-table view or unknown)
         const hasWritableInfo = writableSet && writableSet.size > 0;
@@ -350,7 +459,7 @@ module.exports = function(pool) {
             name: col.column_name,
             type: col.data_type,
             nullable: col.is_nullable === 'YES',
-            isPrimaryKey: col.column_name === pkColumn,
+            isPrimaryKey: pkColumns.includes(col.column_name),
             isWritable: hasWritableInfo ? writableSet.has(col.column_name) : true
           }))
         });
@@ -413,7 +522,9 @@ module.exports = function(pool) {
 
   /**
    * POST /api/queries/run
-   * Execute an arbitrary SQL query and return results
+   * Execute an arbitrary SQL query and return results. It runs read-only as
+   * the database's sandbox role (lib/sql-sandbox.js), so it can read only
+   * this database's schema: not another database's, and not shared.*.
    */
   router.post('/queries/run', async (req, res) => {
     try {
@@ -436,15 +547,16 @@ module.exports = function(pool) {
       if (!lowerSql.startsWith('select') && !lowerSql.startsWith('with')) {
         return res.status(400).json({ error: 'Only SELECT and WITH queries are allowed' });
       }
+      try {
+        assertAdHocSql(cleanSql);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
 
       // Execute in a read-only transaction (defense in depth)
       const client = await pool.connect();
       try {
-        // Set search_path on this dedicated client (middleware set it on a different pool connection)
-        if (req.schemaName) {
-          const quoted = '"' + req.schemaName.replace(/"/g, '""') + '"';
-          await client.query(`SET search_path = ${quoted}, shared, public`);
-        }
+        await ensureSandboxRole(client, req.schemaName);
         await client.query('BEGIN READ ONLY');
         await client.query('SET statement_timeout = \'30s\'');
         // Set session_id so views referencing shared.session_state can filter by current session
@@ -452,6 +564,7 @@ module.exports = function(pool) {
         if (sessionId) {
           await client.query('SELECT set_config($1, $2, true)', ['app.session_id', sessionId]);
         }
+        await enterSandbox(client, req.schemaName);
         const result = await client.query(cleanSql);
         await client.query('COMMIT');
 
@@ -478,7 +591,8 @@ module.exports = function(pool) {
 
   /**
    * POST /api/queries/execute
-   * Execute INSERT, UPDATE, or DELETE SQL (no SELECT/DDL).
+   * Execute INSERT, UPDATE, or DELETE SQL (no SELECT/DDL), as the database's
+   * sandbox role like /queries/run: only this database's tables can change.
    * Returns { rowCount }.
    */
   router.post('/queries/execute', async (req, res) => {
@@ -501,17 +615,27 @@ module.exports = function(pool) {
       if (!allowed.has(firstWord)) {
         return res.status(400).json({ error: 'Only INSERT, UPDATE, and DELETE are allowed' });
       }
+      try {
+        assertAdHocSql(cleanSql);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
 
-      const schemaName = req.schemaName || 'public';
       const client = await pool.connect();
       try {
-        await client.query(`SET search_path TO ${client.escapeIdentifier(schemaName)}, shared, public`);
+        await ensureSandboxRole(client, req.schemaName);
+        await client.query('BEGIN');
         const sessionId = req.headers['x-session-id'];
         if (sessionId) {
           await client.query('SELECT set_config($1, $2, true)', ['app.session_id', sessionId]);
         }
+        await enterSandbox(client, req.schemaName);
         const result = await client.query(cleanSql);
+        await client.query('COMMIT');
         res.json({ rowCount: result.rowCount });
+      } catch (queryErr) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw queryErr;
       } finally {
         client.release();
       }
@@ -563,6 +687,33 @@ module.exports = function(pool) {
   // ============================================================
   // DDL ENDPOINTS — Create, Modify, Delete tables
   // ============================================================
+  // Each change runs through a migration recorder (lib/migrations.js), so the
+  // statements are kept with their undo in shared.schema_migrations. They name
+  // the table unqualified: useSchema() points the transaction at the schema.
+
+  /** Column definition for a field from the table designer. */
+  function fieldColumnSql(f) {
+    let def = `${quoteIdent(f.name)} ${resolveType(f)}`;
+    if (f.type === 'AutoNumber') {
+      def += ' GENERATED ALWAYS AS IDENTITY';
+    }
+    if (!f.nullable && f.type !== 'AutoNumber') {
+      def += ' NOT NULL';
+    }
+    if (f.default != null && f.default !== '' && f.type !== 'AutoNumber') {
+      def += ` DEFAULT ${f.default}`;
+    }
+    return def;
+  }
+
+  function commentSql(target, text) {
+    return `COMMENT ON ${target} IS ${text ? quoteLiteral(text) : 'NULL'}`;
+  }
+
+  /** Status for a failed DDL request: the migration's own, else a 400. */
+  function ddlStatus(err) {
+    return err.code === 'EMIGRATION' ? err.status : 400;
+  }
 
   /**
    * POST /api/tables — Create a new table
@@ -581,24 +732,18 @@ module.exports = function(pool) {
       }
 
       await client.query('BEGIN');
+      await useSchema(client, schemaName);
+      if (await tableSnapshot(client, schemaName, name)) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ error: `Table "${name}" already exists` });
+      }
 
       // Build column definitions
       const colDefs = fields.map(f => {
         if (!f.name || !NAME_RE.test(f.name)) {
           throw new Error(`Invalid field name: "${f.name}"`);
         }
-        const pgType = resolveType(f);
-        let def = `${quoteIdent(f.name)} ${pgType}`;
-        if (f.type === 'AutoNumber') {
-          def += ' GENERATED ALWAYS AS IDENTITY';
-        }
-        if (!f.nullable && f.type !== 'AutoNumber') {
-          def += ' NOT NULL';
-        }
-        if (f.default != null && f.default !== '' && f.type !== 'AutoNumber') {
-          def += ` DEFAULT ${f.default}`;
-        }
-        return def;
+        return fieldColumnSql(f);
       });
 
       // Primary key constraint
@@ -607,39 +752,41 @@ module.exports = function(pool) {
         colDefs.push(`PRIMARY KEY (${pkFields.map(f => quoteIdent(f.name)).join(', ')})`);
       }
 
-      const createSQL = `CREATE TABLE IF NOT EXISTS ${quoteIdent(schemaName)}.${quoteIdent(name)} (\n  ${colDefs.join(',\n  ')}\n)`;
-      await client.query(createSQL);
+      // Dropping the table undoes everything after it too
+      const migration = startMigration(client);
+      const tbl = quoteIdent(name);
+      await migration.run(`CREATE TABLE ${tbl} (\n  ${colDefs.join(',\n  ')}\n)`, `DROP TABLE ${tbl}`, { undoLosesData: true });
 
       // Table description
       if (description) {
-        await client.query(`COMMENT ON TABLE ${quoteIdent(schemaName)}.${quoteIdent(name)} IS $1`, [description]);
+        await migration.run(commentSql(`TABLE ${tbl}`, description));
       }
 
       // Column descriptions and indexes
       for (const f of fields) {
         if (f.description) {
-          await client.query(
-            `COMMENT ON COLUMN ${quoteIdent(schemaName)}.${quoteIdent(name)}.${quoteIdent(f.name)} IS $1`,
-            [f.description]
-          );
+          await migration.run(commentSql(`COLUMN ${tbl}.${quoteIdent(f.name)}`, f.description));
         }
         if (f.indexed === 'yes' || f.indexed === 'unique') {
           const unique = f.indexed === 'unique' ? 'UNIQUE ' : '';
           const idxName = `idx_${name}_${f.name}`;
-          await client.query(
-            `CREATE ${unique}INDEX ${quoteIdent(idxName)} ON ${quoteIdent(schemaName)}.${quoteIdent(name)} (${quoteIdent(f.name)})`
-          );
+          await migration.run(`CREATE ${unique}INDEX ${quoteIdent(idxName)} ON ${tbl} (${quoteIdent(f.name)})`);
         }
       }
 
+      const saved = await saveMigration(client, {
+        databaseId: req.databaseId, tableName: name, operation: 'create', ...migration.steps(),
+        before: null, after: await tableSnapshot(client, schemaName, name), userId: req.userId
+      });
+
       await client.query('COMMIT');
       clearPkCache(req.databaseId);
-      res.json({ success: true, table: name });
+      res.json({ success: true, table: name, migration: saved.version });
     } catch (err) {
       await client.query('ROLLBACK');
       console.error('Error creating table:', err);
       logError(pool, 'POST /api/tables', 'Failed to create table', err, { databaseId: req.databaseId });
-      res.status(400).json({ error: err.message });
+      res.status(ddlStatus(err)).json({ error: err.message });
     } finally {
       client.release();
     }
@@ -660,52 +807,43 @@ module.exports = function(pool) {
       }
 
       await client.query('BEGIN');
+      await useSchema(client, schemaName);
 
-      const tbl = `${quoteIdent(schemaName)}.${quoteIdent(tableName)}`;
+      const before = await tableSnapshot(client, schemaName, tableName);
+      if (!before) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: `Table "${tableName}" not found` });
+      }
 
-      // Get current columns from information_schema
-      const currentResult = await client.query(`
-        SELECT column_name, data_type, is_nullable, column_default,
-               character_maximum_length, numeric_precision, numeric_scale, is_identity
-        FROM information_schema.columns
-        WHERE table_name = $1 AND table_schema = $2
-        ORDER BY ordinal_position
-      `, [tableName, schemaName]);
+      const tbl = quoteIdent(tableName);
+      const migration = startMigration(client);
+      const alterColumn = (name, action) => `ALTER TABLE ${tbl} ALTER COLUMN ${quoteIdent(name)} ${action}`;
+
+      // Current columns, primary key and indexes, as they stood
       const currentCols = {};
-      for (const c of currentResult.rows) {
-        currentCols[c.column_name] = c;
-      }
-
-      // Get current primary key columns
-      const pkResult = await client.query(`
-        SELECT kcu.column_name
-        FROM information_schema.table_constraints tc
-        JOIN information_schema.key_column_usage kcu
-          ON tc.constraint_name = kcu.constraint_name AND tc.table_schema = kcu.table_schema
-        WHERE tc.table_name = $1 AND tc.table_schema = $2 AND tc.constraint_type = 'PRIMARY KEY'
-      `, [tableName, schemaName]);
-      const currentPKs = new Set(pkResult.rows.map(r => r.column_name));
-
-      // Get current indexes (non-PK, non-unique-constraint)
-      const idxResult = await client.query(`
-        SELECT indexname, indexdef
-        FROM pg_indexes
-        WHERE tablename = $1 AND schemaname = $2
-      `, [tableName, schemaName]);
+      for (const c of before.columns) {
+        currentCols[c.name] = { ...c };
+      }
+      const pk = primaryKey(before);
+      const currentPKs = new Set(pk ? pk.columns : []);
 
       // 1. Apply renames first
+      let keyRenamed = false;
       if (renames) {
         for (const [oldName, newName] of Object.entries(renames)) {
           if (oldName !== newName && NAME_RE.test(newName)) {
-            await client.query(`ALTER TABLE ${tbl} RENAME COLUMN ${quoteIdent(oldName)} TO ${quoteIdent(newName)}`);
+            await migration.run(
+              `ALTER TABLE ${tbl} RENAME COLUMN ${quoteIdent(oldName)} TO ${quoteIdent(newName)}`,
+              `ALTER TABLE ${tbl} RENAME COLUMN ${quoteIdent(newName)} TO ${quoteIdent(oldName)}`
+            );
             // Update currentCols key
             if (currentCols[oldName]) {
-              currentCols[newName] = currentCols[oldName];
-              currentCols[newName].column_name = newName;
+              currentCols[newName] = { ...currentCols[oldName], name: newName };
               delete currentCols[oldName];
             }
             // Update currentPKs
             if (currentPKs.has(oldName)) {
+              keyRenamed = true;
               currentPKs.delete(oldName);
               currentPKs.add(newName);
             }
@@ -716,31 +854,31 @@ module.exports = function(pool) {
       const newColNames = new Set(fields.map(f => f.name));
       const oldColNames = new Set(Object.keys(currentCols));
 
-      // 2. Add new columns
+      // 2. Add new columns (undoing one loses what was entered in it)
       for (const f of fields) {
         if (!oldColNames.has(f.name)) {
           if (!NAME_RE.test(f.name)) {
             throw new Error(`Invalid field name: "${f.name}"`);
           }
-          const pgType = resolveType(f);
-          let colDef = `${quoteIdent(f.name)} ${pgType}`;
-          if (f.type === 'AutoNumber') {
-            colDef += ' GENERATED ALWAYS AS IDENTITY';
-          }
-          if (!f.nullable && f.type !== 'AutoNumber') {
-            colDef += ' NOT NULL';
-          }
-          if (f.default != null && f.default !== '' && f.type !== 'AutoNumber') {
-            colDef += ` DEFAULT ${f.default}`;
-          }
-          await client.query(`ALTER TABLE ${tbl} ADD COLUMN ${colDef}`);
+          await migration.run(
+            `ALTER TABLE ${tbl} ADD COLUMN ${fieldColumnSql(f)}`,
+            `ALTER TABLE ${tbl} DROP COLUMN ${quoteIdent(f.name)}`,
+            { undoLosesData: true }
+          );
         }
       }
 
-      // 3. Drop removed columns
+      // 3. Drop removed columns (undoing one brings the column back empty,
+      //    with the keys and indexes that went with it)
       for (const oldName of oldColNames) {
         if (!newColNames.has(oldName)) {
-          await client.query(`ALTER TABLE ${tbl} DROP COLUMN ${quoteIdent(oldName)}`);
+          const old = currentCols[oldName];
+          const standing = await tableSnapshot(client, schemaName, tableName);
+          await migration.run(`ALTER TABLE ${tbl} DROP COLUMN ${quoteIdent(oldName)}`, async () => [
+            `ALTER TABLE ${tbl} ADD COLUMN ${columnSql(old)}`,
+            ...(old.comment != null ? [commentSql(`COLUMN ${tbl}.${quoteIdent(oldName)}`, old.comment)] : []),
+            ...restoreStatements(standing, await tableSnapshot(client, schemaName, tableName))
+          ], { losesData: true });
         }
       }
 
@@ -749,44 +887,39 @@ module.exports = function(pool) {
         const old = currentCols[f.name];
         if (!old) continue; // new column, already handled
 
-        const isIdentity = old.is_identity === 'YES';
-
         // Skip type/default changes for identity columns — they're managed by PG
-        if (!isIdentity) {
+        if (!old.identity) {
           const newPgType = resolveType(f);
 
-          // Type change
-          const oldType = old.data_type === 'character varying'
-            ? `character varying(${old.character_maximum_length || 255})`
-            : old.data_type === 'numeric'
-              ? `numeric(${old.numeric_precision || 18},${old.numeric_scale || 0})`
-              : old.data_type;
-
-          if (newPgType !== oldType) {
-            await client.query(
-              `ALTER TABLE ${tbl} ALTER COLUMN ${quoteIdent(f.name)} TYPE ${newPgType} USING ${quoteIdent(f.name)}::${newPgType}`
+          // Type change; converting values either way can truncate or fail
+          if (newPgType !== old.type) {
+            await migration.run(
+              alterColumn(f.name, `TYPE ${newPgType} USING ${quoteIdent(f.name)}::${newPgType}`),
+              alterColumn(f.name, `TYPE ${old.type} USING ${quoteIdent(f.name)}::${old.type}`),
+              { losesData: true, undoLosesData: true }
             );
           }
 
           // Default change
-          const oldDefault = old.column_default;
+          const oldDefault = old.default_expr;
           const newDefault = (f.default != null && f.default !== '') ? f.default : null;
           if (newDefault !== oldDefault) {
+            const restore = oldDefault != null ? alterColumn(f.name, `SET DEFAULT ${oldDefault}`) : alterColumn(f.name, 'DROP DEFAULT');
             if (newDefault) {
-              await client.query(`ALTER TABLE ${tbl} ALTER COLUMN ${quoteIdent(f.name)} SET DEFAULT ${newDefault}`);
+              await migration.run(alterColumn(f.name, `SET DEFAULT ${newDefault}`), restore);
             } else {
-              await client.query(`ALTER TABLE ${tbl} ALTER COLUMN ${quoteIdent(f.name)} DROP DEFAULT`);
+              await migration.run(alterColumn(f.name, 'DROP DEFAULT'), restore);
             }
           }
         }
 
         // Nullable change (applies to identity columns too)
-        const oldNullable = old.is_nullable === 'YES';
+        const oldNullable = !old.not_null;
         if (f.nullable !== oldNullable) {
           if (f.nullable) {
-            await client.query(`ALTER TABLE ${tbl} ALTER COLUMN ${quoteIdent(f.name)} DROP NOT NULL`);
+            await migration.run(alterColumn(f.name, 'DROP NOT NULL'), alterColumn(f.name, 'SET NOT NULL'));
           } else {
-            await client.query(`ALTER TABLE ${tbl} ALTER COLUMN ${quoteIdent(f.name)} SET NOT NULL`);
+            await migration.run(alterColumn(f.name, 'SET NOT NULL'), alterColumn(f.name, 'DROP NOT NULL'));
           }
         }
       }
@@ -795,96 +928,371 @@ module.exports = function(pool) {
       const newPKs = new Set(fields.filter(f => f.isPrimaryKey).map(f => f.name));
       const pkChanged = newPKs.size !== currentPKs.size || [...newPKs].some(k => !currentPKs.has(k));
       if (pkChanged) {
-        // Find and drop existing PK constraint
-        const pkConstraintResult = await client.query(`
-          SELECT constraint_name FROM information_schema.table_constraints
-          WHERE table_name = $1 AND table_schema = $2 AND constraint_type = 'PRIMARY KEY'
-        `, [tableName, schemaName]);
-        for (const row of pkConstraintResult.rows) {
-          await client.query(`ALTER TABLE ${tbl} DROP CONSTRAINT ${quoteIdent(row.constraint_name)}`);
+        // Drop the existing PK constraint, if dropping a key column hasn't already
+        const current = primaryKey(await tableSnapshot(client, schemaName, tableName));
+        if (current) {
+          await migration.run(
+            `ALTER TABLE ${tbl} DROP CONSTRAINT ${quoteIdent(current.name)}`,
+            `ALTER TABLE ${tbl} ADD CONSTRAINT ${quoteIdent(current.name)} ${current.def}`
+          );
         }
         // Add new PK if any
         if (newPKs.size > 0) {
+          const pkName = quoteIdent(`${tableName}_pkey`);
           const pkCols = [...newPKs].map(n => quoteIdent(n)).join(', ');
-          await client.query(`ALTER TABLE ${tbl} ADD PRIMARY KEY (${pkCols})`);
+          await migration.run(
+            `ALTER TABLE ${tbl} ADD CONSTRAINT ${pkName} PRIMARY KEY (${pkCols})`,
+            `ALTER TABLE ${tbl} DROP CONSTRAINT ${pkName}`
+          );
+        }
+      }
+
+      // An audited table's trigger names its key columns; keep them current
+      if ((pkChanged || keyRenamed) && await isAudited(client, schemaName, tableName)) {
+        const keyColumns = [...(pkChanged ? newPKs : currentPKs)];
+        if (keyColumns.length > 0) {
+          await enableAudit(client, schemaName, req.databaseId, tableName, keyColumns);
+        } else {
+          await disableAudit(client, schemaName, tableName);
         }
       }
 
       // 6. Handle column descriptions
       for (const f of fields) {
-        if (f.description !== undefined) {
-          await client.query(
-            `COMMENT ON COLUMN ${tbl}.${quoteIdent(f.name)} IS $1`,
-            [f.description || null]
-          );
+        const old = (currentCols[f.name] && currentCols[f.name].comment) || null;
+        if (f.description !== undefined && (f.description || null) !== old) {
+          const column = `COLUMN ${tbl}.${quoteIdent(f.name)}`;
+          await migration.run(commentSql(column, f.description), commentSql(column, old));
         }
       }
 
       // 7. Handle table description
-      if (description !== undefined) {
-        await client.query(`COMMENT ON TABLE ${tbl} IS $1`, [description || null]);
+      if (description !== undefined && (description || null) !== (before.comment || null)) {
+        await migration.run(commentSql(`TABLE ${tbl}`, description), commentSql(`TABLE ${tbl}`, before.comment));
       }
 
-      // 8. Handle index changes
+      // 8. Handle index changes (as the table now stands: renames and drops move or remove indexes)
+      const { indexes } = await tableSnapshot(client, schemaName, tableName);
       for (const f of fields) {
         if (f.indexed === undefined) continue;
         const idxName = `idx_${tableName}_${f.name}`;
-        // Check if index already exists
-        const existingIdx = idxResult.rows.find(r => {
-          const colMatch = r.indexdef.match(/\(([^)]+)\)/);
+        // Existing single-column index on the field
+        const existingIdx = indexes.find(r => {
+          const colMatch = r.def.match(/\(([^)]+)\)/);
           if (!colMatch) return false;
           const cols = colMatch[1].split(',').map(c => c.trim().replace(/"/g, ''));
           return cols.length === 1 && cols[0] === f.name;
         });
+        const wanted = f.indexed && f.indexed !== 'No';
+        const unique = f.indexed === 'unique';
+        if (existingIdx && wanted && /^CREATE UNIQUE INDEX/.test(existingIdx.def) === unique) continue;
 
-        if (!f.indexed || f.indexed === 'No') {
-          // Drop index if it exists and is not part of PK
-          if (existingIdx && !existingIdx.indexname.endsWith('_pkey')) {
-            await client.query(`DROP INDEX IF EXISTS ${quoteIdent(schemaName)}.${quoteIdent(existingIdx.indexname)}`);
-          }
-        } else {
-          // Create or recreate index
-          if (existingIdx && !existingIdx.indexname.endsWith('_pkey')) {
-            await client.query(`DROP INDEX IF EXISTS ${quoteIdent(schemaName)}.${quoteIdent(existingIdx.indexname)}`);
-          }
-          const unique = f.indexed === 'unique' ? 'UNIQUE ' : '';
-          await client.query(
-            `CREATE ${unique}INDEX ${quoteIdent(idxName)} ON ${tbl} (${quoteIdent(f.name)})`
+        if (existingIdx) {
+          await migration.run(`DROP INDEX ${quoteIdent(existingIdx.name)}`, existingIdx.def);
+        }
+        if (wanted) {
+          await migration.run(
+            `CREATE ${unique ? 'UNIQUE ' : ''}INDEX ${quoteIdent(idxName)} ON ${tbl} (${quoteIdent(f.name)})`,
+            `DROP INDEX ${quoteIdent(idxName)}`
           );
         }
       }
 
+      const saved = await saveMigration(client, {
+        databaseId: req.databaseId, tableName, operation: 'alter', ...migration.steps(),
+        before, after: await tableSnapshot(client, schemaName, tableName), userId: req.userId
+      });
+
       await client.query('COMMIT');
       clearPkCache(req.databaseId);
-      res.json({ success: true });
+      res.json({ success: true, migration: saved ? saved.version : null });
     } catch (err) {
       await client.query('ROLLBACK');
       console.error('Error modifying table:', err);
       logError(pool, 'PUT /api/tables/:table', 'Failed to modify table', err, { databaseId: req.databaseId });
-      res.status(400).json({ error: err.message });
+      res.status(ddlStatus(err)).json({ error: err.message });
     } finally {
       client.release();
     }
   });
 
   /**
-   * DELETE /api/tables/:table — Drop a table
+   * DELETE /api/tables/:table — Drop a table. Rolling the migration back
+   * re-creates it from its snapshot, empty.
    */
   router.delete('/tables/:table', async (req, res) => {
+    const schemaName = req.schemaName || 'public';
+    const tableName = req.params.table;
+
+    if (!NAME_RE.test(tableName)) {
+      return res.status(400).json({ error: 'Invalid table name.' });
+    }
+
+    const client = await pool.connect();
     try {
-      const schemaName = req.schemaName || 'public';
-      const tableName = req.params.table;
+      await client.query('BEGIN');
+      await useSchema(client, schemaName);
 
-      if (!NAME_RE.test(tableName)) {
-        return res.status(400).json({ error: 'Invalid table name.' });
+      const before = await tableSnapshot(client, schemaName, tableName);
+      if (!before) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: `Table "${tableName}" not found` });
       }
 
-      await pool.query(`DROP TABLE IF EXISTS ${quoteIdent(schemaName)}.${quoteIdent(tableName)}`);
-      res.json({ success: true });
+      const migration = startMigration(client);
+      await migration.run(`DROP TABLE ${quoteIdent(tableName)}`, createTableStatements(before), { losesData: true });
+      const saved = await saveMigration(client, {
+        databaseId: req.databaseId, tableName, operation: 'drop', ...migration.steps(),
+        before, after: null, userId: req.userId
+      });
+
+      await client.query('COMMIT');
+      clearPkCache(req.databaseId);
+      res.json({ success: true, migration: saved.version });
     } catch (err) {
+      await client.query('ROLLBACK');
       console.error('Error dropping table:', err);
       logError(pool, 'DELETE /api/tables/:table', 'Failed to drop table', err, { databaseId: req.databaseId });
+      res.status(ddlStatus(err)).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  // ============================================================
+  // IMPORT — Load CSV/XLSX rows into an existing table
+  // ============================================================
+
+  /**
+   * Columns of a table in order, from information_schema. AutoNumber
+   * (GENERATED ALWAYS identity) and generated columns can't be imported into.
+   */
+  async function importTargetColumns(schemaName, tableName) {
+    const result = await pool.query(`
+      SELECT column_name, data_type, character_maximum_length, is_nullable,
+             column_default, is_identity, identity_generation, is_generated
+      FROM information_schema.columns
+      WHERE table_schema = $1 AND table_name = $2
+      ORDER BY ordinal_position
+    `, [schemaName, tableName]);
+    return result.rows.map(c => ({
+      ...c,
+      autoNumber: c.identity_generation === 'ALWAYS' || c.is_generated === 'ALWAYS',
+      required: c.is_nullable === 'NO' && c.column_default == null && c.is_identity !== 'YES'
+    }));
+  }
+
+  /**
+   * Parse the upload in req.body and load the target table's columns.
+   * Sends the 400/404 itself and returns null when either is unusable.
+   */
+  async function loadImport(req, res) {
+    const tableName = req.params.table;
+    if (!NAME_RE.test(tableName)) {
+      res.status(400).json({ error: 'Invalid table name.' });
+      return null;
+    }
+    let parsed;
+    try {
+      parsed = parseUpload(req.body);
+    } catch (err) {
+      if (err.code !== 'EIMPORT') throw err;
       res.status(400).json({ error: err.message });
+      return null;
+    }
+    const columns = await importTargetColumns(req.schemaName || 'public', tableName);
+    if (columns.length === 0) {
+      res.status(404).json({ error: `Table "${tableName}" not found` });
+      return null;
+    }
+    const suggested = suggestMapping(parsed.headers,
+      columns.filter(c => !c.autoNumber).map(c => c.column_name), req.body.hasFieldNames === false);
+    return { tableName, columns, suggested, ...parsed };
+  }
+
+  /**
+   * POST /api/tables/:table/import/preview
+   * Parse an upload without writing anything.
+   * Body: { content, format?, fileName?, delimiter?, hasFieldNames? }
+   *   content - CSV text, or the XLSX file base64-encoded
+   * Returns the file's headers with inferred Access field types, sample rows,
+   * the table's columns, and a suggested header → column mapping.
+   */
+  router.post('/tables/:table/import/preview', async (req, res) => {
+    try {
+      const upload = await loadImport(req, res);
+      if (!upload) return;
+      const { tableName, columns, suggested, headers, rows } = upload;
+
+      res.json({
+        table: tableName,
+        rowCount: rows.length,
+        columns: headers.map((name, i) => {
+          const inferred = inferFieldType(rows.map(r => r[i]));
+          return { name, inferred, pgType: resolveType(inferred) };
+        }),
+        sampleRows: rows.slice(0, PREVIEW_ROWS).map(r =>
+          Object.fromEntries(headers.map((h, i) => [h, r[i] ?? null]))),
+        targetColumns: columns.map(c => ({
+          name: c.column_name,
+          type: c.data_type,
+          maxLength: c.character_maximum_length,
+          required: c.required,
+          autoNumber: c.autoNumber
+        })),
+        mapping: suggested
+      });
+    } catch (err) {
+      console.error('Error previewing import:', err);
+      logError(pool, 'POST /api/tables/:table/import/preview', 'Failed to preview import', err, { databaseId: req.databaseId });
+      res.status(500).json({ error: 'Failed to preview import' });
+    }
+  });
+
+  /**
+   * POST /api/tables/:table/import
+   * Insert an upload's rows into an existing table.
+   * Body: preview's fields plus
+   *   mapping - { "File Header": "column_name" | null }; defaults to the suggested
+   *             mapping (by name, or by position when hasFieldNames is false)
+   *   dryRun  - validate and insert inside a transaction that is rolled back
+   * Each value is converted to its column's type first; rows that fail
+   * conversion or a database constraint are skipped and reported, the rest
+   * are inserted (as Access does). Rows go in batches; a failing batch is
+   * retried row by row under savepoints to find the bad rows.
+   * Returns { table, totalRows, inserted, failed, errors: [{ row, column, value, message, code }],
+   * errorsTruncated, dryRun }.
+   * row is the row number in the file (the header row is row 1) and value the
+   * cell as it was in the file. errors holds at most MAX_IMPORT_ERRORS entries;
+   * errorsTruncated is true when more rows failed than are listed.
+   */
+  router.post('/tables/:table/import', async (req, res) => {
+    let client;
+    try {
+      const upload = await loadImport(req, res);
+      if (!upload) return;
+      const { tableName, columns, suggested, headers, rows, firstRowNumber } = upload;
+      const schemaName = req.schemaName || 'public';
+      const dryRun = !!req.body.dryRun;
+
+      // Validate the mapping against the file and the table
+      const mapping = req.body.mapping || suggested;
+      const byName = new Map(columns.map(c => [c.column_name, c]));
+      const targets = [];
+      for (const [header, target] of Object.entries(mapping)) {
+        if (!target) continue;
+        const index = headers.indexOf(header);
+        if (index === -1) return res.status(400).json({ error: `Mapped field "${header}" is not in the file` });
+        const column = byName.get(target);
+        if (!column) return res.status(400).json({ error: `Column "${target}" does not exist in ${tableName}` });
+        if (column.autoNumber) return res.status(400).json({ error: `Column "${target}" is generated and can't be imported into` });
+        if (targets.some(t => t.column === column)) return res.status(400).json({ error: `Column "${target}" is mapped more than once` });
+        targets.push({ header, index, column });
+      }
+      if (targets.length === 0) {
+        return res.status(400).json({ error: 'No file fields are mapped to table columns' });
+      }
+      const missing = columns.find(c => c.required && !targets.some(t => t.column === c));
+      if (missing) {
+        return res.status(400).json({ error: `Required column "${missing.column_name}" is not mapped` });
+      }
+
+      const errors = [];
+      let errorsTruncated = false;
+      const addError = (error) => {
+        if (errors.length < MAX_IMPORT_ERRORS) errors.push(error);
+        else errorsTruncated = true;
+      };
+      let failed = 0;
+
+      // Convert every row; rows with a bad value are reported and skipped
+      const valid = [];
+      rows.forEach((raw, i) => {
+        const rowNumber = firstRowNumber + i;
+        const values = [];
+        let ok = true;
+        for (const t of targets) {
+          const result = coerceValue(raw[t.index], t.column);
+          if (result.error) {
+            addError({ row: rowNumber, column: t.column.column_name, value: raw[t.index], message: result.error });
+            ok = false;
+          } else if (result.value === null && t.column.required) {
+            addError({ row: rowNumber, column: t.column.column_name, value: raw[t.index] ?? null, message: 'A value is required' });
+            ok = false;
+          } else {
+            values.push(result.value);
+          }
+        }
+        if (ok) valid.push({ rowNumber, raw, values });
+        else failed++;
+      });
+
+      const table = `${quoteIdent(schemaName)}.${quoteIdent(tableName)}`;
+      const columnList = targets.map(t => quoteIdent(t.column.column_name)).join(', ');
+      const insertRows = (batch) => {
+        const params = [];
+        const tuples = batch.map(r => {
+          const placeholders = r.values.map(v => { params.push(v); return `$${params.length}`; });
+          return `(${placeholders.join(', ')})`;
+        });
+        return client.query(`INSERT INTO ${table} (${columnList}) VALUES ${tuples.join(', ')}`, params);
+      };
+
+      // Stay under PostgreSQL's 65535 bind parameters per statement
+      const batchSize = Math.max(1, Math.min(IMPORT_BATCH_ROWS, Math.floor(65535 / targets.length)));
+      let inserted = 0;
+      client = await pool.connect();
+      await client.query('BEGIN');
+      for (let start = 0; start < valid.length; start += batchSize) {
+        const batch = valid.slice(start, start + batchSize);
+        await client.query('SAVEPOINT import_batch');
+        try {
+          await insertRows(batch);
+          await client.query('RELEASE SAVEPOINT import_batch');
+          inserted += batch.length;
+          continue;
+        } catch {
+          // Retry one row at a time to find the rows the database rejects
+          await client.query('ROLLBACK TO SAVEPOINT import_batch');
+        }
+        for (const row of batch) {
+          await client.query('SAVEPOINT import_row');
+          try {
+            await insertRows([row]);
+            await client.query('RELEASE SAVEPOINT import_row');
+            inserted++;
+          } catch (err) {
+            await client.query('ROLLBACK TO SAVEPOINT import_row');
+            const target = targets.find(t => t.column.column_name === err.column);
+            addError({
+              row: row.rowNumber,
+              column: err.column || null,
+              value: target ? row.raw[target.index] ?? null : null,
+              message: err.detail ? `${err.message}: ${err.detail}` : err.message,
+              code: err.code
+            });
+            failed++;
+          }
+        }
+      }
+      await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+
+      res.json({
+        table: tableName,
+        totalRows: rows.length,
+        inserted,
+        failed,
+        errors,
+        errorsTruncated,
+        dryRun
+      });
+    } catch (err) {
+      if (client) await client.query('ROLLBACK').catch(() => {});
+      console.error('Error importing rows:', err);
+      logError(pool, 'POST /api/tables/:table/import', 'Failed to import rows', err, { databaseId: req.databaseId });
+      res.status(500).json({ error: 'Failed to import rows' });
+    } finally {
+      if (client) client.release();
     }
   });
 
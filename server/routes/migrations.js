@@ -0,0 +1,191 @@
+/**
+ * Schema migration routes
+ * The table design history the DDL routes record (lib/migrations.js): list
+ * and inspect migrations, diff two versions, roll back the last one, and
+ * export the chain to replay it on another copy of the database.
+ */
+
+const express = require('express');
+const { logEvent, logError } = require('../lib/events');
+const { clearPkCache } = require('./data');
+const {
+  diffVersions, rollbackLast, replayChain, migrationsExport, migrationsScript
+} = require('../lib/migrations');
+
+const SUMMARY_COLUMNS = `version, table_name, operation, description, lossy_up, lossy_down,
+  reverts, source, rolled_back_at, rolled_back_by, created_by, created_at`;
+
+module.exports = function(pool) {
+  const router = express.Router();
+
+  // Everything here acts on the database the request is bound to
+  router.use((req, res, next) => {
+    if (!req.databaseId || !req.schemaName) {
+      return res.status(400).json({ error: 'No database selected' });
+    }
+    next();
+  });
+
+  /** A database's whole history, oldest first. */
+  async function history(databaseId) {
+    const result = await pool.query(
+      'SELECT * FROM shared.schema_migrations WHERE database_id = $1 ORDER BY version',
+      [databaseId]
+    );
+    return result.rows;
+  }
+
+  function parseVersion(value) {
+    return /^\d+$/.test(String(value)) ? parseInt(value, 10) : null;
+  }
+
+  function migrationFailure(res, err, route, message, databaseId) {
+    if (err.code === 'EMIGRATION') {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error(`${message}:`, err);
+    logError(pool, route, message, err, { databaseId });
+    res.status(500).json({ error: message });
+  }
+
+  /**
+   * GET /api/migrations?table=
+   * Migrations newest first, without their SQL and snapshots
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const params = [req.databaseId];
+      let where = 'database_id = $1';
+      if (req.query.table) {
+        params.push(req.query.table);
+        where += ' AND table_name = $2';
+      }
+      const result = await pool.query(
+        `SELECT ${SUMMARY_COLUMNS} FROM shared.schema_migrations WHERE ${where} ORDER BY version DESC`,
+        params
+      );
+      res.json({ migrations: result.rows });
+    } catch (err) {
+      console.error('Error listing migrations:', err);
+      logError(pool, 'GET /api/migrations', 'Failed to list migrations', err, { databaseId: req.databaseId });
+      res.status(500).json({ error: 'Failed to list migrations' });
+    }
+  });
+
+  /**
+   * GET /api/migrations/diff?from=&to=
+   * How the schema's tables changed between two versions. from defaults to
+   * 0 (before any recorded change), to to the latest.
+   */
+  router.get('/diff', async (req, res) => {
+    try {
+      const from = req.query.from === undefined ? 0 : parseVersion(req.query.from);
+      const to = req.query.to === undefined ? undefined : parseVersion(req.query.to);
+      if (from === null || to === null) {
+        return res.status(400).json({ error: 'from and to must be version numbers' });
+      }
+      const migrations = await history(req.databaseId);
+      const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+      const target = to === undefined ? latest : to;
+      res.json({ from, to: target, changes: diffVersions(migrations, from, target) });
+    } catch (err) {
+      console.error('Error diffing migrations:', err);
+      logError(pool, 'GET /api/migrations/diff', 'Failed to diff migrations', err, { databaseId: req.databaseId });
+      res.status(500).json({ error: 'Failed to diff migrations' });
+    }
+  });
+
+  /**
+   * GET /api/migrations/export?format=json|sql
+   * The whole chain: JSON for POST /api/migrations/replay, or a SQL script
+   */
+  router.get('/export', async (req, res) => {
+    try {
+      const format = req.query.format || 'json';
+      if (!['json', 'sql'].includes(format)) {
+        return res.status(400).json({ error: 'format must be json or sql' });
+      }
+      const migrations = await history(req.databaseId);
+      const filename = `${req.databaseId}.migrations.${format}`;
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      if (format === 'sql') {
+        return res.type('application/sql').send(migrationsScript(req.databaseId, migrations));
+      }
+      res.json(migrationsExport(req.databaseId, migrations));
+    } catch (err) {
+      console.error('Error exporting migrations:', err);
+      logError(pool, 'GET /api/migrations/export', 'Failed to export migrations', err, { databaseId: req.databaseId });
+      res.status(500).json({ error: 'Failed to export migrations' });
+    }
+  });
+
+  /**
+   * POST /api/migrations/rollback
+   * Undo the last migration. Body: { force } — needed when undoing it can lose data
+   */
+  router.post('/rollback', async (req, res) => {
+    try {
+      const result = await rollbackLast(pool, {
+        schemaName: req.schemaName, databaseId: req.databaseId, userId: req.userId, force: req.body?.force === true
+      });
+      clearPkCache(req.databaseId);
+      logEvent(pool, 'action', 'POST /api/migrations/rollback',
+        `Migration ${result.rolledBack.version} on "${result.rolledBack.table_name}" rolled back`, {
+          databaseId: req.databaseId, userId: req.userId,
+          details: { version: result.rolledBack.version, migration: result.migration.version }
+        });
+      res.json({ success: true, rolledBack: result.rolledBack.version, migration: result.migration });
+    } catch (err) {
+      migrationFailure(res, err, 'POST /api/migrations/rollback', 'Failed to roll back migration', req.databaseId);
+    }
+  });
+
+  /**
+   * POST /api/migrations/replay?force=true
+   * Apply an exported chain (GET /api/migrations/export) from another copy
+   * of the database. Migrations already here are skipped.
+   */
+  router.post('/replay', async (req, res) => {
+    try {
+      const result = await replayChain(pool, req.body, {
+        schemaName: req.schemaName, databaseId: req.databaseId, userId: req.userId, force: req.query.force === 'true'
+      });
+      clearPkCache(req.databaseId);
+      logEvent(pool, 'action', 'POST /api/migrations/replay',
+        `Replayed ${result.applied.length} migration(s) from "${req.body.database_id}"`, {
+          databaseId: req.databaseId, userId: req.userId,
+          details: { from: req.body.database_id, applied: result.applied.map(m => m.source.version), skipped: result.skipped }
+        });
+      res.json({ success: true, applied: result.applied, skipped: result.skipped });
+    } catch (err) {
+      migrationFailure(res, err, 'POST /api/migrations/replay', 'Failed to replay migrations', req.databaseId);
+    }
+  });
+
+  /**
+   * GET /api/migrations/:version
+   * One migration in full: its SQL both ways and the table before and after
+   */
+  router.get('/:version', async (req, res) => {
+    try {
+      const version = parseVersion(req.params.version);
+      if (version === null) {
+        return res.status(400).json({ error: 'Invalid version' });
+      }
+      const result = await pool.query(
+        'SELECT * FROM shared.schema_migrations WHERE database_id = $1 AND version = $2',
+        [req.databaseId, version]
+      );
+      if (!result.rows[0]) {
+        return res.status(404).json({ error: `Migration ${version} not found` });
+      }
+      res.json({ migration: result.rows[0] });
+    } catch (err) {
+      console.error('Error fetching migration:', err);
+      logError(pool, 'GET /api/migrations/:version', 'Failed to fetch migration', err, { databaseId: req.databaseId });
+      res.status(500).json({ error: 'Failed to fetch migration' });
+    }
+  });
+
+  return router;
+};
@@ -1,7 +1,7 @@
 /**
  * Module routes with append-only versioning
  * Handles reading/writing VBA modules from shared.objects table (type='module')
- * Module-specific data (vba_source, js_handlers, etc.) stored in definition JSONB
+ * Module-specific data (vba_source, js_handlers, js_module, etc.) stored in definition JSONB
  * Each save creates a new version; old versions are preserved
  */
 
@@ -9,9 +9,11 @@ const express = require('express');
 const router = express.Router();
 const { logEvent, logError } = require('../lib/events');
 const { extractReactions, toKw } = require('../lib/reactions-extractor');
-const { parseVbaToHandlers, collectEnumValues, extractProcedureNames, extractProcedures } = require('../lib/vba-to-js');
+const { parseVbaToHandlers, extractProcedures } = require('../lib/vba-to-js');
 const { writeHandlerFile, deleteHandlerFile, readHandlerFile, writeHandlerFileRaw } = require('../lib/handler-gen/writer');
 const { needsLLMFallback, translateHandlerWithLLM } = require('../lib/vba-to-js-llm');
+const { translateModule, translationContext } = require('../lib/vba-module-to-js');
+const { callModuleProcedure, clearModules } = require('../lib/vba-runtime');
 
 function createRouter(pool) {
   /**
@@ -57,12 +59,7 @@ function createRouter(pool) {
         [databaseId]
       );
 
-      // Build combined enum map from all modules
-      const enumMap = new Map();
-      for (const row of result.rows) {
-        const moduleEnums = collectEnumValues(row.vba_source);
-        for (const [k, v] of moduleEnums) enumMap.set(k, v);
-      }
+      const { enumMap, fnRegistry } = translationContext(result.rows);
 
       let written = 0;
       let skipped = 0;
@@ -70,9 +67,17 @@ function createRouter(pool) {
 
       for (const row of result.rows) {
         try {
-          const parsed = parseVbaToHandlers(row.vba_source, row.name, enumMap);
-          if (parsed && parsed.length > 0) {
-            writeHandlerFile(databaseId, row.name, parsed);
+          const parsed = parseVbaToHandlers(row.vba_source, row.name, enumMap, fnRegistry);
+          const jsModule = translateModule(row.vba_source, row.name, { enumMap, fnRegistry });
+          if (jsModule) {
+            await pool.query(
+              `UPDATE shared.objects SET definition = jsonb_set(definition, '{js_module}', $1::jsonb)
+               WHERE database_id = $2 AND type = 'module' AND name = $3 AND is_current = true`,
+              [JSON.stringify(jsModule), databaseId, row.name]
+            );
+          }
+          if ((parsed && parsed.length > 0) || jsModule) {
+            writeHandlerFile(databaseId, row.name, parsed || [], jsModule);
             written++;
           } else {
             skipped++;
@@ -82,6 +87,8 @@ function createRouter(pool) {
         }
       }
 
+      clearModules(databaseId);
+
       res.json({
         success: true,
         database_id: databaseId,
@@ -402,6 +409,7 @@ function createRouter(pool) {
         review_notes: def.review_notes || null,
         intents: row.intents || null,
         js_handlers: def.js_handlers || null,
+        js_module: def.js_module || null,
         version: row.version,
         created_at: row.created_at
       });
@@ -453,29 +461,26 @@ function createRouter(pool) {
       const finalNotes = review_notes !== undefined ? review_notes : (prevDef.review_notes || null);
       const finalIntents = intents !== undefined ? intents : prev.intents;
 
-      // Auto-generate JS handlers from VBA source when VBA changes
+      // Auto-generate JS handlers (and the JS module of a standard or class module) when VBA changes
       let finalJsHandlers = js_handlers !== undefined ? js_handlers : (prevDef.js_handlers || null);
+      let finalJsModule = prevDef.js_module || null;
       if (vba_source !== undefined && vba_source) {
         try {
-          // Build enum map from all modules for cross-module enum resolution
-          const enumResult = await client.query(
-            `SELECT definition->>'vba_source' as vba_source
+          // Enums, procedures and classes of all modules, with the new source in place of the saved one
+          const moduleResult = await client.query(
+            `SELECT name, definition->>'vba_source' as vba_source
              FROM shared.objects
              WHERE database_id = $1 AND type = 'module' AND is_current = true
                AND definition->>'vba_source' IS NOT NULL`,
             [databaseId]
           );
-          const enumMap = new Map();
-          for (const r of enumResult.rows) {
-            const moduleEnums = collectEnumValues(r.vba_source);
-            for (const [k, v] of moduleEnums) enumMap.set(k, v);
-          }
-          // Also collect from the new source being saved (may have new enums)
-          const newEnums = collectEnumValues(vba_source);
-          for (const [k, v] of newEnums) enumMap.set(k, v);
+          const rows = moduleResult.rows.filter(r => r.name !== moduleName);
+          rows.push({ name: moduleName, vba_source });
+          const { enumMap, fnRegistry } = translationContext(rows);
 
-          const parsed = parseVbaToHandlers(vba_source, moduleName, enumMap);
+          const parsed = parseVbaToHandlers(vba_source, moduleName, enumMap, fnRegistry);
           finalJsHandlers = parsed.length > 0 ? parsed : null;
+          finalJsModule = translateModule(vba_source, moduleName, { enumMap, fnRegistry });
         } catch (e) {
           console.warn('Failed to parse VBA to JS handlers:', e.message);
         }
@@ -485,6 +490,7 @@ function createRouter(pool) {
       const definition = {
         vba_source: finalVba,
         js_handlers: finalJsHandlers,
+        js_module: finalJsModule,
         cljs_source: finalCljs,
         review_notes: finalNotes
       };
@@ -516,11 +522,12 @@ function createRouter(pool) {
       }
 
       await client.query('COMMIT');
+      clearModules(databaseId);
 
       // Write handler file to disk (non-fatal)
       try {
-        if (finalJsHandlers && finalJsHandlers.length > 0) {
-          writeHandlerFile(databaseId, moduleName, finalJsHandlers);
+        if ((finalJsHandlers && finalJsHandlers.length > 0) || finalJsModule) {
+          writeHandlerFile(databaseId, moduleName, finalJsHandlers || [], finalJsModule);
         } else {
           deleteHandlerFile(databaseId, moduleName);
         }
@@ -600,20 +607,12 @@ function createRouter(pool) {
 
       // Build enum map and fn registry from all modules
       const allModules = await pool.query(
-        `SELECT definition->>'vba_source' as vba_source
+        `SELECT name, definition->>'vba_source' as vba_source
          FROM shared.objects WHERE database_id = $1 AND type = 'module' AND is_current = true
            AND definition->>'vba_source' IS NOT NULL`,
         [databaseId]
       );
-      const enumMap = new Map();
-      const fnRegistry = new Set();
-      for (const r of allModules.rows) {
-        const e = collectEnumValues(r.vba_source);
-        for (const [k, v] of e) enumMap.set(k, v);
-        for (const name of extractProcedureNames(r.vba_source)) {
-          fnRegistry.add(name.toLowerCase());
-        }
-      }
+      const { enumMap, fnRegistry } = translationContext(allModules.rows);
 
       // Deterministic parse
       const handlers = parseVbaToHandlers(vbaSource, moduleName, enumMap, fnRegistry);
@@ -670,7 +669,7 @@ function createRouter(pool) {
       );
 
       // Write handler file
-      writeHandlerFile(databaseId, moduleName, handlers);
+      writeHandlerFile(databaseId, moduleName, handlers, def.js_module);
 
       res.json({
         handlers,
@@ -687,6 +686,32 @@ function createRouter(pool) {
     }
   });
 
+  /**
+   * POST /api/modules/:name/call/:procedure
+   * Run a public procedure of a translated standard module on the server
+   * (lib/vba-runtime.js) — the same code form handlers run in the browser.
+   * Body: { args: [...] } → { result }
+   */
+  router.post('/:name/call/:procedure', async (req, res) => {
+    const databaseId = req.databaseId;
+    const args = req.body?.args ?? [];
+    if (!Array.isArray(args)) {
+      return res.status(400).json({ error: 'args must be an array' });
+    }
+    try {
+      const result = await callModuleProcedure(pool, databaseId, req.params.name, req.params.procedure, args);
+      res.json({ result: result === undefined ? null : result });
+    } catch (err) {
+      if (err.status) {
+        return res.status(err.status).json({ error: err.message, code: err.code });
+      }
+      console.error('Error calling module procedure:', err);
+      logError(pool, 'POST /api/modules/:name/call/:procedure', 'Failed to call module procedure', err, { databaseId });
+      // Err.Number of an error the VBA raised (Err.Raise) or hit
+      res.status(500).json({ error: err.message, number: err.number ?? null });
+    }
+  });
+
   return router;
 }
 
@@ -7,6 +7,15 @@
 const express = require('express');
 const router = express.Router();
 const { logEvent, logError } = require('../lib/events');
+const { quoteIdent } = require('../lib/access-types');
+const { translateAccessFilter, compileOrderBy } = require('../lib/data-filter');
+const { exportFilename } = require('../lib/data-export');
+const { renderReport, REPORT_FORMATS } = require('../lib/report-render');
+
+const NAME_RE = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+// Rows read for one rendered report; more are dropped (X-Report-Truncated)
+const MAX_REPORT_ROWS = 50000;
 
 /**
  * Extract record-source from a definition (object or JSON string)
@@ -136,6 +145,123 @@ function createRouter(pool) {
     }
   });
 
+  /**
+   * Read a report's record source rows: a table, view or SELECT statement,
+   * narrowed by an Access filter and sorted by the report's Order By.
+   * Runs read-only, like POST /api/queries/run. Throws EFILTER for a bad filter.
+   */
+  async function readReportRecords(req, definition) {
+    const recordSource = String(definition['record-source'] || '').trim();
+    const params = [];
+    let from;
+    if (/^(select|with)\b/i.test(recordSource)) {
+      const sql = recordSource.replace(/;\s*$/, '');
+      if (sql.includes(';')) {
+        const err = new Error('Multiple statements are not allowed in a record source');
+        err.code = 'EFILTER';
+        throw err;
+      }
+      from = `(${sql}) AS report_source`;
+    } else if (NAME_RE.test(recordSource)) {
+      from = quoteIdent(recordSource.toLowerCase());
+    } else {
+      const err = new Error(`Invalid record source "${recordSource}"`);
+      err.code = 'EFILTER';
+      throw err;
+    }
+
+    const conditions = [translateAccessFilter(req.query.accessFilter, params)];
+    if (definition['filter-on'] === 1 && definition.filter) {
+      conditions.push(translateAccessFilter(definition.filter, params));
+    }
+    const where = conditions.filter(Boolean).map(c => `(${c})`).join(' AND ');
+    const orderBy = definition['order-by-on'] !== 0 && definition['order-by']
+      ? compileOrderBy(definition['order-by'])
+      : null;
+    params.push(MAX_REPORT_ROWS + 1);
+    const sql = `SELECT * FROM ${from}${where ? ` WHERE ${where}` : ''}` +
+      `${orderBy ? ` ORDER BY ${orderBy}` : ''} LIMIT $${params.length}`;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN READ ONLY');
+      await client.query('SET statement_timeout = \'30s\'');
+      const sessionId = req.headers['x-session-id'];
+      if (sessionId) {
+        await client.query('SELECT set_config($1, $2, true)', ['app.session_id', sessionId]);
+      }
+      const result = await client.query(sql, params);
+      await client.query('COMMIT');
+      return result.rows;
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * GET /api/reports/:name/render
+   * Render a report on the server, as a PDF or paginated HTML file.
+   * Query params:
+   *   format       - pdf (default) or html
+   *   accessFilter - Access WHERE condition on the record source, as
+   *                  DoCmd.OpenReport's WhereCondition: [OrderID] = 10248
+   *   filename     - suggested download name; the format's extension is applied
+   * The page count is sent as X-Report-Pages. At most MAX_REPORT_ROWS rows
+   * are rendered; X-Report-Truncated is set when there were more.
+   */
+  router.get('/:name/render', async (req, res) => {
+    const format = String(req.query.format || 'pdf').toLowerCase();
+    if (!REPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Unsupported report format "${format}" (expected ${Object.keys(REPORT_FORMATS).join(', ')})` });
+    }
+    try {
+      const result = await pool.query(
+        `SELECT o.definition
+         FROM shared.objects o
+         WHERE o.database_id = $1 AND o.type = 'report' AND o.name = $2 AND o.is_current = true
+           AND o.owner IN ($3, 'standard')
+         ORDER BY CASE WHEN o.owner = 'standard' THEN 1 ELSE 0 END
+         LIMIT 1`,
+        [req.databaseId, req.params.name, req.userId || 'standard']
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Report not found' });
+      }
+      const definition = result.rows[0].definition;
+      if (!definition['record-source']) {
+        return res.status(400).json({ error: 'Report has no record source' });
+      }
+
+      let records;
+      try {
+        records = await readReportRecords(req, definition);
+      } catch (err) {
+        // Bad filters, and SQL errors in the report's own record source
+        if (err.code === 'EFILTER' || /^[0-9A-Z]{5}$/.test(err.code || '')) {
+          return res.status(400).json({ error: err.message });
+        }
+        throw err;
+      }
+      const truncated = records.length > MAX_REPORT_ROWS;
+      if (truncated) records = records.slice(0, MAX_REPORT_ROWS);
+
+      const rendered = renderReport(definition, records, { format, title: definition.caption || req.params.name });
+      res.setHeader('Content-Type', rendered.contentType);
+      res.setHeader('Content-Disposition',
+        `attachment; filename="${exportFilename(req.query.filename, req.params.name, format)}"`);
+      res.setHeader('X-Report-Pages', String(rendered.pageCount));
+      if (truncated) res.setHeader('X-Report-Truncated', 'true');
+      res.send(rendered.body);
+    } catch (err) {
+      console.error('Error rendering report:', err);
+      logError(pool, 'GET /api/reports/:name/render', 'Failed to render report', err, { databaseId: req.databaseId });
+      res.status(500).json({ error: 'Failed to render report' });
+    }
+  });
+
   /**
    * PUT /api/reports/:name
    * Save a report (creates new version, marks old as not current)
@@ -0,0 +1,266 @@
+/**
+ * Row policy routes
+ * Record-level security per table (declared in shared.row_policies,
+ * materialized as PostgreSQL RLS by lib/row-policies.js) and the per-user
+ * attribute values membership policies test against.
+ */
+
+const express = require('express');
+const { logEvent, logError } = require('../lib/events');
+const {
+  NAME_RE, ATTRIBUTE_RE, normalizePolicy, applyTablePolicies, policiesEnforced
+} = require('../lib/row-policies');
+
+const USER_ID_RE = /^[A-Za-z0-9._@-]{1,100}$/;
+const MAX_POLICY_NAME = 50;
+
+const NOT_ENFORCED_WARNING =
+  'The server connects to PostgreSQL as a superuser or BYPASSRLS role, so row policies are ' +
+  'saved but not enforced. Connect as an ordinary role that owns the tables to enforce them.';
+
+module.exports = function(pool) {
+  const router = express.Router();
+
+  // Everything here acts on the database the request is bound to
+  router.use((req, res, next) => {
+    if (!req.databaseId || !req.schemaName) {
+      return res.status(400).json({ error: 'No database selected' });
+    }
+    next();
+  });
+
+  /** Re-create a table's RLS policies from its declarations. */
+  async function materialize(client, req, table) {
+    const declared = await client.query(
+      `SELECT * FROM shared.row_policies
+       WHERE database_id = $1 AND table_name = $2
+       ORDER BY policy_name`,
+      [req.databaseId, table]
+    );
+    return applyTablePolicies(client, req.schemaName, req.databaseId, table, declared.rows);
+  }
+
+  async function enforcement() {
+    const enforced = await policiesEnforced(pool);
+    return enforced ? { enforced } : { enforced, warning: NOT_ENFORCED_WARNING };
+  }
+
+  // ============================================================
+  // User attributes
+  // ============================================================
+
+  /**
+   * GET /api/row-policies/attributes?userId=
+   * Attribute values per user, e.g. { user_id: 'ann', attribute: 'region', values: ['East'] }
+   */
+  router.get('/attributes', async (req, res) => {
+    try {
+      const params = [req.databaseId];
+      let where = 'database_id = $1';
+      if (req.query.userId) {
+        params.push(req.query.userId);
+        where += ' AND user_id = $2';
+      }
+      const result = await pool.query(
+        `SELECT user_id, attribute, array_agg(value ORDER BY value) AS values
+         FROM shared.user_attributes
+         WHERE ${where}
+         GROUP BY user_id, attribute
+         ORDER BY user_id, attribute`,
+        params
+      );
+      res.json({ attributes: result.rows });
+    } catch (err) {
+      console.error('Error listing user attributes:', err);
+      logError(pool, 'GET /api/row-policies/attributes', 'Failed to list user attributes', err, { databaseId: req.databaseId });
+      res.status(500).json({ error: 'Failed to list user attributes' });
+    }
+  });
+
+  /**
+   * PUT /api/row-policies/attributes/:userId/:attribute
+   * Replace a user's values for an attribute. Body: { values: [...] }; [] removes them.
+   */
+  router.put('/attributes/:userId/:attribute', async (req, res) => {
+    const { userId, attribute } = req.params;
+    if (!USER_ID_RE.test(userId)) return res.status(400).json({ error: 'Invalid user id' });
+    if (!ATTRIBUTE_RE.test(attribute)) return res.status(400).json({ error: 'Invalid attribute name' });
+    const { values } = req.body || {};
+    if (!Array.isArray(values) || values.some(v => v === null || typeof v === 'object')) {
+      return res.status(400).json({ error: 'values must be an array of strings or numbers' });
+    }
+    const distinct = [...new Set(values.map(String))].sort();
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'DELETE FROM shared.user_attributes WHERE database_id = $1 AND user_id = $2 AND attribute = $3',
+        [req.databaseId, userId, attribute]
+      );
+      if (distinct.length > 0) {
+        await client.query(
+          `INSERT INTO shared.user_attributes (database_id, user_id, attribute, value)
+           SELECT $1, $2, $3, unnest($4::text[])`,
+          [req.databaseId, userId, attribute, distinct]
+        );
+      }
+      await client.query('COMMIT');
+      res.json({ user_id: userId, attribute, values: distinct });
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      console.error('Error saving user attribute:', err);
+      logError(pool, 'PUT /api/row-policies/attributes/:userId/:attribute', 'Failed to save user attribute', err, { databaseId: req.databaseId });
+      res.status(500).json({ error: 'Failed to save user attribute' });
+    } finally {
+      client.release();
+    }
+  });
+
+  // ============================================================
+  // Policies
+  // ============================================================
+
+  /**
+   * GET /api/row-policies?table=
+   * Declared policies for the current database, and whether PostgreSQL enforces them.
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const params = [req.databaseId];
+      let where = 'database_id = $1';
+      if (req.query.table) {
+        params.push(String(req.query.table).toLowerCase());
+        where += ' AND table_name = $2';
+      }
+      const result = await pool.query(
+        `SELECT * FROM shared.row_policies WHERE ${where} ORDER BY table_name, policy_name`,
+        params
+      );
+      res.json({ policies: result.rows, ...(await enforcement()) });
+    } catch (err) {
+      console.error('Error listing row policies:', err);
+      logError(pool, 'GET /api/row-policies', 'Failed to list row policies', err, { databaseId: req.databaseId });
+      res.status(500).json({ error: 'Failed to list row policies' });
+    }
+  });
+
+  /**
+   * PUT /api/row-policies/:table/:name
+   * Create or replace a policy and re-create the table's RLS policies.
+   * Body: { kind: 'owner'|'membership'|'expression', column?, attribute?, expression?,
+   *         command?: 'all'|'select'|'insert'|'update'|'delete', restrictive?, enabled? }
+   */
+  router.put('/:table/:name', async (req, res) => {
+    const table = req.params.table.toLowerCase();
+    const name = req.params.name.toLowerCase();
+    if (!NAME_RE.test(table)) return res.status(400).json({ error: 'Invalid table name' });
+    if (!NAME_RE.test(name) || name.length > MAX_POLICY_NAME) {
+      return res.status(400).json({ error: 'Invalid policy name' });
+    }
+
+    let policy;
+    try {
+      policy = normalizePolicy(req.body);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    let client;
+    try {
+      const tableResult = await pool.query(
+        `SELECT 1 FROM information_schema.tables
+         WHERE table_schema = $1 AND table_name = $2 AND table_type = 'BASE TABLE'`,
+        [req.schemaName, table]
+      );
+      if (tableResult.rows.length === 0) {
+        return res.status(404).json({ error: `Table "${table}" not found` });
+      }
+      if (policy.column) {
+        const columnResult = await pool.query(
+          `SELECT 1 FROM information_schema.columns
+           WHERE table_schema = $1 AND table_name = $2 AND column_name = $3`,
+          [req.schemaName, table, policy.column]
+        );
+        if (columnResult.rows.length === 0) {
+          return res.status(400).json({ error: `Column "${policy.column}" not found in "${table}"` });
+        }
+      }
+
+      client = await pool.connect();
+      await client.query('BEGIN');
+      const saved = await client.query(
+        `INSERT INTO shared.row_policies
+           (database_id, table_name, policy_name, kind, column_name, attribute, expression,
+            command, restrictive, enabled, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         ON CONFLICT (database_id, table_name, policy_name) DO UPDATE SET
+           kind = EXCLUDED.kind, column_name = EXCLUDED.column_name,
+           attribute = EXCLUDED.attribute, expression = EXCLUDED.expression,
+           command = EXCLUDED.command, restrictive = EXCLUDED.restrictive,
+           enabled = EXCLUDED.enabled, updated_at = NOW()
+         RETURNING *`,
+        [req.databaseId, table, name, policy.kind, policy.column, policy.attribute, policy.expression,
+          policy.command, policy.restrictive, policy.enabled, req.userId || null]
+      );
+      const { rls } = await materialize(client, req, table);
+      await client.query('COMMIT');
+
+      logEvent(pool, 'action', 'PUT /api/row-policies/:table/:name', `Row policy "${name}" on "${table}" saved`, {
+        databaseId: req.databaseId, userId: req.userId, details: { table, policy: name, kind: policy.kind }
+      });
+      res.json({ policy: saved.rows[0], rls, ...(await enforcement()) });
+    } catch (err) {
+      if (client) await client.query('ROLLBACK').catch(() => {});
+      if (err.code === 'EPOLICY') return res.status(400).json({ error: err.message });
+      // PostgreSQL rejected the policy (bad expression): nothing was saved
+      if (/^42/.test(err.code || '')) {
+        return res.status(400).json({ error: `Invalid policy: ${err.message}` });
+      }
+      console.error('Error saving row policy:', err);
+      logError(pool, 'PUT /api/row-policies/:table/:name', 'Failed to save row policy', err, { databaseId: req.databaseId });
+      res.status(500).json({ error: 'Failed to save row policy' });
+    } finally {
+      if (client) client.release();
+    }
+  });
+
+  /**
+   * DELETE /api/row-policies/:table/:name
+   * Remove a policy; row-level security goes off when the table has none left.
+   */
+  router.delete('/:table/:name', async (req, res) => {
+    const table = req.params.table.toLowerCase();
+    const name = req.params.name.toLowerCase();
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const deleted = await client.query(
+        `DELETE FROM shared.row_policies
+         WHERE database_id = $1 AND table_name = $2 AND policy_name = $3
+         RETURNING id`,
+        [req.databaseId, table, name]
+      );
+      if (deleted.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Row policy not found' });
+      }
+      const { rls } = await materialize(client, req, table);
+      await client.query('COMMIT');
+
+      logEvent(pool, 'action', 'DELETE /api/row-policies/:table/:name', `Row policy "${name}" on "${table}" removed`, {
+        databaseId: req.databaseId, userId: req.userId, details: { table, policy: name }
+      });
+      res.json({ success: true, rls });
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      console.error('Error deleting row policy:', err);
+      logError(pool, 'DELETE /api/row-policies/:table/:name', 'Failed to delete row policy', err, { databaseId: req.databaseId });
+      res.status(500).json({ error: 'Failed to delete row policy' });
+    } finally {
+      client.release();
+    }
+  });
+
+  return router;
+};
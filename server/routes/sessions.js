@@ -7,21 +7,36 @@ const express = require('express');
 const router = express.Router();
 const { logEvent, logError } = require('../lib/events');
 
+// Rows for clients with no user last this long after their last save
+const SESSION_UI_STATE_TTL = '30 days';
+
+/**
+ * The shared.ui_state key for a request: the user id, or "session:<id>" from
+ * X-Session-ID when there is no user, so anonymous clients don't share a row.
+ * Null when the request carries neither.
+ */
+function uiStateKey(req) {
+  if (req.userId) return req.userId;
+  const sessionId = req.headers['x-session-id'];
+  return sessionId && /^[\w-]{1,64}$/.test(sessionId) ? `session:${sessionId}` : null;
+}
+
 module.exports = function(pool) {
   /**
-   * GET /api/ui-state
-   * Get saved UI state (open tabs, active database, etc.)
+   * GET /api/session/ui-state
+   * The requesting user's saved UI state (selected database, open tabs, etc.).
+   * Asked before a database is chosen, so it lives in shared.ui_state, one row
+   * per user, or per X-Session-ID for requests with no user id.
    */
   router.get('/ui-state', async (req, res) => {
+    const key = uiStateKey(req);
+    if (!key) return res.json({});
     try {
       const result = await pool.query(
-        "SELECT setting_value FROM app_config WHERE setting_name = 'ui_state'"
+        'SELECT state FROM shared.ui_state WHERE user_id = $1',
+        [key]
       );
-      if (result.rows.length > 0 && result.rows[0].setting_value) {
-        res.json(JSON.parse(result.rows[0].setting_value));
-      } else {
-        res.json({});
-      }
+      res.json(result.rows.length > 0 ? result.rows[0].state : {});
     } catch (err) {
       console.error('Error fetching UI state:', err);
       logEvent(pool, 'warning', 'GET /api/session/ui-state', 'Failed to fetch UI state', { databaseId: req.databaseId, details: { error: err.message } });
@@ -30,18 +45,32 @@ module.exports = function(pool) {
   });
 
   /**
-   * PUT /api/ui-state
-   * Save UI state (open tabs, active database, etc.)
+   * PUT /api/session/ui-state
+   * Save the requesting user's UI state (selected database, open tabs, etc.)
    */
   router.put('/ui-state', async (req, res) => {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({ error: 'UI state must be an object' });
+    }
+    const key = uiStateKey(req);
+    if (!key) {
+      return res.status(400).json({ error: 'Saving UI state needs a user or an X-Session-ID' });
+    }
     try {
-      const stateJson = JSON.stringify(req.body);
+      if (!req.userId) {
+        // Session ids change with every page load; drop the ones nobody has used in a while
+        await pool.query(
+          `DELETE FROM shared.ui_state
+           WHERE user_id LIKE 'session:%' AND updated_at < NOW() - $1::interval`,
+          [SESSION_UI_STATE_TTL]
+        );
+      }
       await pool.query(
-        `INSERT INTO app_config (setting_name, setting_value, description)
-         VALUES ('ui_state', $1, 'Saved UI state - open tabs, active database')
-         ON CONFLICT (setting_name)
-         DO UPDATE SET setting_value = $1`,
-        [stateJson]
+        `INSERT INTO shared.ui_state (user_id, state)
+         VALUES ($1, $2)
+         ON CONFLICT (user_id)
+         DO UPDATE SET state = EXCLUDED.state, updated_at = NOW()`,
+        [key, JSON.stringify(req.body)]
       );
       res.json({ success: true });
     } catch (err) {
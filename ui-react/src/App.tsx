@@ -7,6 +7,7 @@ import ChatPanel from '@/components/ChatPanel';
 import ErrorBanner from '@/components/ErrorBanner';
 import LoadingOverlay from '@/components/LoadingOverlay';
 import OptionsDialog from '@/components/OptionsDialog';
+import LoginScreen from '@/components/LoginScreen';
 import ObjectEditor from '@/views/ObjectEditor';
 import ImportViewer from '@/views/ImportViewer/ImportViewer';
 import LogsViewer from '@/views/LogsViewer';
@@ -16,6 +17,7 @@ export default function App() {
   const init = useUiStore(s => s.init);
   const appMode = useUiStore(s => s.appMode);
   const activeTab = useUiStore(s => s.activeTab);
+  const authRequired = useUiStore(s => s.authRequired);
 
   useEffect(() => { init(); }, [init]);
 
@@ -26,6 +28,8 @@ export default function App() {
         <ErrorBanner />
         <LoadingOverlay />
         <OptionsDialog />
+        {/* Over the app, so an expired session keeps unsaved edits underneath */}
+        {authRequired && <LoginScreen />}
 
         <div className="app-body">
           <Sidebar />
@@ -0,0 +1,37 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { streamNdjson } from './client';
+
+function respond(body: string, headers: Record<string, string> = {}) {
+  vi.stubGlobal('fetch', vi.fn(async () => new Response(body, { status: 200, headers })));
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('streamNdjson', () => {
+  it('hands rows to onRows and reads the closing cursor line', async () => {
+    respond('{"id":1}\n{"id":2}\n{"__meta":{"nextCursor":"WzJd"}}\n', { 'X-Total-Count': '5' });
+    const rows: unknown[] = [];
+    const result = await streamNdjson('/api/data/orders?stream=ndjson&cursor=', r => rows.push(...r));
+    expect(rows).toEqual([{ id: 1 }, { id: 2 }]);
+    expect(result).toEqual({ ok: true, status: 200, totalCount: 5, nextCursor: 'WzJd' });
+  });
+
+  it('treats a row whose only column is "error" as a row', async () => {
+    respond('{"error":"E042"}\n');
+    const rows: unknown[] = [];
+    const result = await streamNdjson('/api/data/error_codes?stream=ndjson', r => rows.push(...r));
+    expect(rows).toEqual([{ error: 'E042' }]);
+    expect(result.ok).toBe(true);
+    expect(result).not.toHaveProperty('nextCursor');
+  });
+
+  it('fails on an in-band error line', async () => {
+    respond('{"id":1}\n{"__meta":{"error":"Failed to fetch data"}}\n');
+    const rows: unknown[] = [];
+    const result = await streamNdjson('/api/data/orders?stream=ndjson', r => rows.push(...r));
+    expect(rows).toEqual([{ id: 1 }]);
+    expect(result.ok).toBe(false);
+  });
+});
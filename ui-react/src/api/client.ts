@@ -13,6 +13,11 @@ export function getUserId() { return userId; }
 export function setDatabaseId(id: string) { databaseId = id; }
 export function getDatabaseId() { return databaseId; }
 
+// Called when the server answers 401 (no session, or it expired) so the app
+// can show the sign-in screen. Only set when authentication is on.
+let onUnauthorized: (() => void) | null = null;
+export function setUnauthorizedHandler(fn: (() => void) | null) { onUnauthorized = fn; }
+
 // ============================================================
 // Headers
 // ============================================================
@@ -45,6 +50,7 @@ async function request<T>(
   }
   try {
     const res = await fetch(path, opts);
+    if (res.status === 401 && onUnauthorized) onUnauthorized();
     const text = await res.text();
     let data: T;
     try {
@@ -85,3 +91,118 @@ export function del<T>(path: string, body?: unknown) {
 export function patch<T>(path: string, body?: unknown) {
   return request<T>('PATCH', path, body);
 }
+
+// ============================================================
+// Downloads
+// ============================================================
+
+/**
+ * Fetch a file response (e.g. GET /api/data/:source/export) and hand it to the
+ * browser as a download. A plain link can't send X-Database-ID, so the body goes
+ * through a blob URL. The name comes from Content-Disposition when present.
+ * Resolves with the saved filename, or the server's error message.
+ */
+export async function download(path: string, fallbackName: string): Promise<ApiResult<string>> {
+  let res: Response;
+  try {
+    res = await fetch(path, { headers: dbHeaders() });
+  } catch (err) {
+    return { ok: false, data: err instanceof Error ? err.message : String(err), status: 0 };
+  }
+  if (!res.ok) {
+    const text = await res.text();
+    let message = text;
+    try {
+      message = JSON.parse(text).error || text;
+    } catch {
+      // plain-text error body
+    }
+    return { ok: false, data: message, status: res.status };
+  }
+
+  const blob = await res.blob();
+  const disposition = res.headers.get('Content-Disposition') || '';
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+  return { ok: true, data: filename, status: res.status };
+}
+
+// ============================================================
+// Streaming
+// ============================================================
+
+export interface StreamResult {
+  ok: boolean;
+  status: number;
+  totalCount: number | null;
+  /** Keyset reads (?cursor=): the next page's cursor, null on the last page */
+  nextCursor?: string | null;
+}
+
+/**
+ * Read a newline-delimited JSON response (e.g. GET /api/data/:source?stream=ndjson),
+ * handing each chunk's parsed lines to onRows as they arrive. A `__meta` line
+ * is not a row: it carries the next keyset cursor, or an error the server hit
+ * after the headers were sent.
+ */
+export async function streamNdjson<T>(
+  path: string,
+  onRows: (rows: T[]) => void,
+  signal?: AbortSignal,
+): Promise<StreamResult> {
+  let res: Response;
+  try {
+    res = await fetch(path, {
+      headers: { ...dbHeaders(), Accept: 'application/x-ndjson' },
+      signal,
+    });
+  } catch {
+    return { ok: false, status: 0, totalCount: null };
+  }
+  const header = res.headers.get('X-Total-Count');
+  const totalCount = header !== null ? parseInt(header, 10) : null;
+  if (!res.ok || !res.body) return { ok: false, status: res.status, totalCount };
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+  let ok = true;
+  let nextCursor: string | null | undefined;
+  const emit = (lines: string[]) => {
+    const rows: T[] = [];
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      const parsed = JSON.parse(line);
+      if (parsed && typeof parsed === 'object' && Object.keys(parsed).length === 1 && '__meta' in parsed) {
+        const meta = parsed.__meta ?? {};
+        if ('error' in meta) ok = false;
+        if ('nextCursor' in meta) nextCursor = meta.nextCursor;
+        continue;
+      }
+      rows.push(parsed as T);
+    }
+    if (rows.length > 0) onRows(rows);
+  };
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffered += decoder.decode(value, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop() ?? '';
+      emit(lines);
+    }
+    emit([buffered + decoder.decode()]);
+  } catch {
+    ok = false;
+  }
+  return { ok, status: res.status, totalCount, ...(nextCursor !== undefined ? { nextCursor } : {}) };
+}
@@ -6,6 +6,18 @@ export interface Database {
   database_id: string;
   name: string;
   description?: string;
+  /** Signed-in user's role on this database (only when authentication is on) */
+  role?: DatabaseRole;
+}
+
+export type DatabaseRole = 'admin' | 'designer' | 'data-entry' | 'read-only';
+
+/** GET /api/whoami */
+export interface CurrentUser {
+  username: string;
+  displayName?: string;
+  isAdmin?: boolean;
+  authEnabled: boolean;
 }
 
 // ============================================================
@@ -269,6 +281,7 @@ export interface ModuleDetail {
   name: string;
   vba_source?: string;
   js_handlers?: Record<string, HandlerEntry>;
+  js_module?: JsModule | null;
   intents?: unknown;
   status?: string;
   review_notes?: string;
@@ -287,9 +300,19 @@ export interface HandlerEntry {
   notes?: string;
 }
 
+/** A standard or class module translated whole (server/lib/vba-module-to-js.js) */
+export interface JsModule {
+  name: string;
+  kind: 'standard' | 'class';
+  /** Body of an async function of `runtime` (AC) returning the module's exports */
+  js: string;
+  exports?: string[];
+}
+
 export interface MacroDetail {
   name: string;
   macro_xml?: string;
+  js_macro?: JsMacro | null;
   status?: string;
   review_notes?: string;
   description?: string;
@@ -297,6 +320,34 @@ export interface MacroDetail {
   created_at?: string;
 }
 
+/** A macro translated for the macro runtime (server/lib/macro-to-js.js) */
+export interface JsMacro {
+  name: string;
+  statements: MacroStatement[];
+  /** Submacros by name, run with RunMacro "macro.submacro" or OnError */
+  submacros: Record<string, MacroStatement[]>;
+  untranslated?: { action: string; argument: string; text: string }[];
+}
+
+export type MacroStatement = MacroAction | MacroIf;
+
+export interface MacroAction {
+  type: 'action';
+  action: string;
+  /** Argument values by name, as the macro has them */
+  arguments: Record<string, string>;
+  /** JS for the expression arguments; null where it couldn't be translated */
+  expressions?: Record<string, string | null>;
+  /** SetValue's Item */
+  target?: { form: string | null; control: string; property: string } | null;
+}
+
+export interface MacroIf {
+  type: 'if';
+  branches: { condition: string; js: string | null; statements: MacroStatement[] }[];
+  else: MacroStatement[] | null;
+}
+
 // ============================================================
 // Projection (form runtime binding)
 // ============================================================
@@ -477,6 +528,28 @@ export interface RecordPosition {
   total: number;
 }
 
+/**
+ * 400/409 payload from POST/PUT/DELETE /api/data when a write breaks a
+ * NOT NULL, foreign key, unique or check constraint (SQLSTATE 23xxx)
+ */
+export interface ConstraintViolation {
+  error: string;
+  code: string;
+  table: string | null;
+  field: string | null;
+  value?: unknown;
+  constraint: string | null;
+}
+
+/** 409 payload from PUT /api/data/:table/:id when another user changed the row */
+export interface WriteConflict {
+  message: string;
+  current: Record<string, unknown>;
+  attempted: Record<string, unknown>;
+  changedColumns: string[];
+  actions: Array<'save' | 'drop' | 'copy'>;
+}
+
 export interface LogsFilter {
   objectType: string | null;
   status: string | null;
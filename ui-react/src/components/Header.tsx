@@ -6,8 +6,10 @@ export default function Header() {
   const {
     availableDatabases, currentDatabase, loadingObjects,
     appMode, setAppMode, switchDatabase, loadDatabases,
-    optionsDialogOpen, openOptionsDialog,
+    optionsDialogOpen, openOptionsDialog, currentUser, logout,
   } = useUiStore();
+  // With authentication on, only administrators create databases
+  const canCreateDb = !currentUser?.authEnabled || !!currentUser.isAdmin;
 
   const [newDbOpen, setNewDbOpen] = useState(false);
   const [newDbName, setNewDbName] = useState('');
@@ -55,7 +57,7 @@ export default function Header() {
             {availableDatabases.map(db => (
               <option key={db.database_id} value={db.database_id}>{db.name}</option>
             ))}
-            <option value="__new__">+ New Database...</option>
+            {canCreateDb && <option value="__new__">+ New Database...</option>}
           </select>
           {loadingObjects && <span className="loading-indicator">Loading...</span>}
         </div>
@@ -79,6 +81,14 @@ export default function Header() {
           <div className="menu-bar">
             <ToolsMenu onOptions={openOptionsDialog} />
           </div>
+          {currentUser?.authEnabled && (
+            <div className="header-user">
+              <span title={currentDatabase?.role ? `Role: ${currentDatabase.role}` : undefined}>
+                {currentUser.displayName || currentUser.username}
+              </span>
+              <button className="secondary-btn" onClick={logout}>Sign out</button>
+            </div>
+          )}
         </div>
       </div>
 
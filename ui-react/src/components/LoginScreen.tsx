@@ -0,0 +1,74 @@
+import { useState, useEffect } from 'react';
+import { useUiStore } from '@/store/ui';
+import * as api from '@/api/client';
+
+interface Providers {
+  enabled: boolean;
+  local: boolean;
+  oidc: { label: string } | null;
+}
+
+/**
+ * Sign-in screen, shown when the server requires a session (ACCESSCLONE_AUTH=on).
+ * Offers the local password form and, when configured, the OpenID Connect
+ * provider — a full-page redirect that comes back with the session cookie set.
+ */
+export default function LoginScreen() {
+  const login = useUiStore(s => s.login);
+  const [providers, setProviders] = useState<Providers | null>(null);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    api.get<Providers>('/api/auth/providers').then(res => {
+      if (res.ok) setProviders(res.data);
+    });
+  }, []);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!username.trim() || !password) return;
+    setBusy(true);
+    setError(null);
+    const message = await login(username.trim(), password);
+    setBusy(false);
+    if (message) setError(message);
+  };
+
+  const returnTo = encodeURIComponent(window.location.pathname + window.location.search);
+
+  return (
+    <div className="login-screen">
+      <form className="dialog login-dialog" onSubmit={handleSubmit}>
+        <div className="dialog-header">
+          <h3>Sign in</h3>
+        </div>
+        <div className="dialog-body">
+          <div className="option-row">
+            <label htmlFor="login-username">User name</label>
+            <input id="login-username" className="text-input" value={username} autoComplete="username"
+              onChange={e => setUsername(e.target.value)} autoFocus />
+          </div>
+          <div className="option-row">
+            <label htmlFor="login-password">Password</label>
+            <input id="login-password" className="text-input" type="password" value={password}
+              autoComplete="current-password" onChange={e => setPassword(e.target.value)} />
+          </div>
+          {error && <div className="error-text">{error}</div>}
+        </div>
+        <div className="dialog-footer">
+          {providers?.oidc && (
+            <a className="secondary-btn" href={`/api/auth/oidc/login?returnTo=${returnTo}`}>
+              {providers.oidc.label}
+            </a>
+          )}
+          <button className="primary-btn" type="submit" disabled={busy}>
+            {busy ? 'Signing in...' : 'Sign in'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
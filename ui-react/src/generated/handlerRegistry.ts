@@ -1,12 +1,14 @@
 /**
  * Registry for on-disk handler files.
  * Discovers handler modules via import.meta.glob (eager — handlers are small data).
+ * Files for standard and class modules also export the module translated whole (jsModule).
  */
 
-import type { HandlerEntry } from '@/api/types';
+import type { HandlerEntry, JsModule } from '@/api/types';
 
 interface HandlerModule {
   handlers: Record<string, HandlerEntry>;
+  jsModule?: JsModule;
 }
 
 const modules = import.meta.glob<HandlerModule>(
@@ -16,6 +18,7 @@ const modules = import.meta.glob<HandlerModule>(
 
 // Build registry keyed by "databaseId/ModuleName"
 const registry: Record<string, Record<string, HandlerEntry>> = {};
+const jsModules: Record<string, JsModule> = {};
 
 for (const [path, mod] of Object.entries(modules)) {
   // Path looks like: ./handlers/northwind4/Form_frmAbout.ts
@@ -23,21 +26,34 @@ for (const [path, mod] of Object.entries(modules)) {
   if (match && mod.handlers) {
     const key = `${match[1]}/${match[2]}`;
     registry[key] = mod.handlers;
+    if (mod.jsModule) jsModules[key] = mod.jsModule;
   }
 }
 
+interface RegistryRuntime {
+  registerFnHandler?: (name: string, js: string) => void;
+  registerModule?: (module: JsModule) => void;
+}
+
 /**
- * Register all fn.* handlers for a database with the AC runtime.
+ * Register all fn.* handlers and translated standard/class modules for a
+ * database with the AC runtime.
  * Called when the database changes so cross-module function dispatch works.
  */
 export function registerFnHandlers(databaseId: string): number {
-  const AC = (window as unknown as Record<string, Record<string, (name: string, js: string) => void>>).AC;
+  const AC = (window as unknown as { AC?: RegistryRuntime }).AC;
   if (!AC?.registerFnHandler) return 0;
 
   let count = 0;
   const prefix = `${databaseId}/`;
   const prefixLower = prefix.toLowerCase();
 
+  for (const [key, jsModule] of Object.entries(jsModules)) {
+    if (!key.toLowerCase().startsWith(prefixLower) || !AC.registerModule) continue;
+    AC.registerModule(jsModule);
+    count++;
+  }
+
   for (const [key, handlers] of Object.entries(registry)) {
     if (!key.startsWith(prefix) && !key.toLowerCase().startsWith(prefixLower)) continue;
     for (const [hKey, handler] of Object.entries(handlers)) {
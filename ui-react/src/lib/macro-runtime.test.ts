@@ -0,0 +1,175 @@
+import { describe, it, expect, vi } from 'vitest';
+import type { JsMacro, MacroAction, MacroStatement } from '@/api/types';
+import { NOT_SUPPORTED, createMacroRunner, findRecordIndex } from './macro-runtime';
+
+function action(name: string, args: Record<string, string> = {}, expressions?: Record<string, string | null>): MacroAction {
+  return { type: 'action', action: name, arguments: args, ...(expressions ? { expressions } : {}) };
+}
+
+function macro(name: string, statements: MacroStatement[], submacros: Record<string, MacroStatement[]> = {}): JsMacro {
+  return { name, statements, submacros };
+}
+
+function fakeAC() {
+  const tempVars = new Map<string, unknown>();
+  return {
+    getTempVar: (name: string) => tempVars.get(name) ?? null,
+    setTempVar: vi.fn((name: string, value: unknown) => { tempVars.set(name, value); }),
+    openForm: vi.fn(),
+    gotoRecord: vi.fn(),
+    setEnabled: vi.fn(),
+    importFile: vi.fn(),
+    outputTo: vi.fn(),
+    sendMail: vi.fn(),
+    focusForm: vi.fn(),
+  };
+}
+
+function runnerFor(macros: JsMacro[]) {
+  const AC = fakeAC();
+  const byName = new Map(macros.map(m => [m.name.toLowerCase(), m]));
+  const runner = createMacroRunner(() => AC, async name => byName.get(name.toLowerCase()) ?? null);
+  return { AC, runner };
+}
+
+describe('macro statements', () => {
+  it('runs the first If / Else If branch that holds, or Else', async () => {
+    const welcome = macro('mcrWelcome', [{
+      type: 'if',
+      branches: [
+        { condition: '[TempVars]![Role]="Admin"', js: 'AC.getTempVar("Role") === "Admin"', statements: [action('OpenForm', { FormName: 'frmAdmin' })] },
+        { condition: '[TempVars]![Role]="Manager"', js: 'AC.getTempVar("Role") === "Manager"', statements: [action('OpenForm', { FormName: 'frmManager' })] },
+      ],
+      else: [action('OpenForm', { FormName: 'frmHome' })],
+    }]);
+    const { AC, runner } = runnerFor([welcome]);
+    await runner.runMacro('mcrWelcome');
+    AC.setTempVar('Role', 'Manager');
+    await runner.runMacro('mcrWelcome');
+    expect(AC.openForm.mock.calls.map(c => c[0])).toEqual(['frmHome', 'frmManager']);
+  });
+
+  it('evaluates expression arguments, with LocalVars per run', async () => {
+    const counter = macro('mcrCount', [
+      action('SetLocalVar', { Name: 'n', Expression: '1' }, { Expression: '(M.localVars["n"] ?? 0) + 1' }),
+      action('SetTempVar', { Name: 'Seen', Expression: '[LocalVars]![n]' }, { Expression: 'M.localVars["n"]' }),
+    ]);
+    const { AC, runner } = runnerFor([counter]);
+    await runner.runMacro('mcrCount', 2);
+    expect(AC.setTempVar.mock.calls).toEqual([['Seen', 1], ['Seen', 1]]);
+  });
+});
+
+describe('RunMacro', () => {
+  it('runs a submacro while RepeatExpression holds', async () => {
+    const nav = macro('mcrNav', [
+      action('SetTempVar', { Name: 'i', Expression: '0' }, { Expression: '0' }),
+      action('RunMacro', { MacroName: 'mcrNav.Step', RepeatExpression: '[TempVars]![i] < 3' }, { RepeatExpression: 'AC.getTempVar("i") < 3' }),
+    ], {
+      Step: [
+        action('GoToRecord', { Record: 'Next' }),
+        action('SetTempVar', { Name: 'i', Expression: '[TempVars]![i] + 1' }, { Expression: 'AC.getTempVar("i") + 1' }),
+      ],
+    });
+    const { AC, runner } = runnerFor([nav]);
+    await runner.runMacro('mcrNav');
+    expect(AC.gotoRecord).toHaveBeenCalledTimes(3);
+  });
+
+  it('StopMacro ends the called macro; StopAllMacros ends them all', async () => {
+    const inner = macro('mcrInner', [action('StopMacro'), action('OpenForm', { FormName: 'frmNever' })]);
+    const outer = macro('mcrOuter', [action('RunMacro', { MacroName: 'mcrInner' }), action('OpenForm', { FormName: 'frmAfter' })]);
+    const { AC, runner } = runnerFor([inner, outer]);
+    await runner.runMacro('mcrOuter');
+    expect(AC.openForm.mock.calls).toEqual([['frmAfter', undefined]]);
+
+    inner.statements[0] = action('StopAllMacros');
+    AC.openForm.mockClear();
+    await runner.runMacro('mcrOuter');
+    expect(AC.openForm).not.toHaveBeenCalled();
+  });
+
+  it('a missing macro is an error', async () => {
+    await expect(runnerFor([]).runner.runMacro('mcrNope')).rejects.toMatchObject({ number: 2485 });
+  });
+});
+
+describe('OnError', () => {
+  it('Fail (the default) stops the macro with the error', async () => {
+    const { runner } = runnerFor([macro('mcrBad', [action('MoveSize', { Right: '100' })])]);
+    await expect(runner.runMacro('mcrBad')).rejects.toMatchObject({ number: NOT_SUPPORTED, message: expect.stringContaining('MoveSize') });
+  });
+
+  it('Next goes on, with MacroError set', async () => {
+    const { AC, runner } = runnerFor([macro('mcrNext', [
+      action('OnError', { Goto: 'Next' }),
+      action('DeleteObject', { ObjectType: 'Table', ObjectName: 'tblOld' }),
+      action('SetTempVar', { Name: 'Err', Expression: '[MacroError].[ActionName]' }, { Expression: 'M.macroError.actionName + " " + M.macroError.number' }),
+    ])]);
+    await runner.runMacro('mcrNext');
+    expect(AC.setTempVar).toHaveBeenCalledWith('Err', `DeleteObject ${NOT_SUPPORTED}`);
+  });
+
+  it('Macro Name runs the handler submacro, then the macro ends', async () => {
+    const { AC, runner } = runnerFor([macro('mcrHandled', [
+      action('OnError', { Goto: 'Macro Name', MacroName: 'ErrorHandler' }),
+      { ...action('SetValue', { Item: '[Total]', Expression: '[Qty] *' }, { Expression: null }), target: { form: null, control: 'Total', property: 'Value' } },
+      action('OpenForm', { FormName: 'frmNever' }),
+    ], {
+      ErrorHandler: [action('SetTempVar', { Name: 'Failed', Expression: '[MacroError].[Description]' }, { Expression: 'M.macroError.description' })],
+    })]);
+    await runner.runMacro('mcrHandled');
+    expect(AC.setTempVar.mock.calls[0][1]).toMatch(/could not be translated/);
+    expect(AC.openForm).not.toHaveBeenCalled();
+  });
+});
+
+describe('actions', () => {
+  it('map onto AC', async () => {
+    const { AC, runner } = runnerFor([macro('mcrActions', [
+      action('SetProperty', { ControlName: 'btnSave', Property: 'Enabled', Value: 'No' }),
+      action('TransferSpreadsheet', { TransferType: 'Import', TableName: 'orders', FileName: 'orders.xlsx', HasFieldNames: 'Yes' }),
+      action('TransferText', { TransferType: 'Export Delimited', TableName: 'orders', FileName: 'orders.csv' }),
+      action('SendObject', { To: 'a@example.com; b@example.com', Subject: 'Hi' }),
+      action('SelectObject', { ObjectType: 'Form', ObjectName: 'frmOrders' }),
+      action('Maximize'),
+    ])]);
+    await runner.runMacro('mcrActions');
+    expect(AC.setEnabled).toHaveBeenCalledWith('btnSave', false);
+    expect(AC.importFile).toHaveBeenCalledWith('orders', 'xlsx', true, 'orders.xlsx');
+    expect(AC.outputTo).toHaveBeenCalledWith('table', 'orders', 'csv', 'orders.csv');
+    expect(AC.sendMail).toHaveBeenCalledWith('a@example.com; b@example.com', '', '', 'Hi', '');
+    expect(AC.focusForm).toHaveBeenCalledWith('frmOrders');
+  });
+
+  it('SetWarnings lasts until the outermost macro ends', async () => {
+    const { runner } = runnerFor([macro('mcrQuiet', [action('SetWarnings', { WarningsOn: 'No' })])]);
+    await runner.runMacro('mcrQuiet');
+    expect(runner.warningsOn()).toBe(true);
+  });
+
+  it('links and attachments are reported as unsupported', async () => {
+    const { runner } = runnerFor([
+      macro('mcrLink', [action('TransferSpreadsheet', { TransferType: 'Link', TableName: 't' })]),
+      macro('mcrAttach', [action('SendObject', { ObjectType: 'Report', ObjectName: 'rptSales' })]),
+    ]);
+    await expect(runner.runMacro('mcrLink')).rejects.toThrow(/linked spreadsheets/);
+    await expect(runner.runMacro('mcrAttach')).rejects.toThrow(/attachment/);
+  });
+});
+
+describe('findRecordIndex', () => {
+  const records = [{ id: 1, name: 'Alice' }, { id: 2, name: 'Bob' }, { id: 3, name: 'Alicia' }];
+
+  it('matches whole fields by default, from the first record', () => {
+    expect(findRecordIndex(records, 2, 'bob', { findFirst: true })).toBe(1);
+    expect(findRecordIndex(records, 0, 'Ali')).toBe(-1);
+  });
+
+  it('searches on from the current record, wrapping around with All', () => {
+    expect(findRecordIndex(records, 0, 'Ali', { match: 'Start of Field' })).toBe(2);
+    expect(findRecordIndex(records, 2, 'Ali', { match: 'Start of Field' })).toBe(0);
+    expect(findRecordIndex(records, 2, 'Ali', { match: 'Start of Field', search: 'Down' })).toBe(-1);
+    expect(findRecordIndex(records, 0, 'ALI', { match: 'Any Part of Field', matchCase: true })).toBe(-1);
+  });
+});
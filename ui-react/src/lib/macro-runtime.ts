@@ -0,0 +1,488 @@
+/**
+ * Macro runtime: runs Access macros on window.AC (AC.runMacro, which
+ * DoCmd.RunMacro in generated handlers calls).
+ *
+ * The server translates a macro's XML to js_macro (server/lib/macro-to-js.js):
+ * its actions, If / Else If / Else blocks and submacros, with conditions and
+ * expression arguments compiled to JS. This walks it the way Access runs a
+ * macro — OnError, RunMacro with a repeat count or expression, StopMacro and
+ * StopAllMacros, LocalVars and MacroError for each run. An action with no
+ * browser equivalent throws a "not supported" error when the macro reaches
+ * it, which OnError handles like any other error.
+ */
+import type { JsMacro, MacroAction, MacroStatement } from '@/api/types';
+import { errorNumber } from '@/lib/vba-error';
+
+/** Err.Number for what the browser can't run (Access: "isn't available now") */
+export const NOT_SUPPORTED = 2046;
+
+type Fn = (...args: unknown[]) => unknown;
+type Runtime = Record<string, unknown>;
+
+/** MacroError, as a macro's expressions read it ([MacroError].[Number] → M.macroError.number) */
+export interface MacroError {
+  number: number;
+  description: string;
+  actionName: string;
+  arguments: string;
+  condition: string;
+  macroName: string;
+}
+
+/** M in a compiled expression: the running macro's LocalVars and MacroError */
+export interface MacroScope {
+  localVars: Record<string, unknown>;
+  macroError: MacroError;
+}
+
+const NO_ERROR: MacroError = { number: 0, description: '', actionName: '', arguments: '', condition: '', macroName: '' };
+
+// StopMacro / StopAllMacros, thrown up to the macro (or the outermost one) they stop
+class StopSignal {
+  all: boolean;
+  constructor(all: boolean) {
+    this.all = all;
+  }
+}
+
+interface Run {
+  /** The macro whose submacros OnError and RunMacro "name" see */
+  macro: JsMacro;
+  scope: MacroScope;
+  onError: { mode: string; macroName: string };
+}
+
+function notSupported(message: string): Error {
+  return Object.assign(new Error(message), { number: NOT_SUPPORTED });
+}
+
+function actionNotSupported(action: string, reason: string): Error {
+  return notSupported(`The ${action} action isn't supported in the browser: ${reason}.`);
+}
+
+/** Actions with nothing to run in the browser, and why */
+const UNSUPPORTED: Record<string, string> = {
+  AddMenu: 'custom menu bars have no equivalent',
+  CopyObject: 'it changes the database design',
+  DeleteObject: 'it changes the database design',
+  DoMenuItem: 'Access menu commands have no equivalent',
+  Minimize: 'forms open as tabs, which can\'t be minimized',
+  MoveSize: 'forms open as tabs, which can\'t be moved or sized',
+  OpenQuery: 'query datasheets open from the object list; use RunSQL for action queries',
+  Rename: 'it changes the database design',
+  SetMenuItem: 'custom menu bars have no equivalent',
+  TransferDatabase: 'other databases are brought in by the import pipeline',
+};
+
+/** Actions about the Access window that tabs make unnecessary */
+const NO_OPS = new Set(['Maximize', 'Restore', 'Echo', 'Hourglass']);
+
+/** RunMenuCommand commands, as AC calls */
+const MENU_COMMANDS: Record<string, [string, ...unknown[]]> = {
+  saverecord: ['saveRecord'],
+  undo: ['undo'],
+  deleterecord: ['deleteRecord'],
+  recordsgotonew: ['gotoRecord', 'new'],
+  recordsgotonext: ['gotoRecord', 'next'],
+  recordsgotoprevious: ['gotoRecord', 'previous'],
+  recordsgotofirst: ['gotoRecord', 'first'],
+  recordsgotolast: ['gotoRecord', 'last'],
+  refresh: ['requery'],
+  requery: ['requery'],
+  removefiltersort: ['setFilterOn', false],
+  printobject: ['printOut'],
+  findnext: ['findNext'],
+};
+
+const isYes = (value: unknown) => /^(yes|true|-1|1)$/i.test(String(value ?? '').trim());
+
+function findSubmacro(macro: JsMacro, name: string) {
+  const key = Object.keys(macro.submacros || {}).find(k => k.toLowerCase() === name.toLowerCase());
+  return key ? macro.submacros[key] : null;
+}
+
+export interface FindOptions {
+  /** 'Whole Field' (the default), 'Any Part of Field' or 'Start of Field' */
+  match?: string;
+  matchCase?: boolean;
+  /** 'All' (the default, wrapping around), 'Down' or 'Up' */
+  search?: string;
+  /** Start at the first record rather than after the current one */
+  findFirst?: boolean;
+}
+
+/**
+ * FindRecord: the index of the next record with a field matching findWhat,
+ * or -1. Searches every field, as Access does with OnlyCurrentField = All.
+ */
+export function findRecordIndex(
+  records: Record<string, unknown>[], current: number, findWhat: unknown, options: FindOptions = {},
+): number {
+  const fold = (s: string) => (options.matchCase ? s : s.toLowerCase());
+  const wanted = fold(String(findWhat ?? ''));
+  const match = (options.match || 'Whole Field').toLowerCase();
+  const matches = (value: unknown) => {
+    if (value == null) return false;
+    const text = fold(String(value));
+    if (match === 'any part of field') return text.includes(wanted);
+    if (match === 'start of field') return text.startsWith(wanted);
+    return text === wanted;
+  };
+  const search = (options.search || 'All').toLowerCase();
+  const step = search === 'up' ? -1 : 1;
+  const total = records.length;
+  let index = options.findFirst ? (step === 1 ? 0 : total - 1) : current + step;
+  for (let seen = 0; seen < total; seen++, index += step) {
+    if (index < 0 || index >= total) {
+      if (search !== 'all') break;
+      index = (index + total) % total;
+    }
+    const record = records[index];
+    if (Object.entries(record).some(([key, value]) => !key.startsWith('__') && matches(value))) return index;
+  }
+  return -1;
+}
+
+/** Loads a macro's js_macro by name; null when there's no such macro */
+export type MacroLoader = (name: string) => Promise<JsMacro | null>;
+
+export interface MacroRunner {
+  /** RunMacro "macro" or "macro.submacro", RepeatCount times */
+  runMacro(name: string, repeatCount?: unknown): Promise<void>;
+  /** SetWarnings' setting; back on when the outermost macro ends */
+  warningsOn(): boolean;
+}
+
+/**
+ * A macro runner on the AC that runtime() returns (window.AC).
+ */
+export function createMacroRunner(runtime: () => Runtime, loadMacro: MacroLoader): MacroRunner {
+  const AsyncFunction = Object.getPrototypeOf(async function() {}).constructor;
+  const compiled = new Map<string, Fn>();
+  let warnings = true;
+  let depth = 0;
+
+  function evaluate(js: string, scope: MacroScope): Promise<unknown> {
+    let fn = compiled.get(js);
+    if (!fn) {
+      fn = new AsyncFunction('AC', 'M', `return (${js});`) as Fn;
+      compiled.set(js, fn);
+    }
+    return fn(runtime(), scope) as Promise<unknown>;
+  }
+
+  /** An AC method, bound */
+  function ac(method: string): Fn {
+    const AC = runtime();
+    const fn = AC[method];
+    if (typeof fn !== 'function') throw notSupported(`AC.${method} is not available.`);
+    return (fn as Fn).bind(AC);
+  }
+
+  async function value(statement: MacroAction, name: string, run: Run): Promise<unknown> {
+    if (statement.expressions && name in statement.expressions) {
+      const js = statement.expressions[name];
+      if (js == null) {
+        throw notSupported(`The ${name} argument of ${statement.action}, ${statement.arguments[name]}, could not be translated.`);
+      }
+      return evaluate(js, run.scope);
+    }
+    return statement.arguments[name] ?? '';
+  }
+
+  async function text(statement: MacroAction, name: string, run: Run): Promise<string> {
+    return String((await value(statement, name, run)) ?? '');
+  }
+
+  async function setProperty(action: string, control: string, property: string, newValue: unknown) {
+    switch (property.toLowerCase()) {
+      case 'value':
+        return ac('setValue')(control, newValue);
+      case 'caption':
+        return control ? ac('setValue')(control, newValue) : ac('setFormCaption')(String(newValue ?? ''));
+      case 'visible':
+        return ac('setVisible')(control, typeof newValue === 'boolean' ? newValue : isYes(newValue));
+      case 'enabled':
+        return ac('setEnabled')(control, typeof newValue === 'boolean' ? newValue : isYes(newValue));
+      case 'locked':
+        return ac('setLocked')(control, typeof newValue === 'boolean' ? newValue : isYes(newValue));
+      case 'backcolor':
+        return ac('setBackColor')(control, Number(newValue));
+      case 'forecolor':
+        return ac('setForeColor')(control, Number(newValue));
+      default:
+        throw actionNotSupported(action, `the ${property} property can't be set`);
+    }
+  }
+
+  async function gotoRecord(record: string, offset: number) {
+    const target = record.toLowerCase();
+    if (target === 'go to') {
+      ac('gotoRecord')('first');
+      for (let i = 1; i < offset; i++) ac('gotoRecord')('next');
+      return;
+    }
+    const count = target === 'next' || target === 'previous' ? offset : 1;
+    for (let i = 0; i < count; i++) ac('gotoRecord')(target);
+  }
+
+  async function transfer(statement: MacroAction, run: Run) {
+    const arg = (name: string) => text(statement, name, run);
+    const transferType = (await arg('TransferType')).toLowerCase();
+    const format = statement.action === 'TransferSpreadsheet' ? 'xlsx' : 'csv';
+    const importType = format === 'xlsx' ? 'import' : 'import delimited';
+    const exportType = format === 'xlsx' ? 'export' : 'export delimited';
+    const tableName = await arg('TableName');
+    const fileName = (await arg('FileName')) || undefined;
+    if (!transferType || transferType === importType) {
+      return ac('importFile')(tableName, format, isYes(await arg('HasFieldNames')), fileName);
+    }
+    if (transferType === exportType) return ac('outputTo')('table', tableName, format, fileName);
+    throw actionNotSupported(statement.action, format === 'xlsx'
+      ? 'linked spreadsheets have no equivalent'
+      : `only delimited text is imported and exported, not ${transferType}`);
+  }
+
+  async function runAction(statement: MacroAction, run: Run): Promise<void> {
+    const { action } = statement;
+    const arg = (name: string) => text(statement, name, run);
+    if (UNSUPPORTED[action]) throw actionNotSupported(action, UNSUPPORTED[action]);
+    if (NO_OPS.has(action)) return;
+
+    switch (action) {
+      case 'OpenForm':
+        ac('openForm')(await arg('FormName'), (await arg('WhereCondition')) || undefined);
+        return;
+      case 'OpenReport':
+        ac('openReport')(await arg('ReportName'));
+        return;
+      case 'CloseWindow': {
+        const objectType = (await arg('ObjectType')).toLowerCase();
+        const objectName = await arg('ObjectName');
+        if (objectName && objectType && objectType !== 'form') {
+          throw actionNotSupported(action, `only forms are closed by name, not a ${objectType}`);
+        }
+        ac('closeForm')(objectName || undefined);
+        return;
+      }
+      case 'SetTempVar':
+        ac('setTempVar')(await arg('Name'), await value(statement, 'Expression', run));
+        return;
+      case 'RemoveTempVar':
+        ac('removeTempVar')(await arg('Name'));
+        return;
+      case 'RemoveAllTempVars':
+        ac('removeAllTempVars')();
+        return;
+      case 'SetLocalVar':
+        run.scope.localVars[(await arg('Name')).toLowerCase()] = await value(statement, 'Expression', run);
+        return;
+      case 'RunSQL':
+        await ac('runSQL')(await arg('SQLStatement'));
+        return;
+      case 'MessageBox':
+        window.alert(await arg('Message'));
+        return;
+      case 'Beep':
+        ac('beep')();
+        return;
+      case 'SetValue':
+        if (!statement.target) throw notSupported(`SetValue can't set ${statement.arguments.Item}.`);
+        await setProperty(action, statement.target.control, statement.target.property, await value(statement, 'Expression', run));
+        return;
+      case 'SetProperty':
+        await setProperty(action, await arg('ControlName'), (await arg('Property')) || 'Enabled', await value(statement, 'Value', run));
+        return;
+      case 'GoToControl':
+        ac('setFocus')(await arg('ControlName'));
+        return;
+      case 'GoToRecord':
+        await gotoRecord((await arg('Record')) || 'Next', Number(await arg('Offset')) || 1);
+        return;
+      case 'Requery': {
+        const control = await arg('ControlName');
+        if (control) ac('requeryControl')(control);
+        else ac('requery')();
+        return;
+      }
+      case 'ApplyFilter': {
+        const where = await arg('WhereCondition');
+        if (!where) throw actionNotSupported(action, 'saved filters (FilterName) have no equivalent; use a WhereCondition');
+        ac('setFilter')(where);
+        ac('setFilterOn')(true);
+        return;
+      }
+      case 'ShowAllRecords':
+        ac('setFilterOn')(false);
+        return;
+      case 'Save':
+        ac('saveRecord')();
+        return;
+      case 'RunMenuCommand': {
+        const command = await arg('Command');
+        const call = MENU_COMMANDS[command.replace(/\s+/g, '').toLowerCase()];
+        if (!call) throw actionNotSupported(action, `the ${command} command has no equivalent`);
+        await ac(call[0])(...call.slice(1));
+        return;
+      }
+      case 'RunCode':
+        await value(statement, 'FunctionName', run);
+        return;
+      case 'RunMacro': {
+        const repeat = statement.expressions?.RepeatExpression;
+        if (repeat === null) await value(statement, 'RepeatExpression', run);
+        await runMacroIn(run, await arg('MacroName'), await arg('RepeatCount'), repeat ?? null);
+        return;
+      }
+      case 'StopMacro':
+        throw new StopSignal(false);
+      case 'StopAllMacros':
+        throw new StopSignal(true);
+      case 'OnError':
+        run.onError = { mode: (await arg('Goto')) || 'Next', macroName: await arg('MacroName') };
+        return;
+      case 'ClearMacroError':
+        run.scope.macroError = NO_ERROR;
+        return;
+      case 'SetWarnings':
+        // Nothing in the browser asks for confirmation, so this only records the setting
+        warnings = isYes(await arg('WarningsOn'));
+        return;
+      case 'PrintOut':
+        ac('printOut')();
+        return;
+      case 'OutputTo':
+        await ac('outputTo')((await arg('ObjectType')).toLowerCase(), await arg('ObjectName'), (await arg('OutputFormat')) || null, (await arg('OutputFile')) || undefined);
+        return;
+      case 'TransferSpreadsheet':
+      case 'TransferText':
+        await transfer(statement, run);
+        return;
+      case 'SendObject':
+        if (await arg('ObjectName')) throw actionNotSupported(action, 'mail opens in the mail program, which can\'t be given an attachment');
+        ac('sendMail')(await arg('To'), await arg('Cc'), await arg('Bcc'), await arg('Subject'), await arg('MessageText'));
+        return;
+      case 'FindRecord':
+        ac('findRecord')(await value(statement, 'FindWhat', run), {
+          match: await arg('Match'),
+          matchCase: isYes(await arg('MatchCase')),
+          search: await arg('Search'),
+          findFirst: (await arg('FindFirst')) === '' || isYes(await arg('FindFirst')),
+        });
+        return;
+      case 'FindNext':
+        ac('findNext')();
+        return;
+      case 'SelectObject': {
+        const objectType = (await arg('ObjectType')).toLowerCase();
+        if (objectType !== 'form') throw actionNotSupported(action, `only forms can be selected, not a ${objectType || 'object'}`);
+        ac('focusForm')(await arg('ObjectName'));
+        return;
+      }
+      default:
+        throw actionNotSupported(action, 'it has no runtime equivalent');
+    }
+  }
+
+  /**
+   * Run fn as one step of the macro, with OnError: Next goes on, Macro Name
+   * runs that submacro and ends the macro, Fail (the default) stops it with
+   * the error. MacroError holds the error either way.
+   */
+  async function step(run: Run, actionName: string, args: string, fn: () => Promise<void>, condition = () => '') {
+    try {
+      await fn();
+    } catch (error) {
+      if (error instanceof StopSignal) throw error;
+      run.scope.macroError = {
+        number: errorNumber(error),
+        description: error instanceof Error ? error.message : String(error ?? ''),
+        actionName,
+        arguments: args,
+        condition: condition(),
+        macroName: run.macro.name,
+      };
+      const mode = run.onError.mode.toLowerCase();
+      if (mode === 'next') return;
+      if (mode === 'macro name') {
+        const handler = findSubmacro(run.macro, run.onError.macroName);
+        if (!handler) throw notSupported(`The OnError submacro ${run.onError.macroName} can't be found.`);
+        run.onError = { mode: 'Fail', macroName: '' };
+        await execute(run, handler);
+        throw new StopSignal(false);
+      }
+      throw error;
+    }
+  }
+
+  async function execute(run: Run, statements: MacroStatement[]): Promise<void> {
+    for (const statement of statements) {
+      if (statement.type === 'if') {
+        let chosen: MacroStatement[] | null = null;
+        let condition = '';
+        await step(run, 'If', '', async () => {
+          for (const branch of statement.branches) {
+            condition = branch.condition;
+            if (branch.js == null) throw notSupported(`The condition ${branch.condition} could not be translated.`);
+            if (await evaluate(branch.js, run.scope)) {
+              chosen = branch.statements;
+              return;
+            }
+          }
+          chosen = statement.else;
+        }, () => condition);
+        if (chosen) await execute(run, chosen);
+      } else {
+        await step(run, statement.action, Object.values(statement.arguments).join(', '), () => runAction(statement, run));
+      }
+    }
+  }
+
+  /** The statements RunMacro's name refers to, and the macro they belong to */
+  async function resolve(name: string, caller: JsMacro | null) {
+    const macro = await loadMacro(name);
+    if (macro) return { macro, statements: macro.statements };
+    const dot = name.lastIndexOf('.');
+    if (dot > 0) {
+      const parent = await loadMacro(name.slice(0, dot));
+      const statements = parent && findSubmacro(parent, name.slice(dot + 1));
+      if (parent && statements) return { macro: parent, statements };
+    }
+    const statements = caller && findSubmacro(caller, name);
+    if (caller && statements) return { macro: caller, statements };
+    throw Object.assign(new Error(`The macro ${name} can't be found.`), { number: 2485 });
+  }
+
+  /**
+   * RunMacro: up to repeatCount times (once when neither is given), while
+   * repeatExpression — evaluated in the calling macro before each run — is true.
+   */
+  async function runMacroIn(caller: Run | null, name: string, repeatCount: unknown, repeatExpression: string | null) {
+    const { macro, statements } = await resolve(name, caller?.macro ?? null);
+    const count = repeatCount == null || repeatCount === '' ? null : Number(repeatCount);
+    const limit = count ?? (repeatExpression ? Infinity : 1);
+    depth++;
+    try {
+      for (let i = 0; i < limit; i++) {
+        if (repeatExpression && caller && !(await evaluate(repeatExpression, caller.scope))) break;
+        const run: Run = {
+          macro,
+          scope: { localVars: {}, macroError: NO_ERROR },
+          onError: { mode: 'Fail', macroName: '' },
+        };
+        await execute(run, statements);
+      }
+    } catch (error) {
+      // StopMacro ends this macro; StopAllMacros ends the outermost one
+      if (!(error instanceof StopSignal) || (error.all && depth > 1)) throw error;
+    } finally {
+      depth--;
+      if (depth === 0) warnings = true;
+    }
+  }
+
+  return {
+    runMacro: (name, repeatCount) => runMacroIn(null, name, repeatCount, null),
+    warningsOn: () => warnings,
+  };
+}
@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import { createRecordset, parseRecordsetSource, type Row } from './recordset';
+
+const ROWS: Row[] = [
+  { order_id: 1, customer_id: 'ALFKI', freight: 10 },
+  { order_id: 2, customer_id: 'ANATR', freight: 20 },
+  { order_id: 3, customer_id: 'ALFKI', freight: 30 },
+];
+
+// ============================================================
+// parseRecordsetSource
+// ============================================================
+
+describe('parseRecordsetSource', () => {
+  it('reads table and query names through the data API', () => {
+    expect(parseRecordsetSource('Orders')).toEqual({ table: 'orders' });
+    expect(parseRecordsetSource('[Order Details]')).toEqual({ table: 'order_details' });
+  });
+
+  it('turns a single-table SELECT into a filtered, sorted read', () => {
+    expect(parseRecordsetSource('SELECT * FROM [Orders] WHERE CustomerID = \'ALFKI\' ORDER BY OrderDate DESC;'))
+      .toEqual({ table: 'orders', filter: 'CustomerID = \'ALFKI\'', orderBy: 'OrderDate DESC' });
+    expect(parseRecordsetSource('SELECT OrderID, Freight FROM Orders')).toEqual({ table: 'orders' });
+  });
+
+  it('runs other SQL as-is', () => {
+    const sql = 'SELECT CustomerID, Count(*) AS N FROM Orders GROUP BY CustomerID';
+    expect(parseRecordsetSource(sql + ';')).toEqual({ table: null, sql });
+    expect(parseRecordsetSource('SELECT * FROM Orders INNER JOIN Customers ON 1=1').table).toBeNull();
+    expect(parseRecordsetSource('SELECT * FROM Orders WHERE id IN (SELECT id FROM x)').table).toBeNull();
+  });
+});
+
+// ============================================================
+// Navigation
+// ============================================================
+
+describe('recordset navigation', () => {
+  it('walks the rows the way a Do Until rs.EOF loop does', () => {
+    const rs = createRecordset({ rows: ROWS });
+    const seen: unknown[] = [];
+    while (!rs.eof) {
+      seen.push(rs.getField('order_id'));
+      rs.moveNext();
+    }
+    expect(seen).toEqual([1, 2, 3]);
+    expect(() => rs.moveNext()).toThrow('No current record.');
+    expect(() => rs.getField('freight')).toThrow('No current record.');
+  });
+
+  it('moves first, last, previous and by count', () => {
+    const rs = createRecordset({ rows: ROWS });
+    rs.moveLast();
+    expect(rs.getField('order_id')).toBe(3);
+    rs.movePrevious();
+    expect(rs.absolutePosition).toBe(1);
+    rs.move(-5);
+    expect(rs.bof).toBe(true);
+    rs.moveFirst();
+    expect(rs.recordCount).toBe(3);
+  });
+
+  it('is at EOF and BOF when empty', () => {
+    const rs = createRecordset();
+    expect(rs.eof && rs.bof).toBe(true);
+    expect(() => rs.moveFirst()).toThrow('No current record.');
+  });
+
+  it('calls onMove with the new current row', () => {
+    const moved: Row[] = [];
+    const rs = createRecordset({ rows: ROWS, onMove: row => moved.push(row) });
+    rs.moveNext();
+    rs.moveLast();
+    expect(moved).toEqual([ROWS[1], ROWS[2]]);
+  });
+
+  it('uses rows as bookmarks', () => {
+    const rs = createRecordset({ rows: ROWS });
+    rs.moveLast();
+    const mark = rs.bookmark;
+    rs.moveFirst();
+    rs.bookmark = mark;
+    expect(rs.getField('order_id')).toBe(3);
+    rs.bookmark = { ...ROWS[1] };
+    expect(rs.absolutePosition).toBe(1);
+    expect(() => { rs.bookmark = { order_id: 9 }; }).toThrow('Not a valid bookmark.');
+  });
+});
+
+// ============================================================
+// Fields and editing
+// ============================================================
+
+describe('recordset fields', () => {
+  it('finds fields by Access name, ordinal or case-insensitively', () => {
+    const rs = createRecordset({ rows: [{ customer_id: 'ALFKI', Region: 'WA' }] });
+    expect(rs.getField('Customer ID')).toBe('ALFKI');
+    expect(rs.getField(1)).toBe('WA');
+    expect(rs.getField('REGION')).toBe('WA');
+    expect(() => rs.getField('Missing')).toThrow(/Item not found/);
+    expect(rs.fieldNames).toEqual(['customer_id', 'Region']);
+  });
+
+  it('needs Edit or AddNew before a field is assigned (DAO)', () => {
+    const rs = createRecordset({ rows: ROWS });
+    expect(() => rs.setField('freight', 5)).toThrow('Update or CancelUpdate without AddNew or Edit.');
+    rs.edit();
+    rs.setField('freight', 5);
+    expect(rs.getField('freight')).toBe(5);
+    rs.cancelUpdate();
+    expect(rs.getField('freight')).toBe(10);
+    expect(rs.editMode).toBe('none');
+  });
+
+  it('starts editing on assignment (ADO)', () => {
+    const rs = createRecordset({ rows: ROWS, ado: true });
+    rs.setField('freight', 5);
+    expect(rs.editMode).toBe('edit');
+  });
+
+  it('drops a pending edit when moving', () => {
+    const rs = createRecordset({ rows: ROWS });
+    rs.addNew();
+    expect(rs.getField('freight')).toBeNull();
+    rs.moveNext();
+    expect(rs.editMode).toBe('none');
+  });
+
+  it('refuses writes and finds without a table', async () => {
+    const rs = createRecordset({ rows: ROWS, source: { table: null, sql: 'SELECT 1' } });
+    rs.edit();
+    await expect(rs.update()).rejects.toThrow('Cannot update. Database or object is read-only.');
+    await expect(rs.findFirst('order_id = 1')).rejects.toThrow(/Find needs/);
+  });
+
+  it('is unusable once closed', () => {
+    const rs = createRecordset({ rows: ROWS });
+    rs.close();
+    expect(() => rs.moveFirst()).toThrow('Object invalid or no longer set.');
+  });
+});
@@ -0,0 +1,411 @@
+/**
+ * DAO/ADO Recordset for generated VBA-to-JS handlers.
+ *
+ * AC.openRecordset (CurrentDb.OpenRecordset, ADO Recordset.Open),
+ * AC.recordsetClone (Me.RecordsetClone) and AC.formRecordset (Me.Recordset)
+ * return one of these. A recordset keeps its rows in the browser, so moves,
+ * field reads and Bookmarks are synchronous. FindFirst and the other Find
+ * methods send their criteria to GET /api/data/:source as an Access filter,
+ * the way Me.Filter does, and move to the first matching row.
+ * Edit/AddNew + Update and Delete write one row through /api/data; a write
+ * the server refuses throws with its message.
+ */
+import * as api from '@/api/client';
+import { sanitizeName, primaryKeyFields, recordKeyPath } from '@/lib/utils';
+import type { ColumnInfo } from '@/api/types';
+
+export type Row = Record<string, unknown>;
+
+/** DAO EditMode: dbEditNone, dbEditInProgress (Edit), dbEditAdd (AddNew) */
+export type EditMode = 'none' | 'edit' | 'add';
+
+/**
+ * What a recordset reads. table is the sanitized table or query name for
+ * sources the data API can serve (and write); sql is set instead for
+ * anything else, which runs read-only through POST /api/queries/run.
+ */
+export interface RecordsetSource {
+  table: string | null;
+  filter?: string;
+  orderBy?: string;
+  sql?: string;
+}
+
+export interface RecordsetOptions {
+  source?: RecordsetSource | null;
+  rows?: Row[];
+  /** Index of the current row (default: the first) */
+  position?: number;
+  /** ADO: assigning a field starts editing the current row without Edit */
+  ado?: boolean;
+  /** Called with the new current row after each move, Find or Bookmark change */
+  onMove?: (row: Row) => void;
+  /** Called after each Update or Delete */
+  onWrite?: () => void;
+}
+
+export interface Recordset {
+  readonly eof: boolean;
+  readonly bof: boolean;
+  readonly noMatch: boolean;
+  readonly recordCount: number;
+  /** 0-based index of the current row; -1 with no current row */
+  absolutePosition: number;
+  /** The current row; assign one from this recordset (or its form) to move there */
+  bookmark: Row;
+  readonly lastModified: Row | null;
+  readonly editMode: EditMode;
+  readonly fieldNames: string[];
+  getField(name: string | number): unknown;
+  setField(name: string | number, value: unknown): void;
+  moveFirst(): void;
+  moveLast(): void;
+  moveNext(): void;
+  movePrevious(): void;
+  move(rows: number): void;
+  findFirst(criteria: string): Promise<void>;
+  findLast(criteria: string): Promise<void>;
+  findNext(criteria: string): Promise<void>;
+  findPrevious(criteria: string): Promise<void>;
+  edit(): void;
+  addNew(): void;
+  update(): Promise<void>;
+  cancelUpdate(): void;
+  delete(): Promise<void>;
+  open(source: string): Promise<void>;
+  requery(): Promise<void>;
+  close(): void;
+}
+
+// Rows read per recordset; Access pages through larger ones, we stop here
+const RECORDSET_LIMIT = 10000;
+
+// DAO's messages for the same mistakes
+const NO_CURRENT_RECORD = 'No current record.';
+const NO_EDIT = 'Update or CancelUpdate without AddNew or Edit.';
+const READ_ONLY = 'Cannot update. Database or object is read-only.';
+const CLOSED = 'Object invalid or no longer set.';
+
+// ============================================================
+// Sources
+// ============================================================
+
+const SIMPLE_SELECT = /^SELECT\s+([\w\s,.[\]*]+?)\s+FROM\s+(\[[^\]]+\]|\w+)(?:\s+WHERE\s+([\s\S]+?))?(?:\s+ORDER\s+BY\s+([\s\S]+?))?\s*;?$/i;
+const NOT_SIMPLE = /\b(JOIN|GROUP|HAVING|UNION|TOP|DISTINCT|DISTINCTROW|INTO|AS)\b/i;
+
+/**
+ * Where an OpenRecordset source reads from. A table or query name, or a
+ * single-table SELECT with at most WHERE and ORDER BY, goes through the data
+ * API (and is updatable); any other SQL is run as-is, read-only.
+ */
+export function parseRecordsetSource(source: string): RecordsetSource {
+  const text = source.trim();
+  if (!/^(SELECT|TRANSFORM|WITH|PARAMETERS)\b/i.test(text)) {
+    return { table: sanitizeName(text.replace(/^\[(.*)\]$/, '$1')) };
+  }
+  const match = SIMPLE_SELECT.exec(text);
+  if (match && !NOT_SIMPLE.test(match[1]) && (text.match(/\bSELECT\b/gi) || []).length === 1) {
+    return {
+      table: sanitizeName(match[2].replace(/^\[(.*)\]$/, '$1')),
+      filter: match[3]?.trim() || undefined,
+      orderBy: match[4]?.trim() || undefined,
+    };
+  }
+  return { table: null, sql: text.replace(/;\s*$/, '') };
+}
+
+function failure(data: unknown, fallback: string): Error {
+  if (data && typeof data === 'object' && typeof (data as { error?: unknown }).error === 'string') {
+    return new Error((data as { error: string }).error);
+  }
+  return new Error(typeof data === 'string' && data ? data : fallback);
+}
+
+function dataPath(table: string, params: Record<string, string | undefined>): string {
+  const query = new URLSearchParams({ limit: String(RECORDSET_LIMIT), count: 'false' });
+  for (const [k, v] of Object.entries(params)) if (v) query.set(k, v);
+  return `/api/data/${encodeURIComponent(table)}?${query}`;
+}
+
+async function loadRows(source: RecordsetSource): Promise<Row[]> {
+  if (!source.table) {
+    const res = await api.post<{ data: Row[] }>('/api/queries/run', { sql: source.sql });
+    if (!res.ok) throw failure(res.data, 'Could not open the recordset');
+    return res.data.data || [];
+  }
+  const res = await api.get<{ data: Row[]; pagination?: { hasMore?: boolean } }>(
+    dataPath(source.table, { accessFilter: source.filter, orderBy: source.orderBy }),
+  );
+  if (!res.ok) throw failure(res.data, `Could not open "${source.table}"`);
+  if (res.data.pagination?.hasMore) {
+    console.warn(`Recordset on "${source.table}" holds only its first ${RECORDSET_LIMIT} rows`);
+  }
+  return res.data.data || [];
+}
+
+async function loadKeyFields(table: string): Promise<string[]> {
+  const res = await api.get<Array<{ name: string; fields: ColumnInfo[] }>>('/api/tables');
+  const info = (res.ok && Array.isArray(res.data) ? res.data : []).find(t => t.name.toLowerCase() === table);
+  return primaryKeyFields(info?.fields);
+}
+
+/** Identity of a row for matching server results: its key, or all of it without one. */
+function rowIdentity(keys: string[], row: Row): string {
+  return keys.every(k => row[k] != null)
+    ? JSON.stringify(keys.map(k => row[k]))
+    : JSON.stringify(row);
+}
+
+// ============================================================
+// Recordset
+// ============================================================
+
+export function createRecordset(options: RecordsetOptions = {}): Recordset {
+  let source = options.source || null;
+  let rows = options.rows ? [...options.rows] : [];
+  let pos = options.position ?? 0;
+  let closed = false;
+  let deleted = false;
+  let noMatch = false;
+  let editMode: EditMode = 'none';
+  let buffer: Row | null = null;
+  let lastModified: Row | null = null;
+  let keys: string[] | null = null;
+
+  function check() {
+    if (closed) throw new Error(CLOSED);
+  }
+
+  function currentRow(): Row {
+    check();
+    if (deleted) throw new Error('Record is deleted.');
+    if (pos < 0 || pos >= rows.length) throw new Error(NO_CURRENT_RECORD);
+    return rows[pos];
+  }
+
+  function columns(): string[] {
+    return Object.keys(rows[0] || buffer || {});
+  }
+
+  /** Column for a DAO field name or ordinal: exact, sanitized, then case-insensitive. */
+  function column(name: string | number): string {
+    const cols = columns();
+    if (typeof name === 'number') {
+      if (name < 0 || name >= cols.length) throw new Error('Item not found in this collection.');
+      return cols[name];
+    }
+    if (cols.includes(name)) return name;
+    const clean = sanitizeName(name);
+    if (cols.length === 0 || cols.includes(clean)) return clean;
+    const lower = name.toLowerCase();
+    const found = cols.find(c => c.toLowerCase() === lower);
+    if (!found) throw new Error(`Item not found in this collection: ${name}`);
+    return found;
+  }
+
+  function moveTo(index: number) {
+    check();
+    pos = Math.max(-1, Math.min(index, rows.length));
+    deleted = false;
+    editMode = 'none';
+    buffer = null;
+    if (pos >= 0 && pos < rows.length) options.onMove?.(rows[pos]);
+  }
+
+  function writableTable(): string {
+    check();
+    if (!source?.table) throw new Error(READ_ONLY);
+    return source.table;
+  }
+
+  async function keyFields(table: string): Promise<string[]> {
+    if (!keys) keys = await loadKeyFields(table);
+    return keys;
+  }
+
+  async function find(criteria: string, from: number, step: 1 | -1) {
+    check();
+    if (!source?.table) throw new Error('Find needs a recordset on a table, query or single-table SELECT');
+    const table = source.table;
+    const res = await api.get<{ data: Row[] }>(dataPath(table, { accessFilter: criteria }));
+    if (!res.ok) throw failure(res.data, `Invalid criteria: ${criteria}`);
+    const rowKeys = await keyFields(table);
+    const matches = new Set((res.data.data || []).map(row => rowIdentity(rowKeys, row)));
+    for (let i = from; i >= 0 && i < rows.length; i += step) {
+      if (matches.has(rowIdentity(rowKeys, rows[i]))) {
+        noMatch = false;
+        moveTo(i);
+        return;
+      }
+    }
+    noMatch = true;
+  }
+
+  const recordset: Recordset = {
+    get eof() { return rows.length === 0 || pos >= rows.length; },
+    get bof() { return rows.length === 0 || pos < 0; },
+    get noMatch() { return noMatch; },
+    get recordCount() { check(); return rows.length; },
+    get absolutePosition() { return pos >= 0 && pos < rows.length && !deleted ? pos : -1; },
+    set absolutePosition(index: number) {
+      if (index < 0 || index >= rows.length) throw new Error(NO_CURRENT_RECORD);
+      moveTo(index);
+    },
+    get bookmark() { return currentRow(); },
+    set bookmark(row: Row) {
+      check();
+      let index = rows.indexOf(row);
+      if (index < 0 && row && typeof row === 'object') {
+        const wanted = JSON.stringify(row);
+        index = rows.findIndex(r => JSON.stringify(r) === wanted);
+      }
+      if (index < 0) throw new Error('Not a valid bookmark.');
+      moveTo(index);
+    },
+    get lastModified() { return lastModified; },
+    get editMode() { return editMode; },
+    get fieldNames() { return columns(); },
+
+    getField(name) {
+      const col = column(name);
+      if (editMode === 'add') return buffer?.[col] ?? null;
+      if (editMode === 'edit' && buffer) return buffer[col] ?? null;
+      return currentRow()[col] ?? null;
+    },
+
+    setField(name, value) {
+      if (editMode === 'none') {
+        if (!options.ado) throw new Error(NO_EDIT);
+        recordset.edit();
+      }
+      buffer![column(name)] = value;
+    },
+
+    moveFirst() {
+      check();
+      if (rows.length === 0) throw new Error(NO_CURRENT_RECORD);
+      moveTo(0);
+    },
+    moveLast() {
+      check();
+      if (rows.length === 0) throw new Error(NO_CURRENT_RECORD);
+      moveTo(rows.length - 1);
+    },
+    moveNext() {
+      check();
+      // Delete already brought the next row up to the current index
+      if (deleted) return moveTo(pos);
+      if (pos >= rows.length) throw new Error(NO_CURRENT_RECORD);
+      moveTo(pos + 1);
+    },
+    movePrevious() {
+      check();
+      if (!deleted && pos < 0) throw new Error(NO_CURRENT_RECORD);
+      moveTo(pos - 1);
+    },
+    move(count) {
+      check();
+      if (rows.length === 0) throw new Error(NO_CURRENT_RECORD);
+      moveTo(pos + count);
+    },
+
+    findFirst(criteria) { return find(criteria, 0, 1); },
+    findLast(criteria) { return find(criteria, rows.length - 1, -1); },
+    findNext(criteria) { return find(criteria, deleted ? pos : pos + 1, 1); },
+    findPrevious(criteria) { return find(criteria, Math.min(pos, rows.length) - 1, -1); },
+
+    edit() {
+      buffer = { ...currentRow() };
+      editMode = 'edit';
+    },
+
+    addNew() {
+      check();
+      buffer = {};
+      editMode = 'add';
+    },
+
+    async update() {
+      check();
+      if (editMode === 'none' || !buffer) throw new Error(NO_EDIT);
+      const table = writableTable();
+      let saved: Row;
+      if (editMode === 'add') {
+        const res = await api.post<{ data: Row }>(`/api/data/${encodeURIComponent(table)}`, buffer);
+        if (!res.ok) throw failure(res.data, 'Failed to add the record');
+        saved = res.data.data || buffer;
+        // The current row stays where it was; the new row goes to the end
+        const atEnd = pos >= rows.length;
+        rows.push(saved);
+        if (atEnd) pos = rows.length;
+      } else {
+        const row = currentRow();
+        const keyPath = recordKeyPath(await keyFields(table), row);
+        if (!keyPath) throw new Error(READ_ONLY);
+        const changes: Row = {};
+        for (const [k, v] of Object.entries(buffer)) if (v !== row[k]) changes[k] = v;
+        const res = await api.put<{ data: Row }>(`/api/data/${encodeURIComponent(table)}/${keyPath}`, changes);
+        if (!res.ok) throw failure(res.data, 'Failed to update the record');
+        saved = res.data.data || { ...row, ...changes };
+        rows[pos] = saved;
+      }
+      lastModified = saved;
+      editMode = 'none';
+      buffer = null;
+      options.onWrite?.();
+    },
+
+    cancelUpdate() {
+      check();
+      if (editMode === 'none') throw new Error(NO_EDIT);
+      editMode = 'none';
+      buffer = null;
+    },
+
+    async delete() {
+      const row = currentRow();
+      const table = writableTable();
+      const keyPath = recordKeyPath(await keyFields(table), row);
+      if (!keyPath) throw new Error(READ_ONLY);
+      const res = await api.del(`/api/data/${encodeURIComponent(table)}/${keyPath}`);
+      if (!res.ok) throw failure(res.data, 'Failed to delete the record');
+      rows.splice(pos, 1);
+      deleted = true;
+      editMode = 'none';
+      buffer = null;
+      options.onWrite?.();
+    },
+
+    async open(text) {
+      source = parseRecordsetSource(text);
+      rows = await loadRows(source);
+      closed = false;
+      keys = null;
+      noMatch = false;
+      moveTo(0);
+    },
+
+    async requery() {
+      check();
+      if (!source) throw new Error(READ_ONLY);
+      rows = await loadRows(source);
+      moveTo(0);
+    },
+
+    close() {
+      check();
+      closed = true;
+      rows = [];
+      buffer = null;
+    },
+  };
+
+  return recordset;
+}
+
+/** CurrentDb.OpenRecordset(source): a table or query name, or SQL. */
+export async function openRecordset(source: string, options: RecordsetOptions = {}): Promise<Recordset> {
+  const recordset = createRecordset(options);
+  await recordset.open(source);
+  return recordset;
+}
@@ -0,0 +1,23 @@
+import { describe, it, expect, vi, beforeAll } from 'vitest';
+import * as api from '@/api/client';
+import { installRuntime } from './runtime';
+
+vi.mock('@/api/client', async importOriginal => ({
+  ...(await importOriginal<typeof import('@/api/client')>()),
+  download: vi.fn(async () => ({ ok: true, status: 200, data: '' })),
+}));
+
+type AC = { outputTo: (type: string, name: string, format?: string | null, fileName?: string) => Promise<void> };
+const ac = () => (window as unknown as { AC: AC }).AC;
+
+beforeAll(() => installRuntime());
+
+describe('AC.outputTo', () => {
+  it('exports tables and queries under their data API names', async () => {
+    await ac().outputTo('table', 'Order Details', 'csv', 'C:\\Exports\\details.csv');
+    expect(api.download).toHaveBeenCalledWith(
+      '/api/data/order_details/export?format=csv&filename=C%3A%5CExports%5Cdetails.csv',
+      'order_details.csv',
+    );
+  });
+});
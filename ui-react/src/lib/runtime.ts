@@ -4,8 +4,12 @@
  */
 import { useUiStore } from '@/store/ui';
 import { useFormStore } from '@/store/form';
-import { ctrlToKey } from '@/lib/utils';
+import { ctrlToKey, sanitizeName } from '@/lib/utils';
 import * as api from '@/api/client';
+import { createRecordset, openRecordset, parseRecordsetSource, type Recordset, type Row } from '@/lib/recordset';
+import { createErr } from '@/lib/vba-error';
+import { createMacroRunner, findRecordIndex, type FindOptions } from '@/lib/macro-runtime';
+import type { FormDefinition, JsModule, MacroDetail } from '@/api/types';
 
 function findObjectByName(objectType: 'forms' | 'reports', name: string) {
   const objects = useUiStore.getState().objects[objectType];
@@ -260,13 +264,12 @@ function setFormCaption(text: string) {
 }
 
 function setFilter(expr: string) {
-  // Stub — future: apply filter expression to form data
-  console.warn(`AC.setFilter("${expr}"): stub — not yet implemented`);
+  // Access Filter string — translated to SQL by GET /api/data/:source
+  useFormStore.getState().applyFilter(expr);
 }
 
 function setFilterOn(on: boolean) {
-  // Stub — future: toggle filter on/off
-  console.warn(`AC.setFilterOn(${on}): stub — not yet implemented`);
+  useFormStore.getState().setFilterOn(on);
 }
 
 function runSQL(sql: string) {
@@ -275,6 +278,179 @@ function runSQL(sql: string) {
   });
 }
 
+// ============================================================
+// Export (DoCmd.OutputTo / TransferSpreadsheet / TransferText)
+// ============================================================
+
+/**
+ * Export format for an OutputTo format — a short name, an Access format string
+ * like "Excel Workbook (*.xlsx)" — or else the output file's extension.
+ * Access asks when no format is given; Excel is the usual answer.
+ */
+function exportFormat(format?: string | null, fileName?: string): string | null {
+  const text = (format || fileName?.match(/\.(\w+)$/)?.[1] || '').toLowerCase();
+  if (!text) return 'xlsx';
+  if (/xls|excel/.test(text)) return 'xlsx';
+  if (/json/.test(text)) return 'json';
+  if (/pdf/.test(text)) return 'pdf';
+  if (/htm/.test(text)) return 'html';
+  if (/rtf|rich ?text|snp|snapshot/.test(text)) return null;
+  if (/csv|txt|text/.test(text)) return 'csv';
+  return null;
+}
+
+/**
+ * The data source behind an exported object, as the data API names it
+ * ("Order Details" → order_details). The open form exports what it shows
+ * (its filter and sort); other forms and reports use their record source.
+ */
+async function exportSource(objectType: string, objectName: string) {
+  const type = objectType.toLowerCase();
+  if (type !== 'form' && type !== 'report') return { source: sanitizeName(objectName) };
+
+  const { current, filter, filterOn } = useFormStore.getState();
+  if (type === 'form' && current && (!objectName || (current.name || '').toLowerCase() === objectName.toLowerCase())) {
+    return {
+      source: recordSourceName(current['record-source']),
+      orderBy: current['order-by'],
+      filter: filterOn ? filter : undefined,
+    };
+  }
+
+  const obj = findObjectByName(type === 'form' ? 'forms' : 'reports', objectName);
+  if (!obj) return null;
+  let def: { 'record-source'?: string; 'order-by'?: string } | undefined = obj.definition;
+  if (!def) {
+    const res = await api.get<{ definition?: FormDefinition }>(`/api/${type}s/${encodeURIComponent(obj.filename)}`);
+    def = res.ok ? res.data?.definition : undefined;
+  }
+  if (!def) return null;
+  return { source: recordSourceName(def['record-source']), orderBy: def['order-by'] };
+}
+
+/** A form's record source as a data API name; SQL is left for outputTo to refuse. */
+function recordSourceName(recordSource: string | undefined) {
+  const source = recordSource || '';
+  return /^\s*select\b/i.test(source) ? source : sanitizeName(source);
+}
+
+/**
+ * Download a report rendered on the server as PDF or paginated HTML through
+ * GET /api/reports/:name/render.
+ */
+async function outputReport(reportName: string, fmt: string, fileName?: string) {
+  const report = findObjectByName('reports', reportName);
+  if (!report) {
+    console.warn(`AC.outputTo: report "${reportName}" not found`);
+    return;
+  }
+  const name = report.filename || report.name;
+  const params = new URLSearchParams({ format: fmt });
+  if (fileName) params.set('filename', fileName);
+  const res = await api.download(`/api/reports/${encodeURIComponent(name)}/render?${params}`, `${name}.${fmt}`);
+  if (!res.ok) useUiStore.getState().setError(`Output of report "${reportName}" failed: ${res.data}`);
+}
+
+/**
+ * Download a table, query, form or report's rows as CSV, XLSX or JSON through
+ * GET /api/data/:source/export, or a report as PDF/HTML (outputReport). Only
+ * the output file's base name is kept — the browser decides where downloads go.
+ */
+async function outputTo(objectType: string, objectName: string, format?: string | null, fileName?: string) {
+  const fmt = exportFormat(format, fileName);
+  if (fmt === 'pdf' || fmt === 'html') {
+    if (objectType.toLowerCase() === 'report') return outputReport(objectName, fmt, fileName);
+    console.warn(`AC.outputTo: ${fmt.toUpperCase()} output is only supported for reports`);
+    return;
+  }
+  if (!fmt) {
+    console.warn(`AC.outputTo: ${format || fileName} output is not supported`);
+    return;
+  }
+  const target = await exportSource(objectType, objectName);
+  if (!target?.source) {
+    console.warn(`AC.outputTo: ${objectType} "${objectName}" not found`);
+    return;
+  }
+  if (/^\s*select\b/i.test(target.source)) {
+    console.warn(`AC.outputTo: ${objectType} "${objectName}" has an SQL record source — save it as a query to export it`);
+    return;
+  }
+
+  const params = new URLSearchParams({ format: fmt });
+  if (target.orderBy) params.set('orderBy', target.orderBy);
+  if (target.filter) params.set('accessFilter', target.filter);
+  if (fileName) params.set('filename', fileName);
+  const res = await api.download(
+    `/api/data/${encodeURIComponent(target.source)}/export?${params}`,
+    `${target.source}.${fmt}`,
+  );
+  if (!res.ok) useUiStore.getState().setError(`Export of "${objectName}" failed: ${res.data}`);
+}
+
+// ============================================================
+// Import (DoCmd.TransferSpreadsheet acImport / TransferText acImportDelim)
+// ============================================================
+
+interface ImportResult {
+  table: string;
+  totalRows: number;
+  inserted: number;
+  failed: number;
+  errors: { row: number; column: string | null; value: unknown; message: string }[];
+}
+
+/** Ask the user for a file; resolves null when the picker is dismissed. */
+function pickFile(accept: string): Promise<File | null> {
+  return new Promise(resolve => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.addEventListener('change', () => resolve(input.files?.[0] || null));
+    input.addEventListener('cancel', () => resolve(null));
+    input.click();
+  });
+}
+
+async function fileToBase64(file: File): Promise<string> {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Append a CSV or XLSX file's rows to a table through
+ * POST /api/tables/:table/import. The browser can't read the VBA file path,
+ * so the user picks the file; columns are matched to the table by name.
+ * Rows that fail validation are skipped and reported; the rest are kept.
+ */
+async function importFile(tableName: string, format?: string | null, hasFieldNames = false, fileName?: string) {
+  const fmt = exportFormat(format, fileName) === 'xlsx' ? 'xlsx' : 'csv';
+  const file = await pickFile(fmt === 'xlsx' ? '.xlsx' : '.csv,.txt,.tab');
+  if (!file) return null;
+
+  const table = sanitizeName(tableName);
+  const content = fmt === 'xlsx' ? await fileToBase64(file) : await file.text();
+  const res = await api.post<ImportResult & { error?: string }>(
+    `/api/tables/${encodeURIComponent(table)}/import`,
+    { content, format: fmt, fileName: file.name, hasFieldNames },
+  );
+  if (!res.ok) {
+    useUiStore.getState().setError(`Import into "${tableName}" failed: ${res.data?.error || res.data}`);
+    return null;
+  }
+  const { inserted, failed, errors } = res.data;
+  if (failed > 0) {
+    const first = errors[0];
+    const detail = first ? ` — row ${first.row}${first.column ? ` (${first.column})` : ''}: ${first.message}` : '';
+    useUiStore.getState().setError(`Imported ${inserted} rows into "${tableName}"; ${failed} failed${detail}`);
+  }
+  return res.data;
+}
+
 // ============================================================
 // Control property setters (Phase 4 patterns)
 // ============================================================
@@ -426,6 +602,76 @@ async function dSum(expr: string, domain: string, criteria?: string): Promise<nu
   return 0;
 }
 
+// ============================================================
+// Recordsets (CurrentDb.OpenRecordset, ADO Recordset, Me.RecordsetClone)
+// ============================================================
+
+/** New ADODB.Recordset: opened later with rs.Open; assigning a field starts an edit. */
+function newRecordset(): Recordset {
+  return createRecordset({ ado: true });
+}
+
+/** The open form's saved rows and what they were read from. */
+function formRows() {
+  const { records, current } = useFormStore.getState();
+  const recordSource = current?.['record-source'];
+  return {
+    records,
+    rows: records.filter(r => !(r as Row).__new__) as Row[],
+    source: recordSource ? parseRecordsetSource(recordSource) : null,
+  };
+}
+
+function reloadForm() {
+  useFormStore.getState().reloadRecords();
+}
+
+let formClone: { records: unknown[]; recordset: Recordset } | null = null;
+
+/**
+ * Me.RecordsetClone: the form's rows with a position of their own. Like
+ * Access, the form has one clone, so FindFirst, NoMatch and Bookmark in
+ * separate statements see the same one; it starts over when the form's
+ * records are reloaded.
+ */
+function recordsetClone(): Recordset {
+  const { records, rows, source } = formRows();
+  if (!formClone || formClone.records !== records) {
+    formClone = { records, recordset: createRecordset({ source, rows, onWrite: reloadForm }) };
+  }
+  return formClone.recordset;
+}
+
+/** Me.Recordset: the form's rows at the form's record; moving it moves the form. */
+function formRecordset(): Recordset {
+  const { rows, source } = formRows();
+  const current = useFormStore.getState().currentRecord;
+  const position = current ? rows.indexOf(current) : -1;
+  return createRecordset({
+    source, rows,
+    position: position < 0 ? rows.length : position,
+    onMove: setBookmark,
+    onWrite: reloadForm,
+  });
+}
+
+/** Me.Bookmark */
+function getBookmark(): Row | null {
+  return useFormStore.getState().currentRecord;
+}
+
+/** Me.Bookmark = rs.Bookmark: show the record a clone of this form is on. */
+function setBookmark(bookmark: unknown) {
+  const store = useFormStore.getState();
+  let index = store.records.indexOf(bookmark as Row);
+  if (index < 0 && bookmark && typeof bookmark === 'object') {
+    const wanted = JSON.stringify(bookmark);
+    index = store.records.findIndex(r => JSON.stringify(r) === wanted);
+  }
+  if (index < 0) throw new Error('Not a valid bookmark.');
+  return store.navigateToRecord(index + 1);
+}
+
 // ============================================================
 // Cross-module function dispatch (fn.* handlers)
 // ============================================================
@@ -443,12 +689,82 @@ function registerFnHandler(name: string, jsCode: string): void {
   fnHandlerRegistry.set(name.toLowerCase(), jsCode);
 }
 
+type ModuleExports = Record<string, unknown>;
+
+/**
+ * Standard and class modules translated whole, keyed by module name
+ * (case-insensitive). A module's code runs on first use and its exports —
+ * and so its module-level variables — live for the session, as in Access.
+ */
+const moduleRegistry = new Map<string, { module: JsModule; exports: Promise<ModuleExports> | null }>();
+
+/**
+ * Register a translated standard or class module (the handler file's jsModule).
+ */
+function registerModule(module: JsModule): void {
+  moduleRegistry.set(module.name.toLowerCase(), { module, exports: null });
+}
+
+function loadModule(name: string): Promise<ModuleExports> | null {
+  const entry = moduleRegistry.get(name.toLowerCase());
+  if (!entry) return null;
+  if (!entry.exports) {
+    const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
+    entry.exports = new AsyncFunction('runtime', entry.module.js)((window as unknown as Record<string, unknown>).AC);
+  }
+  return entry.exports as Promise<ModuleExports>;
+}
+
+/** A public procedure of a registered standard module, by name. */
+async function moduleProcedure(name: string): Promise<((...args: unknown[]) => unknown) | null> {
+  const lower = name.toLowerCase();
+  for (const [moduleName, { module }] of moduleRegistry) {
+    if (module.kind !== 'standard') continue;
+    const exports = await loadModule(moduleName);
+    const key = exports && Object.keys(exports).find(k => k.toLowerCase() === lower);
+    if (key && typeof exports[key] === 'function') return exports[key] as (...args: unknown[]) => unknown;
+  }
+  return null;
+}
+
+/**
+ * New clsName: an instance of a registered class module.
+ */
+async function newObject(className: string): Promise<unknown> {
+  const exports = await loadModule(className);
+  if (typeof exports?.create !== 'function') {
+    throw Object.assign(new Error(`ActiveX component can't create object: ${className}`), { number: 429 });
+  }
+  return (exports.create as () => Promise<unknown>)();
+}
+
+/**
+ * The AC a module's own code sees: callFn tries the module's procedures
+ * (Private ones included) before everyone else's.
+ */
+function withProcedures(procedures: Record<string, (...args: unknown[]) => unknown>): unknown {
+  const AC = (window as unknown as { AC: { callFn: typeof callFn } }).AC;
+  return Object.create(AC, {
+    callFn: {
+      value: (name: string, ...args: unknown[]) => {
+        const own = procedures[name.toLowerCase()];
+        return own ? own(...args) : AC.callFn(name, ...args);
+      },
+    },
+  });
+}
+
 /**
- * Call a registered fn.* handler by name.
+ * Call a procedure by name: a public procedure of a translated standard
+ * module, or else a registered fn.* handler.
  * Generated JS emits `await AC.callFn("FuncName", arg1, arg2)`.
- * Arguments are passed as local variables $0, $1, etc. within the handler body.
+ * A module procedure's errors reach the caller, like a VBA call's; fn.*
+ * handlers get their arguments as local variables $0, $1, etc. and return null
+ * when they fail.
  */
 async function callFn(name: string, ...args: unknown[]): Promise<unknown> {
+  const procedure = await moduleProcedure(name);
+  if (procedure) return procedure(...args);
   const jsCode = fnHandlerRegistry.get(name.toLowerCase());
   if (!jsCode) {
     console.warn(`AC.callFn: function "${name}" not registered`);
@@ -466,6 +782,78 @@ async function callFn(name: string, ...args: unknown[]): Promise<unknown> {
   }
 }
 
+// ============================================================
+// Macros (lib/macro-runtime.ts) and the actions only they use
+// ============================================================
+
+const macroRunner = createMacroRunner(
+  () => (window as unknown as { AC: Record<string, unknown> }).AC,
+  async (name) => {
+    const res = await api.get<MacroDetail>(`/api/macros/${encodeURIComponent(name)}`);
+    return res.ok ? res.data.js_macro ?? null : null;
+  },
+);
+
+/**
+ * RunMacro "mcrName" or "mcrName.SubmacroName", repeatCount times.
+ * Generated JS emits `await AC.runMacro("mcrName")` for DoCmd.RunMacro.
+ */
+export function runMacro(name: string, repeatCount?: number) {
+  return macroRunner.runMacro(name, repeatCount);
+}
+
+let lastFind: { findWhat: unknown; options: FindOptions } | null = null;
+
+/** FindRecord: move the form to the next record with a field matching findWhat. */
+function findRecord(findWhat: unknown, options: FindOptions = {}) {
+  lastFind = { findWhat, options };
+  const store = useFormStore.getState();
+  const index = findRecordIndex(store.records, store.recordPosition.current - 1, findWhat, options);
+  if (index < 0) {
+    console.warn(`AC.findRecord: no record matches "${String(findWhat)}"`);
+    return;
+  }
+  return store.navigateToRecord(index + 1);
+}
+
+/** FindNext: the last FindRecord again, from the current record. */
+function findNext() {
+  if (!lastFind) return;
+  return findRecord(lastFind.findWhat, { ...lastFind.options, findFirst: false });
+}
+
+/** PrintOut: the browser's print dialog for what the page shows. */
+function printOut() {
+  window.print();
+}
+
+function beep() {
+  const AudioContextClass = window.AudioContext;
+  if (!AudioContextClass) return;
+  const audio = new AudioContextClass();
+  const oscillator = audio.createOscillator();
+  oscillator.connect(audio.destination);
+  oscillator.frequency.value = 800;
+  oscillator.start();
+  oscillator.stop(audio.currentTime + 0.15);
+  oscillator.onended = () => { audio.close(); };
+}
+
+/**
+ * SendObject without an object: a new message in the mail program. Access
+ * separates addresses with semicolons, mailto with commas.
+ */
+function sendMail(to: string, cc?: string, bcc?: string, subject?: string, body?: string) {
+  const addresses = (list?: string) => (list || '').split(';').map(a => a.trim()).filter(Boolean).join(',');
+  const params = new URLSearchParams();
+  if (cc) params.set('cc', addresses(cc));
+  if (bcc) params.set('bcc', addresses(bcc));
+  if (subject) params.set('subject', subject);
+  if (body) params.set('body', body);
+  const query = params.toString().replace(/\+/g, '%20');
+  window.location.href = `mailto:${encodeURIComponent(addresses(to)).replace(/%2C/g, ',')}${query ? `?${query}` : ''}`;
+}
+
 // ============================================================
 // Async handler execution
 // ============================================================
@@ -511,13 +899,11 @@ function searchForRecord(criteria: string) {
 }
 
 function getFilter() {
-  console.warn('AC.getFilter stub');
-  return '';
+  return useFormStore.getState().filter;
 }
 
 function getFilterOn() {
-  console.warn('AC.getFilterOn stub');
-  return false;
+  return useFormStore.getState().filterOn;
 }
 
 /**
@@ -536,6 +922,8 @@ export function installRuntime() {
     setValue,
     setSubformSource,
     runSQL,
+    outputTo,
+    importFile,
     setFocus,
     requeryControl,
     undo,
@@ -560,7 +948,11 @@ export function installRuntime() {
     removeTempVar,
     removeAllTempVars,
     callFn,
+    runMacro,
     registerFnHandler,
+    registerModule,
+    newObject,
+    withProcedures,
     setLocked,
     setBackColor,
     setForeColor,
@@ -588,7 +980,19 @@ export function installRuntime() {
     formatValue,
     deleteRecord,
     searchForRecord,
+    findRecord,
+    findNext,
+    printOut,
+    beep,
+    sendMail,
     getFilter,
     getFilterOn,
+    openRecordset,
+    newRecordset,
+    recordsetClone,
+    formRecordset,
+    getBookmark,
+    setBookmark,
+    err: createErr(),
   };
 }
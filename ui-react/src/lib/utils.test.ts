@@ -6,6 +6,8 @@ import {
   formatValue, parseInputMask, maskPlaceholder,
   displayText, filenameToDisplayName, sanitizeName,
   getSectionHeight, getSectionControls,
+  primaryKeyFields, recordKeyPath, sameRecordKey, parseTabularText,
+  constraintViolation, isViolationField,
 } from './utils';
 import type { Control } from '@/api/types';
 
@@ -388,3 +390,91 @@ describe('getSectionControls', () => {
     expect(getSectionControls({}, 'detail')).toEqual([]);
   });
 });
+
+// ============================================================
+// Record key helpers
+// ============================================================
+
+describe('primaryKeyFields', () => {
+  it('returns flagged key columns in order', () => {
+    expect(primaryKeyFields([{ name: 'order_id', pk: true }, { name: 'qty' }, { name: 'line_no', pk: true }]))
+      .toEqual(['order_id', 'line_no']);
+  });
+
+  it('falls back to id', () => {
+    expect(primaryKeyFields([{ name: 'qty' }])).toEqual(['id']);
+    expect(primaryKeyFields(undefined)).toEqual(['id']);
+  });
+});
+
+describe('recordKeyPath', () => {
+  it('encodes a single key value directly', () => {
+    expect(recordKeyPath(['id'], { id: 7 })).toBe('7');
+    expect(recordKeyPath(['code'], { code: 'A/B' })).toBe('A%2FB');
+  });
+
+  it('encodes a composite key as a JSON object', () => {
+    const path = recordKeyPath(['order_id', 'line_no'], { order_id: 5, line_no: 2, qty: 1 });
+    expect(JSON.parse(decodeURIComponent(path!))).toEqual({ order_id: 5, line_no: 2 });
+  });
+
+  it('returns null when a key value is missing', () => {
+    expect(recordKeyPath(['order_id', 'line_no'], { order_id: 5 })).toBeNull();
+    expect(recordKeyPath([], { id: 1 })).toBeNull();
+  });
+});
+
+describe('sameRecordKey', () => {
+  it('compares every key field', () => {
+    const keys = ['a', 'b'];
+    expect(sameRecordKey(keys, { a: 1, b: 2, x: 1 }, { a: 1, b: 2, x: 9 })).toBe(true);
+    expect(sameRecordKey(keys, { a: 1, b: 2 }, { a: 1, b: 3 })).toBe(false);
+  });
+});
+
+describe('constraintViolation', () => {
+  const violation = {
+    error: 'Quantity must be positive', code: '23514', table: 'order_details',
+    field: 'quantity', value: -1, constraint: 'order_details_quantity_rule',
+  };
+
+  it('accepts 23xxx write errors from the data API', () => {
+    expect(constraintViolation(violation)).toBe(violation);
+  });
+
+  it('rejects other failures', () => {
+    expect(constraintViolation({ error: 'Failed to update record' })).toBeNull();
+    expect(constraintViolation({ error: 'Conflict', code: '40001' })).toBeNull();
+    expect(constraintViolation(null)).toBeNull();
+    expect(constraintViolation('error')).toBeNull();
+  });
+
+  it('matches the violation field case-insensitively', () => {
+    expect(isViolationField(violation, 'Quantity')).toBe(true);
+    expect(isViolationField(violation, 'unit_price')).toBe(false);
+    expect(isViolationField({ ...violation, field: null }, 'quantity')).toBe(false);
+    expect(isViolationField(null, 'quantity')).toBe(false);
+  });
+});
+
+describe('parseTabularText', () => {
+  const fields = ['id', 'name', 'city'];
+
+  it('maps columns by a header row of field names', () => {
+    expect(parseTabularText('City\tName\r\nBoston\tAnn\r\nNYC\t\r\n', fields)).toEqual([
+      { city: 'Boston', name: 'Ann' },
+      { city: 'NYC', name: null },
+    ]);
+  });
+
+  it('maps columns by position without a header', () => {
+    expect(parseTabularText('1\tAnn\tBoston\textra\n2\tBob', fields)).toEqual([
+      { id: '1', name: 'Ann', city: 'Boston' },
+      { id: '2', name: 'Bob' },
+    ]);
+  });
+
+  it('returns nothing for empty text', () => {
+    expect(parseTabularText('\n', fields)).toEqual([]);
+  });
+});
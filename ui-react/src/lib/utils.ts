@@ -4,7 +4,7 @@
  */
 
 import { isExpression, evaluateExpression, type ExprContext } from './expressions';
-import type { Control, ControlType } from '@/api/types';
+import type { Control, ControlType, ConstraintViolation } from '@/api/types';
 
 // ============================================================
 // Control name conversion
@@ -328,6 +328,74 @@ export function sanitizeName(s: string): string {
   return s.toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '');
 }
 
+// ============================================================
+// Record key helpers
+// ============================================================
+
+/** Primary key column names for a field list, in key order ('id' when none is flagged). */
+export function primaryKeyFields(fields: Array<{ name: string; pk?: boolean }> | undefined): string[] {
+  const pk = (fields || []).filter(f => f.pk).map(f => f.name);
+  return pk.length > 0 ? pk : ['id'];
+}
+
+/**
+ * Encode a record's key as the :id segment of /api/data/:source/:id.
+ * A single key is sent as-is; a composite key as a JSON object of column → value.
+ * Returns null when any key value is missing (e.g. an unsaved row).
+ */
+export function recordKeyPath(keyFields: string[], record: Record<string, unknown>): string | null {
+  const values = keyFields.map(f => record[f]);
+  if (values.length === 0 || values.some(v => v == null)) return null;
+  if (keyFields.length === 1) return encodeURIComponent(String(values[0]));
+  const key: Record<string, unknown> = {};
+  keyFields.forEach((f, i) => { key[f] = values[i]; });
+  return encodeURIComponent(JSON.stringify(key));
+}
+
+/** True when two records have equal values in every key field. */
+export function sameRecordKey(keyFields: string[], a: Record<string, unknown>, b: Record<string, unknown>): boolean {
+  return keyFields.every(f => a[f] === b[f]);
+}
+
+/** The constraint violation in a failed /api/data write response, or null for other failures. */
+export function constraintViolation(data: unknown): ConstraintViolation | null {
+  if (!data || typeof data !== 'object') return null;
+  const d = data as Partial<ConstraintViolation>;
+  return typeof d.code === 'string' && /^23/.test(d.code) && typeof d.error === 'string'
+    ? d as ConstraintViolation
+    : null;
+}
+
+/** True when a violation names the field a control is bound to (column names are case-insensitive). */
+export function isViolationField(violation: ConstraintViolation | null, field: string | null | undefined): boolean {
+  return !!(violation?.field && field && violation.field.toLowerCase() === field.toLowerCase());
+}
+
+/**
+ * Parse tab-separated clipboard text (as copied from a datasheet or Excel)
+ * into records for Paste Append. A first row made of field names maps
+ * columns by name; otherwise columns map to fieldNames by position.
+ * Empty cells become null; columns past the field list are dropped.
+ */
+export function parseTabularText(text: string, fieldNames: string[]): Record<string, unknown>[] {
+  const lines = text.split(/\r?\n/);
+  while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+  if (lines.length === 0) return [];
+
+  const byLower = new Map(fieldNames.map(f => [f.toLowerCase(), f]));
+  const first = lines[0].split('\t').map(c => c.trim());
+  const hasHeader = first.every(c => byLower.has(c.toLowerCase()));
+  const columns = hasHeader ? first.map(c => byLower.get(c.toLowerCase())!) : fieldNames;
+
+  return lines.slice(hasHeader ? 1 : 0).map(line => {
+    const record: Record<string, unknown> = {};
+    line.split('\t').forEach((cell, i) => {
+      if (i < columns.length) record[columns[i]] = cell === '' ? null : cell;
+    });
+    return record;
+  });
+}
+
 // ============================================================
 // Section helpers (form & report)
 // ============================================================
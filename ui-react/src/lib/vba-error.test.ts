@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { APPLICATION_ERROR, createErr, errorNumber } from './vba-error';
+
+describe('errorNumber', () => {
+  it('gives DAO messages their Access error number', () => {
+    expect(errorNumber(new Error('No current record.'))).toBe(3021);
+    expect(errorNumber(new Error('Item not found in this collection: Freight'))).toBe(3265);
+  });
+
+  it('keeps an error\'s own number and falls back to the application error', () => {
+    expect(errorNumber(Object.assign(new Error('x'), { number: 513 }))).toBe(513);
+    expect(errorNumber(new TypeError('x is undefined'))).toBe(APPLICATION_ERROR);
+    expect(errorNumber('text')).toBe(APPLICATION_ERROR);
+  });
+});
+
+describe('Err object', () => {
+  it('captures a caught error and clears', () => {
+    const err = createErr();
+    expect(err.number).toBe(0);
+    err.capture(new Error('Record is deleted.'));
+    expect(err.number).toBe(3167);
+    expect(err.description).toBe('Record is deleted.');
+    err.clear();
+    expect([err.number, err.description, err.source]).toEqual([0, '', '']);
+  });
+
+  it('raises an error that captures back to the same number', () => {
+    const err = createErr();
+    let caught: unknown;
+    try {
+      err.raise(-2147221504 + 513, 'modOrders', 'Order is closed');
+    } catch (e) {
+      caught = e;
+    }
+    err.capture(caught);
+    expect(err.number).toBe(-2147220991);
+    expect(err.source).toBe('modOrders');
+    expect(err.description).toBe('Order is closed');
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * VBA's Err object for generated VBA-to-JS handlers (AC.err).
+ *
+ * The translator turns On Error GoTo into try/catch and On Error Resume Next
+ * into a try/catch per statement; each catch hands the JS error to
+ * err.capture, so the handler can read Err.Number and Err.Description the way
+ * the VBA did. Errors the runtime raises with a DAO message get that
+ * message's Access error number, and Err.Raise throws an error carrying its
+ * own number.
+ */
+
+/** Err.Number for an error with no number of its own */
+export const APPLICATION_ERROR = 1004;
+const APPLICATION_ERROR_TEXT = 'Application-defined or object-defined error';
+
+// Access error numbers for the DAO messages lib/recordset.ts throws
+const DAO_ERRORS: Array<[RegExp, number]> = [
+  [/^No current record\.$/, 3021],
+  [/^Update or CancelUpdate without AddNew or Edit\.$/, 3020],
+  [/^Cannot update\. Database or object is read-only\.$/, 3027],
+  [/^Object invalid or no longer set\.$/, 3420],
+  [/^Record is deleted\.$/, 3167],
+  [/^Not a valid bookmark\.$/, 3159],
+  [/^Item not found in this collection/, 3265],
+];
+
+export interface ErrObject {
+  number: number;
+  description: string;
+  source: string;
+  /** Set Number, Description and Source from a caught error */
+  capture(error: unknown): void;
+  /** Err.Clear */
+  clear(): void;
+  /** Err.Raise: throw an error with this number */
+  raise(number: number, source?: string, description?: string): never;
+}
+
+/** The Err.Number for a thrown value. */
+export function errorNumber(error: unknown): number {
+  const own = (error as { number?: unknown } | null)?.number;
+  if (typeof own === 'number' && own !== 0) return own;
+  const message = error instanceof Error ? error.message : String(error ?? '');
+  const dao = DAO_ERRORS.find(([pattern]) => pattern.test(message));
+  return dao ? dao[1] : APPLICATION_ERROR;
+}
+
+export function createErr(): ErrObject {
+  const err: ErrObject = {
+    number: 0,
+    description: '',
+    source: '',
+
+    capture(error) {
+      err.number = errorNumber(error);
+      err.description = error instanceof Error ? error.message : String(error ?? '');
+      const source = (error as { source?: unknown } | null)?.source;
+      err.source = typeof source === 'string' ? source : '';
+    },
+
+    clear() {
+      err.number = 0;
+      err.description = '';
+      err.source = '';
+    },
+
+    raise(number, source = '', description = APPLICATION_ERROR_TEXT) {
+      throw Object.assign(new Error(description), { number, source });
+    },
+  };
+  return err;
+}
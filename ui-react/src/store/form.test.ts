@@ -0,0 +1,63 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import * as api from '@/api/client';
+import type { FormDefinition } from '@/api/types';
+import { useFormStore } from './form';
+
+vi.mock('@/api/client', () => ({
+  get: vi.fn(),
+  put: vi.fn(),
+  del: vi.fn(),
+}));
+
+const ORDER_DETAILS = {
+  name: 'order_details',
+  fields: [
+    { name: 'order_id', type: 'integer', pk: true },
+    { name: 'product_id', type: 'integer', pk: true },
+    { name: 'quantity', type: 'integer' },
+  ],
+};
+
+const KEY = encodeURIComponent(JSON.stringify({ order_id: 10248, product_id: 11 }));
+
+function loadSubform(records: Record<string, unknown>[]) {
+  useFormStore.setState(s => {
+    s.subformCache.sfrmOrderDetails = {
+      definition: { 'record-source': 'order_details' } as FormDefinition,
+      records,
+      projection: null,
+      filterKey: '',
+    };
+  });
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.mocked(api.get).mockResolvedValue({ ok: true, status: 200, data: [ORDER_DETAILS] });
+  vi.mocked(api.put).mockResolvedValue({ ok: true, status: 200, data: {} });
+  vi.mocked(api.del).mockResolvedValue({ ok: true, status: 200, data: {} });
+});
+
+describe('subform records with a composite key', () => {
+  it('updates a cell by the whole key', async () => {
+    loadSubform([{ order_id: 10248, product_id: 11, quantity: 12 }]);
+    await useFormStore.getState().saveSubformCell('sfrmOrderDetails', 0, 'quantity', 20);
+    expect(api.put).toHaveBeenCalledWith(`/api/data/order_details/${KEY}`, { quantity: 20 });
+    expect(useFormStore.getState().subformCache.sfrmOrderDetails.records[0].quantity).toBe(20);
+  });
+
+  it('deletes a row by the whole key', async () => {
+    loadSubform([{ order_id: 10248, product_id: 11, quantity: 12 }, { order_id: 10248, product_id: 42, quantity: 10 }]);
+    await useFormStore.getState().deleteSubformRecord('sfrmOrderDetails', 0);
+    expect(api.del).toHaveBeenCalledWith(`/api/data/order_details/${KEY}`);
+    expect(useFormStore.getState().subformCache.sfrmOrderDetails.records).toEqual([
+      { order_id: 10248, product_id: 42, quantity: 10 },
+    ]);
+  });
+
+  it('skips rows missing part of the key', async () => {
+    loadSubform([{ order_id: 10248, quantity: 12 }]);
+    await useFormStore.getState().deleteSubformRecord('sfrmOrderDetails', 0);
+    expect(api.del).not.toHaveBeenCalled();
+  });
+});
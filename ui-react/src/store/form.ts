@@ -3,11 +3,12 @@ import { immer } from 'zustand/middleware/immer';
 import * as api from '@/api/client';
 import type {
   FormDefinition, Control, Section, Projection, RowSourceData,
-  ColumnInfo, ContextMenuState, RecordPosition, HandlerEntry,
+  ColumnInfo, ContextMenuState, RecordPosition, HandlerEntry, WriteConflict, ConstraintViolation,
 } from '@/api/types';
 import { getFileHandlers } from '@/generated/handlerRegistry';
 import { executeHandler } from '@/lib/runtime';
 import { useUiStore } from '@/store/ui';
+import { primaryKeyFields, recordKeyPath, sameRecordKey, constraintViolation, isViolationField } from '@/lib/utils';
 
 // ============================================================
 // Subform cache entry
@@ -41,6 +42,13 @@ export interface FormState {
   currentRecord: Record<string, unknown> | null;
   recordPosition: RecordPosition;
   recordDirty: boolean;
+  writeConflict: WriteConflict | null;
+  /** Why the last save or delete of the current record was refused; its field's control is highlighted */
+  recordError: ConstraintViolation | null;
+
+  // Access Filter / FilterOn (view mode)
+  filter: string;
+  filterOn: boolean;
 
   // Projection
   projection: Projection | null;
@@ -84,6 +92,12 @@ export interface FormActions {
   navigateToRecord(position: number): Promise<void>;
   updateRecordField(fieldName: string, value: unknown): void;
   setCurrentRecord(record: Record<string, unknown>): void;
+  resolveWriteConflict(action: 'save' | 'drop' | 'copy'): Promise<void>;
+
+  // Filtering
+  applyFilter(filter: string): Promise<void>;
+  setFilterOn(on: boolean): Promise<void>;
+  reloadRecords(): Promise<void>;
 
   // Control operations
   selectControl(idx: number | null): void;
@@ -142,11 +156,6 @@ type FormStore = FormState & FormActions;
 // Helpers
 // ============================================================
 
-function detectPkField(fields: ColumnInfo[]): string {
-  const pk = fields.find(f => f.pk);
-  return pk ? pk.name : 'id';
-}
-
 function recordToApiMap(record: Record<string, unknown>): Record<string, unknown> {
   const out: Record<string, unknown> = {};
   for (const [k, v] of Object.entries(record)) {
@@ -156,6 +165,13 @@ function recordToApiMap(record: Record<string, unknown>): Record<string, unknown
   return out;
 }
 
+/** The primary key columns of a record source, from /api/tables ('id' when it has none). */
+async function tableKeyFields(recordSource: string): Promise<string[]> {
+  const tables = (await api.get<Array<{ name: string; fields: ColumnInfo[] }>>('/api/tables')).data || [];
+  const tableInfo = tables.find(t => t.name.toLowerCase() === recordSource.toLowerCase());
+  return primaryKeyFields(tableInfo?.fields);
+}
+
 function parseAccessFilter(filterStr: string): Record<string, string> {
   const result: Record<string, string> = {};
   if (!filterStr) return result;
@@ -220,6 +236,10 @@ export const useFormStore = create<FormStore>()(
     currentRecord: null,
     recordPosition: { current: 0, total: 0 },
     recordDirty: false,
+    writeConflict: null,
+    recordError: null,
+    filter: '',
+    filterOn: false,
     projection: null,
     rowSourceCache: {},
     subformCache: {},
@@ -278,6 +298,7 @@ export const useFormStore = create<FormStore>()(
         s.currentRecord = null;
         s.recordPosition = { current: 0, total: 0 };
         s.recordDirty = false;
+        s.recordError = null;
         s.projection = null;
         s.viewMode = 'design';
       });
@@ -338,14 +359,14 @@ export const useFormStore = create<FormStore>()(
 
       if (mode === 'view') {
         const def = get().current;
-        if (def?.['record-source']) {
-          await get().loadFormRecords(
-            def['record-source'],
-            def['order-by'],
-            def.filter,
-            def['data-entry'],
-          );
+        // Entering view mode starts from the form's saved Filter/FilterOn
+        if (prev !== 'view') {
+          set(s => {
+            s.filter = def?.filter || '';
+            s.filterOn = !!def?.['filter-on'];
+          });
         }
+        await get().reloadRecords();
       }
     },
 
@@ -364,12 +385,9 @@ export const useFormStore = create<FormStore>()(
         if (res.ok) records = res.data.data || [];
       } else {
         const params = new URLSearchParams({ limit: '1000' });
-        if (orderBy) {
-          const parts = orderBy.split(/\s+/);
-          params.set('orderBy', parts[0]);
-          if (parts[1]) params.set('orderDir', parts[1]);
-        }
-        if (filter) params.set('filter', filter);
+        // Both are Access strings — the server translates them
+        if (orderBy) params.set('orderBy', orderBy);
+        if (filter) params.set('accessFilter', filter);
 
         const res = await api.get<{ data: Record<string, unknown>[] }>(`/api/data/${encodeURIComponent(recordSource)}?${params}`);
         if (res.ok) records = res.data.data || [];
@@ -383,6 +401,7 @@ export const useFormStore = create<FormStore>()(
       set(s => {
         s.records = records;
         s.recordDirty = false;
+        s.recordError = null;
         if (records.length > 0) {
           s.currentRecord = records[0];
           s.recordPosition = { current: 1, total: records.length };
@@ -398,6 +417,32 @@ export const useFormStore = create<FormStore>()(
       if (entries.length > 0) get().syncFormState(entries);
     },
 
+    async reloadRecords() {
+      const { current: def, filter, filterOn } = get();
+      if (!def?.['record-source']) return;
+      await get().loadFormRecords(
+        def['record-source'],
+        def['order-by'],
+        filterOn ? filter : undefined,
+        def['data-entry'],
+      );
+    },
+
+    // --------------------------------------------------------
+    // Filtering (Me.Filter / Me.FilterOn)
+    // --------------------------------------------------------
+    async applyFilter(filter) {
+      set(s => { s.filter = filter || ''; });
+      // Like Access, a new Filter takes effect at once while FilterOn is set
+      if (get().filterOn && get().viewMode === 'view') await get().reloadRecords();
+    },
+
+    async setFilterOn(on) {
+      const changed = get().filterOn !== on;
+      set(s => { s.filterOn = on; });
+      if (changed && get().viewMode === 'view') await get().reloadRecords();
+    },
+
     // --------------------------------------------------------
     // Record CRUD
     // --------------------------------------------------------
@@ -413,9 +458,12 @@ export const useFormStore = create<FormStore>()(
 
       if (record.__new__) {
         const res = await api.post<Record<string, unknown>>(`/api/data/${encodeURIComponent(recordSource)}`, apiRecord);
-        if (res.ok) {
+        if (!res.ok) {
+          set(s => { s.recordError = constraintViolation(res.data); });
+        } else {
           set(s => {
             s.recordDirty = false;
+            s.recordError = null;
             // Replace the new record with the saved version
             const idx = s.records.findIndex(r => (r as Record<string, unknown>).__new__);
             if (idx >= 0 && res.data) {
@@ -425,18 +473,34 @@ export const useFormStore = create<FormStore>()(
           });
         }
       } else {
-        // Find PK
-        const table = recordSource;
-        const tables = (await api.get<Array<{ name: string; fields: ColumnInfo[] }>>('/api/tables')).data || [];
-        const tableInfo = tables.find(t => t.name.toLowerCase() === table.toLowerCase());
-        const pkField = tableInfo ? detectPkField(tableInfo.fields) : 'id';
-        const pkValue = record[pkField];
-
-        if (pkValue != null) {
-          const updateData = { ...apiRecord };
-          delete updateData[pkField];
-          await api.put(`/api/data/${encodeURIComponent(recordSource)}/${encodeURIComponent(String(pkValue))}`, updateData);
-          set(s => { s.recordDirty = false; });
+        const pkFields = await tableKeyFields(recordSource);
+        const keyPath = recordKeyPath(pkFields, record);
+
+        if (keyPath != null) {
+          const updateData: Record<string, unknown> = { ...apiRecord };
+          for (const f of pkFields) delete updateData[f];
+          // Send the row as it was loaded so the server can detect edits by other users
+          const idx = state.recordPosition.current - 1;
+          const loaded = state.records[idx] as Record<string, unknown> | undefined;
+          if (loaded && sameRecordKey(pkFields, loaded, record)) updateData.__original = recordToApiMap(loaded);
+
+          const res = await api.put<{ data?: Record<string, unknown>; conflict?: WriteConflict }>(
+            `/api/data/${encodeURIComponent(recordSource)}/${keyPath}`, updateData);
+          if (res.status === 409 && res.data?.conflict) {
+            set(s => { s.writeConflict = res.data.conflict!; });
+          } else if (res.ok) {
+            set(s => {
+              const saved = res.data?.data;
+              if (saved && s.records[idx]) {
+                s.records[idx] = saved;
+                s.currentRecord = saved;
+              }
+              s.recordDirty = false;
+              s.recordError = null;
+            });
+          } else {
+            set(s => { s.recordError = constraintViolation(res.data); });
+          }
         }
       }
     },
@@ -448,6 +512,7 @@ export const useFormStore = create<FormStore>()(
         s.currentRecord = newRec;
         s.recordPosition = { current: s.records.length, total: s.records.length };
         s.recordDirty = false;
+        s.recordError = null;
       });
     },
 
@@ -458,16 +523,18 @@ export const useFormStore = create<FormStore>()(
       if (!def?.['record-source']) return;
 
       const recordSource = def['record-source'];
-      const tables = (await api.get<Array<{ name: string; fields: ColumnInfo[] }>>('/api/tables')).data || [];
-      const tableInfo = tables.find(t => t.name.toLowerCase() === recordSource.toLowerCase());
-      const pkField = tableInfo ? detectPkField(tableInfo.fields) : 'id';
-      const pkValue = state.currentRecord[pkField];
+      const pkFields = await tableKeyFields(recordSource);
+      const deleted = state.currentRecord;
+      const keyPath = recordKeyPath(pkFields, deleted);
 
-      if (pkValue == null) return;
-      const res = await api.del(`/api/data/${encodeURIComponent(recordSource)}/${encodeURIComponent(String(pkValue))}`);
-      if (res.ok) {
+      if (keyPath == null) return;
+      const res = await api.del(`/api/data/${encodeURIComponent(recordSource)}/${keyPath}`);
+      if (!res.ok) {
+        // e.g. other tables still hold related records
+        set(s => { s.recordError = constraintViolation(res.data); });
+      } else {
         set(s => {
-          const idx = s.records.findIndex(r => (r as Record<string, unknown>)[pkField] === pkValue);
+          const idx = s.records.findIndex(r => sameRecordKey(pkFields, r as Record<string, unknown>, deleted));
           if (idx >= 0) s.records.splice(idx, 1);
           // Navigate to previous or first
           if (s.records.length > 0) {
@@ -486,12 +553,16 @@ export const useFormStore = create<FormStore>()(
     async navigateToRecord(position) {
       // Auto-save before navigation
       if (get().recordDirty) await get().saveCurrentRecord();
+      // Like Access, stay on the record until a write conflict is resolved
+      // or the values the save was refused for are fixed
+      if (get().writeConflict || (get().recordDirty && get().recordError)) return;
 
       set(s => {
         const idx = Math.max(0, Math.min(position - 1, s.records.length - 1));
         s.currentRecord = s.records[idx] as Record<string, unknown>;
         s.recordPosition = { current: idx + 1, total: s.records.length };
         s.recordDirty = false;
+        s.recordError = null;
       });
 
       // Sync form state for cross-join resolution in converted queries
@@ -504,6 +575,7 @@ export const useFormStore = create<FormStore>()(
         if (s.currentRecord) {
           s.currentRecord[fieldName] = value;
           s.recordDirty = true;
+          if (isViolationField(s.recordError, fieldName)) s.recordError = null;
         }
       });
     },
@@ -512,6 +584,33 @@ export const useFormStore = create<FormStore>()(
       set(s => { s.currentRecord = record; });
     },
 
+    async resolveWriteConflict(action) {
+      const conflict = get().writeConflict;
+      if (!conflict) return;
+      const idx = get().recordPosition.current - 1;
+
+      if (action === 'copy') {
+        // Access copies the rejected edits as a tab-separated header + values row
+        const cols = Object.keys(conflict.attempted);
+        const text = `${cols.join('\t')}\n${cols.map(c => String(conflict.attempted[c] ?? '')).join('\t')}`;
+        await navigator.clipboard?.writeText(text).catch(() => {});
+      }
+
+      set(s => {
+        s.writeConflict = null;
+        if (!s.records[idx]) return;
+        // The other user's row becomes the loaded snapshot
+        s.records[idx] = conflict.current;
+        if (action !== 'save') {
+          s.currentRecord = conflict.current;
+          s.recordDirty = false;
+        }
+      });
+
+      // Save mine: resend the edits against the row the server now has
+      if (action === 'save') await get().saveCurrentRecord();
+    },
+
     // --------------------------------------------------------
     // Control operations
     // --------------------------------------------------------
@@ -612,15 +711,15 @@ export const useFormStore = create<FormStore>()(
       if (linkChild && linkMaster && parentRecord) {
         const childFields = linkChild.split(';').map(s => s.trim());
         const masterFields = linkMaster.split(';').map(s => s.trim());
-        const filterParts: string[] = [];
+        const filter: Record<string, unknown> = {};
         for (let i = 0; i < childFields.length; i++) {
           const val = parentRecord[masterFields[i]] ?? parentRecord[masterFields[i].toLowerCase()];
           if (val != null) {
-            filterParts.push(`${childFields[i]}='${val}'`);
+            filter[childFields[i]] = val;
           }
         }
-        if (filterParts.length > 0) {
-          params.set('filter', filterParts.join(' AND '));
+        if (Object.keys(filter).length > 0) {
+          params.set('filter', JSON.stringify(filter));
         }
       }
 
@@ -643,10 +742,8 @@ export const useFormStore = create<FormStore>()(
       const record = entry.records[rowIdx] as Record<string, unknown>;
       if (!record) return;
 
-      // Find PK
-      const pkField = 'id'; // Simplified — could look up from table info
-      const pkValue = record[pkField];
-      if (pkValue == null) return;
+      const keyPath = recordKeyPath(await tableKeyFields(recordSource), record);
+      if (keyPath == null) return;
 
       // Optimistic update
       set(s => {
@@ -654,7 +751,7 @@ export const useFormStore = create<FormStore>()(
         if (r) r[colName] = value;
       });
 
-      const res = await api.put(`/api/data/${encodeURIComponent(recordSource)}/${encodeURIComponent(String(pkValue))}`, {
+      const res = await api.put(`/api/data/${encodeURIComponent(recordSource)}/${keyPath}`, {
         [colName]: value,
       });
 
@@ -693,11 +790,10 @@ export const useFormStore = create<FormStore>()(
       const record = entry.records[rowIdx] as Record<string, unknown>;
       if (!record) return;
 
-      const pkField = 'id';
-      const pkValue = record[pkField];
-      if (pkValue == null) return;
+      const keyPath = recordKeyPath(await tableKeyFields(recordSource), record);
+      if (keyPath == null) return;
 
-      const res = await api.del(`/api/data/${encodeURIComponent(recordSource)}/${encodeURIComponent(String(pkValue))}`);
+      const res = await api.del(`/api/data/${encodeURIComponent(recordSource)}/${keyPath}`);
       if (res.ok) {
         set(s => {
           s.subformCache[sourceFormName]?.records.splice(rowIdx, 1);
@@ -861,6 +957,10 @@ export const useFormStore = create<FormStore>()(
         s.currentRecord = null;
         s.recordPosition = { current: 0, total: 0 };
         s.recordDirty = false;
+        s.writeConflict = null;
+        s.recordError = null;
+        s.filter = '';
+        s.filterOn = false;
         s.projection = null;
         s.rowSourceCache = {};
         s.subformCache = {};
@@ -527,6 +527,13 @@ export const useImportStore = create<Store>()(
         set(s => { s.autoImportPhase = 'translating'; });
         const dbId = api.getDatabaseId();
 
+        // Foreign keys from Access relationships, now that every table exists
+        for (const path of state.selectedPaths) {
+          try {
+            await api.post('/api/database-import/import-relationships', { databasePath: path, targetDatabaseId: dbId });
+          } catch { /* non-fatal */ }
+        }
+
         // Apply fixes (reads X-Database-ID header)
         try { await api.post('/api/database-import/apply-fixes', {}); } catch { /* non-fatal */ }
 
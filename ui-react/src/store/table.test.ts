@@ -0,0 +1,83 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import * as api from '@/api/client';
+import type { TableInfo } from '@/api/types';
+import { useTableStore } from './table';
+import { useUiStore } from './ui';
+
+vi.mock('@/api/client', async importOriginal => ({
+  ...(await importOriginal<typeof import('@/api/client')>()),
+  post: vi.fn(),
+  del: vi.fn(),
+  streamNdjson: vi.fn(async () => ({ ok: true, status: 200 })),
+}));
+
+const ORDER_DETAILS = {
+  name: 'order_details',
+  fields: [
+    { name: 'order_id', type: 'integer', pk: true },
+    { name: 'product_id', type: 'integer', pk: true },
+    { name: 'quantity', type: 'integer' },
+  ],
+} as TableInfo;
+
+const RECORDS = [
+  { order_id: 1, product_id: 11, quantity: 5 },
+  { order_id: 1, product_id: 42, quantity: 2 },
+  { order_id: 2, product_id: 11, quantity: 9 },
+  { order_id: 3, product_id: 7, quantity: 1 },
+];
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  useTableStore.getState().reset();
+  useTableStore.setState(s => {
+    s.tableInfo = ORDER_DETAILS;
+    s.records = RECORDS;
+  });
+});
+
+describe('datasheet row selection', () => {
+  it('Shift-click selects a range from the anchor; Ctrl-click adds or removes a row', () => {
+    const { selectCell } = useTableStore.getState();
+    selectCell(1, 'quantity');
+    selectCell(3, 'quantity', 'range');
+    expect(useTableStore.getState().selectedRows).toEqual([1, 2, 3]);
+    selectCell(2, 'quantity', 'toggle');
+    expect(useTableStore.getState().selectedRows).toEqual([1, 3]);
+    selectCell(0, 'quantity');
+    expect(useTableStore.getState().selectedRows).toEqual([]);
+  });
+});
+
+describe('deleteRecord', () => {
+  it('deletes every selected row in one batch, by the whole key', async () => {
+    vi.mocked(api.post).mockResolvedValue({ ok: true, status: 200, data: { committed: true } });
+    const { selectCell } = useTableStore.getState();
+    selectCell(0, 'quantity');
+    selectCell(2, 'quantity', 'toggle');
+    await useTableStore.getState().deleteRecord();
+    expect(api.del).not.toHaveBeenCalled();
+    expect(api.post).toHaveBeenCalledWith('/api/data/order_details/batch', {
+      operations: [
+        { op: 'delete', key: { order_id: 1, product_id: 11 } },
+        { op: 'delete', key: { order_id: 2, product_id: 11 } },
+      ],
+    });
+    expect(useTableStore.getState().selectedRows).toEqual([]);
+  });
+
+  it('reports the failing row when the batch rolls back', async () => {
+    vi.mocked(api.post).mockResolvedValue({
+      ok: false,
+      status: 409,
+      data: { committed: false, results: [{ index: 0, ok: true }, { index: 1, ok: false, error: 'Record is referenced by orders' }] },
+    });
+    const setError = vi.spyOn(useUiStore.getState(), 'setError');
+    const { selectCell } = useTableStore.getState();
+    selectCell(0, 'quantity');
+    selectCell(1, 'quantity', 'range');
+    await useTableStore.getState().deleteRecord();
+    expect(setError).toHaveBeenCalledWith('Delete failed at record 2: Record is referenced by orders. No records were deleted.');
+    expect(useTableStore.getState().selectedRows).toEqual([0, 1]);
+  });
+});
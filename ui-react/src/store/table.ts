@@ -2,6 +2,8 @@ import { create } from 'zustand';
 import { immer } from 'zustand/middleware/immer';
 import * as api from '@/api/client';
 import type { TableInfo, ColumnInfo, ContextMenuState } from '@/api/types';
+import { primaryKeyFields, recordKeyPath, parseTabularText } from '@/lib/utils';
+import { useUiStore } from '@/store/ui';
 
 // ============================================================
 // Design field (editable schema)
@@ -38,6 +40,8 @@ export interface TableState {
 
   // Datasheet editing
   selected: { row: number; col: string } | null;
+  // Rows picked with Shift/Ctrl-click, deleted together (selected.row alone when empty)
+  selectedRows: number[];
   editing: { row: number; col: string } | null;
   contextMenu: ContextMenuState;
 
@@ -78,7 +82,7 @@ export interface TableActions {
   loadTableIntents(): Promise<void>;
 
   // Cell selection / editing
-  selectCell(row: number, col: string): void;
+  selectCell(row: number, col: string, extend?: 'range' | 'toggle'): void;
   selectRow(row: number): void;
   startEditing(row: number, col: string): void;
   stopEditing(): void;
@@ -93,6 +97,7 @@ export interface TableActions {
   copyCell(): void;
   cutCell(): void;
   pasteCell(): void;
+  pasteAppend(): Promise<void>;
 
   // Record CRUD
   newRecord(): Promise<void>;
@@ -122,7 +127,7 @@ export interface TableActions {
   getFilteredRecords(): Record<string, unknown>[];
 
   // Field helpers
-  getPkField(): string;
+  getPkFields(): string[];
 
   // Reset
   reset(): void;
@@ -133,6 +138,12 @@ type TableStore = TableState & TableActions;
 // Clipboard singleton
 let tableClipboard: { value: unknown; cut: boolean; row?: number; col?: string } | null = null;
 
+interface BatchResponse {
+  committed: boolean;
+  error?: string;
+  results?: Array<{ index: number; ok: boolean; error?: string }>;
+}
+
 // PG type → Access display name
 const PG_TO_ACCESS: Record<string, string> = {
   'character varying': 'Short Text',
@@ -157,6 +168,60 @@ function pgTypeToAccess(pgType: string): string {
   return PG_TO_ACCESS[pgType.toLowerCase()] || pgType;
 }
 
+// Datasheet row cap — rows stream in, so the grid renders before this is reached
+const DATASHEET_ROW_LIMIT = 10000;
+
+// Only the latest load may write records; switching tables aborts the old stream
+let recordStream: AbortController | null = null;
+
+/**
+ * Stream a table's rows into the datasheet. The first batch replaces the
+ * current records (no empty flash on refresh); later batches append.
+ */
+async function streamRecords(
+  name: string,
+  sortColumn: string | null,
+  sortDirection: 'asc' | 'desc',
+  set: (fn: (s: TableState) => void) => void,
+) {
+  recordStream?.abort();
+  const controller = new AbortController();
+  recordStream = controller;
+
+  const params = new URLSearchParams({
+    stream: 'ndjson',
+    count: 'false',
+    limit: String(DATASHEET_ROW_LIMIT),
+  });
+  if (sortColumn) {
+    params.set('orderBy', sortColumn);
+    params.set('orderDir', sortDirection);
+  }
+
+  let first = true;
+  const result = await api.streamNdjson<Record<string, unknown>>(
+    `/api/data/${encodeURIComponent(name)}?${params}`,
+    rows => {
+      if (controller.signal.aborted) return;
+      set(s => {
+        if (first) s.records = rows;
+        else s.records.push(...rows);
+        s.loading = false;
+      });
+      first = false;
+    },
+    controller.signal,
+  );
+
+  if (recordStream === controller) {
+    recordStream = null;
+    set(s => {
+      if (first && result.ok) s.records = [];
+      s.loading = false;
+    });
+  }
+}
+
 // ============================================================
 // Store
 // ============================================================
@@ -169,6 +234,7 @@ export const useTableStore = create<TableStore>()(
     viewMode: 'datasheet',
     loading: false,
     selected: null,
+    selectedRows: [],
     editing: null,
     contextMenu: { visible: false, x: 0, y: 0 },
     designFields: null,
@@ -199,6 +265,7 @@ export const useTableStore = create<TableStore>()(
         s.loading = true;
         s.viewMode = 'datasheet';
         s.selected = null;
+        s.selectedRows = [];
         s.editing = null;
         s.designFields = null;
         s.designOriginal = null;
@@ -230,24 +297,14 @@ export const useTableStore = create<TableStore>()(
         }
       }
 
-      // Load records — API returns { data: [...], pagination: {...} }
-      const dataRes = await api.get<{ data: Record<string, unknown>[] }>(`/api/data/${encodeURIComponent(table.name)}?limit=1000`);
-      set(s => {
-        s.loading = false;
-        if (dataRes.ok) s.records = dataRes.data.data || [];
-      });
+      await streamRecords(table.name, null, 'asc', set);
     },
 
     async refreshTableData() {
       const state = get();
       const name = state.tableInfo?.name;
       if (!name) return;
-      let url = `/api/data/${encodeURIComponent(name)}?limit=1000`;
-      if (state.sortColumn) {
-        url += `&orderBy=${encodeURIComponent(state.sortColumn)}&orderDir=${state.sortDirection}`;
-      }
-      const res = await api.get<{ data: Record<string, unknown>[] }>(url);
-      if (res.ok) set(s => { s.records = res.data.data || []; });
+      await streamRecords(name, state.sortColumn, state.sortDirection, set);
     },
 
     // --------------------------------------------------------
@@ -277,14 +334,27 @@ export const useTableStore = create<TableStore>()(
     // --------------------------------------------------------
     // Cell selection / editing
     // --------------------------------------------------------
-    selectCell(row, col) {
+    selectCell(row, col, extend) {
       set(s => {
-        s.selected = { row, col };
+        const anchor = s.selected?.row;
+        if (extend === 'range' && anchor != null) {
+          s.selectedRows = [];
+          for (let r = Math.min(anchor, row); r <= Math.max(anchor, row); r++) s.selectedRows.push(r);
+          // Keep the anchor so a further Shift-click re-extends from it
+          s.selected = { row: anchor, col };
+        } else if (extend === 'toggle') {
+          const rows = s.selectedRows.length > 0 ? s.selectedRows : anchor != null ? [anchor] : [];
+          s.selectedRows = rows.includes(row) ? rows.filter(r => r !== row) : [...rows, row].sort((a, b) => a - b);
+          s.selected = { row, col };
+        } else {
+          s.selectedRows = [];
+          s.selected = { row, col };
+        }
         s.contextMenu.visible = false;
       });
     },
-    selectRow(row) { set(s => { s.selected = { row, col: '' }; }); },
-    startEditing(row, col) { set(s => { s.selected = { row, col }; s.editing = { row, col }; }); },
+    selectRow(row) { set(s => { s.selected = { row, col: '' }; s.selectedRows = []; }); },
+    startEditing(row, col) { set(s => { s.selected = { row, col }; s.selectedRows = []; s.editing = { row, col }; }); },
     stopEditing() { set(s => { s.editing = null; }); },
 
     async saveCell(newValue) {
@@ -294,16 +364,15 @@ export const useTableStore = create<TableStore>()(
       const record = state.records[row] as Record<string, unknown>;
       if (!record) return;
 
-      const pkField = get().getPkField();
-      const pkValue = record[pkField];
-      if (pkValue == null) return;
+      const keyPath = recordKeyPath(get().getPkFields(), record);
+      if (keyPath == null) return;
 
       const oldValue = record[col];
       // Optimistic update
       set(s => { (s.records[row] as Record<string, unknown>)[col] = newValue; s.editing = null; });
 
       const res = await api.put(
-        `/api/data/${encodeURIComponent(state.tableInfo!.name)}/${encodeURIComponent(String(pkValue))}`,
+        `/api/data/${encodeURIComponent(state.tableInfo!.name)}/${keyPath}`,
         { [col]: newValue },
       );
 
@@ -360,6 +429,25 @@ export const useTableStore = create<TableStore>()(
       set(s => { s.editing = sel; });
       get().saveCell(tableClipboard.value);
     },
+    async pasteAppend() {
+      const info = get().tableInfo;
+      if (!info || !navigator.clipboard) return;
+      const text = await navigator.clipboard.readText().catch(() => '');
+      const rows = parseTabularText(text, info.fields.map(f => f.name));
+      if (rows.length === 0) return;
+
+      // One transaction: either every pasted row is added or none is
+      const res = await api.post<BatchResponse>(`/api/data/${encodeURIComponent(info.name)}/batch`, {
+        operations: rows.map(data => ({ op: 'insert', data })),
+      });
+      if (res.ok) {
+        get().refreshTableData();
+      } else {
+        const failed = res.data?.results?.find(r => !r.ok);
+        useUiStore.getState().setError(
+          `Paste Append failed${failed ? ` at row ${failed.index + 1}: ${failed.error}` : ''}. No records were added.`);
+      }
+    },
 
     // --------------------------------------------------------
     // Record CRUD
@@ -379,16 +467,28 @@ export const useTableStore = create<TableStore>()(
     async deleteRecord() {
       const state = get();
       if (!state.selected || !state.tableInfo) return;
-      const record = state.records[state.selected.row] as Record<string, unknown>;
-      if (!record) return;
-      const pkField = get().getPkField();
-      const pkValue = record[pkField];
-      if (pkValue == null) return;
+      const rows = state.selectedRows.length > 0 ? state.selectedRows : [state.selected.row];
+      const records = get().getFilteredRecords();
+      const pkFields = get().getPkFields();
+      const keys: Record<string, unknown>[] = [];
+      for (const row of rows) {
+        const record = records[row];
+        if (!record || recordKeyPath(pkFields, record) == null) continue;
+        keys.push(Object.fromEntries(pkFields.map(f => [f, record[f]])));
+      }
+      if (keys.length === 0) return;
 
-      const res = await api.del(`/api/data/${encodeURIComponent(state.tableInfo.name)}/${encodeURIComponent(String(pkValue))}`);
+      // One transaction: either every selected row is deleted or none is
+      const res = await api.post<BatchResponse>(`/api/data/${encodeURIComponent(state.tableInfo.name)}/batch`, {
+        operations: keys.map(key => ({ op: 'delete', key })),
+      });
       if (res.ok) {
-        set(s => { s.selected = null; });
+        set(s => { s.selected = null; s.selectedRows = []; });
         get().refreshTableData();
+      } else {
+        const failed = res.data?.results?.find(r => !r.ok);
+        useUiStore.getState().setError(
+          `Delete failed${failed ? ` at record ${failed.index + 1}: ${failed.error}` : ''}. No records were deleted.`);
       }
     },
 
@@ -575,7 +675,7 @@ export const useTableStore = create<TableStore>()(
     // Sort / filter
     // --------------------------------------------------------
     sortBy(col, dir) {
-      set(s => { s.sortColumn = col; s.sortDirection = dir; s.activeFilterColumn = null; });
+      set(s => { s.sortColumn = col; s.sortDirection = dir; s.activeFilterColumn = null; s.selectedRows = []; });
       get().refreshTableData();
     },
 
@@ -587,6 +687,7 @@ export const useTableStore = create<TableStore>()(
           s.filters[col] = excludedValues;
         }
         s.activeFilterColumn = null;
+        s.selectedRows = [];
       });
     },
 
@@ -597,6 +698,7 @@ export const useTableStore = create<TableStore>()(
         } else {
           s.filters = {};
         }
+        s.selectedRows = [];
       });
     },
 
@@ -629,11 +731,8 @@ export const useTableStore = create<TableStore>()(
     // --------------------------------------------------------
     // Helpers
     // --------------------------------------------------------
-    getPkField() {
-      const fields = get().tableInfo?.fields;
-      if (!fields) return 'id';
-      const pk = fields.find(f => f.pk);
-      return pk ? pk.name : 'id';
+    getPkFields() {
+      return primaryKeyFields(get().tableInfo?.fields);
     },
 
     // --------------------------------------------------------
@@ -647,6 +746,7 @@ export const useTableStore = create<TableStore>()(
         s.viewMode = 'datasheet';
         s.loading = false;
         s.selected = null;
+        s.selectedRows = [];
         s.editing = null;
         s.designFields = null;
         s.designOriginal = null;
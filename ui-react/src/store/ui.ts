@@ -7,7 +7,7 @@ import type {
   ModuleListItem, MacroListItem, TabDescriptor,
   ChatMessage, AppMode, ObjectType, AppConfig, LogsFilter,
   ImportLogEntry, ImportIssue, ContextMenuState,
-  ModuleDetail, MacroDetail,
+  ModuleDetail, MacroDetail, CurrentUser,
 } from '@/api/types';
 
 // ============================================================
@@ -15,6 +15,10 @@ import type {
 // ============================================================
 
 export interface UiState {
+  // Signed-in user (authRequired: the server wants a session we don't have)
+  currentUser: CurrentUser | null;
+  authRequired: boolean;
+
   // Database selection
   availableDatabases: Database[];
   currentDatabase: Database | null;
@@ -99,6 +103,10 @@ export interface UiActions {
   // Init
   init(): Promise<void>;
 
+  // Authentication
+  login(username: string, password: string): Promise<string | null>;
+  logout(): Promise<void>;
+
   // Error / Loading
   setLoading(v: boolean): void;
   setError(error: string | null): void;
@@ -200,6 +208,8 @@ const typeToKey: Record<ObjectType, keyof UiState['objects']> = {
 export const useUiStore = create<UiStore>()(
   immer((set, get) => ({
     // Initial state
+    currentUser: null,
+    authRequired: false,
     availableDatabases: [],
     currentDatabase: null,
     loadingObjects: false,
@@ -239,8 +249,18 @@ export const useUiStore = create<UiStore>()(
     // Init
     // --------------------------------------------------------
     async init() {
-      const whoami = await api.get<{ username: string }>('/api/whoami');
-      if (whoami.ok) api.setUserId(whoami.data.username);
+      const whoami = await api.get<CurrentUser>('/api/whoami');
+      if (whoami.status === 401) {
+        set(s => { s.authRequired = true; });
+        return;
+      }
+      if (whoami.ok) {
+        api.setUserId(whoami.data.username);
+        set(s => { s.currentUser = whoami.data; s.authRequired = false; });
+        if (whoami.data.authEnabled) {
+          api.setUnauthorizedHandler(() => set(s => { s.authRequired = true; }));
+        }
+      }
 
       const uiState = await api.get<Record<string, unknown>>('/api/session/ui-state');
       if (uiState.ok && uiState.data) {
@@ -250,6 +270,23 @@ export const useUiStore = create<UiStore>()(
       await Promise.all([get().loadDatabases(), get().loadConfig()]);
     },
 
+    // --------------------------------------------------------
+    // Authentication
+    // --------------------------------------------------------
+    async login(username, password) {
+      const res = await api.post<{ error?: string }>('/api/auth/login', { username, password });
+      if (!res.ok) return res.data?.error ?? 'Sign-in failed';
+      // Re-run init: after an expired session this keeps the open tabs
+      await get().init();
+      return null;
+    },
+
+    async logout() {
+      await api.post('/api/auth/logout');
+      // Start from a clean slate rather than clearing every slice of state
+      window.location.reload();
+    },
+
     // --------------------------------------------------------
     // Error / Loading
     // --------------------------------------------------------
@@ -261,14 +298,18 @@ export const useUiStore = create<UiStore>()(
     // Database
     // --------------------------------------------------------
     async loadDatabases() {
-      const res = await api.get<{ databases: Database[]; current: string }>('/api/databases');
+      const res = await api.get<{ databases: Database[] }>('/api/databases');
       if (!res.ok) return;
       const databases = res.data.databases ?? [];
-      const currentId = res.data.current;
       set(s => {
         s.availableDatabases = databases;
         if (databases.length > 0 && !s.currentDatabase) {
-          s.currentDatabase = databases.find(d => d.database_id === currentId) ?? databases[0];
+          // The server keeps no current database: reopen the one this user last had
+          const saved = s._pendingUiState as Record<string, unknown> | null;
+          const savedDb = databases.find(d => d.database_id === saved?.database_id);
+          s.currentDatabase = savedDb ?? databases[0];
+          // Saved tabs belong to the saved database
+          if (!savedDb) s._pendingUiState = null;
         }
       });
       const db = get().currentDatabase;
@@ -291,6 +332,7 @@ export const useUiStore = create<UiStore>()(
         s.chatTab = null;
       });
       api.setDatabaseId(databaseId);
+      get().saveUiState();
       await get().loadAllObjects();
     },
 
@@ -338,7 +380,7 @@ export const useUiStore = create<UiStore>()(
       const dbId = get().currentDatabase?.database_id;
       if (dbId) {
         const count = registerFnHandlers(dbId);
-        if (count > 0) console.log(`Registered ${count} fn.* handlers for ${dbId}`);
+        if (count > 0) console.log(`Registered ${count} fn.* handlers and modules for ${dbId}`);
       }
     },
 
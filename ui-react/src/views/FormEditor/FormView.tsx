@@ -3,7 +3,7 @@ import { useFormStore, type FormState, type FormActions } from '@/store/form';
 import {
   controlStyle, resolveControlField, resolveFieldValue, formatValue,
   displayText, extractHotkey, parseHotkeyText, getSectionHeight, getSectionControls,
-  applyShadeTint
+  applyShadeTint, isViolationField
 } from '@/lib/utils';
 import { applyConditionalFormatting } from '@/lib/expressions';
 import { executeHandler } from '@/lib/runtime';
@@ -23,6 +23,7 @@ import ImageControl from './controls/ImageControl';
 import RectangleControl from './controls/RectangleControl';
 import LineControl from './controls/LineControl';
 import SubFormControl from './controls/SubFormControl';
+import WriteConflictDialog from './WriteConflictDialog';
 
 type Store = FormState & FormActions;
 
@@ -122,7 +123,9 @@ function FormViewControl({
     }
   }
 
-  const cls = `${ctrlType}${!ctrlEnabled ? ' disabled' : ''}`;
+  // The field the last save or delete was refused for
+  const violation = isViolationField(store.recordError, field) ? store.recordError : null;
+  const cls = `${ctrlType}${!ctrlEnabled ? ' disabled' : ''}${violation ? ' field-error' : ''}`;
 
   // Render inner control
   let inner: React.ReactNode;
@@ -187,7 +190,7 @@ function FormViewControl({
     <div
       className={`view-control ${cls}`}
       style={style}
-      title={tip}
+      title={violation ? violation.error : tip}
       data-hotkey={hotkey || undefined}
       data-hotkey-label={ctrlType === 'label' ? 'true' : undefined}
       {...focusProps}
@@ -353,6 +356,9 @@ function RecordNavBar({
       <span className="nav-separator" />
       <button className={`nav-btn save-btn${dirty ? ' dirty' : ''}`} title="Save Record" disabled={!dirty}
         onClick={() => store.saveCurrentRecord()}>Save</button>
+      {store.recordError && (
+        <span className="record-error" title={store.recordError.error}>{store.recordError.error}</span>
+      )}
     </div>
   );
 }
@@ -513,6 +519,7 @@ export default function FormView() {
           allowAdditions={allowAdditions} allowDeletions={allowDeletions}
           dirty={store.recordDirty} />
       )}
+      <WriteConflictDialog />
     </div>
   );
 }
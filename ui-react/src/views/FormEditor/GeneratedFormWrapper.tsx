@@ -3,6 +3,7 @@ import { useFormStore } from '@/store/form';
 import { useUiStore } from '@/store/ui';
 import { ctrlToKey } from '@/lib/utils';
 import FormView from './FormView';
+import WriteConflictDialog from './WriteConflictDialog';
 import type { GeneratedFormProps } from '@/generated/types';
 
 // Eagerly discover all generated form components via Vite glob import.
@@ -181,6 +182,7 @@ export default function GeneratedFormWrapper() {
   return (
     <Suspense fallback={<div style={{ padding: 20 }}>Loading generated form...</div>}>
       <GeneratedComponent {...props} />
+      <WriteConflictDialog />
     </Suspense>
   );
 }
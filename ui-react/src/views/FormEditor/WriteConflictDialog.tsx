@@ -0,0 +1,48 @@
+import { useFormStore } from '@/store/form';
+
+/**
+ * Access's Write Conflict dialog: shown when a record save is rejected
+ * because another user changed the row since it was loaded.
+ */
+export default function WriteConflictDialog() {
+  const conflict = useFormStore(s => s.writeConflict);
+  const resolve = useFormStore(s => s.resolveWriteConflict);
+
+  if (!conflict) return null;
+
+  const cols = conflict.changedColumns;
+
+  return (
+    <div className="dialog-overlay">
+      <div className="dialog write-conflict-dialog" role="alertdialog" aria-labelledby="write-conflict-title">
+        <div className="dialog-header">
+          <h3 id="write-conflict-title">Write Conflict</h3>
+        </div>
+        <div className="dialog-body">
+          <p>{conflict.message}</p>
+          {cols.length > 0 && (
+            <table className="write-conflict-fields">
+              <thead>
+                <tr><th>Field</th><th>Their value</th><th>Your value</th></tr>
+              </thead>
+              <tbody>
+                {cols.map(c => (
+                  <tr key={c}>
+                    <td>{c}</td>
+                    <td>{String(conflict.current[c] ?? '')}</td>
+                    <td>{c in conflict.attempted ? String(conflict.attempted[c] ?? '') : ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+        <div className="dialog-footer">
+          <button className="primary-btn" onClick={() => resolve('save')}>Save Record</button>
+          <button className="secondary-btn" onClick={() => resolve('copy')}>Copy to Clipboard</button>
+          <button className="secondary-btn" onClick={() => resolve('drop')}>Drop Changes</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -2,6 +2,7 @@ import { useEffect, useCallback } from 'react';
 import { useUiStore } from '@/store/ui';
 import * as api from '@/api/client';
 import { filenameToDisplayName } from '@/lib/utils';
+import { runMacro } from '@/lib/runtime';
 
 const STATUS_OPTIONS = [
   ['pending', 'Pending'],
@@ -15,7 +16,7 @@ interface Props {
 }
 
 export default function MacroViewer({ macroName }: Props) {
-  const { macroViewer, loadMacroForViewing, objects } = useUiStore();
+  const { macroViewer, loadMacroForViewing, objects, setError } = useUiStore();
   const { macroInfo, loading } = macroViewer;
 
   useEffect(() => {
@@ -33,10 +34,20 @@ export default function MacroViewer({ macroName }: Props) {
     if (macro) loadMacroForViewing(macro);
   }, [macroInfo, macroName, objects.macros, loadMacroForViewing]);
 
+  const handleRun = useCallback(async () => {
+    if (!macroInfo) return;
+    try {
+      await runMacro(macroInfo.name);
+    } catch (e) {
+      setError(`Macro ${macroInfo.name} failed: ${e instanceof Error ? e.message : String(e)}`);
+    }
+  }, [macroInfo, setError]);
+
   if (loading) return <div className="loading-indicator">Loading macro...</div>;
   if (!macroInfo) return <div className="empty-viewer">Macro not found</div>;
 
   const status = macroInfo.status || 'pending';
+  const untranslated = macroInfo.js_macro?.untranslated || [];
 
   return (
     <div className="macro-viewer">
@@ -45,6 +56,10 @@ export default function MacroViewer({ macroName }: Props) {
         <div className="toolbar-left">
           <span className="toolbar-label">Access Macro</span>
         </div>
+        <div className="toolbar-right">
+          <button className="primary-btn" disabled={!macroInfo.js_macro}
+            title="Run the macro on the open form" onClick={handleRun}>Run</button>
+        </div>
       </div>
 
       {/* Info panel */}
@@ -68,6 +83,14 @@ export default function MacroViewer({ macroName }: Props) {
             </span>
           </div>
         )}
+        {untranslated.length > 0 && (
+          <div className="info-row">
+            <span className="info-label">Untranslated:</span>
+            <span className="info-value" title={untranslated.map(u => `${u.action} ${u.argument}: ${u.text}`).join('\n')}>
+              {untranslated.length} expression{untranslated.length === 1 ? '' : 's'}
+            </span>
+          </div>
+        )}
         <div className="info-row">
           <span className="info-label">Status:</span>
           <select
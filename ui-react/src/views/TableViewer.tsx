@@ -94,7 +94,7 @@ function DatasheetView({ fields, records, store }: {
   records: Record<string, unknown>[];
   store: Store;
 }) {
-  const { selected, editing, startEditing, stopEditing, saveCell, selectCell, moveToNextCell,
+  const { selected, selectedRows, editing, startEditing, stopEditing, saveCell, selectCell, moveToNextCell,
     sortColumn, sortDirection, filters, activeFilterColumn } = store;
 
   const filteredRecords = store.getFilteredRecords();
@@ -167,7 +167,7 @@ function DatasheetView({ fields, records, store }: {
         </thead>
         <tbody>
           {filteredRecords.map((record, rowIdx) => (
-            <tr key={rowIdx} className={selected?.row === rowIdx ? 'selected-row' : ''}>
+            <tr key={rowIdx} className={(selectedRows.length > 0 ? selectedRows.includes(rowIdx) : selected?.row === rowIdx) ? 'selected-row' : ''}>
               {fields.map(f => {
                 const isSelected = selected?.row === rowIdx && selected?.col === f.name;
                 const isEditing = editing?.row === rowIdx && editing?.col === f.name;
@@ -177,7 +177,7 @@ function DatasheetView({ fields, records, store }: {
                   <td
                     key={f.name}
                     className={`${isSelected ? 'selected-cell' : ''}${isEditing ? ' editing-cell' : ''}`}
-                    onClick={() => selectCell(rowIdx, f.name)}
+                    onClick={e => selectCell(rowIdx, f.name, e.shiftKey ? 'range' : e.ctrlKey || e.metaKey ? 'toggle' : undefined)}
                     onDoubleClick={() => handleCellDblClick(rowIdx, f.name)}
                   >
                     {isEditing ? (
@@ -215,7 +215,7 @@ function DatasheetView({ fields, records, store }: {
             New Record
           </div>
           <div className="context-menu-item" onClick={() => { store.deleteRecord(); store.hideContextMenu(); }}>
-            Delete Record
+            {store.selectedRows.length > 1 ? `Delete ${store.selectedRows.length} Records` : 'Delete Record'}
           </div>
           <hr />
           <div className="context-menu-item" onClick={() => { store.copyCell(); store.hideContextMenu(); }}>
@@ -227,6 +227,9 @@ function DatasheetView({ fields, records, store }: {
           <div className="context-menu-item" onClick={() => { store.pasteCell(); store.hideContextMenu(); }}>
             Paste
           </div>
+          <div className="context-menu-item" onClick={() => { store.pasteAppend(); store.hideContextMenu(); }}>
+            Paste Append
+          </div>
         </div>
       )}
     </div>